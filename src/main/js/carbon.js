@@ -3,10 +3,19 @@
 import api from "./controls";
 import { Shape } from "./core";
 import {
+    ANNOTATION_ANCHOR,
     AXES_ORIENTATION,
     AXIS_TYPE,
+    BIN_METHOD,
+    COLOR_SCALE_TYPE,
     COLORS,
+    EXPORT_FORMAT,
+    GRAPH_ORIENTATION,
     LINE_TYPE,
+    RADIUS_SCALE_TYPE,
+    REFERENCE_LINE_LABEL_ALIGN,
+    REFERENCE_LINE_STYLE,
+    REGION_TYPE,
     SHAPES
 } from "./helpers/constants";
 import LOCALE from "./locale";
@@ -22,17 +31,35 @@ const tools = {
 /**
  * Carbon helper constants
  * @public
+ * @property {Object} ANNOTATION_ANCHOR Carbon API annotation anchor constants
  * @property {Object} AXIS_TYPE Carbon API axis types constants
+ * @property {Object} BIN_METHOD Carbon API histogram bin method constants
+ * @property {Object} COLOR_SCALE_TYPE Carbon API heatmap color scale type constants
  * @property {Object} COLORS Carbon API color constants
+ * @property {Object} EXPORT_FORMAT Carbon API export format constants
+ * @property {Object} GRAPH_ORIENTATION Carbon API graph orientation constants
  * @property {Object} LINE_TYPE Carbon API line type constants
  * @property {Object} LOCALE Carbon API locale objects
+ * @property {Object} RADIUS_SCALE_TYPE Carbon API scatter radius scale type constants
+ * @property {Object} REFERENCE_LINE_LABEL_ALIGN Carbon API reference line label alignment constants
+ * @property {Object} REFERENCE_LINE_STYLE Carbon API reference line and dateline dash style constants
+ * @property {Object} REGION_TYPE Carbon API region type constants
  * @property {Object} SHAPES Carbon API shape constants
  */
 const helpers = {
+    ANNOTATION_ANCHOR,
     AXIS_TYPE,
+    BIN_METHOD,
+    COLOR_SCALE_TYPE,
     COLORS,
+    EXPORT_FORMAT,
+    GRAPH_ORIENTATION,
     LINE_TYPE,
     LOCALE,
+    RADIUS_SCALE_TYPE,
+    REFERENCE_LINE_LABEL_ALIGN,
+    REFERENCE_LINE_STYLE,
+    REGION_TYPE,
     SHAPES,
     AXES_ORIENTATION
 };
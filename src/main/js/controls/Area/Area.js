@@ -0,0 +1,249 @@
+"use strict";
+import { GraphContent } from "../../core";
+import { getDefaultValue } from "../../core/BaseConfig";
+import constants from "../../helpers/constants";
+import {
+    prepareLabelShapeItem,
+    removeLabelShapeItem,
+    updateLabelShapeItem
+} from "../../helpers/label";
+import {
+    removeLegendItem,
+    restoreShownTargets,
+    updateLegendItem
+} from "../../helpers/legend";
+import {
+    createRegion,
+    hideAllRegions,
+    removeRegion,
+    shouldHideAllRegions,
+    translateRegion
+} from "../../helpers/region";
+import styles from "../../helpers/styles";
+import utils from "../../helpers/utils";
+import AreaConfig from "./AreaConfig";
+import {
+    clear,
+    clickHandler,
+    draw,
+    hoverHandler,
+    prepareLegendItems,
+    processDataPoints,
+    setGroupName,
+    setStackOffset,
+    translateAreaGraph,
+    updateAreaGraph
+} from "./helpers/helpers";
+
+/**
+ * @typedef {Object} Area
+ * @typedef {Object} GraphContent
+ * @typedef {Object} AreaConfig
+ */
+/**
+ * Calculates the min and max values for Y Axis or Y2 Axis.
+ * Values that are `null` are filtered out, and the baseline is always included
+ * since the area is filled between the data points and the baseline.
+ * @private
+ * @param {Array} values - Datapoint values
+ * @param {string} axis - y or y2
+ * @returns {Object} - Contains min and max values for the data points
+ */
+const calculateValuesRange = (values, axis = constants.Y_AXIS) => {
+    const yAxisValuesList = values.filter((i) => i.y !== null).map((i) => i.y);
+    const min = Math.min(...yAxisValuesList);
+    const max = Math.max(...yAxisValuesList);
+    return {
+        [axis]: {
+            min: min < 0 ? min : 0,
+            max: max > 0 ? max : 0
+        }
+    };
+};
+
+/**
+ * Data point sets can be loaded using this function.
+ * Load function validates, clones and stores the input onto a config object.
+ * @private
+ * @param {Object} inputJSON - Input JSON provided by the consumer
+ * @returns {Object} AreaConfig config object containing consumer data
+ */
+const loadInput = (inputJSON) =>
+    new AreaConfig()
+        .setInput(inputJSON)
+        .validateInput()
+        .clone()
+        .getConfig();
+
+/**
+ * An Area graph is a graph used to represent a collection of data
+ * points connected by a line, with the region between the line and the baseline filled.
+ * Areas belonging to the same group are stacked on top of each other.
+ *
+ * Lifecycle functions include:
+ *  * Load
+ *  * Generate
+ *  * Update
+ *  * Unload
+ *  * Destroy
+ * @module Area
+ * @class Area
+ */
+class Area extends GraphContent {
+    /**
+     * @constructor
+     * @param {AreaConfig} input - Input JSON instance created using GraphConfig
+     */
+    constructor(input) {
+        super();
+        this.config = loadInput(input);
+        this.config.yAxis = getDefaultValue(
+            this.config.yAxis,
+            constants.Y_AXIS
+        );
+        this.config.axisPadding = false;
+        this.valuesRange = calculateValuesRange(
+            this.config.values,
+            this.config.yAxis
+        );
+        this.dataTarget = {};
+    }
+
+    /**
+     * @inheritDoc
+     */
+    load(graph) {
+        setGroupName(this.config, graph.content);
+        this.dataTarget = processDataPoints(graph.config, this.config);
+        setStackOffset(graph.content, this, graph.config.shownTargets);
+        draw(graph.scale, graph.config, graph.svg, this.dataTarget);
+        if (utils.notEmpty(this.dataTarget.regions)) {
+            createRegion(
+                graph.scale,
+                graph.config,
+                graph.svg.select(`.${styles.regionGroup}`),
+                this.dataTarget.regions,
+                `region_${this.dataTarget.key}`,
+                this.config.yAxis
+            );
+        }
+        prepareLegendItems(
+            graph.config,
+            {
+                clickHandler: clickHandler(
+                    graph,
+                    this,
+                    graph.config,
+                    graph.svg
+                ),
+                hoverHandler: hoverHandler(graph.config.shownTargets, graph.svg)
+            },
+            this.dataTarget,
+            graph.legendSVG
+        );
+        prepareLabelShapeItem(
+            graph.config,
+            this.dataTarget,
+            graph.axesLabelShapeGroup[this.config.yAxis]
+        );
+        return this;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    update(graph, input) {
+        const hiddenTargets = [this.dataTarget.key].filter(
+            (key) => graph.config.shownTargets.indexOf(key) < 0
+        );
+        this.config = loadInput(
+            Object.assign({}, this.config, input, {
+                key: this.config.key,
+                yAxis: this.config.yAxis,
+                group: this.config.group
+            })
+        );
+        this.config.axisPadding = false;
+        this.valuesRange = calculateValuesRange(
+            this.config.values,
+            this.config.yAxis
+        );
+        this.dataTarget = processDataPoints(graph.config, this.config);
+        restoreShownTargets(graph.config.shownTargets, hiddenTargets);
+        setStackOffset(graph.content, this, graph.config.shownTargets);
+        updateAreaGraph(graph.config, graph.svg, this.dataTarget);
+        removeRegion(
+            graph.svg.select(`.${styles.regionGroup}`),
+            this.dataTarget
+        );
+        if (utils.notEmpty(this.dataTarget.regions)) {
+            createRegion(
+                graph.scale,
+                graph.config,
+                graph.svg.select(`.${styles.regionGroup}`),
+                this.dataTarget.regions,
+                `region_${this.dataTarget.key}`,
+                this.config.yAxis
+            );
+        }
+        updateLegendItem(graph.legendSVG, this.dataTarget);
+        updateLabelShapeItem(
+            graph.config,
+            this.dataTarget,
+            graph.axesLabelShapeGroup[this.config.yAxis]
+        );
+        return this;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    unload(graph) {
+        clear(graph.svg, this.dataTarget);
+        removeRegion(
+            graph.svg.select(`.${styles.regionGroup}`),
+            this.dataTarget
+        );
+        removeLegendItem(graph.legendSVG, this.dataTarget);
+        removeLabelShapeItem(
+            graph.axesLabelShapeGroup[this.config.yAxis],
+            this.dataTarget
+        );
+        this.dataTarget = {};
+        this.config = {};
+        return this;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    resize(graph) {
+        if (
+            shouldHideAllRegions(
+                this.dataTarget.regions,
+                graph.config.shownTargets
+            )
+        ) {
+            hideAllRegions(graph.svg);
+        }
+        translateRegion(
+            graph.scale,
+            graph.config,
+            graph.svg.select(`.${styles.regionGroup}`)
+        );
+        setStackOffset(graph.content, this, graph.config.shownTargets);
+        translateAreaGraph(graph.scale, graph.svg, this.dataTarget);
+        return this;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    redraw(graph) {
+        clear(graph.svg, this.dataTarget);
+        draw(graph.scale, graph.config, graph.svg, this.dataTarget);
+        return this;
+    }
+}
+
+export default Area;
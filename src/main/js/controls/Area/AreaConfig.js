@@ -0,0 +1,57 @@
+"use strict";
+import BaseConfig, { validateBaseInput } from "../../core/BaseConfig";
+import utils from "../../helpers/utils";
+
+/**
+ * API to parse consumer input for Area graph
+ *
+ * @class AreaConfig
+ */
+class AreaConfig extends BaseConfig {
+    /**
+     * @inheritDoc
+     */
+    constructor() {
+        super();
+        this.config = null;
+        this.input = null;
+    }
+
+    /**
+     * Returns the config object
+     * @returns {Object} config object
+     */
+    getConfig() {
+        return this.config;
+    }
+
+    /**
+     * Sets the input object
+     * @param {Object} inputJSON - Input JSON
+     * @returns {AreaConfig} instance object
+     */
+    setInput(inputJSON) {
+        this.input = inputJSON;
+        return this;
+    }
+
+    /**
+     * Validates and verifies the input JSON object.
+     * @returns {AreaConfig} instance object
+     */
+    validateInput() {
+        validateBaseInput(this.input);
+        return this;
+    }
+
+    /**
+     * Clones the input JSON into the config object
+     * @returns {AreaConfig} instance object
+     */
+    clone() {
+        this.config = utils.deepClone(this.input);
+        return this;
+    }
+}
+
+export default AreaConfig;
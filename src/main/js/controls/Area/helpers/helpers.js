@@ -0,0 +1,440 @@
+"use strict";
+import d3 from "d3";
+import {
+    getInterpolationType,
+    parseTypedValue
+} from "../../../core/BaseConfig";
+import {
+    calculateVerticalPadding,
+    getXAxisXPosition,
+    isValidAxisType,
+    isValidCategory
+} from "../../../helpers/axis";
+import constants, { AXIS_TYPE } from "../../../helpers/constants";
+import errors from "../../../helpers/errors";
+import {
+    legendClickHandler,
+    legendHoverHandler,
+    loadLegendItem
+} from "../../../helpers/legend";
+import {
+    processRegions,
+    regionLegendHoverHandler
+} from "../../../helpers/region";
+import styles from "../../../helpers/styles";
+import utils from "../../../helpers/utils";
+import {
+    d3RemoveElement,
+    getColorForTarget
+} from "../../Graph/helpers/helpers";
+import Area from "../Area";
+
+/**
+ * Returns the value the top edge of the area is drawn at, offset by the areas stacked below it.
+ * @private
+ * @param {Object} value - data point value object
+ * @returns {number} stacked y value
+ */
+const getStackedValue = (value) => value.y0 + value.y;
+/**
+ * Creates a d3 svg area, filled between the stack offset (baseline when not stacked) and the data points.
+ * @private
+ * @param {Object} scale - d3 scale for Graph
+ * @param {Object} d - Data point set containing data point value objects
+ * @returns {Object} d3 area object
+ */
+const createArea = (scale, d) => {
+    const newArea = d3.svg
+        .area()
+        .defined((value) => value.y !== null)
+        .x((value) => scale.x(value.x))
+        .y0((value) => scale[value.yAxis](value.y0))
+        .y1((value) => scale[value.yAxis](getStackedValue(value)))
+        .interpolate(d.interpolationType);
+    return newArea(getDataPointValues(d));
+};
+/**
+ * Creates a d3 svg line along the top edge of the area
+ * @private
+ * @param {Object} scale - d3 scale for Graph
+ * @param {Object} d - Data point set containing data point value objects
+ * @returns {Object} d3 line object
+ */
+const createAreaLine = (scale, d) => {
+    const newLine = d3.svg
+        .line()
+        .defined((value) => value.y !== null)
+        .x((value) => scale.x(value.x))
+        .y((value) => scale[value.yAxis](getStackedValue(value)))
+        .interpolate(d.interpolationType);
+    return newLine(getDataPointValues(d));
+};
+/**
+ * Returns the internal values subset which is the array that was created from the input JSON.
+ * @private
+ * @param {Object} target - Object containing the subsets
+ * @returns {Array} List of data point subsets
+ */
+const getDataPointValues = (target) => target.internalValuesSubset;
+/**
+ * Returns the identifier used to match the data points of areas stacked on top of each other.
+ * @private
+ * @param {Object} value - data point value object
+ * @returns {number|string} x value of the data point
+ */
+const getDataPointKey = (value) =>
+    utils.isDateInstance(value.x) ? value.x.getTime() : value.x;
+/**
+ * Checks the data-set is currently shown in the graph.
+ * @private
+ * @param {Array} shownTargets - targets currently shown in the graph
+ * @param {Object} dataTarget - Data points object
+ * @returns {boolean} true if the area needs to be hidden, false otherwise
+ */
+const shouldHideArea = (shownTargets, dataTarget) =>
+    shownTargets.indexOf(dataTarget.key) < 0;
+/**
+ * Sets key as group name if group name is empty or if the group doesn't match an Area loaded in the graph
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @param {Array} content - Array of content loaded in the graph
+ * @returns {undefined} - returns nothing
+ */
+const setGroupName = (config, content) => {
+    if (utils.isEmpty(config.group)) {
+        config.group = config.key;
+        return;
+    }
+    if (
+        !content.filter(
+            (c) => c instanceof Area && c.config.key === config.group
+        ).length
+    ) {
+        config.group = config.key;
+    }
+};
+/**
+ * In case of stacked areas, this method sets the y-axis offset for each data point.
+ * Areas are stacked in the order they are loaded, on top of the areas of the same group
+ * that are currently shown. Positive and negative values are stacked separately, away from the baseline.
+ * If no other area is stacked below this area, offset is set to 0.
+ * @private
+ * @param {Array} content - Array of content loaded in the graph
+ * @param {Area} control - Area instance
+ * @param {Array} shownTargets - targets currently shown in the graph
+ * @returns {undefined} - returns nothing
+ */
+const setStackOffset = (content, control, shownTargets) => {
+    const group = content.filter(
+        (c) =>
+            c === control ||
+            (c instanceof Area &&
+                c.config.group === control.config.group &&
+                shownTargets.indexOf(c.config.key) > -1)
+    );
+    const stackedBelow = group.slice(0, group.indexOf(control));
+    getDataPointValues(control.dataTarget).forEach((value) => {
+        let upY = 0;
+        let downY = 0;
+        stackedBelow.forEach((prev) => {
+            const f = getDataPointValues(prev.dataTarget).filter(
+                (p) =>
+                    p.y !== null &&
+                    getDataPointKey(p) === getDataPointKey(value)
+            );
+            if (f.length > 0) {
+                if (f[0].y > 0) {
+                    upY += f[0].y;
+                } else {
+                    downY += f[0].y;
+                }
+            }
+        });
+        value.y0 = value.y < 0 ? downY : upY;
+    });
+};
+/**
+ * Adds the colors, labels etc. to each of the data point values provided.
+ * For category X Axis, data points are ordered by the tick values so that the area connects band to band.
+ * @private
+ * @param {Object} graphConfig - config object of Graph API
+ * @param {Object} dataTarget - Data points object
+ * @throws {module:errors.THROW_MSG_INVALID_FORMAT_TYPE}
+ * @throws {module:errors.THROW_MSG_INVALID_CATEGORY_VALUE}
+ * @returns {Array} List of data point subsets
+ */
+const getInternalValues = (graphConfig, dataTarget) => {
+    const type = graphConfig.axis.x.type;
+    const getXDataValues = (x) => {
+        if (!isValidAxisType(x, type)) {
+            throw new Error(errors.THROW_MSG_INVALID_FORMAT_TYPE);
+        }
+        if (!isValidCategory(x, graphConfig.axis.x)) {
+            throw new Error(errors.THROW_MSG_INVALID_CATEGORY_VALUE);
+        }
+        return parseTypedValue(x, type);
+    };
+    const internalValues = dataTarget.values.map((value) => ({
+        x: getXDataValues(value.x),
+        y: value.y,
+        y0: 0,
+        color: dataTarget.color || constants.DEFAULT_COLOR,
+        label: dataTarget.label || {},
+        yAxis: dataTarget.yAxis || constants.Y_AXIS,
+        key: dataTarget.key
+    }));
+    if (type === AXIS_TYPE.CATEGORY) {
+        const categories = graphConfig.axis.x.ticks.values;
+        internalValues.sort(
+            (a, b) => categories.indexOf(a.x) - categories.indexOf(b.x)
+        );
+    }
+    return internalValues;
+};
+/**
+ * Processes the input JSON and adds the colors, labels etc. to each data points so that we
+ * can use them when rendering the area.
+ * @private
+ * @param {Object} graphConfig - config object of Graph API
+ * @param {Object} dataTarget - Data points object
+ * @returns {Object} dataTarget - Updated data target object
+ */
+const processDataPoints = (graphConfig, dataTarget) => {
+    // Update the interpolation type
+    dataTarget.interpolationType = getInterpolationType(dataTarget.type);
+
+    graphConfig.shownTargets.push(dataTarget.key);
+    dataTarget.internalValuesSubset = getInternalValues(
+        graphConfig,
+        dataTarget
+    );
+    return dataTarget;
+};
+/**
+ * Draws the filled area and the line along its top edge using the data point values.
+ * @private
+ * @param {Object} scale - d3 scale for Graph
+ * @param {Object} config - Graph config object derived from input JSON
+ * @param {Array} areaGroupSVG - d3 html element of the area group
+ * @returns {undefined} - returns nothing
+ */
+const drawDataAreas = (scale, config, areaGroupSVG) => {
+    const areaSVG = areaGroupSVG.append("g").classed(styles.area, true);
+    areaSVG
+        .append("path")
+        .classed(styles.areaPath, true)
+        .attr("d", (value) => createArea(scale, value))
+        .attr("style", (value) => `fill: ${getColorForTarget(value)};`)
+        .attr("aria-hidden", (value) =>
+            shouldHideArea(config.shownTargets, value)
+        )
+        .attr("aria-describedby", (target) => target.key);
+    areaSVG
+        .append("path")
+        .classed(styles.areaLine, true)
+        .attr("d", (value) => createAreaLine(scale, value))
+        .attr("style", (value) => `stroke: ${getColorForTarget(value)};`)
+        .attr("aria-hidden", (value) =>
+            shouldHideArea(config.shownTargets, value)
+        )
+        .attr("aria-describedby", (target) => target.key);
+};
+/**
+ * Draws the Area graph on the canvas element.
+ * @private
+ * @param {Object} scale - d3 scale taking into account the input parameters
+ * @param {Object} config - config object derived from input JSON
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @param {Object} dataTarget - Data points object
+ * @returns {undefined} - returns nothing
+ */
+const draw = (scale, config, canvasSVG, dataTarget) => {
+    const areaGroupSVG = canvasSVG
+        .append("g")
+        .classed(styles.areaGraphContent, true)
+        .attr("clip-path", `url(#${config.clipPathId})`)
+        .attr("aria-hidden", shouldHideArea(config.shownTargets, dataTarget))
+        .attr("aria-describedby", dataTarget.key)
+        .append("g")
+        .classed(styles.currentAreasGroup, true)
+        .attr(
+            "transform",
+            `translate(${getXAxisXPosition(config)},${calculateVerticalPadding(
+                config
+            )})`
+        );
+    const areaPath = areaGroupSVG
+        .selectAll(`.${styles.area}`)
+        .data([dataTarget]);
+    drawDataAreas(scale, config, areaPath.enter());
+    areaPath
+        .exit()
+        .transition()
+        .call(constants.d3Transition)
+        .remove();
+};
+/**
+ * Called on resize, transitions the area and the line along its top edge, of a data set.
+ * @private
+ * @param {Object} scale - d3 scale for Graph
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @param {Object} dataTarget - Data points object
+ * @returns {undefined} - returns nothing
+ */
+const translateAreaGraph = (scale, canvasSVG, dataTarget) => {
+    const areaSVG = canvasSVG.select(
+        `.${styles.areaGraphContent}[aria-describedby="${dataTarget.key}"] .${styles.area}`
+    );
+    areaSVG
+        .select(`.${styles.areaPath}`)
+        .transition()
+        .call(constants.d3Transition)
+        .attr("d", (value) => createArea(scale, value));
+    areaSVG
+        .select(`.${styles.areaLine}`)
+        .transition()
+        .call(constants.d3Transition)
+        .attr("d", (value) => createAreaLine(scale, value));
+};
+/**
+ * Updates the area of a data set in place, once the content is updated.
+ * Updated data point values are bound to the area, which is then transitioned to them on resize.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @param {Object} dataTarget - Data points object
+ * @returns {undefined} - returns nothing
+ */
+const updateAreaGraph = (config, canvasSVG, dataTarget) => {
+    const areaSVG = canvasSVG
+        .select(
+            `.${styles.areaGraphContent}[aria-describedby="${dataTarget.key}"]`
+        )
+        .select(`.${styles.currentAreasGroup}`)
+        .selectAll(`.${styles.area}`)
+        .data([dataTarget]);
+    areaSVG
+        .select(`.${styles.areaPath}`)
+        .attr("style", (value) => `fill: ${getColorForTarget(value)};`)
+        .attr("aria-hidden", (value) =>
+            shouldHideArea(config.shownTargets, value)
+        );
+    areaSVG
+        .select(`.${styles.areaLine}`)
+        .attr("style", (value) => `stroke: ${getColorForTarget(value)};`)
+        .attr("aria-hidden", (value) =>
+            shouldHideArea(config.shownTargets, value)
+        );
+};
+/**
+ * Handler for Request animation frame, executes on resize.
+ *  * Order of execution
+ *      * Redraws the content
+ *      * Shows/hides the regions
+ *      * Resizes the graph, so that areas stacked on top are transitioned to their updated offsets
+ * @private
+ * @param {Object} graphContext - Graph instance
+ * @param {Area} control - Area instance
+ * @param {Object} config - Graph config object derived from input JSON
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @returns {function()} callback function handler for RAF
+ */
+const onAnimationHandler = (graphContext, control, config, canvasSVG) => () => {
+    control.redraw(graphContext);
+    processRegions(config.shownTargets, canvasSVG);
+    graphContext.resize();
+};
+/**
+ * Click handler for legend item. Removes the area from graph when clicked and calls redraw
+ * @private
+ * @param {Object} graphContext - Graph instance
+ * @param {Area} control - Area instance
+ * @param {Object} config - Graph config object derived from input JSON
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @returns {function} - returns callback function that handles click action on legend item
+ */
+const clickHandler = (graphContext, control, config, canvasSVG) => (
+    element,
+    item
+) => {
+    const updateShownTarget = (shownTargets, item) => {
+        const index = shownTargets.indexOf(item.key);
+        if (index > -1) {
+            shownTargets.splice(index, 1);
+        } else {
+            shownTargets.push(item.key);
+        }
+    };
+    legendClickHandler(element);
+    updateShownTarget(config.shownTargets, item);
+    canvasSVG
+        .selectAll(`path[aria-describedby="${item.key}"]`)
+        .attr("aria-hidden", true);
+    window.requestAnimationFrame(
+        onAnimationHandler(graphContext, control, config, canvasSVG)
+    );
+};
+/**
+ * Hover handler for legend item. Highlights current area and blurs the rest of the targets in Graph
+ * if present.
+ * @private
+ * @param {Array} graphTargets - List of all the items in the Graph
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @returns {function} - returns callback function that handles hover action on legend item
+ */
+const hoverHandler = (graphTargets, canvasSVG) => (item, state) => {
+    legendHoverHandler(graphTargets, canvasSVG, item.key, state, []);
+    // Highlight the area of the item hovered on
+    canvasSVG
+        .selectAll(`path[aria-describedby="${item.key}"]`)
+        .classed(styles.highlight, state === constants.HOVER_EVENT.MOUSE_ENTER);
+
+    // Highlight region(s) of the item hovered on, only if the content is currently displayed
+    regionLegendHoverHandler(graphTargets, canvasSVG, item.key, state);
+};
+/**
+ * A callback that will be sent to Graph class so that when graph is
+ * created the Graph API will execute this callback function and the legend
+ * items are loaded.
+ * @private
+ * @param {Object} config - Graph config object derived from input JSON
+ * @param {Object} eventHandlers - Object containing click and hover event handlers for legend item
+ * @param {Object} dataTarget - Data points object
+ * @param {Object} legendSVG - d3 element that will be need to render the legend
+ * items into.
+ * @returns {undefined} - returns nothing
+ */
+const prepareLegendItems = (config, eventHandlers, dataTarget, legendSVG) => {
+    if (dataTarget.label && dataTarget.label.display && legendSVG) {
+        loadLegendItem(
+            legendSVG,
+            dataTarget,
+            config.shownTargets,
+            eventHandlers
+        );
+    }
+};
+/**
+ * CLear the area currently rendered
+ * @private
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @param {Object} dataTarget - Data points object
+ * @returns {Object} - d3 select object
+ */
+const clear = (canvasSVG, dataTarget) =>
+    d3RemoveElement(canvasSVG, `g[aria-describedby="${dataTarget.key}"]`);
+
+export {
+    createArea,
+    createAreaLine,
+    draw,
+    translateAreaGraph,
+    updateAreaGraph,
+    setGroupName,
+    setStackOffset,
+    processDataPoints,
+    clickHandler,
+    hoverHandler,
+    prepareLegendItems,
+    clear
+};
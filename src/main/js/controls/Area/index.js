@@ -0,0 +1,3 @@
+import Area from "./Area";
+
+export { Area as default };
@@ -2,11 +2,17 @@
 import { GraphContent } from "../../core";
 import { getDefaultValue } from "../../core/BaseConfig";
 import constants from "../../helpers/constants";
+import { getValuesWithErrorBounds } from "../../helpers/errorBar";
 import {
     prepareLabelShapeItem,
-    removeLabelShapeItem
+    removeLabelShapeItem,
+    updateLabelShapeItem
 } from "../../helpers/label";
-import { removeLegendItem } from "../../helpers/legend";
+import {
+    removeLegendItem,
+    restoreShownTargets,
+    updateLegendItem
+} from "../../helpers/legend";
 import styles from "../../helpers/styles";
 import utils from "../../helpers/utils";
 import BarConfig from "./BarConfig";
@@ -16,7 +22,9 @@ import {
     draw,
     prepareLegendItems,
     processDataPoints,
-    setGroupName
+    setAxisInfoRowLabelWidth,
+    setGroupName,
+    updateBarGraph
 } from "./helpers/creationHelpers";
 import { processGoalLines, translateRegion } from "./helpers/goalLineHelpers";
 import { clickHandler, hoverHandler } from "./helpers/legendHelpers";
@@ -31,15 +39,20 @@ import {
 } from "./helpers/translateHelpers";
 
 /**
- * Calculates the min and max values for Y Axis or Y2 Axis
+ * Calculates the min and max values for Y Axis or Y2 Axis.
+ * Bounds of the error for each data point are included, so that the error bars fit within the domain.
  * @private
  * @param {Array} values - Datapoint values
  * @param {string} axis - y or y2
  * @returns {Object} - Contains min and max values for the data points
  */
 const calculateValuesRange = (values, axis = constants.Y_AXIS) => {
-    const min = Math.min(...values.map((i) => i.y));
-    const max = Math.max(...values.map((i) => i.y));
+    const yAxisValuesList = values.reduce(
+        (list, i) => list.concat(getValuesWithErrorBounds(i)),
+        []
+    );
+    const min = Math.min(...yAxisValuesList);
+    const max = Math.max(...yAxisValuesList);
     return {
         [axis]: {
             min: min < 0 ? min : 0,
@@ -85,6 +98,7 @@ const initConfig = (control) => {
  * Lifecycle functions include:
  *  * Load
  *  * Generate
+ *  * Update
  *  * Unload
  *  * Destroy
  * @module Bar
@@ -151,6 +165,53 @@ class Bar extends GraphContent {
         return this;
     }
 
+    /**
+     * @inheritDoc
+     */
+    update(graph, input) {
+        const hiddenTargets = [this.dataTarget.key].filter(
+            (key) => graph.config.shownTargets.indexOf(key) < 0
+        );
+        this.config = loadInput(
+            Object.assign({}, this.config, input, {
+                key: this.config.key,
+                yAxis: this.config.yAxis,
+                group: this.config.group
+            })
+        );
+        this.config.axisPadding = false;
+        this.valuesRange = calculateValuesRange(
+            this.config.values,
+            this.config.yAxis
+        );
+        removeAxisInfoRowLabels(
+            graph.svg.select(`.${styles.axisInfoRow}`),
+            this.dataTarget.key
+        );
+        clearSelectionDatum(graph.svg, this.dataTarget.key);
+        this.dataTarget = processDataPoints(graph.config, this.config);
+        restoreShownTargets(graph.config.shownTargets, hiddenTargets);
+        updateBarGraph(
+            graph.scale,
+            this.ordinalScale,
+            graph.config,
+            graph.svg,
+            this.dataTarget
+        );
+        updateSelectionBars(
+            this.dataTarget.internalValuesSubset,
+            graph.svg,
+            graph.config
+        );
+        updateLegendItem(graph.legendSVG, this.dataTarget);
+        updateLabelShapeItem(
+            graph.config,
+            this.dataTarget,
+            graph.axesLabelShapeGroup[this.config.yAxis]
+        );
+        return this;
+    }
+
     /**
      * @inheritDoc
      */
@@ -165,6 +226,7 @@ class Bar extends GraphContent {
             graph.svg.select(`.${styles.axisInfoRow}`),
             this.dataTarget.key
         );
+        setAxisInfoRowLabelWidth(graph.config, this.dataTarget.key);
         clearSelectionDatum(graph.svg, this.dataTarget.key);
         initConfig(this);
         return this;
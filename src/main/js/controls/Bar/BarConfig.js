@@ -1,5 +1,6 @@
 "use strict";
 import BaseConfig, { validateBaseInput } from "../../core/BaseConfig";
+import { validateErrorValues } from "../../helpers/errorBar";
 import utils from "../../helpers/utils";
 
 /**
@@ -41,6 +42,7 @@ class BarConfig extends BaseConfig {
      */
     validateInput() {
         validateBaseInput(this.input);
+        validateErrorValues(this.input.values);
         return this;
     }
 
@@ -4,6 +4,7 @@ import { Shape } from "../../../core";
 import { getDefaultSVGProps } from "../../../core/Shape";
 import {
     getAxisLabelWidth,
+    isHorizontalOrientation,
     isXAxisOrientationTop
 } from "../../../helpers/axis";
 import constants, { AXIS_TYPE } from "../../../helpers/constants";
@@ -48,13 +49,13 @@ const createAxisInfoRowLabel = (
         .datum(textLabelList.value)
         .append("g")
         .classed(styles.axisInfoRowItem, true)
-        .attr("text-anchor", "middle")
+        .attr(
+            "text-anchor",
+            isHorizontalOrientation(config) ? "start" : "middle"
+        )
         .attr(
             "transform",
-            `translate(${getTextLabelsXPosition(
-                attributeHelper,
-                textLabelList
-            )}, ${getTextLabelsYPosition(config)})`
+            getTextLabelsTransform(config, attributeHelper, textLabelList)
         )
         .attr("aria-describedby", `text_label_${uniqueKey}`)
         .attr("aria-hidden", config.shownTargets.indexOf(uniqueKey) < 0)
@@ -74,14 +75,7 @@ const createAxisInfoRowLabel = (
             .classed(styles.axisInfoRowIcon, true)
             .attr(
                 "transform",
-                `translate(${-(
-                    getAxisLabelWidth(
-                        getTextLabel(
-                            textLabelList.value.label.display,
-                            textLabelList.value.characterCount
-                        )
-                    ) / 2
-                ) - constants.TEXT_LABEL_ICON_WIDTH_PADDING}, 
+                `translate(${getTextLabelIconXPosition(config, textLabelList)}, 
                 ${-constants.TEXT_LABEL_ICON_HEIGHT_PADDING})`
             );
         addTextLabelIcon(axisInfoRow, config, textLabelList, uniqueKey);
@@ -180,7 +174,8 @@ const addTextLabelString = (axisInfoRow, config, textLabelList, uniqueKey) => {
             )
             .attr(
                 "dy",
-                isXAxisOrientationTop(config.axis.x.orientation)
+                isXAxisOrientationTop(config.axis.x.orientation) ||
+                    isHorizontalOrientation(config)
                     ? config.axisLabelHeights.x
                     : -config.axisLabelHeights.x
             );
@@ -222,6 +217,76 @@ const getTextLabelsYPosition = (config) =>
         ? constants.TEXT_LABEL_VERTICAL_POSITION.bottom // axis info row orientation is bottom
         : constants.TEXT_LABEL_VERTICAL_POSITION.top; // axis info row orientation is top
 
+/**
+ * Translation for the text label within the axis info row.
+ * In horizontal orientation, axis info row is rendered beside the graph, hence the text label is
+ * positioned vertically at the center of the bar and starts after the space for its icon.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @param {Object} attributeHelper - contains methods for calculating x, y, height, width.
+ * @param {Array} textLabelList - list of text labels
+ * @param {number} [index] - data point index
+ * @returns {string} transform attribute for the text label
+ */
+const getTextLabelsTransform = (
+    config,
+    attributeHelper,
+    textLabelList,
+    index
+) =>
+    isHorizontalOrientation(config)
+        ? `translate(${2 *
+              constants.TEXT_LABEL_ICON_WIDTH_PADDING}, ${getTextLabelsXPosition(
+              attributeHelper,
+              textLabelList,
+              index
+          ) + constants.TEXT_LABEL_ICON_HEIGHT_PADDING})`
+        : `translate(${getTextLabelsXPosition(
+              attributeHelper,
+              textLabelList,
+              index
+          )}, ${getTextLabelsYPosition(config)})`;
+/**
+ * X position for the text label icon, relative to the text label.
+ * Icon is placed before the text label, which is centered in vertical orientation
+ * and starts at the text label position in horizontal orientation.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @param {Array} textLabelList - list of text labels
+ * @returns {number} X position for the text label icon
+ */
+const getTextLabelIconXPosition = (config, textLabelList) =>
+    isHorizontalOrientation(config)
+        ? -constants.TEXT_LABEL_ICON_WIDTH_PADDING
+        : -(
+              getAxisLabelWidth(
+                  getTextLabel(
+                      textLabelList.value.label.display,
+                      textLabelList.value.characterCount
+                  )
+              ) / 2
+          ) - constants.TEXT_LABEL_ICON_WIDTH_PADDING;
+/**
+ * Width of the widest axis info row label along with the space for its icon.
+ * Used to make room for the axis info row beside the graph in horizontal orientation.
+ * @private
+ * @param {Array} axisInfoRowList - list of text labels
+ * @returns {number} Width of the axis info row labels
+ */
+const getAxisInfoRowLabelWidth = (axisInfoRowList) =>
+    d3.max(axisInfoRowList, (textLabel) =>
+        d3.max(
+            [
+                textLabel.value.label.display,
+                textLabel.value.label.secondaryDisplay
+            ].filter((label) => utils.notEmpty(label)),
+            (label) =>
+                getAxisLabelWidth(
+                    getTextLabel(label, textLabel.value.characterCount)
+                )
+        )
+    ) +
+    2 * constants.TEXT_LABEL_ICON_WIDTH_PADDING;
 /**
  * Adds svg element for each text label.
  * @private
@@ -264,6 +329,8 @@ const removeAxisInfoRowLabels = (axisInfoRowSVG, key) =>
 
 export {
     createAxisInfoRowLabel,
+    getAxisInfoRowLabelWidth,
+    getTextLabelsTransform,
     getTextLabelsYPosition,
     getTextLabelsXPosition,
     removeAxisInfoRowLabels
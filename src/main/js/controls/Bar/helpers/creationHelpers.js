@@ -1,9 +1,10 @@
 "use strict";
 import d3 from "d3";
-import { getType } from "../../../core/BaseConfig";
+import { parseTypedValue } from "../../../core/BaseConfig";
 import {
     calculateVerticalPadding,
     getAxisLabelHeight,
+    isHorizontalOrientation,
     isValidAxisType
 } from "../../../helpers/axis";
 import { getBarStyle, getHashedBar, getRect } from "../../../helpers/barType";
@@ -12,12 +13,21 @@ import constants, {
     COLORS,
     SHAPES
 } from "../../../helpers/constants";
+import {
+    getErrorBarPath,
+    getErrorBounds,
+    hasErrorBounds
+} from "../../../helpers/errorBar";
 import errors from "../../../helpers/errors";
 import { loadLegendItem } from "../../../helpers/legend";
 import styles from "../../../helpers/styles";
+import { bindTooltip } from "../../../helpers/tooltip";
 import utils from "../../../helpers/utils";
 import { d3RemoveElement } from "../../Graph/helpers/helpers";
-import { createAxisInfoRowLabel } from "./axisInfoRowHelpers";
+import {
+    createAxisInfoRowLabel,
+    getAxisInfoRowLabelWidth
+} from "./axisInfoRowHelpers";
 import { createRegion } from "./goalLineHelpers";
 import { drawSelectionBars, getSelectedData } from "./selectionHelpers";
 
@@ -122,18 +132,20 @@ const hasMissingAxisInfoRowLabelDisplay = (inputAxisInfoRow) =>
  * @returns {Object} dataTarget - Updated data target object
  */
 const setDataPoints = (graphConfig, dataTarget) => {
-    const type = graphConfig.axis.x.type;
-    const getXDataValues = (x) => {
-        if (getType(type) === AXIS_TYPE.TIME_SERIES) {
-            return utils.parseDateTime(x);
-        }
-        return utils.getNumber(x);
-    };
+    const getXDataValues = (x) => parseTypedValue(x, graphConfig.axis.x.type);
+    setAxisInfoRowLabelWidth(
+        graphConfig,
+        dataTarget.key,
+        dataTarget.axisInfoRow
+    );
     if (utils.notEmpty(dataTarget.axisInfoRow)) {
         dataTarget.axisInfoRow.forEach(
             (axisInfoRowValue) => (axisInfoRowValue.group = dataTarget.group)
         );
-        if (!graphConfig.axisInfoRowLabelHeight) {
+        if (
+            !isHorizontalOrientation(graphConfig) &&
+            !graphConfig.axisInfoRowLabelHeight
+        ) {
             graphConfig.axisInfoRowLabelHeight = hasSecondaryDisplay(dataTarget)
                 ? getAxisLabelHeight("dummyString") * 2
                 : getAxisLabelHeight("dummyString");
@@ -143,28 +155,58 @@ const setDataPoints = (graphConfig, dataTarget) => {
     }
     dataTarget.internalValuesSubset = dataTarget.values.map((value) => {
         const isHashed = dataTarget.style ? dataTarget.style.isHashed : false;
-        return {
-            onClick: dataTarget.onClick,
-            x: getXDataValues(value.x),
-            y: value.y,
-            y0: 0,
-            color: dataTarget.color || COLORS.BLUE,
-            label: dataTarget.label,
-            yAxis: dataTarget.yAxis || constants.Y_AXIS,
-            key: dataTarget.key,
-            isHashed: value.style ? value.style.isHashed : isHashed,
-            style: getBarStyle(
-                value.style ? value.style : dataTarget.style,
-                dataTarget
-            ),
-            group: dataTarget.group
-        };
+        return Object.assign(
+            {
+                onClick: dataTarget.onClick,
+                x: getXDataValues(value.x),
+                y: value.y,
+                y0: 0,
+                color: dataTarget.color || COLORS.BLUE,
+                label: dataTarget.label,
+                yAxis: dataTarget.yAxis || constants.Y_AXIS,
+                key: dataTarget.key,
+                isHashed: value.style ? value.style.isHashed : isHashed,
+                style: getBarStyle(
+                    value.style ? value.style : dataTarget.style,
+                    dataTarget
+                ),
+                group: dataTarget.group
+            },
+            getErrorBounds(value)
+        );
     });
     // This square shape is used strictly for legend item
     dataTarget.shape = SHAPES.SQUARE;
     dataTarget.color = dataTarget.color || COLORS.BLUE;
     return dataTarget;
 };
+/**
+ * Makes room beside the graph for the axis info row labels, in horizontal orientation.
+ * Y2 Axis is not supported in horizontal orientation, hence the labels take its place.
+ * Room is made for the widest labels of the content loaded, hence it shrinks when the content with
+ * the widest labels is updated with shorter labels or unloaded.
+ * @private
+ * @param {Object} graphConfig - config object of Graph API
+ * @param {string} key - unique identifier of the content
+ * @param {Array} [axisInfoRow] - axis info row of the content, not provided when the content is unloaded
+ * @returns {undefined} - returns nothing
+ */
+const setAxisInfoRowLabelWidth = (graphConfig, key, axisInfoRow) => {
+    if (!isHorizontalOrientation(graphConfig)) {
+        return;
+    }
+    if (utils.notEmpty(axisInfoRow)) {
+        graphConfig.axisInfoRowLabelWidths[key] = getAxisInfoRowLabelWidth(
+            axisInfoRow
+        );
+    } else {
+        delete graphConfig.axisInfoRowLabelWidths[key];
+    }
+    const labelWidth =
+        d3.max(d3.values(graphConfig.axisInfoRowLabelWidths)) || 0;
+    graphConfig.axisSizes.y2 += labelWidth - graphConfig.axisInfoRowLabelWidth;
+    graphConfig.axisInfoRowLabelWidth = labelWidth;
+};
 /**
  * Checks for the presence of secondary display inside axisInfoRow
  * @private
@@ -229,8 +271,7 @@ const draw = (scale, ordinalScale, config, canvasSVG, dataTarget) => {
         config,
         canvasSVG,
         bars.enter(),
-        dataTarget.regions,
-        dataTarget.axisInfoRow
+        dataTarget
     );
 };
 
@@ -261,7 +302,8 @@ const barAttributesHelper = (scale, ordinalScale) => {
             const groupOffset = ordinalScale.x1(d.group);
             return getXRange(d.x, groupOffset || 0) || 0;
         },
-        y: (d) => (d.y < 0 ? scale[d.yAxis](d.y0) : scale[d.yAxis](d.y + d.y0)),
+        // Bar spans from y0 to y + y0, top of the bar depends on the direction of the Y Axis
+        y: (d) => Math.min(scale[d.yAxis](d.y0), scale[d.yAxis](d.y + d.y0)),
         height: (d) => Math.abs(scale[d.yAxis](0) - scale[d.yAxis](+d.y)),
         width:
             ordinalScale.x1.rangeBand() *
@@ -269,6 +311,154 @@ const barAttributesHelper = (scale, ordinalScale) => {
     };
 };
 
+/**
+ * Positions a rect within the canvas using its attributes along the X and Y Axis.
+ * X Axis is rendered beside the graph in horizontal orientation, hence x and y, width and height are swapped.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @param {Object} attributes - x, y, width and height of the rect in vertical orientation
+ * @returns {Object} x, y, width and height of the rect within the canvas
+ */
+const getBarRect = (config, attributes) =>
+    isHorizontalOrientation(config)
+        ? {
+              x: attributes.y,
+              y: attributes.x,
+              width: attributes.height,
+              height: attributes.width
+          }
+        : attributes;
+/**
+ * Returns x, y, width and height of the bar for a data point within the canvas
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @param {Object} attributeHelper - Object that contains methods for calculating x, y, height, width
+ * @param {Object} dataPoint - data point value object
+ * @returns {Object} x, y, width and height of the bar
+ */
+const getDataPointBarRect = (config, attributeHelper, dataPoint) =>
+    getBarRect(config, {
+        x: attributeHelper.x(dataPoint),
+        y: attributeHelper.y(dataPoint),
+        width: attributeHelper.width,
+        height: attributeHelper.height(dataPoint)
+    });
+/**
+ * Returns the path of the error bar for a data point, centered on the bar.
+ * Bounds of the error are offset along with the bar, when stacked.
+ * @private
+ * @param {Object} scale - d3 scale for Graph
+ * @param {Object} config - config object derived from input JSON
+ * @param {Object} attributeHelper - Object that contains methods for calculating x, y, height, width
+ * @param {Object} dataPoint - data point value object
+ * @returns {string} svg path of the error bar
+ */
+const getDataPointErrorBarPath = (scale, config, attributeHelper, dataPoint) =>
+    getErrorBarPath(
+        attributeHelper.x(dataPoint) + attributeHelper.width / 2,
+        scale[dataPoint.yAxis](dataPoint.y0 + dataPoint.yLower),
+        scale[dataPoint.yAxis](dataPoint.y0 + dataPoint.yUpper),
+        isHorizontalOrientation(config)
+    );
+/**
+ * Renders a bar within its group, along with the error bar, regions and axis info row labels for the data point.
+ * @private
+ * @param {Object} scale - d3 scale for Graph
+ * @param {Object} ordinalScale - bar x-axis ordinal scale
+ * @param {Object} config - config object derived from input JSON
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @param {d3.selection} dataPointSVG - d3 object for the bar svg
+ * @param {Object} dataPoint - data point value object
+ * @param {number} index - data point index for the set
+ * @param {Object} dataTarget - Data points object containing regions and axis info row to be shown
+ * @returns {undefined} - returns nothing
+ */
+const drawDataBar = (
+    scale,
+    ordinalScale,
+    config,
+    canvasSVG,
+    dataPointSVG,
+    dataPoint,
+    index,
+    dataTarget
+) => {
+    const attributeHelper = barAttributesHelper(scale, ordinalScale);
+    const rect = getDataPointBarRect(config, attributeHelper, dataPoint);
+    const regionList = dataTarget.regions;
+    const axisInfoRowList = dataTarget.axisInfoRow;
+    const rectPath = dataPoint.isHashed
+        ? getHashedBar(
+              canvasSVG,
+              canvasSVG.append("defs"),
+              dataPointSVG,
+              rect.x,
+              rect.y,
+              rect.width,
+              rect.height,
+              dataPoint.style
+          ).selectAll("rect")
+        : getRect(dataPointSVG, rect.x, rect.y, rect.width, rect.height).attr(
+              "style",
+              `${dataPoint.style}`
+          );
+    rectPath
+        .attr("aria-describedby", dataPoint.key)
+        .classed(styles.taskBar, true)
+        .attr("aria-hidden", config.shownTargets.indexOf(dataPoint.key) < 0)
+        .attr("aria-disabled", !utils.isFunction(dataPoint.onClick))
+        .on("click", (value) => {
+            barActionHandler(
+                value,
+                index,
+                canvasSVG,
+                config.axis.x.type,
+                config.axis.x.ticks.values,
+                getSelectedData(canvasSVG, value, config)
+            );
+        });
+    if (hasErrorBounds(dataPoint)) {
+        dataPointSVG
+            .append("path")
+            .classed(styles.errorBar, true)
+            .attr(
+                "d",
+                getDataPointErrorBarPath(
+                    scale,
+                    config,
+                    attributeHelper,
+                    dataPoint
+                )
+            )
+            .attr("aria-hidden", config.shownTargets.indexOf(dataPoint.key) < 0)
+            .attr("aria-describedby", dataPoint.key);
+    }
+    bindTooltip(config, dataPointSVG, dataPoint, dataTarget);
+    if (utils.notEmpty(regionList)) {
+        const regions = regionList.filter((r) =>
+            utils.isEqual(r.x, dataPoint.x)
+        );
+        if (utils.notEmpty(regions)) {
+            createRegion(scale, config, dataPointSVG, regions, dataPoint.key);
+        }
+    }
+    if (utils.notEmpty(axisInfoRowList)) {
+        const textLabels = axisInfoRowList.filter((t) =>
+            utils.isEqual(t.x, dataPoint.x)
+        );
+        if (utils.notEmpty(textLabels)) {
+            createAxisInfoRowLabel(
+                ordinalScale,
+                scale,
+                config,
+                canvasSVG,
+                textLabels[0],
+                dataPoint.key,
+                axisInfoRowList.indexOf(textLabels[0])
+            );
+        }
+    }
+};
 /**
  * Creates a d3 svg bar
  * @private
@@ -277,8 +467,7 @@ const barAttributesHelper = (scale, ordinalScale) => {
  * @param {Object} config - config object derived from input JSON
  * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
  * @param {Object} barGroupSVG - d3 object for bar group svg
- * @param {Array} regionList - List of regions to be shown within graph
- * @param {Array} axisInfoRowList - List of text labels to be shown
+ * @param {Object} dataTarget - Data points object containing regions and axis info row to be shown
  * @returns {Object} d3 bar object
  */
 const drawDataBars = (
@@ -287,82 +476,93 @@ const drawDataBars = (
     config,
     canvasSVG,
     barGroupSVG,
-    regionList,
-    axisInfoRowList
-) => {
-    const attributeHelper = barAttributesHelper(scale, ordinalScale);
-    return barGroupSVG
+    dataTarget
+) =>
+    barGroupSVG
         .append("g")
         .classed(styles.bar, true)
         .each(function(dataPoint, index) {
-            const dataPointSVG = d3.select(this);
-            const rectPath = dataPoint.isHashed
-                ? getHashedBar(
-                      canvasSVG,
-                      canvasSVG.append("defs"),
-                      dataPointSVG,
-                      attributeHelper.x(dataPoint),
-                      attributeHelper.y(dataPoint),
-                      attributeHelper.width,
-                      attributeHelper.height(dataPoint),
-                      dataPoint.style
-                  ).selectAll("rect")
-                : getRect(
-                      dataPointSVG,
-                      attributeHelper.x(dataPoint),
-                      attributeHelper.y(dataPoint),
-                      attributeHelper.width,
-                      attributeHelper.height(dataPoint)
-                  ).attr("style", `${dataPoint.style}`);
-            rectPath
-                .attr("aria-describedby", dataPoint.key)
-                .classed(styles.taskBar, true)
-                .attr(
-                    "aria-hidden",
-                    config.shownTargets.indexOf(dataPoint.key) < 0
-                )
-                .attr("aria-disabled", !utils.isFunction(dataPoint.onClick))
-                .on("click", (value) => {
-                    barActionHandler(
-                        value,
-                        index,
-                        canvasSVG,
-                        config.axis.x.type,
-                        config.axis.x.ticks.values,
-                        getSelectedData(canvasSVG, value, config)
-                    );
-                });
-            if (utils.notEmpty(regionList)) {
-                const regions = regionList.filter((r) =>
-                    utils.isEqual(r.x, dataPoint.x)
-                );
-                if (utils.notEmpty(regions)) {
-                    createRegion(
-                        scale,
-                        config,
-                        dataPointSVG,
-                        regions,
-                        dataPoint.key
-                    );
-                }
-            }
-            if (utils.notEmpty(axisInfoRowList)) {
-                const textLabels = axisInfoRowList.filter((t) =>
-                    utils.isEqual(t.x, dataPoint.x)
-                );
-                if (utils.notEmpty(textLabels)) {
-                    createAxisInfoRowLabel(
-                        ordinalScale,
-                        scale,
-                        config,
-                        canvasSVG,
-                        textLabels[0],
-                        dataPoint.key,
-                        axisInfoRowList.indexOf(textLabels[0])
-                    );
-                }
-            }
+            drawDataBar(
+                scale,
+                ordinalScale,
+                config,
+                canvasSVG,
+                d3.select(this),
+                dataPoint,
+                index,
+                dataTarget
+            );
         });
+/**
+ * Returns the identifier used to join the bars of a data set when the content is updated.
+ * @private
+ * @param {Object} dataPoint - data point value object
+ * @returns {number|string} x value of the data point
+ */
+const getDataPointKey = (dataPoint) =>
+    utils.isDateInstance(dataPoint.x) ? dataPoint.x.getTime() : dataPoint.x;
+/**
+ * Updates the bars of a data set in place, once the content is updated.
+ * Bars are joined with the updated data point values using their x value:
+ *  New bars are drawn
+ *  Bars no longer present are removed
+ *  Existing bars are rendered again, with the size of their previous value
+ * Bars are then transitioned to the updated values on resize.
+ * @private
+ * @param {Object} scale - d3 scale taking into account the input parameters
+ * @param {Object} ordinalScale - bar x-axis ordinal scale
+ * @param {Object} config - config object derived from input JSON
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @param {Object} dataTarget - Data points
+ * @returns {undefined} - returns nothing
+ */
+const updateBarGraph = (scale, ordinalScale, config, canvasSVG, dataTarget) => {
+    const attributeHelper = barAttributesHelper(scale, ordinalScale);
+    const bars = canvasSVG
+        .select(
+            `.${styles.barGraphContent}[aria-describedby="${dataTarget.key}"]`
+        )
+        .select(`.${styles.currentBarsGroup}`)
+        .data([dataTarget])
+        .selectAll(`.${styles.bar}`)
+        .data(dataTarget.internalValuesSubset, getDataPointKey);
+    bars.each(function(dataPoint, index) {
+        const dataPointSVG = d3.select(this);
+        const previousRect = getDataPointBarRect(
+            config,
+            attributeHelper,
+            dataPointSVG.select("rect").datum()
+        );
+        dataPointSVG.selectAll("*").remove();
+        drawDataBar(
+            scale,
+            ordinalScale,
+            config,
+            canvasSVG,
+            dataPointSVG,
+            dataPoint,
+            index,
+            dataTarget
+        );
+        dataPointSVG
+            .selectAll(`rect[aria-describedby="${dataTarget.key}"]`)
+            .attr("x", previousRect.x)
+            .attr("y", previousRect.y)
+            .attr("width", previousRect.width)
+            .attr("height", previousRect.height);
+    });
+    drawDataBars(
+        scale,
+        ordinalScale,
+        config,
+        canvasSVG,
+        bars.enter(),
+        dataTarget
+    );
+    bars.exit()
+        .transition()
+        .call(constants.d3Transition)
+        .remove();
 };
 
 /**
@@ -486,13 +686,18 @@ const setSelectionIndicatorAttributes = (selectionPath, isSelected) => {
 export {
     processDataPoints,
     draw,
+    updateBarGraph,
     clear,
     setGroupName,
     prepareLegendItems,
     barAttributesHelper,
+    getBarRect,
+    getDataPointBarRect,
+    getDataPointErrorBarPath,
     getXAxisXPosition,
     setSelectionIndicatorAttributes,
     hasInvalidTicks,
     barActionHandler,
-    getSelectedData
+    getSelectedData,
+    setAxisInfoRowLabelWidth
 };
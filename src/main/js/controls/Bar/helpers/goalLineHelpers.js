@@ -1,5 +1,4 @@
 "use strict";
-import d3 from "d3";
 import { parseTypedValue } from "../../../core/BaseConfig";
 import { isValidAxisType } from "../../../helpers/axis";
 import constants from "../../../helpers/constants";
@@ -8,6 +7,7 @@ import { validateRegion } from "../../../helpers/region";
 import styles from "../../../helpers/styles";
 import { round2Decimals } from "../../../helpers/transformUtils";
 import utils from "../../../helpers/utils";
+import { getBarRect } from "./creationHelpers";
 
 /**
  * Calculates x-axis range for given region
@@ -31,14 +31,20 @@ const getXRange = (scale, ordinalScale, region) => {
 };
 /**
  * Validates the input object provided for the region
+ * Bar regions are rendered for a single X Axis tick, hence regions varying along the X Axis
+ * using breakpoints are not supported.
  * @private
  * @param {Object} region - Region to be shown within graph
  * @param {string} targetAxis - Axis for which region needs to be shown
  * @param {Array} ticks - x axis ticks array
  * @param {string} xAxisType - Graph x axis type
+ * @throws {module:errors.THROW_MSG_BAR_REGION_VALUES_NOT_SUPPORTED}
  * @returns {undefined} - returns nothing
  */
 const validateBarRegion = (region, targetAxis, ticks, xAxisType) => {
+    if (utils.notEmpty(region) && utils.isDefined(region.values)) {
+        throw new Error(errors.THROW_MSG_BAR_REGION_VALUES_NOT_SUPPORTED);
+    }
     validateRegion(region, targetAxis);
     if (utils.isEmpty(region.x) && !utils.isDateInstance(region.x)) {
         throw new Error(errors.THROW_MSG_BAR_REGION_EMPTY_X_VALUE);
@@ -115,12 +121,10 @@ const createRegion = (scale, config, regionGroupSVG, regionList, uniqueKey) => {
             "style",
             (d) => `fill: ${d.color || constants.DEFAULT_BAR_REGION_COLOR};`
         )
-        .attr(constants.X_AXIS, (d) => d.xRange | 0)
-        .attr(constants.Y_AXIS, getYAxisRangePosition(scale, config))
-        .attr("width", (d) => d.width | 0)
-        .attr("height", function(d) {
-            return getRegionHeight(d3.select(this), d, scale, config);
-        });
+        .attr(constants.X_AXIS, (d) => getRegionRect(scale, config, d).x)
+        .attr(constants.Y_AXIS, (d) => getRegionRect(scale, config, d).y)
+        .attr("width", (d) => getRegionRect(scale, config, d).width)
+        .attr("height", (d) => getRegionRect(scale, config, d).height);
     regionPath
         .exit()
         .transition()
@@ -138,14 +142,12 @@ const createRegion = (scale, config, regionGroupSVG, regionList, uniqueKey) => {
  */
 const translateRegion = (scale, config, regionGroupSVG) => {
     regionGroupSVG
-        .attr(constants.X_AXIS, (d) => d.xRange | 0)
-        .attr(constants.Y_AXIS, getYAxisRangePosition(scale, config))
+        .attr(constants.X_AXIS, (d) => getRegionRect(scale, config, d).x)
+        .attr(constants.Y_AXIS, (d) => getRegionRect(scale, config, d).y)
         .transition()
         .call(constants.d3Transition)
-        .attr("width", (d) => d.width | 0)
-        .attr("height", function(d) {
-            return getRegionHeight(d3.select(this), d, scale, config);
-        });
+        .attr("width", (d) => getRegionRect(scale, config, d).width)
+        .attr("height", (d) => getRegionRect(scale, config, d).height);
 };
 /**
  * Returns the region axis or "y" as default
@@ -155,36 +157,47 @@ const translateRegion = (scale, config, regionGroupSVG) => {
  */
 const getRegionAxis = (region) => region.axis || constants.Y_AXIS;
 /**
- * Returns the function which returns Y Axis Vertical position for Range
+ * Returns the position and length of the region along its axis.
+ * If start is not provided the region starts at the lower bound of the axis and
+ * if end is not provided the region ends at the upper bound of the axis.
+ * If start and end are the same then `constants.DEFAULT_REGION_GOAL_LINE_STROKE_WIDTH`
+ * worth of length is applied to make it seem like a goal line
  * @private
  * @param {Object} scale - d3 scale taking into account the input parameters
- * @returns {function(*=): number} Function which returns Y Axis Vertical position for Range
+ * @param {Object} bounds - Start and end values for region
+ * @returns {{position: number, length: number}} Position and length of the region
  */
-const getYAxisRangePosition = (scale) => (bounds) =>
-    bounds.end ? round2Decimals(scale[getRegionAxis(bounds)](bounds.end)) : 0;
+const getRegionRange = (scale, bounds) => {
+    const axisScale = scale[getRegionAxis(bounds)];
+    const range = axisScale.range();
+    const start = bounds.start
+        ? round2Decimals(axisScale(bounds.start))
+        : range[0];
+    const end = bounds.end ? round2Decimals(axisScale(bounds.end)) : range[1];
+    return {
+        position: Math.min(start, end),
+        length:
+            Math.abs(end - start) +
+            constants.DEFAULT_REGION_GOAL_LINE_STROKE_WIDTH
+    };
+};
 /**
- * Returns the height for range based on Y Axes, start and end bounds
- * If start and end bounds arent provided then a "goal line" number is returned with
- * height worth of padding top
+ * Returns x, y, width and height of the region within the canvas.
+ * Region spans the width of the bar along the X Axis and its range along the Y Axis.
  * @private
- * @param {Object} regionPath - d3 object of region svg
- * @param {Object} bounds - Start and end values for region
  * @param {Object} scale - d3 scale taking into account the input parameters
- * @param {object} config - config object derived from input JSON.
- * @returns {number} Height of the region for Y axes
+ * @param {Object} config - config object derived from input JSON
+ * @param {Object} region - Region to be shown within graph
+ * @returns {Object} x, y, width and height of the region
  */
-const getRegionHeight = (regionPath, bounds, scale, config) => {
-    const upperBound = utils.getNumber(regionPath.attr(constants.Y_AXIS));
-    const lowerBound = bounds.start
-        ? round2Decimals(scale[getRegionAxis(bounds)](bounds.start)) +
-          constants.DEFAULT_REGION_GOAL_LINE_STROKE_WIDTH
-        : config.height + constants.DEFAULT_REGION_GOAL_LINE_STROKE_WIDTH;
-    // If start and end are the same then `constants.DEFAULT_REGION_GOAL_LINE_STROKE_WIDTH`
-    // worth of height is applied to make it seem like a goal line
-    return (
-        lowerBound - upperBound ||
-        constants.DEFAULT_REGION_GOAL_LINE_STROKE_WIDTH
-    );
+const getRegionRect = (scale, config, region) => {
+    const regionRange = getRegionRange(scale, region);
+    return getBarRect(config, {
+        x: region.xRange | 0,
+        y: regionRange.position,
+        width: region.width | 0,
+        height: regionRange.length
+    });
 };
 
 export { processGoalLines, translateRegion, createRegion };
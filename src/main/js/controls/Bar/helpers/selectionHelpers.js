@@ -3,7 +3,11 @@ import { calculateVerticalPadding } from "../../../helpers/axis";
 import constants, { AXIS_TYPE } from "../../../helpers/constants";
 import styles from "../../../helpers/styles";
 import utils from "../../../helpers/utils";
-import { barAttributesHelper, getXAxisXPosition } from "./creationHelpers";
+import {
+    barAttributesHelper,
+    getBarRect,
+    getXAxisXPosition
+} from "./creationHelpers";
 
 const PADDING = constants.DEFAULT_BAR_SELECTION_PADDING;
 
@@ -173,15 +177,23 @@ const selectionAttributeHelper = (scale, ordinalScale, shownTargets, datum) => {
     const leftRange = utils.notEmpty(shownDatum)
         ? barAttributeHelper.x(shownDatum[0])
         : 0;
+    const getBottom = (d) =>
+        barAttributeHelper.y(d) + barAttributeHelper.height(d);
+    // Bars with maximum and minimum y are at the top and bottom respectively, unless the Y Axis is reversed
     const topRange = utils.notEmpty(shownDatum)
-        ? barAttributeHelper.y(shownDatum[maxYIndex])
+        ? Math.min(
+              barAttributeHelper.y(shownDatum[maxYIndex]),
+              barAttributeHelper.y(shownDatum[minYIndex])
+          )
         : 0;
     const rightRange = utils.notEmpty(shownDatum)
         ? barAttributeHelper.x(shownDatum[maxXIndex]) + barAttributeHelper.width
         : 0;
     const bottomRange = utils.notEmpty(shownDatum)
-        ? barAttributeHelper.y(shownDatum[minYIndex]) +
-          barAttributeHelper.height(shownDatum[minYIndex])
+        ? Math.max(
+              getBottom(shownDatum[maxYIndex]),
+              getBottom(shownDatum[minYIndex])
+          )
         : 0;
     return {
         x: () => (utils.notEmpty(shownDatum) ? leftRange - PADDING : 0),
@@ -199,6 +211,7 @@ const selectionAttributeHelper = (scale, ordinalScale, shownTargets, datum) => {
 
 /**
  * Transforms selection bars for all ticks in the Bar graph on resize
+ * Selection bars span the bars along the X Axis, hence they are positioned the same way as the bars.
  * @private
  * @param {Object} scale - d3 scale for Graph
  * @param {Object} ordinalScale - bar x-axis ordinal scale
@@ -214,14 +227,20 @@ const translateSelectBars = (scale, ordinalScale, canvasSVG, config) =>
             config.shownTargets,
             dataPoint.valueSubsetArray
         );
+        const rect = getBarRect(config, {
+            x: selectionAttrHelper.x(),
+            y: selectionAttrHelper.y(),
+            width: selectionAttrHelper.width(),
+            height: selectionAttrHelper.height()
+        });
         canvasSVG
             .select(`rect[aria-describedby=bar-selector-${i}]`)
             .transition()
             .call(constants.d3Transition)
-            .attr("x", selectionAttrHelper.x())
-            .attr("y", selectionAttrHelper.y())
-            .attr("height", selectionAttrHelper.height())
-            .attr("width", selectionAttrHelper.width());
+            .attr("x", rect.x)
+            .attr("y", rect.y)
+            .attr("height", rect.height)
+            .attr("width", rect.width);
     });
 
 export {
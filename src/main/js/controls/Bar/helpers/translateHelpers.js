@@ -1,14 +1,15 @@
 import constants from "../../../helpers/constants";
 import styles from "../../../helpers/styles";
+import { getTextLabelsTransform } from "./axisInfoRowHelpers";
 import {
-    getTextLabelsXPosition,
-    getTextLabelsYPosition
-} from "./axisInfoRowHelpers";
-import { barAttributesHelper } from "./creationHelpers";
+    barAttributesHelper,
+    getDataPointBarRect,
+    getDataPointErrorBarPath
+} from "./creationHelpers";
 import { translateSelectBars } from "./selectionHelpers";
 
 /**
- * Transforms bars for a data point set in the Bar graph on resize
+ * Transforms bars and their error bars for a data point set in the Bar graph on resize
  * @private
  * @param {Object} scale - d3 scale for Graph
  * @param {Object} ordinalScale - bar x-axis ordinal scale
@@ -26,14 +27,27 @@ const translateBarGraph = (
 ) => {
     const attributeHelper = barAttributesHelper(scale, ordinalScale);
     translateSelectBars(scale, ordinalScale, canvasSVG, config);
+    canvasSVG
+        .selectAll(`.${styles.errorBar}[aria-describedby=${dataTarget.key}]`)
+        .transition()
+        .call(constants.d3Transition)
+        .attr("d", (d) =>
+            getDataPointErrorBarPath(scale, config, attributeHelper, d)
+        );
     return canvasSVG
         .selectAll(`rect[aria-describedby=${dataTarget.key}]`)
         .transition()
         .call(constants.d3Transition)
-        .attr("x", (d) => attributeHelper.x(d))
-        .attr("y", (d) => attributeHelper.y(d))
-        .attr("width", attributeHelper.width)
-        .attr("height", (d) => attributeHelper.height(d));
+        .attr("x", (d) => getDataPointBarRect(config, attributeHelper, d).x)
+        .attr("y", (d) => getDataPointBarRect(config, attributeHelper, d).y)
+        .attr(
+            "width",
+            (d) => getDataPointBarRect(config, attributeHelper, d).width
+        )
+        .attr(
+            "height",
+            (d) => getDataPointBarRect(config, attributeHelper, d).height
+        );
 };
 
 /**
@@ -61,14 +75,13 @@ const translateTextLabel = (
         .selectAll(`g[aria-describedby="text_label_${dataTarget.key}"]`)
         .transition()
         .call(constants.d3Transition)
-        .attr(
-            "transform",
-            (d, index) =>
-                `translate(${getTextLabelsXPosition(
-                    attributeHelper,
-                    textLabelList,
-                    index
-                )}, ${getTextLabelsYPosition(config)})`
+        .attr("transform", (d, index) =>
+            getTextLabelsTransform(
+                config,
+                attributeHelper,
+                textLabelList,
+                index
+            )
         );
 };
 
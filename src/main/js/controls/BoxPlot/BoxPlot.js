@@ -0,0 +1,260 @@
+"use strict";
+import { GraphContent } from "../../core";
+import { getDefaultValue } from "../../core/BaseConfig";
+import constants from "../../helpers/constants";
+import {
+    prepareLabelShapeItem,
+    removeLabelShapeItem,
+    updateLabelShapeItem
+} from "../../helpers/label";
+import {
+    removeLegendItem,
+    restoreShownTargets,
+    updateLegendItem
+} from "../../helpers/legend";
+import {
+    createRegion,
+    hideAllRegions,
+    removeRegion,
+    shouldHideAllRegions,
+    translateRegion
+} from "../../helpers/region";
+import styles from "../../helpers/styles";
+import utils from "../../helpers/utils";
+import {
+    clear,
+    clickHandler,
+    hoverHandler,
+    prepareLegendItems
+} from "../Line/helpers/helpers";
+import {
+    draw,
+    getBoxPlotStatistics,
+    processDataPoints,
+    translateBoxPlotGraph
+} from "./helpers/helpers";
+import BoxPlotConfig from "./BoxPlotConfig";
+
+/**
+ * @typedef {Object} BoxPlot
+ * @typedef {Object} GraphContent
+ * @typedef {Object} BoxPlotConfig
+ */
+/**
+ * Calculates the min and max values for Y Axis or Y2 Axis.
+ * Range spans the whiskers and the outliers of all the boxes.
+ * @private
+ * @param {Array} values - Datapoint values
+ * @param {string} axis - y or y2
+ * @returns {Object} - Contains min and max values for the data points for Y and Y2 axis
+ */
+const calculateValuesRange = (values, axis = constants.Y_AXIS) => {
+    const yAxisValuesList = values
+        .map(getBoxPlotStatistics)
+        .reduce(
+            (acc, statistics) =>
+                acc.concat(statistics.min, statistics.max, statistics.outliers),
+            []
+        );
+    return {
+        [axis]: {
+            min: Math.min(...yAxisValuesList),
+            max: Math.max(...yAxisValuesList)
+        }
+    };
+};
+
+/**
+ * Data point sets can be loaded using this function.
+ * Load function validates, clones and stores the input onto a config object.
+ * @private
+ * @param {Object} inputJSON - Input JSON provided by the consumer
+ * @returns {Object} BoxPlotConfig config object containing consumer data
+ */
+const loadInput = (inputJSON) =>
+    new BoxPlotConfig()
+        .setInput(inputJSON)
+        .validateInput()
+        .clone()
+        .getConfig();
+
+/**
+ * A Box plot graph is a graph used to represent the distribution of values for each X Axis value.
+ * Each data point is represented by a box spanning the first and third quartiles, a line for the median,
+ * whiskers extending to the min and max values and shapes for the outliers.
+ * Quartiles can either be provided or computed from raw samples.
+ *
+ * @example
+ *      -----     <- max
+ *        |
+ *    ---------   <- q3
+ *    |       |
+ *    |-------|   <- median
+ *    |       |
+ *    ---------   <- q1
+ *        |
+ *      -----     <- min
+ *        o       <- outlier
+ *
+ *
+ * Lifecycle functions include:
+ *  * Load
+ *  * Generate
+ *  * Update
+ *  * Unload
+ *  * Destroy
+ * @module BoxPlot
+ * @class BoxPlot
+ */
+class BoxPlot extends GraphContent {
+    /**
+     * @constructor
+     * @param {BoxPlotConfig} input - Input JSON instance created using GraphConfig
+     */
+    constructor(input) {
+        super();
+        this.config = loadInput(input);
+        this.config.yAxis = getDefaultValue(
+            this.config.yAxis,
+            constants.Y_AXIS
+        );
+        this.valuesRange = calculateValuesRange(
+            this.config.values,
+            this.config.yAxis
+        );
+        this.dataTarget = {};
+    }
+
+    /**
+     * @inheritDoc
+     */
+    load(graph) {
+        this.dataTarget = processDataPoints(graph.config, this.config);
+        draw(graph.scale, graph.config, graph.svg, this.dataTarget);
+        if (utils.notEmpty(this.dataTarget.regions)) {
+            createRegion(
+                graph.scale,
+                graph.config,
+                graph.svg.select(`.${styles.regionGroup}`),
+                this.dataTarget.regions,
+                `region_${this.dataTarget.key}`,
+                this.config.yAxis
+            );
+        }
+        prepareLegendItems(
+            graph.config,
+            {
+                clickHandler: clickHandler(
+                    graph,
+                    this,
+                    graph.config,
+                    graph.svg
+                ),
+                hoverHandler: hoverHandler(graph.config.shownTargets, graph.svg)
+            },
+            this.dataTarget,
+            graph.legendSVG
+        );
+        prepareLabelShapeItem(
+            graph.config,
+            this.dataTarget,
+            graph.axesLabelShapeGroup[this.config.yAxis]
+        );
+        return this;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    update(graph, input) {
+        const hiddenTargets = [this.dataTarget.key].filter(
+            (key) => graph.config.shownTargets.indexOf(key) < 0
+        );
+        this.config = loadInput(
+            Object.assign({}, this.config, input, {
+                key: this.config.key,
+                yAxis: this.config.yAxis
+            })
+        );
+        this.valuesRange = calculateValuesRange(
+            this.config.values,
+            this.config.yAxis
+        );
+        this.dataTarget = processDataPoints(graph.config, this.config);
+        restoreShownTargets(graph.config.shownTargets, hiddenTargets);
+        clear(graph.svg, this.dataTarget);
+        draw(graph.scale, graph.config, graph.svg, this.dataTarget);
+        removeRegion(
+            graph.svg.select(`.${styles.regionGroup}`),
+            this.dataTarget
+        );
+        if (utils.notEmpty(this.dataTarget.regions)) {
+            createRegion(
+                graph.scale,
+                graph.config,
+                graph.svg.select(`.${styles.regionGroup}`),
+                this.dataTarget.regions,
+                `region_${this.dataTarget.key}`,
+                this.config.yAxis
+            );
+        }
+        updateLegendItem(graph.legendSVG, this.dataTarget);
+        updateLabelShapeItem(
+            graph.config,
+            this.dataTarget,
+            graph.axesLabelShapeGroup[this.config.yAxis]
+        );
+        return this;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    unload(graph) {
+        clear(graph.svg, this.dataTarget);
+        removeRegion(
+            graph.svg.select(`.${styles.regionGroup}`),
+            this.dataTarget
+        );
+        removeLegendItem(graph.legendSVG, this.dataTarget);
+        removeLabelShapeItem(
+            graph.axesLabelShapeGroup[this.config.yAxis],
+            this.dataTarget
+        );
+        this.dataTarget = {};
+        this.config = {};
+        return this;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    resize(graph) {
+        if (
+            shouldHideAllRegions(
+                this.dataTarget.regions,
+                graph.config.shownTargets
+            )
+        ) {
+            hideAllRegions(graph.svg);
+        }
+        translateRegion(
+            graph.scale,
+            graph.config,
+            graph.svg.select(`.${styles.regionGroup}`)
+        );
+        translateBoxPlotGraph(graph.scale, graph.svg);
+        return this;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    redraw(graph) {
+        clear(graph.svg, this.dataTarget);
+        draw(graph.scale, graph.config, graph.svg, this.dataTarget);
+        return this;
+    }
+}
+
+export default BoxPlot;
@@ -0,0 +1,101 @@
+"use strict";
+import BaseConfig, { validateBaseInput } from "../../core/BaseConfig";
+import errors from "../../helpers/errors";
+import utils from "../../helpers/utils";
+
+/**
+ * Checks if the list provided is an array of numbers.
+ * @private
+ * @param {Array} list - list of values
+ * @returns {boolean} true if all values are numbers, false otherwise
+ */
+const isNumberList = (list) =>
+    utils.isArray(list) && list.every((v) => utils.isNumber(v));
+/**
+ * Checks if the precomputed quartiles are numbers in ascending order:
+ * min, q1, median, q3 and max. Outliers, if provided, need to be numbers.
+ * @private
+ * @param {Object} value - data point value provided in the input JSON
+ * @returns {boolean} true if quartiles are valid, false otherwise
+ */
+const hasValidQuartiles = (value) => {
+    const quartiles = [value.min, value.q1, value.median, value.q3, value.max];
+    return (
+        isNumberList(quartiles) &&
+        quartiles.every((v, i) => i === 0 || quartiles[i - 1] <= v) &&
+        (utils.isUndefined(value.outliers) || isNumberList(value.outliers))
+    );
+};
+/**
+ * Validates each data point value. A value needs to provide either
+ * raw samples, which need to be a non-empty list of numbers, or precomputed quartiles.
+ * @private
+ * @param {Array} values - data point values provided in the input JSON
+ * @throws {module:errors.THROW_MSG_INVALID_BOX_PLOT_VALUE}
+ * @returns {undefined} - returns nothing
+ */
+const validateBoxPlotValues = (values) => {
+    values.forEach((value) => {
+        const isValid = utils.isDefined(value.samples)
+            ? utils.notEmpty(value.samples) && isNumberList(value.samples)
+            : hasValidQuartiles(value);
+        if (!isValid) {
+            throw new Error(errors.THROW_MSG_INVALID_BOX_PLOT_VALUE);
+        }
+    });
+};
+
+/**
+ * API to parse consumer input for BoxPlot graph
+ *
+ * @class BoxPlotConfig
+ */
+class BoxPlotConfig extends BaseConfig {
+    /**
+     * @inheritDoc
+     */
+    constructor() {
+        super();
+        this.config = null;
+        this.input = null;
+    }
+
+    /**
+     * Returns the config object
+     * @returns {Object} config object
+     */
+    getConfig() {
+        return this.config;
+    }
+
+    /**
+     * Sets the input object
+     * @param {Object} inputJSON - Input JSON
+     * @returns {BoxPlotConfig} instance object
+     */
+    setInput(inputJSON) {
+        this.input = inputJSON;
+        return this;
+    }
+
+    /**
+     * Validates and verifies the input JSON object.
+     * @returns {BoxPlotConfig} instance object
+     */
+    validateInput() {
+        validateBaseInput(this.input);
+        validateBoxPlotValues(this.input.values);
+        return this;
+    }
+
+    /**
+     * Clones the input JSON into the config object
+     * @returns {BoxPlotConfig} instance object
+     */
+    clone() {
+        this.config = utils.deepClone(this.input);
+        return this;
+    }
+}
+
+export default BoxPlotConfig;
@@ -0,0 +1,384 @@
+"use strict";
+import d3 from "d3";
+import { Shape } from "../../../core";
+import { parseTypedValue } from "../../../core/BaseConfig";
+import { getDefaultSVGProps } from "../../../core/Shape";
+import {
+    calculateVerticalPadding,
+    getXAxisXPosition,
+    isValidAxisType,
+    isValidCategory
+} from "../../../helpers/axis";
+import constants, { AXIS_TYPE, SHAPES } from "../../../helpers/constants";
+import errors from "../../../helpers/errors";
+import styles from "../../../helpers/styles";
+import { bindTooltip } from "../../../helpers/tooltip";
+import { getTransformScale } from "../../../helpers/transformUtils";
+import utils from "../../../helpers/utils";
+import {
+    getColorForTarget,
+    getShapeForTarget
+} from "../../Graph/helpers/helpers";
+import {
+    dataPointActionHandler,
+    transformPoint
+} from "../../Line/helpers/helpers";
+
+/**
+ * Computes the quartiles for the raw samples provided.
+ * Quartiles are interpolated using d3 quantile. Whiskers extend to the most extreme samples
+ * within DEFAULT_BOX_PLOT_WHISKER_IQR_FACTOR times the interquartile range of the box,
+ * samples beyond the whiskers are outliers.
+ * @private
+ * @param {Array} samples - list of sample values
+ * @returns {Object} min, q1, median, q3, max and outliers
+ */
+const computeQuartiles = (samples) => {
+    const sorted = samples.slice().sort(d3.ascending);
+    const q1 = d3.quantile(sorted, 0.25);
+    const q3 = d3.quantile(sorted, 0.75);
+    const fence = (q3 - q1) * constants.DEFAULT_BOX_PLOT_WHISKER_IQR_FACTOR;
+    const isOutlier = (v) => v < q1 - fence || v > q3 + fence;
+    const inliers = sorted.filter((v) => !isOutlier(v));
+    return {
+        min: Math.min(q1, inliers[0]),
+        q1,
+        median: d3.quantile(sorted, 0.5),
+        q3,
+        max: Math.max(q3, inliers[inliers.length - 1]),
+        outliers: sorted.filter(isOutlier)
+    };
+};
+/**
+ * Returns the statistics needed to render a box for the data point value provided.
+ * Quartiles are computed if raw samples are provided, otherwise the precomputed values are used.
+ * @private
+ * @param {Object} value - data point value provided in the input JSON
+ * @returns {Object} min, q1, median, q3, max and outliers
+ */
+const getBoxPlotStatistics = (value) => {
+    if (utils.isDefined(value.samples)) {
+        return computeQuartiles(value.samples);
+    }
+    return {
+        min: value.min,
+        q1: value.q1,
+        median: value.median,
+        q3: value.q3,
+        max: value.max,
+        outliers: value.outliers || []
+    };
+};
+/**
+ * Adds the statistics, colors, labels etc. to each of the data point values provided.
+ * For category X Axis, data points are ordered by the tick values.
+ * @private
+ * @param {Object} graphConfig - config object of Graph API
+ * @param {Object} dataTarget - Data points object
+ * @throws {module:errors.THROW_MSG_INVALID_FORMAT_TYPE}
+ * @throws {module:errors.THROW_MSG_INVALID_CATEGORY_VALUE}
+ * @returns {Array} List of data point subsets
+ */
+const getInternalValues = (graphConfig, dataTarget) => {
+    const type = graphConfig.axis.x.type;
+    const getXDataValues = (x) => {
+        if (!isValidAxisType(x, type)) {
+            throw new Error(errors.THROW_MSG_INVALID_FORMAT_TYPE);
+        }
+        if (!isValidCategory(x, graphConfig.axis.x)) {
+            throw new Error(errors.THROW_MSG_INVALID_CATEGORY_VALUE);
+        }
+        return parseTypedValue(x, type);
+    };
+    const internalValues = dataTarget.values.map((value) =>
+        Object.assign(
+            {
+                onClick: dataTarget.onClick,
+                x: getXDataValues(value.x),
+                color: dataTarget.color || constants.DEFAULT_COLOR,
+                label: dataTarget.label || {},
+                shape: dataTarget.shape || SHAPES.CIRCLE,
+                yAxis: dataTarget.yAxis || constants.Y_AXIS,
+                key: dataTarget.key
+            },
+            getBoxPlotStatistics(value)
+        )
+    );
+    if (type === AXIS_TYPE.CATEGORY) {
+        const categories = graphConfig.axis.x.ticks.values;
+        internalValues.sort(
+            (a, b) => categories.indexOf(a.x) - categories.indexOf(b.x)
+        );
+    }
+    return internalValues;
+};
+/**
+ * Processes the input JSON and adds the statistics, colors, labels etc. to each data point so that we
+ * can use them when rendering the box.
+ * @private
+ * @param {Object} graphConfig - config object of Graph API
+ * @param {Object} dataTarget - Data points object
+ * @returns {Object} dataTarget - Updated data target object
+ */
+const processDataPoints = (graphConfig, dataTarget) => {
+    graphConfig.shownTargets.push(dataTarget.key);
+    dataTarget.internalValuesSubset = getInternalValues(
+        graphConfig,
+        dataTarget
+    );
+    return dataTarget;
+};
+/**
+ * Returns the position of the center of the box and the y co-ordinate function for a data point value.
+ * @private
+ * @param {Object} scale - d3 scale for Graph
+ * @param {Object} value - data point value object
+ * @returns {Object} x co-ordinate of the center, half width of the box and y co-ordinate function
+ */
+const getBoxPosition = (scale, value) => ({
+    x: scale.x(value.x),
+    halfWidth: constants.DEFAULT_BOX_PLOT_WIDTH / 2,
+    y: (v) => scale[value.yAxis](v)
+});
+/**
+ * Creates the path for the box, spanning from the first to the third quartile.
+ * @private
+ * @param {Object} scale - d3 scale for Graph
+ * @param {Object} value - data point value object
+ * @returns {string} svg path
+ */
+const createBox = (scale, value) => {
+    const box = getBoxPosition(scale, value);
+    return `M${box.x - box.halfWidth},${box.y(value.q3)}H${box.x +
+        box.halfWidth}V${box.y(value.q1)}H${box.x - box.halfWidth}Z`;
+};
+/**
+ * Creates the path for the median line across the box.
+ * @private
+ * @param {Object} scale - d3 scale for Graph
+ * @param {Object} value - data point value object
+ * @returns {string} svg path
+ */
+const createMedian = (scale, value) => {
+    const box = getBoxPosition(scale, value);
+    return `M${box.x - box.halfWidth},${box.y(value.median)}H${box.x +
+        box.halfWidth}`;
+};
+/**
+ * Creates the path for the whiskers, from the box to the min and max values, along with their caps.
+ * Caps are half the width of the box.
+ * @private
+ * @param {Object} scale - d3 scale for Graph
+ * @param {Object} value - data point value object
+ * @returns {string} svg path
+ */
+const createWhiskers = (scale, value) => {
+    const box = getBoxPosition(scale, value);
+    const cap = box.halfWidth / 2;
+    const createWhisker = (from, to) =>
+        `M${box.x},${box.y(from)}V${box.y(to)}M${box.x - cap},${box.y(
+            to
+        )}H${box.x + cap}`;
+    return `${createWhisker(value.q1, value.min)}${createWhisker(
+        value.q3,
+        value.max
+    )}`;
+};
+/**
+ * Updates the attributes for the rectangle which serves as a selection indicator for the box.
+ * The rectangle surrounds the box along with the whiskers.
+ * @private
+ * @param {Object} selectionPath - d3 selection node of the rectangle
+ * @param {Object} scale - d3 scale for Graph
+ * @param {Object} value - data point value object
+ * @returns {Object} d3 selection node of the rectangle
+ */
+const updateSelectionIndicatorAttributes = (selectionPath, scale, value) => {
+    const box = getBoxPosition(scale, value);
+    const padding = constants.DEFAULT_BOX_PLOT_SELECTION_PADDING;
+    return selectionPath
+        .attr("x", box.x - box.halfWidth - padding)
+        .attr("y", Math.min(box.y(value.min), box.y(value.max)) - padding)
+        .attr("width", box.halfWidth * 2 + padding * 2)
+        .attr(
+            "height",
+            Math.abs(box.y(value.max) - box.y(value.min)) + padding * 2
+        );
+};
+/**
+ * Draws the box, whiskers, median and outliers for a data point value.
+ *  Box, whiskers and median are rendered as paths with the color of the data set.
+ *  Outliers are rendered using the shape of the data set.
+ *  On click content callback function is called.
+ * @private
+ * @param {Object} scale - d3 scale for Graph
+ * @param {Object} config - Graph config object derived from input JSON
+ * @param {d3.selection} boxPath - d3 html element of the box
+ * @param {Object} value - data point value object
+ * @param {number} index - data point index for the set
+ * @param {Object} dataTarget - Data points object
+ * @returns {undefined} - returns nothing
+ */
+const drawBox = (scale, config, boxPath, value, index, dataTarget) => {
+    const isHidden = config.shownTargets.indexOf(value.key) < 0;
+    const renderPath = (cls, pathFn, svgStyles) =>
+        boxPath
+            .append("path")
+            .classed(cls, true)
+            .attr("d", pathFn(scale, value))
+            .attr("style", svgStyles)
+            .attr("aria-hidden", isHidden)
+            .attr("aria-describedby", value.key)
+            .attr("aria-disabled", !utils.isFunction(value.onClick))
+            .on("click", function() {
+                dataPointActionHandler(value, index, this);
+            });
+    const renderOutlier = (outlier) =>
+        boxPath
+            .append(() =>
+                new Shape(getShapeForTarget(value)).getShapeElement(
+                    getDefaultSVGProps({
+                        svgClassNames: `${styles.point} ${styles.boxPlotOutlier}`,
+                        svgStyles: `fill: ${getColorForTarget(value)};`,
+                        transformFn: transformPoint(scale)(outlier),
+                        onClickFn() {
+                            dataPointActionHandler(value, index, this);
+                        },
+                        a11yAttributes: {
+                            "aria-hidden": isHidden,
+                            "aria-describedby": value.key,
+                            "aria-disabled": !utils.isFunction(value.onClick)
+                        }
+                    })
+                )
+            )
+            .datum(outlier);
+    updateSelectionIndicatorAttributes(
+        boxPath
+            .append("rect")
+            .classed(styles.dataPointSelection, true)
+            .attr("rx", 3)
+            .attr("ry", 3)
+            .attr("aria-hidden", true)
+            .attr("aria-describedby", value.key),
+        scale,
+        value
+    );
+    renderPath(
+        styles.boxPlotWhisker,
+        createWhiskers,
+        `stroke: ${getColorForTarget(value)};`
+    );
+    renderPath(
+        styles.boxPlotBox,
+        createBox,
+        `fill: ${getColorForTarget(value)}; stroke: ${getColorForTarget(
+            value
+        )};`
+    );
+    renderPath(
+        styles.boxPlotMedian,
+        createMedian,
+        `stroke: ${getColorForTarget(value)};`
+    );
+    value.outliers.forEach((y) =>
+        renderOutlier({
+            x: value.x,
+            y,
+            yAxis: value.yAxis
+        })
+    );
+    bindTooltip(config, boxPath, value, dataTarget);
+};
+/**
+ * Draws the Box plot graph on the canvas element.
+ * Each data point value is rendered as a box group comprising of a selection indicator,
+ * whiskers, box, median and outliers.
+ * @private
+ * @param {Object} scale - d3 scale taking into account the input parameters
+ * @param {Object} config - config object derived from input JSON
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @param {Object} dataTarget - Data points object
+ * @returns {undefined} - returns nothing
+ */
+const draw = (scale, config, canvasSVG, dataTarget) => {
+    const boxPath = canvasSVG
+        .append("g")
+        .classed(styles.boxPlotGraphContent, true)
+        .attr("clip-path", `url(#${config.clipPathId})`)
+        .attr("aria-hidden", config.shownTargets.indexOf(dataTarget.key) < 0)
+        .attr("aria-describedby", dataTarget.key)
+        .append("g")
+        .classed(styles.currentBoxesGroup, true)
+        .attr(
+            "transform",
+            `translate(${getXAxisXPosition(config)},${calculateVerticalPadding(
+                config
+            )})`
+        )
+        .selectAll(`.${styles.boxPlot}`)
+        .data(dataTarget.internalValuesSubset);
+    boxPath
+        .enter()
+        .append("g")
+        .classed(styles.boxPlot, true)
+        .each(function(d, i) {
+            drawBox(scale, config, d3.select(this), d, i, dataTarget);
+        });
+    boxPath
+        .exit()
+        .transition()
+        .call(constants.d3Transition)
+        .remove();
+};
+/**
+ * Called on resize, translates the boxes.
+ * This includes:
+ *  Selection indicators
+ *  Whiskers
+ *  Boxes
+ *  Medians
+ *  Outliers
+ * @private
+ * @param {Object} scale - d3 scale for Graph
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @returns {undefined} - returns nothing
+ */
+const translateBoxPlotGraph = (scale, canvasSVG) => {
+    const translatePath = (cls, pathFn) =>
+        canvasSVG
+            .selectAll(`.${styles.boxPlotGraphContent} .${cls}`)
+            .transition()
+            .call(constants.d3Transition)
+            .attr("d", (d) => pathFn(scale, d));
+    canvasSVG
+        .selectAll(
+            `.${styles.boxPlotGraphContent} .${styles.dataPointSelection}`
+        )
+        .each(function(d) {
+            updateSelectionIndicatorAttributes(
+                d3
+                    .select(this)
+                    .transition()
+                    .call(constants.d3Transition),
+                scale,
+                d
+            );
+        });
+    translatePath(styles.boxPlotWhisker, createWhiskers);
+    translatePath(styles.boxPlotBox, createBox);
+    translatePath(styles.boxPlotMedian, createMedian);
+    canvasSVG
+        .selectAll(`.${styles.boxPlotGraphContent} .${styles.boxPlotOutlier}`)
+        .each(function(d) {
+            d3.select(this)
+                .selectAll("path")
+                .transition()
+                .call(constants.d3Transition)
+                .attr("transform", function() {
+                    return transformPoint(scale)(d)(getTransformScale(this));
+                });
+        });
+};
+
+export { getBoxPlotStatistics, draw, processDataPoints, translateBoxPlotGraph };
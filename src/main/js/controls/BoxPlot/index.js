@@ -0,0 +1,3 @@
+import BoxPlot from "./BoxPlot";
+
+export { BoxPlot as default };
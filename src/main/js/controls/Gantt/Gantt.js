@@ -4,8 +4,10 @@ import Construct from "../../core/Construct";
 import { getYAxisHeight } from "../../helpers/axis";
 import constants from "../../helpers/constants";
 import errors from "../../helpers/errors";
+import { exportGraph } from "../../helpers/export";
 import { createLegend } from "../../helpers/legend";
 import styles from "../../helpers/styles";
+import { createTooltip } from "../../helpers/tooltip";
 import utils from "../../helpers/utils";
 import GanttConfig, { processInput } from "./GanttConfig";
 import {
@@ -13,6 +15,13 @@ import {
     renderLegendItems
 } from "./helpers/actionHelpers";
 import { createDateline } from "../../helpers/dateline";
+import { createPeriodicShading } from "../../helpers/periodicShading";
+import {
+    getActivityDuration,
+    getDuration,
+    getEndDuration,
+    getStartDuration
+} from "./helpers/durationHelpers";
 import {
     attachEventHandlers,
     calculateAxesLabelSize,
@@ -25,6 +34,7 @@ import {
     createTrack,
     detachEventHandlers,
     determineHeight,
+    getYAxisYPosition,
     prepareLoadAtIndex,
     scaleGraph,
     updateAxesDomain
@@ -58,6 +68,50 @@ const setCanvasHeight = (config) =>
     (config.canvasHeight =
         getYAxisHeight(config) +
         (config.padding.bottom * 2 + config.padding.top) * 2);
+/**
+ * Returns the CSV rows for the tasks, activities, events and actions loaded in the gantt, used for export.
+ * Actions hidden using the legend are excluded.
+ * @private
+ * @param {Gantt} control - Gantt instance
+ * @returns {Array} list of objects, one per task, activity, event or action
+ */
+const getExportRows = (control) => {
+    const config = control.config;
+    return control.trackConfig.reduce((acc, track) => {
+        const trackConfig = track.config;
+        const getDurationRow = (type, durationHandler) => (item) => {
+            const duration = item.duration ? durationHandler(item.duration) : 0;
+            return {
+                track: trackConfig.key,
+                type,
+                key: item.key,
+                start: getStartDuration(duration, item.startDate, item.endDate),
+                end: getEndDuration(duration, item.startDate, item.endDate)
+            };
+        };
+        const getValueRows = (type) => (item) =>
+            item.values.map((value) => ({
+                track: trackConfig.key,
+                type,
+                key: item.key,
+                start: utils.parseDateTime(value)
+            }));
+        return acc.concat(
+            (trackConfig.tasks || []).map(getDurationRow("task", getDuration)),
+            (trackConfig.activities || []).map(
+                getDurationRow("activity", getActivityDuration)
+            ),
+            ...(trackConfig.events || []).map(getValueRows("event")),
+            ...(trackConfig.actions || [])
+                .filter(
+                    (action) =>
+                        !config.showActionLegend ||
+                        utils.hasValue(config.shownTargets, action.key)
+                )
+                .map(getValueRows("action"))
+        );
+    }, []);
+};
 /**
  * Data point sets can be loaded using this function.
  * Load function validates, clones and stores the input onto a config object.
@@ -109,6 +163,7 @@ const initConfig = (control) => {
     control.tracks = [];
     control.trackConfig = [];
     control.resizeHandler = null;
+    control.resizeObserver = null;
     return control;
 };
 /**
@@ -163,6 +218,7 @@ class Gantt extends Construct {
      * @description Since we dont have the concept of z-index in visualization,
      * the order of rendering should be following:
      *  * SVG container
+     *  * Periodic shading
      *  * Grid
      *  * X-Axis
      *  * Y-Axis
@@ -193,6 +249,12 @@ class Gantt extends Construct {
                     : this.config.canvasWidth - BASE_CANVAS_WIDTH_PADDING
             );
         createDefs(this.config, this.svg);
+        createPeriodicShading(
+            this.scale,
+            this.config,
+            this.svg,
+            getYAxisYPosition
+        );
         createGrid(this.axis, this.scale, this.config, this.svg);
         createContentContainer(this.config, this.svg);
         createAxes(this.axis, this.scale, this.config, this.svg);
@@ -223,6 +285,7 @@ class Gantt extends Construct {
                 )
             );
         }
+        createTooltip(this.config, containerSVG);
         attachEventHandlers(this);
         return this.svg;
     }
@@ -272,6 +335,29 @@ class Gantt extends Construct {
         return this;
     }
 
+    /**
+     * Updates the track loaded onto the graph in place, using the input provided.
+     * Input is merged onto the current input of the track and validated the same way, key of the
+     * track cannot be updated. The track retains its position within the graph.
+     * @param {string} key - unique identifier of the track to be updated
+     * @param {Object} input - properties of the track to be updated, such as tasks, activities, events, actions or trackLabel
+     * @throws {module:errors.THROW_MSG_INVALID_OBJECT_PROVIDED}
+     * @throws {module:errors.THROW_MSG_UNIQUE_LABEL_NOT_PROVIDED}
+     * @returns {Gantt} - Gantt instance
+     */
+    updateContent(key, input) {
+        const index = this.tracks.indexOf(key);
+        if (index < 0) {
+            throw new Error(errors.THROW_MSG_INVALID_OBJECT_PROVIDED);
+        }
+        this.trackConfig[index].update(this, input);
+        this.config.height = determineHeight(this.config);
+        setCanvasHeight(this.config);
+        this.resize();
+        this.trackConfig.forEach((control) => control.redraw(this));
+        return this;
+    }
+
     /**
      * Unloads the content from the graph.
      * The content serves as a 1to1 relationship. For rendering
@@ -294,6 +380,18 @@ class Gantt extends Construct {
         return this;
     }
 
+    /**
+     * Exports the rendered gantt as a standalone SVG string, a PNG data URL or
+     * a CSV string of the tasks, activities, events and actions currently shown.
+     * @param {Object} options - export options
+     * @param {string} options.format - svg, png or csv
+     * @returns {Promise} - resolves with the exported string, rejects with
+     * {module:errors.THROW_MSG_INVALID_EXPORT_FORMAT} when the format is invalid
+     */
+    export(options) {
+        return exportGraph(this, options, getExportRows);
+    }
+
     /**
      * Destroys the graph: Container and canvas.
      * @returns {Gantt} - Gantt instance
@@ -7,6 +7,11 @@ import errors from "../../helpers/errors";
 import utils from "../../helpers/utils";
 import { DEFAULT_LOCALE } from "../../locale/index";
 import { validateDateline } from "../../helpers/dateline";
+import {
+    processPeriodicShading,
+    validatePeriodicShading
+} from "../../helpers/periodicShading";
+import { getTooltipConfig, validateTooltip } from "../../helpers/tooltip";
 
 /**
  * Validates the newly added task into the graph before rendering
@@ -163,12 +168,18 @@ export const processInput = (input, config) => {
         input.throttle,
         constants.RESIZE_THROTTLE
     );
+    config.observeResize = getDefaultValue(input.observeResize, false);
     config.dateline = getDefaultValue(utils.deepClone(input.dateline), []);
+    config.periodicShading = processPeriodicShading(
+        utils.deepClone(input.periodicShading),
+        input.locale
+    );
     config.actionLegend = getDefaultValue(
         utils.deepClone(input.actionLegend),
         []
     );
     config.showActionLegend = getDefaultValue(input.showActionLegend, false);
+    config.tooltip = getTooltipConfig(input.tooltip);
     config.axis.x = Object.assign(_axis.x, {
         type: AXIS_TYPE.TIME_SERIES,
         show: getDefaultValue(_axis.x.show, true),
@@ -241,6 +252,8 @@ class GanttConfig extends BaseConfig {
      * @throws {module:errors.THROW_MSG_NO_AXIS_INFO}
      * @throws {module:errors.THROW_MSG_NO_AXIS_LIMIT_INFO}
      * @throws {module:errors.THROW_MSG_INVALID_AXIS_TYPE_VALUES}
+     * @throws {module:errors.THROW_MSG_INVALID_CALLBACK_FUNCTION}
+     * @throws {module:errors.THROW_MSG_INVALID_PERIODIC_SHADING}
      * @returns {GanttConfig} instance object
      */
     validateInput() {
@@ -274,6 +287,8 @@ class GanttConfig extends BaseConfig {
                 validateDateline(dateline);
             });
         }
+        validatePeriodicShading(this.input.periodicShading, this.input.locale);
+        validateTooltip(this.input.tooltip);
         return this;
     }
 
@@ -15,6 +15,7 @@ import { loadActivities, unloadActivities } from "./helpers/activityHelpers";
 import {
     createTrackContainer,
     removeTrackContainer,
+    updateTrackListItem,
     updateTrackProps
 } from "./helpers/creationHelpers";
 import { loadEvents, unloadEvents } from "./helpers/eventHelpers";
@@ -109,6 +110,58 @@ const addTrackLabelEventHandler = (canvasSVG, labelObj) =>
  */
 const loadInput = (inputJSON) => utils.deepClone(inputJSON);
 
+/**
+ * Loads the track selector, activities, tasks, events and actions of the track within the track container.
+ * @private
+ * @param {Object} graph - Gantt instance
+ * @param {d3.selection} trackGroupPath - Track container element
+ * @param {Object} config - track config object
+ * @returns {undefined} - returns nothing
+ */
+const loadTrackContent = (graph, trackGroupPath, config) => {
+    loadGanttTrackSelector(graph, trackGroupPath, config);
+    if (utils.notEmpty(config.activities)) {
+        loadActivities(
+            graph,
+            trackGroupPath,
+            config.trackLabel,
+            config.activities
+        );
+    }
+    if (utils.notEmpty(config.tasks)) {
+        loadTasks(graph, trackGroupPath, config.trackLabel, config.tasks);
+    }
+    if (utils.notEmpty(config.events)) {
+        loadEvents(graph, trackGroupPath, config.trackLabel, config.events);
+    }
+    if (utils.notEmpty(config.actions)) {
+        loadActions(graph, trackGroupPath, config.trackLabel, config.actions);
+    }
+};
+/**
+ * Removes the track selector, activities, tasks, events and actions of the track from the track container.
+ * @private
+ * @param {Object} graph - Gantt instance
+ * @param {d3.selection} trackGroupPath - Track container element
+ * @param {Object} config - track config object
+ * @returns {undefined} - returns nothing
+ */
+const unloadTrackContent = (graph, trackGroupPath, config) => {
+    unloadGanttTrackSelector(graph, trackGroupPath);
+    if (utils.notEmpty(config.activities)) {
+        unloadActivities(graph, trackGroupPath);
+    }
+    if (utils.notEmpty(config.tasks)) {
+        unloadTasks(graph, trackGroupPath);
+    }
+    if (utils.notEmpty(config.events)) {
+        unloadEvents(graph, trackGroupPath);
+    }
+    if (utils.notEmpty(config.actions)) {
+        unloadActions(graph, trackGroupPath);
+    }
+};
+
 /**
  * Track sub-graph part of a Gantt chart, which forms the foreground task
  * @module Track
@@ -144,39 +197,26 @@ class Track extends GraphContent {
          * to ensure the clicable functionality.
          */
         updateTrackProps(graph.config, this.config, true);
-        loadGanttTrackSelector(graph, this.trackGroupPath, this.config);
-        if (utils.notEmpty(this.config.activities)) {
-            loadActivities(
-                graph,
-                this.trackGroupPath,
-                this.config.trackLabel,
-                this.config.activities
-            );
-        }
-        if (utils.notEmpty(this.config.tasks)) {
-            loadTasks(
-                graph,
-                this.trackGroupPath,
-                this.config.trackLabel,
-                this.config.tasks
-            );
-        }
-        if (utils.notEmpty(this.config.events)) {
-            loadEvents(
-                graph,
-                this.trackGroupPath,
-                this.config.trackLabel,
-                this.config.events
-            );
-        }
-        if (utils.notEmpty(this.config.actions)) {
-            loadActions(
-                graph,
-                this.trackGroupPath,
-                this.config.trackLabel,
-                this.config.actions
-            );
-        }
+        loadTrackContent(graph, this.trackGroupPath, this.config);
+        return this;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    update(graph, input) {
+        const config = loadInput(
+            Object.assign({}, this.config, input, { key: this.config.key })
+        );
+        validateContent(config);
+        unloadTrackContent(graph, this.trackGroupPath, this.config);
+        this.config = config;
+        this.trackGroupPath.attr(
+            "aria-labelledby",
+            this.config.trackLabel.display
+        );
+        updateTrackListItem(graph.config, this.config);
+        loadTrackContent(graph, this.trackGroupPath, this.config);
         return this;
     }
 
@@ -185,19 +225,7 @@ class Track extends GraphContent {
      */
     unload(graph) {
         updateTrackProps(graph.config, this.config);
-        unloadGanttTrackSelector(graph, this.trackGroupPath);
-        if (utils.notEmpty(this.config.activities)) {
-            unloadActivities(graph, this.trackGroupPath);
-        }
-        if (utils.notEmpty(this.config.tasks)) {
-            unloadTasks(graph, this.trackGroupPath);
-        }
-        if (utils.notEmpty(this.config.events)) {
-            unloadEvents(graph, this.trackGroupPath);
-        }
-        if (utils.notEmpty(this.config.actions)) {
-            unloadActions(graph, this.trackGroupPath);
-        }
+        unloadTrackContent(graph, this.trackGroupPath, this.config);
         removeTrackContainer(graph.svg, this.config.key);
         this.config = {};
         return this;
@@ -48,6 +48,18 @@ const determineHeight = (config) =>
 const updateTrackCount = (config, isLoad = false) =>
     isLoad ? config.axis.y.trackCount++ : config.axis.y.trackCount--;
 
+/**
+ * Returns the track info held within the trackList object: track height and label.
+ * @private
+ * @param {Object} content - track Content
+ * @returns {Object} track info
+ */
+const getTrackListItem = (content) => ({
+    trackHeight: content.dimension
+        ? content.dimension.trackHeight
+        : constants.DEFAULT_GANTT_TRACK_HEIGHT,
+    trackLabel: content.trackLabel.display
+});
 /**
  * Updates the trackList object to include new track info, by converting trackListObject
  * to array, insert new trackObject and convert it back to object.
@@ -63,15 +75,7 @@ const updateTrackList = (content, trackIndex, trackListObject) => {
         key,
         trackListObject[key]
     ]);
-    trackList.splice(trackIndex, 0, [
-        content.key,
-        {
-            trackHeight: content.dimension
-                ? content.dimension.trackHeight
-                : constants.DEFAULT_GANTT_TRACK_HEIGHT,
-            trackLabel: content.trackLabel.display
-        }
-    ]);
+    trackList.splice(trackIndex, 0, [content.key, getTrackListItem(content)]);
     // convert the list back to an object
     const trackListObj = {};
     trackList.forEach((track) => {
@@ -100,6 +104,17 @@ const updateTrackProps = (config, content, isLoad = false) => {
         delete config.axis.y.trackList[content.key];
     }
 };
+/**
+ * Replaces the track info within the trackList object for a track updated in place.
+ * The track retains its position within the trackList.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @param {Object} content - input JSON provided by consumer
+ * @returns {undefined} - returns nothing
+ */
+const updateTrackListItem = (config, content) => {
+    config.axis.y.trackList[content.key] = getTrackListItem(content);
+};
 /**
  * Determines the domain for x and y axes.
  * @private
@@ -533,6 +548,7 @@ export {
     detachEventHandlers,
     updateAxesDomain,
     updateTrackProps,
+    updateTrackListItem,
     prepareLoadAtIndex,
     isHashed
 };
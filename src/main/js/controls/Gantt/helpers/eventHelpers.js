@@ -5,6 +5,7 @@ import { getDefaultSVGProps } from "../../../core/Shape";
 import { SHAPES } from "../../../helpers/constants";
 import errors from "../../../helpers/errors";
 import styles from "../../../helpers/styles";
+import { bindTooltip } from "../../../helpers/tooltip";
 import utils from "../../../helpers/utils";
 import {
     getColorForTarget,
@@ -81,6 +82,7 @@ const drawEventDataPoints = (scale, config, canvasSVG) => {
                 );
             }
             renderDataPointPath(scale, config, dataPointSVG, dataPoint, index);
+            bindTooltip(config, dataPointSVG, dataPoint);
         });
 };
 
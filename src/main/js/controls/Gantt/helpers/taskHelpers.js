@@ -11,6 +11,7 @@ import {
 } from "../../../helpers/barType";
 import constants, { COLORS } from "../../../helpers/constants";
 import styles from "../../../helpers/styles";
+import { bindTooltip } from "../../../helpers/tooltip";
 import utils from "../../../helpers/utils";
 import { validateTask } from "../GanttConfig";
 import { getXAxisYPosition, isHashed } from "./creationHelpers";
@@ -296,6 +297,7 @@ const drawTasks = (
                     ? renderHashedTaskGroup(canvasSVG, scale, d, i, this)
                     : renderTaskGroup(scale, d, i, this);
             }
+            bindTooltip(config, d3.select(this), d, { label: trackLabel });
         });
     taskPath
         .exit()
@@ -23,6 +23,7 @@ import {
 import { calculatePercentage } from "./durationHelpers";
 import { generatorArgs } from "./trackHelpers";
 import { translateDateline } from "../../../helpers/dateline";
+import { translatePeriodicShading } from "../../../helpers/periodicShading";
 
 const TRACK_LABEL_TEXT_CLASS = `.${styles.axisYTrackLabel} .tick text`;
 /**
@@ -349,6 +350,12 @@ const translateGraph = (control) => {
     translateDefs(control.config, control.svg);
     translateAxes(control.axis, control.scale, control.config, control.svg);
     translateGrid(control.axis, control.scale, control.config, control.svg);
+    translatePeriodicShading(
+        control.scale,
+        control.config,
+        control.svg,
+        getYAxisYPosition
+    );
     translateContentContainer(control.config, control.svg);
     translateDateline(
         control.scale,
@@ -5,17 +5,33 @@ import {
     calculateAxesLabelSize,
     calculateAxesSize,
     createAxes,
+    calculateVerticalPadding,
     createAxisReferenceLine,
     createXAxisInfoRow,
     getAxesDataRange,
+    getXAxisXPosition,
     getYAxisHeight
 } from "../../helpers/axis";
+import { clearBrush, createBrush, translateBrush } from "../../helpers/brush";
 import constants, { AXIS_TYPE } from "../../helpers/constants";
 import errors from "../../helpers/errors";
+import { exportGraph, getDataPointRows } from "../../helpers/export";
 import { createLegend } from "../../helpers/legend";
-import { createRegionContainer } from "../../helpers/region";
+import { createPeriodicShading } from "../../helpers/periodicShading";
+import {
+    createReferenceLineContainer,
+    createReferenceLines
+} from "../../helpers/referenceLine";
+import { createRegionContainer, createXRegions } from "../../helpers/region";
 import styles from "../../helpers/styles";
-import GraphConfig, { processInput, validateContent } from "./GraphConfig";
+import { createTooltip } from "../../helpers/tooltip";
+import GraphConfig, {
+    processInput,
+    validateContent,
+    validateContentOrientation,
+    validateLogAxisUpdate,
+    validateLogAxisValues
+} from "./GraphConfig";
 import utils from "../../helpers/utils";
 import { createDateline, redrawDatelineContent } from "../../helpers/dateline";
 import {
@@ -32,6 +48,20 @@ import {
     translateGraph,
     updateAxesDomain
 } from "./helpers/helpers";
+import {
+    createAnnotation,
+    deleteAnnotation
+} from "./helpers/annotationHelpers";
+import {
+    createCrosshair,
+    translateCrosshair
+} from "./helpers/crosshairHelpers";
+import {
+    createZoom,
+    resetZoomDomain,
+    syncZoom,
+    zoomToDomain
+} from "./helpers/zoomHelpers";
 
 /**
  * @typedef {Object} Graph
@@ -65,6 +95,33 @@ const setCanvasHeight = (config) => {
             config.axisLabelHeights.x) *
             2;
 };
+/**
+ * Returns the position and height of the content area, used for the brush
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @returns {Object} x, y and height of the content area
+ */
+const getBrushPosition = (config) => ({
+    x: getXAxisXPosition(config),
+    y: calculateVerticalPadding(config),
+    height: getYAxisHeight(config)
+});
+/**
+ * Returns the data targets of the content loaded in the graph, used for the brush and export
+ * @private
+ * @param {Graph} control - Graph instance
+ * @returns {Array} list of data targets
+ */
+const getDataTargets = (control) =>
+    control.content.map((content) => content.dataTarget);
+/**
+ * Returns the CSV rows for the data points shown in the graph, used for export
+ * @private
+ * @param {Graph} control - Graph instance
+ * @returns {Array} list of objects, one per data point
+ */
+const getExportRows = (control) =>
+    getDataPointRows(control.config, getDataTargets(control));
 /**
  * Checks if the min max range of the values have changed or otherwise
  * @private
@@ -133,6 +190,12 @@ const initConfig = (control) => {
     control.content = [];
     control.contentTargets = [];
     control.resizeHandler = null;
+    control.resizeObserver = null;
+    control.zoomBehavior = null;
+    control.brushBehavior = null;
+    control.crosshairValue = null;
+    control.annotations = [];
+    control.annotationCount = 0;
     return control;
 };
 
@@ -193,8 +256,11 @@ class Graph extends Construct {
      * @description Since we dont have the concept of z-index in visualization,
      * the order of rendering should be following:
      *  * SVG container
+     *  * Periodic shading
      *  * Reference ranges
+     *  * X regions
      *  * Grid
+     *  * Reference lines
      *  * X-Axis
      *  * Y-Axes
      *  * Labels
@@ -225,9 +291,19 @@ class Graph extends Construct {
                     : this.config.canvasWidth - BASE_CANVAS_WIDTH_PADDING
             );
         createDefs(this.config, this.svg);
+        createPeriodicShading(this.scale, this.config, this.svg);
         createRegionContainer(this.config, this.svg);
+        createXRegions(this.scale, this.config, this.svg);
         createGrid(this.axis, this.scale, this.config, this.svg);
+        createReferenceLineContainer(this.config, this.svg);
+        createReferenceLines(
+            this.scale,
+            this.config,
+            this.svg,
+            this.config.referenceLines
+        );
         createContentContainer(this.config, this.svg);
+        createBrush(this, getBrushPosition, getDataTargets);
         createAxes(this.axis, this.scale, this.config, this.svg);
         createXAxisInfoRow(this.axis, this.scale, this.config, this.svg);
         createLabel(this.config, this.svg, this);
@@ -251,6 +327,9 @@ class Graph extends Construct {
                     : containerSVG
             );
         }
+        createTooltip(this.config, containerSVG);
+        createZoom(this);
+        createCrosshair(this);
         attachEventHandlers(this);
         return this.svg;
     }
@@ -267,19 +346,55 @@ class Graph extends Construct {
         setCanvasWidth(this.graphContainer, this.config);
         scaleGraph(this.scale, this.config);
         translateGraph(this);
+        syncZoom(this);
+        translateBrush(this, getBrushPosition);
+        translateCrosshair(this);
         this.content.forEach((control) => control.resize(this));
         return this;
     }
 
+    /**
+     * Zooms the X Axis to the lower and upper bounds provided.
+     * Bounds outside the X Axis limits provided in the input JSON are restricted to the limits.
+     * onZoom callback, if provided, is called with the zoomed lower and upper bounds.
+     * @param {number|string|Date} lowerLimit - lower bound, ISO8601 datetime or Date for timeseries
+     * @param {number|string|Date} upperLimit - upper bound, ISO8601 datetime or Date for timeseries
+     * @throws {module:errors.THROW_MSG_CATEGORY_AXIS_NOT_SUPPORTED}
+     * @throws {module:errors.THROW_MSG_NO_AXIS_LIMIT_INFO}
+     * @throws {module:errors.THROW_MSG_INVALID_AXIS_TYPE_VALUES}
+     * @throws {module:errors.THROW_MSG_INVALID_INPUT}
+     * @returns {Graph} - Graph instance
+     */
+    zoomTo(lowerLimit, upperLimit) {
+        zoomToDomain(this, lowerLimit, upperLimit);
+        return this;
+    }
+
+    /**
+     * Resets the X Axis to the lower and upper limits provided in the input JSON.
+     * onZoom callback, if provided, is called with the reset lower and upper bounds.
+     * @throws {module:errors.THROW_MSG_CATEGORY_AXIS_NOT_SUPPORTED}
+     * @returns {Graph} - Graph instance
+     */
+    resetZoom() {
+        resetZoomDomain(this);
+        return this;
+    }
+
     /**
      * Loads the content onto the graph.
      * The content serves as a 1to1 relationship. For rendering
      * multiple data sets respective number of content needs to be provided.
      * @param {Object} content - Graph content
+     * @throws {module:errors.THROW_MSG_HORIZONTAL_ORIENTATION_INVALID_CONTENT}
+     * @throws {module:errors.THROW_MSG_INVALID_LOG_AXIS_REFERENCE_LINE}
+     * @throws {module:errors.THROW_MSG_INVALID_LOG_AXIS_VALUES}
      * @returns {Graph} - Graph instance
      */
     loadContent(content) {
         validateContent(this.content, content);
+        validateContentOrientation(this.config, content);
+        validateLogAxisValues(this.config, content);
         this.content.push(content);
         this.contentTargets.push(content.config);
         setAxisPadding(this.config.axisPadding, content);
@@ -303,6 +418,69 @@ class Graph extends Construct {
         return this;
     }
 
+    /**
+     * Updates the content loaded onto the graph in place, using the input provided.
+     * Input is merged onto the current input of the content and validated the same way, key and
+     * Y Axis of the content cannot be updated. Legend item, label shape and the legend toggle state
+     * are retained, while the data points are transitioned to their updated values.
+     * @param {string} key - unique identifier of the content to be updated
+     * @param {Object} input - properties of the content to be updated, such as values, regions, color or label
+     * @throws {module:errors.THROW_MSG_INVALID_OBJECT_PROVIDED}
+     * @throws {module:errors.THROW_MSG_CONTENT_UPDATE_NOT_IMPLEMENTED}
+     * @throws {module:errors.THROW_MSG_INVALID_LOG_AXIS_REFERENCE_LINE}
+     * @throws {module:errors.THROW_MSG_INVALID_LOG_AXIS_VALUES}
+     * @returns {Graph} - Graph instance
+     */
+    updateContent(key, input) {
+        const index = this.content.findIndex(
+            (content) => content.config.key === key
+        );
+        if (index < 0) {
+            throw new Error(errors.THROW_MSG_INVALID_OBJECT_PROVIDED);
+        }
+        const content = this.content[index];
+        validateLogAxisUpdate(this.config, content, input);
+        content.update(this, input);
+        this.contentTargets[index] = content.config;
+        setAxisPadding(this.config.axisPadding, content);
+        getAxesDataRange(
+            content,
+            content.config.yAxis,
+            this.config,
+            this.content
+        );
+        if (isRangeModified(this.config, content.config.yAxis)) {
+            updateAxesDomain(this.config, content);
+        }
+        this.resize();
+        return this;
+    }
+
+    /**
+     * Appends the data points to the content loaded onto the graph, for streaming data.
+     * Only the appended data points are drawn, data points older than the sliding window of
+     * the content, if provided, are removed. X Axis domain is shifted to include the latest
+     * data point so that the graph scrolls, and the vertical axis domain is updated to fit the
+     * data points within the window. Same as calling append on the content directly.
+     * @param {string} key - unique identifier of the content to be appended to
+     * @param {Array} values - data points to be appended
+     * @throws {module:errors.THROW_MSG_INVALID_OBJECT_PROVIDED}
+     * @throws {module:errors.THROW_MSG_NO_DATA_POINTS}
+     * @throws {module:errors.THROW_MSG_CONTENT_APPEND_NOT_IMPLEMENTED}
+     * @throws {module:errors.THROW_MSG_INVALID_LOG_AXIS_VALUES}
+     * @returns {Graph} - Graph instance
+     */
+    appendContent(key, values) {
+        const content = this.content.find(
+            (content) => content.config.key === key
+        );
+        if (!content) {
+            throw new Error(errors.THROW_MSG_INVALID_OBJECT_PROVIDED);
+        }
+        content.append(values);
+        return this;
+    }
+
     /**
      * Unloads the content from the graph.
      * The content serves as a 1to1 relationship. For rendering
@@ -322,6 +500,57 @@ class Graph extends Construct {
         return this;
     }
 
+    /**
+     * Adds an annotation, a text callout with an arrow pointing to the x and y values provided.
+     * Annotation is rendered above the content and repositioned on resize and zoom.
+     * @param {Object} annotation - annotation to be added
+     * @param {number|string|Date} annotation.x - x value, ISO8601 datetime or Date for timeseries
+     * @param {number} annotation.y - y value
+     * @param {string} [annotation.yAxis] - y or y2, defaults to y
+     * @param {string} annotation.text - text to be displayed
+     * @param {Object} [annotation.shape] - shape of the marker rendered at the annotated point
+     * @param {string} [annotation.anchor] - side of the annotated point the text is placed on, defaults to top
+     * @throws {module:errors.THROW_MSG_HORIZONTAL_ORIENTATION_NOT_SUPPORTED}
+     * @throws {module:errors.THROW_MSG_INVALID_ANNOTATION}
+     * @returns {string} - unique identifier of the annotation, used to remove it
+     */
+    addAnnotation(annotation) {
+        return createAnnotation(this, annotation);
+    }
+
+    /**
+     * Removes the annotation added to the graph.
+     * @param {string} id - unique identifier returned when the annotation was added
+     * @throws {module:errors.THROW_MSG_INVALID_OBJECT_PROVIDED}
+     * @returns {Graph} - Graph instance
+     */
+    removeAnnotation(id) {
+        deleteAnnotation(this, id);
+        return this;
+    }
+
+    /**
+     * Clears the range selected using the brush.
+     * onBrush callback, if provided, is called with null.
+     * @returns {Graph} - Graph instance
+     */
+    clearBrush() {
+        clearBrush(this);
+        return this;
+    }
+
+    /**
+     * Exports the rendered graph as a standalone SVG string, a PNG data URL or
+     * a CSV string of the data points currently shown.
+     * @param {Object} options - export options
+     * @param {string} options.format - svg, png or csv
+     * @returns {Promise} - resolves with the exported string, rejects with
+     * {module:errors.THROW_MSG_INVALID_EXPORT_FORMAT} when the format is invalid
+     */
+    export(options) {
+        return exportGraph(this, options, getExportRows);
+    }
+
     /**
      * Destroys the graph: Container and canvas.
      * @returns {Graph} - Graph instance
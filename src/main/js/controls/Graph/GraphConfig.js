@@ -2,15 +2,38 @@
 import d3 from "d3";
 import BaseConfig, { getDefaultValue, getDomain } from "../../core/BaseConfig";
 import { generateClipPathId } from "../../core/BaseConfig/helper";
-import { hasY2Axis } from "../../helpers/axis";
+import {
+    hasY2Axis,
+    isHorizontalOrientation,
+    isLogAxis
+} from "../../helpers/axis";
 import constants, {
     AXES_ORIENTATION,
-    AXIS_TYPE
+    AXIS_TYPE,
+    GRAPH_ORIENTATION
 } from "../../helpers/constants";
 import errors from "../../helpers/errors";
 import utils from "../../helpers/utils";
+import { getBrushConfig, validateBrush } from "../../helpers/brush";
 import { validateDateline } from "../../helpers/dateline";
+import { hasDatetimeBuckets } from "../../helpers/datetimeBuckets";
+import {
+    processPeriodicShading,
+    validatePeriodicShading
+} from "../../helpers/periodicShading";
+import {
+    validateLogAxisReferenceLines,
+    validateReferenceLines
+} from "../../helpers/referenceLine";
+import { validateXRegion } from "../../helpers/region";
+import { getTooltipConfig, validateTooltip } from "../../helpers/tooltip";
+import {
+    getCrosshairConfig,
+    validateCrosshair
+} from "./helpers/crosshairHelpers";
+import { getZoomConfig, validateZoom } from "./helpers/zoomHelpers";
 import { DEFAULT_LOCALE } from "../../locale/index";
+import Bar from "../Bar/Bar";
 
 const initialAxisInfo = {
     ticks: {},
@@ -50,6 +73,26 @@ const getPadding = (config, inputPadding) => {
         };
     }
 };
+/**
+ * Stretches the Y and Y2 Axes limits to include the reference lines of the graph,
+ * so that the reference lines are always displayed.
+ * @private
+ * @param {Object} axis - x, y and y2 axes objects cloned from the input JSON
+ * @param {Array} referenceLines - reference lines of the graph
+ * @returns {undefined} - returns nothing
+ */
+const includeReferenceLines = (axis, referenceLines) =>
+    referenceLines.forEach((referenceLine) => {
+        const yAxis = axis[referenceLine.axis || constants.Y_AXIS];
+        yAxis.lowerLimit = Math.min(
+            utils.getNumber(yAxis.lowerLimit),
+            referenceLine.value
+        );
+        yAxis.upperLimit = Math.max(
+            utils.getNumber(yAxis.upperLimit),
+            referenceLine.value
+        );
+    });
 /**
  * Processes the input from the JSON and updates the config object.
  * d3 domain and ranges are stored based on the upper and lower x, y and y2 limits.
@@ -75,6 +118,18 @@ export const processInput = (input, config, type) => {
             axisObj[yAxis].rangeRounding,
             true
         );
+        config.axis[yAxis].type = getDefaultValue(
+            axisObj[yAxis].type,
+            AXIS_TYPE.DEFAULT
+        );
+        config.axis[yAxis].base = getDefaultValue(
+            axisObj[yAxis].base,
+            constants.DEFAULT_LOG_BASE
+        );
+        config.axis[yAxis].reverse = getDefaultValue(
+            axisObj[yAxis].reverse,
+            false
+        );
         return config;
     };
     config.clipPathId = generateClipPathId();
@@ -82,18 +137,36 @@ export const processInput = (input, config, type) => {
     config.bindLegendTo = input.bindLegendTo;
     config.axis = _axis;
     config.dateline = getDefaultValue(utils.deepClone(input.dateline), []);
+    config.periodicShading = processPeriodicShading(
+        utils.deepClone(input.periodicShading),
+        input.locale
+    );
+    config.xRegions = getDefaultValue(utils.deepClone(input.xRegions), []);
+    config.referenceLines = getDefaultValue(
+        utils.deepClone(input.referenceLines),
+        []
+    );
     config.padding = getPadding(config, input.padding);
     config.locale = d3.locale(getDefaultValue(input.locale, DEFAULT_LOCALE));
     config.throttle = getDefaultValue(
         input.throttle,
         constants.RESIZE_THROTTLE
     );
+    config.observeResize = getDefaultValue(input.observeResize, false);
     config.showLabel = getDefaultValue(input.showLabel, true);
     config.showLegend = getDefaultValue(input.showLegend, true);
     config.showShapes = getDefaultValue(input.showShapes, true);
     config.showHGrid = getDefaultValue(input.showHGrid, true);
     config.showVGrid = getDefaultValue(input.showVGrid, true);
     config.dimension = getDefaultValue(input.dimension, {});
+    config.orientation = getDefaultValue(
+        input.orientation,
+        GRAPH_ORIENTATION.VERTICAL
+    );
+    config.tooltip = getTooltipConfig(input.tooltip);
+    config.zoom = getZoomConfig(input.zoom);
+    config.brush = getBrushConfig(input.brush);
+    config.crosshair = getCrosshairConfig(input.crosshair);
 
     // Additional X Axis properties defined on top of input axis
     config.axis.x.type = getDefaultValue(_axis.x.type, AXIS_TYPE.DEFAULT);
@@ -103,14 +176,21 @@ export const processInput = (input, config, type) => {
         _axis.x.orientation,
         AXES_ORIENTATION.X.BOTTOM
     );
-    config.axis.x.domain = getDomain(
-        type,
-        _axis.x.lowerLimit,
-        _axis.x.upperLimit
-    );
+    // Category X Axis is ordinal, each tick value forms a band within the domain
+    config.axis.x.domain =
+        config.axis.x.type === AXIS_TYPE.CATEGORY
+            ? config.axis.x.ticks.values.slice()
+            : getDomain(type, _axis.x.lowerLimit, _axis.x.upperLimit);
     config.axis.x.rangeRounding = getDefaultValue(_axis.x.rangeRounding, true);
+    // Domain and ticks provided in the input JSON are retained to reset the X Axis when zoomed
+    config.axis.x.initialDomain = config.axis.x.domain.slice();
+    config.axis.x.initialTicks = config.axis.x.ticks;
+    // Ticks provided in the input JSON, initial ticks are generated from the bin edges when histograms are loaded
+    config.axis.x.inputTicks = config.axis.x.ticks;
+    config.axis.x.isZoomed = false;
 
     // Additional Y & Y2 Axis properties defined on top of input axis
+    includeReferenceLines(_axis, config.referenceLines);
     if (input.axis.y) {
         getAxisDomain(config, constants.Y_AXIS, _axis, true);
     } else {
@@ -129,9 +209,126 @@ export const processInput = (input, config, type) => {
         y2: getDefaultValue(_axis.y2.padDomain, true)
     };
     config.axisInfoRowLabelHeight = 0; // specific only to  Bar Graphs (when axis info row labels are used in Bar Graphs)
+    config.axisInfoRowLabelWidth = 0; // specific only to  Bar Graphs in horizontal orientation, axis info row is shown beside the graph
+    config.axisInfoRowLabelWidths = {}; // width of the axis info row labels of each Bar content, keyed by content key
     return config;
 };
 
+/**
+ * Validates the type of the vertical axis provided in the input JSON.
+ * Vertical axes can either be default or log. For log axes, the limits need to be
+ * positive and the base, if provided, needs to be a positive number other than 1.
+ * @private
+ * @param {Object} axis - y or y2 axis object from the input JSON
+ * @throws {module:errors.THROW_MSG_INVALID_TYPE}
+ * @throws {module:errors.THROW_MSG_INVALID_LOG_AXIS_LIMITS}
+ * @throws {module:errors.THROW_MSG_INVALID_LOG_AXIS_BASE}
+ * @returns {undefined} - returns nothing
+ */
+const validateVerticalAxisType = (axis) => {
+    if (utils.isEmpty(axis) || utils.isEmpty(axis.type)) {
+        return;
+    }
+    if (axis.type !== AXIS_TYPE.DEFAULT && axis.type !== AXIS_TYPE.LOG) {
+        throw new Error(errors.THROW_MSG_INVALID_TYPE);
+    }
+    if (axis.type !== AXIS_TYPE.LOG) {
+        return;
+    }
+    if (
+        !(utils.getNumber(axis.lowerLimit) > 0) ||
+        !(utils.getNumber(axis.upperLimit) > 0)
+    ) {
+        throw new Error(errors.THROW_MSG_INVALID_LOG_AXIS_LIMITS);
+    }
+    if (
+        utils.isDefined(axis.base) &&
+        !(utils.isNumber(axis.base) && axis.base > 0 && axis.base !== 1)
+    ) {
+        throw new Error(errors.THROW_MSG_INVALID_LOG_AXIS_BASE);
+    }
+};
+/**
+ * Validates the category X Axis provided in the input JSON.
+ * X values are matched to the tick values, hence tick values need to be provided.
+ * Category X Axis is ordinal, hence it cannot be zoomed or brushed.
+ * @private
+ * @param {Object} input - input JSON provided by the consumer
+ * @throws {module:errors.THROW_MSG_CATEGORY_TICKS_NOT_PROVIDED}
+ * @throws {module:errors.THROW_MSG_CATEGORY_AXIS_NOT_SUPPORTED}
+ * @returns {undefined} - returns nothing
+ */
+const validateCategoryAxis = (input) => {
+    if (input.axis.x.type !== AXIS_TYPE.CATEGORY) {
+        return;
+    }
+    if (
+        utils.isEmpty(input.axis.x.ticks) ||
+        utils.isEmpty(input.axis.x.ticks.values)
+    ) {
+        throw new Error(errors.THROW_MSG_CATEGORY_TICKS_NOT_PROVIDED);
+    }
+    if (
+        getZoomConfig(input.zoom).enabled ||
+        getBrushConfig(input.brush).enabled
+    ) {
+        throw new Error(errors.THROW_MSG_CATEGORY_AXIS_NOT_SUPPORTED);
+    }
+};
+/**
+ * Validates the x regions provided in the input JSON.
+ * X regions are vertical bands between x values, hence category X Axis is not supported.
+ * @private
+ * @param {Object} input - input JSON provided by the consumer
+ * @throws {module:errors.THROW_MSG_X_REGION_CATEGORY_AXIS_NOT_SUPPORTED}
+ * @returns {undefined} - returns nothing
+ */
+const validateXRegions = (input) => {
+    if (utils.isEmpty(input.xRegions)) {
+        return;
+    }
+    if (input.axis.x.type === AXIS_TYPE.CATEGORY) {
+        throw new Error(errors.THROW_MSG_X_REGION_CATEGORY_AXIS_NOT_SUPPORTED);
+    }
+    input.xRegions.forEach((region) =>
+        validateXRegion(region, input.axis.x.type)
+    );
+};
+/**
+ * Validates the orientation provided in the input JSON.
+ * Horizontal orientation renders the X Axis beside the graph, hence features which
+ * depend on X Axis being horizontal are not supported.
+ * @private
+ * @param {Object} input - input JSON provided by the consumer
+ * @throws {module:errors.THROW_MSG_INVALID_ORIENTATION}
+ * @throws {module:errors.THROW_MSG_HORIZONTAL_ORIENTATION_NOT_SUPPORTED}
+ * @returns {undefined} - returns nothing
+ */
+const validateOrientation = (input) => {
+    if (utils.isEmpty(input.orientation)) {
+        return;
+    }
+    if (!utils.hasValue(Object.values(GRAPH_ORIENTATION), input.orientation)) {
+        throw new Error(errors.THROW_MSG_INVALID_ORIENTATION);
+    }
+    if (input.orientation !== GRAPH_ORIENTATION.HORIZONTAL) {
+        return;
+    }
+    if (
+        hasY2Axis(input.axis) ||
+        input.axis.x.orientation === AXES_ORIENTATION.X.TOP ||
+        hasDatetimeBuckets(input.axis.x.ticks) ||
+        utils.notEmpty(input.dateline) ||
+        utils.notEmpty(input.periodicShading) ||
+        utils.notEmpty(input.xRegions) ||
+        utils.notEmpty(input.referenceLines) ||
+        getZoomConfig(input.zoom).enabled ||
+        getBrushConfig(input.brush).enabled ||
+        getCrosshairConfig(input.crosshair).enabled
+    ) {
+        throw new Error(errors.THROW_MSG_HORIZONTAL_ORIENTATION_NOT_SUPPORTED);
+    }
+};
 /**
  * Checks if the keys for data points sets are unique
  * @private
@@ -157,6 +354,73 @@ export const validateContent = (content, input) => {
         throw new Error(errors.THROW_MSG_NON_UNIQUE_PROPERTY);
     }
 };
+/**
+ * Validates the newly added content against the orientation of the graph.
+ * Only Bar content can be loaded when the graph is in horizontal orientation.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @param {Object} input - Newly added graph content
+ * @throws {module:errors.THROW_MSG_HORIZONTAL_ORIENTATION_INVALID_CONTENT}
+ * @returns {undefined} - returns nothing
+ */
+export const validateContentOrientation = (config, input) => {
+    if (isHorizontalOrientation(config) && !(input instanceof Bar)) {
+        throw new Error(
+            errors.THROW_MSG_HORIZONTAL_ORIENTATION_INVALID_CONTENT
+        );
+    }
+};
+/**
+ * Validates the data points and reference lines of the content plotted against a log axis.
+ * Logarithm is undefined for values less than or equal to zero, hence only positive values can be plotted.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @param {Object} input - graph content
+ * @throws {module:errors.THROW_MSG_INVALID_LOG_AXIS_REFERENCE_LINE}
+ * @throws {module:errors.THROW_MSG_INVALID_LOG_AXIS_VALUES}
+ * @returns {undefined} - returns nothing
+ */
+export const validateLogAxisValues = (config, input) => {
+    const yAxis = input.config.yAxis || constants.Y_AXIS;
+    validateLogAxisReferenceLines(
+        input.config.referenceLines,
+        config.axis,
+        yAxis
+    );
+    if (
+        isLogAxis(config.axis[yAxis]) &&
+        utils.notEmpty(input.valuesRange) &&
+        utils.notEmpty(input.valuesRange[yAxis]) &&
+        !(input.valuesRange[yAxis].min > 0)
+    ) {
+        throw new Error(errors.THROW_MSG_INVALID_LOG_AXIS_VALUES);
+    }
+};
+/**
+ * Validates the data points of the content plotted against a log axis, as they would be once the
+ * input provided is merged onto the content. Content is constructed again using the merged input so that
+ * the values range is calculated the same way, without modifying the content, its data target or the DOM.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @param {Object} content - graph content loaded onto the graph
+ * @param {Object} input - properties of the content to be updated, such as values
+ * @throws {module:errors.THROW_MSG_INVALID_LOG_AXIS_VALUES}
+ * @returns {undefined} - returns nothing
+ */
+export const validateLogAxisUpdate = (config, content, input) => {
+    if (!isLogAxis(config.axis[content.config.yAxis || constants.Y_AXIS])) {
+        return;
+    }
+    validateLogAxisValues(
+        config,
+        new content.constructor(
+            Object.assign({}, content.config, input, {
+                key: content.config.key,
+                yAxis: content.config.yAxis
+            })
+        )
+    );
+};
 
 /**
  * API to parse consumer input for Graph
@@ -193,14 +457,24 @@ class GraphConfig extends BaseConfig {
      *      bindTo
      *      axis
      *      axis.x
-     *      If axis.x.type is provided then it should be either default or timeseries
+     *      If axis.x.type is provided then it should be either default, timeseries or category
+     *      If axis.x.type is category then tick values need to be provided, x axis limits are not needed
      *      axis.y
      *      Y axis label is mandatory and X axis is optional
+     *      If orientation is provided then it should be either vertical or horizontal
      * @throws {module:errors.THROW_MSG_NO_BIND}
      * @throws {module:errors.THROW_MSG_INVALID_TYPE}
      * @throws {module:errors.THROW_MSG_NO_AXIS_INFO}
      * @throws {module:errors.THROW_MSG_NO_AXIS_LIMIT_INFO}
      * @throws {module:errors.THROW_MSG_NO_AXIS_LABEL_INFO}
+     * @throws {module:errors.THROW_MSG_CATEGORY_TICKS_NOT_PROVIDED}
+     * @throws {module:errors.THROW_MSG_CATEGORY_AXIS_NOT_SUPPORTED}
+     * @throws {module:errors.THROW_MSG_INVALID_ORIENTATION}
+     * @throws {module:errors.THROW_MSG_HORIZONTAL_ORIENTATION_NOT_SUPPORTED}
+     * @throws {module:errors.THROW_MSG_INVALID_CALLBACK_FUNCTION}
+     * @throws {module:errors.THROW_MSG_INVALID_REFERENCE_LINE}
+     * @throws {module:errors.THROW_MSG_INVALID_LOG_AXIS_REFERENCE_LINE}
+     * @throws {module:errors.THROW_MSG_INVALID_PERIODIC_SHADING}
      * @returns {GraphConfig} instance object
      */
     validateInput() {
@@ -219,13 +493,18 @@ class GraphConfig extends BaseConfig {
         }
         if (
             utils.notEmpty(this.input.axis.x.type) &&
-            !utils.hasValue(Object.values(AXIS_TYPE), this.input.axis.x.type)
+            (!utils.hasValue(
+                Object.values(AXIS_TYPE),
+                this.input.axis.x.type
+            ) ||
+                this.input.axis.x.type === AXIS_TYPE.LOG)
         ) {
             throw new Error(errors.THROW_MSG_INVALID_TYPE);
         }
         if (
-            utils.isEmpty(this.input.axis.x.lowerLimit) ||
-            utils.isEmpty(this.input.axis.x.upperLimit) ||
+            (this.input.axis.x.type !== AXIS_TYPE.CATEGORY &&
+                (utils.isEmpty(this.input.axis.x.lowerLimit) ||
+                    utils.isEmpty(this.input.axis.x.upperLimit))) ||
             utils.isEmpty(this.input.axis.y.lowerLimit) ||
             utils.isEmpty(this.input.axis.y.upperLimit)
         ) {
@@ -245,6 +524,10 @@ class GraphConfig extends BaseConfig {
                 throw new Error(errors.THROW_MSG_NO_AXIS_LABEL_INFO);
             }
         }
+        validateCategoryAxis(this.input);
+        validateOrientation(this.input);
+        validateVerticalAxisType(this.input.axis.y);
+        validateVerticalAxisType(this.input.axis.y2);
         if (
             utils.notEmpty(this.input.dateline) &&
             this.input.axis.x.type !== AXIS_TYPE.TIME_SERIES
@@ -259,6 +542,28 @@ class GraphConfig extends BaseConfig {
                 validateDateline(dateline);
             });
         }
+        if (
+            utils.notEmpty(this.input.periodicShading) &&
+            this.input.axis.x.type !== AXIS_TYPE.TIME_SERIES
+        ) {
+            throw new Error(errors.THROW_MSG_INVALID_TYPE);
+        }
+        validatePeriodicShading(this.input.periodicShading, this.input.locale);
+        validateXRegions(this.input);
+        validateReferenceLines(
+            this.input.referenceLines,
+            hasY2Axis(this.input.axis)
+                ? [constants.Y_AXIS, constants.Y2_AXIS]
+                : [constants.Y_AXIS]
+        );
+        validateLogAxisReferenceLines(
+            this.input.referenceLines,
+            this.input.axis
+        );
+        validateTooltip(this.input.tooltip);
+        validateZoom(this.input.zoom);
+        validateBrush(this.input.brush);
+        validateCrosshair(this.input.crosshair);
         return this;
     }
 
@@ -0,0 +1,321 @@
+"use strict";
+import d3 from "d3";
+import { Shape } from "../../../core";
+import { getDefaultValue, parseTypedValue } from "../../../core/BaseConfig";
+import { getDefaultSVGProps } from "../../../core/Shape";
+import {
+    calculateVerticalPadding,
+    getXAxisXPosition,
+    hasY2Axis,
+    isHorizontalOrientation,
+    isValidAxisType,
+    isValidCategory
+} from "../../../helpers/axis";
+import constants, {
+    ANNOTATION_ANCHOR,
+    AXIS_TYPE
+} from "../../../helpers/constants";
+import errors from "../../../helpers/errors";
+import styles from "../../../helpers/styles";
+import utils from "../../../helpers/utils";
+import { isWithinDomain } from "./zoomHelpers";
+
+/**
+ * Distance between the annotated point and the annotation text.
+ * @private
+ * @type {number}
+ */
+const ANNOTATION_OFFSET = 30;
+/**
+ * Distance between the annotated point and the tip of the arrow.
+ * @private
+ * @type {number}
+ */
+const ANNOTATION_ARROW_GAP = 6;
+/**
+ * Length of the arrow head lines.
+ * @private
+ * @type {number}
+ */
+const ANNOTATION_ARROW_HEAD_SIZE = 4;
+/**
+ * Direction from the annotated point towards the annotation text, for each anchor.
+ * @private
+ * @type {Object}
+ */
+const ANCHOR_DIRECTION = {
+    [ANNOTATION_ANCHOR.TOP]: [0, -1],
+    [ANNOTATION_ANCHOR.BOTTOM]: [0, 1],
+    [ANNOTATION_ANCHOR.LEFT]: [-1, 0],
+    [ANNOTATION_ANCHOR.RIGHT]: [1, 0]
+};
+/**
+ * Anchor used when the annotation text is cut off at the edge of the canvas.
+ * @private
+ * @type {Object}
+ */
+const OPPOSITE_ANCHOR = {
+    [ANNOTATION_ANCHOR.TOP]: ANNOTATION_ANCHOR.BOTTOM,
+    [ANNOTATION_ANCHOR.BOTTOM]: ANNOTATION_ANCHOR.TOP,
+    [ANNOTATION_ANCHOR.LEFT]: ANNOTATION_ANCHOR.RIGHT,
+    [ANNOTATION_ANCHOR.RIGHT]: ANNOTATION_ANCHOR.LEFT
+};
+
+/**
+ * Validates the annotation provided by the consumer.
+ * x needs to be valid for the X Axis type, y a number and text non-empty.
+ * yAxis and anchor, when provided, need to be one of the axes and annotation anchors respectively,
+ * with the Y2 Axis shown for annotations against it.
+ * Annotations are not supported in horizontal orientation, since they are positioned along a horizontal X Axis.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @param {Object} annotation - annotation provided by the consumer
+ * @throws {module:errors.THROW_MSG_HORIZONTAL_ORIENTATION_NOT_SUPPORTED}
+ * @throws {module:errors.THROW_MSG_INVALID_ANNOTATION}
+ * @returns {undefined} - returns nothing
+ */
+const validateAnnotation = (config, annotation) => {
+    if (isHorizontalOrientation(config)) {
+        throw new Error(errors.THROW_MSG_HORIZONTAL_ORIENTATION_NOT_SUPPORTED);
+    }
+    if (
+        utils.isEmpty(annotation) ||
+        !utils.isDefined(annotation.x) ||
+        !isValidAxisType(annotation.x, config.axis.x.type) ||
+        !isValidCategory(annotation.x, config.axis.x) ||
+        !utils.isNumber(annotation.y) ||
+        utils.isEmpty(annotation.text) ||
+        (utils.isDefined(annotation.yAxis) &&
+            annotation.yAxis !== constants.Y_AXIS &&
+            annotation.yAxis !== constants.Y2_AXIS) ||
+        (annotation.yAxis === constants.Y2_AXIS && !hasY2Axis(config.axis)) ||
+        (utils.isDefined(annotation.anchor) &&
+            !utils.hasValue(ANNOTATION_ANCHOR, annotation.anchor))
+    ) {
+        throw new Error(errors.THROW_MSG_INVALID_ANNOTATION);
+    }
+};
+/**
+ * Returns the anchor the annotation text is placed on, so that it is not cut off at the edge of the canvas.
+ * If the text does not fit on the side provided, it is placed on the opposite side.
+ * @private
+ * @param {string} anchor - anchor provided in the annotation
+ * @param {Array} position - x and y co-ordinates of the annotated point within the canvas
+ * @param {Object} textRect - width and height of the annotation text
+ * @param {Array} canvasSize - width and height of the canvas
+ * @returns {string} anchor the annotation text is placed on
+ */
+const getAnnotationAnchor = (anchor, position, textRect, canvasSize) => {
+    const isCutOff = {
+        [ANNOTATION_ANCHOR.TOP]:
+            position[1] - ANNOTATION_OFFSET - textRect.height < 0,
+        [ANNOTATION_ANCHOR.BOTTOM]:
+            position[1] + ANNOTATION_OFFSET + textRect.height > canvasSize[1],
+        [ANNOTATION_ANCHOR.LEFT]:
+            position[0] - ANNOTATION_OFFSET - textRect.width < 0,
+        [ANNOTATION_ANCHOR.RIGHT]:
+            position[0] + ANNOTATION_OFFSET + textRect.width > canvasSize[0]
+    };
+    return isCutOff[anchor] && !isCutOff[OPPOSITE_ANCHOR[anchor]]
+        ? OPPOSITE_ANCHOR[anchor]
+        : anchor;
+};
+/**
+ * Returns the shift needed for the annotation text, centered on the annotated point, to stay within the canvas.
+ * @private
+ * @param {number} position - co-ordinate of the annotated point within the canvas
+ * @param {number} size - width or height of the annotation text
+ * @param {number} limit - width or height of the canvas
+ * @returns {number} shift for the annotation text
+ */
+const getAnnotationShift = (position, size, limit) =>
+    Math.min(Math.max(0, size / 2 - position), limit - position - size / 2);
+/**
+ * Returns the path of the arrow pointing from the annotation text to the annotated point.
+ * @private
+ * @param {Array} direction - direction from the annotated point towards the annotation text
+ * @returns {string} svg path of the arrow
+ */
+const getAnnotationArrowPath = (direction) => {
+    const start = direction.map(
+        (d) => d * (ANNOTATION_OFFSET - ANNOTATION_ARROW_GAP)
+    );
+    const tip = direction.map((d) => d * ANNOTATION_ARROW_GAP);
+    const back = direction.map(
+        (d) => d * (ANNOTATION_ARROW_GAP + ANNOTATION_ARROW_HEAD_SIZE)
+    );
+    const headStart = [
+        back[0] - direction[1] * ANNOTATION_ARROW_HEAD_SIZE,
+        back[1] + direction[0] * ANNOTATION_ARROW_HEAD_SIZE
+    ];
+    const headEnd = [
+        back[0] + direction[1] * ANNOTATION_ARROW_HEAD_SIZE,
+        back[1] - direction[0] * ANNOTATION_ARROW_HEAD_SIZE
+    ];
+    return `M${start}L${tip}M${headStart}L${tip}L${headEnd}`;
+};
+/**
+ * Positions the annotation at the annotated point using the current scale.
+ * Annotation text is placed on the side of the anchor, or the opposite side when cut off at the edge of the canvas,
+ * and shifted along the edge to stay within the canvas.
+ * Annotations outside the X or Y Axis domain, for instance when zoomed, are hidden. Domain is used
+ * rather than the position since values outside the domain are clamped to the edge of the content area.
+ * @private
+ * @param {Object} control - Graph instance
+ * @param {d3.selection} annotationSVG - d3 selection node of the annotation
+ * @returns {undefined} - returns nothing
+ */
+const positionAnnotation = (control, annotationSVG) => {
+    const config = control.config;
+    const annotation = annotationSVG.datum();
+    const x = control.scale.x(annotation.x);
+    const y = control.scale[annotation.yAxis](annotation.y);
+    const isHidden =
+        (config.axis.x.type !== AXIS_TYPE.CATEGORY &&
+            !isWithinDomain(control.scale.x.domain(), annotation.x)) ||
+        !isWithinDomain(control.scale[annotation.yAxis].domain(), annotation.y);
+    const position = [
+        getXAxisXPosition(config) + x,
+        calculateVerticalPadding(config) + y
+    ];
+    const canvasSize = [+control.svg.attr("width"), config.canvasHeight];
+    const textSVG = annotationSVG.select(`.${styles.annotationText}`);
+    const textRect = textSVG.node().getBoundingClientRect();
+    const anchor = getAnnotationAnchor(
+        annotation.anchor,
+        position,
+        textRect,
+        canvasSize
+    );
+    const direction = ANCHOR_DIRECTION[anchor];
+    annotationSVG
+        .attr("transform", `translate(${position[0]},${position[1]})`)
+        .attr("aria-hidden", isHidden)
+        .attr("tabindex", isHidden ? -1 : 0);
+    annotationSVG
+        .select(`.${styles.annotationArrow}`)
+        .attr("d", getAnnotationArrowPath(direction));
+    if (direction[0] === 0) {
+        textSVG
+            .attr("text-anchor", "middle")
+            .attr(
+                "x",
+                getAnnotationShift(position[0], textRect.width, canvasSize[0])
+            )
+            .attr("y", direction[1] * ANNOTATION_OFFSET)
+            .attr("dy", direction[1] > 0 ? ".71em" : 0);
+    } else {
+        textSVG
+            .attr("text-anchor", direction[0] > 0 ? "start" : "end")
+            .attr("x", direction[0] * ANNOTATION_OFFSET)
+            .attr(
+                "y",
+                getAnnotationShift(position[1], textRect.height, canvasSize[1])
+            )
+            .attr("dy", ".32em");
+    }
+};
+/**
+ * Returns the group the annotations are rendered into, creating it if not present.
+ * @private
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @returns {d3.selection} d3 selection node of the annotations group
+ */
+const getAnnotationContainer = (canvasSVG) => {
+    const annotationGroup = canvasSVG.select(`.${styles.annotationGroup}`);
+    return annotationGroup.empty()
+        ? canvasSVG.append("g").classed(styles.annotationGroup, true)
+        : annotationGroup;
+};
+/**
+ * Creates an annotation at the x and y values provided, above the content loaded onto the graph.
+ * Annotation contains the text, an arrow pointing to the annotated point and a marker if a shape is provided.
+ * Annotation is focusable using the keyboard and the text is read out by assistive technologies.
+ * @private
+ * @param {Object} control - Graph instance
+ * @param {Object} input - annotation provided by the consumer
+ * @throws {module:errors.THROW_MSG_HORIZONTAL_ORIENTATION_NOT_SUPPORTED}
+ * @throws {module:errors.THROW_MSG_INVALID_ANNOTATION}
+ * @returns {string} unique identifier of the annotation
+ */
+const createAnnotation = (control, input) => {
+    validateAnnotation(control.config, input);
+    control.annotationCount += 1;
+    const annotation = {
+        id: `annotation-${control.annotationCount}`,
+        x: parseTypedValue(input.x, control.config.axis.x.type),
+        y: input.y,
+        yAxis: getDefaultValue(input.yAxis, constants.Y_AXIS),
+        text: input.text,
+        shape: input.shape,
+        anchor: getDefaultValue(input.anchor, ANNOTATION_ANCHOR.TOP)
+    };
+    control.annotations.push(annotation);
+    const annotationSVG = getAnnotationContainer(control.svg)
+        .append("g")
+        .datum(annotation)
+        .classed(styles.annotation, true)
+        .attr("role", "note")
+        .attr("aria-label", annotation.text);
+    annotationSVG.append("path").classed(styles.annotationArrow, true);
+    if (annotation.shape) {
+        annotationSVG.append(() =>
+            new Shape(annotation.shape).getShapeElement(
+                getDefaultSVGProps({
+                    svgClassNames: styles.annotationMarker,
+                    transformFn: (scale) => `scale(${scale})`,
+                    a11yAttributes: {
+                        "aria-hidden": true
+                    }
+                })
+            )
+        );
+    }
+    annotationSVG
+        .append("text")
+        .classed(styles.annotationText, true)
+        .attr("aria-hidden", true)
+        .text(annotation.text);
+    positionAnnotation(control, annotationSVG);
+    return annotation.id;
+};
+/**
+ * Removes the annotation created using the unique identifier provided.
+ * @private
+ * @param {Object} control - Graph instance
+ * @param {string} id - unique identifier of the annotation
+ * @throws {module:errors.THROW_MSG_INVALID_OBJECT_PROVIDED}
+ * @returns {undefined} - returns nothing
+ */
+const deleteAnnotation = (control, id) => {
+    const index = control.annotations.findIndex(
+        (annotation) => annotation.id === id
+    );
+    if (index < 0) {
+        throw new Error(errors.THROW_MSG_INVALID_OBJECT_PROVIDED);
+    }
+    control.annotations.splice(index, 1);
+    control.svg
+        .selectAll(`.${styles.annotation}`)
+        .filter((annotation) => annotation.id === id)
+        .remove();
+};
+/**
+ * Updates the annotation positions on resize and zoom.
+ * Annotations group is moved to the end of the canvas so that it stays above the content loaded afterwards.
+ * @private
+ * @param {Object} control - Graph instance
+ * @returns {undefined} - returns nothing
+ */
+const translateAnnotations = (control) => {
+    const annotationGroup = control.svg.select(`.${styles.annotationGroup}`);
+    if (annotationGroup.empty()) {
+        return;
+    }
+    control.svg.node().appendChild(annotationGroup.node());
+    annotationGroup.selectAll(`.${styles.annotation}`).each(function() {
+        positionAnnotation(control, d3.select(this));
+    });
+};
+
+export { createAnnotation, deleteAnnotation, translateAnnotations };
@@ -0,0 +1,266 @@
+"use strict";
+import d3 from "d3";
+import { getDefaultValue } from "../../../core/BaseConfig";
+import {
+    calculateVerticalPadding,
+    getXAxisWidth,
+    getXAxisXPosition,
+    getYAxisHeight
+} from "../../../helpers/axis";
+import { getDataPoints } from "../../../helpers/brush";
+import constants, { AXIS_TYPE } from "../../../helpers/constants";
+import errors from "../../../helpers/errors";
+import styles from "../../../helpers/styles";
+import utils from "../../../helpers/utils";
+import Line from "../../Line/Line";
+import PairedResult from "../../PairedResult/PairedResult";
+import { isWithinDomain } from "./zoomHelpers";
+
+/**
+ * Radius of the circle highlighting the data points the crosshair snapped to.
+ * @private
+ * @type {number}
+ */
+const CROSSHAIR_POINT_RADIUS = 6;
+
+/**
+ * Processes the crosshair property from the input JSON.
+ * Crosshair is enabled only when the consumer opts in by providing the crosshair property.
+ * @private
+ * @param {Object} crosshair - crosshair property from the input JSON
+ * @returns {Object} crosshair config object
+ */
+const getCrosshairConfig = (crosshair) => {
+    if (utils.isEmpty(crosshair)) {
+        return {
+            enabled: false
+        };
+    }
+    return {
+        enabled: getDefaultValue(crosshair.enabled, true),
+        onCrosshairMove: crosshair.onCrosshairMove
+    };
+};
+/**
+ * Validates the crosshair property from the input JSON.
+ * onCrosshairMove, when provided, needs to be a function.
+ * @private
+ * @param {Object} crosshair - crosshair property from the input JSON
+ * @throws {module:errors.THROW_MSG_INVALID_CALLBACK_FUNCTION}
+ * @returns {undefined} - returns nothing
+ */
+const validateCrosshair = (crosshair) => {
+    if (
+        utils.notEmpty(crosshair) &&
+        utils.isDefined(crosshair.onCrosshairMove) &&
+        !utils.isFunction(crosshair.onCrosshairMove)
+    ) {
+        throw new Error(errors.THROW_MSG_INVALID_CALLBACK_FUNCTION);
+    }
+};
+/**
+ * Returns the data points the crosshair can snap to, for Line and PairedResult content.
+ * Data points hidden using the legend, without a y value or outside the X Axis domain are excluded.
+ * Category X Axis values are always within the domain since they are matched to the tick values.
+ * Each data point is listed along with the key of the content and the Y Axis it is plotted against.
+ * @private
+ * @param {Object} control - Graph instance
+ * @returns {Array} list of data points
+ */
+const getCrosshairPoints = (control) => {
+    const config = control.config;
+    return control.content
+        .filter(
+            (content) =>
+                content instanceof Line || content instanceof PairedResult
+        )
+        .reduce(
+            (acc, content) =>
+                acc.concat(
+                    ...content.dataTarget.internalValuesSubset.map((value) =>
+                        getDataPoints(value).map((point) => ({
+                            key: content.dataTarget.key,
+                            yAxis:
+                                point.yAxis || value.yAxis || constants.Y_AXIS,
+                            point
+                        }))
+                    )
+                ),
+            []
+        )
+        .filter(
+            (item) =>
+                utils.hasValue(config.shownTargets, item.point.key) &&
+                item.point.y !== null &&
+                (config.axis.x.type === AXIS_TYPE.CATEGORY ||
+                    isWithinDomain(config.axis.x.domain, item.point.x))
+        );
+};
+/**
+ * Positions the crosshair over the content and updates the guideline height.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @param {d3.selection} crosshairPath - d3 selection node of the crosshair
+ * @returns {d3.selection} d3 selection node of the crosshair
+ */
+const positionCrosshair = (config, crosshairPath) => {
+    crosshairPath
+        .attr(
+            "transform",
+            `translate(${getXAxisXPosition(config)},${calculateVerticalPadding(
+                config
+            )})`
+        )
+        .select(`.${styles.crosshairLine}`)
+        .attr("y1", 0)
+        .attr("y2", getYAxisHeight(config));
+    return crosshairPath;
+};
+/**
+ * Hides the crosshair. onCrosshairMove callback, if provided, is called with null
+ * if the crosshair was shown.
+ * @private
+ * @param {Object} control - Graph instance
+ * @returns {undefined} - returns nothing
+ */
+const hideCrosshair = (control) => {
+    const config = control.config;
+    control.svg
+        .select(`.${styles.crosshair}`)
+        .attr("aria-hidden", true)
+        .selectAll(`.${styles.crosshairPoint}`)
+        .remove();
+    if (control.crosshairValue === null) {
+        return;
+    }
+    control.crosshairValue = null;
+    if (utils.isFunction(config.crosshair.onCrosshairMove)) {
+        config.crosshair.onCrosshairMove(null);
+    }
+};
+/**
+ * Shows the crosshair at the x value and highlights the data points present at that value.
+ * @private
+ * @param {Object} control - Graph instance
+ * @param {Array} items - data points, along with content key and Y Axis, present at the x value
+ * @param {number|string|Date} x - x value the crosshair snapped to
+ * @returns {undefined} - returns nothing
+ */
+const showCrosshair = (control, items, x) => {
+    const crosshairPath = control.svg
+        .select(`.${styles.crosshair}`)
+        .attr("aria-hidden", false);
+    crosshairPath
+        .select(`.${styles.crosshairLine}`)
+        .attr("x1", control.scale.x(x))
+        .attr("x2", control.scale.x(x));
+    const pointPath = crosshairPath
+        .selectAll(`.${styles.crosshairPoint}`)
+        .data(items);
+    pointPath
+        .enter()
+        .append("circle")
+        .classed(styles.crosshairPoint, true);
+    pointPath
+        .attr("cx", (item) => control.scale.x(item.point.x))
+        .attr("cy", (item) => control.scale[item.yAxis](item.point.y))
+        .attr("r", CROSSHAIR_POINT_RADIUS)
+        .style("stroke", (item) => item.point.color);
+    pointPath.exit().remove();
+};
+/**
+ * Handler for the mouse move event on the canvas.
+ * Crosshair snaps to the x value closest to the pointer, among all the data points that can be snapped to.
+ * onCrosshairMove callback is called only when the x value changes.
+ * @private
+ * @param {Object} control - Graph instance
+ * @returns {undefined} - returns nothing
+ */
+const crosshairMoveHandler = (control) => {
+    const config = control.config;
+    const position = d3.mouse(control.svg.node());
+    const pointerX = position[0] - getXAxisXPosition(config);
+    const pointerY = position[1] - calculateVerticalPadding(config);
+    const items = getCrosshairPoints(control);
+    if (
+        utils.isEmpty(items) ||
+        pointerX < 0 ||
+        pointerX > getXAxisWidth(config) ||
+        pointerY < 0 ||
+        pointerY > getYAxisHeight(config)
+    ) {
+        hideCrosshair(control);
+        return;
+    }
+    const nearest = items.reduce((acc, item) =>
+        Math.abs(control.scale.x(item.point.x) - pointerX) <
+        Math.abs(control.scale.x(acc.point.x) - pointerX)
+            ? item
+            : acc
+    );
+    const x = nearest.point.x;
+    const snappedItems = items.filter((item) => utils.isEqual(item.point.x, x));
+    showCrosshair(control, snappedItems, x);
+    if (
+        control.crosshairValue !== null &&
+        utils.isEqual(control.crosshairValue, x)
+    ) {
+        return;
+    }
+    control.crosshairValue = x;
+    if (utils.isFunction(config.crosshair.onCrosshairMove)) {
+        const values = {};
+        snappedItems.forEach((item) => {
+            values[item.key] = (values[item.key] || []).concat(item.point);
+        });
+        config.crosshair.onCrosshairMove({
+            x,
+            values
+        });
+    }
+};
+/**
+ * Creates the crosshair which follows the pointer within the content area, if enabled via input JSON.
+ * The crosshair is hidden until the pointer moves over the content area.
+ * @private
+ * @param {Object} control - Graph instance
+ * @returns {undefined} - returns nothing
+ */
+const createCrosshair = (control) => {
+    if (!control.config.crosshair.enabled) {
+        return;
+    }
+    const crosshairPath = control.svg
+        .append("g")
+        .classed(styles.crosshair, true)
+        .attr("aria-hidden", true);
+    crosshairPath.append("line").classed(styles.crosshairLine, true);
+    positionCrosshair(control.config, crosshairPath);
+    control.svg
+        .on("mousemove.crosshair", () => crosshairMoveHandler(control))
+        .on("mouseleave.crosshair", () => hideCrosshair(control));
+};
+/**
+ * Updates the crosshair position on resize.
+ * Crosshair is hidden since the data points it snapped to may have moved.
+ * @private
+ * @param {Object} control - Graph instance
+ * @returns {undefined} - returns nothing
+ */
+const translateCrosshair = (control) => {
+    if (!control.config.crosshair.enabled) {
+        return;
+    }
+    positionCrosshair(
+        control.config,
+        control.svg.select(`.${styles.crosshair}`)
+    );
+    hideCrosshair(control);
+};
+
+export {
+    getCrosshairConfig,
+    validateCrosshair,
+    createCrosshair,
+    translateCrosshair
+};
@@ -1,10 +1,10 @@
 "use strict";
-import d3 from "d3";
 import { getScale } from "../../../core/BaseConfig/index";
 import {
     buildAxisLabel,
     calculateVerticalPadding,
     determineOutlierStretchFactor,
+    fromLinearSpace,
     getAxesScale,
     getRotationForAxis,
     getXAxisLabelXPosition,
@@ -18,13 +18,17 @@ import {
     getYAxisLabelXPosition,
     getYAxisLabelYPosition,
     getYAxisRange,
+    getHorizontalAxisLabel,
+    getVerticalAxisLabel,
     hasY2Axis,
+    isHorizontalOrientation,
     isXAxisOrientationTop,
     processTickValues,
+    toLinearSpace,
     translateAxes,
     translateAxisReferenceLine
 } from "../../../helpers/axis";
-import constants, { SHAPES } from "../../../helpers/constants";
+import constants, { AXIS_TYPE, SHAPES } from "../../../helpers/constants";
 import { createVGrid, translateVGrid } from "../../../helpers/datetimeBuckets";
 import {
     buildY2AxisLabelShapeContainer,
@@ -34,6 +38,10 @@ import {
 import styles from "../../../helpers/styles";
 import utils from "../../../helpers/utils";
 import { translateDateline } from "../../../helpers/dateline";
+import { translatePeriodicShading } from "../../../helpers/periodicShading";
+import { translateReferenceLines } from "../../../helpers/referenceLine";
+import { translateXRegions } from "../../../helpers/region";
+import { translateAnnotations } from "./annotationHelpers";
 
 const BASE_CANVAS_WIDTH_PADDING = constants.BASE_CANVAS_WIDTH_PADDING;
 const DEFAULT_HEIGHT = constants.DEFAULT_HEIGHT;
@@ -88,6 +96,7 @@ const translateDefs = (config, canvasSVG) =>
  * Translates the horizontal grid on the canvas, grids are only applicable to standard
  * X and Y Axis.
  * We decide using the ticks that are present in the Y Axis and have the grid lines for every tick except the bounds.
+ * In horizontal orientation, X Axis is rendered beside the graph, hence we use the ticks present in the X Axis.
  * When we resize, the ticks change based on the container real estate and we add/remove the grids respectively.
  * @private
  * @param {Object} axis - Axis scaled according to input parameters
@@ -96,14 +105,18 @@ const translateDefs = (config, canvasSVG) =>
  */
 const translateHorizontalGrid = (axis, config) => {
     let yAxisGrid;
-    if (utils.notEmpty(config.axis.y.ticks.values)) {
-        const ticks = config.axis.y.ticks.values;
-        yAxisGrid = axis.y
+    const isHorizontal = isHorizontalOrientation(config);
+    const gridAxis = isHorizontal ? axis.x : axis.y;
+    const ticks = isHorizontal
+        ? config.axis.x.ticks.values
+        : config.axis.y.ticks.values;
+    if (utils.notEmpty(ticks)) {
+        yAxisGrid = gridAxis
             .tickValues(processTickValues(ticks))
             .tickSize(getXAxisWidth(config) * -1, 0, 0)
             .tickFormat("");
     } else {
-        yAxisGrid = axis.y
+        yAxisGrid = gridAxis
             .tickSize(getXAxisWidth(config) * -1, 0, 0)
             .tickFormat("");
     }
@@ -113,6 +126,7 @@ const translateHorizontalGrid = (axis, config) => {
  * Translates the vertical grid on the canvas, grids are only applicable to standard
  * X and Y Axis.
  * We decide using the ticks that are present in the X Axis and have the grid lines for every tick except the bounds.
+ * In horizontal orientation, Y Axis is rendered below the graph, hence we use the ticks present in the Y Axis.
  * When we resize, the ticks change based on the container real estate and we add/remove the grids respectively.
  * @private
  * @param {Object} axis - Axis scaled according to input parameters
@@ -121,19 +135,23 @@ const translateHorizontalGrid = (axis, config) => {
  */
 const translateVerticalGrid = (axis, config) => {
     let xAxisGrid;
+    const isHorizontal = isHorizontalOrientation(config);
+    const gridAxis = isHorizontal ? axis.y : axis.x;
+    const ticks = isHorizontal
+        ? config.axis.y.ticks.values
+        : config.axis.x.ticks.values;
     const tickSizeMultiplicand = isXAxisOrientationTop(
         config.axis.x.orientation
     )
         ? constants.TICK_ORIENTATION.TOP
         : constants.TICK_ORIENTATION.BOTTOM;
-    if (utils.notEmpty(config.axis.x.ticks.values)) {
-        const ticks = config.axis.x.ticks.values;
-        xAxisGrid = axis.x
+    if (utils.notEmpty(ticks)) {
+        xAxisGrid = gridAxis
             .tickValues(processTickValues(ticks))
             .tickSize(getYAxisHeight(config) * tickSizeMultiplicand, 0, 0)
             .tickFormat("");
     } else {
-        xAxisGrid = axis.x
+        xAxisGrid = gridAxis
             .tickSize(getYAxisHeight(config) * tickSizeMultiplicand, 0, 0)
             .tickFormat("");
     }
@@ -213,7 +231,7 @@ const translateContentContainer = (config, canvasSVG) =>
  * @returns {undefined} - returns nothing
  */
 const translateLabel = (config, canvasSVG) => {
-    if (config.axis.x.label) {
+    if (getHorizontalAxisLabel(config)) {
         canvasSVG
             .select(`.${styles.axisLabelX}`)
             .transition()
@@ -228,7 +246,7 @@ const translateLabel = (config, canvasSVG) => {
             );
     }
 
-    if (config.axis.y.label) {
+    if (getVerticalAxisLabel(config)) {
         canvasSVG
             .select(`.${styles.axisLabelY}`)
             .transition()
@@ -265,6 +283,7 @@ const translateLabel = (config, canvasSVG) => {
  * For X Axis no such processing is provided. This decision was made due to the resize happening
  * horizontally rather than vertical resize. To alleviate processing cost we depend on x axis's end points directly.
  * If the consumer needs to pad the X Axis then they can provide the range with sufficient padding.
+ * For log axes, the domain is stretched and padded using the logarithm of the end points.
  * @private
  * @param {Object} config - config object derived from input JSON
  * @param {Object} [input] - array of target objects
@@ -273,9 +292,12 @@ const translateLabel = (config, canvasSVG) => {
 const updateAxesDomain = (config, input = {}) => {
     config.outlierStretchFactor = determineOutlierStretchFactor(config);
     const setDomain = (outlierStretchFactor, lowerLimit, upperLimit, yAxis) => {
-        const halfDomain = (upperLimit - lowerLimit) / 2;
-        const midPoint = (upperLimit + lowerLimit) / 2;
-        return padDomain(
+        const axis = config.axis[yAxis];
+        const linearLowerLimit = toLinearSpace(axis, lowerLimit);
+        const linearUpperLimit = toLinearSpace(axis, upperLimit);
+        const halfDomain = (linearUpperLimit - linearLowerLimit) / 2;
+        const midPoint = (linearUpperLimit + linearLowerLimit) / 2;
+        const domain = padDomain(
             {
                 lowerLimit:
                     midPoint - halfDomain * outlierStretchFactor.lowerLimit,
@@ -284,6 +306,10 @@ const updateAxesDomain = (config, input = {}) => {
             },
             config.axisPadding[yAxis]
         );
+        return {
+            lowerLimit: fromLinearSpace(axis, domain.lowerLimit),
+            upperLimit: fromLinearSpace(axis, domain.upperLimit)
+        };
     };
 
     if (utils.notEmpty(input)) {
@@ -365,6 +391,7 @@ const createVGridHandler = (gridSVG, axis, style, config) => {
  * Create the d3 Labels - X, Y and Y2 and append into the canvas.
  * Only if showLabel is enabled. X Axis is 0 deg rotated, Y Axis is rotated 90 deg
  * Y2 Axis is rotated -90 deg along its horizontal axis.
+ * X and Y Axis labels swap places in horizontal orientation.
  * @private
  * @todo Label overflow formatting, adding ellipsis?
  * @param {Object} config - config object derived from input JSON
@@ -374,7 +401,7 @@ const createVGridHandler = (gridSVG, axis, style, config) => {
  */
 const createLabel = (config, canvasSVG, control) => {
     if (config.showLabel) {
-        if (config.axis.x.label) {
+        if (getHorizontalAxisLabel(config)) {
             const labelPath = canvasSVG
                 .append("g")
                 .classed(styles.axisLabelX, true)
@@ -386,9 +413,12 @@ const createLabel = (config, canvasSVG, control) => {
                         config
                     )}) rotate(${getRotationForAxis(constants.X_AXIS)})`
                 );
-            buildAxisLabel(labelPath, utils.sanitize(config.axis.x.label));
+            buildAxisLabel(
+                labelPath,
+                utils.sanitize(getHorizontalAxisLabel(config))
+            );
         }
-        if (config.axis.y.label) {
+        if (getVerticalAxisLabel(config)) {
             const labelPath = canvasSVG
                 .append("g")
                 .classed(styles.axisLabelY, true)
@@ -400,7 +430,10 @@ const createLabel = (config, canvasSVG, control) => {
                         config
                     )}) rotate(${getRotationForAxis(constants.Y_AXIS)})`
                 );
-            buildAxisLabel(labelPath, utils.sanitize(config.axis.y.label));
+            buildAxisLabel(
+                labelPath,
+                utils.sanitize(getVerticalAxisLabel(config))
+            );
         }
         if (hasY2Axis(config.axis)) {
             const labelPath = canvasSVG
@@ -458,38 +491,58 @@ const createContentContainer = (config, canvasSVG) =>
  * i.e. Before, If you have domain 0 to 20 (input lower and upper bounds) and range 0 to 100 (Width in px).
  * When input 20 is provided then the scale returns the px positioning as 200, which would put the point outside the graph.
  * Instead we clamp it within the graph as an upper bound using clamp. Now, it will return 100px.
+ *
+ * When the X Axis is zoomed, the X scale is neither clamped nor rounded. Values outside the zoomed
+ * domain are positioned outside the graph and are cut off by the clip path.
+ *
+ * Y and Y2 axes use a d3 log scale when the axis type is log, rounding for which extends the domain to powers of the base.
+ *
+ * Range of Y and Y2 axes is flipped when the axis is reversed, lower bound of the domain is at the top.
+ *
+ * In horizontal orientation, X Axis range spans the height of the graph and Y Axis range spans the width.
+ *
+ * Category X Axis uses a d3 ordinal scale, where each tick value is a band of equal width and
+ * values are positioned at the center of their band. Category X Axis is neither clamped nor rounded.
  * @private
  * @param {Object} scale - d3 scale taking into account the input parameters
  * @param {Object} config - config object derived from input JSON
  * @returns {undefined} - returns nothing
  */
 const scaleGraph = (scale, config) => {
-    scale.x = getScale(config.axis.x.type)
-        .domain(config.axis.x.domain)
-        .range(getXAxisRange(config))
-        .clamp(true);
-    scale.y = d3.scale
-        .linear()
+    if (config.axis.x.type === AXIS_TYPE.CATEGORY) {
+        scale.x = getScale(config.axis.x.type)
+            .domain(config.axis.x.domain)
+            .rangePoints(getXAxisRange(config), 1);
+    } else {
+        scale.x = getScale(config.axis.x.type)
+            .domain(config.axis.x.domain)
+            .range(getXAxisRange(config))
+            .clamp(!config.axis.x.isZoomed);
+    }
+    scale.y = getScale(config.axis.y.type, config.axis.y.base)
         .domain([
             config.axis.y.domain.lowerLimit,
             config.axis.y.domain.upperLimit
         ])
-        .range(getYAxisRange(config))
+        .range(getYAxisRange(config, constants.Y_AXIS))
         .clamp(true);
-    if (config.axis.x.rangeRounding) {
+    if (
+        config.axis.x.rangeRounding &&
+        !config.axis.x.isZoomed &&
+        config.axis.x.type !== AXIS_TYPE.CATEGORY
+    ) {
         scale.x.nice();
     }
     if (config.axis.y.rangeRounding) {
         scale.y.nice();
     }
     if (hasY2Axis(config.axis)) {
-        scale.y2 = d3.scale
-            .linear()
+        scale.y2 = getScale(config.axis.y2.type, config.axis.y2.base)
             .domain([
                 config.axis.y2.domain.lowerLimit,
                 config.axis.y2.domain.upperLimit
             ])
-            .range(getYAxisRange(config))
+            .range(getYAxisRange(config, constants.Y2_AXIS))
             .clamp(true);
         if (config.axis.y2.rangeRounding) {
             scale.y2.nice();
@@ -503,6 +556,10 @@ const scaleGraph = (scale, config) => {
  *  The axes x and y co-ordinates
  *  The grid x and y co-ordinates
  *  The labels x and y co-ordinates
+ *  The periodic shading, generated for the current X Axis domain
+ *  The x regions x co-ordinates and width
+ *  The reference lines x and y co-ordinates
+ *  The annotations x and y co-ordinates
  *  @private
  *  @param {Object} control - Graph instance
  *  @returns {undefined} - returns nothing
@@ -527,6 +584,10 @@ const translateGraph = (control) => {
         control.svg,
         getYAxisYPosition
     );
+    translatePeriodicShading(control.scale, control.config, control.svg);
+    translateXRegions(control.scale, control.config, control.svg);
+    translateReferenceLines(control.scale, control.config, control.svg);
+    translateAnnotations(control);
 };
 /**
  * Pads the domain with some buffer that gets calculated based on input values.
@@ -586,11 +647,40 @@ const getShapeForTarget = (dataPoint) => dataPoint.shape || SHAPES.CIRCLE;
  */
 const getColorForTarget = (dataPoint) =>
     dataPoint.color || constants.DEFAULT_COLOR;
+/**
+ * Watches the size of the container the graph is bound to and calls the resize callback when its width changes.
+ * ResizeObserver is used when supported by the browser, otherwise the container width is polled.
+ * @private
+ * @param {HTMLElement} container - container the graph is bound to
+ * @param {Function} resizeCallback - throttled resize callback
+ * @returns {Object} observer with a disconnect function to stop watching the container
+ */
+const observeContainerResize = (container, resizeCallback) => {
+    let width = container.clientWidth;
+    const checkWidth = () => {
+        if (container.clientWidth === width) {
+            return;
+        }
+        width = container.clientWidth;
+        resizeCallback();
+    };
+    if (utils.isFunction(window.ResizeObserver)) {
+        const resizeObserver = new window.ResizeObserver(checkWidth);
+        resizeObserver.observe(container);
+        return resizeObserver;
+    }
+    const interval = setInterval(checkWidth, constants.RESIZE_POLL_INTERVAL);
+    return {
+        disconnect: () => clearInterval(interval)
+    };
+};
 /**
  * Attach event handlers for Line graph.
  * requestAnimationFrame will be used if consumer doesn't need
  * to throttle the graph resize. Which will result in a smoother animation
  * If the throttle is needed then use `throttle` property in the input JSON
+ * If `observeResize` is enabled in the input JSON then the container is watched as well,
+ * so that the graph is resized when the container is resized without the window being resized.
  * @private
  * @param {Object} control - Graph instance
  * @returns {undefined} - returns nothing
@@ -607,6 +697,12 @@ const attachEventHandlers = (control) => {
     const resizeCallback = getConfig(control, control.config);
     window.addEventListener("resize", resizeCallback, true);
     control.resizeHandler = resizeCallback;
+    if (control.config.observeResize) {
+        control.resizeObserver = observeContainerResize(
+            control.graphContainer.node(),
+            resizeCallback
+        );
+    }
 };
 /**
  * Detach event handlers currently set for Line graph
@@ -616,6 +712,10 @@ const attachEventHandlers = (control) => {
  */
 const detachEventHandlers = (control) => {
     window.removeEventListener("resize", control.resizeHandler, true);
+    if (control.resizeObserver) {
+        control.resizeObserver.disconnect();
+        control.resizeObserver = null;
+    }
 };
 /**
  * Removes the element with provided selector using d3
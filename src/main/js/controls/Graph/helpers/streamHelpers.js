@@ -0,0 +1,62 @@
+"use strict";
+import d3 from "d3";
+import constants from "../../../helpers/constants";
+import utils from "../../../helpers/utils";
+import { updateAxesDomain } from "./helpers";
+
+/**
+ * Shifts the X Axis domain so that the latest data point of the content is within the domain.
+ * The domain retains its width, hence the graph scrolls as data points are appended.
+ * Domain provided in the input JSON is shifted as well, so that zoom and reset zoom
+ * are relative to the shifted domain.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @param {Object} content - Graph content the data points were appended to
+ * @returns {undefined} - returns nothing
+ */
+const shiftXAxisDomain = (config, content) => {
+    const latestValue = d3.max(
+        content.dataTarget.internalValuesSubset,
+        (value) => +value.x
+    );
+    const offset = latestValue - config.axis.x.initialDomain[1];
+    if (!(offset > 0)) {
+        return;
+    }
+    const shift = (value) =>
+        utils.isDateInstance(value)
+            ? new Date(value.getTime() + offset)
+            : value + offset;
+    config.axis.x.initialDomain = config.axis.x.initialDomain.map(shift);
+    config.axis.x.domain = config.axis.x.domain.map(shift);
+};
+/**
+ * Updates the vertical axis domain for the data points of all the content plotted against it.
+ * Outlier stretch factor is determined relative to the axis limits provided in the input JSON,
+ * rather than the current domain. This way the domain doesn't keep stretching as data points
+ * are appended and shrinks back once the outliers are outside the sliding window.
+ * @private
+ * @param {Object} control - Graph instance
+ * @param {Object} content - Graph content the data points were appended to
+ * @returns {undefined} - returns nothing
+ */
+const updateYAxisDomain = (control, content) => {
+    const config = control.config;
+    const yAxis = content.config.yAxis || constants.Y_AXIS;
+    const valuesRanges = control.content
+        .filter(
+            (c) =>
+                (c.config.yAxis || constants.Y_AXIS) === yAxis &&
+                utils.notEmpty(c.valuesRange)
+        )
+        .map((c) => c.valuesRange[yAxis]);
+    config.axis[yAxis].dataRange.min = d3.min(valuesRanges, (r) => r.min);
+    config.axis[yAxis].dataRange.max = d3.max(valuesRanges, (r) => r.max);
+    config.axis[yAxis].domain = {
+        lowerLimit: utils.getNumber(config.axis[yAxis].lowerLimit),
+        upperLimit: utils.getNumber(config.axis[yAxis].upperLimit)
+    };
+    updateAxesDomain(config, content);
+};
+
+export { shiftXAxisDomain, updateYAxisDomain };
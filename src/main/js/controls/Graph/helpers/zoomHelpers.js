@@ -0,0 +1,302 @@
+"use strict";
+import d3 from "d3";
+import { getDefaultValue, getDomain, getScale } from "../../../core/BaseConfig";
+import {
+    getXAxisRange,
+    getXAxisWidth,
+    getXAxisXPosition
+} from "../../../helpers/axis";
+import { AXIS_TYPE } from "../../../helpers/constants";
+import errors from "../../../helpers/errors";
+import utils from "../../../helpers/utils";
+
+/**
+ * X Axis tick properties which are filtered to the zoomed domain.
+ * @private
+ * @type {Array}
+ */
+const ZOOMED_TICK_KEYS = [
+    "values",
+    "lowerStepTickValues",
+    "midpointTickValues",
+    "upperStepTickValues"
+];
+/**
+ * Processes the zoom property from the input JSON.
+ * Mouse wheel zoom and drag pan are enabled only when the consumer opts in by providing the zoom property.
+ * @private
+ * @param {Object} zoom - zoom property from the input JSON
+ * @returns {Object} zoom config object
+ */
+const getZoomConfig = (zoom) => {
+    if (utils.isEmpty(zoom)) {
+        return {
+            enabled: false
+        };
+    }
+    return {
+        enabled: getDefaultValue(zoom.enabled, true),
+        onZoom: zoom.onZoom
+    };
+};
+/**
+ * Validates the zoom property from the input JSON.
+ * onZoom, when provided, needs to be a function.
+ * @private
+ * @param {Object} zoom - zoom property from the input JSON
+ * @throws {module:errors.THROW_MSG_INVALID_CALLBACK_FUNCTION}
+ * @returns {undefined} - returns nothing
+ */
+const validateZoom = (zoom) => {
+    if (
+        utils.notEmpty(zoom) &&
+        utils.isDefined(zoom.onZoom) &&
+        !utils.isFunction(zoom.onZoom)
+    ) {
+        throw new Error(errors.THROW_MSG_INVALID_CALLBACK_FUNCTION);
+    }
+};
+/**
+ * Checks if the value lies within the domain, both bounds inclusive.
+ * Domain can be in either order, such as the domain of a reversed Y Axis.
+ * @private
+ * @param {Array} domain - lower and upper bound of the axis
+ * @param {number|string|Date} value - number or ISO8601 datetime value
+ * @returns {boolean} true if the value is within the domain
+ */
+const isWithinDomain = (domain, value) => {
+    const parsedValue = utils.isDate(value)
+        ? utils.parseDateTime(value)
+        : value;
+    return parsedValue >= d3.min(domain) && parsedValue <= d3.max(domain);
+};
+/**
+ * Updates the X Axis ticks based on the zoomed domain.
+ * Tick values provided by the consumer that fall outside the zoomed domain are removed,
+ * the ticks provided in the input JSON are restored when the zoom is reset.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @returns {undefined} - returns nothing
+ */
+const updateZoomedTicks = (config) => {
+    const initialTicks = config.axis.x.initialTicks;
+    if (!config.axis.x.isZoomed) {
+        config.axis.x.ticks = initialTicks;
+        return;
+    }
+    config.axis.x.ticks = Object.assign({}, initialTicks);
+    ZOOMED_TICK_KEYS.filter((key) => utils.isArray(initialTicks[key])).forEach(
+        (key) => {
+            config.axis.x.ticks[key] = initialTicks[key].filter((value) =>
+                isWithinDomain(config.axis.x.domain, value)
+            );
+        }
+    );
+};
+/**
+ * Creates a d3 scale for the X Axis using the domain provided in the input JSON.
+ * Zoom transforms are always relative to this scale.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @returns {Object} d3 scale for the initial X Axis domain
+ */
+const getInitialScale = (config) =>
+    getScale(config.axis.x.type)
+        .domain(config.axis.x.initialDomain)
+        .range(getXAxisRange(config));
+/**
+ * Restricts the horizontal translation so that the zoomed window doesn't
+ * pan outside the domain provided in the input JSON.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @param {number} zoomScale - current zoom scale factor
+ * @param {number} translateX - current horizontal translation
+ * @returns {number} horizontal translation within the bounds
+ */
+const clampTranslate = (config, zoomScale, translateX) => {
+    const offset = getXAxisXPosition(config);
+    const width = getXAxisWidth(config);
+    return Math.min(
+        Math.max(translateX, (offset + width) * (1 - zoomScale)),
+        offset * (1 - zoomScale)
+    );
+};
+/**
+ * Determines the X Axis domain visible for the current zoom scale factor and translation.
+ * Translation is relative to the canvas, hence the X Axis position is accounted for.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @param {number} zoomScale - current zoom scale factor
+ * @param {number} translateX - current horizontal translation
+ * @returns {Array} lower and upper bound of the zoomed X Axis
+ */
+const getZoomedDomain = (config, zoomScale, translateX) => {
+    const offset = getXAxisXPosition(config);
+    const initialScale = getInitialScale(config);
+    return getXAxisRange(config).map((range) =>
+        initialScale.invert((range + offset - translateX) / zoomScale - offset)
+    );
+};
+/**
+ * Updates the zoom behavior's scale factor and translation to match the current X Axis domain.
+ * This is needed when the domain is updated programmatically or when the canvas is resized.
+ * @private
+ * @param {Object} control - Graph instance
+ * @returns {undefined} - returns nothing
+ */
+const syncZoom = (control) => {
+    if (!control.zoomBehavior) {
+        return;
+    }
+    const config = control.config;
+    const offset = getXAxisXPosition(config);
+    const initialScale = getInitialScale(config);
+    const range = getXAxisRange(config);
+    const zoomScale =
+        (range[1] - range[0]) /
+        (initialScale(config.axis.x.domain[1]) -
+            initialScale(config.axis.x.domain[0]));
+    control.zoomBehavior
+        .scale(zoomScale)
+        .translate([
+            offset -
+                zoomScale * (initialScale(config.axis.x.domain[0]) + offset),
+            0
+        ]);
+};
+/**
+ * Updates the X Axis domain and re-renders the graph.
+ * Axes, grid, datelines, datetime buckets and the content follow since
+ * the graph is scaled and translated the same way as on resize.
+ * @private
+ * @param {Object} control - Graph instance
+ * @param {Array} domain - lower and upper bound of the X Axis
+ * @returns {undefined} - returns nothing
+ */
+const updateXAxisDomain = (control, domain) => {
+    const config = control.config;
+    const initialDomain = config.axis.x.initialDomain;
+    config.axis.x.domain = domain;
+    config.axis.x.isZoomed =
+        +domain[0] !== +initialDomain[0] || +domain[1] !== +initialDomain[1];
+    updateZoomedTicks(config);
+    control.resize();
+    if (utils.isFunction(config.zoom.onZoom)) {
+        config.zoom.onZoom({
+            lowerLimit: domain[0],
+            upperLimit: domain[1]
+        });
+    }
+};
+/**
+ * Handler for the d3 zoom event, triggered on mouse wheel and drag.
+ * Only the horizontal translation is considered since only X Axis is zoomed.
+ * @private
+ * @param {Object} control - Graph instance
+ * @returns {undefined} - returns nothing
+ */
+const zoomHandler = (control) => {
+    const zoomScale = control.zoomBehavior.scale();
+    const translateX = clampTranslate(
+        control.config,
+        zoomScale,
+        control.zoomBehavior.translate()[0]
+    );
+    updateXAxisDomain(
+        control,
+        getZoomedDomain(control.config, zoomScale, translateX)
+    );
+};
+/**
+ * Attaches the d3 zoom behavior onto the canvas, if enabled via input JSON.
+ * Zooming out beyond the domain provided in the input JSON is not allowed.
+ * Double click zoom is disabled so that it doesn't interfere with the content click handlers.
+ * @private
+ * @param {Object} control - Graph instance
+ * @returns {undefined} - returns nothing
+ */
+const createZoom = (control) => {
+    if (!control.config.zoom.enabled) {
+        return;
+    }
+    control.zoomBehavior = d3.behavior
+        .zoom()
+        .scaleExtent([1, Infinity])
+        .on("zoom", () => zoomHandler(control));
+    control.svg.call(control.zoomBehavior).on("dblclick.zoom", null);
+    syncZoom(control);
+};
+/**
+ * Validates that the X Axis can be zoomed. Category X Axis is ordinal and cannot be zoomed.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @throws {module:errors.THROW_MSG_CATEGORY_AXIS_NOT_SUPPORTED}
+ * @returns {undefined} - returns nothing
+ */
+const validateZoomAxisType = (config) => {
+    if (config.axis.x.type === AXIS_TYPE.CATEGORY) {
+        throw new Error(errors.THROW_MSG_CATEGORY_AXIS_NOT_SUPPORTED);
+    }
+};
+/**
+ * Zooms the X Axis to the lower and upper bounds provided.
+ * Bounds are restricted to the domain provided in the input JSON.
+ * @private
+ * @param {Object} control - Graph instance
+ * @param {number|string|Date} lowerLimit - lower bound, ISO8601 datetime or Date for timeseries
+ * @param {number|string|Date} upperLimit - upper bound, ISO8601 datetime or Date for timeseries
+ * @throws {module:errors.THROW_MSG_CATEGORY_AXIS_NOT_SUPPORTED}
+ * @throws {module:errors.THROW_MSG_NO_AXIS_LIMIT_INFO}
+ * @throws {module:errors.THROW_MSG_INVALID_AXIS_TYPE_VALUES}
+ * @throws {module:errors.THROW_MSG_INVALID_INPUT}
+ * @returns {undefined} - returns nothing
+ */
+const zoomToDomain = (control, lowerLimit, upperLimit) => {
+    validateZoomAxisType(control.config);
+    if (
+        utils.isUndefined(lowerLimit) ||
+        utils.isUndefined(upperLimit) ||
+        lowerLimit === null ||
+        upperLimit === null
+    ) {
+        throw new Error(errors.THROW_MSG_NO_AXIS_LIMIT_INFO);
+    }
+    const config = control.config;
+    const domain = getDomain(config.axis.x.type, lowerLimit, upperLimit);
+    if (
+        config.axis.x.type === AXIS_TYPE.TIME_SERIES &&
+        domain.some((value) => isNaN(value.getTime()))
+    ) {
+        throw new Error(errors.THROW_MSG_INVALID_AXIS_TYPE_VALUES);
+    }
+    const initialDomain = config.axis.x.initialDomain;
+    const zoomedDomain = [
+        domain[0] < initialDomain[0] ? initialDomain[0] : domain[0],
+        domain[1] > initialDomain[1] ? initialDomain[1] : domain[1]
+    ];
+    if (zoomedDomain[0] >= zoomedDomain[1]) {
+        throw new Error(errors.THROW_MSG_INVALID_INPUT);
+    }
+    updateXAxisDomain(control, zoomedDomain);
+};
+/**
+ * Resets the X Axis to the domain provided in the input JSON.
+ * @private
+ * @param {Object} control - Graph instance
+ * @throws {module:errors.THROW_MSG_CATEGORY_AXIS_NOT_SUPPORTED}
+ * @returns {undefined} - returns nothing
+ */
+const resetZoomDomain = (control) => {
+    validateZoomAxisType(control.config);
+    updateXAxisDomain(control, control.config.axis.x.initialDomain.slice());
+};
+
+export {
+    getZoomConfig,
+    validateZoom,
+    isWithinDomain,
+    createZoom,
+    syncZoom,
+    zoomToDomain,
+    resetZoomDomain
+};
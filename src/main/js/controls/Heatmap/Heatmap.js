@@ -0,0 +1,341 @@
+"use strict";
+import d3 from "d3";
+import Construct from "../../core/Construct";
+import { getYAxisHeight } from "../../helpers/axis";
+import constants from "../../helpers/constants";
+import errors from "../../helpers/errors";
+import { exportGraph } from "../../helpers/export";
+import styles from "../../helpers/styles";
+import { createTooltip } from "../../helpers/tooltip";
+import { isUniqueKey } from "../Gantt/GanttConfig";
+import HeatmapConfig, { processInput, validateContent } from "./HeatmapConfig";
+import { drawCells, processContent } from "./helpers/cellHelpers";
+import {
+    attachEventHandlers,
+    calculateAxesLabelSize,
+    calculateAxesSize,
+    clear,
+    createAxes,
+    createColorLegend,
+    createContentContainer,
+    createDefs,
+    createGrid,
+    createHeatmapContent,
+    detachEventHandlers,
+    determineHeight,
+    getColorLegendHeight,
+    scaleColor,
+    scaleGraph
+} from "./helpers/creationHelpers";
+import { translateGraph } from "./helpers/translateHelpers";
+
+/**
+ * @typedef {Object} Heatmap
+ * @typedef {Object} HeatmapConfig
+ */
+
+const BASE_CANVAS_WIDTH_PADDING = constants.BASE_CANVAS_WIDTH_PADDING;
+/**
+ * Sets the canvas width
+ * @private
+ * @param {HTMLElement} container - d3 HTML element object which forms the chart container
+ * @param {Object} config - config object derived from input JSON
+ * @returns {undefined} - returns nothing
+ */
+const setCanvasWidth = (container, config) => {
+    config.canvasWidth = parseInt(container.style("width"), 10);
+};
+/**
+ * Sets the canvas height. Canvas holds the cells along with the color legend below them.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @returns {undefined} - returns nothing
+ */
+const setCanvasHeight = (config) =>
+    (config.canvasHeight =
+        getYAxisHeight(config) +
+        (config.padding.bottom * 2 + config.padding.top) * 2 +
+        getColorLegendHeight(config));
+/**
+ * Returns the CSV rows for the cells loaded in the heatmap, used for export.
+ * @private
+ * @param {Heatmap} control - Heatmap instance
+ * @returns {Array} list of objects, one per cell
+ */
+const getExportRows = (control) =>
+    control.contentConfig.reduce(
+        (acc, content) =>
+            acc.concat(
+                content.internalValuesSubset.map((value) => ({
+                    key: value.key,
+                    x: value.x,
+                    y: value.y,
+                    value: value.value
+                }))
+            ),
+        []
+    );
+/**
+ * Data point sets can be loaded using this function.
+ * Load function validates, clones and stores the input onto a config object.
+ * @private
+ * @throws {module:errors.THROW_MSG_NO_AXES_DATA_LOADED}
+ * @param {Object} inputJSON - Input JSON provided by the consumer
+ * @returns {Object} config object containing consumer data
+ */
+const loadInput = (inputJSON) =>
+    new HeatmapConfig()
+        .setInput(inputJSON)
+        .validateInput()
+        .clone()
+        .getConfig();
+/**
+ * Executes the before init process checklist, needs to be called by parent control.
+ *  Binds the chart id provided in the input JSON to graph container.
+ * @private
+ * @param {Heatmap} control - Heatmap instance
+ * @returns {Heatmap} Heatmap instance
+ */
+const beforeInit = (control) => {
+    control.graphContainer = d3.select(control.config.bindTo);
+    control.config.height = determineHeight(control.config);
+    return control;
+};
+/**
+ * Initializes the necessary Heatmap constructor objects
+ * @private
+ * @param {Heatmap} control - Heatmap instance
+ * @returns {Heatmap} Heatmap instance
+ */
+const initConfig = (control) => {
+    control.graphContainer = null;
+    control.config = {
+        axis: {
+            x: {},
+            y: {}
+        }
+    };
+    control.axis = {};
+    control.scale = {};
+    control.svg = null;
+    control.legendSVG = null;
+    control.content = [];
+    control.contentConfig = [];
+    control.resizeHandler = null;
+    control.resizeObserver = null;
+    return control;
+};
+/**
+ * Executes the init process checklist, needs to be called by parent control.
+ * Needs to be called post calling beforeInit
+ *  Sets the canvas width within the graph container
+ *  Determines the height for canvas
+ *  Calculates Axes width and height
+ *  Calculates Axes label width and height, positioning
+ *  Creates and sets the d3 scale for the Graph and the color scale for the cells
+ * @private
+ * @param {Heatmap} control - Heatmap instance
+ * @returns {Heatmap} Heatmap instance
+ */
+const init = (control) => {
+    setCanvasWidth(control.graphContainer, control.config);
+    calculateAxesSize(control.config);
+    calculateAxesLabelSize(control.config);
+    setCanvasHeight(control.config);
+    scaleGraph(control.scale, control.config);
+    scaleColor(control.scale, control.config, control.contentConfig);
+    return control;
+};
+
+/**
+ * Heatmap construct
+ * * Axis - X, time series or category. Each datetime bucket or category forms a column of cells
+ * * Axis - Y, categories. Each category forms a row of cells
+ * * Content that serves as cells, colored by mapping the value of the cell through the color scale
+ * * Continuous color legend
+ *
+ * Lifecycle functions include:
+ *  * BeforeInit
+ *  * Init
+ *  * Render
+ *  * AfterInit
+ * @module Heatmap
+ * @class Heatmap
+ */
+class Heatmap extends Construct {
+    /**
+     * @constructor
+     * @param {HeatmapConfig} input - Input JSON instance created using HeatmapConfig
+     */
+    constructor(input) {
+        super();
+        initConfig(this);
+        this.generate(input);
+    }
+
+    /**
+     * Draw function that is called by the parent control. This draws the axes, grid
+     * and color legend for the chart construct.
+     * @description Since we dont have the concept of z-index in visualization,
+     * the order of rendering should be following:
+     *  * SVG container
+     *  * Grid
+     *  * X-Axis
+     *  * Y-Axis
+     *  * Color Legend
+     *  * Data [In our case we have load and unload]
+     * @param {Object} input - Input JSON
+     * @returns {HTMLElement} d3 selection node of svg.
+     */
+    generate(input) {
+        this.config = loadInput(input);
+        processInput(input, this.config);
+        beforeInit(this);
+        init(this);
+        const containerSVG = d3
+            .select(this.config.bindTo)
+            .append("div")
+            .classed(styles.container, true);
+        this.svg = containerSVG
+            .insert("svg", ":first-child")
+            .classed(styles.canvas, true)
+            .attr("role", "img")
+            .attr("height", this.config.canvasHeight)
+            .attr(
+                "width",
+                this.config.padding.hasCustomPadding
+                    ? this.config.canvasWidth
+                    : this.config.canvasWidth - BASE_CANVAS_WIDTH_PADDING
+            );
+        createDefs(this.config, this.svg);
+        createGrid(this.axis, this.scale, this.config, this.svg);
+        createContentContainer(this.config, this.svg);
+        createAxes(this.axis, this.scale, this.config, this.svg);
+        createHeatmapContent(this.config, this.svg);
+        if (this.config.showLegend) {
+            createColorLegend(this.scale, this.config, this.svg);
+        }
+        createTooltip(this.config, containerSVG);
+        attachEventHandlers(this);
+        return this.svg;
+    }
+
+    /**
+     * Resizes the graph canvas. Uses the clipPath def.
+     * It scales the graph on resize, and translates the graph elements:
+     *  X-Axis
+     *  Y-Axis
+     *  Grid
+     *  Cells
+     *  Color Legend
+     *  @returns {Heatmap} - Heatmap instance
+     */
+    resize() {
+        if (this.graphContainer) {
+            setCanvasWidth(this.graphContainer, this.config);
+            scaleGraph(this.scale, this.config);
+            translateGraph(this);
+            return this;
+        }
+    }
+
+    /**
+     * Loads the content onto the graph.
+     * The content serves as a 1to1 relationship. For rendering
+     * multiple data sets respective number of content needs to be provided.
+     * When the color scale domain is not provided, the cells loaded previously are recolored
+     * based on the extent of all the values loaded.
+     * @param {Object} content - Heatmap content
+     * @throws {module:errors.THROW_MSG_INVALID_HEATMAP_VALUE}
+     * @throws {module:errors.THROW_MSG_NON_UNIQUE_PROPERTY}
+     * @returns {Heatmap} - Heatmap instance
+     */
+    loadContent(content) {
+        validateContent(this.config, content);
+        if (!isUniqueKey(this.content, content.key)) {
+            throw new Error(errors.THROW_MSG_NON_UNIQUE_PROPERTY);
+        }
+        const processedContent = processContent(this.config, content);
+        this.content.push(processedContent.key);
+        this.contentConfig.push(processedContent);
+        scaleColor(this.scale, this.config, this.contentConfig);
+        drawCells(this.scale, this.config, this.svg, processedContent);
+        this.resize();
+        return this;
+    }
+
+    /**
+     * Updates the content loaded onto the graph in place, using the input provided.
+     * Input is merged onto the current input of the content and validated the same way, key of the
+     * content cannot be updated.
+     * @param {string} key - unique identifier of the content to be updated
+     * @param {Object} input - properties of the content to be updated, such as values, label or onClick
+     * @throws {module:errors.THROW_MSG_INVALID_OBJECT_PROVIDED}
+     * @throws {module:errors.THROW_MSG_INVALID_HEATMAP_VALUE}
+     * @returns {Heatmap} - Heatmap instance
+     */
+    updateContent(key, input) {
+        const index = this.content.indexOf(key);
+        if (index < 0) {
+            throw new Error(errors.THROW_MSG_INVALID_OBJECT_PROVIDED);
+        }
+        const content = Object.assign({}, this.contentConfig[index], input, {
+            key
+        });
+        validateContent(this.config, content);
+        const processedContent = processContent(this.config, content);
+        clear(this.svg, key);
+        this.contentConfig[index] = processedContent;
+        scaleColor(this.scale, this.config, this.contentConfig);
+        drawCells(this.scale, this.config, this.svg, processedContent);
+        this.resize();
+        return this;
+    }
+
+    /**
+     * Unloads the content from the graph.
+     * The content serves as a 1to1 relationship. For rendering
+     * multiple data sets respective number of content needs to be provided.
+     * @param {Object} content - Heatmap content to be removed
+     * @throws {module:errors.THROW_MSG_INVALID_OBJECT_PROVIDED}
+     * @returns {Heatmap} - Heatmap instance
+     */
+    unloadContent(content) {
+        const index = this.content.indexOf(content.key);
+        if (index < 0) {
+            throw new Error(errors.THROW_MSG_INVALID_OBJECT_PROVIDED);
+        }
+        clear(this.svg, content.key);
+        this.content.splice(index, 1);
+        this.contentConfig.splice(index, 1);
+        scaleColor(this.scale, this.config, this.contentConfig);
+        this.resize();
+        return this;
+    }
+
+    /**
+     * Exports the rendered heatmap as a standalone SVG string, a PNG data URL or
+     * a CSV string of the cells loaded.
+     * @param {Object} options - export options
+     * @param {string} options.format - svg, png or csv
+     * @returns {Promise} - resolves with the exported string, rejects with
+     * {module:errors.THROW_MSG_INVALID_EXPORT_FORMAT} when the format is invalid
+     */
+    export(options) {
+        return exportGraph(this, options, getExportRows);
+    }
+
+    /**
+     * Destroys the graph: Container and canvas.
+     * @returns {Heatmap} - Heatmap instance
+     */
+    destroy() {
+        detachEventHandlers(this);
+        this.graphContainer.select(`.${styles.canvas}`).remove();
+        this.graphContainer.select(`.${styles.container}`).remove();
+        initConfig(this);
+        return this;
+    }
+}
+
+export default Heatmap;
@@ -0,0 +1,270 @@
+"use strict";
+import d3 from "d3";
+import BaseConfig, {
+    getDefaultValue,
+    getDomain,
+    validateBaseInput
+} from "../../core/BaseConfig";
+import { generateClipPathId } from "../../core/BaseConfig/helper";
+import constants, {
+    AXIS_TYPE,
+    COLOR_SCALE_TYPE
+} from "../../helpers/constants";
+import errors from "../../helpers/errors";
+import { getTooltipConfig, validateTooltip } from "../../helpers/tooltip";
+import utils from "../../helpers/utils";
+import { DEFAULT_LOCALE } from "../../locale/index";
+
+/**
+ * Number of values needed for the color scale domain and range, based on the color scale type.
+ * @private
+ * @param {string} type - color scale type
+ * @returns {number} 3 for diverging, 2 otherwise
+ */
+const getColorScaleSize = (type) =>
+    type === COLOR_SCALE_TYPE.DIVERGING ? 3 : 2;
+/**
+ * Validates the color scale provided in the input JSON.
+ * Type needs to be one of COLOR_SCALE_TYPE. Domain, if provided, needs to be numbers in ascending order
+ * and range, if provided, needs to be colors. Both need to have 2 values for sequential and 3 for diverging scale.
+ * @private
+ * @param {Object} [colorScale] - color scale provided in the input JSON
+ * @throws {module:errors.THROW_MSG_INVALID_COLOR_SCALE}
+ * @returns {undefined} - returns nothing
+ */
+const validateColorScale = (colorScale) => {
+    if (utils.isEmpty(colorScale)) {
+        return;
+    }
+    const type = getDefaultValue(colorScale.type, COLOR_SCALE_TYPE.SEQUENTIAL);
+    const size = getColorScaleSize(type);
+    const isValidDomain = (domain) =>
+        utils.isArray(domain) &&
+        domain.length === size &&
+        domain.every(
+            (v, i) => utils.isNumber(v) && (i === 0 || domain[i - 1] < v)
+        );
+    const isValidRange = (range) =>
+        utils.isArray(range) &&
+        range.length === size &&
+        range.every((v) => utils.isString(v));
+    if (
+        !utils.hasValue(COLOR_SCALE_TYPE, type) ||
+        (utils.isDefined(colorScale.domain) &&
+            !isValidDomain(colorScale.domain)) ||
+        (utils.isDefined(colorScale.range) && !isValidRange(colorScale.range))
+    ) {
+        throw new Error(errors.THROW_MSG_INVALID_COLOR_SCALE);
+    }
+};
+/**
+ * Validates the content loaded into the heatmap. Each value needs to be a cell within the heatmap:
+ * x needs to be within the X Axis limits (or one of the tick values for category X Axis),
+ * y needs to be one of the Y Axis categories and value needs to be a number.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @param {Object} content - content JSON provided by the consumer
+ * @throws {module:errors.THROW_MSG_NO_CONTENT_DATA_LOADED}
+ * @throws {module:errors.THROW_MSG_UNIQUE_KEY_NOT_PROVIDED}
+ * @throws {module:errors.THROW_MSG_NO_DATA_POINTS}
+ * @throws {module:errors.THROW_MSG_INVALID_HEATMAP_VALUE}
+ * @returns {undefined} - returns nothing
+ */
+export const validateContent = (config, content) => {
+    validateBaseInput(content);
+    const isValidX = (x) => {
+        if (config.axis.x.type === AXIS_TYPE.CATEGORY) {
+            return utils.hasValue(config.axis.x.domain, x);
+        }
+        if (!utils.isDate(x)) {
+            return false;
+        }
+        const time = utils.getTime(x);
+        return (
+            time >= config.axis.x.domain[0].getTime() &&
+            time < config.axis.x.domain[1].getTime()
+        );
+    };
+    content.values.forEach((value) => {
+        if (
+            !isValidX(value.x) ||
+            !utils.hasValue(config.axis.y.categories, value.y) ||
+            !utils.isNumber(value.value)
+        ) {
+            throw new Error(errors.THROW_MSG_INVALID_HEATMAP_VALUE);
+        }
+    });
+};
+/**
+ * Processes the input from the JSON and updates the config object.
+ * d3 domain and ranges are stored based on the upper and lower x limits for time series X Axis,
+ * and the tick values for category X Axis.
+ * @private
+ * @param {Object} input - Input JSON provided by the consumer
+ * @param {Object} config - config object used by the graph
+ * @returns {Object} - returns configuration object constructed using Input JSON
+ */
+export const processInput = (input, config) => {
+    const _axis = utils.deepClone(input.axis);
+    const _colorScale = getDefaultValue(utils.deepClone(input.colorScale), {});
+    const colorScaleType = getDefaultValue(
+        _colorScale.type,
+        COLOR_SCALE_TYPE.SEQUENTIAL
+    );
+    config.clipPathId = generateClipPathId();
+    config.gradientId = `${config.clipPathId}-legend`;
+    config.bindTo = input.bindTo;
+    config.padding = Object.assign({}, constants.PADDING, input.padding, {
+        hasCustomPadding: utils.isDefined(input.padding)
+    });
+    config.axis = {
+        x: {},
+        y: {}
+    };
+    config.locale = d3.locale(getDefaultValue(input.locale, DEFAULT_LOCALE));
+    config.throttle = getDefaultValue(
+        input.throttle,
+        constants.RESIZE_THROTTLE
+    );
+    config.observeResize = getDefaultValue(input.observeResize, false);
+    config.showLegend = getDefaultValue(input.showLegend, true);
+    config.showVGrid = getDefaultValue(input.showVGrid, true);
+    config.tooltip = getTooltipConfig(input.tooltip);
+    config.axis.x = Object.assign(_axis.x, {
+        type: getDefaultValue(_axis.x.type, AXIS_TYPE.TIME_SERIES),
+        show: getDefaultValue(_axis.x.show, true),
+        ticks: getDefaultValue(_axis.x.ticks, {}),
+        rangeRounding: getDefaultValue(_axis.x.rangeRounding, false)
+    });
+    // Category X Axis is ordinal, each tick value forms a column of cells
+    config.axis.x.domain =
+        config.axis.x.type === AXIS_TYPE.CATEGORY
+            ? config.axis.x.ticks.values.slice()
+            : getDomain(
+                  AXIS_TYPE.TIME_SERIES,
+                  _axis.x.lowerLimit,
+                  _axis.x.upperLimit
+              );
+    config.axis.y = {
+        show: getDefaultValue(_axis.y.show, true),
+        categories: _axis.y.categories.slice(),
+        rowHeight: getDefaultValue(
+            _axis.y.rowHeight,
+            constants.DEFAULT_HEATMAP_ROW_HEIGHT
+        )
+    };
+    config.colorScale = {
+        type: colorScaleType,
+        domain: _colorScale.domain,
+        range: getDefaultValue(
+            _colorScale.range,
+            constants.DEFAULT_HEATMAP_COLOR_RANGE[colorScaleType]
+        ),
+        format: getDefaultValue(
+            _colorScale.format,
+            constants.DEFAULT_HEATMAP_LEGEND_TICK_FORMAT
+        )
+    };
+    return config;
+};
+
+/**
+ * API to parse consumer input for Heatmap
+ * @class HeatmapConfig
+ */
+class HeatmapConfig extends BaseConfig {
+    /**
+     * @inheritDoc
+     */
+    constructor() {
+        super();
+        this.config = null;
+        this.input = null;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    getConfig() {
+        return this.config;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    setInput(inputJSON) {
+        this.input = inputJSON;
+        return this;
+    }
+
+    /**
+     * Validates and verifies the input JSON object
+     * Checks if the following properties are present:
+     *      bindTo
+     *      axis
+     *      axis.x, limits for time series and tick values for category
+     *      axis.y and its categories
+     * @throws {module:errors.THROW_MSG_NO_BIND}
+     * @throws {module:errors.THROW_MSG_NO_AXES_DATA_LOADED}
+     * @throws {module:errors.THROW_MSG_NO_AXIS_INFO}
+     * @throws {module:errors.THROW_MSG_NO_AXIS_LIMIT_INFO}
+     * @throws {module:errors.THROW_MSG_INVALID_AXIS_TYPE_VALUES}
+     * @throws {module:errors.THROW_MSG_CATEGORY_TICKS_NOT_PROVIDED}
+     * @throws {module:errors.THROW_MSG_HEATMAP_CATEGORIES_NOT_PROVIDED}
+     * @throws {module:errors.THROW_MSG_INVALID_COLOR_SCALE}
+     * @returns {HeatmapConfig} instance object
+     */
+    validateInput() {
+        if (utils.isEmpty(this.input)) {
+            throw new Error(errors.THROW_MSG_NO_AXES_DATA_LOADED);
+        }
+        if (utils.isEmpty(this.input.bindTo)) {
+            throw new Error(errors.THROW_MSG_NO_BIND);
+        }
+        if (
+            utils.isEmpty(this.input.axis) ||
+            utils.isEmpty(this.input.axis.x) ||
+            utils.isEmpty(this.input.axis.y)
+        ) {
+            throw new Error(errors.THROW_MSG_NO_AXIS_INFO);
+        }
+        if (this.input.axis.x.type === AXIS_TYPE.CATEGORY) {
+            if (
+                utils.isEmpty(this.input.axis.x.ticks) ||
+                utils.isEmpty(this.input.axis.x.ticks.values)
+            ) {
+                throw new Error(errors.THROW_MSG_CATEGORY_TICKS_NOT_PROVIDED);
+            }
+        } else {
+            if (
+                utils.isEmpty(this.input.axis.x.lowerLimit) ||
+                utils.isEmpty(this.input.axis.x.upperLimit)
+            ) {
+                throw new Error(errors.THROW_MSG_NO_AXIS_LIMIT_INFO);
+            }
+            if (
+                !utils.isDate(this.input.axis.x.lowerLimit) ||
+                !utils.isDate(this.input.axis.x.upperLimit)
+            ) {
+                throw new Error(errors.THROW_MSG_INVALID_AXIS_TYPE_VALUES);
+            }
+        }
+        if (utils.isEmpty(this.input.axis.y.categories)) {
+            throw new Error(errors.THROW_MSG_HEATMAP_CATEGORIES_NOT_PROVIDED);
+        }
+        validateColorScale(this.input.colorScale);
+        validateTooltip(this.input.tooltip);
+        return this;
+    }
+
+    /**
+     * Clones the input JSON into the config object
+     * @returns {HeatmapConfig} instance object
+     */
+    clone() {
+        this.config = utils.deepClone(this.input);
+        return this;
+    }
+}
+
+export default HeatmapConfig;
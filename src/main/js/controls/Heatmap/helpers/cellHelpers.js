@@ -0,0 +1,238 @@
+"use strict";
+import d3 from "d3";
+import { parseTypedValue } from "../../../core/BaseConfig";
+import { getXAxisXPosition, processTickValues } from "../../../helpers/axis";
+import constants, { AXIS_TYPE } from "../../../helpers/constants";
+import styles from "../../../helpers/styles";
+import { bindTooltip } from "../../../helpers/tooltip";
+import utils from "../../../helpers/utils";
+import { getXAxisYPosition } from "./creationHelpers";
+
+/**
+ * Returns the boundaries of the datetime buckets forming the columns of cells for time series X Axis.
+ * X Axis limits, tick values (or lower step tick values, when provided) and upper step tick values form the boundaries.
+ * Midpoint tick values do not form a boundary, since they denote a separation within a bucket.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @returns {Array} sorted list of boundaries, as time in milliseconds
+ */
+const getBucketBoundaries = (config) => {
+    const ticks = config.axis.x.ticks;
+    const lowerLimit = config.axis.x.domain[0].getTime();
+    const upperLimit = config.axis.x.domain[1].getTime();
+    return []
+        .concat(
+            processTickValues(ticks.lowerStepTickValues || ticks.values) || [],
+            processTickValues(ticks.upperStepTickValues) || []
+        )
+        .map((tick) => tick.getTime())
+        .filter((time) => time > lowerLimit && time < upperLimit)
+        .concat([lowerLimit, upperLimit])
+        .sort((a, b) => a - b)
+        .filter((time, index, list) => index === 0 || list[index - 1] !== time);
+};
+/**
+ * Returns the start and end of the datetime bucket the x value belongs to.
+ * @private
+ * @param {Array} boundaries - sorted list of bucket boundaries, as time in milliseconds
+ * @param {Date} x - x value of the cell
+ * @returns {Object} start and end of the bucket
+ */
+const getBucket = (boundaries, x) => {
+    const index = d3.bisectRight(boundaries, x.getTime()) - 1;
+    return {
+        start: new Date(boundaries[index]),
+        end: new Date(boundaries[index + 1])
+    };
+};
+/**
+ * Processes the content and adds the x value, bucket, label etc. to each of the cell values provided.
+ * For time series X Axis, each cell spans the datetime bucket its x value belongs to.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @param {Object} content - content JSON provided by the consumer
+ * @returns {Object} content along with the internal values subset
+ */
+const processContent = (config, content) => {
+    const type = config.axis.x.type;
+    const boundaries =
+        type === AXIS_TYPE.CATEGORY ? [] : getBucketBoundaries(config);
+    const internalValuesSubset = content.values.map((value) => {
+        const x = parseTypedValue(value.x, type);
+        return Object.assign(
+            {
+                onClick: content.onClick,
+                x,
+                y: value.y,
+                value: value.value,
+                label: content.label || {},
+                key: content.key
+            },
+            type === AXIS_TYPE.CATEGORY ? {} : getBucket(boundaries, x)
+        );
+    });
+    return Object.assign({}, content, { internalValuesSubset });
+};
+/**
+ * Returns the position and size of the cell based on the scale.
+ * Cells span the band of the x value for category X Axis, and the datetime bucket otherwise.
+ * @private
+ * @param {Object} scale - d3 scale for Graph
+ * @param {Object} value - cell value
+ * @returns {Object} x, y, width and height of the cell
+ */
+const getCellAttributes = (scale, value) => {
+    const isBucket = utils.isDefined(value.start);
+    return {
+        x: scale.x(isBucket ? value.start : value.x),
+        y: scale.y(value.y),
+        width: isBucket
+            ? scale.x(value.end) - scale.x(value.start)
+            : scale.x.rangeBand(),
+        height: scale.y.rangeBand()
+    };
+};
+/**
+ * Sets the position and size of the cell rect.
+ * @private
+ * @param {Object} scale - d3 scale for Graph
+ * @param {d3.selection} path - d3 selection of the cell rect, bound to the cell value
+ * @returns {d3.selection} d3 selection of the cell rect
+ */
+const setCellAttributes = (scale, path) =>
+    path
+        .attr("x", (d) => getCellAttributes(scale, d).x)
+        .attr("y", (d) => getCellAttributes(scale, d).y)
+        .attr("width", (d) => getCellAttributes(scale, d).width)
+        .attr("height", (d) => getCellAttributes(scale, d).height);
+/**
+ * Returns the transform for the content container, cells are positioned relative to
+ * the top left corner of the X and Y Axes.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @returns {string} Transform property of translate
+ */
+const getContentGroupTransform = (config) =>
+    `translate(${getXAxisXPosition(config)},${getXAxisYPosition(config)})`;
+/**
+ * Toggles the selection of a cell, executes on click of a cell.
+ * @private
+ * @param {Object} target - DOM element of the cell clicked
+ * @returns {Array} d3 html element of the cell
+ */
+const toggleCellSelection = (target) => {
+    const cellNode = d3.select(target);
+    const selectionCellNode = cellNode.select(
+        `.${styles.heatmapCellSelection}`
+    );
+    cellNode.attr(
+        "aria-selected",
+        !(cellNode.attr("aria-selected") === "true")
+    );
+    selectionCellNode.attr(
+        "aria-hidden",
+        !(selectionCellNode.attr("aria-hidden") === "true")
+    );
+    return cellNode;
+};
+/**
+ * Handler for a cell click action. If the content property is present for the cell
+ * then the callback is executed other wise it is NOP.
+ *  Callback arguments:
+ *      Post close callback function
+ *      value [x, y and value of the cell]
+ *      Selected cell target [d3 target]
+ *  On close of popup, call -> the provided callback
+ * @private
+ * @param {Object} value - cell value object
+ * @param {number} index - cell index for the content
+ * @param {Object} target - DOM object of the clicked cell
+ * @returns {undefined} - returns nothing
+ */
+const cellClickActionHandler = (value, index, target) => {
+    if (utils.isEmpty(value.onClick)) {
+        return;
+    }
+    toggleCellSelection(target).call((d3TargetNode) =>
+        value.onClick(
+            () => {
+                const d3SelectionNode = d3TargetNode.select(
+                    `.${styles.heatmapCellSelection}`
+                );
+                d3SelectionNode.attr(
+                    "aria-hidden",
+                    !(d3SelectionNode.attr("aria-hidden") === "true")
+                );
+                d3TargetNode.attr("aria-selected", false);
+            },
+            value.key,
+            index,
+            value,
+            d3TargetNode
+        )
+    );
+};
+/**
+ * Draws the cells for the content. Each cell consists of
+ * * Cell rect, filled with the color the value maps to
+ * * Selection indicator for the cell, rendered above the cell and hidden by default
+ * @private
+ * @param {Object} scale - d3 scale for Graph
+ * @param {Object} config - config object derived from input JSON
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @param {Object} content - processed content object
+ * @returns {undefined} - returns nothing
+ */
+const drawCells = (scale, config, canvasSVG, content) => {
+    canvasSVG
+        .select(`.${styles.heatmapContent}`)
+        .append("g")
+        .classed(styles.heatmapContentGroup, true)
+        .attr("aria-describedby", content.key)
+        .attr("transform", getContentGroupTransform(config))
+        .selectAll(`.${styles.heatmapCell}`)
+        .data(content.internalValuesSubset)
+        .enter()
+        .append("g")
+        .classed(styles.heatmapCell, true)
+        .attr("aria-selected", false)
+        .each(function(d, i) {
+            const cellPath = d3.select(this);
+            const cellNode = this;
+            setCellAttributes(scale, cellPath.append("rect"))
+                .classed(styles.heatmapCellRect, true)
+                .attr("fill", scale.color(d.value))
+                .attr("aria-disabled", !utils.isFunction(d.onClick))
+                .on("click", () => cellClickActionHandler(d, i, cellNode));
+            setCellAttributes(scale, cellPath.append("rect"))
+                .classed(styles.heatmapCellSelection, true)
+                .attr("aria-hidden", true);
+            bindTooltip(config, cellPath, d, content);
+        });
+};
+/**
+ * Translates the cells on resize, or when the color scale changes.
+ * Position and size of the cells are updated based on the scale, along with the color.
+ * @private
+ * @param {Object} scale - d3 scale for Graph
+ * @param {Object} config - config object derived from input JSON
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @returns {undefined} - returns nothing
+ */
+const translateCells = (scale, config, canvasSVG) => {
+    canvasSVG
+        .selectAll(`.${styles.heatmapContentGroup}`)
+        .attr("transform", getContentGroupTransform(config));
+    setCellAttributes(
+        scale,
+        canvasSVG
+            .selectAll(`.${styles.heatmapCell} rect`)
+            .transition()
+            .call(constants.d3Transition)
+    );
+    canvasSVG
+        .selectAll(`.${styles.heatmapCellRect}`)
+        .attr("fill", (d) => scale.color(d.value));
+};
+
+export { drawCells, processContent, translateCells };
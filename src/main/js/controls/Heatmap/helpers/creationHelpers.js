@@ -0,0 +1,426 @@
+"use strict";
+import d3 from "d3";
+import {
+    getAxisTickFormat,
+    getXAxisHeight,
+    getXAxisXPosition,
+    getYAxisHeight,
+    getYAxisXPosition,
+    prepareHorizontalAxis,
+    prepareXAxis
+} from "../../../helpers/axis";
+import constants, {
+    AXES_ORIENTATION,
+    AXIS_TYPE,
+    COLOR_SCALE_TYPE
+} from "../../../helpers/constants";
+import { createVGrid, prepareHAxis } from "../../../helpers/datetimeBuckets";
+import styles from "../../../helpers/styles";
+import utils from "../../../helpers/utils";
+import {
+    attachEventHandlers,
+    d3RemoveElement,
+    detachEventHandlers
+} from "../../Graph/helpers/helpers";
+import {
+    translateColorLegend,
+    translateVerticalGrid
+} from "./translateHelpers";
+
+/**
+ * Calculates the height for Y Axis, each category forms a row of cells.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @returns {number} Height for the axis
+ */
+const determineHeight = (config) =>
+    config.axis.y.categories.length * config.axis.y.rowHeight;
+/**
+ * Height of the color legend rendered below the cells, including the legend tick labels.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @returns {number} Height of the color legend, 0 if the legend is not shown
+ */
+const getColorLegendHeight = (config) =>
+    config.showLegend
+        ? constants.DEFAULT_HEATMAP_LEGEND.padding +
+          constants.DEFAULT_HEATMAP_LEGEND.height +
+          constants.DEFAULT_HEATMAP_LEGEND.labelHeight
+        : 0;
+/**
+ * Dynamically generate the label width for y axis, using the categories
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @returns {number} label width
+ */
+const getYAxisWidth = (config) => {
+    if (config.padding.hasCustomPadding) {
+        return config.padding.left;
+    }
+    const scale = d3.scale
+        .ordinal()
+        .domain(config.axis.y.categories)
+        .rangeBands([0, determineHeight(config)]);
+    const axis = d3.svg
+        .axis()
+        .scale(scale)
+        .orient(AXES_ORIENTATION.Y.LEFT);
+    const dummy = d3.select("body").append("div");
+    const svg = dummy.append("svg");
+    const yAxisSVG = svg.append("g").call(axis);
+    const width = yAxisSVG.node().getBoundingClientRect().width;
+    dummy.remove();
+    return width;
+};
+/**
+ * Calculates axes sizes, specifically:
+ *  X Axis: Height
+ *  Y Axis: Width
+ *  @private
+ *  @param {Object} config - config object derived from input JSON
+ *  @returns {undefined} - returns nothing
+ */
+const calculateAxesSize = (config) => {
+    config.axisSizes = {};
+    config.axisSizes.x = getXAxisHeight(config);
+    config.axisSizes.y = getYAxisWidth(config);
+};
+/**
+ *  Calculates the label size needed for each axes.
+ *  Y Axis: Width
+ *  @private
+ *  @param {Object} config - config object derived from input JSON
+ *  @returns {undefined} - returns nothing
+ */
+const calculateAxesLabelSize = (config) => {
+    config.axisLabelWidths = {};
+    config.axisLabelWidths.y = config.padding.left;
+};
+/**
+ * X Axis's width that will hold the columns of cells
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @returns {number} X Axis width
+ */
+const getXAxisWidth = (config) =>
+    config.canvasWidth - getXAxisXPosition(config) - config.padding.right;
+/**
+ * X Axis's position vertically relative to the canvas. X Axis is rendered above the cells.
+ * @private
+ * @param {object} config - config object derived from input JSON
+ * @returns {number} Position for the axis
+ */
+const getXAxisYPosition = (config) =>
+    (config.padding.top + config.padding.bottom) * 2;
+/**
+ * Color legend's position vertically relative to the canvas, below the cells.
+ * @private
+ * @param {object} config - config object derived from input JSON
+ * @returns {number} Position for the legend
+ */
+const getColorLegendYPosition = (config) =>
+    getXAxisYPosition(config) +
+    getYAxisHeight(config) +
+    constants.DEFAULT_HEATMAP_LEGEND.padding;
+/**
+ * Color legend's width, legend cannot be wider than the X Axis.
+ * @private
+ * @param {object} config - config object derived from input JSON
+ * @returns {number} Width of the legend
+ */
+const getColorLegendWidth = (config) =>
+    Math.max(
+        Math.min(constants.DEFAULT_HEATMAP_LEGEND.width, getXAxisWidth(config)),
+        0
+    );
+/**
+ * Prepares X and Y Axes according to their scale and available container width and height
+ * @private
+ * @param {Object} axis - Axis scaled according to input parameters
+ * @param {Object} scale - d3 scale taking into account the input parameters
+ * @param {Object} config - config object derived from input JSON
+ * @returns {Object} - Scaled axes object
+ */
+const getAxesScale = (axis, scale, config) => {
+    axis.x = prepareXAxis(
+        scale.x,
+        config.axis.x.ticks.values,
+        getXAxisWidth(config),
+        getAxisTickFormat(
+            config.locale,
+            config.axis.x.ticks.format,
+            config.axis.x.type
+        ),
+        AXES_ORIENTATION.X.TOP
+    );
+    axis.y = d3.svg
+        .axis()
+        .scale(scale.y)
+        .orient(AXES_ORIENTATION.Y.LEFT);
+    return axis;
+};
+/**
+ * Creates and sets the d3 scale for the Heatmap.
+ * Time series X Axis uses a d3 time scale, which is clamped so that cells stay within the graph.
+ * Category X Axis and the Y Axis use d3 ordinal scales, where each tick value forms a band
+ * of equal width (or height) holding a column (or row) of cells.
+ * @private
+ * @param {Object} scale - d3 scale taking into account the input parameters
+ * @param {Object} config - config object derived from input JSON
+ * @returns {undefined} - returns nothing
+ */
+const scaleGraph = (scale, config) => {
+    if (config.axis.x.type === AXIS_TYPE.CATEGORY) {
+        scale.x = d3.scale
+            .ordinal()
+            .domain(config.axis.x.domain)
+            .rangeBands([0, getXAxisWidth(config)]);
+    } else {
+        scale.x = d3.time
+            .scale()
+            .domain(config.axis.x.domain)
+            .range([0, getXAxisWidth(config)])
+            .clamp(true);
+        if (config.axis.x.rangeRounding) {
+            scale.x.nice();
+        }
+    }
+    scale.y = d3.scale
+        .ordinal()
+        .domain(config.axis.y.categories)
+        .rangeBands([0, getYAxisHeight(config)]);
+};
+/**
+ * Returns the domain for the color scale. Domain provided in the input JSON takes precedence,
+ * otherwise it is the extent of the values loaded into the heatmap. For diverging color scale,
+ * the midpoint of the extent forms the center of the domain.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @param {Array} contentConfig - list of content loaded into the heatmap
+ * @returns {Array} domain for the color scale
+ */
+const getColorDomain = (config, contentConfig) => {
+    if (utils.notEmpty(config.colorScale.domain)) {
+        return config.colorScale.domain;
+    }
+    const values = contentConfig.reduce(
+        (acc, content) =>
+            acc.concat(content.internalValuesSubset.map((v) => v.value)),
+        []
+    );
+    const extent = utils.isEmpty(values) ? [0, 1] : d3.extent(values);
+    return config.colorScale.type === COLOR_SCALE_TYPE.DIVERGING
+        ? [extent[0], (extent[0] + extent[1]) / 2, extent[1]]
+        : extent;
+};
+/**
+ * Creates and sets the d3 scale used to map the value of a cell to its color.
+ * Values outside the domain are clamped to the range.
+ * @private
+ * @param {Object} scale - d3 scale taking into account the input parameters
+ * @param {Object} config - config object derived from input JSON
+ * @param {Array} contentConfig - list of content loaded into the heatmap
+ * @returns {undefined} - returns nothing
+ */
+const scaleColor = (scale, config, contentConfig) => {
+    scale.color = d3.scale
+        .linear()
+        .domain(getColorDomain(config, contentConfig))
+        .range(config.colorScale.range)
+        .clamp(true);
+};
+/**
+ * Added defs element for the canvas. This holds the clip paths for the entire chart
+ * and the linear gradient for the color legend.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @returns {Object} d3 svg path
+ */
+const createDefs = (config, canvasSVG) => {
+    const defsPath = canvasSVG.append("defs");
+    defsPath
+        .append("clipPath")
+        .attr("id", config.clipPathId)
+        .append("rect")
+        .attr(constants.X_AXIS, getXAxisXPosition(config))
+        .attr(constants.Y_AXIS, getXAxisYPosition(config))
+        .attr("width", getXAxisWidth(config))
+        .attr("height", getYAxisHeight(config));
+    defsPath.append("linearGradient").attr("id", config.gradientId);
+    return defsPath;
+};
+/**
+ * Create the d3 vertical grid and append into the canvas.
+ * Only performed if the flag for showVGrid is enabled and X Axis is time series,
+ * since the columns of cells serve as grid for category X Axis.
+ * Datetime buckets are supported for the vertical grid.
+ * @private
+ * @param {Object} axis - Axis scaled according to input parameters
+ * @param {Object} scale - d3 scale taking into account the input parameters
+ * @param {Object} config - config object derived from input JSON
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @returns {undefined} - returns nothing
+ */
+const createGrid = (axis, scale, config, canvasSVG) => {
+    if (!config.showVGrid || config.axis.x.type === AXIS_TYPE.CATEGORY) {
+        return;
+    }
+    getAxesScale(axis, scale, config);
+    const gridSVG = canvasSVG
+        .append("g")
+        .classed(styles.grid, true)
+        .attr(
+            "transform",
+            `translate(${getXAxisXPosition(config)},${getXAxisYPosition(
+                config
+            )})`
+        );
+    createVGrid(gridSVG, axis, config, createVGridHandler);
+};
+/**
+ * Function to create the vertical-grid with a specific style and config.
+ * @private
+ * @param {Object} gridSVG - d3 object of the grid
+ * @param {Object} axis - Axis scaled according to input parameters
+ * @param {string} style - Style with which, grid needs to be created.
+ * @param {Object} config - config required for translating vertical grid.
+ * @returns {undefined} - Doesn't return anything.
+ */
+const createVGridHandler = (gridSVG, axis, style, config) => {
+    gridSVG
+        .append("g")
+        .classed(style, true)
+        .call(translateVerticalGrid(axis, config));
+};
+/**
+ * Create the d3 Axes - X and Y and append into the canvas.
+ * X Axis is rendered above the cells and Y Axis holds the categories.
+ * If axis.x.show or axis.y.show is set to false: then the axis will be hidden
+ * @private
+ * @param {Object} axis - Axis scaled according to input parameters
+ * @param {Object} scale - d3 scale taking into account the input parameters
+ * @param {Object} config - config object derived from input JSON
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @returns {undefined} - returns nothing
+ */
+const createAxes = (axis, scale, config, canvasSVG) => {
+    getAxesScale(axis, scale, config);
+    prepareHAxis(
+        scale,
+        axis,
+        config,
+        prepareHorizontalAxis,
+        AXES_ORIENTATION.X.TOP
+    );
+    canvasSVG
+        .append("g")
+        .classed(styles.axis, true)
+        .classed(styles.axisX, true)
+        .attr("aria-hidden", !config.axis.x.show)
+        .attr(
+            "transform",
+            `translate(${getXAxisXPosition(config)}, ${getXAxisYPosition(
+                config
+            )})`
+        )
+        .call(axis.x);
+    canvasSVG
+        .append("g")
+        .classed(styles.axis, true)
+        .classed(styles.axisY, true)
+        .attr("aria-hidden", !config.axis.y.show)
+        .attr(
+            "transform",
+            `translate(${getYAxisXPosition(config)},${getXAxisYPosition(
+                config
+            )})`
+        )
+        .call(axis.y);
+};
+/**
+ * Creates a container for graph content, forms the border around the cells
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @returns {Object} d3 svg path
+ */
+const createContentContainer = (config, canvasSVG) =>
+    canvasSVG
+        .append("rect")
+        .classed(styles.contentContainer, true)
+        .attr(constants.X_AXIS, getXAxisXPosition(config))
+        .attr(constants.Y_AXIS, getXAxisYPosition(config))
+        .attr("width", getXAxisWidth(config))
+        .attr("height", getYAxisHeight(config));
+/**
+ * Creates a container for heatmap content
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @returns {Object} d3 svg path
+ */
+const createHeatmapContent = (config, canvasSVG) =>
+    canvasSVG
+        .append("g")
+        .classed(styles.heatmapContent, true)
+        .attr("clip-path", `url(#${config.clipPathId})`);
+/**
+ * Creates the continuous color legend below the cells. Legend is a rect filled with a linear
+ * gradient of the color scale, with ticks for each value in the color scale domain.
+ * @private
+ * @param {Object} scale - d3 scale taking into account the input parameters
+ * @param {Object} config - config object derived from input JSON
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @returns {undefined} - returns nothing
+ */
+const createColorLegend = (scale, config, canvasSVG) => {
+    const legendPath = canvasSVG
+        .append("g")
+        .classed(styles.heatmapLegend, true)
+        .attr("aria-hidden", false);
+    legendPath
+        .append("rect")
+        .classed(styles.heatmapLegendGradient, true)
+        .attr("fill", `url(#${config.gradientId})`);
+    legendPath
+        .append("g")
+        .classed(styles.axis, true)
+        .classed(styles.heatmapLegendAxis, true);
+    translateColorLegend(scale, config, canvasSVG);
+};
+/**
+ * Removes the heatmap content container for the key provided
+ * @private
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @param {string} key - Unique identifier of the content.
+ * @returns {undefined} - returns nothing
+ */
+const clear = (canvasSVG, key) =>
+    d3RemoveElement(
+        canvasSVG,
+        `.${styles.heatmapContentGroup}[aria-describedby="${key}"]`
+    );
+
+export {
+    attachEventHandlers,
+    calculateAxesLabelSize,
+    calculateAxesSize,
+    clear,
+    createAxes,
+    createColorLegend,
+    createContentContainer,
+    createDefs,
+    createGrid,
+    createHeatmapContent,
+    detachEventHandlers,
+    determineHeight,
+    getAxesScale,
+    getColorLegendHeight,
+    getColorLegendWidth,
+    getColorLegendYPosition,
+    getXAxisWidth,
+    getXAxisYPosition,
+    scaleColor,
+    scaleGraph
+};
@@ -0,0 +1,231 @@
+"use strict";
+import d3 from "d3";
+import {
+    getXAxisXPosition,
+    getYAxisHeight,
+    getYAxisXPosition,
+    prepareHorizontalAxis,
+    processTickValues
+} from "../../../helpers/axis";
+import constants, { AXES_ORIENTATION } from "../../../helpers/constants";
+import { prepareHAxis, translateVGrid } from "../../../helpers/datetimeBuckets";
+import styles from "../../../helpers/styles";
+import utils from "../../../helpers/utils";
+import { translateCanvas } from "../../Graph/helpers/helpers";
+import { translateCells } from "./cellHelpers";
+import {
+    getAxesScale,
+    getColorLegendWidth,
+    getColorLegendYPosition,
+    getXAxisWidth,
+    getXAxisYPosition
+} from "./creationHelpers";
+
+/**
+ * Updates clipPath rectangle width and height on resize.
+ * `clipPath` updates are necessary since the clip-path URL needs to get
+ * the necessary parameters on resize so that cells are not cut off
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @returns {Object} d3 svg path
+ */
+const translateDefs = (config, canvasSVG) =>
+    canvasSVG
+        .select(`clipPath#${config.clipPathId}`)
+        .selectAll("rect")
+        .attr("height", getYAxisHeight(config))
+        .attr("width", getXAxisWidth(config));
+/**
+ * Updates the x and y axes positions on resize
+ * @private
+ * @param {Object} axis - Axis scaled according to input parameters
+ * @param {Object} scale - d3 scale taking into account the input parameters
+ * @param {Object} config - config object derived from input JSON
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @returns {undefined} - returns nothing
+ */
+const translateAxes = (axis, scale, config, canvasSVG) => {
+    getAxesScale(axis, scale, config);
+    prepareHAxis(
+        scale,
+        axis,
+        config,
+        prepareHorizontalAxis,
+        AXES_ORIENTATION.X.TOP
+    );
+    canvasSVG
+        .select(`.${styles.axisX}`)
+        .transition()
+        .call(constants.d3Transition)
+        .attr(
+            "transform",
+            `translate(${getXAxisXPosition(config)},${getXAxisYPosition(
+                config
+            )})`
+        )
+        .call(axis.x);
+    canvasSVG
+        .select(`.${styles.axisY}`)
+        .transition()
+        .call(constants.d3Transition)
+        .attr(
+            "transform",
+            `translate(${getYAxisXPosition(config)}, ${getXAxisYPosition(
+                config
+            )})`
+        )
+        .call(axis.y);
+};
+/**
+ * Translates the vertical grid on the canvas.
+ * We decide using the ticks that are present in the X Axis and have the grid lines for every tick.
+ * When we resize, the ticks change based on the container real estate and we add/remove the grids respectively.
+ * @private
+ * @param {Object} axis - Axis scaled according to input parameters
+ * @param {Object} config - config object derived from input JSON
+ * @returns {Object} d3 svg path
+ */
+const translateVerticalGrid = (axis, config) => {
+    const xAxisGrid = axis.x
+        .orient(AXES_ORIENTATION.X.BOTTOM)
+        .tickSize(getYAxisHeight(config), 0, 0)
+        .tickFormat("");
+    if (utils.notEmpty(config.axis.x.ticks.values)) {
+        xAxisGrid.tickValues(processTickValues(config.axis.x.ticks.values));
+    }
+    return xAxisGrid;
+};
+/**
+ * Function to translate the vertical-grid with a specific style and config.
+ * @private
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @param {Object} axis - Axis scaled according to input parameters
+ * @param {string} style - Style with which, grid needs to be translated.
+ * @param {Object} config - config required for translating vertical grid.
+ * @returns {undefined} - Doesn't return anything.
+ */
+const translateVGridHandler = (canvasSVG, axis, style, config) => {
+    canvasSVG
+        .select(`.${style}`)
+        .transition()
+        .call(constants.d3Transition)
+        .call(translateVerticalGrid(axis, config));
+};
+/**
+ * Updates the vertical grid sizes/positions on resize, if the grid is present.
+ * @private
+ * @param {Object} axis - Axis scaled according to input parameters
+ * @param {Object} scale - d3 scale taking into account the input parameters
+ * @param {Object} config - config object derived from input JSON
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @returns {undefined} - returns nothing
+ */
+const translateGrid = (axis, scale, config, canvasSVG) => {
+    if (canvasSVG.select(`.${styles.grid}`).empty()) {
+        return;
+    }
+    getAxesScale(axis, scale, config);
+    canvasSVG
+        .select(`.${styles.grid}`)
+        .attr(
+            "transform",
+            `translate(${getXAxisXPosition(config)},${getXAxisYPosition(
+                config
+            )})`
+        );
+    translateVGrid(canvasSVG, axis, config, translateVGridHandler);
+};
+/**
+ * Translates the rectangle which forms the container for graph content
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @returns {Object} d3 svg path
+ */
+const translateContentContainer = (config, canvasSVG) =>
+    canvasSVG
+        .select(`.${styles.contentContainer}`)
+        .transition()
+        .call(constants.d3Transition)
+        .attr("width", getXAxisWidth(config))
+        .attr("height", getYAxisHeight(config));
+/**
+ * Updates the color legend position, width, gradient stops and ticks.
+ * Gradient has a stop for each value in the color scale domain, positioned relative to the extent of the domain.
+ * @private
+ * @param {Object} scale - d3 scale taking into account the input parameters
+ * @param {Object} config - config object derived from input JSON
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @returns {undefined} - returns nothing
+ */
+const translateColorLegend = (scale, config, canvasSVG) => {
+    const legendPath = canvasSVG.select(`.${styles.heatmapLegend}`);
+    if (legendPath.empty()) {
+        return;
+    }
+    const domain = scale.color.domain();
+    const width = getColorLegendWidth(config);
+    const legendScale = d3.scale
+        .linear()
+        .domain(d3.extent(domain))
+        .range([0, width]);
+    const stops = canvasSVG
+        .select(`#${config.gradientId}`)
+        .selectAll("stop")
+        .data(domain);
+    stops.enter().append("stop");
+    stops.exit().remove();
+    stops
+        .attr("offset", (d) => (width ? legendScale(d) / width : 0))
+        .attr("stop-color", (d) => scale.color(d));
+    legendPath.attr(
+        "transform",
+        `translate(${getXAxisXPosition(config)},${getColorLegendYPosition(
+            config
+        )})`
+    );
+    legendPath
+        .select(`.${styles.heatmapLegendGradient}`)
+        .attr("width", width)
+        .attr("height", constants.DEFAULT_HEATMAP_LEGEND.height);
+    legendPath
+        .select(`.${styles.heatmapLegendAxis}`)
+        .attr(
+            "transform",
+            `translate(0,${constants.DEFAULT_HEATMAP_LEGEND.height})`
+        )
+        .call(
+            d3.svg
+                .axis()
+                .scale(legendScale)
+                .orient(AXES_ORIENTATION.X.BOTTOM)
+                .tickValues(domain)
+                .tickFormat(
+                    config.locale.numberFormat(config.colorScale.format)
+                )
+        );
+};
+/**
+ * Translates graph based on the current positioning on resize. We
+ * don't need to resize the entire graph, in our case we just need to transform:
+ *  The canvas height and width
+ *  The axes x and y co-ordinates
+ *  The grid x and y co-ordinates
+ *  The cells
+ *  The color legend
+ *  @private
+ *  @param {Object} control - Heatmap instance
+ *  @returns {undefined} - returns nothing
+ */
+const translateGraph = (control) => {
+    translateCanvas(control.config, control.svg);
+    translateDefs(control.config, control.svg);
+    translateAxes(control.axis, control.scale, control.config, control.svg);
+    translateGrid(control.axis, control.scale, control.config, control.svg);
+    translateContentContainer(control.config, control.svg);
+    translateCells(control.scale, control.config, control.svg);
+    translateColorLegend(control.scale, control.config, control.svg);
+};
+
+export { translateColorLegend, translateGraph, translateVerticalGrid };
@@ -0,0 +1,3 @@
+import Heatmap from "./Heatmap";
+
+export { Heatmap as default };
@@ -0,0 +1,207 @@
+"use strict";
+import { GraphContent } from "../../core";
+import { getDefaultValue } from "../../core/BaseConfig";
+import constants, { AXIS_TYPE } from "../../helpers/constants";
+import {
+    prepareLabelShapeItem,
+    removeLabelShapeItem,
+    updateLabelShapeItem
+} from "../../helpers/label";
+import {
+    removeLegendItem,
+    restoreShownTargets,
+    updateLegendItem
+} from "../../helpers/legend";
+import utils from "../../helpers/utils";
+import { clear, prepareLegendItems } from "../Line/helpers/helpers";
+import {
+    clickHandler,
+    draw,
+    fitXAxisToBins,
+    getBins,
+    hoverHandler,
+    processDataPoints,
+    translateHistogramGraph
+} from "./helpers/helpers";
+import HistogramConfig from "./HistogramConfig";
+
+/**
+ * @typedef {Object} Histogram
+ * @typedef {Object} GraphContent
+ * @typedef {Object} HistogramConfig
+ */
+/**
+ * Calculates the min and max values for Y Axis or Y2 Axis.
+ * Range spans from 0 to the number of samples within the largest bin.
+ * Samples are binned against the X Axis type matching the samples, since the graph is not available yet.
+ * @private
+ * @param {Object} config - Histogram config object
+ * @param {string} axis - y or y2
+ * @returns {Object} - Contains min and max values for the data points for Y and Y2 axis
+ */
+const calculateValuesRange = (config, axis = constants.Y_AXIS) => ({
+    [axis]: {
+        min: 0,
+        max: Math.max(
+            0,
+            ...getBins(
+                config,
+                utils.isDate(config.values[0])
+                    ? AXIS_TYPE.TIME_SERIES
+                    : AXIS_TYPE.DEFAULT
+            ).map((bin) => bin.y)
+        )
+    }
+});
+
+/**
+ * Fits the X Axis to the bins of all the histograms loaded onto the graph.
+ * @private
+ * @param {Object} graph - Graph instance
+ * @returns {undefined} - returns nothing
+ */
+const fitXAxis = (graph) =>
+    fitXAxisToBins(
+        graph.config,
+        graph.content
+            .filter((content) => content instanceof Histogram)
+            .map((content) => content.dataTarget)
+    );
+
+/**
+ * Data point sets can be loaded using this function.
+ * Load function validates, clones and stores the input onto a config object.
+ * @private
+ * @param {Object} inputJSON - Input JSON provided by the consumer
+ * @returns {Object} HistogramConfig config object containing consumer data
+ */
+const loadInput = (inputJSON) =>
+    new HistogramConfig()
+        .setInput(inputJSON)
+        .validateInput()
+        .clone()
+        .getConfig();
+
+/**
+ * A Histogram graph is a graph used to represent the distribution of raw samples.
+ * Samples are binned using the bin method provided and each bin is represented by a bar spanning
+ * from the lower to the upper bound of the bin along the X Axis, and the number of samples within the bin along the Y Axis.
+ * Bars are contiguous and translucent, so that multiple histograms can be overlaid.
+ *
+ * Lifecycle functions include:
+ *  * Load
+ *  * Generate
+ *  * Update
+ *  * Unload
+ *  * Destroy
+ * @module Histogram
+ * @class Histogram
+ */
+class Histogram extends GraphContent {
+    /**
+     * @constructor
+     * @param {HistogramConfig} input - Input JSON instance created using GraphConfig
+     */
+    constructor(input) {
+        super();
+        this.config = loadInput(input);
+        this.config.yAxis = getDefaultValue(
+            this.config.yAxis,
+            constants.Y_AXIS
+        );
+        this.valuesRange = calculateValuesRange(this.config, this.config.yAxis);
+        this.dataTarget = {};
+    }
+
+    /**
+     * @inheritDoc
+     */
+    load(graph) {
+        this.dataTarget = processDataPoints(graph.config, this.config);
+        fitXAxis(graph);
+        draw(graph.scale, graph.config, graph.svg, this.dataTarget);
+        prepareLegendItems(
+            graph.config,
+            {
+                clickHandler: clickHandler(
+                    graph,
+                    this,
+                    graph.config,
+                    graph.svg
+                ),
+                hoverHandler: hoverHandler(graph.config.shownTargets, graph.svg)
+            },
+            this.dataTarget,
+            graph.legendSVG
+        );
+        prepareLabelShapeItem(
+            graph.config,
+            this.dataTarget,
+            graph.axesLabelShapeGroup[this.config.yAxis]
+        );
+        return this;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    update(graph, input) {
+        const hiddenTargets = [this.dataTarget.key].filter(
+            (key) => graph.config.shownTargets.indexOf(key) < 0
+        );
+        this.config = loadInput(
+            Object.assign({}, this.config, input, {
+                key: this.config.key,
+                yAxis: this.config.yAxis
+            })
+        );
+        this.valuesRange = calculateValuesRange(this.config, this.config.yAxis);
+        this.dataTarget = processDataPoints(graph.config, this.config);
+        fitXAxis(graph);
+        restoreShownTargets(graph.config.shownTargets, hiddenTargets);
+        clear(graph.svg, this.dataTarget);
+        draw(graph.scale, graph.config, graph.svg, this.dataTarget);
+        updateLegendItem(graph.legendSVG, this.dataTarget);
+        updateLabelShapeItem(
+            graph.config,
+            this.dataTarget,
+            graph.axesLabelShapeGroup[this.config.yAxis]
+        );
+        return this;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    unload(graph) {
+        clear(graph.svg, this.dataTarget);
+        removeLegendItem(graph.legendSVG, this.dataTarget);
+        removeLabelShapeItem(
+            graph.axesLabelShapeGroup[this.config.yAxis],
+            this.dataTarget
+        );
+        fitXAxis(graph);
+        this.dataTarget = {};
+        this.config = {};
+        return this;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    resize(graph) {
+        translateHistogramGraph(graph.scale, graph.svg);
+        return this;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    redraw(graph) {
+        clear(graph.svg, this.dataTarget);
+        draw(graph.scale, graph.config, graph.svg, this.dataTarget);
+        return this;
+    }
+}
+
+export default Histogram;
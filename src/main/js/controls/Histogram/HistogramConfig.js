@@ -0,0 +1,138 @@
+"use strict";
+import BaseConfig, { validateBaseInput } from "../../core/BaseConfig";
+import { BIN_METHOD } from "../../helpers/constants";
+import errors from "../../helpers/errors";
+import utils from "../../helpers/utils";
+
+/**
+ * Checks if the list provided is either a list of numbers or a list of ISO8601 datetime strings.
+ * @private
+ * @param {Array} list - list of values
+ * @returns {boolean} true if all values are numbers or all values are datetime strings, false otherwise
+ */
+const isSampleList = (list) =>
+    utils.isArray(list) &&
+    (list.every((v) => utils.isNumber(v)) ||
+        list.every((v) => utils.isString(v) && utils.isDate(v)));
+/**
+ * Validates the samples of the histogram. Samples need to be numbers,
+ * or ISO8601 datetime strings for timeseries X Axis.
+ * @private
+ * @param {Array} values - samples provided in the input JSON
+ * @throws {module:errors.THROW_MSG_INVALID_HISTOGRAM_VALUE}
+ * @returns {undefined} - returns nothing
+ */
+const validateHistogramValues = (values) => {
+    if (!isSampleList(values)) {
+        throw new Error(errors.THROW_MSG_INVALID_HISTOGRAM_VALUE);
+    }
+};
+/**
+ * Validates the bins provided in the input JSON.
+ * Method needs to be one of BIN_METHOD. Fixed width bins need a positive width, in milliseconds
+ * for datetime samples, and thresholds need at least 2 values of the same type as the samples, in ascending order.
+ * @private
+ * @param {Object} [bins] - bins provided in the input JSON
+ * @param {Array} values - samples provided in the input JSON
+ * @throws {module:errors.THROW_MSG_INVALID_HISTOGRAM_BINS}
+ * @returns {undefined} - returns nothing
+ */
+const validateBins = (bins, values) => {
+    if (utils.isEmpty(bins)) {
+        return;
+    }
+    const isDatetime = utils.isDate(values[0]);
+    const isValidWidth = (width) => utils.isNumber(width) && width > 0;
+    const isValidThresholds = (thresholds) =>
+        isSampleList(thresholds) &&
+        thresholds.length > 1 &&
+        utils.isDate(thresholds[0]) === isDatetime &&
+        thresholds.every(
+            (v, i) =>
+                i === 0 ||
+                (isDatetime
+                    ? utils.getTime(thresholds[i - 1]) < utils.getTime(v)
+                    : thresholds[i - 1] < v)
+        );
+    const method = bins.method || BIN_METHOD.STURGES;
+    if (
+        !utils.hasValue(BIN_METHOD, method) ||
+        (method === BIN_METHOD.FIXED_WIDTH && !isValidWidth(bins.width)) ||
+        (method === BIN_METHOD.THRESHOLDS &&
+            !isValidThresholds(bins.thresholds))
+    ) {
+        throw new Error(errors.THROW_MSG_INVALID_HISTOGRAM_BINS);
+    }
+};
+/**
+ * Validates the opacity of the bars, if provided.
+ * @private
+ * @param {number} [opacity] - opacity provided in the input JSON
+ * @throws {module:errors.THROW_MSG_INVALID_HISTOGRAM_OPACITY}
+ * @returns {undefined} - returns nothing
+ */
+const validateOpacity = (opacity) => {
+    if (
+        utils.isDefined(opacity) &&
+        !(utils.isNumber(opacity) && opacity >= 0 && opacity <= 1)
+    ) {
+        throw new Error(errors.THROW_MSG_INVALID_HISTOGRAM_OPACITY);
+    }
+};
+
+/**
+ * API to parse consumer input for Histogram graph
+ *
+ * @class HistogramConfig
+ */
+class HistogramConfig extends BaseConfig {
+    /**
+     * @inheritDoc
+     */
+    constructor() {
+        super();
+        this.config = null;
+        this.input = null;
+    }
+
+    /**
+     * Returns the config object
+     * @returns {Object} config object
+     */
+    getConfig() {
+        return this.config;
+    }
+
+    /**
+     * Sets the input object
+     * @param {Object} inputJSON - Input JSON
+     * @returns {HistogramConfig} instance object
+     */
+    setInput(inputJSON) {
+        this.input = inputJSON;
+        return this;
+    }
+
+    /**
+     * Validates and verifies the input JSON object.
+     * @returns {HistogramConfig} instance object
+     */
+    validateInput() {
+        validateBaseInput(this.input);
+        validateHistogramValues(this.input.values);
+        validateBins(this.input.bins, this.input.values);
+        validateOpacity(this.input.opacity);
+        return this;
+    }
+
+    /**
+     * Clones the input JSON into the config object
+     * @returns {HistogramConfig} instance object
+     */
+    clone() {
+        this.config = utils.deepClone(this.input);
+        return this;
+    }
+}
+
+export default HistogramConfig;
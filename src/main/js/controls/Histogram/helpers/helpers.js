@@ -0,0 +1,432 @@
+"use strict";
+import d3 from "d3";
+import { getDomain } from "../../../core/BaseConfig";
+import {
+    calculateVerticalPadding,
+    getXAxisWidth,
+    getXAxisXPosition,
+    isValidAxisType
+} from "../../../helpers/axis";
+import constants, { AXIS_TYPE, BIN_METHOD } from "../../../helpers/constants";
+import errors from "../../../helpers/errors";
+import {
+    legendClickHandler,
+    legendHoverHandler
+} from "../../../helpers/legend";
+import styles from "../../../helpers/styles";
+import { bindTooltip } from "../../../helpers/tooltip";
+import utils from "../../../helpers/utils";
+import { getColorForTarget } from "../../Graph/helpers/helpers";
+import { dataPointActionHandler } from "../../Line/helpers/helpers";
+
+/**
+ * Returns a function which returns the sample as a number. Datetime samples on a timeseries X Axis
+ * are converted to time in milliseconds, numeric samples are used as-is so that fractions are retained.
+ * @private
+ * @param {string} type - X Axis type
+ * @returns {Function} function returning the sample as a number
+ */
+const getSampleValueHandler = (type) => (sample) =>
+    type === AXIS_TYPE.TIME_SERIES ? utils.getTime(sample) : sample;
+/**
+ * Returns the range of the samples to be binned. When all the samples are equal,
+ * the range is widened so that the samples fall within a bin of non-zero width.
+ * @private
+ * @param {Array} values - samples as numbers
+ * @returns {Array} lower and upper bounds of the range
+ */
+const getBinRange = (values) => {
+    const extent = d3.extent(values);
+    return extent[0] === extent[1] ? [extent[0], extent[0] + 1] : extent;
+};
+/**
+ * Returns the number of bins using the Freedman-Diaconis rule, bin width being twice the
+ * interquartile range divided by the cube root of the number of samples.
+ * Falls back to Sturges' formula when the interquartile range is 0.
+ * @private
+ * @param {Array} values - samples as numbers
+ * @param {Array} range - lower and upper bounds of the range
+ * @returns {number} number of bins
+ */
+const getFreedmanDiaconisBinCount = (values, range) => {
+    const sorted = values.slice().sort(d3.ascending);
+    const width =
+        (2 * (d3.quantile(sorted, 0.75) - d3.quantile(sorted, 0.25))) /
+        Math.pow(values.length, 1 / 3);
+    return width > 0
+        ? Math.ceil((range[1] - range[0]) / width)
+        : Math.ceil(Math.log(values.length) / Math.LN2 + 1);
+};
+/**
+ * Returns the thresholds for bins of the width provided. Thresholds are aligned to
+ * multiples of the width, so that the bins are consistent across histograms.
+ * @private
+ * @param {Array} range - lower and upper bounds of the range
+ * @param {number} width - width of a bin
+ * @returns {Array} list of thresholds, in ascending order
+ */
+const getFixedWidthThresholds = (range, width) => {
+    const start = Math.floor(range[0] / width) * width;
+    const count = Math.max(Math.ceil((range[1] - start) / width), 1);
+    return d3.range(count + 1).map((i) => start + i * width);
+};
+/**
+ * Bins the samples of the histogram using the bin method provided, Sturges is the default.
+ * Samples outside the thresholds provided are not binned.
+ * @private
+ * @param {Object} dataTarget - Data points object
+ * @param {string} type - X Axis type
+ * @returns {Array} list of bins, each with the lower bound (x0), upper bound (x1), number of samples (y)
+ * and the samples within the bin
+ */
+const getBins = (dataTarget, type) => {
+    const bins = dataTarget.bins || {};
+    const getSampleValue = getSampleValueHandler(type);
+    const values = dataTarget.values.map(getSampleValue);
+    const histogram = d3.layout.histogram().value(getSampleValue);
+    const range = getBinRange(values);
+    if (bins.method === BIN_METHOD.THRESHOLDS) {
+        const thresholds = bins.thresholds.map(getSampleValue);
+        histogram.range(d3.extent(thresholds)).bins(thresholds);
+    } else if (bins.method === BIN_METHOD.FIXED_WIDTH) {
+        const thresholds = getFixedWidthThresholds(range, bins.width);
+        histogram.range(d3.extent(thresholds)).bins(thresholds);
+    } else if (bins.method === BIN_METHOD.FREEDMAN_DIACONIS) {
+        histogram.range(range).bins(getFreedmanDiaconisBinCount(values, range));
+    } else {
+        histogram.range(range);
+    }
+    return histogram(dataTarget.values).map((bin) => ({
+        x0: bin.x,
+        x1: bin.x + bin.dx,
+        y: bin.y,
+        samples: bin.slice()
+    }));
+};
+/**
+ * Adds the bins, colors, labels etc. to the data target. Each bin forms a data point,
+ * with x being the lower bound and y the number of samples within the bin.
+ * @private
+ * @param {Object} graphConfig - config object of Graph API
+ * @param {Object} dataTarget - Data points object
+ * @throws {module:errors.THROW_MSG_HISTOGRAM_CATEGORY_AXIS_NOT_SUPPORTED}
+ * @throws {module:errors.THROW_MSG_INVALID_FORMAT_TYPE}
+ * @returns {Array} List of data point subsets
+ */
+const getInternalValues = (graphConfig, dataTarget) => {
+    const type = graphConfig.axis.x.type;
+    if (type === AXIS_TYPE.CATEGORY) {
+        throw new Error(errors.THROW_MSG_HISTOGRAM_CATEGORY_AXIS_NOT_SUPPORTED);
+    }
+    if (!dataTarget.values.every((v) => isValidAxisType(v, type))) {
+        throw new Error(errors.THROW_MSG_INVALID_FORMAT_TYPE);
+    }
+    const getXDataValue = (x) =>
+        type === AXIS_TYPE.TIME_SERIES ? new Date(x) : x;
+    return getBins(dataTarget, type).map((bin) => ({
+        onClick: dataTarget.onClick,
+        x: getXDataValue(bin.x0),
+        x1: getXDataValue(bin.x1),
+        y: bin.y,
+        samples: bin.samples,
+        color: dataTarget.color || constants.DEFAULT_COLOR,
+        opacity: utils.isDefined(dataTarget.opacity)
+            ? dataTarget.opacity
+            : constants.DEFAULT_HISTOGRAM_OPACITY,
+        label: dataTarget.label || {},
+        yAxis: dataTarget.yAxis || constants.Y_AXIS,
+        key: dataTarget.key
+    }));
+};
+/**
+ * Processes the input JSON and bins the samples, adding the colors, labels etc. to each bin so that we
+ * can use them when rendering the bar.
+ * @private
+ * @param {Object} graphConfig - config object of Graph API
+ * @param {Object} dataTarget - Data points object
+ * @returns {Object} dataTarget - Updated data target object
+ */
+const processDataPoints = (graphConfig, dataTarget) => {
+    graphConfig.shownTargets.push(dataTarget.key);
+    dataTarget.internalValuesSubset = getInternalValues(
+        graphConfig,
+        dataTarget
+    );
+    return dataTarget;
+};
+/**
+ * Returns the edges of the bins of the histograms, in ascending order without duplicates.
+ * Bins of overlaid histograms sharing the same bins share the edges as well.
+ * @private
+ * @param {Array} dataTargets - Data points objects of the histograms loaded onto the graph
+ * @returns {Array} list of bin edges
+ */
+const getBinEdges = (dataTargets) => {
+    const edges = dataTargets.reduce(
+        (acc, dataTarget) =>
+            acc.concat(
+                ...dataTarget.internalValuesSubset.map((bin) => [bin.x, bin.x1])
+            ),
+        []
+    );
+    return edges
+        .sort((a, b) => a - b)
+        .filter((edge, index) => index === 0 || +edge !== +edges[index - 1]);
+};
+/**
+ * Returns the X Axis tick values generated from the bin edges. Every nth edge is used when there are
+ * more edges than the ticks which fit within the X Axis, so that the tick labels do not overlap.
+ * @private
+ * @param {Object} graphConfig - config object of Graph API
+ * @param {Array} edges - list of bin edges, in ascending order
+ * @returns {Array} list of tick values
+ */
+const getBinEdgeTicks = (graphConfig, edges) => {
+    const tickCount = Math.max(
+        Math.floor(getXAxisWidth(graphConfig) / constants.MAX_TICK_VARIANCE),
+        constants.MIN_TICKS
+    );
+    const step = Math.ceil(edges.length / tickCount);
+    return edges.filter((edge, index) => index % step === 0);
+};
+/**
+ * Fits the X Axis to the bins of the histograms loaded onto the graph, so that the limits provided in the
+ * input JSON do not need to cover the bins. X Axis domain is widened to include the bins and, unless
+ * tick values are provided in the input JSON, ticks are generated from the bin edges.
+ * Domain and ticks provided in the input JSON are restored once the histograms are unloaded.
+ * @private
+ * @param {Object} graphConfig - config object of Graph API
+ * @param {Array} dataTargets - Data points objects of the histograms loaded onto the graph
+ * @returns {undefined} - returns nothing
+ */
+const fitXAxisToBins = (graphConfig, dataTargets) => {
+    const xAxis = graphConfig.axis.x;
+    const edges = getBinEdges(dataTargets);
+    const domain = getDomain(xAxis.type, xAxis.lowerLimit, xAxis.upperLimit);
+    if (utils.notEmpty(edges)) {
+        domain[0] = d3.min([domain[0], edges[0]]);
+        domain[1] = d3.max([domain[1], edges[edges.length - 1]]);
+    }
+    xAxis.initialDomain = domain;
+    xAxis.initialTicks =
+        utils.isEmpty(edges) || utils.notEmpty(xAxis.inputTicks.values)
+            ? xAxis.inputTicks
+            : Object.assign({}, xAxis.inputTicks, {
+                  values: getBinEdgeTicks(graphConfig, edges)
+              });
+    if (!xAxis.isZoomed) {
+        xAxis.domain = domain.slice();
+        xAxis.ticks = xAxis.initialTicks;
+    }
+};
+/**
+ * Returns x, y, width and height of the bar for a bin. Bars span from the lower to
+ * the upper bound of the bin, without any padding, so that the bars are contiguous.
+ * @private
+ * @param {Object} scale - d3 scale for Graph
+ * @param {Object} value - bin value object
+ * @returns {Object} x, y, width and height of the bar
+ */
+const getBinRect = (scale, value) => {
+    const y = scale[value.yAxis];
+    return {
+        x: scale.x(value.x),
+        y: Math.min(y(0), y(value.y)),
+        width: Math.max(scale.x(value.x1) - scale.x(value.x), 0),
+        height: Math.abs(y(0) - y(value.y))
+    };
+};
+/**
+ * Updates the attributes for the bar rectangle.
+ * @private
+ * @param {Object} path - d3 selection node of the rectangle
+ * @param {Object} scale - d3 scale for Graph
+ * @param {Object} value - bin value object
+ * @returns {Object} d3 selection node of the rectangle
+ */
+const updateBarAttributes = (path, scale, value) => {
+    const rect = getBinRect(scale, value);
+    return path
+        .attr("x", rect.x)
+        .attr("y", rect.y)
+        .attr("width", rect.width)
+        .attr("height", rect.height);
+};
+/**
+ * Updates the attributes for the rectangle which serves as a selection indicator for the bar.
+ * The rectangle surrounds the bar.
+ * @private
+ * @param {Object} selectionPath - d3 selection node of the rectangle
+ * @param {Object} scale - d3 scale for Graph
+ * @param {Object} value - bin value object
+ * @returns {Object} d3 selection node of the rectangle
+ */
+const updateSelectionIndicatorAttributes = (selectionPath, scale, value) => {
+    const rect = getBinRect(scale, value);
+    const padding = constants.DEFAULT_HISTOGRAM_SELECTION_PADDING;
+    return selectionPath
+        .attr("x", rect.x - padding)
+        .attr("y", rect.y - padding)
+        .attr("width", rect.width + padding * 2)
+        .attr("height", rect.height + padding * 2);
+};
+/**
+ * Draws the bar for a bin, along with its selection indicator.
+ * Bar is filled with the color of the data set, using the opacity provided so that
+ * histograms can be overlaid. On click content callback function is called.
+ * @private
+ * @param {Object} scale - d3 scale for Graph
+ * @param {Object} config - Graph config object derived from input JSON
+ * @param {d3.selection} binPath - d3 html element of the bin
+ * @param {Object} value - bin value object
+ * @param {number} index - bin index for the set
+ * @param {Object} dataTarget - Data points object
+ * @returns {undefined} - returns nothing
+ */
+const drawBin = (scale, config, binPath, value, index, dataTarget) => {
+    updateSelectionIndicatorAttributes(
+        binPath
+            .append("rect")
+            .classed(styles.dataPointSelection, true)
+            .attr("aria-hidden", true)
+            .attr("aria-describedby", value.key),
+        scale,
+        value
+    );
+    updateBarAttributes(
+        binPath
+            .append("rect")
+            .classed(styles.histogramBar, true)
+            .attr(
+                "style",
+                `fill: ${getColorForTarget(value)}; fill-opacity: ${
+                    value.opacity
+                }; stroke: ${getColorForTarget(value)};`
+            )
+            .attr("aria-hidden", config.shownTargets.indexOf(value.key) < 0)
+            .attr("aria-describedby", value.key)
+            .attr("aria-disabled", !utils.isFunction(value.onClick))
+            .on("click", function() {
+                dataPointActionHandler(value, index, this);
+            }),
+        scale,
+        value
+    );
+    bindTooltip(config, binPath, value, dataTarget);
+};
+/**
+ * Draws the Histogram graph on the canvas element.
+ * Each bin is rendered as a bin group comprising of a selection indicator and the bar.
+ * @private
+ * @param {Object} scale - d3 scale taking into account the input parameters
+ * @param {Object} config - config object derived from input JSON
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @param {Object} dataTarget - Data points object
+ * @returns {undefined} - returns nothing
+ */
+const draw = (scale, config, canvasSVG, dataTarget) => {
+    const binPath = canvasSVG
+        .append("g")
+        .classed(styles.histogramGraphContent, true)
+        .attr("clip-path", `url(#${config.clipPathId})`)
+        .attr("aria-hidden", config.shownTargets.indexOf(dataTarget.key) < 0)
+        .attr("aria-describedby", dataTarget.key)
+        .append("g")
+        .classed(styles.currentBinsGroup, true)
+        .attr(
+            "transform",
+            `translate(${getXAxisXPosition(config)},${calculateVerticalPadding(
+                config
+            )})`
+        )
+        .selectAll(`.${styles.histogramBin}`)
+        .data(dataTarget.internalValuesSubset);
+    binPath
+        .enter()
+        .append("g")
+        .classed(styles.histogramBin, true)
+        .each(function(d, i) {
+            drawBin(scale, config, d3.select(this), d, i, dataTarget);
+        });
+    binPath
+        .exit()
+        .transition()
+        .call(constants.d3Transition)
+        .remove();
+};
+/**
+ * Called on resize, translates the bars and their selection indicators.
+ * @private
+ * @param {Object} scale - d3 scale for Graph
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @returns {undefined} - returns nothing
+ */
+const translateHistogramGraph = (scale, canvasSVG) => {
+    const translateRect = (cls, attributesFn) =>
+        canvasSVG
+            .selectAll(`.${styles.histogramGraphContent} .${cls}`)
+            .each(function(d) {
+                attributesFn(
+                    d3
+                        .select(this)
+                        .transition()
+                        .call(constants.d3Transition),
+                    scale,
+                    d
+                );
+            });
+    translateRect(
+        styles.dataPointSelection,
+        updateSelectionIndicatorAttributes
+    );
+    translateRect(styles.histogramBar, updateBarAttributes);
+};
+/**
+ * Click handler for legend item. Hides the bars of the histogram when clicked and calls redraw
+ * @private
+ * @param {Object} graphContext - Graph instance
+ * @param {Histogram} control - Histogram instance
+ * @param {Object} config - Graph config object derived from input JSON
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @returns {function} - returns callback function that handles click action on legend item
+ */
+const clickHandler = (graphContext, control, config, canvasSVG) => (
+    element,
+    item
+) => {
+    const index = config.shownTargets.indexOf(item.key);
+    if (index > -1) {
+        config.shownTargets.splice(index, 1);
+    } else {
+        config.shownTargets.push(item.key);
+    }
+    legendClickHandler(element);
+    canvasSVG
+        .selectAll(`.${styles.histogramBar}[aria-describedby="${item.key}"]`)
+        .attr("aria-hidden", true);
+    window.requestAnimationFrame(() => control.redraw(graphContext));
+};
+/**
+ * Hover handler for legend item. Highlights the bars of the histogram and blurs the rest of the targets in Graph
+ * if present.
+ * @private
+ * @param {Array} graphTargets - List of all the items in the Graph
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @returns {function} - returns callback function that handles hover action on legend item
+ */
+const hoverHandler = (graphTargets, canvasSVG) => (item, state) => {
+    legendHoverHandler(graphTargets, canvasSVG, item.key, state);
+    canvasSVG
+        .selectAll(`.${styles.histogramBar}[aria-describedby="${item.key}"]`)
+        .classed(styles.highlight, state === constants.HOVER_EVENT.MOUSE_ENTER);
+};
+
+export {
+    clickHandler,
+    draw,
+    fitXAxisToBins,
+    getBins,
+    hoverHandler,
+    processDataPoints,
+    translateHistogramGraph
+};
@@ -0,0 +1,3 @@
+import Histogram from "./Histogram";
+
+export { Histogram as default };
@@ -2,11 +2,24 @@
 import { GraphContent } from "../../core";
 import { getDefaultValue } from "../../core/BaseConfig";
 import constants from "../../helpers/constants";
+import { getValuesWithErrorBounds } from "../../helpers/errorBar";
+import errors from "../../helpers/errors";
 import {
     prepareLabelShapeItem,
-    removeLabelShapeItem
+    removeLabelShapeItem,
+    updateLabelShapeItem
 } from "../../helpers/label";
-import { removeLegendItem } from "../../helpers/legend";
+import {
+    removeLegendItem,
+    restoreShownTargets,
+    updateLegendItem
+} from "../../helpers/legend";
+import {
+    createReferenceLines,
+    getReferenceLineValues,
+    removeReferenceLines,
+    showHideReferenceLines
+} from "../../helpers/referenceLine";
 import {
     createRegion,
     hideAllRegions,
@@ -16,14 +29,22 @@ import {
 } from "../../helpers/region";
 import styles from "../../helpers/styles";
 import utils from "../../helpers/utils";
+import { validateLogAxisUpdate } from "../Graph/GraphConfig";
 import {
+    shiftXAxisDomain,
+    updateYAxisDomain
+} from "../Graph/helpers/streamHelpers";
+import {
+    appendDataPoints,
+    appendLineGraph,
     clear,
     clickHandler,
     draw,
     hoverHandler,
     prepareLegendItems,
     processDataPoints,
-    translateLineGraph
+    translateLineGraph,
+    updateLineGraph
 } from "./helpers/helpers";
 import LineConfig from "./LineConfig";
 
@@ -37,13 +58,23 @@ import LineConfig from "./LineConfig";
  * First we filter out values that are `null`, this is a result of
  * datapoint being part of being in a non-contiguous series and then we
  * get the min and max values for the Y or Y2 axis domain.
+ * Bounds of the error for each data point are included, so that the error bars fit within the domain.
+ * Values of the reference lines are included as well, so that the reference lines are always displayed.
  * @private
  * @param {Array} values - Datapoint values
  * @param {string} axis - y or y2
+ * @param {Array} [referenceLines] - reference lines of the content
  * @returns {Object} - Contains min and max values for the data points for Y and Y2 axis
  */
-const calculateValuesRange = (values, axis = constants.Y_AXIS) => {
-    const yAxisValuesList = values.filter((i) => i.y !== null).map((i) => i.y);
+const calculateValuesRange = (
+    values,
+    axis = constants.Y_AXIS,
+    referenceLines = []
+) => {
+    const yAxisValuesList = values
+        .filter((i) => i.y !== null)
+        .reduce((list, i) => list.concat(getValuesWithErrorBounds(i)), [])
+        .concat(getReferenceLineValues(referenceLines));
     return {
         [axis]: {
             min: Math.min(...yAxisValuesList),
@@ -73,6 +104,8 @@ const loadInput = (inputJSON) =>
  * Lifecycle functions include:
  *  * Load
  *  * Generate
+ *  * Update
+ *  * Append
  *  * Unload
  *  * Destroy
  * @module Line
@@ -92,17 +125,28 @@ class Line extends GraphContent {
         );
         this.valuesRange = calculateValuesRange(
             this.config.values,
-            this.config.yAxis
+            this.config.yAxis,
+            this.config.referenceLines
         );
         this.dataTarget = {};
+        this.graph = null;
     }
 
     /**
      * @inheritDoc
      */
     load(graph) {
+        this.graph = graph;
         this.dataTarget = processDataPoints(graph.config, this.config);
         draw(graph.scale, graph.config, graph.svg, this.dataTarget);
+        createReferenceLines(
+            graph.scale,
+            graph.config,
+            graph.svg,
+            this.config.referenceLines,
+            this.dataTarget.key,
+            this.config.yAxis
+        );
         if (utils.notEmpty(this.dataTarget.regions)) {
             createRegion(
                 graph.scale,
@@ -135,11 +179,105 @@ class Line extends GraphContent {
         return this;
     }
 
+    /**
+     * @inheritDoc
+     */
+    update(graph, input) {
+        const hiddenTargets = [this.dataTarget.key].filter(
+            (key) => graph.config.shownTargets.indexOf(key) < 0
+        );
+        this.config = loadInput(
+            Object.assign({}, this.config, input, {
+                key: this.config.key,
+                yAxis: this.config.yAxis
+            })
+        );
+        this.valuesRange = calculateValuesRange(
+            this.config.values,
+            this.config.yAxis,
+            this.config.referenceLines
+        );
+        this.dataTarget = processDataPoints(graph.config, this.config);
+        restoreShownTargets(graph.config.shownTargets, hiddenTargets);
+        updateLineGraph(graph.scale, graph.config, graph.svg, this.dataTarget);
+        removeReferenceLines(graph.svg, this.dataTarget.key);
+        createReferenceLines(
+            graph.scale,
+            graph.config,
+            graph.svg,
+            this.config.referenceLines,
+            this.dataTarget.key,
+            this.config.yAxis
+        );
+        showHideReferenceLines(
+            graph.svg,
+            this.dataTarget.key,
+            graph.config.shownTargets.indexOf(this.dataTarget.key) > -1
+        );
+        removeRegion(
+            graph.svg.select(`.${styles.regionGroup}`),
+            this.dataTarget
+        );
+        if (utils.notEmpty(this.dataTarget.regions)) {
+            createRegion(
+                graph.scale,
+                graph.config,
+                graph.svg.select(`.${styles.regionGroup}`),
+                this.dataTarget.regions,
+                `region_${this.dataTarget.key}`,
+                this.config.yAxis
+            );
+        }
+        updateLegendItem(graph.legendSVG, this.dataTarget);
+        updateLabelShapeItem(
+            graph.config,
+            this.dataTarget,
+            graph.axesLabelShapeGroup[this.config.yAxis]
+        );
+        return this;
+    }
+
+    /**
+     * Appends the data points to the content loaded onto the graph, for streaming data.
+     * X Axis domain is shifted to include the latest data point so that the graph scrolls,
+     * and the vertical axis domain is updated to fit the data points within the window.
+     * @param {Array} values - data points to be appended
+     * @throws {module:errors.THROW_MSG_CONTENT_NOT_LOADED}
+     * @throws {module:errors.THROW_MSG_NO_DATA_POINTS}
+     * @throws {module:errors.THROW_MSG_INVALID_LOG_AXIS_VALUES}
+     * @returns {Line} - Line instance
+     */
+    append(values) {
+        const graph = this.graph;
+        if (utils.isEmpty(graph) || graph.content.indexOf(this) < 0) {
+            throw new Error(errors.THROW_MSG_CONTENT_NOT_LOADED);
+        }
+        if (utils.notEmpty(values)) {
+            validateLogAxisUpdate(graph.config, this, { values });
+        }
+        appendDataPoints(
+            graph.config,
+            this.dataTarget,
+            utils.deepClone(values)
+        );
+        this.valuesRange = calculateValuesRange(
+            this.dataTarget.values,
+            this.config.yAxis,
+            this.config.referenceLines
+        );
+        appendLineGraph(graph.scale, graph.config, graph.svg, this.dataTarget);
+        shiftXAxisDomain(graph.config, this);
+        updateYAxisDomain(graph, this);
+        graph.resize();
+        return this;
+    }
+
     /**
      * @inheritDoc
      */
     unload(graph) {
         clear(graph.svg, this.dataTarget);
+        removeReferenceLines(graph.svg, this.dataTarget.key);
         removeRegion(
             graph.svg.select(`.${styles.regionGroup}`),
             this.dataTarget
@@ -151,6 +289,7 @@ class Line extends GraphContent {
         );
         this.dataTarget = {};
         this.config = {};
+        this.graph = null;
         return this;
     }
 
@@ -1,7 +1,55 @@
 "use strict";
 import BaseConfig, { validateBaseInput } from "../../core/BaseConfig";
+import constants, { LINE_TYPE } from "../../helpers/constants";
+import { validateErrorValues } from "../../helpers/errorBar";
+import errors from "../../helpers/errors";
+import { validateReferenceLines } from "../../helpers/referenceLine";
 import utils from "../../helpers/utils";
 
+/**
+ * Validates the sliding window, if provided, used to drop older data points as new ones are appended.
+ * Sliding window needs to be a positive number, in milliseconds for timeseries.
+ * @private
+ * @param {number} slidingWindow - sliding window provided in the input JSON
+ * @throws {module:errors.THROW_MSG_INVALID_SLIDING_WINDOW}
+ * @returns {undefined} - returns nothing
+ */
+const validateSlidingWindow = (slidingWindow) => {
+    if (
+        utils.isDefined(slidingWindow) &&
+        !(utils.isNumber(slidingWindow) && slidingWindow > 0)
+    ) {
+        throw new Error(errors.THROW_MSG_INVALID_SLIDING_WINDOW);
+    }
+};
+/**
+ * Validates the thresholds, if provided, used to color the line segments and points beyond them.
+ * Each threshold needs either an above or a below value as a number, along with a color.
+ * Line segments beyond a threshold are split where the line crosses the threshold, which is
+ * only exact for a linear line, hence thresholds are not supported for other line types.
+ * @private
+ * @param {Array} thresholds - thresholds provided in the input JSON
+ * @param {string} type - line type provided in the input JSON
+ * @throws {module:errors.THROW_MSG_INVALID_THRESHOLD}
+ * @throws {module:errors.THROW_MSG_THRESHOLD_LINE_TYPE_NOT_SUPPORTED}
+ * @returns {undefined} - returns nothing
+ */
+const validateThresholds = (thresholds, type) => {
+    if (!utils.isDefined(thresholds)) {
+        return;
+    }
+    const isValidThreshold = (threshold) =>
+        utils.isDefined(threshold.above) !== utils.isDefined(threshold.below) &&
+        (utils.isNumber(threshold.above) || utils.isNumber(threshold.below)) &&
+        utils.notEmpty(threshold.color);
+    if (!utils.isArray(thresholds) || !thresholds.every(isValidThreshold)) {
+        throw new Error(errors.THROW_MSG_INVALID_THRESHOLD);
+    }
+    if (utils.isDefined(type) && type !== LINE_TYPE.LINEAR) {
+        throw new Error(errors.THROW_MSG_THRESHOLD_LINE_TYPE_NOT_SUPPORTED);
+    }
+};
+
 /**
  * API to parse consumer input for Line graph
  *
@@ -41,6 +89,12 @@ class LineConfig extends BaseConfig {
      */
     validateInput() {
         validateBaseInput(this.input);
+        validateSlidingWindow(this.input.slidingWindow);
+        validateThresholds(this.input.thresholds, this.input.type);
+        validateReferenceLines(this.input.referenceLines, [
+            this.input.yAxis || constants.Y_AXIS
+        ]);
+        validateErrorValues(this.input.values);
         return this;
     }
 
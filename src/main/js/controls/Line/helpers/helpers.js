@@ -9,21 +9,33 @@ import { getDefaultSVGProps } from "../../../core/Shape";
 import {
     calculateVerticalPadding,
     getXAxisXPosition,
-    isValidAxisType
+    isValidAxisType,
+    isValidCategory
 } from "../../../helpers/axis";
-import constants, { SHAPES } from "../../../helpers/constants";
+import constants, { AXIS_TYPE, SHAPES } from "../../../helpers/constants";
+import {
+    getErrorBarPath,
+    getErrorBounds,
+    hasErrorBounds,
+    validateErrorValues
+} from "../../../helpers/errorBar";
 import errors from "../../../helpers/errors";
 import {
     legendClickHandler,
     legendHoverHandler,
     loadLegendItem
 } from "../../../helpers/legend";
+import {
+    referenceLineLegendHoverHandler,
+    showHideReferenceLines
+} from "../../../helpers/referenceLine";
 import {
     processRegions,
     regionLegendHoverHandler
 } from "../../../helpers/region";
 import { getSVGObject } from "../../../helpers/shapeSVG";
 import styles from "../../../helpers/styles";
+import { bindTooltip } from "../../../helpers/tooltip";
 import { getTransformScale } from "../../../helpers/transformUtils";
 import utils from "../../../helpers/utils";
 import {
@@ -48,6 +60,164 @@ const createLine = (scale, d) => {
         .interpolate(d.interpolationType);
     return newLine(getDataPointValues(d));
 };
+/**
+ * Creates a d3 svg area spanning the lower and upper bounds of the error of the data points.
+ * Data points without an error are not part of the area, resulting in a non-contiguous band.
+ * @private
+ * @param {Object} scale - d3 scale for Graph
+ * @param {Array} d - Data point set containing data point value objects
+ * @returns {Object} d3 area object
+ */
+const createConfidenceBand = (scale, d) => {
+    const newBand = d3.svg
+        .area()
+        .defined(hasErrorBounds)
+        .x((value) => scale.x(value.x))
+        .y0((value) => scale[value.yAxis](value.yLower))
+        .y1((value) => scale[value.yAxis](value.yUpper))
+        .interpolate(d.interpolationType);
+    return newBand(getDataPointValues(d));
+};
+/**
+ * Creates the error bar for a data point, spanning the lower and upper bounds of the error.
+ * @private
+ * @param {Object} scale - d3 scale for Graph
+ * @param {Object} value - data point value object
+ * @returns {string} svg path of the error bar
+ */
+const createErrorBar = (scale, value) =>
+    getErrorBarPath(
+        scale.x(value.x),
+        scale[value.yAxis](value.yLower),
+        scale[value.yAxis](value.yUpper)
+    );
+/**
+ * Returns the threshold the y value of a data point lies beyond, if any.
+ * When the value lies beyond multiple thresholds in the same direction, the farthest one is used.
+ * @private
+ * @param {Array} thresholds - thresholds provided in the input JSON
+ * @param {number} y - y value of the data point
+ * @returns {Object} threshold the value lies beyond, undefined otherwise
+ */
+const getThreshold = (thresholds, y) => {
+    if (!utils.isArray(thresholds) || !utils.isNumber(y)) {
+        return undefined;
+    }
+    return thresholds
+        .filter((threshold) =>
+            utils.isNumber(threshold.above)
+                ? y > threshold.above
+                : y < threshold.below
+        )
+        .reduce((result, threshold) => {
+            if (!result) {
+                return threshold;
+            }
+            if (utils.isNumber(threshold.above)) {
+                return utils.isNumber(result.above) &&
+                    threshold.above > result.above
+                    ? threshold
+                    : result;
+            }
+            return utils.isNumber(result.below) &&
+                threshold.below < result.below
+                ? threshold
+                : result;
+        }, undefined);
+};
+/**
+ * Splits the line of a data point set into the segments lying beyond the thresholds.
+ * Each segment is a list of stops, either a data point value or the point where the line
+ * between a value and the next one crosses a threshold. Consecutive stops beyond the same threshold
+ * are joined so that each segment is rendered as a single path.
+ * @private
+ * @param {Object} dataTarget - Data points object
+ * @returns {Array} List of segments with the color of the threshold and the stops
+ */
+const getThresholdSegments = (dataTarget) => {
+    const thresholds = dataTarget.thresholds;
+    if (utils.isEmpty(thresholds)) {
+        return [];
+    }
+    const boundaries = thresholds.map((threshold) =>
+        utils.isNumber(threshold.above) ? threshold.above : threshold.below
+    );
+    const values = getDataPointValues(dataTarget);
+    const segments = [];
+    let segment = null;
+    values.forEach((value, index) => {
+        const next = values[index + 1];
+        if (!next || value.y === null || next.y === null) {
+            segment = null;
+            return;
+        }
+        const crossings = boundaries
+            .filter(
+                (boundary, i) =>
+                    boundaries.indexOf(boundary) === i &&
+                    boundary > Math.min(value.y, next.y) &&
+                    boundary < Math.max(value.y, next.y)
+            )
+            .sort((a, b) => (value.y < next.y ? a - b : b - a))
+            .map((boundary) => ({ value, next, y: boundary }));
+        const stops = [{ value, y: value.y }]
+            .concat(crossings)
+            .concat({ value: next, y: next.y });
+        stops.slice(1).forEach((stop, i) => {
+            const threshold = getThreshold(
+                thresholds,
+                (stops[i].y + stop.y) / 2
+            );
+            if (!threshold) {
+                segment = null;
+            } else if (segment && segment.threshold === threshold) {
+                segment.stops.push(stop);
+            } else {
+                segment = {
+                    key: dataTarget.key,
+                    color: threshold.color,
+                    threshold,
+                    stops: [stops[i], stop]
+                };
+                segments.push(segment);
+            }
+        });
+    });
+    return segments;
+};
+/**
+ * Returns the position of a stop within a threshold segment.
+ * Position where the line crosses a threshold is interpolated between the data point values on either side,
+ * using the current scale, so that the segment starts exactly on the line.
+ * @private
+ * @param {Object} scale - d3 scale for Graph
+ * @param {Object} stop - stop within the threshold segment
+ * @returns {Array} x and y co-ordinates of the stop
+ */
+const getThresholdStopPosition = (scale, stop) => {
+    const x = scale.x(stop.value.x);
+    const y = scale[stop.value.yAxis](stop.value.y);
+    if (!stop.next) {
+        return [x, y];
+    }
+    const nextX = scale.x(stop.next.x);
+    const nextY = scale[stop.next.yAxis](stop.next.y);
+    const boundaryY = scale[stop.value.yAxis](stop.y);
+    return [x + ((boundaryY - y) / (nextY - y)) * (nextX - x), boundaryY];
+};
+/**
+ * Creates the svg path for a segment of the line lying beyond a threshold.
+ * @private
+ * @param {Object} scale - d3 scale for Graph
+ * @param {Object} segment - threshold segment containing the stops
+ * @returns {string} svg path of the segment
+ */
+const createThresholdLine = (scale, segment) => {
+    const newLine = d3.svg.line();
+    return newLine(
+        segment.stops.map((stop) => getThresholdStopPosition(scale, stop))
+    );
+};
 /**
  * Transforms the point in the Line graph on resize
  * @private
@@ -73,6 +243,19 @@ const translateLines = (scale, canvasSVG) =>
         .transition()
         .call(constants.d3Transition)
         .attr("d", (value) => createLine(scale, value));
+/**
+ * Transforms the line segments beyond the thresholds in the Line graph on resize
+ * @private
+ * @param {Object} scale - d3 scale for Graph
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @returns {Object} d3 select object
+ */
+const translateThresholdLines = (scale, canvasSVG) =>
+    canvasSVG
+        .selectAll(`.${styles.lineGraphContent} .${styles.thresholdLine}`)
+        .transition()
+        .call(constants.d3Transition)
+        .attr("d", (segment) => createThresholdLine(scale, segment));
 /**
  * Transforms points for a data point set in the Line graph on resize
  * @private
@@ -94,6 +277,25 @@ const translatePoints = (scale, canvasSVG, cls) =>
                     return transformPoint(scale)(d)(getTransformScale(this));
                 });
         });
+/**
+ * Returns the scale of the indicator shown when a data point is selected.
+ * Data points rendered larger than the default plot scale, such as Scatter data points with a size,
+ * have their indicator scaled by the same factor so that it surrounds the data point.
+ * @private
+ * @param {Object} value - data point value object
+ * @returns {Object} position and scale factors for the selection indicator
+ */
+const getSelectionScale = (value) => {
+    const selectionScale = constants.DEFAULT_PLOT_SELECTION_SCALE;
+    if (!utils.isNumber(value.sizeFactor)) {
+        return selectionScale;
+    }
+    return {
+        posX: selectionScale.posX * value.sizeFactor,
+        posY: selectionScale.posY * value.sizeFactor,
+        scale: selectionScale.scale * value.sizeFactor
+    };
+};
 /**
  * Toggles the selection of a data point, executes on click of a data point.
  * @private
@@ -142,10 +344,30 @@ const dataPointActionHandler = (value, index, target) => {
         )
     );
 };
+/**
+ * Transforms error bars and confidence bands for a data point set in the Line graph on resize
+ * @private
+ * @param {Object} scale - d3 scale for Graph
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @returns {undefined} - returns nothing
+ */
+const translateErrorBars = (scale, canvasSVG) => {
+    canvasSVG
+        .selectAll(`.${styles.lineGraphContent} .${styles.confidenceBand}`)
+        .transition()
+        .call(constants.d3Transition)
+        .attr("d", (target) => createConfidenceBand(scale, target));
+    canvasSVG
+        .selectAll(`.${styles.lineGraphContent} .${styles.errorBar}`)
+        .transition()
+        .call(constants.d3Transition)
+        .attr("d", (value) => createErrorBar(scale, value));
+};
 /**
  * Called on resize, translates the data point values.
  * This includes:
  *  Lines
+ *  Error bars and confidence bands
  *  Points
  *  Selected point indicators
  * @private
@@ -155,6 +377,8 @@ const dataPointActionHandler = (value, index, target) => {
  */
 const translateLineGraph = (scale, canvasSVG) => {
     translateLines(scale, canvasSVG);
+    translateThresholdLines(scale, canvasSVG);
+    translateErrorBars(scale, canvasSVG);
     translatePoints(scale, canvasSVG, styles.point);
     translatePoints(scale, canvasSVG, styles.dataPointSelection);
 };
@@ -192,6 +416,8 @@ const draw = (scale, config, canvasSVG, dataTarget) => {
         .selectAll(`.${styles.line}`)
         .data([dataTarget]);
     drawDataLines(scale, config, linePath.enter());
+    drawThresholdLines(scale, config, lineSVG, dataTarget);
+    drawErrorBars(scale, config, lineSVG, dataTarget);
     linePath
         .exit()
         .transition()
@@ -221,7 +447,7 @@ const draw = (scale, config, canvasSVG, dataTarget) => {
             .select(`.${styles.currentPointsGroup}`)
             .selectAll(`.${styles.point}`)
             .data(getDataPointValues);
-        drawDataPoints(scale, config, pointPath.enter());
+        drawDataPoints(scale, config, pointPath.enter(), dataTarget);
         pointPath
             .exit()
             .transition()
@@ -238,28 +464,101 @@ const draw = (scale, config, canvasSVG, dataTarget) => {
  * @returns {Object} dataTarget - Updated data target object
  */
 const processDataPoints = (graphConfig, dataTarget) => {
+    // Update the interpolation type
+    dataTarget.interpolationType = getInterpolationType(dataTarget.type);
+
+    graphConfig.shownTargets.push(dataTarget.key);
+    dataTarget.internalValuesSubset = getInternalValues(
+        graphConfig,
+        dataTarget,
+        dataTarget.values
+    );
+    return dataTarget;
+};
+/**
+ * Adds the shapes, colors, labels etc. to each of the data point values provided.
+ * Error provided for the data point is resolved to its lower and upper bounds.
+ * Data points beyond a threshold take the color of the threshold, and are marked critical if opted for the threshold.
+ * For category X Axis, data points are ordered by the tick values so that the line connects band to band.
+ * @private
+ * @param {Object} graphConfig - config object of Graph API
+ * @param {Object} dataTarget - Data points object
+ * @param {Array} values - data point values from the input JSON
+ * @throws {module:errors.THROW_MSG_INVALID_FORMAT_TYPE}
+ * @throws {module:errors.THROW_MSG_INVALID_CATEGORY_VALUE}
+ * @returns {Array} List of data point subsets
+ */
+const getInternalValues = (graphConfig, dataTarget, values) => {
     const type = graphConfig.axis.x.type;
     const getXDataValues = (x) => {
         if (!isValidAxisType(x, type)) {
             throw new Error(errors.THROW_MSG_INVALID_FORMAT_TYPE);
         }
+        if (!isValidCategory(x, graphConfig.axis.x)) {
+            throw new Error(errors.THROW_MSG_INVALID_CATEGORY_VALUE);
+        }
         return parseTypedValue(x, type);
     };
-    // Update the interpolation type
-    dataTarget.interpolationType = getInterpolationType(dataTarget.type);
-
-    graphConfig.shownTargets.push(dataTarget.key);
-    dataTarget.internalValuesSubset = dataTarget.values.map((value) => ({
-        onClick: dataTarget.onClick,
-        isCritical: value.isCritical || false,
-        x: getXDataValues(value.x),
-        y: value.y,
-        color: dataTarget.color || constants.DEFAULT_COLOR,
-        label: dataTarget.label || {},
-        shape: dataTarget.shape || SHAPES.CIRCLE,
-        yAxis: dataTarget.yAxis || constants.Y_AXIS,
-        key: dataTarget.key
-    }));
+    const internalValues = values.map((value) => {
+        const threshold = getThreshold(dataTarget.thresholds, value.y) || {};
+        return Object.assign(
+            {
+                onClick: dataTarget.onClick,
+                isCritical: value.isCritical || threshold.isCritical || false,
+                x: getXDataValues(value.x),
+                y: value.y,
+                color:
+                    threshold.color ||
+                    dataTarget.color ||
+                    constants.DEFAULT_COLOR,
+                label: dataTarget.label || {},
+                shape: dataTarget.shape || SHAPES.CIRCLE,
+                yAxis: dataTarget.yAxis || constants.Y_AXIS,
+                key: dataTarget.key
+            },
+            getErrorBounds(value)
+        );
+    });
+    if (type === AXIS_TYPE.CATEGORY) {
+        const categories = graphConfig.axis.x.ticks.values;
+        internalValues.sort(
+            (a, b) => categories.indexOf(a.x) - categories.indexOf(b.x)
+        );
+    }
+    return internalValues;
+};
+/**
+ * Appends the data point values to the data target.
+ * If a sliding window is provided then data points older than the window,
+ * relative to the latest data point, are removed.
+ * @private
+ * @param {Object} graphConfig - config object of Graph API
+ * @param {Object} dataTarget - Data points object
+ * @param {Array} values - data point values to be appended
+ * @throws {module:errors.THROW_MSG_NO_DATA_POINTS}
+ * @throws {module:errors.THROW_MSG_INVALID_ERROR_VALUE}
+ * @throws {module:errors.THROW_MSG_INVALID_FORMAT_TYPE}
+ * @returns {Object} dataTarget - Updated data target object
+ */
+const appendDataPoints = (graphConfig, dataTarget, values) => {
+    if (utils.isEmpty(values)) {
+        throw new Error(errors.THROW_MSG_NO_DATA_POINTS);
+    }
+    validateErrorValues(values);
+    const internalValues = dataTarget.internalValuesSubset.concat(
+        getInternalValues(graphConfig, dataTarget, values)
+    );
+    dataTarget.values = dataTarget.values.concat(values);
+    dataTarget.internalValuesSubset = internalValues;
+    if (utils.isDefined(dataTarget.slidingWindow)) {
+        const windowStart =
+            d3.max(internalValues, (value) => +value.x) -
+            dataTarget.slidingWindow;
+        const isWithinWindow = (value, index) =>
+            +internalValues[index].x >= windowStart;
+        dataTarget.values = dataTarget.values.filter(isWithinWindow);
+        dataTarget.internalValuesSubset = internalValues.filter(isWithinWindow);
+    }
     return dataTarget;
 };
 /**
@@ -302,16 +601,114 @@ const drawDataLines = (scale, config, lineGroupSVG) =>
         )
         .attr("aria-describedby", (target) => target.key);
 /**
- * Draws the points with options opted in the input JSON by the consumer for each data set.
+ * Draws the segments of the line lying beyond the thresholds, in the color of the threshold.
+ * Segments are rendered over the line of the data set, replacing the ones already rendered.
+ * @private
+ * @param {Object} scale - d3 scale for Graph
+ * @param {Object} config - Graph config object derived from input JSON
+ * @param {d3.selection} lineSVG - d3 html element of the line graph content
+ * @param {Object} dataTarget - Data points object
+ * @returns {undefined} - returns nothing
+ */
+const drawThresholdLines = (scale, config, lineSVG, dataTarget) => {
+    lineSVG.select(`.${styles.currentThresholdLinesGroup}`).remove();
+    const segments = getThresholdSegments(dataTarget);
+    if (utils.isEmpty(segments)) {
+        return;
+    }
+    lineSVG
+        .insert("g", `.${styles.currentPointsGroup}`)
+        .classed(styles.currentThresholdLinesGroup, true)
+        .attr(
+            "transform",
+            `translate(${getXAxisXPosition(config)},${calculateVerticalPadding(
+                config
+            )})`
+        )
+        .selectAll(`.${styles.thresholdLine}`)
+        .data(segments)
+        .enter()
+        .append("path")
+        .classed(styles.thresholdLine, true)
+        .attr("d", (segment) => createThresholdLine(scale, segment))
+        .attr("style", (segment) => `stroke: ${segment.color};`)
+        .attr("aria-hidden", config.shownTargets.indexOf(dataTarget.key) < 0)
+        .attr("aria-describedby", dataTarget.key);
+};
+/**
+ * Draws the error bars for the data points with an error, along with the confidence band between
+ * the lower and upper bounds if opted in the input JSON by the consumer.
+ * Error bars and confidence band are rendered beneath the line and points of the data set, replacing the ones
+ * already rendered.
+ * @private
+ * @param {Object} scale - d3 scale for Graph
+ * @param {Object} config - Graph config object derived from input JSON
+ * @param {d3.selection} lineSVG - d3 html element of the line graph content
+ * @param {Object} dataTarget - Data points object
+ * @returns {undefined} - returns nothing
+ */
+const drawErrorBars = (scale, config, lineSVG, dataTarget) => {
+    lineSVG.select(`.${styles.currentErrorBarsGroup}`).remove();
+    const errorValues = getDataPointValues(dataTarget).filter(hasErrorBounds);
+    if (utils.isEmpty(errorValues)) {
+        return;
+    }
+    const errorBarsSVG = lineSVG
+        .insert("g", ":first-child")
+        .classed(styles.currentErrorBarsGroup, true)
+        .attr(
+            "transform",
+            `translate(${getXAxisXPosition(config)},${calculateVerticalPadding(
+                config
+            )})`
+        );
+    if (dataTarget.showConfidenceBand) {
+        errorBarsSVG
+            .append("path")
+            .datum(dataTarget)
+            .classed(styles.confidenceBand, true)
+            .attr("d", (target) => createConfidenceBand(scale, target))
+            .attr("style", (target) => `fill: ${getColorForTarget(target)};`)
+            .attr(
+                "aria-hidden",
+                config.shownTargets.indexOf(dataTarget.key) < 0
+            )
+            .attr("aria-describedby", dataTarget.key);
+    }
+    errorBarsSVG
+        .selectAll(`.${styles.errorBar}`)
+        .data(errorValues)
+        .enter()
+        .append("path")
+        .classed(styles.errorBar, true)
+        .attr("d", (value) => createErrorBar(scale, value))
+        .attr("style", (value) => `stroke: ${getColorForTarget(value)};`)
+        .attr("aria-hidden", (value) =>
+            shouldHideDataPoints(config.shownTargets, value)
+        )
+        .attr("aria-describedby", (value) => value.key);
+};
+/**
+ * Renders a data point within its group with the options opted in the input JSON by the consumer.
  *  Render the point with appropriate color, shape, x and y co-ordinates, label etc.
  *  On click content callback function is called.
  * @private
  * @param {Object} scale - d3 scale for Graph
  * @param {Object} config - Graph config object derived from input JSON
- * @param {Array} pointGroupPath - d3 html element of the points group
+ * @param {d3.selection} dataPointSVG - d3 html element of the data point group
+ * @param {Object} value - data point value object
+ * @param {number} index - data point index for the set
+ * @param {Object} dataTarget - Data points object
  * @returns {undefined} - returns nothing
  */
-const drawDataPoints = (scale, config, pointGroupPath) => {
+const drawDataPoint = (
+    scale,
+    config,
+    dataPointSVG,
+    value,
+    index,
+    dataTarget
+) => {
     const renderDataPointPath = (path, value, index) =>
         path.append(() =>
             new Shape(getShapeForTarget(value)).getShapeElement(
@@ -336,10 +733,7 @@ const drawDataPoints = (scale, config, pointGroupPath) => {
     const renderSelectionPath = (path, value, index) =>
         path.append(() =>
             new Shape(
-                getSVGObject(
-                    SHAPES.CIRCLE,
-                    constants.DEFAULT_PLOT_SELECTION_SCALE
-                )
+                getSVGObject(SHAPES.CIRCLE, getSelectionScale(value))
             ).getShapeElement(
                 getDefaultSVGProps({
                     svgClassNames: styles.dataPointSelection,
@@ -375,29 +769,144 @@ const drawDataPoints = (scale, config, pointGroupPath) => {
                 })
             )
         );
+    renderSelectionPath(dataPointSVG, value, index);
+    if (value.isCritical) {
+        config.hasCriticality = true;
+        renderCriticalityPath(
+            dataPointSVG,
+            value,
+            index,
+            styles.criticalityOuterPoint
+        );
+        renderCriticalityPath(
+            dataPointSVG,
+            value,
+            index,
+            styles.criticalityInnerPoint
+        );
+    }
+    renderDataPointPath(dataPointSVG, value, index);
+    bindTooltip(config, dataPointSVG, value, dataTarget);
+};
+/**
+ * Draws the points with options opted in the input JSON by the consumer for each data set.
+ * @private
+ * @param {Object} scale - d3 scale for Graph
+ * @param {Object} config - Graph config object derived from input JSON
+ * @param {Array} pointGroupPath - d3 html element of the points group
+ * @param {Object} dataTarget - Data points object
+ * @returns {undefined} - returns nothing
+ */
+const drawDataPoints = (scale, config, pointGroupPath, dataTarget) => {
     pointGroupPath
         .append("g")
         .classed(styles.pointGroup, true)
         .each(function(d, i) {
-            const dataPointSVG = d3.select(this);
-            renderSelectionPath(dataPointSVG, d, i);
-            if (d.isCritical) {
-                config.hasCriticality = true;
-                renderCriticalityPath(
-                    dataPointSVG,
-                    d,
-                    i,
-                    styles.criticalityOuterPoint
-                );
-                renderCriticalityPath(
-                    dataPointSVG,
-                    d,
-                    i,
-                    styles.criticalityInnerPoint
-                );
-            }
-            renderDataPointPath(dataPointSVG, d, i);
+            drawDataPoint(scale, config, d3.select(this), d, i, dataTarget);
+        });
+};
+/**
+ * Returns the identifier used to join the data points of a data set when the content is updated.
+ * @private
+ * @param {Object} value - data point value object
+ * @returns {number|string} x value of the data point
+ */
+const getDataPointKey = (value) =>
+    utils.isDateInstance(value.x) ? value.x.getTime() : value.x;
+/**
+ * Updates the lines and points of a data set in place, once the content is updated.
+ * Points are joined with the updated data point values using their x value:
+ *  New data points are drawn
+ *  Data points no longer present are removed
+ *  Existing data points are rendered again, at the position of their previous value
+ * Threshold segments, error bars and confidence band are rendered again using the current scale.
+ * Lines and points are then transitioned to the updated values on resize.
+ * @private
+ * @param {Object} scale - d3 scale for Graph
+ * @param {Object} config - config object derived from input JSON
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @param {Object} dataTarget - Data points object
+ * @returns {undefined} - returns nothing
+ */
+const updateLineGraph = (scale, config, canvasSVG, dataTarget) => {
+    const lineSVG = canvasSVG.select(
+        `.${styles.lineGraphContent}[aria-describedby="${dataTarget.key}"]`
+    );
+    lineSVG
+        .select(`.${styles.currentLinesGroup}`)
+        .selectAll(`.${styles.line}`)
+        .data([dataTarget])
+        .select("path")
+        .attr("style", (value) => `stroke: ${getColorForTarget(value)};`)
+        .attr("aria-hidden", (value) =>
+            shouldHideDataPoints(config.shownTargets, value)
+        );
+    drawThresholdLines(scale, config, lineSVG, dataTarget);
+    drawErrorBars(scale, config, lineSVG, dataTarget);
+    if (!config.showShapes) {
+        return;
+    }
+    const pointPath = lineSVG
+        .select(`.${styles.currentPointsGroup}`)
+        .selectAll(`.${styles.pointGroup}`)
+        .data(getDataPointValues(dataTarget), getDataPointKey);
+    pointPath.each(function(value, index) {
+        const dataPointSVG = d3.select(this);
+        const previousValue = dataPointSVG.select(`.${styles.point}`).datum();
+        dataPointSVG.selectAll("*").remove();
+        drawDataPoint(scale, config, dataPointSVG, value, index, dataTarget);
+        dataPointSVG.selectAll("path").attr("transform", function() {
+            return transformPoint(
+                scale
+            )(previousValue)(getTransformScale(this));
         });
+    });
+    drawDataPoints(scale, config, pointPath.enter(), dataTarget);
+    pointPath
+        .exit()
+        .transition()
+        .call(constants.d3Transition)
+        .remove();
+};
+/**
+ * Renders the data points appended to a data set, without redrawing the points already rendered.
+ * Line is rendered using the current scale and points are joined with the data point values using their x value:
+ *  Appended data points are drawn
+ *  Data points no longer present, outside the sliding window, are removed
+ * Threshold segments, error bars and confidence band are rendered again using the current scale.
+ * Lines and points are then transitioned to the updated scale on resize.
+ * @private
+ * @param {Object} scale - d3 scale for Graph
+ * @param {Object} config - config object derived from input JSON
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @param {Object} dataTarget - Data points object
+ * @returns {undefined} - returns nothing
+ */
+const appendLineGraph = (scale, config, canvasSVG, dataTarget) => {
+    const lineSVG = canvasSVG.select(
+        `.${styles.lineGraphContent}[aria-describedby="${dataTarget.key}"]`
+    );
+    lineSVG
+        .select(`.${styles.currentLinesGroup}`)
+        .selectAll(`.${styles.line}`)
+        .data([dataTarget])
+        .select("path")
+        .attr("d", (value) => createLine(scale, value));
+    drawThresholdLines(scale, config, lineSVG, dataTarget);
+    drawErrorBars(scale, config, lineSVG, dataTarget);
+    if (!config.showShapes) {
+        return;
+    }
+    const pointPath = lineSVG
+        .select(`.${styles.currentPointsGroup}`)
+        .selectAll(`.${styles.pointGroup}`)
+        .data(getDataPointValues(dataTarget), getDataPointKey);
+    drawDataPoints(scale, config, pointPath.enter(), dataTarget);
+    pointPath
+        .exit()
+        .transition()
+        .call(constants.d3Transition)
+        .remove();
 };
 /**
  * Handler for Request animation frame, executes on resize.
@@ -444,6 +953,11 @@ const clickHandler = (graphContext, control, config, canvasSVG) => (
     canvasSVG
         .selectAll(`.${styles.point}[aria-describedby="${item.key}"]`)
         .attr("aria-hidden", true);
+    showHideReferenceLines(
+        canvasSVG,
+        item.key,
+        config.shownTargets.indexOf(item.key) > -1
+    );
     window.requestAnimationFrame(
         onAnimationHandler(graphContext, control, config, canvasSVG)
     );
@@ -481,6 +995,7 @@ const hoverHandler = (graphTargets, canvasSVG) => (item, state) => {
 
     // Highlight region(s) of the item hovered on, only if the content is currently displayed
     regionLegendHoverHandler(graphTargets, canvasSVG, item.key, state);
+    referenceLineLegendHoverHandler(canvasSVG, item.key, state);
 };
 /**
  * A callback that will be sent to Graph class so that when graph is
@@ -516,16 +1031,22 @@ const clear = (canvasSVG, dataTarget) =>
 
 export {
     toggleDataPointSelection,
+    dataPointActionHandler,
     translatePoints,
     translateLines,
+    translateThresholdLines,
     translateLineGraph,
     draw,
+    updateLineGraph,
+    appendLineGraph,
     createLine,
+    createThresholdLine,
     clickHandler,
     hoverHandler,
     transformPoint,
     prepareLegendItems,
     processDataPoints,
+    appendDataPoints,
     getDataPointValues,
     drawDataLines,
     drawDataPoints,
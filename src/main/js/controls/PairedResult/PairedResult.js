@@ -7,6 +7,11 @@ import {
     removeLabelShapeItem
 } from "../../helpers/label";
 import { removeLegendItem } from "../../helpers/legend";
+import {
+    createReferenceLines,
+    getReferenceLineValues,
+    removeReferenceLines
+} from "../../helpers/referenceLine";
 import {
     hideAllRegions,
     removeRegion,
@@ -34,19 +39,31 @@ import PairedResultConfig from "./PairedResultConfig";
  * @typedef {Object} PairedResultConfig
  */
 /**
- * Calculates the min and max values for Y Axis or Y2 Axis
+ * Calculates the min and max values for Y Axis or Y2 Axis.
+ * Values of the reference lines are included, so that the reference lines are always displayed.
  * @private
  * @param {Array} values - Datapoint values
  * @param {string} axis - y or y2
+ * @param {Array} [referenceLines] - reference lines of the content
  * @returns {Object} - Contains min and max values for the data points
  */
-const calculateValuesRange = (values, axis = constants.Y_AXIS) => ({
+const calculateValuesRange = (
+    values,
+    axis = constants.Y_AXIS,
+    referenceLines = []
+) => ({
     [axis]: {
         min: Math.min(
-            ...values.map((i) => Math.min(...Object.keys(i).map((j) => i[j].y)))
+            ...values.map((i) =>
+                Math.min(...Object.keys(i).map((j) => i[j].y))
+            ),
+            ...getReferenceLineValues(referenceLines)
         ),
         max: Math.max(
-            ...values.map((i) => Math.max(...Object.keys(i).map((j) => i[j].y)))
+            ...values.map((i) =>
+                Math.max(...Object.keys(i).map((j) => i[j].y))
+            ),
+            ...getReferenceLineValues(referenceLines)
         )
     }
 });
@@ -116,7 +133,8 @@ class PairedResult extends GraphContent {
         );
         this.valuesRange = calculateValuesRange(
             this.config.values,
-            this.config.yAxis
+            this.config.yAxis,
+            this.config.referenceLines
         );
         this.dataTarget = {};
     }
@@ -127,6 +145,14 @@ class PairedResult extends GraphContent {
     load(graph) {
         this.dataTarget = processDataPoints(graph.config, this.config);
         draw(graph.scale, graph.config, graph.svg, this.dataTarget);
+        createReferenceLines(
+            graph.scale,
+            graph.config,
+            graph.svg,
+            this.config.referenceLines,
+            this.dataTarget.key,
+            this.config.yAxis
+        );
         if (utils.notEmpty(this.dataTarget.regions)) {
             renderRegion(graph.scale, graph.config, graph.svg, this.dataTarget);
         }
@@ -139,7 +165,11 @@ class PairedResult extends GraphContent {
                     graph.config,
                     graph.svg
                 ),
-                hoverHandler: hoverHandler(graph.config, graph.svg)
+                hoverHandler: hoverHandler(
+                    graph.config,
+                    graph.svg,
+                    this.dataTarget.key
+                )
             },
             this.dataTarget,
             graph.legendSVG
@@ -166,6 +196,7 @@ class PairedResult extends GraphContent {
      */
     unload(graph) {
         clear(graph.svg, this.dataTarget);
+        removeReferenceLines(graph.svg, this.dataTarget.key);
         removeRegion(
             graph.svg.select(`.${styles.regionGroup}`),
             this.dataTarget
@@ -1,5 +1,7 @@
 "use strict";
 import BaseConfig, { validateBaseInput } from "../../core/BaseConfig";
+import constants from "../../helpers/constants";
+import { validateReferenceLines } from "../../helpers/referenceLine";
 import utils from "../../helpers/utils";
 
 /**
@@ -40,6 +42,9 @@ class PairedResultConfig extends BaseConfig {
      */
     validateInput() {
         validateBaseInput(this.input);
+        validateReferenceLines(this.input.referenceLines, [
+            this.input.yAxis || constants.Y_AXIS
+        ]);
         return this;
     }
 
@@ -6,7 +6,8 @@ import { getDefaultSVGProps } from "../../../core/Shape";
 import {
     calculateVerticalPadding,
     getXAxisXPosition,
-    isValidAxisType
+    isValidAxisType,
+    isValidCategory
 } from "../../../helpers/axis";
 import constants, { SHAPES } from "../../../helpers/constants";
 import errors from "../../../helpers/errors";
@@ -15,6 +16,10 @@ import {
     legendHoverHandler,
     loadLegendItem
 } from "../../../helpers/legend";
+import {
+    referenceLineLegendHoverHandler,
+    showHideReferenceLines
+} from "../../../helpers/referenceLine";
 import {
     createRegion,
     hideAllRegions,
@@ -24,6 +29,7 @@ import {
 } from "../../../helpers/region";
 import { getSVGObject } from "../../../helpers/shapeSVG";
 import styles from "../../../helpers/styles";
+import { bindTooltip } from "../../../helpers/tooltip";
 import { getTransformScale } from "../../../helpers/transformUtils";
 import utils from "../../../helpers/utils";
 import {
@@ -150,7 +156,7 @@ const draw = (scale, config, canvasSVG, dataTarget) => {
     const drawBox = (boxPath) => {
         drawSelectionIndicator(scale, config, boxPath);
         drawLine(scale, config, boxPath);
-        drawPoints(scale, config, boxPath);
+        drawPoints(scale, config, boxPath, dataTarget);
     };
     const pairedBoxGroupSVG = canvasSVG
         .append("g")
@@ -192,6 +198,9 @@ const processDataPoints = (graphConfig, dataTarget) => {
         if (!isValidAxisType(x, type)) {
             throw new Error(errors.THROW_MSG_INVALID_FORMAT_TYPE);
         }
+        if (!isValidCategory(x, graphConfig.axis.x)) {
+            throw new Error(errors.THROW_MSG_INVALID_CATEGORY_VALUE);
+        }
         return parseTypedValue(x, type);
     };
     // Each value is a pair. Construct enough information so that you can
@@ -273,9 +282,10 @@ const drawLine = (scale, config, boxPath) =>
  * @param {Object} scale - d3 scale for Graph
  * @param {Object} config - Graph config object derived from input JSON
  * @param {d3.selection} canvasSVG - d3 html element of the canvas
+ * @param {Object} dataTarget - Data points object
  * @returns {undefined} - returns nothing
  */
-const drawPoints = (scale, config, canvasSVG) => {
+const drawPoints = (scale, config, canvasSVG, dataTarget) => {
     const getDataPointPath = (path, type, value, index) =>
         path.append(() =>
             new Shape(getShapeForTarget(getValue(value, type))).getShapeElement(
@@ -327,6 +337,7 @@ const drawPoints = (scale, config, canvasSVG) => {
                     );
                 }
                 getDataPointPath(pointGroup, type, value, index);
+                bindTooltip(config, pointGroup, currentValue, dataTarget);
             }
         });
     });
@@ -486,6 +497,17 @@ const clickHandler = (graphContext, control, config, canvasSVG) => (
     canvasSVG
         .selectAll(`.${styles.pairedPoint}[aria-describedby="${item.key}"]`)
         .attr("aria-hidden", true);
+    // Reference lines belong to the content, hence shown as long as any of its pair types is displayed
+    showHideReferenceLines(
+        canvasSVG,
+        control.dataTarget.key,
+        constants.PAIR_ITEM_TYPES.some(
+            (type) =>
+                config.shownTargets.indexOf(
+                    `${control.dataTarget.key}_${type}`
+                ) > -1
+        )
+    );
     window.requestAnimationFrame(
         onAnimationHandler(graphContext, control, config, canvasSVG, item)
     );
@@ -496,9 +518,10 @@ const clickHandler = (graphContext, control, config, canvasSVG) => (
  * @private
  * @param {Array} config - Graph config object derived from input JSON
  * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @param {string} key - unique key of the paired result content
  * @returns {undefined} - returns nothing
  */
-const hoverHandler = (config, canvasSVG) => (item, state) => {
+const hoverHandler = (config, canvasSVG, key) => (item, state) => {
     const additionalHoverHandler = (
         shownTargets,
         canvasSVG,
@@ -526,6 +549,7 @@ const hoverHandler = (config, canvasSVG) => (item, state) => {
 
     // Highlight region(s) of the item hovered on, only if the graph is currently displayed
     regionLegendHoverHandler(config.shownTargets, canvasSVG, item.key, state);
+    referenceLineLegendHoverHandler(canvasSVG, key, state);
 };
 /**
  * A callback that will be sent to Graph class so that when graph is
@@ -164,6 +164,7 @@ export const dataPointActionHandler = (config, value, index, target) => {
  * Result. When a pair is clicked the rectangle shall be toggled visible.
  * The attributes width and height are calculated using x,y and x1,y1 co-ordinates from
  * high and low pair values. They are converted to appropriate "scale" using the parameter.
+ * High value is at the bottom of the rectangle when the Y Axis is reversed.
  * @private
  * @param {Object} d3PairElement - d3 appended object
  * @param {Object} scale - d3 scale for Graph
@@ -179,8 +180,10 @@ const updateSelectionIndicatorAttributes = (d3PairElement, scale, value) =>
         .attr(
             "y",
             (d) =>
-                scale[value.yAxis](d.high.y) -
-                constants.SELECTION_INDICATOR_Y_POSITION
+                Math.min(
+                    scale[value.yAxis](d.high.y),
+                    scale[value.yAxis](d.low.y)
+                ) - constants.SELECTION_INDICATOR_Y_POSITION
         )
         .attr(
             "width",
@@ -193,8 +196,9 @@ const updateSelectionIndicatorAttributes = (d3PairElement, scale, value) =>
         .attr(
             "height",
             (d) =>
-                scale[value.yAxis](d.low.y) -
-                scale[value.yAxis](d.high.y) +
+                Math.abs(
+                    scale[value.yAxis](d.low.y) - scale[value.yAxis](d.high.y)
+                ) +
                 constants.SELECTION_INDICATOR_Y_POSITION * 2
         );
 /**
@@ -0,0 +1,239 @@
+"use strict";
+import { GraphContent } from "../../core";
+import { getDefaultValue } from "../../core/BaseConfig";
+import constants from "../../helpers/constants";
+import {
+    prepareLabelShapeItem,
+    removeLabelShapeItem,
+    updateLabelShapeItem
+} from "../../helpers/label";
+import {
+    removeLegendItem,
+    restoreShownTargets,
+    updateLegendItem
+} from "../../helpers/legend";
+import {
+    createRegion,
+    hideAllRegions,
+    removeRegion,
+    shouldHideAllRegions,
+    translateRegion
+} from "../../helpers/region";
+import styles from "../../helpers/styles";
+import utils from "../../helpers/utils";
+import {
+    clear,
+    clickHandler,
+    hoverHandler,
+    prepareLegendItems
+} from "../Line/helpers/helpers";
+import {
+    draw,
+    processDataPoints,
+    translateScatterGraph
+} from "./helpers/helpers";
+import ScatterConfig from "./ScatterConfig";
+
+/**
+ * @typedef {Object} Scatter
+ * @typedef {Object} GraphContent
+ * @typedef {Object} ScatterConfig
+ */
+/**
+ * Calculates the min and max values for Y Axis or Y2 Axis.
+ * Values that are `null` are filtered out, since they are not plotted.
+ * @private
+ * @param {Array} values - Datapoint values
+ * @param {string} axis - y or y2
+ * @returns {Object} - Contains min and max values for the data points for Y and Y2 axis
+ */
+const calculateValuesRange = (values, axis = constants.Y_AXIS) => {
+    const yAxisValuesList = values.filter((i) => i.y !== null).map((i) => i.y);
+    return {
+        [axis]: {
+            min: Math.min(...yAxisValuesList),
+            max: Math.max(...yAxisValuesList)
+        }
+    };
+};
+
+/**
+ * Data point sets can be loaded using this function.
+ * Load function validates, clones and stores the input onto a config object.
+ * @private
+ * @param {Object} inputJSON - Input JSON provided by the consumer
+ * @returns {Object} ScatterConfig config object containing consumer data
+ */
+const loadInput = (inputJSON) =>
+    new ScatterConfig()
+        .setInput(inputJSON)
+        .validateInput()
+        .clone()
+        .getConfig();
+
+/**
+ * A Scatter graph is a graph used to represent a collection of data
+ * points along the X and Y Axis, without connecting them.
+ * Each data point can have a size which determines the size of its shape, for bubble graphs.
+ *
+ * Lifecycle functions include:
+ *  * Load
+ *  * Generate
+ *  * Update
+ *  * Unload
+ *  * Destroy
+ * @module Scatter
+ * @class Scatter
+ */
+class Scatter extends GraphContent {
+    /**
+     * @constructor
+     * @param {ScatterConfig} input - Input JSON instance created using GraphConfig
+     */
+    constructor(input) {
+        super();
+        this.config = loadInput(input);
+        this.config.yAxis = getDefaultValue(
+            this.config.yAxis,
+            constants.Y_AXIS
+        );
+        this.valuesRange = calculateValuesRange(
+            this.config.values,
+            this.config.yAxis
+        );
+        this.dataTarget = {};
+    }
+
+    /**
+     * @inheritDoc
+     */
+    load(graph) {
+        this.dataTarget = processDataPoints(graph.config, this.config);
+        draw(graph.scale, graph.config, graph.svg, this.dataTarget);
+        if (utils.notEmpty(this.dataTarget.regions)) {
+            createRegion(
+                graph.scale,
+                graph.config,
+                graph.svg.select(`.${styles.regionGroup}`),
+                this.dataTarget.regions,
+                `region_${this.dataTarget.key}`,
+                this.config.yAxis
+            );
+        }
+        prepareLegendItems(
+            graph.config,
+            {
+                clickHandler: clickHandler(
+                    graph,
+                    this,
+                    graph.config,
+                    graph.svg
+                ),
+                hoverHandler: hoverHandler(graph.config.shownTargets, graph.svg)
+            },
+            this.dataTarget,
+            graph.legendSVG
+        );
+        prepareLabelShapeItem(
+            graph.config,
+            this.dataTarget,
+            graph.axesLabelShapeGroup[this.config.yAxis]
+        );
+        return this;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    update(graph, input) {
+        const hiddenTargets = [this.dataTarget.key].filter(
+            (key) => graph.config.shownTargets.indexOf(key) < 0
+        );
+        this.config = loadInput(
+            Object.assign({}, this.config, input, {
+                key: this.config.key,
+                yAxis: this.config.yAxis
+            })
+        );
+        this.valuesRange = calculateValuesRange(
+            this.config.values,
+            this.config.yAxis
+        );
+        this.dataTarget = processDataPoints(graph.config, this.config);
+        restoreShownTargets(graph.config.shownTargets, hiddenTargets);
+        clear(graph.svg, this.dataTarget);
+        draw(graph.scale, graph.config, graph.svg, this.dataTarget);
+        removeRegion(
+            graph.svg.select(`.${styles.regionGroup}`),
+            this.dataTarget
+        );
+        if (utils.notEmpty(this.dataTarget.regions)) {
+            createRegion(
+                graph.scale,
+                graph.config,
+                graph.svg.select(`.${styles.regionGroup}`),
+                this.dataTarget.regions,
+                `region_${this.dataTarget.key}`,
+                this.config.yAxis
+            );
+        }
+        updateLegendItem(graph.legendSVG, this.dataTarget);
+        updateLabelShapeItem(
+            graph.config,
+            this.dataTarget,
+            graph.axesLabelShapeGroup[this.config.yAxis]
+        );
+        return this;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    unload(graph) {
+        clear(graph.svg, this.dataTarget);
+        removeRegion(
+            graph.svg.select(`.${styles.regionGroup}`),
+            this.dataTarget
+        );
+        removeLegendItem(graph.legendSVG, this.dataTarget);
+        removeLabelShapeItem(
+            graph.axesLabelShapeGroup[this.config.yAxis],
+            this.dataTarget
+        );
+        this.dataTarget = {};
+        this.config = {};
+        return this;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    resize(graph) {
+        if (
+            shouldHideAllRegions(
+                this.dataTarget.regions,
+                graph.config.shownTargets
+            )
+        ) {
+            hideAllRegions(graph.svg);
+        }
+        translateRegion(
+            graph.scale,
+            graph.config,
+            graph.svg.select(`.${styles.regionGroup}`)
+        );
+        translateScatterGraph(graph.scale, graph.svg);
+        return this;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    redraw(graph) {
+        clear(graph.svg, this.dataTarget);
+        draw(graph.scale, graph.config, graph.svg, this.dataTarget);
+        return this;
+    }
+}
+
+export default Scatter;
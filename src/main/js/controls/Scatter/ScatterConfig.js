@@ -0,0 +1,110 @@
+"use strict";
+import BaseConfig, { validateBaseInput } from "../../core/BaseConfig";
+import { RADIUS_SCALE_TYPE } from "../../helpers/constants";
+import errors from "../../helpers/errors";
+import utils from "../../helpers/utils";
+
+/**
+ * Validates the size of each data point, if provided.
+ * Size needs to be a number greater than or equal to zero.
+ * @private
+ * @param {Array} values - data point values provided in the input JSON
+ * @throws {module:errors.THROW_MSG_INVALID_DATA_POINT_SIZE}
+ * @returns {undefined} - returns nothing
+ */
+const validateDataPointSizes = (values) => {
+    values.forEach((value) => {
+        if (
+            utils.notEmpty(value.size) &&
+            !(utils.isNumber(value.size) && value.size >= 0)
+        ) {
+            throw new Error(errors.THROW_MSG_INVALID_DATA_POINT_SIZE);
+        }
+    });
+};
+/**
+ * Validates the radius scale, if provided, used to map the size of each data point to its radius.
+ * Type needs to be one of RADIUS_SCALE_TYPE, domain and range need to be arrays of 2 numbers
+ * and the range, factors of the default shape size, needs to be greater than zero.
+ * @private
+ * @param {Object} radiusScale - radius scale provided in the input JSON
+ * @throws {module:errors.THROW_MSG_INVALID_RADIUS_SCALE}
+ * @returns {undefined} - returns nothing
+ */
+const validateRadiusScale = (radiusScale) => {
+    if (utils.isEmpty(radiusScale)) {
+        return;
+    }
+    const isValidPair = (pair) =>
+        utils.isUndefined(pair) ||
+        (utils.isArray(pair) &&
+            pair.length === 2 &&
+            pair.every(utils.isNumber));
+    if (
+        typeof radiusScale !== "object" ||
+        (utils.isDefined(radiusScale.type) &&
+            !utils.hasValue(RADIUS_SCALE_TYPE, radiusScale.type)) ||
+        !isValidPair(radiusScale.domain) ||
+        !isValidPair(radiusScale.range) ||
+        (utils.isDefined(radiusScale.range) &&
+            !radiusScale.range.every((factor) => factor > 0))
+    ) {
+        throw new Error(errors.THROW_MSG_INVALID_RADIUS_SCALE);
+    }
+};
+
+/**
+ * API to parse consumer input for Scatter graph
+ *
+ * @class ScatterConfig
+ */
+class ScatterConfig extends BaseConfig {
+    /**
+     * @inheritDoc
+     */
+    constructor() {
+        super();
+        this.config = null;
+        this.input = null;
+    }
+
+    /**
+     * Returns the config object
+     * @returns {Object} config object
+     */
+    getConfig() {
+        return this.config;
+    }
+
+    /**
+     * Sets the input object
+     * @param {Object} inputJSON - Input JSON
+     * @returns {ScatterConfig} instance object
+     */
+    setInput(inputJSON) {
+        this.input = inputJSON;
+        return this;
+    }
+
+    /**
+     * Validates and verifies the input JSON object.
+     * @returns {ScatterConfig} instance object
+     */
+    validateInput() {
+        validateBaseInput(this.input);
+        validateDataPointSizes(this.input.values);
+        validateRadiusScale(this.input.radiusScale);
+        return this;
+    }
+
+    /**
+     * Clones the input JSON into the config object
+     * @returns {ScatterConfig} instance object
+     */
+    clone() {
+        this.config = utils.deepClone(this.input);
+        return this;
+    }
+}
+
+export default ScatterConfig;
@@ -0,0 +1,195 @@
+"use strict";
+import d3 from "d3";
+import { parseTypedValue } from "../../../core/BaseConfig";
+import {
+    calculateVerticalPadding,
+    getXAxisXPosition,
+    isValidAxisType,
+    isValidCategory
+} from "../../../helpers/axis";
+import constants, {
+    AXIS_TYPE,
+    RADIUS_SCALE_TYPE,
+    SHAPES
+} from "../../../helpers/constants";
+import errors from "../../../helpers/errors";
+import { getSVGObject } from "../../../helpers/shapeSVG";
+import styles from "../../../helpers/styles";
+import { getTransformScale } from "../../../helpers/transformUtils";
+import utils from "../../../helpers/utils";
+import { drawDataPoints, transformPoint } from "../../Line/helpers/helpers";
+
+/**
+ * Creates the d3 scale used to map the size of a data point to a factor of the default shape size.
+ * Domain defaults to the extent of the sizes provided for the data points and the range to
+ * DEFAULT_RADIUS_SCALE_RANGE. Sizes outside the domain are clamped to the range.
+ * @private
+ * @param {Object} [radiusScale] - radius scale provided in the input JSON
+ * @param {Array} values - data point values provided in the input JSON
+ * @returns {Object} d3 scale
+ */
+const getRadiusScale = (radiusScale = {}, values) => {
+    const type = radiusScale.type || RADIUS_SCALE_TYPE.SQRT;
+    return d3.scale[type]()
+        .domain(
+            radiusScale.domain ||
+                d3.extent(
+                    values.filter((value) => utils.notEmpty(value.size)),
+                    (value) => value.size
+                )
+        )
+        .range(radiusScale.range || constants.DEFAULT_RADIUS_SCALE_RANGE)
+        .clamp(true);
+};
+/**
+ * Adds the shapes, colors, labels etc. to each of the data point values provided.
+ * Shapes of the data points with a size are scaled by the factor the size maps to, using the radius scale.
+ * For category X Axis, data points are ordered by the tick values.
+ * @private
+ * @param {Object} graphConfig - config object of Graph API
+ * @param {Object} dataTarget - Data points object
+ * @throws {module:errors.THROW_MSG_INVALID_FORMAT_TYPE}
+ * @throws {module:errors.THROW_MSG_INVALID_CATEGORY_VALUE}
+ * @returns {Array} List of data point subsets
+ */
+const getInternalValues = (graphConfig, dataTarget) => {
+    const type = graphConfig.axis.x.type;
+    const radiusScale = getRadiusScale(
+        dataTarget.radiusScale,
+        dataTarget.values
+    );
+    const shape = dataTarget.shape || SHAPES.CIRCLE;
+    const getXDataValues = (x) => {
+        if (!isValidAxisType(x, type)) {
+            throw new Error(errors.THROW_MSG_INVALID_FORMAT_TYPE);
+        }
+        if (!isValidCategory(x, graphConfig.axis.x)) {
+            throw new Error(errors.THROW_MSG_INVALID_CATEGORY_VALUE);
+        }
+        return parseTypedValue(x, type);
+    };
+    const getSizeAttributes = (size) => {
+        if (utils.isEmpty(size)) {
+            return { shape };
+        }
+        const sizeFactor = radiusScale(size);
+        return {
+            size,
+            sizeFactor,
+            shape: getSVGObject(shape, {
+                posX: sizeFactor,
+                posY: sizeFactor,
+                scale: sizeFactor
+            })
+        };
+    };
+    const internalValues = dataTarget.values.map((value) =>
+        Object.assign(
+            {
+                onClick: dataTarget.onClick,
+                isCritical: value.isCritical || false,
+                x: getXDataValues(value.x),
+                y: value.y,
+                color: dataTarget.color || constants.DEFAULT_COLOR,
+                label: dataTarget.label || {},
+                yAxis: dataTarget.yAxis || constants.Y_AXIS,
+                key: dataTarget.key
+            },
+            getSizeAttributes(value.size)
+        )
+    );
+    if (type === AXIS_TYPE.CATEGORY) {
+        const categories = graphConfig.axis.x.ticks.values;
+        internalValues.sort(
+            (a, b) => categories.indexOf(a.x) - categories.indexOf(b.x)
+        );
+    }
+    return internalValues;
+};
+/**
+ * Processes the input JSON and adds the shapes, colors, labels etc. to each data points so that we
+ * can use them when rendering the data point.
+ * @private
+ * @param {Object} graphConfig - config object of Graph API
+ * @param {Object} dataTarget - Data points object
+ * @returns {Object} dataTarget - Updated data target object
+ */
+const processDataPoints = (graphConfig, dataTarget) => {
+    graphConfig.shownTargets.push(dataTarget.key);
+    dataTarget.internalValuesSubset = getInternalValues(
+        graphConfig,
+        dataTarget
+    );
+    return dataTarget;
+};
+/**
+ * Draws the Scatter graph on the canvas element. Unlike Line, only the data points are rendered,
+ * regardless of the shapes being opted to be hidden for the graph.
+ * @private
+ * @param {Object} scale - d3 scale taking into account the input parameters
+ * @param {Object} config - config object derived from input JSON
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @param {Object} dataTarget - Data points object
+ * @returns {undefined} - returns nothing
+ */
+const draw = (scale, config, canvasSVG, dataTarget) => {
+    const pointPath = canvasSVG
+        .append("g")
+        .classed(styles.scatterGraphContent, true)
+        .attr("clip-path", `url(#${config.clipPathId})`)
+        .attr("aria-hidden", config.shownTargets.indexOf(dataTarget.key) < 0)
+        .attr("aria-describedby", dataTarget.key)
+        .append("g")
+        .classed(styles.currentPointsGroup, true)
+        .attr(
+            "transform",
+            `translate(${getXAxisXPosition(config)},${calculateVerticalPadding(
+                config
+            )})`
+        )
+        .selectAll(`.${styles.pointGroup}`)
+        .data(dataTarget.internalValuesSubset);
+    drawDataPoints(scale, config, pointPath.enter(), dataTarget);
+    pointPath
+        .exit()
+        .transition()
+        .call(constants.d3Transition)
+        .remove();
+};
+/**
+ * Transforms points for a data point set in the Scatter graph on resize.
+ * Scale of each point is retained, since it is determined by the size of the data point.
+ * @private
+ * @param {Object} scale - d3 scale for Graph
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @param {string} cls - selector for the data point translation
+ * @returns {Object} d3 select object
+ */
+const translatePoints = (scale, canvasSVG, cls) =>
+    canvasSVG
+        .selectAll(`.${styles.scatterGraphContent} .${cls}`)
+        .each(function(d) {
+            d3.select(this)
+                .selectAll("path")
+                .transition()
+                .call(constants.d3Transition)
+                .attr("transform", function() {
+                    return transformPoint(scale)(d)(getTransformScale(this));
+                });
+        });
+/**
+ * Called on resize, translates the data point values.
+ * This includes:
+ *  Points
+ *  Selected point indicators
+ * @private
+ * @param {Object} scale - d3 scale for Graph
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @returns {undefined} - returns nothing
+ */
+const translateScatterGraph = (scale, canvasSVG) => {
+    translatePoints(scale, canvasSVG, styles.point);
+    translatePoints(scale, canvasSVG, styles.dataPointSelection);
+};
+
+export { draw, processDataPoints, translateScatterGraph };
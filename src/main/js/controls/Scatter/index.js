@@ -0,0 +1,3 @@
+import Scatter from "./Scatter";
+
+export { Scatter as default };
@@ -2,10 +2,16 @@
 import d3 from "d3";
 import Construct from "../../core/Construct";
 import { getYAxisHeight } from "../../helpers/axis";
+import { clearBrush, createBrush, translateBrush } from "../../helpers/brush";
 import constants from "../../helpers/constants";
+import { createDateline } from "../../helpers/dateline";
 import errors from "../../helpers/errors";
+import { exportGraph, getDataPointRows } from "../../helpers/export";
 import { createLegend } from "../../helpers/legend";
+import { createPeriodicShading } from "../../helpers/periodicShading";
 import styles from "../../helpers/styles";
+import { createTooltip } from "../../helpers/tooltip";
+import utils from "../../helpers/utils";
 import { d3RemoveElement } from "../Graph/helpers/helpers";
 import {
     attachEventHandlers,
@@ -17,6 +23,8 @@ import {
     createTimelineContent,
     detachEventHandlers,
     determineHeight,
+    getContentYPosition,
+    getXAxisXPosition,
     scaleGraph
 } from "./helpers/creationHelpers";
 import { translateTimelineGraph } from "./helpers/translateHelpers";
@@ -49,6 +57,33 @@ const setCanvasHeight = (config) => {
         getYAxisHeight(config) +
         (config.padding.bottom * 2 + config.padding.top) * 2;
 };
+/**
+ * Returns the position and height of the content area, used for the brush
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @returns {Object} x, y and height of the content area
+ */
+const getBrushPosition = (config) => ({
+    x: getXAxisXPosition(config),
+    y: getContentYPosition(config),
+    height: getYAxisHeight(config)
+});
+/**
+ * Returns the data targets of the content loaded in the timeline, used for the brush and export
+ * @private
+ * @param {Timeline} control - Timeline instance
+ * @returns {Array} list of data targets
+ */
+const getDataTargets = (control) =>
+    control.contentConfig.map((content) => content.dataTarget);
+/**
+ * Returns the CSV rows for the data points shown in the timeline, used for export
+ * @private
+ * @param {Timeline} control - Timeline instance
+ * @returns {Array} list of objects, one per data point
+ */
+const getExportRows = (control) =>
+    getDataPointRows(control.config, getDataTargets(control));
 /**
  * Data point sets can be loaded using this function.
  * Load function validates, clones and stores the input onto a config object.
@@ -96,6 +131,8 @@ const initConfig = (control) => {
     control.content = [];
     control.contentConfig = [];
     control.resizeHandler = null;
+    control.resizeObserver = null;
+    control.brushBehavior = null;
     return control;
 };
 /**
@@ -130,6 +167,8 @@ const init = (control) => {
  * * Legend
  * * X Axis label
  * * Data points
+ * * Datelines
+ * * Periodic shading
  *
  * Lifecycle functions include:
  *  * BeforeInit
@@ -156,10 +195,12 @@ class Timeline extends Construct {
      * @description Since we dont have the concept of z-index in visualization,
      * the order of rendering should be following:
      *  * SVG container
+     *  * Periodic shading
      *  * X-Axis
      *  * X Axis Label
      *  * Legend
      *  * Data [In our case we have load and unload]
+     *  * Datelines
      * @param {Object} input - Input JSON
      * @returns {HTMLElement} d3 selection node of svg.
      */
@@ -184,8 +225,25 @@ class Timeline extends Construct {
                     : this.config.canvasWidth - BASE_CANVAS_WIDTH_PADDING
             );
         createDefs(this.config, this.svg);
+        createPeriodicShading(
+            this.scale,
+            this.config,
+            this.svg,
+            getContentYPosition,
+            getXAxisXPosition
+        );
         createAxes(this.axis, this.scale, this.config, this.svg);
+        createBrush(this, getBrushPosition, getDataTargets);
         createTimelineContent(this.config, this.svg);
+        if (utils.notEmpty(this.config.dateline)) {
+            createDateline(
+                this.scale,
+                this.config,
+                this.svg,
+                getContentYPosition,
+                getXAxisXPosition
+            );
+        }
         createLabel(this.config, this.svg);
         if (this.config.showLegend) {
             this.legendSVG = createLegend(
@@ -194,6 +252,7 @@ class Timeline extends Construct {
                     : containerSVG
             );
         }
+        createTooltip(this.config, containerSVG);
         attachEventHandlers(this);
         return this.svg;
     }
@@ -209,6 +268,7 @@ class Timeline extends Construct {
         setCanvasWidth(this.graphContainer, this.config);
         scaleGraph(this.scale, this.config);
         translateTimelineGraph(this);
+        translateBrush(this, getBrushPosition);
         this.contentConfig.forEach((control) => control.resize(this));
         return this;
     }
@@ -229,6 +289,25 @@ class Timeline extends Construct {
         return this;
     }
 
+    /**
+     * Updates the content loaded onto the graph in place, using the input provided.
+     * Input is merged onto the current input of the content and validated the same way, key of the
+     * content cannot be updated. Legend item and the legend toggle state are retained.
+     * @param {string} key - unique identifier of the content to be updated
+     * @param {Object} input - properties of the content to be updated, such as values, color or label
+     * @throws {module:errors.THROW_MSG_INVALID_OBJECT_PROVIDED}
+     * @returns {Timeline} - Timeline instance
+     */
+    updateContent(key, input) {
+        const index = this.content.indexOf(key);
+        if (index < 0) {
+            throw new Error(errors.THROW_MSG_INVALID_OBJECT_PROVIDED);
+        }
+        this.contentConfig[index].update(this, input);
+        this.resize();
+        return this;
+    }
+
     /**
      * Unloads the content from the graph.
      * The content serves as a 1to1 relationship. For rendering
@@ -248,6 +327,28 @@ class Timeline extends Construct {
         return this;
     }
 
+    /**
+     * Clears the range selected using the brush.
+     * onBrush callback, if provided, is called with null.
+     * @returns {Timeline} - Timeline instance
+     */
+    clearBrush() {
+        clearBrush(this);
+        return this;
+    }
+
+    /**
+     * Exports the rendered timeline as a standalone SVG string, a PNG data URL or
+     * a CSV string of the data points currently shown.
+     * @param {Object} options - export options
+     * @param {string} options.format - svg, png or csv
+     * @returns {Promise} - resolves with the exported string, rejects with
+     * {module:errors.THROW_MSG_INVALID_EXPORT_FORMAT} when the format is invalid
+     */
+    export(options) {
+        return exportGraph(this, options, getExportRows);
+    }
+
     /**
      * Destroys the graph: Container and canvas.
      * @returns {Timeline} - Timeline instance
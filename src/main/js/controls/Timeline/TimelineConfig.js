@@ -4,6 +4,13 @@ import BaseConfig, { getDefaultValue, getDomain } from "../../core/BaseConfig";
 import { generateClipPathId } from "../../core/BaseConfig/helper";
 import constants, { AXIS_TYPE } from "../../helpers/constants";
 import errors from "../../helpers/errors";
+import { getTooltipConfig, validateTooltip } from "../../helpers/tooltip";
+import { getBrushConfig, validateBrush } from "../../helpers/brush";
+import { validateDateline } from "../../helpers/dateline";
+import {
+    processPeriodicShading,
+    validatePeriodicShading
+} from "../../helpers/periodicShading";
 import utils from "../../helpers/utils";
 import { DEFAULT_LOCALE } from "../../locale/index";
 
@@ -30,8 +37,16 @@ export const processInput = (input, config) => {
         input.throttle,
         constants.RESIZE_THROTTLE
     );
+    config.observeResize = getDefaultValue(input.observeResize, false);
     config.showLabel = getDefaultValue(input.showLabel, true);
     config.showLegend = getDefaultValue(input.showLegend, true);
+    config.dateline = getDefaultValue(utils.deepClone(input.dateline), []);
+    config.periodicShading = processPeriodicShading(
+        utils.deepClone(input.periodicShading),
+        input.locale
+    );
+    config.tooltip = getTooltipConfig(input.tooltip);
+    config.brush = getBrushConfig(input.brush);
     config.axis.x = Object.assign(_axis.x, {
         type: AXIS_TYPE.TIME_SERIES,
         show: true,
@@ -87,6 +102,13 @@ class TimelineConfig extends BaseConfig {
      * @throws {module:errors.THROW_MSG_NO_AXIS_INFO}
      * @throws {module:errors.THROW_MSG_NO_AXIS_LIMIT_INFO}
      * @throws {module:errors.THROW_MSG_INVALID_AXIS_TYPE_VALUES}
+     * @throws {module:errors.THROW_MSG_INVALID_CALLBACK_FUNCTION}
+     * @throws {module:errors.THROW_MSG_DATELINE_OBJECT_NOT_PROVIDED}
+     * @throws {module:errors.THROW_MSG_DATELINE_NOT_PROVIDED}
+     * @throws {module:errors.THROW_MSG_DATELINE_TYPE_NOT_VALID}
+     * @throws {module:errors.THROW_MSG_DATELINE_RANGE_NOT_VALID}
+     * @throws {module:errors.THROW_MSG_DATELINE_COLOR_NOT_PROVIDED}
+     * @throws {module:errors.THROW_MSG_INVALID_PERIODIC_SHADING}
      * @returns {TimelineConfig} instance object
      */
     validateInput() {
@@ -114,6 +136,14 @@ class TimelineConfig extends BaseConfig {
         ) {
             throw new Error(errors.THROW_MSG_INVALID_AXIS_TYPE_VALUES);
         }
+        if (utils.notEmpty(this.input.dateline)) {
+            this.input.dateline.forEach((dateline) => {
+                validateDateline(dateline);
+            });
+        }
+        validatePeriodicShading(this.input.periodicShading, this.input.locale);
+        validateTooltip(this.input.tooltip);
+        validateBrush(this.input.brush);
         return this;
     }
 
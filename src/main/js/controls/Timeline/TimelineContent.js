@@ -7,7 +7,11 @@
 import { GraphContent } from "../../core";
 import constants, { SHAPES } from "../../helpers/constants";
 import errors from "../../helpers/errors";
-import { removeLegendItem } from "../../helpers/legend";
+import {
+    removeLegendItem,
+    restoreShownTargets,
+    updateLegendItem
+} from "../../helpers/legend";
 import styles from "../../helpers/styles";
 import utils from "../../helpers/utils";
 import { isUniqueKey } from "../Graph/GraphConfig";
@@ -96,7 +100,7 @@ const draw = (control, scale, config, timelineGraphContentSVG, dataTarget) => {
     const pointPath = contentGroupPath
         .selectAll(`.${styles.point}`)
         .data(dataTarget.internalValuesSubset);
-    createPoints(scale, config, pointPath.enter());
+    createPoints(scale, config, pointPath.enter(), dataTarget);
     pointPath
         .exit()
         .transition()
@@ -163,6 +167,30 @@ class TimelineContent extends GraphContent {
         return this;
     }
 
+    /**
+     * @inheritDoc
+     */
+    update(graph, input) {
+        const hiddenTargets = [this.dataTarget.key].filter(
+            (key) => graph.config.shownTargets.indexOf(key) < 0
+        );
+        this.config = loadInput(
+            Object.assign({}, this.config, input, { key: this.config.key })
+        );
+        clear(graph.svg, this.dataTarget);
+        this.dataTarget = processDataPoints(graph.config, this.config);
+        restoreShownTargets(graph.config.shownTargets, hiddenTargets);
+        draw(
+            this,
+            graph.scale,
+            graph.config,
+            graph.svg.select(`.${styles.timelineGraphContent}`),
+            this.dataTarget
+        );
+        updateLegendItem(graph.legendSVG, this.dataTarget);
+        return this;
+    }
+
     /**
      * @inheritDoc
      */
@@ -19,6 +19,7 @@ import {
 } from "../../../helpers/legend";
 import { getSVGObject } from "../../../helpers/shapeSVG";
 import styles from "../../../helpers/styles";
+import { bindTooltip } from "../../../helpers/tooltip";
 import utils from "../../../helpers/utils";
 import {
     attachEventHandlers,
@@ -83,6 +84,13 @@ const getXAxisXPosition = (config) => config.padding.left;
  */
 const getXAxisYPosition = (config) =>
     (config.padding.top + config.padding.bottom) * 2;
+/**
+ * Content area's position vertically relative to the canvas, the brush and datelines span the content area
+ * @private
+ * @param {object} config - config object derived from input JSON
+ * @returns {number} Position for the content area
+ */
+const getContentYPosition = (config) => getXAxisYPosition(config) / 2;
 
 /**
  * X Axis's width that will hold equally spaced ticks
@@ -310,9 +318,10 @@ const dataPointActionHandler = (value, index, target) => {
  * @param {Object} scale - d3 scale for Graph
  * @param {Object} config - Graph config object derived from input JSON
  * @param {d3.selection} canvasSVG - d3 html element of the canvas
+ * @param {Object} dataTarget - Data points object
  * @returns {undefined} - returns nothing
  */
-const createPoints = (scale, config, canvasSVG) => {
+const createPoints = (scale, config, canvasSVG, dataTarget) => {
     const renderDataPointPath = (path, value, index) =>
         path.append(() =>
             new Shape(
@@ -366,6 +375,7 @@ const createPoints = (scale, config, canvasSVG) => {
             const dataPointSVG = d3.select(this);
             renderSelectionPath(dataPointSVG, d, i);
             renderDataPointPath(dataPointSVG, d, i);
+            bindTooltip(config, dataPointSVG, d, dataTarget);
         });
 };
 /**
@@ -467,6 +477,7 @@ const clear = (canvasSVG, dataTarget) =>
 
 export {
     calculateAxesLabelSize,
+    getContentYPosition,
     getXAxisWidth,
     getXAxisXPosition,
     getXAxisYPosition,
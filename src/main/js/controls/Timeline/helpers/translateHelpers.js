@@ -2,11 +2,14 @@
 import d3 from "d3";
 import { getRotationForAxis, getYAxisHeight } from "../../../helpers/axis";
 import constants from "../../../helpers/constants";
+import { translateDateline } from "../../../helpers/dateline";
+import { translatePeriodicShading } from "../../../helpers/periodicShading";
 import styles from "../../../helpers/styles";
 import { getTransformScale } from "../../../helpers/transformUtils";
 import { translateCanvas } from "../../Graph/helpers/helpers";
 import {
     getAxesScale,
+    getContentYPosition,
     getXAxisLabelXPosition,
     getXAxisLabelYPosition,
     getXAxisWidth,
@@ -121,6 +124,8 @@ const translatePoints = (scale, config, canvasSVG, key, style) =>
  *  The canvas height and width
  *  The x axis x and y co-ordinates
  *  The label x and y co-ordinates
+ *  The datelines
+ *  The periodic shading
  *  @private
  *  @param {Object} control - Graph instance
  *  @returns {undefined} - returns nothing
@@ -130,6 +135,20 @@ const translateTimelineGraph = (control) => {
     translateDefs(control.config, control.svg);
     translateAxes(control.axis, control.scale, control.config, control.svg);
     translateLabel(control.config, control.svg);
+    translatePeriodicShading(
+        control.scale,
+        control.config,
+        control.svg,
+        getContentYPosition,
+        getXAxisXPosition
+    );
+    translateDateline(
+        control.scale,
+        control.config,
+        control.svg,
+        getContentYPosition,
+        getXAxisXPosition
+    );
 };
 
 export { translateTimelineGraph, transformPoint, translatePoints };
@@ -1,8 +1,13 @@
+import Area from "./Area";
 import Bar from "./Bar";
+import BoxPlot from "./BoxPlot";
 import Gantt from "./Gantt/Gantt";
 import Graph from "./Graph";
+import Heatmap from "./Heatmap";
+import Histogram from "./Histogram";
 import Line from "./Line";
 import PairedResult from "./PairedResult";
+import Scatter from "./Scatter";
 import Timeline from "./Timeline/Timeline";
 
 /**
@@ -11,8 +16,13 @@ import Timeline from "./Timeline/Timeline";
  * @property {Object} graph Graph based on Construct
  * @property {Object} line Line graph based on Graph
  * @property {Object} bar Bar graph based on Graph
+ * @property {Object} area Area graph based on Graph
+ * @property {Object} scatter Scatter graph based on Graph
+ * @property {Object} boxPlot Box plot graph based on Graph
+ * @property {Object} histogram Histogram graph based on Graph
  * @property {Object} pairedResult Paired Result graph based on Graph
  * @property {Object} timeline Timeline graph based on Construct
+ * @property {Object} heatmap Heatmap based on Construct
  * @enum {Object}
  */
 export default {
@@ -21,5 +31,10 @@ export default {
     line: (input) => new Line(input),
     pairedResult: (input) => new PairedResult(input),
     timeline: (input) => new Timeline(input),
-    bar: (input) => new Bar(input)
+    heatmap: (input) => new Heatmap(input),
+    bar: (input) => new Bar(input),
+    area: (input) => new Area(input),
+    scatter: (input) => new Scatter(input),
+    boxPlot: (input) => new BoxPlot(input),
+    histogram: (input) => new Histogram(input)
 };
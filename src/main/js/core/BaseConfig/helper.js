@@ -1,6 +1,6 @@
 "use strict";
 import d3 from "d3";
-import { AXIS_TYPE, LINE_TYPE } from "../../helpers/constants";
+import constants, { AXIS_TYPE, LINE_TYPE } from "../../helpers/constants";
 import errors from "../../helpers/errors";
 import utils from "../../helpers/utils";
 
@@ -66,17 +66,27 @@ export const generateClipPathId = () => `carbon-${+new Date()}-clip`;
 export const getInterpolationType = (type) =>
     getDefaultValue(type, LINE_TYPE.LINEAR);
 /**
- * Gets the scale for X Axis. If the data points are linear then
+ * Gets the scale for the axes. If the data points are linear then
  * linear scale is provided but if the data points are datetime then
- * time scale is returned
+ * time scale is returned. For log axes, a log scale with the base provided is returned and
+ * for category axes, an ordinal scale is returned.
  * @private
  * @param {string} type - consumer passed input type
+ * @param {number} [base] - base of the logarithm, applicable only for log axes
  * @returns {Object} d3 scale object
  */
-export const getScale = (type) =>
-    getType(type) === AXIS_TYPE.TIME_SERIES
-        ? d3.time.scale()
-        : d3.scale.linear();
+export const getScale = (type, base = constants.DEFAULT_LOG_BASE) => {
+    if (getType(type) === AXIS_TYPE.TIME_SERIES) {
+        return d3.time.scale();
+    }
+    if (getType(type) === AXIS_TYPE.LOG) {
+        return d3.scale.log().base(base);
+    }
+    if (getType(type) === AXIS_TYPE.CATEGORY) {
+        return d3.scale.ordinal();
+    }
+    return d3.scale.linear();
+};
 /**
  * Returns the domain for the axes. If the range is a number then the domain is treated
  * as a number or if its a datetime then they are converted to a date object and returned as
@@ -92,13 +102,19 @@ export const getDomain = (type, lowerLimit, upperLimit) =>
         ? [utils.parseDateTime(lowerLimit), utils.parseDateTime(upperLimit)]
         : [utils.getNumber(lowerLimit), utils.getNumber(upperLimit)];
 /**
- * Parses input value to either date or number based on xAxisType
+ * Parses input value to either date or number based on xAxisType.
+ * Category values are matched to the tick values as is, hence they are not parsed.
  * @private
  * @param {Object} x - input x value
  * @param {Object} xAxisType - Graph x axis type
- * @returns {any} - if xAxisType is time series then returns date, else returns number
+ * @returns {any} - if xAxisType is time series then returns date, if category then returns the value as is, else returns number
  */
-export const parseTypedValue = (x, xAxisType) =>
-    getType(xAxisType) === AXIS_TYPE.TIME_SERIES
-        ? utils.parseDateTime(x)
-        : utils.getNumber(x);
+export const parseTypedValue = (x, xAxisType) => {
+    if (getType(xAxisType) === AXIS_TYPE.TIME_SERIES) {
+        return utils.parseDateTime(x);
+    }
+    if (getType(xAxisType) === AXIS_TYPE.CATEGORY) {
+        return x;
+    }
+    return utils.getNumber(x);
+};
@@ -57,4 +57,34 @@ export default class GraphContent {
     redraw(graph) {
         throw new Error(errors.THROW_MSG_CONTENT_REDRAW_NOT_IMPLEMENTED);
     }
+
+    /**
+     * Updates the content in place using the input provided. Input is merged onto the
+     * current config of the content, key of the content cannot be updated.
+     * Legend items, label shapes and the items hidden using the legend are retained.
+     * @abstract
+     * @function GraphContent#update
+     * @throws {module:errors.THROW_MSG_CONTENT_UPDATE_NOT_IMPLEMENTED}
+     * @param {Object} graph - Graph instance
+     * @param {Object} input - Input JSON with the properties to be updated
+     * @returns {Object} - inherited class instance
+     */
+    update(graph, input) {
+        throw new Error(errors.THROW_MSG_CONTENT_UPDATE_NOT_IMPLEMENTED);
+    }
+
+    /**
+     * Appends the data points to the content loaded onto a graph, without redrawing the data points
+     * already rendered. Data points older than the sliding window, if provided, are removed.
+     * Unlike the rest of the lifecycle functions, append is called by the consumer directly,
+     * hence the graph the content is loaded onto is used.
+     * @abstract
+     * @function GraphContent#append
+     * @throws {module:errors.THROW_MSG_CONTENT_APPEND_NOT_IMPLEMENTED}
+     * @param {Array} values - Data points to be appended
+     * @returns {Object} - inherited class instance
+     */
+    append(values) {
+        throw new Error(errors.THROW_MSG_CONTENT_APPEND_NOT_IMPLEMENTED);
+    }
 }
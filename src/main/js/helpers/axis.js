@@ -5,9 +5,14 @@
 
 "use strict";
 import d3 from "d3";
+import Area from "../controls/Area/Area";
 import Bar from "../controls/Bar/Bar";
 import { getScale, getType } from "../core/BaseConfig";
-import constants, { AXES_ORIENTATION, AXIS_TYPE } from "../helpers/constants";
+import constants, {
+    AXES_ORIENTATION,
+    AXIS_TYPE,
+    GRAPH_ORIENTATION
+} from "../helpers/constants";
 import styles from "../helpers/styles";
 import utils from "../helpers/utils";
 import { DEFAULT_TICK_FORMAT } from "../locale";
@@ -23,28 +28,42 @@ import { prepareHAxis } from "./datetimeBuckets";
 const hasNegativeLowerBound = (scale, yAxis = constants.Y_AXIS) =>
     d3.min(scale[yAxis].domain()) < 0 && d3.max(scale[yAxis].domain()) > 0;
 /**
- * Parses the Y Axis lower and upper limits and returns it as an array for Y Axis reference line
+ * Returns the start and end of the Y Axis reference line, spanning the X Axis.
+ * X co-ordinates are positions within the X Axis range. Category X Axis uses the range extent,
+ * since its domain is the list of categories and not the bounds of the axis.
  * @private
  * @param {Object} scale - d3 scale taking into account the input parameters
+ * @param {Object} config - config object derived from input JSON
  * @returns {Array}{x: number, y: number} x and y co-ordinate data for drawing a reference line
  */
-const getReferenceLineData = (scale) => [
-    { x: scale.x.domain()[0], y: 0 },
-    { x: scale.x.domain()[1], y: 0 }
-];
+const getReferenceLineData = (scale, config) => {
+    const range =
+        config.axis.x.type === AXIS_TYPE.CATEGORY
+            ? d3.extent(getXAxisRange(config))
+            : scale.x.domain().map((value) => scale.x(value));
+    return [{ x: range[0], y: 0 }, { x: range[1], y: 0 }];
+};
 
 /**
  * Creates a simple reference line with x and y attributes
+ * Reference line is vertical in horizontal orientation, since Y Axis is rendered below the graph.
+ * X co-ordinates of the data are positions within the X Axis range, Refer getReferenceLineData.
  * @private
  * @param {Object} scale - d3 scale taking into account the input parameters
  * @param {string} yAxis - Y, Y2 etc
+ * @param {Object} config - config object derived from input JSON
  * @returns {d3.Line} A d3 line
  */
-const createReferenceLine = (scale, yAxis) =>
-    d3.svg
-        .line()
-        .x((value) => scale.x(value.x))
-        .y((value) => scale[yAxis](value.y));
+const createReferenceLine = (scale, yAxis, config) =>
+    isHorizontalOrientation(config)
+        ? d3.svg
+              .line()
+              .x((value) => scale[yAxis](value.y))
+              .y((value) => value.x)
+        : d3.svg
+              .line()
+              .x((value) => value.x)
+              .y((value) => scale[yAxis](value.y));
 /**
  * Create the d3 Axes - X, Y and Y2 and append into the canvas.
  * If axis.x.show, axis.y.show or axis.y2.show is set to false:
@@ -64,24 +83,14 @@ const createAxes = (axis, scale, config, canvasSVG) => {
         .classed(styles.axis, true)
         .classed(styles.axisX, true)
         .attr("aria-hidden", !config.axis.x.show)
-        .attr(
-            "transform",
-            `translate(${getXAxisXPosition(config)}, ${getXAxisYPosition(
-                config
-            )})`
-        )
+        .attr("transform", getXAxisTransform(config))
         .call(axis.x);
     canvasSVG
         .append("g")
         .classed(styles.axis, true)
         .classed(styles.axisY, true)
         .attr("aria-hidden", !config.axis.y.show)
-        .attr(
-            "transform",
-            `translate(${getYAxisXPosition(config)}, ${getYAxisYPosition(
-                config
-            )})`
-        )
+        .attr("transform", getYAxisTransform(config))
         .call(axis.y);
     if (hasY2Axis(config.axis)) {
         canvasSVG
@@ -116,9 +125,9 @@ const createXAxisInfoRow = (axis, scale, config, canvasSVG) => {
         .attr("aria-hidden", true)
         .attr(
             "transform",
-            `translate(${getXAxisXPosition(config)}, ${getAxisInfoRowYPosition(
+            `translate(${getAxisInfoRowXPosition(
                 config
-            )})`
+            )}, ${getAxisInfoRowYPosition(config)})`
         )
         .call(axis.axisInfoRow.x);
 };
@@ -143,7 +152,9 @@ const createAxisReferenceLine = (axis, scale, config, canvasSVG) => {
             .attr("transform", transformAttribute)
             .attr(
                 "d",
-                createReferenceLine(scale, style)(getReferenceLineData(scale))
+                createReferenceLine(scale, style, config)(
+                    getReferenceLineData(scale, config)
+                )
             );
     setReferenceLineAttributes(canvasSVG.append("path"), constants.Y_AXIS)
         .classed(styles.axis, true)
@@ -156,6 +167,7 @@ const createAxisReferenceLine = (axis, scale, config, canvasSVG) => {
 };
 /**
  * Prepares X,Y,Y2 and an optional axis info row (label row for Bar graphs) Axes according to their scale and available container width and height
+ * In horizontal orientation, X Axis is rendered beside the graph along with the axis info row, and Y Axis below the graph.
  * @private
  * @param {Object} axis - Axis scaled according to input parameters
  * @param {Object} scale - d3 scale taking into account the input parameters
@@ -163,53 +175,169 @@ const createAxisReferenceLine = (axis, scale, config, canvasSVG) => {
  * @returns {Object} - Scaled axes object
  */
 const getAxesScale = (axis, scale, config) => {
+    const isHorizontal = isHorizontalOrientation(config);
+    const yAxisTickValues = getVerticalAxisTickValues(
+        scale.y,
+        config,
+        constants.Y_AXIS
+    );
+    const yAxisTickFormat = getAxisTickFormat(
+        config.locale,
+        config.axis.y.ticks.format,
+        config.axis.y.type
+    );
     axis.x = prepareXAxis(
         scale.x,
         config.axis.x.ticks.values,
-        getXAxisWidth(config),
+        isHorizontal ? getYAxisHeight(config) : getXAxisWidth(config),
         getAxisTickFormat(
             config.locale,
             config.axis.x.ticks.format,
             config.axis.x.type
         ),
-        config.axis.x.orientation
+        isHorizontal ? AXES_ORIENTATION.Y.LEFT : config.axis.x.orientation
     );
     axis.axisInfoRow.x = prepareXAxisInfoRow(
         scale.x,
-        getAxisInfoOrientation(config.axis.x.orientation)
-    );
-    axis.y = prepareYAxis(
-        scale.y,
-        config.axis.y.ticks.values,
-        config.height,
-        getAxisTickFormat(config.locale, config.axis.y.ticks.format)
+        isHorizontal
+            ? AXES_ORIENTATION.Y.RIGHT
+            : getAxisInfoOrientation(config.axis.x.orientation)
     );
+    axis.y = isHorizontal
+        ? prepareXAxis(
+              scale.y,
+              yAxisTickValues,
+              getXAxisWidth(config),
+              yAxisTickFormat,
+              AXES_ORIENTATION.X.BOTTOM
+          )
+        : prepareYAxis(
+              scale.y,
+              yAxisTickValues,
+              config.height,
+              yAxisTickFormat
+          );
     if (hasY2Axis(config.axis)) {
         axis.y2 = prepareY2Axis(
             scale.y2,
-            config.axis.y2.ticks.values,
+            getVerticalAxisTickValues(scale.y2, config, constants.Y2_AXIS),
             config.height,
-            getAxisTickFormat(config.locale, config.axis.y2.ticks.format)
+            getAxisTickFormat(
+                config.locale,
+                config.axis.y2.ticks.format,
+                config.axis.y2.type
+            )
         );
     }
     return axis;
 };
+/**
+ * Checks if the graph is in horizontal orientation, where X Axis is rendered beside the graph
+ * and Y Axis below it.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @returns {boolean} true if horizontal orientation, false otherwise
+ */
+const isHorizontalOrientation = (config) =>
+    config.orientation === GRAPH_ORIENTATION.HORIZONTAL;
+/**
+ * Checks if the axis is a log axis
+ * @private
+ * @param {Object} axis - y or y2 axis object from the config
+ * @returns {boolean} true if log axis, false otherwise
+ */
+const isLogAxis = (axis) =>
+    utils.isDefined(axis) && axis.type === AXIS_TYPE.LOG;
+/**
+ * Returns the value in the linear space of the axis. Log axes are linear
+ * in the logarithm of the values, hence the natural logarithm is returned for log axes.
+ * @private
+ * @param {Object} axis - y or y2 axis object from the config
+ * @param {number} value - value plotted against the axis
+ * @returns {number} value in the linear space of the axis
+ */
+const toLinearSpace = (axis, value) =>
+    isLogAxis(axis) ? Math.log(value) : value;
+/**
+ * Returns the value plotted against the axis for a value in the linear space of the axis.
+ * Inverse of toLinearSpace.
+ * @private
+ * @param {Object} axis - y or y2 axis object from the config
+ * @param {number} value - value in the linear space of the axis
+ * @returns {number} value plotted against the axis
+ */
+const fromLinearSpace = (axis, value) =>
+    isLogAxis(axis) ? Math.exp(value) : value;
+/**
+ * Returns the tick values for a log axis. Ticks are placed at each power of the base within the domain,
+ * skipping powers when there are more of them than the height of the axis allows.
+ * When the domain spans less than two powers of the base then the ticks generated by the scale are used.
+ * @private
+ * @param {Object} scale - d3 log scale calculated using domain and range
+ * @param {number} base - base of the logarithm
+ * @param {number} height - Height of the axis to calculate the number of ticks
+ * @returns {Array} tick values
+ */
+const getLogTickValues = (scale, base, height) => {
+    // Rounded to avoid floating point errors, Math.log(1000) / Math.log(10) is 2.9999999999999996
+    const log = (value) =>
+        Math.round((Math.log(value) / Math.log(base)) * 1e6) / 1e6;
+    const domain = d3.extent(scale.domain());
+    const start = Math.ceil(log(domain[0]));
+    const end = Math.floor(log(domain[1]));
+    if (end - start < 1) {
+        return scale.ticks();
+    }
+    const step = Math.ceil(
+        (end - start + 1) /
+            Math.max(height / constants.DEFAULT_Y_AXIS_SPACING, 2)
+    );
+    return d3.range(start, end + 1, step).map((power) => Math.pow(base, power));
+};
+/**
+ * Returns the tick values for Y or Y2 axis.
+ * Tick values provided in the input JSON are given priority. For log axes, ticks are generated at the
+ * powers of the base, since the default ticks generated by d3 are too dense for domains spanning multiple orders.
+ * @private
+ * @param {Object} scale - d3 scale calculated using domain and range
+ * @param {Object} config - config object derived from input JSON
+ * @param {string} yAxis - y or y2
+ * @returns {(Array|undefined)} tick values, undefined if d3 needs to generate the ticks
+ */
+const getVerticalAxisTickValues = (scale, config, yAxis) => {
+    const axis = config.axis[yAxis];
+    if (utils.notEmpty(axis.ticks.values) || !isLogAxis(axis)) {
+        return axis.ticks.values;
+    }
+    return getLogTickValues(
+        scale,
+        axis.base,
+        isHorizontalOrientation(config) ? getXAxisWidth(config) : config.height
+    );
+};
 /**
  * Ticks can be formatted by passing the format string via input JSON.
  * * For formatting numbers (x,y,y2 axes ticks) use Python specifiers.
  * * Ticks can also be formatted for date time inputs.
+ * * Log axes ticks are formatted as numbers with thousands separator, by default.
+ * * Category axes ticks are shown as is, format is not applicable.
  * @private
  * @see https://docs.python.org/2/library/string.html#format-specification-mini-language
  * @see https://github.com/d3/d3-time-format/blob/master/README.md#locales
  * @param {Object} locale - d3 Locale object
  * @param {string} format - tick format string
- * @param {string} type - default or timeseries chart type
+ * @param {string} type - default, timeseries, log or category chart type
  * @returns {Object} d3 locale object formatter
  */
 const getAxisTickFormat = (locale, format, type = AXIS_TYPE.DEFAULT) => {
-    if (utils.isEmpty(format)) {
+    if (type === AXIS_TYPE.CATEGORY) {
         return DEFAULT_TICK_FORMAT;
     }
+    if (utils.isEmpty(format)) {
+        return type === AXIS_TYPE.LOG
+            ? locale.numberFormat(constants.DEFAULT_LOG_TICK_FORMAT)
+            : DEFAULT_TICK_FORMAT;
+    }
     if (type === AXIS_TYPE.TIME_SERIES) {
         return locale.timeFormat(format);
     } else {
@@ -467,7 +595,18 @@ const calculateVerticalPadding = (config) => {
 const getXAxisXPosition = (config) =>
     config.axisSizes.y + config.axisLabelWidths.y;
 /**
- * X Axis's position vertically relative to the canvas
+ * Axis Info Row's starting position within the canvas
+ * Axis Info Row is rendered beside the graph, to the right, in horizontal orientation.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @returns {number} Position for the axis
+ */
+const getAxisInfoRowXPosition = (config) =>
+    isHorizontalOrientation(config)
+        ? getXAxisXPosition(config) + getXAxisWidth(config)
+        : getXAxisXPosition(config);
+/**
+ * Axis Info Row's position vertically relative to the canvas
  * @private
  * @param {Object} config - config object derived from input JSON
  * @returns {number} Position for the axis
@@ -477,7 +616,7 @@ const getAxisInfoRowYPosition = (config) =>
         ? getYAxisHeight(config) + calculateVerticalPadding(config)
         : calculateVerticalPadding(config);
 /**
- * Axis Info Row's position vertically relative to the canvas
+ * X Axis's position vertically relative to the canvas
  * @private
  * @param {Object} config - config object derived from input JSON
  * @returns {number} Position for the axis
@@ -515,6 +654,36 @@ const getY2AxisXPosition = (config) =>
  * @returns {number} Position for the axis
  */
 const getY2AxisYPosition = (config) => calculateVerticalPadding(config);
+/**
+ * X Axis's translation within the canvas.
+ * X Axis takes the place of Y Axis, beside the graph, in horizontal orientation.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @returns {string} transform attribute for the axis
+ */
+const getXAxisTransform = (config) =>
+    isHorizontalOrientation(config)
+        ? `translate(${getYAxisXPosition(config)}, ${getYAxisYPosition(
+              config
+          )})`
+        : `translate(${getXAxisXPosition(config)}, ${getXAxisYPosition(
+              config
+          )})`;
+/**
+ * Y Axis's translation within the canvas.
+ * Y Axis takes the place of X Axis, below the graph, in horizontal orientation.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @returns {string} transform attribute for the axis
+ */
+const getYAxisTransform = (config) =>
+    isHorizontalOrientation(config)
+        ? `translate(${getXAxisXPosition(config)}, ${getXAxisYPosition(
+              config
+          )})`
+        : `translate(${getYAxisXPosition(config)}, ${getYAxisYPosition(
+              config
+          )})`;
 /**
  * X Axis's width that will hold equally spaced ticks
  * @private
@@ -560,18 +729,46 @@ const getXAxisHeight = (config) => {
 };
 /**
  * X Axis range used to instruct d3 when creating a scale
+ * X Axis runs from top to bottom in horizontal orientation.
  * @private
  * @param {Object} config - config object derived from input JSON
  * @returns {Array} lower and upper bound forming the range
  */
-const getXAxisRange = (config) => [0, getXAxisWidth(config)];
+const getXAxisRange = (config) =>
+    isHorizontalOrientation(config)
+        ? [0, getYAxisHeight(config)]
+        : [0, getXAxisWidth(config)];
+/**
+ * Returns the x position of the value, clamped within the X Axis range so that
+ * shapes partially outside the domain, for instance when zoomed, are drawn only within the content area.
+ * @private
+ * @param {Object} scale - d3 scale taking into account the input parameters
+ * @param {number|Date} value - value to be positioned
+ * @returns {number} x position of the value
+ */
+const getClampedXPosition = (scale, value) => {
+    const range = scale.x.range();
+    return Math.min(Math.max(scale.x(value), range[0]), range[1]);
+};
 /**
  * Y Axis range used to instruct d3 when creating a scale
+ * Range is flipped for reversed axes, so that the lower bound is at the top.
+ * Y Axis runs from left to right in horizontal orientation, reversed axes from right to left.
  * @private
  * @param {Object} config - config object derived from input JSON
+ * @param {string} [yAxis] - y or y2 axis
  * @returns {Array} lower and upper bound forming the range
  */
-const getYAxisRange = (config) => [getYAxisHeight(config), 0];
+const getYAxisRange = (config, yAxis = constants.Y_AXIS) => {
+    if (isHorizontalOrientation(config)) {
+        return config.axis[yAxis].reverse
+            ? [getXAxisWidth(config), 0]
+            : [0, getXAxisWidth(config)];
+    }
+    return config.axis[yAxis].reverse
+        ? [0, getYAxisHeight(config)]
+        : [getYAxisHeight(config), 0];
+};
 /**
  * Dynamically generate the label width for axes
  * @private
@@ -634,6 +831,37 @@ const getYAxisWidth = (id, config) => {
     dummy.remove();
     return width;
 };
+/**
+ * Dynamically generate the width for X Axis ticks, when X Axis is rendered beside the graph
+ * in horizontal orientation.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @returns {number} X Axis width
+ */
+const getXAxisTicksWidth = (config) => {
+    if (config.padding.hasCustomPadding) {
+        return config.padding.left;
+    }
+    const axis = prepareXAxis(
+        getScale(config.axis.x.type)
+            .domain(config.axis.x.domain)
+            .range([0, config.height]),
+        config.axis.x.ticks.values,
+        config.height,
+        getAxisTickFormat(
+            config.locale,
+            config.axis.x.ticks.format,
+            config.axis.x.type
+        ),
+        AXES_ORIENTATION.Y.LEFT
+    );
+    const dummy = d3.select("body").append("div");
+    const svg = dummy.append("svg");
+    const xAxisSVG = svg.append("g").call(axis);
+    const width = xAxisSVG.node().getBoundingClientRect().width;
+    dummy.remove();
+    return width;
+};
 
 /**
  * Generate the label width for y2 axes.
@@ -664,18 +892,40 @@ const isXAxisOrientationTop = (xAxisOrientation) =>
  *  X Axis: Height
  *  Y Axis: Width
  *  Y2 Axis: Width
+ * Y Axis width holds the X Axis ticks in horizontal orientation, since X Axis is rendered beside the graph.
  *  @private
  *  @param {Object} config - config object derived from input JSON
  *  @returns {undefined} - returns nothing
  */
 const calculateAxesSize = (config) => {
+    const yAxisWidth = isHorizontalOrientation(config)
+        ? getXAxisTicksWidth(config)
+        : getYAxisWidth(constants.Y_AXIS, config);
     config.axisSizes = {};
     config.axisSizes.y = config.padding.hasCustomPadding
-        ? getYAxisWidth(constants.Y_AXIS, config)
-        : getYAxisWidth(constants.Y_AXIS, config) + config.padding.left;
+        ? yAxisWidth
+        : yAxisWidth + config.padding.left;
     config.axisSizes.y2 = getY2AxisWidth(config);
     config.axisSizes.x = getXAxisHeight(config);
 };
+/**
+ * Label for the axis rendered below the graph.
+ * Labels are swapped in horizontal orientation, Y Axis label is shown below the graph.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @returns {string} label text
+ */
+const getHorizontalAxisLabel = (config) =>
+    isHorizontalOrientation(config) ? config.axis.y.label : config.axis.x.label;
+/**
+ * Label for the axis rendered beside the graph, to the left.
+ * Labels are swapped in horizontal orientation, X Axis label is shown beside the graph.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @returns {string} label text
+ */
+const getVerticalAxisLabel = (config) =>
+    isHorizontalOrientation(config) ? config.axis.x.label : config.axis.y.label;
 /**
  * Calculates axes label sizes, specifically:
  *  X Axis Label: Height
@@ -692,13 +942,17 @@ const calculateAxesLabelSize = (config) => {
     config.axisLabelWidths.y = 0;
     config.axisLabelWidths.y2 = 0;
     config.axisInfoRowLabelHeight = 0;
+    config.axisInfoRowLabelWidth = 0;
+    config.axisInfoRowLabelWidths = {};
     if (config.showLabel) {
-        if (config.axis.x.label) {
-            config.axisLabelHeights.x = getAxisLabelHeight(config.axis.x.label);
+        if (getHorizontalAxisLabel(config)) {
+            config.axisLabelHeights.x = getAxisLabelHeight(
+                getHorizontalAxisLabel(config)
+            );
         }
-        if (config.axis.y.label) {
+        if (getVerticalAxisLabel(config)) {
             config.axisLabelWidths.y = getAxisLabelWidth(
-                config.axis.y.label,
+                getVerticalAxisLabel(config),
                 constants.Y_AXIS
             );
         }
@@ -717,16 +971,17 @@ const calculateAxesLabelSize = (config) => {
  * @returns {number} returns a number representing the mid value of y axes domain
  */
 const getMidPoint = (config, yAxis) => {
+    const axis = config.axis[yAxis];
+    const lowerLimit = toLinearSpace(axis, axis.domain.lowerLimit);
     const axisMidValue =
-        (config.axis[yAxis].domain.upperLimit -
-            config.axis[yAxis].domain.lowerLimit) /
-        2;
-    return config.axis[yAxis].domain.lowerLimit + axisMidValue;
+        (toLinearSpace(axis, axis.domain.upperLimit) - lowerLimit) / 2;
+    return lowerLimit + axisMidValue;
 };
 /**
  * Calculates the lower part of the outlier based on data points.
  * If the content has any data points that are outside the lower and upper bounds set
  * in the vertical axis then we adjust the axis bounds to support that outlier value.
+ * For log axes, the stretch factor is calculated using the logarithm of the values.
  * @private
  * @param {Object} config - config object derived from input JSON
  * @returns {Array} List of lower bound values for each of the vertical axis
@@ -734,13 +989,19 @@ const getMidPoint = (config, yAxis) => {
 const getLowerOutlierStretchFactorList = (config) => {
     const lowerStretchFactors = [];
     const getMinValue = (config, yAxis, axisMinValue) => {
-        const dataRangeMinValue = config.axis[yAxis].dataRange.min;
+        const dataRangeMinValue = toLinearSpace(
+            config.axis[yAxis],
+            config.axis[yAxis].dataRange.min
+        );
         return dataRangeMinValue < axisMinValue
             ? dataRangeMinValue
             : axisMinValue;
     };
     const getLowerStretchFactor = (yAxis) => {
-        const axisMinValue = config.axis[yAxis].domain.lowerLimit;
+        const axisMinValue = toLinearSpace(
+            config.axis[yAxis],
+            config.axis[yAxis].domain.lowerLimit
+        );
         const axisMidPoint = getMidPoint(config, yAxis);
         const lowerStretchFactor = Math.abs(
             (axisMidPoint - getMinValue(config, yAxis, axisMinValue)) /
@@ -758,6 +1019,7 @@ const getLowerOutlierStretchFactorList = (config) => {
  * Calculates the upper part of the outlier based on data points.
  * If the content has any data points that are outside the lower and upper bounds set
  * in the vertical axis then we adjust the axis bounds to support that outlier value.
+ * For log axes, the stretch factor is calculated using the logarithm of the values.
  * @private
  * @param {Object} config - config object derived from input JSON
  * @returns {Array} List of upper bound values for each of the vertical axis
@@ -765,13 +1027,19 @@ const getLowerOutlierStretchFactorList = (config) => {
 const getUpperOutlierStretchFactorList = (config) => {
     const upperStretchFactors = [];
     const getMaxValue = (config, yAxis, axisMaxValue) => {
-        const dataRangeMaxValue = config.axis[yAxis].dataRange.max;
+        const dataRangeMaxValue = toLinearSpace(
+            config.axis[yAxis],
+            config.axis[yAxis].dataRange.max
+        );
         return dataRangeMaxValue > axisMaxValue
             ? dataRangeMaxValue
             : axisMaxValue;
     };
     const getUpperStretchFactor = (yAxis) => {
-        const axisMaxValue = config.axis[yAxis].domain.upperLimit;
+        const axisMaxValue = toLinearSpace(
+            config.axis[yAxis],
+            config.axis[yAxis].domain.upperLimit
+        );
         const axisMidPoint = getMidPoint(config, yAxis);
         const upperStretchFactor = Math.abs(
             (getMaxValue(config, yAxis, axisMaxValue) - axisMidPoint) /
@@ -840,23 +1108,13 @@ const translateAxes = (axis, scale, config, canvasSVG) => {
         .select(`.${styles.axisX}`)
         .transition()
         .call(constants.d3Transition)
-        .attr(
-            "transform",
-            `translate(${getXAxisXPosition(config)},${getXAxisYPosition(
-                config
-            )})`
-        )
+        .attr("transform", getXAxisTransform(config))
         .call(axis.x);
     canvasSVG
         .select(`.${styles.axisY}`)
         .transition()
         .call(constants.d3Transition)
-        .attr(
-            "transform",
-            `translate(${getYAxisXPosition(config)}, ${getYAxisYPosition(
-                config
-            )})`
-        )
+        .attr("transform", getYAxisTransform(config))
         .call(axis.y);
     if (hasY2Axis(config.axis)) {
         canvasSVG
@@ -877,9 +1135,9 @@ const translateAxes = (axis, scale, config, canvasSVG) => {
         .call(constants.d3Transition)
         .attr(
             "transform",
-            `translate(${getXAxisXPosition(config)}, ${getAxisInfoRowYPosition(
+            `translate(${getAxisInfoRowXPosition(
                 config
-            )})`
+            )}, ${getAxisInfoRowYPosition(config)})`
         )
         .call(axis.axisInfoRow.x);
 };
@@ -901,7 +1159,9 @@ const translateAxisReferenceLine = (axis, scale, config, canvasSVG) => {
             .attr("aria-hidden", false)
             .attr(
                 "d",
-                createReferenceLine(scale, style)(getReferenceLineData(scale))
+                createReferenceLine(scale, style, config)(
+                    getReferenceLineData(scale, config)
+                )
             );
     if (hasNegativeLowerBound(scale, constants.Y_AXIS)) {
         setTranslate(
@@ -925,8 +1185,8 @@ const translateAxisReferenceLine = (axis, scale, config, canvasSVG) => {
 };
 /**
  * Calculates current min and max value ranges.
- * if the input is bar content and is being cascaded on top of other bars,
- * then we need to calculate top and bottom domain values by summing cascaded bars value ranges
+ * if the input is bar or area content and is being cascaded on top of other content of the same type,
+ * then we need to calculate top and bottom domain values by summing cascaded value ranges
  * @private
  * @param {Object} input - Object containing min and max data point values
  * @param {Array} content - array of target objects
@@ -934,18 +1194,19 @@ const translateAxisReferenceLine = (axis, scale, config, canvasSVG) => {
  * @returns {Object} - Object with min and max value ranges
  */
 const getCurMinMaxValueRange = (input, content, axis) => {
-    if (input instanceof Bar) {
+    const StackedContent = [Bar, Area].find((Type) => input instanceof Type);
+    if (StackedContent) {
         let min = 0;
         let max = 0;
-        const groupedBars = content.filter((value) => {
-            if (value instanceof Bar) {
+        const groupedContent = content.filter((value) => {
+            if (value instanceof StackedContent) {
                 return value.config.group === input.config.group;
             }
             return false;
         });
-        groupedBars.forEach((bar) => {
-            max += bar.valuesRange[axis].max;
-            min += bar.valuesRange[axis].min;
+        groupedContent.forEach((stacked) => {
+            max += stacked.valuesRange[axis].max;
+            min += stacked.valuesRange[axis].min;
         });
         return {
             min,
@@ -1001,16 +1262,33 @@ const getAxesDataRange = (
 };
 /**
  * Checks if provided input has valid axis type
+ * Category x values can either be a string or a number, since they are matched to the tick values as is.
  * @param {string} x - input x value
  * @param {string} xAxisType - x axis type
  * @returns {boolean} - returns true if valid, false if invalid
  */
-const isValidAxisType = (x, xAxisType) =>
-    ((utils.isDate(x) || utils.isDateInstance(x)) &&
-        getType(xAxisType) === AXIS_TYPE.TIME_SERIES) ||
-    (!utils.isDate(x) &&
-        !utils.isDateInstance(x) &&
-        getType(xAxisType) !== AXIS_TYPE.TIME_SERIES);
+const isValidAxisType = (x, xAxisType) => {
+    if (getType(xAxisType) === AXIS_TYPE.CATEGORY) {
+        return utils.isString(x) || utils.isNumber(x);
+    }
+    return (
+        ((utils.isDate(x) || utils.isDateInstance(x)) &&
+            getType(xAxisType) === AXIS_TYPE.TIME_SERIES) ||
+        (!utils.isDate(x) &&
+            !utils.isDateInstance(x) &&
+            getType(xAxisType) !== AXIS_TYPE.TIME_SERIES)
+    );
+};
+/**
+ * Checks if the x value is one of the tick values, for category x axis.
+ * Any x value is valid for other axis types.
+ * @private
+ * @param {string|number} x - input x value
+ * @param {Object} xAxis - x axis object from the config
+ * @returns {boolean} - returns true if valid, false if invalid
+ */
+const isValidCategory = (x, xAxis) =>
+    xAxis.type !== AXIS_TYPE.CATEGORY || utils.hasValue(xAxis.ticks.values, x);
 
 /**
  * @enum {Function}
@@ -1041,6 +1319,7 @@ export {
     getYAxisHeight,
     getXAxisHeight,
     getXAxisRange,
+    getClampedXPosition,
     getYAxisRange,
     getAxisLabelWidth,
     getAxisLabelHeight,
@@ -1059,7 +1338,15 @@ export {
     translateAxes,
     translateAxisReferenceLine,
     isValidAxisType,
+    isValidCategory,
+    isLogAxis,
+    toLinearSpace,
+    fromLinearSpace,
     calculateVerticalPadding,
     isXAxisOrientationTop,
-    getAxisInfoRowYPosition
+    getAxisInfoRowXPosition,
+    getAxisInfoRowYPosition,
+    isHorizontalOrientation,
+    getHorizontalAxisLabel,
+    getVerticalAxisLabel
 };
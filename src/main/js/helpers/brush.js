@@ -0,0 +1,202 @@
+"use strict";
+import d3 from "d3";
+import { getDefaultValue } from "../core/BaseConfig";
+import errors from "./errors";
+import styles from "./styles";
+import utils from "./utils";
+
+/**
+ * Processes the brush property from the input JSON.
+ * Brush is enabled only when the consumer opts in by providing the brush property.
+ * @private
+ * @param {Object} brush - brush property from the input JSON
+ * @returns {Object} brush config object
+ */
+const getBrushConfig = (brush) => {
+    if (utils.isEmpty(brush)) {
+        return {
+            enabled: false
+        };
+    }
+    return {
+        enabled: getDefaultValue(brush.enabled, true),
+        onBrush: brush.onBrush
+    };
+};
+/**
+ * Validates the brush property from the input JSON.
+ * onBrush, when provided, needs to be a function.
+ * @private
+ * @param {Object} brush - brush property from the input JSON
+ * @throws {module:errors.THROW_MSG_INVALID_CALLBACK_FUNCTION}
+ * @returns {undefined} - returns nothing
+ */
+const validateBrush = (brush) => {
+    if (
+        utils.notEmpty(brush) &&
+        utils.isDefined(brush.onBrush) &&
+        !utils.isFunction(brush.onBrush)
+    ) {
+        throw new Error(errors.THROW_MSG_INVALID_CALLBACK_FUNCTION);
+    }
+};
+/**
+ * Returns the data points rendered for a value within the internal values subset.
+ * A value is a data point by itself unless it is a pair, in which case each
+ * item in the pair (high, mid and low) is a data point.
+ * @private
+ * @param {Object} value - value within the internal values subset
+ * @returns {Array} list of data points
+ */
+const getDataPoints = (value) =>
+    utils.isDefined(value.x)
+        ? [value]
+        : Object.keys(value)
+              .map((key) => value[key])
+              .filter(
+                  (point) =>
+                      point !== null &&
+                      typeof point === "object" &&
+                      utils.isDefined(point.x)
+              );
+/**
+ * Returns the data points within the brushed range, grouped by the content key.
+ * Data points that are hidden using the legend are excluded.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @param {Array} dataTargets - list of data targets for the loaded content
+ * @param {Array} extent - start and end of the brushed range
+ * @returns {Object} data points within the range, keyed by content key
+ */
+const getBrushedValues = (config, dataTargets, extent) => {
+    const values = {};
+    dataTargets
+        .filter((dataTarget) => utils.notEmpty(dataTarget))
+        .forEach((dataTarget) => {
+            values[dataTarget.key] = dataTarget.internalValuesSubset
+                .reduce((acc, value) => acc.concat(getDataPoints(value)), [])
+                .filter(
+                    (point) =>
+                        utils.hasValue(config.shownTargets, point.key) &&
+                        point.y !== null &&
+                        point.x >= extent[0] &&
+                        point.x <= extent[1]
+                );
+        });
+    return values;
+};
+/**
+ * Handler for brush end, called when the user finishes dragging the range.
+ * onBrush callback is called with the range and the data points within it.
+ * When the range is cleared by clicking on the canvas, onBrush is called with null.
+ * @private
+ * @param {Object} control - Construct instance
+ * @param {Function} dataTargetsHandler - returns the data targets for the loaded content
+ * @returns {undefined} - returns nothing
+ */
+const brushEndHandler = (control, dataTargetsHandler) => {
+    const config = control.config;
+    if (!utils.isFunction(config.brush.onBrush)) {
+        return;
+    }
+    if (control.brushBehavior.empty()) {
+        config.brush.onBrush(null);
+        return;
+    }
+    const extent = control.brushBehavior.extent();
+    config.brush.onBrush({
+        start: extent[0],
+        end: extent[1],
+        values: getBrushedValues(config, dataTargetsHandler(control), extent)
+    });
+};
+/**
+ * Positions the brush over the content and updates its height.
+ * @private
+ * @param {d3.selection} brushPath - d3 selection node of the brush
+ * @param {Object} position - x, y and height of the content area
+ * @returns {d3.selection} d3 selection node of the brush
+ */
+const positionBrush = (brushPath, position) => {
+    brushPath
+        .attr("transform", `translate(${position.x},${position.y})`)
+        .selectAll("rect")
+        .attr("height", position.height);
+    return brushPath;
+};
+/**
+ * Creates the brush used to select a range on the X Axis, if enabled via input JSON.
+ * Brush needs to be created before the content is loaded, so that the data points
+ * are rendered above the brush and can still be clicked.
+ * Dragging within the brush doesn't propagate, hence it takes precedence over panning when zoom is enabled.
+ * @private
+ * @param {Object} control - Construct instance
+ * @param {Function} positionHandler - returns the x, y and height of the content area. Functions differ based on Constructs used
+ * @param {Function} dataTargetsHandler - returns the data targets for the loaded content. Functions differ based on Constructs used
+ * @returns {undefined} - returns nothing
+ */
+const createBrush = (control, positionHandler, dataTargetsHandler) => {
+    if (!control.config.brush.enabled) {
+        return;
+    }
+    control.brushBehavior = d3.svg
+        .brush()
+        .x(control.scale.x)
+        .on("brushend", () => brushEndHandler(control, dataTargetsHandler));
+    const brushPath = control.svg
+        .append("g")
+        .classed(styles.brush, true)
+        .call(control.brushBehavior)
+        .on("mousedown.carbon", () => d3.event.stopPropagation());
+    positionBrush(brushPath, positionHandler(control.config));
+};
+/**
+ * Updates the brush based on the current scale, on resize.
+ * The brushed range is retained.
+ * @private
+ * @param {Object} control - Construct instance
+ * @param {Function} positionHandler - returns the x, y and height of the content area. Functions differ based on Constructs used
+ * @returns {undefined} - returns nothing
+ */
+const translateBrush = (control, positionHandler) => {
+    if (!control.brushBehavior) {
+        return;
+    }
+    const extent = control.brushBehavior.empty()
+        ? null
+        : control.brushBehavior.extent();
+    control.brushBehavior.x(control.scale.x);
+    if (extent) {
+        control.brushBehavior.extent(extent);
+    }
+    positionBrush(
+        control.svg.select(`.${styles.brush}`).call(control.brushBehavior),
+        positionHandler(control.config)
+    );
+};
+/**
+ * Clears the brushed range. onBrush callback, if provided, is called with null.
+ * @private
+ * @param {Object} control - Construct instance
+ * @returns {undefined} - returns nothing
+ */
+const clearBrush = (control) => {
+    if (!control.brushBehavior) {
+        return;
+    }
+    control.brushBehavior.clear();
+    control.svg.select(`.${styles.brush}`).call(control.brushBehavior);
+    if (utils.isFunction(control.config.brush.onBrush)) {
+        control.config.brush.onBrush(null);
+    }
+};
+
+export {
+    getBrushConfig,
+    validateBrush,
+    getDataPoints,
+    getBrushedValues,
+    createBrush,
+    translateBrush,
+    clearBrush
+};
@@ -72,14 +72,20 @@ export const SHAPES = {
  * Consumers can pick axes tick type from default list
  * DEFAULT is enabled by default. This represents number based axes
  * TIMESERIES is time based axes. For now it only reflects on x-Axis
+ * LOG is logarithmic number based axes. For now it only reflects on y and y2 Axes
+ * CATEGORY is ordinal axes, where the x values are matched to the tick values. For now it only reflects on x-Axis
  * @public
  * @property {string} DEFAULT "default"
  * @property {string} TIME_SERIES "timeseries"
- * @enum {{DEFAULT: string, TIME_SERIES: string}}
+ * @property {string} LOG "log"
+ * @property {string} CATEGORY "category"
+ * @enum {{DEFAULT: string, TIME_SERIES: string, LOG: string, CATEGORY: string}}
  */
 export const AXIS_TYPE = {
     DEFAULT: "default",
-    TIME_SERIES: "timeseries"
+    TIME_SERIES: "timeseries",
+    LOG: "log",
+    CATEGORY: "category"
 };
 /**
  * Consumers can pick line type from default list
@@ -93,6 +99,128 @@ export const LINE_TYPE = {
     LINEAR: "linear",
     SPLINE: "cardinal"
 };
+/**
+ * Consumers can pick the format a graph is exported to
+ * @public
+ * @property {string} SVG "svg"
+ * @property {string} PNG "png"
+ * @property {string} CSV "csv"
+ * @enum {{SVG: string, PNG: string, CSV: string}}
+ */
+export const EXPORT_FORMAT = {
+    SVG: "svg",
+    PNG: "png",
+    CSV: "csv"
+};
+/**
+ * Consumers can pick the orientation of the graph
+ * Vertical is default, X Axis is rendered below the graph and Y Axes beside it.
+ * Horizontal renders the X Axis beside the graph and Y Axis below it, applicable only for Bar graphs.
+ * @public
+ * @property {string} VERTICAL "vertical"
+ * @property {string} HORIZONTAL "horizontal"
+ * @enum {{VERTICAL: string, HORIZONTAL: string}}
+ */
+export const GRAPH_ORIENTATION = {
+    VERTICAL: "vertical",
+    HORIZONTAL: "horizontal"
+};
+/**
+ * Consumers can pick the scale used to map the size of a Scatter data point to its radius
+ * Square root is default, so that the area of the shape is proportional to the size.
+ * @public
+ * @property {string} LINEAR "linear"
+ * @property {string} SQRT "sqrt"
+ * @enum {{LINEAR: string, SQRT: string}}
+ */
+export const RADIUS_SCALE_TYPE = {
+    LINEAR: "linear",
+    SQRT: "sqrt"
+};
+/**
+ * Consumers can pick the scale used to map the value of a Heatmap cell to its color
+ * Sequential scale runs from a lower to an upper color, diverging scale runs
+ * from a lower color through a midpoint color to an upper color.
+ * @public
+ * @property {string} SEQUENTIAL "sequential"
+ * @property {string} DIVERGING "diverging"
+ * @enum {{SEQUENTIAL: string, DIVERGING: string}}
+ */
+export const COLOR_SCALE_TYPE = {
+    SEQUENTIAL: "sequential",
+    DIVERGING: "diverging"
+};
+/**
+ * Consumers can pick the method used to bin the samples of a Histogram
+ * Sturges and Freedman-Diaconis determine the number of bins using the samples,
+ * fixed width uses bins of the width provided and thresholds uses the bin boundaries provided.
+ * @public
+ * @property {string} STURGES "sturges"
+ * @property {string} FREEDMAN_DIACONIS "freedmanDiaconis"
+ * @property {string} FIXED_WIDTH "fixedWidth"
+ * @property {string} THRESHOLDS "thresholds"
+ * @enum {{STURGES: string, FREEDMAN_DIACONIS: string, FIXED_WIDTH: string, THRESHOLDS: string}}
+ */
+export const BIN_METHOD = {
+    STURGES: "sturges",
+    FREEDMAN_DIACONIS: "freedmanDiaconis",
+    FIXED_WIDTH: "fixedWidth",
+    THRESHOLDS: "thresholds"
+};
+/**
+ * Consumers can pick the side of the annotated point the annotation text is placed on
+ * Text is placed on the opposite side when it would be cut off at the edge of the canvas.
+ * @public
+ * @property {string} TOP "top"
+ * @property {string} BOTTOM "bottom"
+ * @property {string} LEFT "left"
+ * @property {string} RIGHT "right"
+ * @enum {{TOP: string, BOTTOM: string, LEFT: string, RIGHT: string}}
+ */
+export const ANNOTATION_ANCHOR = {
+    TOP: "top",
+    BOTTOM: "bottom",
+    LEFT: "left",
+    RIGHT: "right"
+};
+/**
+ * Consumers can pick how the bounds of a region are joined between its breakpoints
+ * Step is default, bounds of each breakpoint apply until the next breakpoint.
+ * @public
+ * @property {string} STEP "step-after"
+ * @property {string} LINEAR "linear"
+ * @enum {{STEP: string, LINEAR: string}}
+ */
+export const REGION_TYPE = {
+    STEP: "step-after",
+    LINEAR: "linear"
+};
+/**
+ * Consumers can pick the dash style of a reference line or a dateline
+ * Solid is default.
+ * @public
+ * @property {string} SOLID "none"
+ * @property {string} DASHED "6, 3"
+ * @property {string} DOTTED "2, 2"
+ * @enum {{SOLID: string, DASHED: string, DOTTED: string}}
+ */
+export const REFERENCE_LINE_STYLE = {
+    SOLID: "none",
+    DASHED: "6, 3",
+    DOTTED: "2, 2"
+};
+/**
+ * Consumers can pick the edge of the graph the reference line label is aligned to
+ * Right is default.
+ * @public
+ * @property {string} LEFT "start"
+ * @property {string} RIGHT "end"
+ * @enum {{LEFT: string, RIGHT: string}}
+ */
+export const REFERENCE_LINE_LABEL_ALIGN = {
+    LEFT: "start",
+    RIGHT: "end"
+};
 
 /**
  * @enum {Object}
@@ -123,6 +251,7 @@ export default {
     PAIR_ITEM_TYPES: ["high", "mid", "low"],
     ISO8601_DATE_TIME_MILLI: /(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2}(:\d{2}(\.\d+)*)*)Z/,
     RESIZE_THROTTLE: 1000 / 60,
+    RESIZE_POLL_INTERVAL: 250,
     BASE_CANVAS_WIDTH_PADDING: 10,
     BASE_LABEL_ICON_SPACING: 20,
     BASE_LABEL_ICON_WIDTH_PADDING: 5,
@@ -137,6 +266,7 @@ export default {
     DEFAULT_HEIGHT: 250,
     DEFAULT_PLOT_SCALE: 0.275,
     DEFAULT_PLOT_SELECTION_SCALE: { posX: 1.95, posY: 1.95, scale: 2 },
+    DEFAULT_RADIUS_SCALE_RANGE: [1, 4],
     DEFAULT_TIMELINE_PLOT_SELECTION_SCALE: { posX: 2.05, posY: 2, scale: 2.2 },
     DEFAULT_TIMELINE_SCALE: { posX: 1.15, posY: 1.15, scale: 1.25 },
     DEFAULT_TIMELINE_TICK_LENGTH: 12,
@@ -174,15 +304,38 @@ export default {
     DEFAULT_BAR_COLOR: COLORS.BLUE,
     DEFAULT_BAR_REGION_COLOR: "#bcbfc0",
     DEFAULT_REGION_GOAL_LINE_STROKE_WIDTH: 5,
+    DEFAULT_X_REGION_LABEL_PADDING: 4,
+    DEFAULT_REFERENCE_LINE_LABEL_PADDING: 4,
+    DEFAULT_DATELINE_LABEL_PADDING: 8,
     DEFAULT_BAR_SELECTION_PADDING: 5,
     DEFAULT_ACTIVITY_BAR_HASH_COLOR: "#d3d4d5",
     DEFAULT_TASK_BAR_HASH_COLOR: "#007cc3",
     DEFAULT_BAR_STRIPE_COLOR: "#fff",
+    DEFAULT_BOX_PLOT_WIDTH: 20,
+    DEFAULT_BOX_PLOT_WHISKER_IQR_FACTOR: 1.5,
+    DEFAULT_BOX_PLOT_SELECTION_PADDING: 5,
+    DEFAULT_HISTOGRAM_OPACITY: 0.6,
+    DEFAULT_HISTOGRAM_SELECTION_PADDING: 3,
+    DEFAULT_ERROR_BAR_CAP_WIDTH: 8,
+    DEFAULT_HEATMAP_ROW_HEIGHT: 30,
+    DEFAULT_HEATMAP_COLOR_RANGE: {
+        sequential: ["#e5f1f9", COLORS.BLUE],
+        diverging: [COLORS.BLUE, COLORS.WHITE, COLORS.ORANGE]
+    },
+    DEFAULT_HEATMAP_LEGEND: {
+        width: 200,
+        height: 10,
+        padding: 15,
+        labelHeight: 20
+    },
+    DEFAULT_HEATMAP_LEGEND_TICK_FORMAT: ",",
     DEFAULT_GANTT_TASK_STRIPE_WIDTH: 4,
     DEFAULT_GANTT_TASK_STRIPE_DISTANCE: 2,
     DEFAULT_GANTT_ACTIVITY_STRIPE_WIDTH: 7,
     DEFAULT_GANTT_ACTIVITY_STRIPE_DISTANCE: 2,
     DEFAULT_Y_AXIS_SPACING: 30,
+    DEFAULT_LOG_BASE: 10,
+    DEFAULT_LOG_TICK_FORMAT: ",",
     HOVER_EVENT: {
         MOUSE_ENTER: "enter",
         MOUSE_EXIT: "exit"
@@ -197,6 +350,8 @@ export default {
     DEFAULT_INTERPOLATION: "linear",
     SELECTION_INDICATOR_X_POSITION: 10,
     SELECTION_INDICATOR_Y_POSITION: 12.5,
+    DEFAULT_TOOLTIP_DATE_FORMAT: "%x %X",
+    DEFAULT_TOOLTIP_NUMBER_FORMAT: ",",
     d3Transition: (transition) => transition.duration(250).ease("linear"),
     TICK_ORIENTATION: {
         TOP: -1,
@@ -7,32 +7,133 @@ import { Shape } from "../core";
 import { getDefaultSVGProps } from "../core/Shape";
 import { getShapeForTarget } from "../controls/Graph/helpers/helpers";
 import { getTransformScale } from "./transformUtils";
-import constants from "./constants";
-import { getXAxisXPosition, getYAxisHeight, getYAxisYPosition } from "./axis";
+import constants, { REFERENCE_LINE_STYLE } from "./constants";
+import {
+    getClampedXPosition,
+    getXAxisXPosition,
+    getYAxisHeight,
+    getYAxisYPosition
+} from "./axis";
 
+/**
+ * Returns true if the dateline shades a period of time using range, instead of marking a point in time.
+ * @private
+ * @param {Object} dateline - dateline provided in the input JSON
+ * @returns {boolean} true if range is provided
+ */
+const isDatelineRange = (dateline) => utils.notEmpty(dateline.range);
+/**
+ * Returns the date the dateline starts at, the value for a point in time or the range start for a period.
+ * @private
+ * @param {Object} dateline - dateline provided in the input JSON
+ * @returns {Date} start of the dateline
+ */
+const getDatelineStart = (dateline) =>
+    utils.parseDateTime(
+        isDatelineRange(dateline) ? dateline.range.start : dateline.value
+    );
+/**
+ * Returns the date the dateline ends at, the value for a point in time or the range end for a period.
+ * @private
+ * @param {Object} dateline - dateline provided in the input JSON
+ * @returns {Date} end of the dateline
+ */
+const getDatelineEnd = (dateline) =>
+    utils.parseDateTime(
+        isDatelineRange(dateline) ? dateline.range.end : dateline.value
+    );
+/**
+ * Returns true if the dateline, or any part of the range, is within the X Axis domain.
+ * @private
+ * @param {Array} domain - X Axis domain
+ * @param {Object} dateline - dateline provided in the input JSON
+ * @returns {boolean} true if dateline is within the domain
+ */
+const isDatelineWithinDomain = (domain, dateline) =>
+    getDatelineStart(dateline) <= domain[1] &&
+    getDatelineEnd(dateline) >= domain[0];
+/**
+ * Positions the dateline labels at the top of the datelines, to the right of the dateline or range start.
+ * Labels which would be cut off at the right edge are placed to the left instead.
+ * Labels overlapping each other are stacked into rows, each label is placed in the first row it fits in.
+ * @private
+ * @param {Object} scale - d3 scale taking into account the input parameters
+ * @param {Array} canvasSVG - d3 object of canvas svg
+ * @returns {undefined} - returns nothing
+ */
+const positionDatelineLabels = (scale, canvasSVG) => {
+    const padding = constants.DEFAULT_DATELINE_LABEL_PADDING;
+    const rowEnds = [];
+    canvasSVG
+        .selectAll(`.${styles.datelineLabel}`)
+        .sort((a, b) => getDatelineStart(a) - getDatelineStart(b))
+        .each(function(d) {
+            if (this.getAttribute("aria-hidden") === "true") {
+                return;
+            }
+            const position = getClampedXPosition(scale, getDatelineStart(d));
+            const labelBox = this.getBoundingClientRect();
+            const isCutOff =
+                position + padding + labelBox.width > scale.x.range()[1];
+            const start = isCutOff
+                ? position - padding - labelBox.width
+                : position + padding;
+            let row = rowEnds.findIndex((rowEnd) => rowEnd + padding < start);
+            if (row < 0) {
+                row = rowEnds.length;
+            }
+            rowEnds[row] = start + labelBox.width;
+            this.setAttribute(
+                constants.X_AXIS,
+                isCutOff ? position - padding : position + padding
+            );
+            this.setAttribute(
+                constants.Y_AXIS,
+                padding + row * (labelBox.height + padding / 2)
+            );
+            this.setAttribute("text-anchor", isCutOff ? "end" : "start");
+        });
+};
 /**
  * Translates the dateline, based on each content loaded.
  * When a new content is loaded, the height of the graph changes
  * since the height is consumer provided value. We would need to
  * translate the straight line based on the new height.
+ * When the X Axis is zoomed, datelines outside the zoomed domain are hidden.
  * @private
  * @param {Object} scale - d3 scale taking into account the input parameters
  * @param {Object} config - config object derived from input JSON
  * @param {Array} canvasSVG - d3 object of canvas svg
  * @param {function} yAxisPositionHandler - call back to get y-axis position.Functions differ based on Constructs used
+ * @param {function} [xAxisPositionHandler] - call back to get x-axis position.Functions differ based on Constructs used
  * @returns {undefined} - returns nothing
  */
-const translateDateline = (scale, config, canvasSVG, yAxisPositionHandler) => {
+const translateDateline = (
+    scale,
+    config,
+    canvasSVG,
+    yAxisPositionHandler,
+    xAxisPositionHandler = getXAxisXPosition
+) => {
     if (utils.isEmpty(config.dateline)) {
         return;
     }
+    canvasSVG
+        .selectAll(`.${styles.datelineGroup}, .${styles.datelineLabel}`)
+        .attr(
+            "aria-hidden",
+            (d) =>
+                !!config.axis.x.isZoomed &&
+                !isDatelineWithinDomain(scale.x.domain(), d)
+        );
+    positionDatelineLabels(scale, canvasSVG);
     const datelineGroup = canvasSVG
-        .selectAll(`.${styles.datelineGroup}`)
+        .selectAll(`.${styles.datelineGroup}, .${styles.datelineLabelGroup}`)
         .transition()
         .call(constants.d3Transition)
         .attr(
             "transform",
-            `translate(${getXAxisXPosition(config)},${yAxisPositionHandler(
+            `translate(${xAxisPositionHandler(config)},${yAxisPositionHandler(
                 config
             )})`
         );
@@ -41,7 +142,7 @@ const translateDateline = (scale, config, canvasSVG, yAxisPositionHandler) => {
         .select("path")
         .attr("transform", function(d) {
             return `translate(${scale.x(
-                utils.parseDateTime(d.value)
+                getDatelineStart(d)
             )}, 0) scale(${getTransformScale(this)})`;
         });
     datelineGroup
@@ -50,6 +151,17 @@ const translateDateline = (scale, config, canvasSVG, yAxisPositionHandler) => {
         .attr("y1", 0)
         .attr("x2", (val) => scale.x(utils.parseDateTime(val.value)))
         .attr("y2", getYAxisHeight(config));
+    datelineGroup
+        .selectAll(`.${styles.datelineRange}`)
+        .attr("x", (val) => getClampedXPosition(scale, getDatelineStart(val)))
+        .attr("y", 0)
+        .attr(
+            "width",
+            (val) =>
+                getClampedXPosition(scale, getDatelineEnd(val)) -
+                getClampedXPosition(scale, getDatelineStart(val))
+        )
+        .attr("height", getYAxisHeight(config));
 };
 /**
  * Toggles the selection of a dateline indicator, executes on click of a data point.
@@ -87,18 +199,39 @@ const datelineClickHandler = (value, target) => {
         )
     );
 };
+/**
+ * Returns the style of the dateline, using the color and dash style provided.
+ * @private
+ * @param {Object} dateline - dateline provided in the input JSON
+ * @returns {string} style of the line
+ */
+const getDatelineStyle = (dateline) =>
+    `fill: ${dateline.color}; stroke: ${dateline.color}${
+        dateline.style ? `; stroke-dasharray: ${dateline.style}` : ""
+    }`;
 /**
  * Creates a dateline for graph. We are not adding
  * x1, x2, y1, y2 co-ordinates for the straight line since they will be adjusted when
  * content is loaded.
+ * A dateline with a range shades the period between range start and end, instead of a straight line.
+ * Labels of all the datelines are rendered within a group of their own, above the datelines, so that
+ * overlapping labels can be laid out together.
  * @description Dateline point is shown only when showDatelineIndicator is enabled
  * @private
  * @param {Object} scale - d3 scale taking into account the input parameters
  * @param {Object} config - config object derived from input JSON
  * @param {Array} canvasSVG - d3 object of canvas svg
+ * @param {function} [yAxisPositionHandler] - call back to get y-axis position.Functions differ based on Constructs used
+ * @param {function} [xAxisPositionHandler] - call back to get x-axis position.Functions differ based on Constructs used
  * @returns {Object} d3 svg path
  */
-const createDateline = (scale, config, canvasSVG) => {
+const createDateline = (
+    scale,
+    config,
+    canvasSVG,
+    yAxisPositionHandler = getYAxisYPosition,
+    xAxisPositionHandler = getXAxisXPosition
+) => {
     const datelineContent = canvasSVG
         .append("g")
         .classed(styles.datelineContent, true);
@@ -115,14 +248,22 @@ const createDateline = (scale, config, canvasSVG) => {
         )
             ? config.clickPassThrough.datelines
             : false;
-        datelineGroup
-            .append("line")
-            .classed(styles.dateline, true)
-            .attr("style", (d) => `fill: ${d.color}; stroke: ${d.color}`)
-            .attr(
-                "pointer-events",
-                graphConfigClickPassThrough ? "none" : "auto"
-            );
+        if (isDatelineRange(dateline)) {
+            datelineGroup
+                .append("rect")
+                .classed(styles.datelineRange, true)
+                .attr("style", (d) => `fill: ${d.color};`)
+                .attr("pointer-events", "none");
+        } else {
+            datelineGroup
+                .append("line")
+                .classed(styles.dateline, true)
+                .attr("style", getDatelineStyle)
+                .attr(
+                    "pointer-events",
+                    graphConfigClickPassThrough ? "none" : "auto"
+                );
+        }
         datelineGroup.append((d) =>
             new Shape(getShapeForTarget(d)).getShapeElement(
                 getDefaultSVGProps({
@@ -140,7 +281,27 @@ const createDateline = (scale, config, canvasSVG) => {
             )
         );
     });
-    translateDateline(scale, config, canvasSVG, getYAxisYPosition);
+    datelineContent
+        .append("g")
+        .classed(styles.datelineLabelGroup, true)
+        .selectAll(`.${styles.datelineLabel}`)
+        .data(
+            config.dateline.filter(
+                (dateline) => dateline.label && dateline.label.display
+            )
+        )
+        .enter()
+        .append("text")
+        .classed(styles.datelineLabel, true)
+        .attr("dy", ".71em")
+        .text((d) => d.label.display);
+    translateDateline(
+        scale,
+        config,
+        canvasSVG,
+        yAxisPositionHandler,
+        xAxisPositionHandler
+    );
 };
 /**
  * redraw a dateline for graph. To add the dateline content on top of the content
@@ -163,24 +324,37 @@ const redrawDatelineContent = (scale, config, canvasSVG) => {
  * Checks if the following properties are present:
  *      color
  *      shape
- *      dateline
+ *      dateline value or range
  * @private
- * @param {Object} dateline - JSON object with color, shape and date value.
+ * @param {Object} dateline - JSON object with color, shape and date value or range.
  * @throws {module:errors.THROW_MSG_DATELINE_OBJECT_NOT_PROVIDED}
  * @throws {module:errors.THROW_MSG_DATELINE_COLOR_NOT_PROVIDED}
  * @throws {module:errors.THROW_MSG_DATELINE_NOT_PROVIDED}
  * @throws {module:errors.THROW_MSG_DATELINE_TYPE_NOT_VALID}
+ * @throws {module:errors.THROW_MSG_DATELINE_RANGE_NOT_VALID}
+ * @throws {module:errors.THROW_MSG_DATELINE_STYLE_NOT_VALID}
  * @returns {Config} instance object
  */
 const validateDateline = (dateline) => {
     if (utils.isEmpty(dateline)) {
         throw new Error(errors.THROW_MSG_DATELINE_OBJECT_NOT_PROVIDED);
     }
-    if (utils.isEmpty(dateline.value)) {
-        throw new Error(errors.THROW_MSG_DATELINE_NOT_PROVIDED);
-    }
-    if (!utils.isDate(dateline.value)) {
-        throw new Error(errors.THROW_MSG_DATELINE_TYPE_NOT_VALID);
+    if (isDatelineRange(dateline)) {
+        if (
+            !utils.isDate(dateline.range.start) ||
+            !utils.isDate(dateline.range.end) ||
+            utils.parseDateTime(dateline.range.start) >
+                utils.parseDateTime(dateline.range.end)
+        ) {
+            throw new Error(errors.THROW_MSG_DATELINE_RANGE_NOT_VALID);
+        }
+    } else {
+        if (utils.isEmpty(dateline.value)) {
+            throw new Error(errors.THROW_MSG_DATELINE_NOT_PROVIDED);
+        }
+        if (!utils.isDate(dateline.value)) {
+            throw new Error(errors.THROW_MSG_DATELINE_TYPE_NOT_VALID);
+        }
     }
     if (utils.isEmpty(dateline.color)) {
         throw new Error(errors.THROW_MSG_DATELINE_COLOR_NOT_PROVIDED);
@@ -188,6 +362,12 @@ const validateDateline = (dateline) => {
     if (dateline.showDatelineIndicator && utils.isEmpty(dateline.shape)) {
         throw new Error(errors.THROW_MSG_DATELINE_SHAPE_NOT_PROVIDED);
     }
+    if (
+        utils.isDefined(dateline.style) &&
+        !utils.hasValue(REFERENCE_LINE_STYLE, dateline.style)
+    ) {
+        throw new Error(errors.THROW_MSG_DATELINE_STYLE_NOT_VALID);
+    }
 };
 export {
     validateDateline,
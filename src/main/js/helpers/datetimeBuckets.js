@@ -335,4 +335,4 @@ const translateVGrid = (canvasSVG, axis, config, translateVGridHandler) => {
     }
 };
 
-export { createVGrid, prepareHAxis, translateVGrid };
+export { createVGrid, hasDatetimeBuckets, prepareHAxis, translateVGrid };
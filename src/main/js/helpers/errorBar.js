@@ -0,0 +1,111 @@
+"use strict";
+import constants from "./constants";
+import errors from "./errors";
+import utils from "./utils";
+
+/**
+ * @module errorBar
+ * @alias module:errorBar
+ */
+
+/**
+ * Validates the error of each data point value, if provided.
+ * Error can either be a symmetric `yError`, which needs to be a non-negative number,
+ * or `yLower` and `yUpper` bounds, which need to be numbers with `yLower` not greater than `yUpper`.
+ * @private
+ * @param {Array} values - data point values provided in the input JSON
+ * @throws {module:errors.THROW_MSG_INVALID_ERROR_VALUE}
+ * @returns {undefined} - returns nothing
+ */
+const validateErrorValues = (values) => {
+    const isValidError = (value) => {
+        const hasBounds =
+            utils.isDefined(value.yLower) || utils.isDefined(value.yUpper);
+        if (utils.isDefined(value.yError)) {
+            return (
+                !hasBounds && utils.isNumber(value.yError) && value.yError >= 0
+            );
+        }
+        return (
+            !hasBounds ||
+            (utils.isNumber(value.yLower) &&
+                utils.isNumber(value.yUpper) &&
+                value.yLower <= value.yUpper)
+        );
+    };
+    if (utils.isArray(values) && !values.every(isValidError)) {
+        throw new Error(errors.THROW_MSG_INVALID_ERROR_VALUE);
+    }
+};
+/**
+ * Returns the lower and upper bounds of the error for a data point value.
+ * Symmetric error is applied on either side of the y value.
+ * @private
+ * @param {Object} value - data point value provided in the input JSON
+ * @returns {Object} yLower and yUpper bounds, empty if no error is provided
+ */
+const getErrorBounds = (value) => {
+    if (value.y === null) {
+        return {};
+    }
+    if (utils.isNumber(value.yError)) {
+        return {
+            yLower: value.y - value.yError,
+            yUpper: value.y + value.yError
+        };
+    }
+    if (utils.isNumber(value.yLower) && utils.isNumber(value.yUpper)) {
+        return {
+            yLower: value.yLower,
+            yUpper: value.yUpper
+        };
+    }
+    return {};
+};
+/**
+ * Checks if the data point value has error bounds to be rendered.
+ * @private
+ * @param {Object} value - data point value object
+ * @returns {boolean} true if the value has lower and upper bounds, false otherwise
+ */
+const hasErrorBounds = (value) =>
+    value.y !== null &&
+    utils.isNumber(value.yLower) &&
+    utils.isNumber(value.yUpper);
+/**
+ * Returns the y value of the data point value along with the bounds of its error, if any.
+ * Used to calculate the values range so that the error bars fit within the domain.
+ * @private
+ * @param {Object} value - data point value provided in the input JSON
+ * @returns {Array} y value followed by the lower and upper bounds of the error
+ */
+const getValuesWithErrorBounds = (value) => {
+    const bounds = getErrorBounds(value);
+    return [value.y, bounds.yLower, bounds.yUpper].filter(utils.isNumber);
+};
+/**
+ * Returns the path of an error bar, a whisker spanning from the lower to the upper bound with a cap at either end.
+ * In horizontal orientation the whisker spans along the X Axis.
+ * @private
+ * @param {number} center - position of the whisker across the value axis
+ * @param {number} lower - position of the lower bound along the value axis
+ * @param {number} upper - position of the upper bound along the value axis
+ * @param {boolean} [isHorizontal] - true if the graph is horizontally oriented
+ * @returns {string} svg path
+ */
+const getErrorBarPath = (center, lower, upper, isHorizontal = false) => {
+    const capStart = center - constants.DEFAULT_ERROR_BAR_CAP_WIDTH / 2;
+    const capEnd = center + constants.DEFAULT_ERROR_BAR_CAP_WIDTH / 2;
+    if (isHorizontal) {
+        return `M${lower},${capStart}V${capEnd}M${lower},${center}H${upper}M${upper},${capStart}V${capEnd}`;
+    }
+    return `M${capStart},${lower}H${capEnd}M${center},${lower}V${upper}M${capStart},${upper}H${capEnd}`;
+};
+
+export {
+    validateErrorValues,
+    getErrorBounds,
+    hasErrorBounds,
+    getValuesWithErrorBounds,
+    getErrorBarPath
+};
@@ -37,6 +37,9 @@ export default {
     THROW_MSG_NO_AXES_DATA_LOADED: "Graph axes data needs to be loaded.",
     THROW_MSG_NO_DATA_LOADED: "Graph data needs to be loaded.",
     THROW_MSG_INVALID_CALLBACK_FUNCTION: "Argument needs to be a function.",
+    THROW_MSG_INVALID_EXPORT_FORMAT:
+        "Invalid export format, format must be one of svg, png or csv.",
+    THROW_MSG_EXPORT_FAILED: "Graph could not be exported.",
     THROW_MSG_NO_DATA_POINTS:
         "Invalid input format, data points must be provided.",
     THROW_MSG_INVALID_DATA_PROPERTY:
@@ -48,6 +51,30 @@ export default {
     THROW_MSG_UNIQUE_LABEL_NOT_PROVIDED:
         "Invalid input format, unique label must be provided.",
     THROW_MSG_NO_CONTENT_DATA_LOADED: "Content data needs to be loaded.",
+    THROW_MSG_INVALID_SLIDING_WINDOW:
+        "Invalid input format, sliding window must be a positive number.",
+    THROW_MSG_INVALID_ERROR_VALUE:
+        "Invalid error value, provide either yError as a non-negative number or both yLower and yUpper with yLower not above yUpper.",
+    THROW_MSG_INVALID_THRESHOLD:
+        "Invalid threshold, provide either above or below as a number along with a color.",
+    THROW_MSG_THRESHOLD_LINE_TYPE_NOT_SUPPORTED:
+        "Invalid input format, thresholds are only supported for LINE_TYPE.LINEAR.",
+    THROW_MSG_INVALID_ANNOTATION:
+        "Invalid annotation, x and y must be provided along with the text to be displayed.",
+    THROW_MSG_INVALID_DATA_POINT_SIZE:
+        "Invalid data point size, size must be a number greater than or equal to zero.",
+    THROW_MSG_INVALID_RADIUS_SCALE:
+        "Invalid radius scale, type must be one of RADIUS_SCALE_TYPE, domain and range must be arrays of 2 numbers, range above 0.",
+    THROW_MSG_INVALID_BOX_PLOT_VALUE:
+        "Invalid box plot value, provide either samples or min, q1, median, q3 and max in ascending order, outliers must be numbers.",
+    THROW_MSG_INVALID_HISTOGRAM_VALUE:
+        "Invalid histogram value, samples need to be either all numbers or all ISO8601 datetime strings.",
+    THROW_MSG_INVALID_HISTOGRAM_BINS:
+        "Invalid bins, method must be one of BIN_METHOD, width a positive number and thresholds at least 2 values in ascending order.",
+    THROW_MSG_INVALID_HISTOGRAM_OPACITY:
+        "Invalid histogram opacity, opacity must be a number between 0 and 1.",
+    THROW_MSG_HISTOGRAM_CATEGORY_AXIS_NOT_SUPPORTED:
+        "Invalid content, histogram content cannot be loaded onto a category x axis.",
     /**
      * @description Axes
      */
@@ -62,6 +89,26 @@ export default {
     THROW_MSG_INVALID_FORMAT_TYPE:
         "Type cannot be default, if data-points are in date time format.",
     THROW_MSG_INVALID_OBJECT_PROVIDED: "Invalid object provided as argument.",
+    THROW_MSG_INVALID_LOG_AXIS_LIMITS:
+        "Invalid input format, log axis limits must be positive.",
+    THROW_MSG_INVALID_LOG_AXIS_BASE:
+        "Invalid input format, log axis base must be a positive number other than 1.",
+    THROW_MSG_INVALID_LOG_AXIS_VALUES:
+        "Invalid input format, data points plotted against a log axis must be positive.",
+    THROW_MSG_CATEGORY_TICKS_NOT_PROVIDED:
+        "Invalid input format, tick values need to be provided for category x axis.",
+    THROW_MSG_INVALID_CATEGORY_VALUE:
+        "Invalid input format, x value needs to be one of the category x axis tick values.",
+    THROW_MSG_CATEGORY_AXIS_NOT_SUPPORTED:
+        "Invalid input format, zoom and brush are not supported for category x axis.",
+    THROW_MSG_X_REGION_CATEGORY_AXIS_NOT_SUPPORTED:
+        "Invalid input format, x regions are not supported for category x axis.",
+    THROW_MSG_INVALID_ORIENTATION:
+        "Invalid input format, orientation must be vertical or horizontal.",
+    THROW_MSG_HORIZONTAL_ORIENTATION_NOT_SUPPORTED:
+        "Invalid input format, y2 axis, top x axis, datetime buckets, dateline, zoom, brush, crosshair and annotations are not supported horizontally.",
+    THROW_MSG_HORIZONTAL_ORIENTATION_INVALID_CONTENT:
+        "Invalid content, only bar content can be loaded onto a graph with horizontal orientation.",
     /**
      * @description Content
      */
@@ -73,6 +120,11 @@ export default {
         "Resize function has not been implemented for this graph type.",
     THROW_MSG_CONTENT_REDRAW_NOT_IMPLEMENTED:
         "Redraw function has not been implemented for this graph type.",
+    THROW_MSG_CONTENT_UPDATE_NOT_IMPLEMENTED:
+        "Update function has not been implemented for this graph type.",
+    THROW_MSG_CONTENT_APPEND_NOT_IMPLEMENTED:
+        "Append function has not been implemented for this graph type.",
+    THROW_MSG_CONTENT_NOT_LOADED: "Content needs to be loaded onto a graph.",
     THROW_MSG_CONFIG_GET_CONFIG_NOT_IMPLEMENTED:
         "GetInput not been implemented for BaseConfig.",
     THROW_MSG_CONFIG_SET_INPUT_NOT_IMPLEMENTED:
@@ -94,6 +146,13 @@ export default {
         "Region cannot have both 'start' and 'end' empty.",
     THROW_MSG_REGION_START_MORE_END:
         "Region 'start' cannot be larger than 'end'.",
+    THROW_MSG_REGION_INVALID_VALUES:
+        "Region 'values' need to be a non-empty list of breakpoints, each with a valid 'x'.",
+    THROW_MSG_REGION_INVALID_TYPE: "Region type provided is invalid.",
+    THROW_MSG_INVALID_REFERENCE_LINE:
+        "Invalid reference line, needs a numeric 'value' along with a valid axis, style and label alignment.",
+    THROW_MSG_INVALID_LOG_AXIS_REFERENCE_LINE:
+        "Invalid reference line, reference lines drawn against a log axis must have a positive 'value'.",
     /**
      * @description Tasks
      */
@@ -151,6 +210,15 @@ export default {
         "Invalid property, a valid dateline color value must be provided.",
     THROW_MSG_DATELINE_SHAPE_NOT_PROVIDED:
         "Invalid property, a valid dateline shape value must be provided.",
+    THROW_MSG_DATELINE_RANGE_NOT_VALID:
+        "Invalid property, dateline range start and end must be in ISO8601 datetime format, with start before end.",
+    THROW_MSG_DATELINE_STYLE_NOT_VALID:
+        "Invalid property, dateline style must be one of the REFERENCE_LINE_STYLE values.",
+    /**
+     * @description Periodic shading
+     */
+    THROW_MSG_INVALID_PERIODIC_SHADING:
+        "Invalid property, periodic shading must provide an intervals function, or valid days of week or weekend and start and end times in HH:mm format.",
     /**
      * @description Bar
      */
@@ -160,6 +228,8 @@ export default {
         "Invalid X Axis, tick values cannot be empty.",
     THROW_MSG_BAR_REGION_EMPTY_X_VALUE:
         "Region for Bar graph content cannot have 'x' value empty.",
+    THROW_MSG_BAR_REGION_VALUES_NOT_SUPPORTED:
+        "Region for Bar graph content cannot have 'values', provide 'start' and 'end' instead.",
     THROW_MSG_INVALID_REGION_X_AXIS_TICK:
         "Invalid X Axis, tick values are required for Bar region.",
     THROW_MSG_REGION_INVALID_FORMAT:
@@ -171,5 +241,14 @@ export default {
     THROW_MSG_AXIS_INFO_ROW_VALUE_NOT_PROVIDED:
         "Invalid X Axis Info Row input format, value property must be provided.",
     THROW_MSG_AXIS_INFO_ROW_LABEL_DISPLAY_NOT_PROVIDED:
-        "Invalid X Axis Info Row input format, display must be provided for label property."
+        "Invalid X Axis Info Row input format, display must be provided for label property.",
+    /**
+     * @description Heatmap
+     */
+    THROW_MSG_HEATMAP_CATEGORIES_NOT_PROVIDED:
+        "Invalid input format, categories need to be provided for heatmap y axis.",
+    THROW_MSG_INVALID_COLOR_SCALE:
+        "Invalid color scale, type must be one of COLOR_SCALE_TYPE, domain and range must have 2 values when sequential, 3 when diverging.",
+    THROW_MSG_INVALID_HEATMAP_VALUE:
+        "Invalid heatmap value, x needs to be within the x axis, y one of the categories and value a number."
 };
@@ -0,0 +1,247 @@
+"use strict";
+import { getDataPoints } from "./brush";
+import { EXPORT_FORMAT } from "./constants";
+import errors from "./errors";
+import utils from "./utils";
+
+/**
+ * Computed style properties inlined onto the exported elements.
+ * Exported SVG is rendered outside of the page, hence the styles from the stylesheet need to be inlined.
+ * @private
+ * @type {Array}
+ */
+const EXPORT_STYLE_PROPERTIES = [
+    "align-items",
+    "background-color",
+    "color",
+    "display",
+    "dominant-baseline",
+    "fill",
+    "fill-opacity",
+    "flex-flow",
+    "font-family",
+    "font-size",
+    "font-style",
+    "font-weight",
+    "justify-content",
+    "list-style-type",
+    "margin-bottom",
+    "margin-left",
+    "margin-right",
+    "margin-top",
+    "opacity",
+    "padding-bottom",
+    "padding-left",
+    "padding-right",
+    "padding-top",
+    "shape-rendering",
+    "stroke",
+    "stroke-dasharray",
+    "stroke-opacity",
+    "stroke-width",
+    "text-anchor",
+    "visibility"
+];
+/**
+ * Namespace for the exported SVG.
+ * @private
+ * @type {string}
+ */
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+/**
+ * Validates the export options.
+ * @private
+ * @param {Object} options - export options provided by the consumer
+ * @throws {module:errors.THROW_MSG_INVALID_EXPORT_FORMAT}
+ * @returns {undefined} - returns nothing
+ */
+const validateExportOptions = (options) => {
+    if (
+        utils.isEmpty(options) ||
+        !utils.hasValue(EXPORT_FORMAT, options.format)
+    ) {
+        throw new Error(errors.THROW_MSG_INVALID_EXPORT_FORMAT);
+    }
+};
+/**
+ * Inlines the computed styles of the source element and its descendants onto the target element.
+ * Target element needs to be a clone of the source element.
+ * @private
+ * @param {HTMLElement} source - element rendered within the page
+ * @param {HTMLElement} target - cloned element
+ * @returns {HTMLElement} target element with inlined styles
+ */
+const inlineStyles = (source, target) => {
+    const computedStyle = window.getComputedStyle(source);
+    EXPORT_STYLE_PROPERTIES.forEach((property) =>
+        target.style.setProperty(
+            property,
+            computedStyle.getPropertyValue(property)
+        )
+    );
+    Array.prototype.forEach.call(source.children, (child, index) =>
+        inlineStyles(child, target.children[index])
+    );
+    return target;
+};
+/**
+ * Creates a standalone SVG string of the canvas, with the legend rendered below it.
+ * Legend is rendered as HTML, hence it is embedded within a foreignObject.
+ * @private
+ * @param {Object} control - Construct instance
+ * @returns {Object} SVG string along with its width and height
+ */
+const getSVG = (control) => {
+    const canvas = control.svg.node();
+    const width = utils.getNumber(canvas.getAttribute("width"));
+    let height = utils.getNumber(canvas.getAttribute("height"));
+    const svg = inlineStyles(canvas, canvas.cloneNode(true));
+    svg.setAttribute("xmlns", SVG_NAMESPACE);
+    if (control.legendSVG) {
+        const legend = control.legendSVG.node();
+        const legendHeight = legend.getBoundingClientRect().height;
+        const legendObject = document.createElementNS(
+            SVG_NAMESPACE,
+            "foreignObject"
+        );
+        legendObject.setAttribute("x", 0);
+        legendObject.setAttribute("y", height);
+        legendObject.setAttribute("width", width);
+        legendObject.setAttribute("height", legendHeight);
+        legendObject.appendChild(inlineStyles(legend, legend.cloneNode(true)));
+        svg.appendChild(legendObject);
+        height += legendHeight;
+    }
+    svg.setAttribute("width", width);
+    svg.setAttribute("height", height);
+    return {
+        svg: new XMLSerializer().serializeToString(svg),
+        width,
+        height
+    };
+};
+/**
+ * Rasterizes the SVG string through a canvas.
+ * @private
+ * @param {Object} exportedSVG - SVG string along with its width and height
+ * @returns {Promise} resolves with the PNG data URL
+ */
+const getPNG = (exportedSVG) =>
+    new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement("canvas");
+            canvas.width = exportedSVG.width;
+            canvas.height = exportedSVG.height;
+            const context = canvas.getContext("2d");
+            context.fillStyle = "#fff";
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            context.drawImage(image, 0, 0);
+            try {
+                resolve(canvas.toDataURL("image/png"));
+            } catch (e) {
+                reject(new Error(errors.THROW_MSG_EXPORT_FAILED));
+            }
+        };
+        image.onerror = () => reject(new Error(errors.THROW_MSG_EXPORT_FAILED));
+        image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(
+            exportedSVG.svg
+        )}`;
+    });
+/**
+ * Formats a value for a CSV cell. Dates are formatted as ISO8601 datetime and
+ * values containing commas, quotes or line breaks are quoted.
+ * @private
+ * @param {*} value - cell value
+ * @returns {string} CSV cell
+ */
+const getCSVCell = (value) => {
+    if (utils.isUndefined(value) || value === null) {
+        return "";
+    }
+    const cell = value instanceof Date ? value.toISOString() : `${value}`;
+    return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+/**
+ * Creates a CSV string from the rows. Columns are the properties of the rows,
+ * in the order they are first encountered.
+ * @private
+ * @param {Array} rows - list of objects, one per row
+ * @returns {string} CSV string
+ */
+const getCSV = (rows) => {
+    const columns = rows.reduce(
+        (acc, row) =>
+            acc.concat(Object.keys(row).filter((key) => acc.indexOf(key) < 0)),
+        []
+    );
+    return [columns.join(",")]
+        .concat(
+            rows.map((row) =>
+                columns.map((column) => getCSVCell(row[column])).join(",")
+            )
+        )
+        .join("\r\n");
+};
+/**
+ * Returns the CSV rows for the data points in the internal values subset of the data targets.
+ * Data points hidden using the legend or without a y value are excluded.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @param {Array} dataTargets - list of data targets for the loaded content
+ * @returns {Array} list of objects, one per data point
+ */
+const getDataPointRows = (config, dataTargets) =>
+    dataTargets
+        .filter((dataTarget) => utils.notEmpty(dataTarget))
+        .reduce(
+            (acc, dataTarget) =>
+                acc.concat(
+                    ...dataTarget.internalValuesSubset.map(getDataPoints)
+                ),
+            []
+        )
+        .filter(
+            (point) =>
+                utils.hasValue(config.shownTargets, point.key) &&
+                point.y !== null
+        )
+        .map((point) => {
+            const row = {
+                key: point.key,
+                x: point.x
+            };
+            if (utils.isDefined(point.y)) {
+                row.y = point.y;
+            }
+            return row;
+        });
+/**
+ * Exports the rendered graph in the format provided.
+ *  svg - Standalone SVG string with the styles inlined, including the legend
+ *  png - PNG data URL, rasterized from the SVG
+ *  csv - CSV string of the data points currently shown
+ * @private
+ * @param {Object} control - Construct instance
+ * @param {Object} options - export options provided by the consumer
+ * @param {Function} rowsHandler - returns the CSV rows for the loaded content. Functions differ based on Constructs used
+ * @returns {Promise} resolves with the exported string, rejects with
+ * {module:errors.THROW_MSG_INVALID_EXPORT_FORMAT} when the format is invalid
+ */
+const exportGraph = (control, options, rowsHandler) => {
+    try {
+        validateExportOptions(options);
+    } catch (error) {
+        return Promise.reject(error);
+    }
+    if (options.format === EXPORT_FORMAT.CSV) {
+        return Promise.resolve(getCSV(rowsHandler(control)));
+    }
+    const exportedSVG = getSVG(control);
+    if (options.format === EXPORT_FORMAT.PNG) {
+        return getPNG(exportedSVG);
+    }
+    return Promise.resolve(exportedSVG.svg);
+};
+
+export { getDataPointRows, exportGraph };
@@ -48,6 +48,22 @@ const truncateLabel = (
     labelStr,
     charLimit = constants.DEFAULT_LABEL_CHARACTER_LIMIT
 ) => labelStr.substring(0, charLimit).concat("...");
+/**
+ * Creates the shape shown below Y and Y2 axes, using the shape and color of the data target.
+ * @private
+ * @param {Array} dataTarget - Data points
+ * @returns {HTMLElement} svg element of the label shape
+ */
+const getLabelShape = (dataTarget) =>
+    new Shape(dataTarget.shape || SHAPES.CIRCLE).getShapeElement(
+        getDefaultSVGProps({
+            svgStyles: `fill: ${getColorForTarget(dataTarget)};`,
+            transformFn: (scale) => `scale(${scale})`,
+            a11yAttributes: {
+                "aria-describedby": dataTarget.key
+            }
+        })
+    );
 /**
  * Loads a shape within a label container to be shown below Y and Y2 axes.
  * @private
@@ -56,17 +72,7 @@ const truncateLabel = (
  * @returns {Selection} d3 path for label shape container
  */
 const loadLabelShape = (shapeContainerPath, dataTarget) =>
-    shapeContainerPath.append(() =>
-        new Shape(dataTarget.shape || SHAPES.CIRCLE).getShapeElement(
-            getDefaultSVGProps({
-                svgStyles: `fill: ${getColorForTarget(dataTarget)};`,
-                transformFn: (scale) => `scale(${scale})`,
-                a11yAttributes: {
-                    "aria-describedby": dataTarget.key
-                }
-            })
-        )
-    );
+    shapeContainerPath.append(() => getLabelShape(dataTarget));
 /**
  * Translates Y Axis label shape container to correct position. Typically this is
  * to the middle of the axis.
@@ -174,6 +180,34 @@ const prepareLabelShapeItem = (config, dataTarget, shapeContainerPath) => {
         translateAllLabelShapeItem(shapeContainerPath);
     }
 };
+/**
+ * Replaces the label item shape, once the content is updated in place.
+ * The shape retains its position within the label shapes container. If the shape was not loaded, it is
+ * created, and if the data target no longer has a label, it is removed.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @param {Array} dataTarget - Data points
+ * @param {Selection} shapeContainerPath - d3 html element of label item
+ * @returns {undefined} - returns nothing
+ */
+const updateLabelShapeItem = (config, dataTarget, shapeContainerPath) => {
+    if (utils.isEmpty(shapeContainerPath)) {
+        return;
+    }
+    const selector = `svg[aria-describedby="${dataTarget.key}"]`;
+    const labelShapePath = shapeContainerPath.select(selector);
+    if (labelShapePath.empty()) {
+        prepareLabelShapeItem(config, dataTarget, shapeContainerPath);
+        return;
+    }
+    if (!dataTarget.label || !dataTarget.label.display) {
+        removeLabelShapeItem(shapeContainerPath, dataTarget);
+        return;
+    }
+    shapeContainerPath.insert(() => getLabelShape(dataTarget), selector);
+    labelShapePath.remove();
+    translateAllLabelShapeItem(shapeContainerPath);
+};
 /**
  * Removes the label item shape from label shapes container in the graph
  * @private
@@ -219,6 +253,7 @@ export {
     buildYAxisLabelShapeContainer,
     buildY2AxisLabelShapeContainer,
     prepareLabelShapeItem,
+    updateLabelShapeItem,
     translateLabelShapeContainer,
     removeLabelShapeItem,
     shouldTruncateLabel,
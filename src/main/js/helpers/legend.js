@@ -16,6 +16,20 @@ import constants from "../helpers/constants";
 import styles from "../helpers/styles";
 import utils from "../helpers/utils";
 
+/**
+ * Creates the shape shown within the legend item, using the shape and color of the item.
+ * @private
+ * @param {Object} t - input item object processed from the input JSON
+ * @returns {HTMLElement} svg element of the legend item shape
+ */
+const getLegendItemIcon = (t) =>
+    new Shape(getShapeForTarget(t)).getShapeElement(
+        getDefaultSVGProps({
+            svgClassNames: styles.legendItemIcon,
+            svgStyles: `fill: ${getColorForTarget(t)};`
+        }),
+        true
+    );
 /**
  * Loads the legend items. The values are taken from the Labels property of the input JSON
  * The click and the hover events are only registered when there are datapoints matching the
@@ -69,15 +83,7 @@ const loadLegendItem = (legendSVG, t, shownTargets, eventHandlers) => {
         .append("button")
         .classed(styles.legendItemBtn, true)
         .attr("tabindex", 0)
-        .append(() =>
-            new Shape(getShapeForTarget(t)).getShapeElement(
-                getDefaultSVGProps({
-                    svgClassNames: styles.legendItemIcon,
-                    svgStyles: `fill: ${getColorForTarget(t)};`
-                }),
-                true
-            )
-        );
+        .append(() => getLegendItemIcon(t));
     itemPath
         .append("label")
         .classed(styles.legendItemText, true)
@@ -85,6 +91,49 @@ const loadLegendItem = (legendSVG, t, shownTargets, eventHandlers) => {
         .text(text);
     return legendSVG;
 };
+/**
+ * Updates the text and the shape of a loaded legend item, once the content is updated in place.
+ * The legend item retains its position, selection state and event handlers.
+ * @private
+ * @param {Object} legendSVG - d3 element path of the legend from the parent control
+ * @param {Object} t - input item object processed from the input JSON
+ * @returns {Object} returns the d3 element path for the legend
+ */
+const updateLegendItem = (legendSVG, t) => {
+    if (!legendSVG || !t.label || !t.label.display) {
+        return legendSVG;
+    }
+    const itemPath = legendSVG.select(`li[aria-describedby="${t.key}"]`);
+    if (itemPath.empty()) {
+        return legendSVG;
+    }
+    const text = utils.sanitize(t.label.display);
+    itemPath.attr("aria-labelledby", text);
+    itemPath.select(`.${styles.legendItemText}`).text(text);
+    d3RemoveElement(itemPath, `.${styles.legendItemIcon}`);
+    itemPath
+        .select(`.${styles.legendItemBtn}`)
+        .append(() => getLegendItemIcon(t));
+    return legendSVG;
+};
+/**
+ * Removes the shown targets duplicated when the data points of an updated content are processed again,
+ * along with the targets which were hidden using the legend prior to the update.
+ * Shown targets are updated in place since the legend event handlers hold a reference to them.
+ * @private
+ * @param {Array} shownTargets - Currently shown targets in the graph
+ * @param {Array} hiddenTargets - Targets hidden using the legend prior to the update
+ * @returns {Array} shown targets
+ */
+const restoreShownTargets = (shownTargets, hiddenTargets) => {
+    const targets = shownTargets.filter(
+        (key, index) =>
+            shownTargets.indexOf(key) === index &&
+            hiddenTargets.indexOf(key) < 0
+    );
+    shownTargets.splice(0, shownTargets.length, ...targets);
+    return shownTargets;
+};
 /**
  * Removes the legend item from legend SVG in the graph
  * @private
@@ -197,7 +246,9 @@ const legendHoverHandler = (
 export {
     createLegend,
     loadLegendItem,
+    updateLegendItem,
     removeLegendItem,
+    restoreShownTargets,
     legendClickHandler,
     legendHoverHandler
 };
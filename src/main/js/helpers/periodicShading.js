@@ -0,0 +1,358 @@
+"use strict";
+import d3 from "d3";
+import {
+    getClampedXPosition,
+    getXAxisXPosition,
+    getYAxisHeight,
+    getYAxisYPosition
+} from "./axis";
+import { DEFAULT_LOCALE } from "../locale/index";
+import errors from "./errors";
+import styles from "./styles";
+import utils from "./utils";
+
+/**
+ * @module periodicShading
+ * @alias module:periodicShading
+ */
+
+/**
+ * Time of day, in 24 hour HH:mm format
+ * @private
+ */
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MS_PER_MINUTE = 60000;
+const MS_PER_DAY = 24 * 60 * MS_PER_MINUTE;
+/**
+ * Returns the number of minutes since midnight for the time of day provided.
+ * @private
+ * @param {string} time - time of day in HH:mm format
+ * @returns {number} minutes since midnight
+ */
+const toMinutes = (time) => {
+    const parts = time.split(":");
+    return +parts[0] * 60 + +parts[1];
+};
+/**
+ * Returns true if the time zone is supported by the browser, such as "America/Chicago" or "UTC".
+ * @private
+ * @param {string} timeZone - IANA time zone name
+ * @returns {boolean} true if the time zone is valid
+ */
+const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+};
+/**
+ * Returns the days of the week forming the weekend for the locale, Saturday and Sunday unless
+ * the locale provides its own, i.e. `weekend: [5, 6]` for Friday and Saturday.
+ * @private
+ * @param {Object} [locale] - locale object provided in the input JSON
+ * @returns {Array} days of the week, 0 for Sunday to 6 for Saturday
+ */
+const getWeekendDays = (locale) =>
+    locale && utils.isDefined(locale.weekend)
+        ? locale.weekend
+        : DEFAULT_LOCALE.weekend;
+/**
+ * Validates the periodic shading provided in the input JSON.
+ * Each periodic shading needs either an intervals function, or at least one of days, weekend, start or end
+ * describing the recurring period. Weekend days are taken from the locale and cannot be combined with days.
+ * @private
+ * @param {Array} periodicShading - periodic shading provided in the input JSON
+ * @param {Object} [locale] - locale object provided in the input JSON
+ * @throws {module:errors.THROW_MSG_INVALID_PERIODIC_SHADING}
+ * @returns {undefined} - returns nothing
+ */
+const validatePeriodicShading = (periodicShading, locale) => {
+    if (!utils.isDefined(periodicShading)) {
+        return;
+    }
+    const isValidTime = (time) =>
+        utils.isUndefined(time) ||
+        (utils.isString(time) && TIME_OF_DAY_PATTERN.test(time));
+    const isValidDays = (days) =>
+        utils.isUndefined(days) ||
+        (utils.isArray(days) &&
+            utils.notEmpty(days) &&
+            days.every((day) => [0, 1, 2, 3, 4, 5, 6].indexOf(day) > -1));
+    const isValidWeekend = (weekend, days) =>
+        utils.isUndefined(weekend) ||
+        (typeof weekend === "boolean" &&
+            (!weekend ||
+                (utils.isUndefined(days) &&
+                    isValidDays(getWeekendDays(locale)))));
+    const isValidShading = (shading) =>
+        utils.notEmpty(shading) &&
+        (utils.isFunction(shading.intervals) ||
+            (utils.isUndefined(shading.intervals) &&
+                (shading.weekend === true ||
+                    [shading.days, shading.start, shading.end].some(
+                        utils.isDefined
+                    )) &&
+                isValidWeekend(shading.weekend, shading.days) &&
+                isValidDays(shading.days) &&
+                isValidTime(shading.start) &&
+                isValidTime(shading.end))) &&
+        (utils.isUndefined(shading.timeZone) ||
+            isValidTimeZone(shading.timeZone));
+    if (
+        !utils.isArray(periodicShading) ||
+        !periodicShading.every(isValidShading)
+    ) {
+        throw new Error(errors.THROW_MSG_INVALID_PERIODIC_SHADING);
+    }
+};
+/**
+ * Processes the periodic shading provided in the input JSON.
+ * Periodic shading of weekends is resolved to the weekend days of the locale.
+ * @private
+ * @param {Array} [periodicShading] - periodic shading provided in the input JSON
+ * @param {Object} [locale] - locale object provided in the input JSON
+ * @returns {Array} list of periodic shading
+ */
+const processPeriodicShading = (periodicShading, locale) =>
+    utils.isArray(periodicShading)
+        ? periodicShading.map((shading) =>
+              shading.weekend
+                  ? Object.assign({}, shading, {
+                        days: getWeekendDays(locale).slice()
+                    })
+                  : shading
+          )
+        : [];
+/**
+ * Returns a function which calculates the offset, in milliseconds, of the time zone from UTC at a given date.
+ * Browser's time zone is used when time zone is not provided.
+ * Offset varies across the year for time zones observing daylight saving time.
+ * @private
+ * @param {string} [timeZone] - IANA time zone name
+ * @returns {Function} function returning the offset for a date
+ */
+const getTimeZoneOffsetHandler = (timeZone) => {
+    if (utils.isUndefined(timeZone)) {
+        return (date) => -date.getTimezoneOffset() * MS_PER_MINUTE;
+    }
+    const formatter = new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hour12: false,
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric"
+    });
+    return (date) => {
+        const parts = {};
+        formatter.formatToParts(date).forEach((part) => {
+            parts[part.type] = +part.value;
+        });
+        return (
+            Date.UTC(
+                parts.year,
+                parts.month - 1,
+                parts.day,
+                parts.hour % 24,
+                parts.minute,
+                parts.second
+            ) -
+            (date.getTime() - date.getMilliseconds())
+        );
+    };
+};
+/**
+ * Converts the wall clock time in the time zone, represented as milliseconds as if it were UTC,
+ * to the date it occurs at. Offset is checked again at the converted date, to account for the
+ * daylight saving time transitions.
+ * @private
+ * @param {number} wallTime - wall clock time in milliseconds
+ * @param {Function} getOffset - function returning the offset of the time zone for a date
+ * @returns {Date} date the wall clock time occurs at
+ */
+const toDate = (wallTime, getOffset) =>
+    new Date(
+        wallTime - getOffset(new Date(wallTime - getOffset(new Date(wallTime))))
+    );
+/**
+ * Returns the intervals of a recurring period within the domain, such as every night from 19:00 to 07:00 or
+ * every weekend. Days and times are in the time zone provided, otherwise the browser's time zone.
+ * Period wraps around to the next day when end is on or before start, i.e. 19:00 to 07:00.
+ * @private
+ * @param {Object} shading - periodic shading provided in the input JSON
+ * @param {Array} domain - X Axis domain
+ * @returns {Array} list of intervals with start and end dates
+ */
+const getRecurringIntervals = (shading, domain) => {
+    const getOffset = getTimeZoneOffsetHandler(shading.timeZone);
+    const start = toMinutes(shading.start || "00:00") * MS_PER_MINUTE;
+    let end = toMinutes(shading.end || "00:00") * MS_PER_MINUTE;
+    if (end <= start) {
+        end += MS_PER_DAY;
+    }
+    const firstDay = d3.time.day.utc.offset(
+        d3.time.day.utc.floor(
+            new Date(domain[0].getTime() + getOffset(domain[0]))
+        ),
+        -1
+    );
+    const lastWallTime = new Date(domain[1].getTime() + getOffset(domain[1]));
+    return d3.time.day.utc
+        .range(firstDay, lastWallTime)
+        .filter(
+            (day) =>
+                utils.isUndefined(shading.days) ||
+                shading.days.indexOf(day.getUTCDay()) > -1
+        )
+        .map((day) => ({
+            start: toDate(day.getTime() + start, getOffset),
+            end: toDate(day.getTime() + end, getOffset)
+        }));
+};
+/**
+ * Merges intervals which overlap or are adjacent to each other, such as Saturday and Sunday of a weekend,
+ * so that they are shaded as a single period.
+ * @private
+ * @param {Array} intervals - list of intervals with start and end dates
+ * @returns {Array} merged list of intervals
+ */
+const mergeIntervals = (intervals) =>
+    intervals
+        .slice()
+        .sort((a, b) => a.start - b.start)
+        .reduce((merged, interval) => {
+            const last = merged[merged.length - 1];
+            if (last && interval.start <= last.end) {
+                last.end = new Date(Math.max(last.end, interval.end));
+            } else {
+                merged.push({ start: interval.start, end: interval.end });
+            }
+            return merged;
+        }, []);
+/**
+ * Returns the intervals to be shaded within the domain, either generated using the recurring period or
+ * returned by the intervals function provided by the consumer. Intervals outside the domain are ignored.
+ * @private
+ * @param {Object} shading - periodic shading provided in the input JSON
+ * @param {Array} domain - X Axis domain
+ * @returns {Array} list of intervals with start and end dates
+ */
+const getPeriodicShadingIntervals = (shading, domain) => {
+    const intervals = utils.isFunction(shading.intervals)
+        ? (shading.intervals(domain.slice()) || []).map((interval) => ({
+              start: utils.parseDateTime(interval.start),
+              end: utils.parseDateTime(interval.end)
+          }))
+        : getRecurringIntervals(shading, domain);
+    return mergeIntervals(
+        intervals.filter(
+            (interval) =>
+                interval.start < interval.end &&
+                interval.end > domain[0] &&
+                interval.start < domain[1]
+        )
+    );
+};
+/**
+ * Translates the periodic shading on resize and zoom. Intervals are generated again for the current
+ * X Axis domain, since the recurring periods within the domain change when it is zoomed.
+ * @private
+ * @param {Object} scale - d3 scale taking into account the input parameters
+ * @param {Object} config - config object derived from input JSON
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @param {Function} [yAxisPositionHandler] - call back to get y-axis position.Functions differ based on Constructs used
+ * @param {Function} [xAxisPositionHandler] - call back to get x-axis position.Functions differ based on Constructs used
+ * @returns {undefined} - returns nothing
+ */
+const translatePeriodicShading = (
+    scale,
+    config,
+    canvasSVG,
+    yAxisPositionHandler = getYAxisYPosition,
+    xAxisPositionHandler = getXAxisXPosition
+) => {
+    if (utils.isEmpty(config.periodicShading)) {
+        return;
+    }
+    canvasSVG
+        .select(`.${styles.periodicShadingGroup}`)
+        .attr(
+            "transform",
+            `translate(${xAxisPositionHandler(config)},${yAxisPositionHandler(
+                config
+            )})`
+        );
+    canvasSVG.selectAll(`.${styles.periodicShading}`).each(function(shading) {
+        const intervalPath = d3
+            .select(this)
+            .selectAll("rect")
+            .data(getPeriodicShadingIntervals(shading, scale.x.domain()));
+        intervalPath.exit().remove();
+        intervalPath
+            .enter()
+            .append("rect")
+            .attr("style", shading.color ? `fill: ${shading.color};` : null);
+        intervalPath
+            .attr("x", (d) => getClampedXPosition(scale, d.start))
+            .attr("y", 0)
+            .attr(
+                "width",
+                (d) =>
+                    getClampedXPosition(scale, d.end) -
+                    getClampedXPosition(scale, d.start)
+            )
+            .attr("height", getYAxisHeight(config));
+    });
+};
+/**
+ * Creates the shading of recurring periods of time across the X Axis domain, such as night shifts or weekends.
+ * Periodic shading belongs to the graph and is independent of the content loaded, it is rendered beneath
+ * the grid and regions.
+ * @private
+ * @param {Object} scale - d3 scale taking into account the input parameters
+ * @param {Object} config - config object derived from input JSON
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @param {Function} [yAxisPositionHandler] - call back to get y-axis position.Functions differ based on Constructs used
+ * @param {Function} [xAxisPositionHandler] - call back to get x-axis position.Functions differ based on Constructs used
+ * @returns {undefined} - returns nothing
+ */
+const createPeriodicShading = (
+    scale,
+    config,
+    canvasSVG,
+    yAxisPositionHandler,
+    xAxisPositionHandler
+) => {
+    if (utils.isEmpty(config.periodicShading)) {
+        return;
+    }
+    canvasSVG
+        .append("g")
+        .classed(styles.periodicShadingGroup, true)
+        .selectAll(`.${styles.periodicShading}`)
+        .data(config.periodicShading)
+        .enter()
+        .append("g")
+        .classed(styles.periodicShading, true);
+    translatePeriodicShading(
+        scale,
+        config,
+        canvasSVG,
+        yAxisPositionHandler,
+        xAxisPositionHandler
+    );
+};
+
+/**
+ * @enum {Function}
+ */
+export {
+    createPeriodicShading,
+    processPeriodicShading,
+    translatePeriodicShading,
+    validatePeriodicShading
+};
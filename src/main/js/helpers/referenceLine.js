@@ -0,0 +1,276 @@
+"use strict";
+import {
+    calculateVerticalPadding,
+    getXAxisWidth,
+    getXAxisXPosition,
+    isLogAxis
+} from "./axis";
+import constants, {
+    REFERENCE_LINE_LABEL_ALIGN,
+    REFERENCE_LINE_STYLE
+} from "./constants";
+import errors from "./errors";
+import styles from "./styles";
+import utils from "./utils";
+
+/**
+ * @module referenceLine
+ * @alias module:referenceLine
+ */
+
+/**
+ * Validates the reference lines, if provided, drawn across the graph at fixed y or y2 values.
+ * Each reference line needs a numeric value, plotted against one of the axes provided.
+ * Style and label alignment, if provided, need to be one of the constants available.
+ * @private
+ * @param {Array} referenceLines - reference lines provided in the input JSON
+ * @param {Array} axes - Axes the reference lines can be plotted against, y and/or y2
+ * @throws {module:errors.THROW_MSG_INVALID_REFERENCE_LINE}
+ * @returns {undefined} - returns nothing
+ */
+const validateReferenceLines = (referenceLines, axes) => {
+    if (!utils.isDefined(referenceLines)) {
+        return;
+    }
+    const isValidReferenceLine = (referenceLine) =>
+        utils.notEmpty(referenceLine) &&
+        utils.isNumber(referenceLine.value) &&
+        (utils.isEmpty(referenceLine.axis) ||
+            axes.indexOf(referenceLine.axis) > -1) &&
+        (utils.isUndefined(referenceLine.style) ||
+            utils.hasValue(REFERENCE_LINE_STYLE, referenceLine.style)) &&
+        (utils.isEmpty(referenceLine.label) ||
+            utils.isUndefined(referenceLine.label.align) ||
+            utils.hasValue(
+                REFERENCE_LINE_LABEL_ALIGN,
+                referenceLine.label.align
+            ));
+    if (
+        !utils.isArray(referenceLines) ||
+        !referenceLines.every(isValidReferenceLine)
+    ) {
+        throw new Error(errors.THROW_MSG_INVALID_REFERENCE_LINE);
+    }
+};
+/**
+ * Validates the reference lines plotted against a log axis.
+ * Logarithm is undefined for values less than or equal to zero, hence only positive values can be plotted.
+ * @private
+ * @param {Array} referenceLines - reference lines provided in the input JSON
+ * @param {Object} axis - axis object containing the y and y2 axes
+ * @param {string} [defaultAxis] - axis the reference lines are plotted against, if not provided
+ * @throws {module:errors.THROW_MSG_INVALID_LOG_AXIS_REFERENCE_LINE}
+ * @returns {undefined} - returns nothing
+ */
+const validateLogAxisReferenceLines = (
+    referenceLines,
+    axis,
+    defaultAxis = constants.Y_AXIS
+) => {
+    if (
+        utils.isArray(referenceLines) &&
+        referenceLines.some(
+            (referenceLine) =>
+                isLogAxis(axis[referenceLine.axis || defaultAxis]) &&
+                !(referenceLine.value > 0)
+        )
+    ) {
+        throw new Error(errors.THROW_MSG_INVALID_LOG_AXIS_REFERENCE_LINE);
+    }
+};
+/**
+ * Returns the values of the reference lines, to be included in the Y or Y2 Axis domain.
+ * @private
+ * @param {Array} referenceLines - reference lines provided in the input JSON
+ * @returns {Array} values of the reference lines
+ */
+const getReferenceLineValues = (referenceLines) =>
+    utils.isArray(referenceLines)
+        ? referenceLines.map((referenceLine) => referenceLine.value)
+        : [];
+/**
+ * Creates the container for reference lines, both of the graph and the content.
+ * Reference lines are rendered above the grid and regions, but beneath the content.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @returns {Object} d3 svg path
+ */
+const createReferenceLineContainer = (config, canvasSVG) =>
+    canvasSVG.append("g").classed(styles.referenceLineGroup, true);
+/**
+ * Positions the reference lines and their labels based on the current scale.
+ * Line spans the width of the X Axis and label is placed above the line at the aligned edge,
+ * or beneath the line if it would be cut off at the top of the content area.
+ * @private
+ * @param {Object} scale - d3 scale taking into account the input parameters
+ * @param {Object} config - config object derived from input JSON
+ * @param {d3.selection} referenceLinePath - d3 selection node of the reference lines
+ * @returns {undefined} - returns nothing
+ */
+const positionReferenceLines = (scale, config, referenceLinePath) => {
+    const getY = (d) =>
+        scale[d.axis](d.value) + calculateVerticalPadding(config);
+    const padding = constants.DEFAULT_REFERENCE_LINE_LABEL_PADDING;
+    referenceLinePath
+        .select("line")
+        .attr("x1", getXAxisXPosition(config))
+        .attr("x2", getXAxisXPosition(config) + getXAxisWidth(config))
+        .attr("y1", getY)
+        .attr("y2", getY);
+    referenceLinePath
+        .select(`.${styles.referenceLineLabel}`)
+        .attr(constants.X_AXIS, (d) =>
+            d.label.align === REFERENCE_LINE_LABEL_ALIGN.LEFT
+                ? getXAxisXPosition(config) + padding
+                : getXAxisXPosition(config) + getXAxisWidth(config) - padding
+        )
+        .each(function(d) {
+            const labelHeight = this.getBoundingClientRect().height;
+            const isCutOff =
+                getY(d) - padding - labelHeight <
+                calculateVerticalPadding(config);
+            this.setAttribute(
+                constants.Y_AXIS,
+                isCutOff ? getY(d) + padding : getY(d) - padding
+            );
+            this.setAttribute("dy", isCutOff ? ".71em" : 0);
+        });
+};
+/**
+ * Returns the style of the reference line, using the color and dash style provided.
+ * @private
+ * @param {Object} referenceLine - reference line provided in the input JSON
+ * @returns {string} style of the line
+ */
+const getReferenceLineStyle = (referenceLine) =>
+    `${
+        referenceLine.color ? `stroke: ${referenceLine.color}; ` : ""
+    }stroke-dasharray: ${referenceLine.style || REFERENCE_LINE_STYLE.SOLID};`;
+/**
+ * Creates reference lines, horizontal lines spanning the graph at fixed y or y2 values,
+ * each with an optional label at the left or right edge.
+ * Reference lines of a content are grouped and identified using its unique key, so that they can be
+ * hidden and blurred along with the content using the legend.
+ * @private
+ * @param {Object} scale - d3 scale taking into account the input parameters
+ * @param {Object} config - config object derived from input JSON
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @param {Array} referenceLines - reference lines provided in the input JSON
+ * @param {string} [key] - unique key of the content, if reference lines belong to the content
+ * @param {string} [targetAxis] - Axis the reference lines are plotted against when not provided
+ * @returns {undefined} - returns nothing
+ */
+const createReferenceLines = (
+    scale,
+    config,
+    canvasSVG,
+    referenceLines,
+    key,
+    targetAxis = constants.Y_AXIS
+) => {
+    if (utils.isEmpty(referenceLines)) {
+        return;
+    }
+    const referenceLinePath = canvasSVG
+        .select(`.${styles.referenceLineGroup}`)
+        .append("g")
+        .attr("aria-describedby", key ? `reference_line_${key}` : null)
+        .selectAll(`.${styles.referenceLine}`)
+        .data(
+            referenceLines.map((referenceLine) =>
+                Object.assign({}, referenceLine, {
+                    axis: referenceLine.axis || targetAxis,
+                    label: referenceLine.label || {}
+                })
+            )
+        )
+        .enter()
+        .append("g")
+        .classed(styles.referenceLine, true)
+        .attr("aria-hidden", false);
+    referenceLinePath.append("line").attr("style", getReferenceLineStyle);
+    referenceLinePath
+        .filter((d) => d.label.display)
+        .append("text")
+        .classed(styles.referenceLineLabel, true)
+        .attr(
+            "text-anchor",
+            (d) => d.label.align || REFERENCE_LINE_LABEL_ALIGN.RIGHT
+        )
+        .attr("style", (d) => (d.color ? `fill: ${d.color};` : ""))
+        .text((d) => d.label.display);
+    positionReferenceLines(scale, config, referenceLinePath);
+};
+/**
+ * Translates the reference lines of the graph and the content on resize, according to the new scale.
+ * @private
+ * @param {Object} scale - d3 scale taking into account the input parameters
+ * @param {Object} config - config object derived from input JSON
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @returns {undefined} - returns nothing
+ */
+const translateReferenceLines = (scale, config, canvasSVG) =>
+    positionReferenceLines(
+        scale,
+        config,
+        canvasSVG.selectAll(`.${styles.referenceLine}`)
+    );
+/**
+ * Removes the reference lines of the content
+ * @private
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @param {string} key - unique key of the content
+ * @returns {Object} d3 svg path
+ */
+const removeReferenceLines = (canvasSVG, key) =>
+    canvasSVG
+        .select(`.${styles.referenceLineGroup}`)
+        .selectAll(`g[aria-describedby="reference_line_${key}"]`)
+        .remove();
+/**
+ * Hides/shows the reference lines of the content, when the content is toggled using the legend.
+ * @private
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @param {string} key - unique key of the content
+ * @param {boolean} shouldShow - true if content is displayed
+ * @returns {Object} d3 svg path
+ */
+const showHideReferenceLines = (canvasSVG, key, shouldShow) =>
+    canvasSVG
+        .select(`.${styles.referenceLineGroup}`)
+        .selectAll(
+            `g[aria-describedby="reference_line_${key}"] .${styles.referenceLine}`
+        )
+        .attr("aria-hidden", !shouldShow);
+/**
+ * Handler for blurring the reference lines of the rest of the content, when hovered over a legend item.
+ * Reference lines of the graph are not blurred.
+ * @private
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @param {string} key - unique key of the content hovered on
+ * @param {string} hoverState - state of mouse hover => enter or leave
+ * @returns {Object} d3 svg path
+ */
+const referenceLineLegendHoverHandler = (canvasSVG, key, hoverState) =>
+    canvasSVG
+        .select(`.${styles.referenceLineGroup}`)
+        .selectAll(
+            `g[aria-describedby]:not([aria-describedby="reference_line_${key}"])`
+        )
+        .classed(styles.blur, hoverState === constants.HOVER_EVENT.MOUSE_ENTER);
+
+/**
+ * @enum {Function}
+ */
+export {
+    createReferenceLineContainer,
+    createReferenceLines,
+    getReferenceLineValues,
+    referenceLineLegendHoverHandler,
+    removeReferenceLines,
+    showHideReferenceLines,
+    translateReferenceLines,
+    validateLogAxisReferenceLines,
+    validateReferenceLines
+};
@@ -1,12 +1,15 @@
 "use strict";
 import d3 from "d3";
 import { d3RemoveElement } from "../controls/Graph/helpers/helpers";
+import { parseTypedValue } from "../core/BaseConfig";
 import {
     calculateVerticalPadding,
     getXAxisWidth,
-    getXAxisXPosition
+    getXAxisXPosition,
+    getYAxisHeight,
+    isValidAxisType
 } from "./axis";
-import constants from "./constants";
+import constants, { AXIS_TYPE, REGION_TYPE } from "./constants";
 import errors from "./errors";
 import styles from "./styles";
 import { round2Decimals } from "./transformUtils";
@@ -17,19 +20,83 @@ import utils from "./utils";
  * @alias module:region
  */
 
+/**
+ * Checks if the region is defined as a series of breakpoints, with bounds varying along the X Axis.
+ * @private
+ * @param {Object} region - Region to be shown within graph
+ * @returns {boolean} true if region has breakpoint values, false otherwise
+ */
+const isVaryingRegion = (region) => utils.isDefined(region.values);
+/**
+ * Validates the start and end bounds of a region or a region breakpoint
+ * @private
+ * @param {Object} bounds - Start and end values for region
+ * @returns {undefined} - returns nothing
+ */
+const validateRegionBounds = (bounds) => {
+    if (
+        (bounds.start && !utils.isNumber(bounds.start)) ||
+        (bounds.end && !utils.isNumber(bounds.end))
+    ) {
+        throw new Error(errors.THROW_MSG_REGION_INVALID_VALUE_TYPE_PROVIDED);
+    }
+    if (Number(bounds.start) > Number(bounds.end)) {
+        throw new Error(errors.THROW_MSG_REGION_START_MORE_END);
+    }
+};
+/**
+ * Validates the breakpoints of a region with bounds varying along the X Axis.
+ * Each breakpoint needs an x value matching the X Axis type and either start or end.
+ * @private
+ * @param {Object} region - Region to be shown within graph
+ * @param {string} xAxisType - type of the X Axis
+ * @returns {undefined} - returns nothing
+ */
+const validateRegionBreakpoints = (region, xAxisType) => {
+    const isValidBreakpoint = (breakpoint) =>
+        utils.notEmpty(breakpoint) &&
+        (utils.notEmpty(breakpoint.x) || utils.isDateInstance(breakpoint.x)) &&
+        isValidAxisType(breakpoint.x, xAxisType);
+    if (
+        !utils.isArray(region.values) ||
+        utils.isEmpty(region.values) ||
+        !region.values.every(isValidBreakpoint)
+    ) {
+        throw new Error(errors.THROW_MSG_REGION_INVALID_VALUES);
+    }
+    if (
+        utils.isDefined(region.type) &&
+        !utils.hasValue(REGION_TYPE, region.type)
+    ) {
+        throw new Error(errors.THROW_MSG_REGION_INVALID_TYPE);
+    }
+    region.values.forEach((breakpoint) => {
+        if (utils.isEmpty(breakpoint.start) && utils.isEmpty(breakpoint.end)) {
+            throw new Error(errors.THROW_MSG_REGION_START_END_MISSING);
+        }
+        validateRegionBounds(breakpoint);
+    });
+};
 /**
  * Validates the input object provided for the rendering
- * regions in graph
+ * regions in graph.
+ * Region is either a flat band with start and end, or
+ * a series of breakpoints with start and end varying along the X Axis.
  * @private
  * @param {Object} region - Region to be shown within graph
  * @param {string} targetAxis - Axis for which region needs to be shown
+ * @param {string} [xAxisType] - type of the X Axis, used to validate the breakpoints
  * @returns {undefined} - returns nothing
  */
-const validateRegion = (region, targetAxis) => {
+const validateRegion = (region, targetAxis, xAxisType = AXIS_TYPE.DEFAULT) => {
     if (utils.isEmpty(region)) {
         throw new Error(errors.THROW_MSG_REGION_EMPTY);
     }
-    if (utils.isEmpty(region.start) && utils.isEmpty(region.end)) {
+    if (
+        !isVaryingRegion(region) &&
+        utils.isEmpty(region.start) &&
+        utils.isEmpty(region.end)
+    ) {
         throw new Error(errors.THROW_MSG_REGION_START_END_MISSING);
     }
     if (
@@ -43,14 +110,10 @@ const validateRegion = (region, targetAxis) => {
     if (utils.isEmpty(region.axis) && constants.Y_AXIS !== targetAxis) {
         throw new Error(errors.THROW_MSG_REGION_INVALID_AXIS_PROVIDED);
     }
-    if (
-        (region.start && !utils.isNumber(region.start)) ||
-        (region.end && !utils.isNumber(region.end))
-    ) {
-        throw new Error(errors.THROW_MSG_REGION_INVALID_VALUE_TYPE_PROVIDED);
-    }
-    if (Number(region.start) > Number(region.end)) {
-        throw new Error(errors.THROW_MSG_REGION_START_MORE_END);
+    if (isVaryingRegion(region)) {
+        validateRegionBreakpoints(region, xAxisType);
+    } else {
+        validateRegionBounds(region);
     }
 };
 /**
@@ -89,6 +152,8 @@ const createRegionContainer = (config, canvasSVG) =>
  * * If start is not provided - 0 to end
  * * If end is not provided - start to INFINITY (end of the graph)
  * Color can be provided to identify the range.
+ * Regions with breakpoint values are rendered as a polygon spanning between the first and last breakpoint,
+ * clipped to the content area.
  * @private
  * @param {Object} scale - d3 scale taking into account the input parameters
  * @param {Object} config - config object derived from input JSON
@@ -106,11 +171,15 @@ const createRegion = (
     uniqueKey,
     targetAxis = constants.Y_AXIS
 ) => {
-    const regionPath = regionGroupSVG.selectAll("g").data(regionList);
+    regionList.forEach((d) =>
+        validateRegion(d, targetAxis, config.axis.x.type)
+    );
+    const regionPath = regionGroupSVG
+        .selectAll("g")
+        .data(regionList.filter((d) => !isVaryingRegion(d)));
     regionPath
         .enter()
         .append("rect")
-        .each((d) => validateRegion(d, targetAxis))
         .classed(styles.region, true)
         .attr("aria-hidden", false)
         .attr("aria-describedby", uniqueKey)
@@ -126,6 +195,17 @@ const createRegion = (
         .transition()
         .call(constants.d3Transition)
         .remove();
+    regionGroupSVG
+        .selectAll("g")
+        .data(regionList.filter(isVaryingRegion))
+        .enter()
+        .append("path")
+        .classed(styles.region, true)
+        .attr("aria-hidden", false)
+        .attr("aria-describedby", uniqueKey)
+        .attr("clip-path", `url(#${config.clipPathId})`)
+        .attr("style", (d) => (d.color ? `fill: ${d.color};` : ""))
+        .attr("d", (d) => getVaryingRegionPath(scale, config, d));
 };
 
 /**
@@ -135,6 +215,18 @@ const createRegion = (
  * @returns {string} Region axis or "y" as default
  */
 const getRegionAxis = (region) => region.axis || constants.Y_AXIS;
+/**
+ * Returns the region bounds at the top and bottom of the region.
+ * End is at the top and start is at the bottom, unless the Y Axis of the region is reversed.
+ * @private
+ * @param {Object} bounds - Start and end values for region
+ * @param {Object} config - config object derived from input JSON
+ * @returns {Object} top and bottom bounds of the region
+ */
+const getRegionVerticalBounds = (bounds, config) =>
+    config.axis[getRegionAxis(bounds)].reverse
+        ? { top: bounds.start, bottom: bounds.end }
+        : { top: bounds.end, bottom: bounds.start };
 /**
  * Returns the function which returns Y Axis Vertical position for Range
  * @private
@@ -142,11 +234,27 @@ const getRegionAxis = (region) => region.axis || constants.Y_AXIS;
  * @param {Object} config - config object derived from input JSON
  * @returns {function(*=): number} Function which returns Y Axis Vertical position for Range
  */
-const getYAxisRangePosition = (scale, config) => (bounds) =>
-    bounds.end
-        ? round2Decimals(scale[getRegionAxis(bounds)](bounds.end)) +
-          calculateVerticalPadding(config)
+const getYAxisRangePosition = (scale, config) => (bounds) => {
+    const top = getRegionVerticalBounds(bounds, config).top;
+    return top
+        ? round2Decimals(scale[getRegionAxis(bounds)](top)) +
+              calculateVerticalPadding(config)
         : calculateVerticalPadding(config);
+};
+/**
+ * Returns the function which returns Y Axis Vertical position for the bottom of the Range
+ * @private
+ * @param {Object} scale - d3 scale taking into account the input parameters
+ * @param {Object} config - config object derived from input JSON
+ * @returns {function(*=): number} Function which returns Y Axis Vertical position for bottom of the Range
+ */
+const getYAxisRangeBottomPosition = (scale, config) => (bounds) => {
+    const bottom = getRegionVerticalBounds(bounds, config).bottom;
+    return bottom
+        ? round2Decimals(scale[getRegionAxis(bounds)](bottom)) +
+              calculateVerticalPadding(config)
+        : config.height + calculateVerticalPadding(config);
+};
 /**
  * Returns the height for range based on Y Axes, start and end bounds
  * If start and end bounds arent provided then a "goal line" number is returned with
@@ -159,12 +267,8 @@ const getYAxisRangePosition = (scale, config) => (bounds) =>
  * @returns {number} Height of the region for Y axes
  */
 const getRegionHeight = (regionPath, bounds, scale, config) => {
-    const graphHeight = config.height;
     const upperBound = utils.getNumber(regionPath.attr(constants.Y_AXIS));
-    const lowerBound = bounds.start
-        ? round2Decimals(scale[getRegionAxis(bounds)](bounds.start)) +
-          calculateVerticalPadding(config)
-        : graphHeight + calculateVerticalPadding(config);
+    const lowerBound = getYAxisRangeBottomPosition(scale, config)(bounds);
     // If start and end are the same then `padding.top` worth of height is
     // applied to make it seem like a goal line
     return (
@@ -172,18 +276,64 @@ const getRegionHeight = (regionPath, bounds, scale, config) => {
         constants.DEFAULT_REGION_GOAL_LINE_STROKE_WIDTH
     );
 };
+/**
+ * Returns the path of a region with bounds varying along the X Axis.
+ * Breakpoints are sorted by x value and the bounds are joined as a step or linearly, based on the region type.
+ * Breakpoints without start or end extend to the bottom or top of the graph respectively.
+ * Step regions hold the bounds of the last breakpoint until the end of the X Axis.
+ * @private
+ * @param {Object} scale - d3 scale taking into account the input parameters
+ * @param {Object} config - config object derived from input JSON
+ * @param {Object} region - Region with breakpoint values
+ * @returns {string} svg path of the region
+ */
+const getVaryingRegionPath = (scale, config, region) => {
+    const type = region.type || REGION_TYPE.STEP;
+    const breakpoints = region.values
+        .map((breakpoint) => ({
+            position:
+                getXAxisXPosition(config) +
+                scale.x(parseTypedValue(breakpoint.x, config.axis.x.type)),
+            start: breakpoint.start,
+            end: breakpoint.end,
+            axis: region.axis
+        }))
+        .sort((a, b) => a.position - b.position);
+    if (type === REGION_TYPE.STEP) {
+        const last = breakpoints[breakpoints.length - 1];
+        breakpoints.push(
+            Object.assign({}, last, {
+                position: Math.max(
+                    last.position,
+                    getXAxisXPosition(config) + getXAxisWidth(config)
+                )
+            })
+        );
+    }
+    return d3.svg
+        .area()
+        .x((breakpoint) => breakpoint.position)
+        .y0(getYAxisRangeBottomPosition(scale, config))
+        .y1(getYAxisRangePosition(scale, config))
+        .interpolate(type)(breakpoints);
+};
 /**
  * Translates region. Moves the "rect" according the new scale generated on-resize.
- * Width and height are also flexed accordingly.
+ * Width and height are also flexed accordingly. Regions with breakpoint values are redrawn.
  * @private
  * @param {Object} scale - d3 scale taking into account the input parameters
  * @param {Object} config - config object derived from input JSON
  * @param {Object} regionGroupSVG - d3 object of region group svg
  * @returns {Object} d3 svg path
  */
-const translateRegion = (scale, config, regionGroupSVG) =>
+const translateRegion = (scale, config, regionGroupSVG) => {
     regionGroupSVG
-        .selectAll(`.${styles.region}`)
+        .selectAll(`path.${styles.region}`)
+        .transition()
+        .call(constants.d3Transition)
+        .attr("d", (d) => getVaryingRegionPath(scale, config, d));
+    return regionGroupSVG
+        .selectAll(`rect.${styles.region}`)
         .attr(constants.X_AXIS, getXAxisXPosition(config))
         .attr(constants.Y_AXIS, getYAxisRangePosition(scale, config))
         .transition()
@@ -192,6 +342,7 @@ const translateRegion = (scale, config, regionGroupSVG) =>
         .attr("height", function(d) {
             return getRegionHeight(d3.select(this), d, scale, config);
         });
+};
 /**
  * Decides if regions needs to be hidden based on count of displayed targets in graph
  * @private
@@ -271,6 +422,169 @@ const regionLegendHoverHandler = (shownTargets, canvasSVG, key, hoverState) => {
         .selectAll(`.${styles.region}[aria-describedby="region_${key}"]`)
         .classed(styles.regionHighlight, shouldShow);
 };
+/**
+ * Validates the x region provided in the input JSON for rendering a vertical band in the graph.
+ * Either start or end is mandatory, numbers for default X Axis and ISO8601 datetime for timeseries.
+ * @private
+ * @param {Object} region - X region to be shown within graph
+ * @param {string} xAxisType - type of the X Axis
+ * @throws {module:errors.THROW_MSG_REGION_EMPTY}
+ * @throws {module:errors.THROW_MSG_REGION_START_END_MISSING}
+ * @throws {module:errors.THROW_MSG_REGION_INVALID_VALUE_TYPE_PROVIDED}
+ * @throws {module:errors.THROW_MSG_REGION_START_MORE_END}
+ * @returns {undefined} - returns nothing
+ */
+const validateXRegion = (region, xAxisType) => {
+    if (utils.isEmpty(region)) {
+        throw new Error(errors.THROW_MSG_REGION_EMPTY);
+    }
+    const values = [region.start, region.end].filter(utils.isDefined);
+    if (utils.isEmpty(values)) {
+        throw new Error(errors.THROW_MSG_REGION_START_END_MISSING);
+    }
+    const isValidValue = (value) =>
+        xAxisType === AXIS_TYPE.TIME_SERIES
+            ? utils.isDate(value) || utils.isDateInstance(value)
+            : utils.isNumber(value);
+    if (!values.every(isValidValue)) {
+        throw new Error(errors.THROW_MSG_REGION_INVALID_VALUE_TYPE_PROVIDED);
+    }
+    if (
+        values.length > 1 &&
+        parseTypedValue(region.start, xAxisType) >
+            parseTypedValue(region.end, xAxisType)
+    ) {
+        throw new Error(errors.THROW_MSG_REGION_START_MORE_END);
+    }
+};
+/**
+ * Returns the horizontal position of the x region within the canvas, based on the current X Axis scale.
+ * If start is not provided the region starts at the beginning of the graph and
+ * if end is not provided the region ends at the end of the graph.
+ * @private
+ * @param {Object} scale - d3 scale taking into account the input parameters
+ * @param {Object} config - config object derived from input JSON
+ * @param {Object} region - X region to be shown within graph
+ * @returns {Object} x position and width of the x region
+ */
+const getXRegionPosition = (scale, config, region) => {
+    const start = utils.isDefined(region.start)
+        ? scale.x(parseTypedValue(region.start, config.axis.x.type))
+        : 0;
+    const end = utils.isDefined(region.end)
+        ? scale.x(parseTypedValue(region.end, config.axis.x.type))
+        : getXAxisWidth(config);
+    return {
+        x: getXAxisXPosition(config) + start,
+        width: Math.max(0, end - start)
+    };
+};
+/**
+ * Returns true if the x region, or any part of it, is within the X Axis domain.
+ * If start or end is not provided the region is open towards the beginning or the end of the graph.
+ * @private
+ * @param {Array} domain - X Axis domain
+ * @param {Object} config - config object derived from input JSON
+ * @param {Object} region - X region to be shown within graph
+ * @returns {boolean} true if x region is within the domain
+ */
+const isXRegionWithinDomain = (domain, config, region) =>
+    (!utils.isDefined(region.start) ||
+        parseTypedValue(region.start, config.axis.x.type) <= domain[1]) &&
+    (!utils.isDefined(region.end) ||
+        parseTypedValue(region.end, config.axis.x.type) >= domain[0]);
+/**
+ * Positions the x regions and their labels based on the current X Axis scale.
+ * Labels are placed at the start of the visible portion of the region and hidden
+ * when the region is outside the X Axis domain, for instance when zoomed.
+ * @private
+ * @param {Object} scale - d3 scale taking into account the input parameters
+ * @param {Object} config - config object derived from input JSON
+ * @param {d3.selection} xRegionPath - d3 selection node of the x regions
+ * @returns {undefined} - returns nothing
+ */
+const positionXRegions = (scale, config, xRegionPath) => {
+    xRegionPath
+        .select("rect")
+        .attr(constants.X_AXIS, (d) => getXRegionPosition(scale, config, d).x)
+        .attr(constants.Y_AXIS, calculateVerticalPadding(config))
+        .attr("width", (d) => getXRegionPosition(scale, config, d).width)
+        .attr("height", getYAxisHeight(config));
+    xRegionPath
+        .select(`.${styles.xRegionLabel}`)
+        .attr(
+            "aria-hidden",
+            (d) => !isXRegionWithinDomain(scale.x.domain(), config, d)
+        )
+        .attr(
+            constants.X_AXIS,
+            (d) =>
+                Math.max(
+                    getXRegionPosition(scale, config, d).x,
+                    getXAxisXPosition(config)
+                ) + constants.DEFAULT_X_REGION_LABEL_PADDING
+        )
+        .attr(
+            constants.Y_AXIS,
+            calculateVerticalPadding(config) +
+                constants.DEFAULT_X_REGION_LABEL_PADDING
+        );
+};
+/**
+ * Creates the vertical bands between x values provided in the input JSON.
+ * X regions belong to the graph and are independent of the content loaded,
+ * they are rendered beneath the grid and clipped to the content area.
+ * Each x region can have a label, a color and a click handler which is called with the x region.
+ * @private
+ * @param {Object} scale - d3 scale taking into account the input parameters
+ * @param {Object} config - config object derived from input JSON
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @returns {undefined} - returns nothing
+ */
+const createXRegions = (scale, config, canvasSVG) => {
+    if (utils.isEmpty(config.xRegions)) {
+        return;
+    }
+    const xRegionPath = canvasSVG
+        .append("g")
+        .classed(styles.xRegionGroup, true)
+        .attr("clip-path", `url(#${config.clipPathId})`)
+        .selectAll(`.${styles.xRegion}`)
+        .data(config.xRegions)
+        .enter()
+        .append("g")
+        .classed(styles.xRegion, true)
+        .attr("aria-disabled", (d) => !utils.isFunction(d.onClick))
+        .on("click", (d) => {
+            if (utils.isFunction(d.onClick)) {
+                d.onClick(d);
+            }
+        });
+    xRegionPath
+        .append("rect")
+        .attr("style", (d) => (d.color ? `fill: ${d.color};` : ""));
+    xRegionPath
+        .filter((d) => d.label && d.label.display)
+        .append("text")
+        .classed(styles.xRegionLabel, true)
+        .attr("dy", ".71em")
+        .text((d) => d.label.display);
+    positionXRegions(scale, config, xRegionPath);
+};
+/**
+ * Translates the x regions on resize and zoom, according to the new X Axis scale.
+ * @private
+ * @param {Object} scale - d3 scale taking into account the input parameters
+ * @param {Object} config - config object derived from input JSON
+ * @param {d3.selection} canvasSVG - d3 selection node of canvas svg
+ * @returns {undefined} - returns nothing
+ */
+const translateXRegions = (scale, config, canvasSVG) => {
+    if (utils.isEmpty(config.xRegions)) {
+        return;
+    }
+    positionXRegions(scale, config, canvasSVG.selectAll(`.${styles.xRegion}`));
+};
 
 /**
  * @enum {Function}
@@ -278,6 +592,7 @@ const regionLegendHoverHandler = (shownTargets, canvasSVG, key, hoverState) => {
 export {
     createRegionContainer,
     createRegion,
+    createXRegions,
     hideAllRegions,
     isSingleTargetDisplayed,
     showHideRegion,
@@ -286,5 +601,7 @@ export {
     regionLegendHoverHandler,
     shouldHideAllRegions,
     translateRegion,
-    validateRegion
+    translateXRegions,
+    validateRegion,
+    validateXRegion
 };
@@ -43,12 +43,27 @@ export default {
     datelineGroup: "carbon-dateline-group",
     datelinePoint: "carbon-dateline-point",
     dateline: "carbon-dateline",
+    datelineRange: "carbon-dateline-range",
+    datelineLabelGroup: "carbon-dateline-label-group",
+    datelineLabel: "carbon-dateline-label",
+    tooltip: "carbon-tooltip",
+    brush: "carbon-brush",
+    crosshair: "carbon-crosshair",
+    crosshairLine: "carbon-crosshair-line",
+    crosshairPoint: "carbon-crosshair-point",
+    annotationGroup: "carbon-annotation-group",
+    annotation: "carbon-annotation",
+    annotationText: "carbon-annotation-text",
+    annotationArrow: "carbon-annotation-arrow",
+    annotationMarker: "carbon-annotation-marker",
     /**
      * Line
      */
     lineGraphContent: "carbon-line-graph-content",
     currentLinesGroup: "carbon-data-lines-group",
     currentPointsGroup: "carbon-data-points-group",
+    currentThresholdLinesGroup: "carbon-threshold-lines-group",
+    thresholdLine: "carbon-threshold-line",
     dataPointSelection: "carbon-selected-data-point",
     dataPointDisplayEnable: "carbon-data-pair--selected",
     /**
@@ -72,6 +87,23 @@ export default {
     region: "carbon-region",
     regionHighlight: "carbon-region-highlight",
     regionBlur: "carbon-region-blur",
+    periodicShadingGroup: "carbon-periodic-shading-group",
+    periodicShading: "carbon-periodic-shading",
+    xRegionGroup: "carbon-x-region-group",
+    xRegion: "carbon-x-region",
+    xRegionLabel: "carbon-x-region-label",
+    /**
+     * Reference lines
+     */
+    referenceLineGroup: "carbon-reference-line-group",
+    referenceLine: "carbon-reference-line",
+    referenceLineLabel: "carbon-reference-line-label",
+    /**
+     * Error bars
+     */
+    currentErrorBarsGroup: "carbon-error-bars-group",
+    errorBar: "carbon-error-bar",
+    confidenceBand: "carbon-confidence-band",
     /**
      * Criticality
      */
@@ -106,6 +138,46 @@ export default {
     barHashedRect: "carbon-data-bar--hashed",
     barSelectionGroup: "carbon-bar-selector-group",
     barGoalLine: "carbon-bar-goal-line",
+    /**
+     * Area
+     */
+    areaGraphContent: "carbon-area-graph-content",
+    currentAreasGroup: "carbon-data-areas-group",
+    area: "carbon-area",
+    areaPath: "carbon-area-path",
+    areaLine: "carbon-area-line",
+    /**
+     * Scatter
+     */
+    scatterGraphContent: "carbon-scatter-graph-content",
+    /**
+     * Box Plot
+     */
+    boxPlotGraphContent: "carbon-box-plot-graph-content",
+    currentBoxesGroup: "carbon-data-boxes-group",
+    boxPlot: "carbon-box-plot",
+    boxPlotBox: "carbon-box-plot-box",
+    boxPlotWhisker: "carbon-box-plot-whisker",
+    boxPlotMedian: "carbon-box-plot-median",
+    boxPlotOutlier: "carbon-box-plot-outlier",
+    /**
+     * Histogram
+     */
+    histogramGraphContent: "carbon-histogram-graph-content",
+    currentBinsGroup: "carbon-data-bins-group",
+    histogramBin: "carbon-histogram-bin",
+    histogramBar: "carbon-histogram-bar",
+    /**
+     * Heatmap
+     */
+    heatmapContent: "carbon-heatmap-content",
+    heatmapContentGroup: "carbon-heatmap-content-group",
+    heatmapCell: "carbon-heatmap-cell",
+    heatmapCellRect: "carbon-heatmap-cell-rect",
+    heatmapCellSelection: "carbon-heatmap-cell-selection",
+    heatmapLegend: "carbon-heatmap-legend",
+    heatmapLegendGradient: "carbon-heatmap-legend-gradient",
+    heatmapLegendAxis: "carbon-heatmap-legend-axis",
     /**
      * Axis Info Row
      */
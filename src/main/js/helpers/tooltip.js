@@ -0,0 +1,265 @@
+"use strict";
+import d3 from "d3";
+import { getDefaultValue } from "../core/BaseConfig";
+import constants from "./constants";
+import errors from "./errors";
+import styles from "./styles";
+import utils from "./utils";
+
+/**
+ * Processes the tooltip property from the input JSON.
+ * Tooltip is shown only when the consumer opts in by providing the tooltip property.
+ * @private
+ * @param {Object} tooltip - tooltip property from the input JSON
+ * @returns {Object} tooltip config object
+ */
+const getTooltipConfig = (tooltip) => {
+    if (utils.isEmpty(tooltip)) {
+        return {
+            show: false
+        };
+    }
+    return {
+        show: getDefaultValue(tooltip.show, true),
+        format: tooltip.format,
+        render: tooltip.render
+    };
+};
+/**
+ * Validates the tooltip property from the input JSON.
+ * format and render, when provided, need to be functions.
+ * @private
+ * @param {Object} tooltip - tooltip property from the input JSON
+ * @throws {module:errors.THROW_MSG_INVALID_CALLBACK_FUNCTION}
+ * @returns {undefined} - returns nothing
+ */
+const validateTooltip = (tooltip) => {
+    if (utils.isEmpty(tooltip)) {
+        return;
+    }
+    if (
+        (utils.isDefined(tooltip.format) &&
+            !utils.isFunction(tooltip.format)) ||
+        (utils.isDefined(tooltip.render) && !utils.isFunction(tooltip.render))
+    ) {
+        throw new Error(errors.THROW_MSG_INVALID_CALLBACK_FUNCTION);
+    }
+};
+/**
+ * Checks if the tooltip is enabled for the construct
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @returns {boolean} true if tooltip needs to be shown, false otherwise
+ */
+const isTooltipEnabled = (config) => !!(config.tooltip && config.tooltip.show);
+/**
+ * Creates the tooltip container within the graph container.
+ * There is only one tooltip per construct and it is hidden by default.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @param {d3.selection} containerSVG - d3 selection node of the graph container
+ * @returns {undefined} - returns nothing
+ */
+const createTooltip = (config, containerSVG) => {
+    if (!isTooltipEnabled(config)) {
+        return;
+    }
+    containerSVG
+        .append("div")
+        .classed(styles.tooltip, true)
+        .attr("role", "tooltip")
+        .attr("aria-hidden", true);
+};
+/**
+ * Formats a single value using the locale of the construct.
+ * Dates are formatted using the locale date and time formats and numbers
+ * are formatted using the locale number format.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @param {Date|number|string} value - value to be formatted
+ * @returns {string} formatted value
+ */
+const formatValue = (config, value) => {
+    if (utils.isDateInstance(value)) {
+        return config.locale.timeFormat(constants.DEFAULT_TOOLTIP_DATE_FORMAT)(
+            value
+        );
+    }
+    if (utils.isNumber(value)) {
+        return config.locale.numberFormat(
+            constants.DEFAULT_TOOLTIP_NUMBER_FORMAT
+        )(value);
+    }
+    return `${value}`;
+};
+/**
+ * Default tooltip text when the consumer doesn't provide a format or render callback.
+ * First line is the label display value and the second line contains the
+ * x and y values (or start and end dates for tasks, or x and the quartiles for box plots).
+ * Histogram bins show the bounds of the bin followed by the number of samples within it.
+ * Value of the cell follows the x and y values for heatmap cells.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @param {Object} value - data point object
+ * @param {Object} dataTarget - Data points object the value belongs to
+ * @returns {string} tooltip text
+ */
+const getDefaultTooltipText = (config, value, dataTarget) => {
+    const label =
+        (value.label && value.label.display) ||
+        (dataTarget.label && dataTarget.label.display);
+    const values = [];
+    if (utils.isDefined(value.startDate) || utils.isDefined(value.endDate)) {
+        values.push(
+            [value.startDate, value.endDate]
+                .filter(utils.isDefined)
+                .map((v) => formatValue(config, v))
+                .join(" - ")
+        );
+    } else if (utils.isDefined(value.x1)) {
+        values.push(
+            [value.x, value.x1].map((v) => formatValue(config, v)).join(" - "),
+            formatValue(config, value.y)
+        );
+    } else if (utils.isDefined(value.median)) {
+        [
+            value.x,
+            value.min,
+            value.q1,
+            value.median,
+            value.q3,
+            value.max
+        ].forEach((v) => values.push(formatValue(config, v)));
+    } else {
+        [value.x, value.y, value.value]
+            .filter((v) => utils.isDefined(v) && v !== null)
+            .forEach((v) => values.push(formatValue(config, v)));
+    }
+    return [label, values.join(", ")].filter((t) => !!t).join("\n");
+};
+/**
+ * Updates the content of the tooltip.
+ * Render callback takes precedence, it can either return a HTML string or an element.
+ * Otherwise the text is created using the format callback or the default format.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @param {d3.selection} tooltipPath - d3 selection node of the tooltip
+ * @param {Object} value - data point object
+ * @param {Object} dataTarget - Data points object the value belongs to
+ * @returns {undefined} - returns nothing
+ */
+const updateTooltipContent = (config, tooltipPath, value, dataTarget) => {
+    if (utils.isFunction(config.tooltip.render)) {
+        const content = config.tooltip.render(value, dataTarget);
+        if (content instanceof Node) {
+            tooltipPath.html("");
+            tooltipPath.node().appendChild(content);
+        } else {
+            tooltipPath.html(content);
+        }
+        return;
+    }
+    tooltipPath.text(
+        utils.isFunction(config.tooltip.format)
+            ? config.tooltip.format(value, dataTarget)
+            : getDefaultTooltipText(config, value, dataTarget)
+    );
+};
+/**
+ * Returns the graph container the element belongs to.
+ * @private
+ * @param {HTMLElement} node - DOM element of the data point
+ * @returns {HTMLElement} graph container, null if the element isn't rendered within one
+ */
+const getContainerNode = (node) => {
+    let current = node;
+    while (current && current.nodeType === 1) {
+        if (d3.select(current).classed(styles.container)) {
+            return current;
+        }
+        current = current.parentNode;
+    }
+    return null;
+};
+/**
+ * Shows the tooltip positioned above the data point element.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @param {HTMLElement} node - DOM element of the data point
+ * @param {Object} value - data point object
+ * @param {Object} dataTarget - Data points object the value belongs to
+ * @returns {undefined} - returns nothing
+ */
+const showTooltip = (config, node, value, dataTarget) => {
+    const containerNode = getContainerNode(node);
+    if (!containerNode) {
+        return;
+    }
+    const tooltipPath = d3.select(containerNode).select(`.${styles.tooltip}`);
+    if (tooltipPath.empty()) {
+        return;
+    }
+    const containerRect = containerNode.getBoundingClientRect();
+    const nodeRect = node.getBoundingClientRect();
+    updateTooltipContent(config, tooltipPath, value, dataTarget);
+    tooltipPath
+        .style(
+            "left",
+            `${nodeRect.left - containerRect.left + nodeRect.width / 2}px`
+        )
+        .style("top", `${nodeRect.top - containerRect.top}px`)
+        .attr("aria-hidden", false);
+};
+/**
+ * Hides the tooltip for the construct the data point element belongs to.
+ * @private
+ * @param {HTMLElement} node - DOM element of the data point
+ * @returns {undefined} - returns nothing
+ */
+const hideTooltip = (node) => {
+    const containerNode = getContainerNode(node);
+    if (containerNode) {
+        d3.select(containerNode)
+            .select(`.${styles.tooltip}`)
+            .attr("aria-hidden", true);
+    }
+};
+/**
+ * Registers the hover and focus handlers for showing the tooltip on a data point element.
+ * Events are namespaced so that they don't interfere with the click handlers of the content.
+ * When tooltip is enabled, data point elements are focusable using keyboard.
+ * @private
+ * @param {Object} config - config object derived from input JSON
+ * @param {d3.selection} path - d3 selection node of the data point
+ * @param {Object} value - data point object
+ * @param {Object} [dataTarget] - Data points object the value belongs to
+ * @returns {d3.selection} d3 selection node of the data point
+ */
+const bindTooltip = (config, path, value, dataTarget = {}) => {
+    if (!isTooltipEnabled(config)) {
+        return path;
+    }
+    const show = function() {
+        showTooltip(config, this, value, dataTarget);
+    };
+    const hide = function() {
+        hideTooltip(this);
+    };
+    return path
+        .attr("tabindex", 0)
+        .on("mouseenter.tooltip", show)
+        .on("focus.tooltip", show)
+        .on("mouseleave.tooltip", hide)
+        .on("blur.tooltip", hide);
+};
+
+export {
+    getTooltipConfig,
+    validateTooltip,
+    isTooltipEnabled,
+    createTooltip,
+    getDefaultTooltipText,
+    showTooltip,
+    hideTooltip,
+    bindTooltip
+};
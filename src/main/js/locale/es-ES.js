@@ -45,5 +45,6 @@ export default {
         "oct",
         "nov",
         "dic"
-    ]
+    ],
+    weekend: [0, 6]
 };
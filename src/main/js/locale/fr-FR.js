@@ -45,5 +45,6 @@ export default {
         "oct.",
         "nov.",
         "déc."
-    ]
+    ],
+    weekend: [0, 6]
 };
@@ -45,5 +45,6 @@ export default {
         "10月",
         "11月",
         "12月"
-    ]
+    ],
+    weekend: [0, 6]
 };
@@ -0,0 +1,297 @@
+"use strict";
+import Area from "../../../../main/js/controls/Area";
+import Graph from "../../../../main/js/controls/Graph/Graph";
+import {
+    GRAPH_ORIENTATION,
+    LINE_TYPE
+} from "../../../../main/js/helpers/constants";
+import errors from "../../../../main/js/helpers/errors";
+import styles from "../../../../main/js/helpers/styles";
+import { triggerEvent } from "../helpers/commonHelpers";
+import {
+    axisDefault,
+    fetchElementByClass,
+    getAxes,
+    getInput,
+    valuesDefault,
+    valuesSecondary
+} from "./helpers";
+
+describe("Area", () => {
+    let graphDefault = null;
+    let areaGraphContainer;
+    const getOffsets = (area) =>
+        area.dataTarget.internalValuesSubset.map((value) => value.y0);
+    const getAreaPaths = (key) =>
+        areaGraphContainer.querySelectorAll(
+            `.${styles.area} path[aria-describedby="${key}"]`
+        );
+    beforeEach(() => {
+        areaGraphContainer = document.createElement("div");
+        areaGraphContainer.id = "testArea_carbon";
+        areaGraphContainer.setAttribute(
+            "style",
+            "width: 1024px; height: 400px;"
+        );
+        document.body.appendChild(areaGraphContainer);
+        graphDefault = new Graph(getAxes(axisDefault));
+    });
+    afterEach(() => {
+        document.body.innerHTML = "";
+    });
+    describe("When constructed", () => {
+        it("Initializes properly", () => {
+            const area = new Area(getInput(valuesDefault));
+            expect(area.config).not.toBeNull();
+            expect(area.config.axisPadding).toBe(false);
+            expect(area.dataTarget).toEqual({});
+        });
+        it("Includes the baseline in the values range", () => {
+            const area = new Area(getInput(valuesDefault));
+            expect(area.valuesRange.y).toEqual({ min: 0, max: 10 });
+        });
+        it("Throws error when no input is provided", () => {
+            expect(() => {
+                graphDefault.loadContent(new Area());
+            }).toThrowError(errors.THROW_MSG_NO_CONTENT_DATA_LOADED);
+        });
+        it("Throws error when no values are provided", () => {
+            expect(() => {
+                graphDefault.loadContent(new Area(getInput([])));
+            }).toThrowError(errors.THROW_MSG_NO_DATA_POINTS);
+        });
+        it("Throws error when loaded onto a horizontal graph", () => {
+            const input = getAxes(axisDefault);
+            input.orientation = GRAPH_ORIENTATION.HORIZONTAL;
+            graphDefault = new Graph(input);
+            expect(() => {
+                graphDefault.loadContent(new Area(getInput(valuesDefault)));
+            }).toThrowError(
+                errors.THROW_MSG_HORIZONTAL_ORIENTATION_INVALID_CONTENT
+            );
+        });
+    });
+    describe("When loaded", () => {
+        it("Creates the area content container", () => {
+            graphDefault.loadContent(new Area(getInput(valuesDefault)));
+            const areaContent = fetchElementByClass(
+                areaGraphContainer,
+                styles.areaGraphContent
+            );
+            expect(areaContent.getAttribute("aria-describedby")).toBe("uid_1");
+            expect(areaContent.getAttribute("aria-hidden")).toBe("false");
+            expect(
+                fetchElementByClass(areaContent, styles.currentAreasGroup)
+            ).not.toBeNull();
+        });
+        it("Draws the filled area and the line along its top edge", () => {
+            const input = getInput(valuesDefault);
+            graphDefault.loadContent(new Area(input));
+            const areaPath = fetchElementByClass(
+                areaGraphContainer,
+                styles.areaPath
+            );
+            const areaLine = fetchElementByClass(
+                areaGraphContainer,
+                styles.areaLine
+            );
+            expect(areaPath.getAttribute("d")).not.toBeNull();
+            expect(areaPath.getAttribute("style")).toBe(
+                `fill: ${input.color};`
+            );
+            expect(areaPath.getAttribute("aria-describedby")).toBe("uid_1");
+            expect(areaLine.getAttribute("d")).not.toBeNull();
+            expect(areaLine.getAttribute("style")).toBe(
+                `stroke: ${input.color};`
+            );
+        });
+        it("Fills the area down to the baseline", () => {
+            const area = new Area(getInput(valuesDefault));
+            graphDefault.loadContent(area);
+            expect(getOffsets(area)).toEqual([0, 0, 0]);
+        });
+        it("Uses the interpolation type provided", () => {
+            const input = getInput(valuesDefault);
+            input.type = LINE_TYPE.SPLINE;
+            const area = new Area(input);
+            graphDefault.loadContent(area);
+            expect(area.dataTarget.interpolationType).toBe(LINE_TYPE.SPLINE);
+        });
+        it("Does not draw the area for null values", () => {
+            const area = new Area(
+                getInput([{ x: 25, y: 4 }, { x: 45, y: null }, { x: 65, y: 6 }])
+            );
+            graphDefault.loadContent(area);
+            const areaPath = fetchElementByClass(
+                areaGraphContainer,
+                styles.areaPath
+            );
+            expect(areaPath.getAttribute("d").split("M").length).toBe(3);
+            expect(area.valuesRange.y).toEqual({ min: 0, max: 6 });
+        });
+        it("Creates regions", () => {
+            const input = getInput(valuesDefault);
+            input.regions = [
+                {
+                    start: 2,
+                    end: 8
+                }
+            ];
+            graphDefault.loadContent(new Area(input));
+            const region = fetchElementByClass(
+                areaGraphContainer,
+                styles.region
+            );
+            expect(region).not.toBeNull();
+            expect(region.getAttribute("aria-describedby")).toBe(
+                "region_uid_1"
+            );
+        });
+        it("Adds a legend item", () => {
+            graphDefault.loadContent(new Area(getInput(valuesDefault)));
+            const legendItem = fetchElementByClass(
+                areaGraphContainer,
+                styles.legendItem
+            );
+            expect(legendItem.getAttribute("aria-describedby")).toBe("uid_1");
+        });
+    });
+    describe("When stacked", () => {
+        it("Defaults the group to the key", () => {
+            const area = new Area(getInput(valuesDefault));
+            graphDefault.loadContent(area);
+            expect(area.config.group).toBe("uid_1");
+        });
+        it("Defaults the group to the key when group is not loaded", () => {
+            const area = new Area(getInput(valuesDefault, "uid_2", "uid_3"));
+            graphDefault.loadContent(new Area(getInput(valuesDefault)));
+            graphDefault.loadContent(area);
+            expect(area.config.group).toBe("uid_2");
+            expect(getOffsets(area)).toEqual([0, 0, 0]);
+        });
+        it("Stacks the area on top of the areas of the group", () => {
+            const area = new Area(getInput(valuesSecondary, "uid_2", "uid_1"));
+            graphDefault.loadContent(new Area(getInput(valuesDefault)));
+            graphDefault.loadContent(area);
+            expect(getOffsets(area)).toEqual(valuesDefault.map((v) => v.y));
+        });
+        it("Stacks positive and negative values separately", () => {
+            const area = new Area(
+                getInput([{ x: 25, y: 3 }, { x: 45, y: -2 }], "uid_2", "uid_1")
+            );
+            graphDefault.loadContent(
+                new Area(getInput([{ x: 25, y: 4 }, { x: 45, y: -5 }]))
+            );
+            graphDefault.loadContent(area);
+            expect(getOffsets(area)).toEqual([4, -5]);
+        });
+        it("Stretches the domain to fit the stacked areas", () => {
+            graphDefault.loadContent(new Area(getInput(valuesDefault)));
+            graphDefault.loadContent(
+                new Area(getInput(valuesSecondary, "uid_2", "uid_1"))
+            );
+            expect(
+                graphDefault.config.axis.y.domain.upperLimit
+            ).toBeGreaterThanOrEqual(22);
+        });
+        it("Drops the stacked area when the area below is unloaded", () => {
+            const areaPrimary = new Area(getInput(valuesDefault));
+            const area = new Area(getInput(valuesSecondary, "uid_2", "uid_1"));
+            graphDefault.loadContent(areaPrimary);
+            graphDefault.loadContent(area);
+            graphDefault.unloadContent(areaPrimary);
+            expect(getOffsets(area)).toEqual([0, 0, 0]);
+            expect(getAreaPaths("uid_1").length).toBe(0);
+            expect(getAreaPaths("uid_2").length).toBe(2);
+        });
+        it("Drops the stacked area when the area below is hidden", (done) => {
+            const area = new Area(getInput(valuesSecondary, "uid_2", "uid_1"));
+            graphDefault.loadContent(new Area(getInput(valuesDefault)));
+            graphDefault.loadContent(area);
+            triggerEvent(
+                fetchElementByClass(areaGraphContainer, styles.legendItem),
+                "click",
+                () => {
+                    expect(getOffsets(area)).toEqual([0, 0, 0]);
+                    Array.prototype.forEach.call(
+                        getAreaPaths("uid_1"),
+                        (path) => {
+                            expect(path.getAttribute("aria-hidden")).toBe(
+                                "true"
+                            );
+                        }
+                    );
+                    done();
+                }
+            );
+        });
+    });
+    describe("When legend item is hovered", () => {
+        it("Highlights the area and blurs the rest", (done) => {
+            graphDefault.loadContent(new Area(getInput(valuesDefault)));
+            graphDefault.loadContent(
+                new Area(getInput(valuesSecondary, "uid_2"))
+            );
+            triggerEvent(
+                fetchElementByClass(areaGraphContainer, styles.legendItem),
+                "mouseenter",
+                () => {
+                    Array.prototype.forEach.call(
+                        getAreaPaths("uid_1"),
+                        (path) => {
+                            expect(
+                                path.classList.contains(styles.highlight)
+                            ).toBeTruthy();
+                        }
+                    );
+                    Array.prototype.forEach.call(
+                        getAreaPaths("uid_2"),
+                        (path) => {
+                            expect(
+                                path.classList.contains(styles.blur)
+                            ).toBeTruthy();
+                        }
+                    );
+                    done();
+                }
+            );
+        });
+    });
+    describe("When updated", () => {
+        it("Retains the group and restacks the areas", () => {
+            const area = new Area(getInput(valuesSecondary, "uid_2", "uid_1"));
+            graphDefault.loadContent(new Area(getInput(valuesDefault)));
+            graphDefault.loadContent(area);
+            graphDefault.updateContent("uid_1", {
+                values: valuesSecondary
+            });
+            expect(area.config.group).toBe("uid_1");
+            expect(getOffsets(area)).toEqual(valuesSecondary.map((v) => v.y));
+        });
+    });
+    describe("When unloaded", () => {
+        it("Removes the area, regions and legend item", () => {
+            const input = getInput(valuesDefault);
+            input.regions = [
+                {
+                    start: 2,
+                    end: 8
+                }
+            ];
+            const area = new Area(input);
+            graphDefault.loadContent(area);
+            graphDefault.unloadContent(area);
+            expect(
+                fetchElementByClass(areaGraphContainer, styles.areaGraphContent)
+            ).toBeNull();
+            expect(
+                fetchElementByClass(areaGraphContainer, styles.region)
+            ).toBeNull();
+            expect(
+                fetchElementByClass(areaGraphContainer, styles.legendItem)
+            ).toBeNull();
+            expect(area.config).toEqual({});
+            expect(area.dataTarget).toEqual({});
+        });
+    });
+});
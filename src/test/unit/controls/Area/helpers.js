@@ -0,0 +1,75 @@
+import { COLORS } from "../../../../main/js/helpers/constants";
+import utils from "../../../../main/js/helpers/utils";
+
+/**
+ * Creates and returns an example input with data point values
+ * @param {Array} values - x and y co-ordinate values
+ * @param {string} [key] - unique identifier for the input
+ * @param {string} [group] - group the area is stacked onto
+ * @returns {Object} input JSON
+ */
+export const getInput = (values = [], key = "uid_1", group) => ({
+    key,
+    group,
+    color: COLORS.BLUE,
+    label: {
+        display: `Data Label ${key}`
+    },
+    values
+});
+/**
+ * Creates and returns an example input with custom axis
+ * @param {Object} axis - X and Y axis data
+ * @returns {Object} axes JSON
+ */
+export const getAxes = (axis = {}) => ({
+    bindTo: "#testArea_carbon",
+    axis: utils.deepClone(axis)
+});
+export const axisDefault = {
+    x: {
+        label: "Some X Label",
+        lowerLimit: 0,
+        upperLimit: 100
+    },
+    y: {
+        label: "Some Y Label",
+        lowerLimit: 0,
+        upperLimit: 20
+    }
+};
+export const valuesDefault = [
+    {
+        x: 25,
+        y: 4
+    },
+    {
+        x: 45,
+        y: 10
+    },
+    {
+        x: 65,
+        y: 6
+    }
+];
+export const valuesSecondary = [
+    {
+        x: 25,
+        y: 2
+    },
+    {
+        x: 45,
+        y: 5
+    },
+    {
+        x: 65,
+        y: 12
+    }
+];
+/**
+ * Returns the DOM element queried by Class
+ * @param {HTMLElement} id - Id attribute name
+ * @param {string} cls - Class attribute name
+ * @returns {HTMLElement} - DOM element
+ */
+export const fetchElementByClass = (id, cls) => id.querySelector(`.${cls}`);
@@ -10,6 +10,7 @@ import errors from "../../../../main/js/helpers/errors";
 import styles from "../../../../main/js/helpers/styles";
 import utils from "../../../../main/js/helpers/utils";
 import {
+    delay,
     loadCustomJasmineMatcher,
     toNumber,
     triggerEvent
@@ -1396,6 +1397,131 @@ describe("Bar", () => {
             });
         });
     });
+    describe("When graph is updated with input", () => {
+        let bar;
+        beforeEach(() => {
+            bar = new Bar(getInput(valuesDefault, false, false));
+            graphDefault.loadContent(bar);
+        });
+        it("returns the graph instance", () => {
+            expect(
+                graphDefault.updateContent("uid_1", { values: valuesDefault })
+            ).toBe(graphDefault);
+        });
+        it("throws error when content is not loaded", () => {
+            expect(() => {
+                graphDefault.updateContent("uid_unknown", {
+                    values: valuesDefault
+                });
+            }).toThrowError(errors.THROW_MSG_INVALID_OBJECT_PROVIDED);
+        });
+        it("retains key, y axis and group of the content", () => {
+            graphDefault.updateContent("uid_1", {
+                key: "uid_2",
+                yAxis: "y2",
+                group: "group_1"
+            });
+            expect(bar.config.key).toBe("uid_1");
+            expect(bar.config.yAxis).toBe(constants.Y_AXIS);
+            expect(bar.config.group).toBe("uid_1");
+            expect(graphDefault.contentTargets[0]).toBe(bar.config);
+        });
+        it("updates the bars in place using the values", () => {
+            const barElement = fetchElementByClass(
+                barGraphContainer,
+                styles.bar
+            );
+            graphDefault.updateContent("uid_1", {
+                values: [
+                    {
+                        x: 1,
+                        y: 20
+                    },
+                    {
+                        x: 2,
+                        y: 10
+                    },
+                    {
+                        x: 3,
+                        y: 15
+                    },
+                    {
+                        x: 4,
+                        y: 5
+                    }
+                ]
+            });
+            const barElements = fetchAllElementsByClass(
+                barGraphContainer,
+                styles.bar
+            );
+            expect(barElements.length).toBe(4);
+            expect(barElements[0]).toBe(barElement);
+            expect(bar.dataTarget.internalValuesSubset[0].y).toBe(20);
+            expect(bar.valuesRange.y).toEqual({
+                min: 5,
+                max: 20
+            });
+        });
+        it("removes the bars not present in the values", (done) => {
+            graphDefault.updateContent("uid_1", {
+                values: [
+                    {
+                        x: 1,
+                        y: 20
+                    }
+                ]
+            });
+            delay(() => {
+                expect(
+                    fetchAllElementsByClass(barGraphContainer, styles.bar)
+                        .length
+                ).toBe(1);
+                done();
+            });
+        });
+        it("updates the legend item in place", () => {
+            const legendItem = fetchElementByClass(
+                barGraphContainer,
+                styles.legendItem
+            );
+            graphDefault.updateContent("uid_1", {
+                label: {
+                    display: "Data Label B"
+                }
+            });
+            expect(
+                fetchElementByClass(barGraphContainer, styles.legendItem)
+            ).toBe(legendItem);
+            expect(
+                fetchElementByClass(legendItem, styles.legendItemText)
+                    .textContent
+            ).toBe("Data Label B");
+        });
+        it("retains the items hidden using the legend", (done) => {
+            triggerEvent(
+                fetchElementByClass(barGraphContainer, styles.legendItem),
+                "click",
+                () => {
+                    graphDefault.updateContent("uid_1", {
+                        values: valuesDefault
+                    });
+                    expect(graphDefault.config.shownTargets).toEqual([]);
+                    expect(
+                        fetchElementByClass(
+                            barGraphContainer,
+                            styles.legendItem
+                        ).getAttribute("aria-selected")
+                    ).toBe("false");
+                    done();
+                }
+            );
+        });
+        it("does not duplicate the shown targets", () => {
+            graphDefault.updateContent("uid_1", { values: valuesDefault });
+            expect(graphDefault.config.shownTargets).toEqual(["uid_1"]);
+        });
+    });
     describe("When graph is unloaded off input", () => {
         let bar;
         beforeEach(() => {
@@ -1743,6 +1869,23 @@ describe("Bar", () => {
                         graphDefault.loadContent(bar);
                     }).toThrowError(errors.THROW_MSG_BAR_REGION_EMPTY_X_VALUE);
                 });
+                it("Throws error when values are provided", () => {
+                    data.regions = [
+                        {
+                            axis: constants.Y_AXIS,
+                            x: valuesDefault[0].x,
+                            values: [
+                                { x: valuesDefault[0].x, start: 10, end: 15 }
+                            ]
+                        }
+                    ];
+                    bar = new Bar(data);
+                    expect(() => {
+                        graphDefault.loadContent(bar);
+                    }).toThrowError(
+                        errors.THROW_MSG_BAR_REGION_VALUES_NOT_SUPPORTED
+                    );
+                });
                 it("Throws error when x type is invalid", () => {
                     const timeData = utils.deepClone(
                         getInput(valuesTimeSeries, false, false)
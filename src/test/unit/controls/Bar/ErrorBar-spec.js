@@ -0,0 +1,207 @@
+"use strict";
+import Bar from "../../../../main/js/controls/Bar/Bar";
+import Graph from "../../../../main/js/controls/Graph/Graph";
+import { GRAPH_ORIENTATION } from "../../../../main/js/helpers/constants";
+import { getErrorBarPath } from "../../../../main/js/helpers/errorBar";
+import errors from "../../../../main/js/helpers/errors";
+import styles from "../../../../main/js/helpers/styles";
+import utils from "../../../../main/js/helpers/utils";
+import { triggerEvent } from "../helpers/commonHelpers";
+import {
+    axisDefault,
+    fetchAllElementsByClass,
+    fetchElementByClass,
+    getAxes,
+    getInput
+} from "./helpers";
+
+describe("Bar Error Bars", () => {
+    let graphDefault = null;
+    let barGraphContainer;
+    const valuesWithError = [
+        {
+            x: 1,
+            y: 13,
+            yError: 2
+        },
+        {
+            x: 2,
+            y: 10,
+            yLower: 8,
+            yUpper: 30
+        },
+        {
+            x: 3,
+            y: 15
+        }
+    ];
+    const getErrorBarCenter = (rect) =>
+        +rect.getAttribute("x") + +rect.getAttribute("width") / 2;
+    beforeEach(() => {
+        barGraphContainer = document.createElement("div");
+        barGraphContainer.id = "testBar_carbon";
+        barGraphContainer.setAttribute(
+            "style",
+            "width: 1024px; height: 400px;"
+        );
+        document.body.appendChild(barGraphContainer);
+        graphDefault = new Graph(getAxes(axisDefault));
+    });
+    afterEach(() => {
+        document.body.innerHTML = "";
+    });
+    describe("When constructed", () => {
+        it("Includes the bounds of the error in the values range", () => {
+            const bar = new Bar(getInput(valuesWithError));
+            expect(bar.valuesRange.y).toEqual({ min: 0, max: 30 });
+        });
+        it("Throws error when yError is not a number", () => {
+            expect(() => {
+                new Bar(getInput([{ x: 1, y: 13, yError: "2" }]));
+            }).toThrowError(errors.THROW_MSG_INVALID_ERROR_VALUE);
+        });
+        it("Throws error when only one of the bounds is provided", () => {
+            expect(() => {
+                new Bar(getInput([{ x: 1, y: 13, yUpper: 15 }]));
+            }).toThrowError(errors.THROW_MSG_INVALID_ERROR_VALUE);
+        });
+    });
+    describe("When loaded", () => {
+        it("Renders an error bar for each value with an error", () => {
+            graphDefault.loadContent(new Bar(getInput(valuesWithError)));
+            const errorBars = fetchAllElementsByClass(
+                barGraphContainer,
+                styles.errorBar
+            );
+            expect(errorBars.length).toBe(2);
+            expect(errorBars[0].nodeName).toBe("path");
+            expect(errorBars[0].parentNode.classList).toContain(styles.bar);
+            expect(errorBars[0].getAttribute("aria-describedby")).toBe("uid_1");
+            expect(errorBars[0].getAttribute("aria-hidden")).toBe("false");
+        });
+        it("Renders the error bar centered on the bar", () => {
+            const bar = new Bar(getInput(valuesWithError));
+            graphDefault.loadContent(bar);
+            bar.redraw(graphDefault);
+            const scale = graphDefault.scale;
+            const rect = fetchElementByClass(barGraphContainer, styles.bar)
+                .firstChild;
+            expect(
+                fetchElementByClass(
+                    barGraphContainer,
+                    styles.errorBar
+                ).getAttribute("d")
+            ).toBe(
+                getErrorBarPath(
+                    getErrorBarCenter(rect),
+                    scale.y(11),
+                    scale.y(15)
+                )
+            );
+        });
+        it("Renders the error bar across the bar in horizontal orientation", () => {
+            const input = getAxes(axisDefault);
+            input.orientation = GRAPH_ORIENTATION.HORIZONTAL;
+            delete input.axis.y2;
+            graphDefault = new Graph(input);
+            const bar = new Bar(getInput(valuesWithError));
+            graphDefault.loadContent(bar);
+            bar.redraw(graphDefault);
+            const scale = graphDefault.scale;
+            const rect = fetchElementByClass(barGraphContainer, styles.bar)
+                .firstChild;
+            expect(
+                fetchElementByClass(
+                    barGraphContainer,
+                    styles.errorBar
+                ).getAttribute("d")
+            ).toBe(
+                getErrorBarPath(
+                    +rect.getAttribute("y") + +rect.getAttribute("height") / 2,
+                    scale.y(11),
+                    scale.y(15),
+                    true
+                )
+            );
+        });
+        it("Offsets the error bar along with the stacked bar", () => {
+            const bar1 = new Bar(getInput(valuesWithError));
+            graphDefault.loadContent(bar1);
+            const input = utils.deepClone(
+                getInput(valuesWithError, true, true, false, "uid_2")
+            );
+            input.group = "uid_1";
+            const bar2 = new Bar(input);
+            graphDefault.loadContent(bar2);
+            bar1.redraw(graphDefault);
+            const scale = graphDefault.scale;
+            const errorBar = barGraphContainer.querySelector(
+                `.${styles.errorBar}[aria-describedby="uid_1"]`
+            );
+            expect(errorBar.getAttribute("d")).toBe(
+                getErrorBarPath(
+                    getErrorBarCenter(errorBar.parentNode.firstChild),
+                    scale.y(13 + 11),
+                    scale.y(13 + 15)
+                )
+            );
+        });
+    });
+    describe("When legend item is clicked", () => {
+        it("Hides the error bars", (done) => {
+            graphDefault.loadContent(new Bar(getInput(valuesWithError)));
+            triggerEvent(
+                fetchElementByClass(barGraphContainer, styles.legendItem),
+                "click",
+                () => {
+                    const errorBars = fetchAllElementsByClass(
+                        barGraphContainer,
+                        styles.errorBar
+                    );
+                    Array.prototype.forEach.call(errorBars, (errorBar) =>
+                        expect(errorBar.getAttribute("aria-hidden")).toBe(
+                            "true"
+                        )
+                    );
+                    done();
+                }
+            );
+        });
+    });
+    describe("When legend item is hovered", () => {
+        it("Blurs the error bars of the rest of the content", (done) => {
+            graphDefault.loadContent(new Bar(getInput(valuesWithError)));
+            graphDefault.loadContent(
+                new Bar(getInput(valuesWithError, true, true, false, "uid_2"))
+            );
+            triggerEvent(
+                fetchElementByClass(barGraphContainer, styles.legendItem),
+                "mouseenter",
+                () => {
+                    expect(
+                        barGraphContainer
+                            .querySelector(
+                                `.${styles.errorBar}[aria-describedby="uid_2"]`
+                            )
+                            .classList.contains(styles.blur)
+                    ).toBeTruthy();
+                    done();
+                }
+            );
+        });
+    });
+    describe("When updated", () => {
+        it("Renders the error bars of the updated values", () => {
+            const bar = new Bar(getInput(valuesWithError));
+            graphDefault.loadContent(bar);
+            graphDefault.updateContent("uid_1", {
+                values: [{ x: 1, y: 13, yError: 1 }]
+            });
+            expect(
+                fetchAllElementsByClass(barGraphContainer, styles.errorBar)
+                    .length
+            ).toBe(1);
+            expect(bar.valuesRange.y).toEqual({ min: 0, max: 14 });
+        });
+    });
+});
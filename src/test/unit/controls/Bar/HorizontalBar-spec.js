@@ -0,0 +1,317 @@
+"use strict";
+import d3 from "d3";
+import Bar from "../../../../main/js/controls/Bar/Bar";
+import Graph from "../../../../main/js/controls/Graph/Graph";
+import Line from "../../../../main/js/controls/Line/Line";
+import {
+    getXAxisWidth,
+    getXAxisXPosition,
+    getXAxisYPosition,
+    getYAxisHeight,
+    getYAxisXPosition,
+    getYAxisYPosition
+} from "../../../../main/js/helpers/axis";
+import constants, {
+    AXES_ORIENTATION,
+    GRAPH_ORIENTATION
+} from "../../../../main/js/helpers/constants";
+import errors from "../../../../main/js/helpers/errors";
+import styles from "../../../../main/js/helpers/styles";
+import utils from "../../../../main/js/helpers/utils";
+import { delay, toNumber } from "../helpers/commonHelpers";
+import {
+    axisDefault,
+    axisInfoRowDefault,
+    fetchAllElementsByClass,
+    fetchElementByClass,
+    getAxes,
+    getInput,
+    valuesDefault
+} from "./helpers";
+
+describe("Horizontal Bar", () => {
+    let graphDefault = null;
+    let barGraphContainer;
+    const getHorizontalAxes = (input = {}) => {
+        const axis = utils.deepClone(axisDefault);
+        delete axis.y2;
+        return Object.assign(
+            getAxes(axis),
+            { orientation: GRAPH_ORIENTATION.HORIZONTAL },
+            input
+        );
+    };
+    const getTranslate = (cls) =>
+        d3.transform(
+            fetchElementByClass(barGraphContainer, cls).getAttribute(
+                "transform"
+            )
+        ).translate;
+    const getBarRects = (key) =>
+        barGraphContainer.querySelectorAll(
+            `rect.${styles.taskBar}[aria-describedby="${key}"]`
+        );
+    beforeEach(() => {
+        barGraphContainer = document.createElement("div");
+        barGraphContainer.id = "testBar_carbon";
+        barGraphContainer.setAttribute(
+            "style",
+            "width: 1024px; height: 400px;"
+        );
+        document.body.appendChild(barGraphContainer);
+    });
+    afterEach(() => {
+        document.body.innerHTML = "";
+    });
+    describe("When input is validated", () => {
+        it("Defaults to vertical orientation", () => {
+            graphDefault = new Graph(getAxes(axisDefault));
+            expect(graphDefault.config.orientation).toBe(
+                GRAPH_ORIENTATION.VERTICAL
+            );
+        });
+        it("Throws error when orientation is invalid", () => {
+            expect(() => {
+                graphDefault = new Graph(
+                    getHorizontalAxes({ orientation: "diagonal" })
+                );
+            }).toThrowError(errors.THROW_MSG_INVALID_ORIENTATION);
+        });
+        it("Throws error when y2 axis is shown", () => {
+            expect(() => {
+                graphDefault = new Graph(
+                    Object.assign(getAxes(axisDefault), {
+                        orientation: GRAPH_ORIENTATION.HORIZONTAL
+                    })
+                );
+            }).toThrowError(
+                errors.THROW_MSG_HORIZONTAL_ORIENTATION_NOT_SUPPORTED
+            );
+        });
+        it("Throws error when x axis orientation is top", () => {
+            const input = getHorizontalAxes();
+            input.axis.x.orientation = AXES_ORIENTATION.X.TOP;
+            expect(() => {
+                graphDefault = new Graph(input);
+            }).toThrowError(
+                errors.THROW_MSG_HORIZONTAL_ORIENTATION_NOT_SUPPORTED
+            );
+        });
+        it("Throws error when zoom, brush or crosshair is enabled", () => {
+            [{ zoom: {} }, { brush: {} }, { crosshair: {} }].forEach(
+                (input) => {
+                    expect(() => {
+                        graphDefault = new Graph(getHorizontalAxes(input));
+                    }).toThrowError(
+                        errors.THROW_MSG_HORIZONTAL_ORIENTATION_NOT_SUPPORTED
+                    );
+                }
+            );
+        });
+        it("Throws error when content other than bar is loaded", () => {
+            graphDefault = new Graph(getHorizontalAxes());
+            expect(() => {
+                graphDefault.loadContent(new Line(getInput(valuesDefault)));
+            }).toThrowError(
+                errors.THROW_MSG_HORIZONTAL_ORIENTATION_INVALID_CONTENT
+            );
+        });
+    });
+    describe("When orientation is horizontal", () => {
+        beforeEach(() => {
+            graphDefault = new Graph(getHorizontalAxes());
+        });
+        afterEach(() => {
+            graphDefault.destroy();
+        });
+        it("Swaps the ranges of the axes", () => {
+            expect(graphDefault.scale.x.range()).toEqual([
+                0,
+                getYAxisHeight(graphDefault.config)
+            ]);
+            expect(graphDefault.scale.y.range()).toEqual([
+                0,
+                getXAxisWidth(graphDefault.config)
+            ]);
+        });
+        it("Renders X Axis beside the graph and Y Axis below it", () => {
+            const config = graphDefault.config;
+            expect(getTranslate(styles.axisX)[0]).toBeCloseTo(
+                getYAxisXPosition(config)
+            );
+            expect(getTranslate(styles.axisX)[1]).toBeCloseTo(
+                getYAxisYPosition(config)
+            );
+            expect(getTranslate(styles.axisY)[0]).toBeCloseTo(
+                getXAxisXPosition(config)
+            );
+            expect(getTranslate(styles.axisY)[1]).toBeCloseTo(
+                getXAxisYPosition(config)
+            );
+        });
+        it("Swaps the axes labels", () => {
+            expect(
+                fetchElementByClass(barGraphContainer, styles.axisLabelX)
+                    .textContent
+            ).toBe(axisDefault.y.label);
+            expect(
+                fetchElementByClass(barGraphContainer, styles.axisLabelY)
+                    .textContent
+            ).toBe(axisDefault.x.label);
+        });
+        it("Draws bars from the Y Axis baseline to the value", () => {
+            graphDefault.loadContent(new Bar(getInput(valuesDefault)));
+            const scale = graphDefault.scale;
+            const rects = getBarRects("uid_1");
+            expect(rects.length).toBe(valuesDefault.length);
+            Array.prototype.forEach.call(rects, (rect, index) => {
+                const value = valuesDefault[index];
+                const y = toNumber(rect.getAttribute("y"));
+                const height = toNumber(rect.getAttribute("height"));
+                expect(toNumber(rect.getAttribute("x"))).toBeCloseTo(
+                    scale.y(0)
+                );
+                expect(toNumber(rect.getAttribute("width"))).toBeCloseTo(
+                    scale.y(value.y) - scale.y(0)
+                );
+                expect(y).toBeLessThan(scale.x(value.x));
+                expect(y + height).toBeGreaterThan(scale.x(value.x));
+            });
+        });
+        it("Stacks bars along the Y Axis", () => {
+            const bar1 = new Bar(getInput(valuesDefault));
+            graphDefault.loadContent(bar1);
+            const input = getInput(valuesDefault, true, true, false, "uid_2");
+            input.group = "uid_1";
+            const bar2 = new Bar(input);
+            graphDefault.loadContent(bar2);
+            bar2.redraw(graphDefault);
+            bar1.redraw(graphDefault);
+            const rects = [getBarRects("uid_1")[0], getBarRects("uid_2")[0]]
+                .map((rect) => ({
+                    x: toNumber(rect.getAttribute("x")),
+                    y: toNumber(rect.getAttribute("y")),
+                    width: toNumber(rect.getAttribute("width"))
+                }))
+                .sort((a, b) => a.x - b.x);
+            expect(rects[0].x).toBeCloseTo(graphDefault.scale.y(0));
+            expect(rects[1].x).toBeCloseTo(rects[0].x + rects[0].width);
+            expect(rects[0].y).toEqual(rects[1].y);
+        });
+        it("Groups bars along the X Axis", () => {
+            graphDefault.loadContent(new Bar(getInput(valuesDefault)));
+            graphDefault.loadContent(
+                new Bar(getInput(valuesDefault, true, true, false, "uid_2"))
+            );
+            const rect1 = getBarRects("uid_1")[0];
+            const rect2 = getBarRects("uid_2")[0];
+            expect(toNumber(rect1.getAttribute("x"))).toEqual(
+                toNumber(rect2.getAttribute("x"))
+            );
+            expect(toNumber(rect1.getAttribute("y"))).not.toEqual(
+                toNumber(rect2.getAttribute("y"))
+            );
+        });
+        it("Draws goal lines across the bar", () => {
+            const input = getInput(valuesDefault);
+            input.regions = [
+                {
+                    x: 1,
+                    start: 5,
+                    end: 10
+                }
+            ];
+            graphDefault.loadContent(new Bar(input));
+            const scale = graphDefault.scale;
+            const region = fetchElementByClass(
+                barGraphContainer,
+                styles.barGoalLine
+            );
+            const rect = getBarRects("uid_1")[0];
+            expect(toNumber(region.getAttribute("x"))).toBeCloseTo(
+                scale.y(5),
+                0
+            );
+            expect(toNumber(region.getAttribute("width"))).toBeCloseTo(
+                scale.y(10) -
+                    scale.y(5) +
+                    constants.DEFAULT_REGION_GOAL_LINE_STROKE_WIDTH,
+                0
+            );
+            expect(toNumber(region.getAttribute("y"))).toBeGreaterThanOrEqual(
+                toNumber(rect.getAttribute("y"))
+            );
+        });
+        it("Spans the selection bar along the bars", (done) => {
+            graphDefault.loadContent(new Bar(getInput(valuesDefault)));
+            delay(() => {
+                const selectionBar = fetchElementByClass(
+                    barGraphContainer,
+                    styles.taskBarSelection
+                );
+                const rect = getBarRects("uid_1")[0];
+                expect(
+                    toNumber(selectionBar.getAttribute("x"))
+                ).toBeLessThanOrEqual(toNumber(rect.getAttribute("x")));
+                expect(
+                    toNumber(selectionBar.getAttribute("width"))
+                ).toBeGreaterThanOrEqual(toNumber(rect.getAttribute("width")));
+                expect(
+                    toNumber(selectionBar.getAttribute("y"))
+                ).toBeLessThanOrEqual(toNumber(rect.getAttribute("y")));
+                done();
+            });
+        });
+        it("Renders the axis info row beside the graph", (done) => {
+            const config = graphDefault.config;
+            const input = getInput(valuesDefault);
+            input.axisInfoRow = utils.deepClone(axisInfoRowDefault);
+            const xAxisWidth = getXAxisWidth(config);
+            graphDefault.loadContent(new Bar(input));
+            const labels = fetchAllElementsByClass(
+                barGraphContainer,
+                styles.axisInfoRowItem
+            );
+            expect(config.axisInfoRowLabelWidth).toBeGreaterThan(0);
+            expect(getXAxisWidth(config)).toBeLessThan(xAxisWidth);
+            expect(labels.length).toBe(axisInfoRowDefault.length);
+            expect(labels[0].getAttribute("text-anchor")).toBe("start");
+            delay(() => {
+                expect(getTranslate(styles.axisInfoRow)[0]).toBeCloseTo(
+                    getXAxisXPosition(config) + getXAxisWidth(config),
+                    0
+                );
+                done();
+            });
+        });
+        it("Shrinks the room for the axis info row when content is unloaded", () => {
+            const config = graphDefault.config;
+            const y2AxisSize = config.axisSizes.y2;
+            const input = getInput(valuesDefault);
+            input.axisInfoRow = utils.deepClone(axisInfoRowDefault);
+            const bar = new Bar(input);
+            graphDefault.loadContent(bar);
+            expect(config.axisSizes.y2).toBeGreaterThan(y2AxisSize);
+            graphDefault.unloadContent(bar);
+            expect(config.axisInfoRowLabelWidth).toBe(0);
+            expect(config.axisSizes.y2).toBe(y2AxisSize);
+        });
+        it("Shrinks the room for the axis info row when labels are shortened", () => {
+            const config = graphDefault.config;
+            const input = getInput(valuesDefault);
+            input.axisInfoRow = utils.deepClone(axisInfoRowDefault);
+            graphDefault.loadContent(new Bar(input));
+            const labelWidth = config.axisInfoRowLabelWidth;
+            const y2AxisSize = config.axisSizes.y2;
+            const axisInfoRow = utils.deepClone(axisInfoRowDefault);
+            axisInfoRow.forEach((axisInfoRowItem) => {
+                axisInfoRowItem.value.label = { display: "1" };
+            });
+            graphDefault.updateContent("uid_1", { axisInfoRow });
+            expect(config.axisInfoRowLabelWidth).toBeLessThan(labelWidth);
+            expect(config.axisSizes.y2).toBe(
+                y2AxisSize - (labelWidth - config.axisInfoRowLabelWidth)
+            );
+        });
+    });
+});
@@ -0,0 +1,447 @@
+"use strict";
+import BoxPlot from "../../../../main/js/controls/BoxPlot";
+import Graph from "../../../../main/js/controls/Graph/Graph";
+import { GRAPH_ORIENTATION } from "../../../../main/js/helpers/constants";
+import errors from "../../../../main/js/helpers/errors";
+import styles from "../../../../main/js/helpers/styles";
+import { triggerEvent } from "../helpers/commonHelpers";
+import {
+    axisCategory,
+    axisDefault,
+    axisTimeSeries,
+    fetchAllElementsByClass,
+    fetchElementByClass,
+    getAxes,
+    getInput,
+    valuesDefault
+} from "./helpers";
+
+describe("BoxPlot", () => {
+    let graphDefault = null;
+    let boxPlotGraphContainer;
+    const getStatistics = (value) => ({
+        min: value.min,
+        q1: value.q1,
+        median: value.median,
+        q3: value.q3,
+        max: value.max,
+        outliers: value.outliers
+    });
+    const getBoxPath = (scale, x, q1, q3) =>
+        `M${scale.x(x) - 10},${scale.y(q3)}H${scale.x(x) + 10}V${scale.y(
+            q1
+        )}H${scale.x(x) - 10}Z`;
+    beforeEach(() => {
+        boxPlotGraphContainer = document.createElement("div");
+        boxPlotGraphContainer.id = "testBoxPlot_carbon";
+        boxPlotGraphContainer.setAttribute(
+            "style",
+            "width: 1024px; height: 400px;"
+        );
+        document.body.appendChild(boxPlotGraphContainer);
+        graphDefault = new Graph(getAxes(axisDefault));
+    });
+    afterEach(() => {
+        document.body.innerHTML = "";
+    });
+    describe("When constructed", () => {
+        it("Initializes properly", () => {
+            const boxPlot = new BoxPlot(getInput(valuesDefault));
+            expect(boxPlot.config).not.toBeNull();
+            expect(boxPlot.dataTarget).toEqual({});
+        });
+        it("Includes whiskers and outliers in the values range", () => {
+            const boxPlot = new BoxPlot(getInput(valuesDefault));
+            expect(boxPlot.valuesRange.y).toEqual({ min: 1, max: 30 });
+        });
+        it("Throws error when no input is provided", () => {
+            expect(() => {
+                graphDefault.loadContent(new BoxPlot());
+            }).toThrowError(errors.THROW_MSG_NO_CONTENT_DATA_LOADED);
+        });
+        it("Throws error when no values are provided", () => {
+            expect(() => {
+                graphDefault.loadContent(new BoxPlot(getInput([])));
+            }).toThrowError(errors.THROW_MSG_NO_DATA_POINTS);
+        });
+        it("Throws error when quartiles are missing", () => {
+            expect(() => {
+                new BoxPlot(getInput([{ x: 25, min: 2, q1: 4, max: 10 }]));
+            }).toThrowError(errors.THROW_MSG_INVALID_BOX_PLOT_VALUE);
+        });
+        it("Throws error when quartiles are not in ascending order", () => {
+            expect(() => {
+                new BoxPlot(
+                    getInput([
+                        { x: 25, min: 2, q1: 8, median: 6, q3: 4, max: 10 }
+                    ])
+                );
+            }).toThrowError(errors.THROW_MSG_INVALID_BOX_PLOT_VALUE);
+        });
+        it("Throws error when outliers are not numbers", () => {
+            expect(() => {
+                new BoxPlot(
+                    getInput([
+                        {
+                            x: 25,
+                            min: 2,
+                            q1: 4,
+                            median: 6,
+                            q3: 8,
+                            max: 10,
+                            outliers: ["15"]
+                        }
+                    ])
+                );
+            }).toThrowError(errors.THROW_MSG_INVALID_BOX_PLOT_VALUE);
+        });
+        it("Throws error when samples are empty", () => {
+            expect(() => {
+                new BoxPlot(getInput([{ x: 25, samples: [] }]));
+            }).toThrowError(errors.THROW_MSG_INVALID_BOX_PLOT_VALUE);
+        });
+        it("Throws error when samples are not numbers", () => {
+            expect(() => {
+                new BoxPlot(getInput([{ x: 25, samples: [1, "2", 3] }]));
+            }).toThrowError(errors.THROW_MSG_INVALID_BOX_PLOT_VALUE);
+        });
+        it("Throws error when loaded onto a horizontal graph", () => {
+            const input = getAxes(axisDefault);
+            input.orientation = GRAPH_ORIENTATION.HORIZONTAL;
+            graphDefault = new Graph(input);
+            expect(() => {
+                graphDefault.loadContent(new BoxPlot(getInput(valuesDefault)));
+            }).toThrowError(
+                errors.THROW_MSG_HORIZONTAL_ORIENTATION_INVALID_CONTENT
+            );
+        });
+    });
+    describe("When loaded", () => {
+        it("Uses the quartiles provided", () => {
+            const boxPlot = new BoxPlot(getInput(valuesDefault));
+            graphDefault.loadContent(boxPlot);
+            expect(
+                getStatistics(boxPlot.dataTarget.internalValuesSubset[0])
+            ).toEqual({
+                min: 2,
+                q1: 4,
+                median: 6,
+                q3: 8,
+                max: 10,
+                outliers: [15]
+            });
+        });
+        it("Computes the quartiles from the samples", () => {
+            const boxPlot = new BoxPlot(getInput(valuesDefault));
+            graphDefault.loadContent(boxPlot);
+            expect(
+                getStatistics(boxPlot.dataTarget.internalValuesSubset[1])
+            ).toEqual({
+                min: 1,
+                q1: 3.25,
+                median: 5.5,
+                q3: 7.75,
+                max: 9,
+                outliers: [30]
+            });
+        });
+        it("Defaults outliers when not provided", () => {
+            const boxPlot = new BoxPlot(
+                getInput([{ x: 25, min: 2, q1: 4, median: 6, q3: 8, max: 10 }])
+            );
+            graphDefault.loadContent(boxPlot);
+            expect(boxPlot.dataTarget.internalValuesSubset[0].outliers).toEqual(
+                []
+            );
+        });
+        it("Creates the box plot content container", () => {
+            graphDefault.loadContent(new BoxPlot(getInput(valuesDefault)));
+            const boxPlotContent = fetchElementByClass(
+                boxPlotGraphContainer,
+                styles.boxPlotGraphContent
+            );
+            expect(boxPlotContent.getAttribute("aria-describedby")).toBe(
+                "uid_1"
+            );
+            expect(boxPlotContent.getAttribute("aria-hidden")).toBe("false");
+            expect(
+                fetchElementByClass(boxPlotContent, styles.currentBoxesGroup)
+            ).not.toBeNull();
+        });
+        it("Draws a box, whiskers and median for each value", () => {
+            graphDefault.loadContent(new BoxPlot(getInput(valuesDefault)));
+            [
+                styles.boxPlot,
+                styles.boxPlotBox,
+                styles.boxPlotWhisker,
+                styles.boxPlotMedian
+            ].forEach((cls) => {
+                expect(
+                    fetchAllElementsByClass(boxPlotGraphContainer, cls).length
+                ).toBe(2);
+            });
+        });
+        it("Draws the box from the first to the third quartile", () => {
+            const input = getInput(valuesDefault);
+            graphDefault.loadContent(new BoxPlot(input));
+            const box = fetchElementByClass(
+                boxPlotGraphContainer,
+                styles.boxPlotBox
+            );
+            expect(box.getAttribute("d")).toBe(
+                getBoxPath(graphDefault.scale, 25, 4, 8)
+            );
+            expect(box.getAttribute("style")).toBe(
+                `fill: ${input.color}; stroke: ${input.color};`
+            );
+            expect(box.getAttribute("aria-describedby")).toBe("uid_1");
+        });
+        it("Draws the outliers using the shape of the data set", () => {
+            graphDefault.loadContent(new BoxPlot(getInput(valuesDefault)));
+            const outliers = fetchAllElementsByClass(
+                boxPlotGraphContainer,
+                styles.boxPlotOutlier
+            );
+            expect(outliers.length).toBe(2);
+            expect(outliers[0].classList).toContain(styles.point);
+            expect(outliers[0].getAttribute("aria-describedby")).toBe("uid_1");
+        });
+        it("Draws the boxes on a time series X Axis", () => {
+            graphDefault = new Graph(getAxes(axisTimeSeries));
+            graphDefault.loadContent(
+                new BoxPlot(
+                    getInput([
+                        {
+                            x: "2016-03-03T12:00:00Z",
+                            samples: [4, 6, 8]
+                        }
+                    ])
+                )
+            );
+            expect(
+                fetchAllElementsByClass(boxPlotGraphContainer, styles.boxPlot)
+                    .length
+            ).toBe(1);
+        });
+        it("Draws the boxes on a category X Axis in the order of the ticks", () => {
+            graphDefault = new Graph(getAxes(axisCategory));
+            const boxPlot = new BoxPlot(
+                getInput([
+                    { x: "Visit 2", samples: [4, 6, 8] },
+                    { x: "Visit 1", samples: [2, 3, 4] }
+                ])
+            );
+            graphDefault.loadContent(boxPlot);
+            expect(
+                boxPlot.dataTarget.internalValuesSubset.map((v) => v.x)
+            ).toEqual(["Visit 1", "Visit 2"]);
+            expect(
+                fetchElementByClass(
+                    boxPlotGraphContainer,
+                    styles.boxPlotBox
+                ).getAttribute("d")
+            ).toBe(getBoxPath(graphDefault.scale, "Visit 1", 2.5, 3.5));
+        });
+        it("Throws error when the value is not a category", () => {
+            graphDefault = new Graph(getAxes(axisCategory));
+            expect(() => {
+                graphDefault.loadContent(
+                    new BoxPlot(getInput([{ x: "Visit 4", samples: [4, 6] }]))
+                );
+            }).toThrowError(errors.THROW_MSG_INVALID_CATEGORY_VALUE);
+        });
+        it("Creates regions", () => {
+            const input = getInput(valuesDefault);
+            input.regions = [
+                {
+                    start: 2,
+                    end: 8
+                }
+            ];
+            graphDefault.loadContent(new BoxPlot(input));
+            const region = fetchElementByClass(
+                boxPlotGraphContainer,
+                styles.region
+            );
+            expect(region).not.toBeNull();
+            expect(region.getAttribute("aria-describedby")).toBe(
+                "region_uid_1"
+            );
+        });
+        it("Adds a legend item", () => {
+            graphDefault.loadContent(new BoxPlot(getInput(valuesDefault)));
+            const legendItem = fetchElementByClass(
+                boxPlotGraphContainer,
+                styles.legendItem
+            );
+            expect(legendItem.getAttribute("aria-describedby")).toBe("uid_1");
+        });
+        it("Shows the quartiles in the tooltip", () => {
+            const input = getAxes(axisDefault);
+            input.tooltip = {};
+            graphDefault = new Graph(input);
+            graphDefault.loadContent(new BoxPlot(getInput(valuesDefault)));
+            triggerEvent(
+                fetchElementByClass(boxPlotGraphContainer, styles.boxPlot),
+                "mouseenter"
+            );
+            expect(
+                fetchElementByClass(boxPlotGraphContainer, styles.tooltip)
+                    .textContent
+            ).toBe("Data Label uid_1\n25, 2, 4, 6, 8, 10");
+        });
+    });
+    describe("When clicked on a box", () => {
+        it("Does not do anything if no onClick callback is provided", (done) => {
+            const input = getInput(valuesDefault);
+            input.onClick = null;
+            graphDefault.loadContent(new BoxPlot(input));
+            const box = fetchElementByClass(
+                boxPlotGraphContainer,
+                styles.boxPlotBox
+            );
+            triggerEvent(box, "click", () => {
+                expect(box.getAttribute("aria-disabled")).toBe("true");
+                expect(
+                    fetchElementByClass(
+                        boxPlotGraphContainer,
+                        styles.dataPointSelection
+                    ).getAttribute("aria-hidden")
+                ).toBe("true");
+                done();
+            });
+        });
+        it("Shows the selection indicator and calls onClick", (done) => {
+            const input = getInput(valuesDefault);
+            input.onClick = jasmine.createSpy();
+            graphDefault.loadContent(new BoxPlot(input));
+            triggerEvent(
+                fetchElementByClass(boxPlotGraphContainer, styles.boxPlotBox),
+                "click",
+                () => {
+                    expect(input.onClick).toHaveBeenCalled();
+                    expect(input.onClick.calls.argsFor(0)[1]).toBe("uid_1");
+                    expect(
+                        fetchElementByClass(
+                            boxPlotGraphContainer,
+                            styles.dataPointSelection
+                        ).getAttribute("aria-hidden")
+                    ).toBe("false");
+                    done();
+                }
+            );
+        });
+        it("Hides the selection indicator when parameter callback is called", (done) => {
+            const input = getInput(valuesDefault);
+            input.onClick = (clearSelectionCallback) => {
+                clearSelectionCallback();
+            };
+            graphDefault.loadContent(new BoxPlot(input));
+            triggerEvent(
+                fetchElementByClass(
+                    boxPlotGraphContainer,
+                    styles.boxPlotOutlier
+                ),
+                "click",
+                () => {
+                    expect(
+                        fetchElementByClass(
+                            boxPlotGraphContainer,
+                            styles.dataPointSelection
+                        ).getAttribute("aria-hidden")
+                    ).toBe("true");
+                    done();
+                }
+            );
+        });
+    });
+    describe("When legend item is clicked", () => {
+        it("Hides the boxes", (done) => {
+            graphDefault.loadContent(new BoxPlot(getInput(valuesDefault)));
+            triggerEvent(
+                fetchElementByClass(boxPlotGraphContainer, styles.legendItem),
+                "click",
+                () => {
+                    Array.prototype.forEach.call(
+                        boxPlotGraphContainer.querySelectorAll(
+                            `.${styles.boxPlot} path`
+                        ),
+                        (path) => {
+                            expect(path.getAttribute("aria-hidden")).toBe(
+                                "true"
+                            );
+                        }
+                    );
+                    done();
+                }
+            );
+        });
+    });
+    describe("When legend item is hovered", () => {
+        it("Highlights the boxes and blurs the rest", (done) => {
+            graphDefault.loadContent(new BoxPlot(getInput(valuesDefault)));
+            graphDefault.loadContent(
+                new BoxPlot(getInput(valuesDefault, "uid_2"))
+            );
+            triggerEvent(
+                fetchElementByClass(boxPlotGraphContainer, styles.legendItem),
+                "mouseenter",
+                () => {
+                    const boxes = fetchAllElementsByClass(
+                        boxPlotGraphContainer,
+                        styles.boxPlotBox
+                    );
+                    expect(
+                        boxes[0].classList.contains(styles.highlight)
+                    ).toBeTruthy();
+                    expect(
+                        boxes[2].classList.contains(styles.blur)
+                    ).toBeTruthy();
+                    done();
+                }
+            );
+        });
+    });
+    describe("When updated", () => {
+        it("Redraws the boxes with the updated values", () => {
+            const boxPlot = new BoxPlot(getInput(valuesDefault));
+            graphDefault.loadContent(boxPlot);
+            graphDefault.updateContent("uid_1", {
+                values: [{ x: 65, samples: [2, 4, 6] }]
+            });
+            expect(
+                fetchAllElementsByClass(boxPlotGraphContainer, styles.boxPlot)
+                    .length
+            ).toBe(1);
+            expect(boxPlot.valuesRange.y).toEqual({ min: 2, max: 6 });
+        });
+    });
+    describe("When unloaded", () => {
+        it("Removes the boxes, regions and legend item", () => {
+            const input = getInput(valuesDefault);
+            input.regions = [
+                {
+                    start: 2,
+                    end: 8
+                }
+            ];
+            const boxPlot = new BoxPlot(input);
+            graphDefault.loadContent(boxPlot);
+            graphDefault.unloadContent(boxPlot);
+            expect(
+                fetchElementByClass(
+                    boxPlotGraphContainer,
+                    styles.boxPlotGraphContent
+                )
+            ).toBeNull();
+            expect(
+                fetchElementByClass(boxPlotGraphContainer, styles.region)
+            ).toBeNull();
+            expect(
+                fetchElementByClass(boxPlotGraphContainer, styles.legendItem)
+            ).toBeNull();
+            expect(boxPlot.config).toEqual({});
+            expect(boxPlot.dataTarget).toEqual({});
+        });
+    });
+});
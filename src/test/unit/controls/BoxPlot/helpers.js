@@ -0,0 +1,101 @@
+import {
+    AXIS_TYPE,
+    COLORS,
+    SHAPES
+} from "../../../../main/js/helpers/constants";
+import utils from "../../../../main/js/helpers/utils";
+
+/**
+ * Creates and returns an example input with data point values
+ * @param {Array} values - x co-ordinate along with quartiles or samples
+ * @param {string} [key] - unique identifier for the input
+ * @returns {Object} input JSON
+ */
+export const getInput = (values = [], key = "uid_1") => ({
+    key,
+    color: COLORS.BLUE,
+    shape: SHAPES.CIRCLE,
+    label: {
+        display: `Data Label ${key}`
+    },
+    onClick: () => {},
+    values
+});
+/**
+ * Creates and returns an example input with custom axis
+ * @param {Object} axis - X and Y axis data
+ * @returns {Object} axes JSON
+ */
+export const getAxes = (axis = {}) => ({
+    bindTo: "#testBoxPlot_carbon",
+    axis: utils.deepClone(axis)
+});
+export const axisDefault = {
+    x: {
+        label: "Some X Label",
+        lowerLimit: 0,
+        upperLimit: 100
+    },
+    y: {
+        label: "Some Y Label",
+        lowerLimit: 0,
+        upperLimit: 40
+    }
+};
+export const axisTimeSeries = {
+    x: {
+        type: AXIS_TYPE.TIME_SERIES,
+        label: "Some X Label",
+        lowerLimit: "2016-01-01T12:00:00Z",
+        upperLimit: "2017-01-01T12:00:00Z"
+    },
+    y: {
+        label: "Some Y Label",
+        lowerLimit: 0,
+        upperLimit: 40
+    }
+};
+export const axisCategory = {
+    x: {
+        type: AXIS_TYPE.CATEGORY,
+        label: "Some X Label",
+        ticks: {
+            values: ["Visit 1", "Visit 2", "Visit 3"]
+        }
+    },
+    y: {
+        label: "Some Y Label",
+        lowerLimit: 0,
+        upperLimit: 40
+    }
+};
+export const valuesDefault = [
+    {
+        x: 25,
+        min: 2,
+        q1: 4,
+        median: 6,
+        q3: 8,
+        max: 10,
+        outliers: [15]
+    },
+    {
+        x: 45,
+        samples: [9, 2, 30, 4, 1, 6, 7, 3, 8, 5]
+    }
+];
+/**
+ * Returns the DOM element queried by Class
+ * @param {HTMLElement} id - Id attribute name
+ * @param {string} cls - Class attribute name
+ * @returns {HTMLElement} - DOM element
+ */
+export const fetchElementByClass = (id, cls) => id.querySelector(`.${cls}`);
+/**
+ * Returns all the DOM elements queried by Class
+ * @param {HTMLElement} id - Id attribute name
+ * @param {string} cls - Class attribute name
+ * @returns {NodeList} - DOM elements
+ */
+export const fetchAllElementsByClass = (id, cls) =>
+    id.querySelectorAll(`.${cls}`);
@@ -1,14 +1,20 @@
 import Carbon from "../../../../main/js/carbon";
+import Area from "../../../../main/js/controls/Area";
 import Bar from "../../../../main/js/controls/Bar";
+import BoxPlot from "../../../../main/js/controls/BoxPlot";
 import Gantt from "../../../../main/js/controls/Gantt";
 import Graph from "../../../../main/js/controls/Graph";
+import Heatmap from "../../../../main/js/controls/Heatmap";
+import Histogram from "../../../../main/js/controls/Histogram";
 import Line from "../../../../main/js/controls/Line";
 import PairedResult from "../../../../main/js/controls/PairedResult";
+import Scatter from "../../../../main/js/controls/Scatter";
 import Timeline from "../../../../main/js/controls/Timeline";
 import Shape from "../../../../main/js/core/Shape/Shape";
 import { SHAPES } from "../../../../main/js/helpers/constants";
 import {
     ganttInput,
+    heatmapInput,
     LIBRARY_LIST,
     nativeInput,
     timelineInput,
@@ -118,4 +124,73 @@ describe("Carbon", () => {
         expect(Carbon.api.bar).toEqual(jasmine.any(Function));
         expect(bar instanceof Bar).toBeTruthy();
     });
+    it("registers Area", () => {
+        const data = {
+            key: "uid_1",
+            label: {
+                display: "Data Label 1"
+            },
+            values: [
+                {
+                    x: 35,
+                    y: 4
+                }
+            ]
+        };
+        const area = Carbon.api.area(data);
+        expect(Carbon.api.area).toEqual(jasmine.any(Function));
+        expect(area instanceof Area).toBeTruthy();
+    });
+    it("registers Scatter", () => {
+        const data = {
+            key: "uid_1",
+            label: {
+                display: "Data Label 1"
+            },
+            values: [
+                {
+                    x: 35,
+                    y: 4,
+                    size: 10
+                }
+            ]
+        };
+        const scatter = Carbon.api.scatter(data);
+        expect(Carbon.api.scatter).toEqual(jasmine.any(Function));
+        expect(scatter instanceof Scatter).toBeTruthy();
+    });
+    it("registers BoxPlot", () => {
+        const data = {
+            key: "uid_1",
+            label: {
+                display: "Data Label 1"
+            },
+            values: [
+                {
+                    x: 35,
+                    samples: [2, 4, 6]
+                }
+            ]
+        };
+        const boxPlot = Carbon.api.boxPlot(data);
+        expect(Carbon.api.boxPlot).toEqual(jasmine.any(Function));
+        expect(boxPlot instanceof BoxPlot).toBeTruthy();
+    });
+    it("registers Histogram", () => {
+        const data = {
+            key: "uid_1",
+            label: {
+                display: "Data Label 1"
+            },
+            values: [2, 4, 6]
+        };
+        const histogram = Carbon.api.histogram(data);
+        expect(Carbon.api.histogram).toEqual(jasmine.any(Function));
+        expect(histogram instanceof Histogram).toBeTruthy();
+    });
+    it("registers Heatmap", () => {
+        const heatmap = Carbon.api.heatmap(heatmapInput);
+        expect(Carbon.api.heatmap).toEqual(jasmine.any(Function));
+        expect(heatmap instanceof Heatmap).toBeTruthy();
+    });
 });
@@ -6,7 +6,12 @@ export const LIBRARY_LIST = [
     "line",
     "pairedResult",
     "timeline",
-    "bar"
+    "heatmap",
+    "bar",
+    "area",
+    "scatter",
+    "boxPlot",
+    "histogram"
 ];
 export const TOOLS_LIST = ["shape", "defaultSVGProps"];
 export const nativeInput = {
@@ -64,3 +69,15 @@ export const timelineInput = {
         }
     }
 };
+export const heatmapInput = {
+    bindTo: "#testGraph_carbon",
+    axis: {
+        x: {
+            lowerLimit: "2016-01-01T12:00:00Z",
+            upperLimit: "2017-01-01T12:00:00Z"
+        },
+        y: {
+            categories: ["Category A"]
+        }
+    }
+};
@@ -4,9 +4,11 @@ import sinon from "sinon";
 import Gantt from "../../../../main/js/controls/Gantt";
 import { getXAxisWidth } from "../../../../main/js/controls/Gantt/helpers/creationHelpers";
 import Track from "../../../../main/js/controls/Gantt/Track";
+import { getYAxisHeight } from "../../../../main/js/helpers/axis";
 import constants, {
     AXIS_TYPE,
     COLORS,
+    EXPORT_FORMAT,
     SHAPES
 } from "../../../../main/js/helpers/constants";
 import { getSVGAnimatedTransformList } from "../../../../main/js/helpers/transformUtils";
@@ -22,6 +24,7 @@ import {
     triggerEvent
 } from "../helpers/commonHelpers";
 import {
+    activityValuesJSON,
     axisJSON,
     BASE_CANVAS_HEIGHT_PADDING,
     datelineAlt,
@@ -31,6 +34,9 @@ import {
     getAxes,
     getData,
     legendJSON,
+    taskEndDate,
+    taskStartDate,
+    taskValuesJSON,
     trackDimension
 } from "./helpers";
 
@@ -1469,6 +1475,41 @@ describe("Gantt", () => {
                 expect(datelinePoint).not.toBeNull();
                 expect(datelinePoint.getAttribute("aria-hidden")).toBe("true");
             });
+            it("Shades the range and renders the label", () => {
+                axisObj.dateline = [
+                    {
+                        label: {
+                            display: "Night shift"
+                        },
+                        color: COLORS.BLUE,
+                        range: {
+                            start: new Date(2018, 3, 1).toISOString(),
+                            end: new Date(2018, 4, 1).toISOString()
+                        }
+                    }
+                ];
+                gantt = new Gantt(axisObj);
+                expect(fetchElementByClass(styles.dateline)).toBeNull();
+                expect(
+                    fetchElementByClass(styles.datelineRange)
+                ).not.toBeNull();
+                expect(
+                    fetchElementByClass(styles.datelineLabel).textContent
+                ).toBe("Night shift");
+            });
+            it("Throws error when range is invalid", () => {
+                axisObj.dateline = [
+                    {
+                        color: COLORS.BLUE,
+                        range: {
+                            start: new Date(2018, 4, 1).toISOString()
+                        }
+                    }
+                ];
+                expect(() => {
+                    gantt = new Gantt(axisObj);
+                }).toThrowError(errors.THROW_MSG_DATELINE_RANGE_NOT_VALID);
+            });
             describe("when clicked on dateline", () => {
                 it("Does not do anything if no onClick callback is provided", (done) => {
                     axisObj.dateline = utils.deepClone(datelineJSON);
@@ -1605,6 +1646,55 @@ describe("Gantt", () => {
                 });
             });
         });
+        describe("Periodic shading", () => {
+            let axisObj;
+            beforeEach(() => {
+                gantt.destroy();
+                axisObj = utils.deepClone(getAxes(axisJSON));
+            });
+            it("Throws error when periodic shading is invalid", () => {
+                axisObj.periodicShading = [{ days: [7] }];
+                expect(() => {
+                    gantt = new Gantt(axisObj);
+                }).toThrowError(errors.THROW_MSG_INVALID_PERIODIC_SHADING);
+            });
+            it("Creates periodic shading beneath the grid", () => {
+                axisObj.periodicShading = [{ days: [0, 6] }];
+                gantt = new Gantt(axisObj);
+                const shadingGroup = fetchElementByClass(
+                    styles.periodicShadingGroup
+                );
+                expect(shadingGroup).not.toBeNull();
+                expect(shadingGroup.nextSibling).toBe(
+                    fetchElementByClass(styles.grid)
+                );
+                expect(
+                    shadingGroup.querySelectorAll("rect").length
+                ).toBeGreaterThan(0);
+            });
+            it("Shades the intervals across the content area", () => {
+                axisObj.periodicShading = [
+                    {
+                        intervals: () => [
+                            {
+                                start: new Date(2018, 3, 1).toISOString(),
+                                end: new Date(2018, 4, 1).toISOString()
+                            }
+                        ]
+                    }
+                ];
+                gantt = new Gantt(axisObj);
+                const rect = document.querySelector(
+                    `.${styles.periodicShading} rect`
+                );
+                expect(+rect.getAttribute("x")).toBeCloseTo(
+                    gantt.scale.x(new Date(2018, 3, 1))
+                );
+                expect(+rect.getAttribute("height")).toBe(
+                    getYAxisHeight(gantt.config)
+                );
+            });
+        });
         it("Attaches event handlers", () => {
             gantt.resizeHandler();
             expect(gantt.resizeHandler).not.toBeNull();
@@ -2161,6 +2251,23 @@ describe("Gantt", () => {
                 constants.RESIZE_THROTTLE
             );
         });
+        it("Resizes when the container is resized, if observeResize is enabled", (done) => {
+            const observedInput = getAxes(axisJSON);
+            observedInput.observeResize = true;
+            gantt.destroy();
+            gantt = new Gantt(observedInput);
+            expect(gantt.resizeObserver).not.toBeNull();
+            ganttChartContainer.setAttribute(
+                "style",
+                "width: 600px; height: 200px"
+            );
+            delay(() => {
+                expect(gantt.config.canvasWidth).toBe(600);
+                gantt.destroy();
+                expect(gantt.resizeObserver).toBeNull();
+                done();
+            }, constants.RESIZE_POLL_INTERVAL * 2);
+        });
         it("Throttles based on delay", (done) => {
             const rafSpy = spyOn(window, "requestAnimationFrame");
             const throttledInput = getAxes(axisJSON);
@@ -2407,6 +2514,127 @@ describe("Gantt", () => {
             );
         });
     });
+    describe("When updateContent is called", () => {
+        beforeEach(() => {
+            gantt = new Gantt(getAxes(axisJSON));
+            gantt.loadContent(getData(taskValuesJSON.slice(0, 1)));
+        });
+        it("Returns the gantt instance", () => {
+            expect(gantt.updateContent("track 1", {})).toBe(gantt);
+        });
+        it("Throws error when track is not loaded", () => {
+            expect(() => {
+                gantt.updateContent("DUMMY", {});
+            }).toThrowError(errors.THROW_MSG_INVALID_OBJECT_PROVIDED);
+        });
+        it("Throws error when track label is not provided", () => {
+            expect(() => {
+                gantt.updateContent("track 1", { trackLabel: {} });
+            }).toThrowError(errors.THROW_MSG_UNIQUE_LABEL_NOT_PROVIDED);
+        });
+        it("Updates the tasks of the track in place", () => {
+            const trackGroup = fetchElementByClass(styles.trackGroup);
+            gantt.updateContent("track 1", { tasks: taskValuesJSON });
+            expect(fetchElementByClass(styles.trackGroup)).toBe(trackGroup);
+            expect(trackGroup.querySelectorAll(`.${styles.task}`).length).toBe(
+                taskValuesJSON.length
+            );
+            expect(gantt.tracks).toEqual(["track 1"]);
+        });
+        it("Updates the track label", () => {
+            gantt.updateContent("track 1", {
+                trackLabel: {
+                    display: "Project B"
+                }
+            });
+            expect(gantt.config.axis.y.trackList["track 1"].trackLabel).toBe(
+                "Project B"
+            );
+            expect(
+                fetchElementByClass(styles.axisYTrackLabel).querySelector(
+                    ".tick text"
+                ).innerHTML
+            ).toBe("Project B");
+        });
+    });
+    describe("When export is called", () => {
+        it("Rejects when format is invalid", (done) => {
+            gantt = new Gantt(getAxes(axisJSON));
+            gantt.export({ format: "pdf" }).catch((error) => {
+                expect(error.message).toBe(
+                    errors.THROW_MSG_INVALID_EXPORT_FORMAT
+                );
+                done();
+            });
+        });
+        it("Resolves with standalone svg", (done) => {
+            gantt = new Gantt(getAxes(axisJSON));
+            gantt.loadContent(getData(taskValuesJSON.slice(0, 1)));
+            gantt.export({ format: EXPORT_FORMAT.SVG }).then((svg) => {
+                const svgElement = new DOMParser().parseFromString(
+                    svg,
+                    "image/svg+xml"
+                ).documentElement;
+                expect(svgElement.getAttribute("xmlns")).toBe(
+                    "http://www.w3.org/2000/svg"
+                );
+                expect(
+                    svgElement.querySelector(`.${styles.axisYTrackLabel}`)
+                ).not.toBeNull();
+                done();
+            });
+        });
+        it("Resolves with csv of the tasks, activities, events and actions shown", (done) => {
+            const eventValue = new Date(2018, 4, 1).toISOString();
+            gantt = new Gantt(
+                Object.assign(getAxes(axisJSON), {
+                    showActionLegend: true,
+                    actionLegend: legendJSON
+                })
+            );
+            gantt.loadContent(
+                Object.assign(
+                    getData(
+                        taskValuesJSON.slice(0, 1),
+                        activityValuesJSON.slice(0, 1)
+                    ),
+                    {
+                        events: [
+                            {
+                                key: "uid_event_1",
+                                values: [eventValue]
+                            }
+                        ],
+                        actions: [
+                            {
+                                key: "uid_action_1",
+                                values: [eventValue]
+                            },
+                            {
+                                key: "uid_action_2",
+                                values: [eventValue]
+                            }
+                        ]
+                    }
+                )
+            );
+            triggerEvent(fetchElementByClass(styles.legendItem), "click");
+            gantt.export({ format: EXPORT_FORMAT.CSV }).then((csv) => {
+                const start = new Date(taskStartDate).toISOString();
+                const end = new Date(taskEndDate).toISOString();
+                expect(csv).toBe(
+                    [
+                        "track,type,key,start,end",
+                        `track 1,task,taskNormal,${start},${end}`,
+                        `track 1,activity,activityNormal,${start},${end}`,
+                        `track 1,event,uid_event_1,${eventValue},`,
+                        `track 1,action,uid_action_2,${eventValue},`
+                    ].join("\r\n")
+                );
+                done();
+            });
+        });
+    });
     describe("When destruct is called", () => {
         beforeEach(() => {
             gantt = new Gantt(getAxes(axisJSON));
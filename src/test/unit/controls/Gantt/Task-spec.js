@@ -1301,6 +1301,39 @@ describe("Gantt -> Track -> Task", () => {
             });
         });
     });
+    describe("When tooltip is provided", () => {
+        beforeEach(() => {
+            gantt.destroy();
+            gantt = new Gantt(Object.assign({ tooltip: {} }, axisData));
+            loadData(gantt);
+        });
+        it("Shows tooltip with start and end dates on task hover", () => {
+            const task = document.querySelector(`.${styles.task}`);
+            const format = gantt.config.locale.timeFormat("%x %X");
+            triggerEvent(task, "mouseenter");
+            const tooltip = fetchElementByClass(styles.tooltip);
+            expect(tooltip.getAttribute("aria-hidden")).toBe("false");
+            expect(tooltip.textContent).toBe(
+                `Story Apex Task Something\n${format(
+                    new Date(taskStartDate)
+                )} - ${format(new Date(taskEndDate))}`
+            );
+        });
+        it("Passes track label to the format callback", () => {
+            const formatSpy = sinon.spy();
+            gantt.destroy();
+            gantt = new Gantt(
+                Object.assign({ tooltip: { format: formatSpy } }, axisData)
+            );
+            loadData(gantt);
+            triggerEvent(document.querySelector(`.${styles.task}`), "focus");
+            expect(formatSpy.calledOnce).toBeTruthy();
+            expect(formatSpy.getCall(0).args[0].key).toBe("taskNormal");
+            expect(formatSpy.getCall(0).args[1].label.display).toBe(
+                "Project A Really long"
+            );
+        });
+    });
     describe("On Unload", () => {
         beforeEach(() => {
             loadData(gantt);
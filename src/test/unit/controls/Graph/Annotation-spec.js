@@ -0,0 +1,311 @@
+"use strict";
+import Graph from "../../../../main/js/controls/Graph/index";
+import Line from "../../../../main/js/controls/Line/Line";
+import {
+    calculateVerticalPadding,
+    getXAxisXPosition
+} from "../../../../main/js/helpers/axis";
+import {
+    ANNOTATION_ANCHOR,
+    GRAPH_ORIENTATION,
+    SHAPES
+} from "../../../../main/js/helpers/constants";
+import errors from "../../../../main/js/helpers/errors";
+import styles from "../../../../main/js/helpers/styles";
+import {
+    axisDefault,
+    axisTimeSeries,
+    fetchElementByClass,
+    getAxes,
+    getData,
+    valuesDefault
+} from "./helpers";
+
+describe("Annotation", () => {
+    let graph = null;
+    let graphContainer;
+    const getAnnotationTransform = (x, y) =>
+        `translate(${getXAxisXPosition(graph.config) +
+            graph.scale.x(x)},${calculateVerticalPadding(graph.config) +
+            graph.scale.y(y)})`;
+    const getAnnotationText = () => fetchElementByClass(styles.annotationText);
+    beforeEach(() => {
+        graphContainer = document.createElement("div");
+        graphContainer.id = "testGraph_carbon";
+        graphContainer.setAttribute("style", "width: 1024px; height: 400px;");
+        document.body.appendChild(graphContainer);
+        graph = new Graph(getAxes(axisDefault));
+    });
+    afterEach(() => {
+        document.body.innerHTML = "";
+    });
+    describe("When annotation is added", () => {
+        it("Returns a unique identifier for each annotation", () => {
+            const id = graph.addAnnotation({ x: 40, y: 10, text: "Dose A" });
+            const anotherId = graph.addAnnotation({
+                x: 60,
+                y: 10,
+                text: "Dose B"
+            });
+            expect(id).toEqual(jasmine.any(String));
+            expect(anotherId).not.toBe(id);
+            expect(graph.annotations.length).toBe(2);
+        });
+        it("Renders the annotation into a dedicated group", () => {
+            graph.addAnnotation({ x: 40, y: 10, text: "Dose A" });
+            const annotationGroup = fetchElementByClass(styles.annotationGroup);
+            expect(annotationGroup.nodeName).toBe("g");
+            expect(annotationGroup.parentNode.classList).toContain(
+                styles.canvas
+            );
+            expect(annotationGroup.childNodes.length).toBe(1);
+            expect(
+                annotationGroup.firstChild.classList.contains(styles.annotation)
+            ).toBeTruthy();
+        });
+        it("Positions the annotation at the annotated point", () => {
+            graph.addAnnotation({ x: 40, y: 10, text: "Dose A" });
+            expect(
+                fetchElementByClass(styles.annotation).getAttribute("transform")
+            ).toBe(getAnnotationTransform(40, 10));
+        });
+        it("Renders the text and an arrow", () => {
+            graph.addAnnotation({ x: 40, y: 10, text: "Dose A" });
+            expect(getAnnotationText().textContent).toBe("Dose A");
+            expect(
+                fetchElementByClass(styles.annotationArrow).getAttribute("d")
+            ).not.toBeNull();
+        });
+        it("Does not render a marker when shape is not provided", () => {
+            graph.addAnnotation({ x: 40, y: 10, text: "Dose A" });
+            expect(fetchElementByClass(styles.annotationMarker)).toBeNull();
+        });
+        it("Renders a marker when shape is provided", () => {
+            graph.addAnnotation({
+                x: 40,
+                y: 10,
+                text: "Dose A",
+                shape: SHAPES.DIAMOND
+            });
+            expect(fetchElementByClass(styles.annotationMarker)).not.toBeNull();
+        });
+        it("Is focusable and has aria text", () => {
+            graph.addAnnotation({ x: 40, y: 10, text: "Dose A" });
+            const annotation = fetchElementByClass(styles.annotation);
+            expect(annotation.getAttribute("tabindex")).toBe("0");
+            expect(annotation.getAttribute("role")).toBe("note");
+            expect(annotation.getAttribute("aria-label")).toBe("Dose A");
+            expect(annotation.getAttribute("aria-hidden")).toBe("false");
+        });
+        it("Places the text above the point by default", () => {
+            graph.addAnnotation({ x: 40, y: 10, text: "Dose A" });
+            const text = getAnnotationText();
+            expect(text.getAttribute("text-anchor")).toBe("middle");
+            expect(+text.getAttribute("y")).toBeLessThan(0);
+        });
+        it("Places the text on the side of the anchor", () => {
+            graph.addAnnotation({
+                x: 40,
+                y: 10,
+                text: "Dose A",
+                anchor: ANNOTATION_ANCHOR.RIGHT
+            });
+            const text = getAnnotationText();
+            expect(text.getAttribute("text-anchor")).toBe("start");
+            expect(+text.getAttribute("x")).toBeGreaterThan(0);
+        });
+        it("Places the text on the opposite side when cut off at the top edge", () => {
+            graph.addAnnotation({ x: 40, y: 20, text: "Dose A" });
+            expect(+getAnnotationText().getAttribute("y")).toBeGreaterThan(0);
+        });
+        it("Places the text on the opposite side when cut off at the right edge", () => {
+            graph.addAnnotation({
+                x: 100,
+                y: 10,
+                text: "Dose A",
+                anchor: ANNOTATION_ANCHOR.RIGHT
+            });
+            expect(getAnnotationText().getAttribute("text-anchor")).toBe("end");
+        });
+        it("Shifts the text to stay within the left edge", () => {
+            graph.addAnnotation({
+                x: 0,
+                y: 10,
+                text:
+                    "Annotation with a considerably long text, shifted to stay within the canvas"
+            });
+            expect(+getAnnotationText().getAttribute("x")).toBeGreaterThan(0);
+        });
+        it("Throws error when y2 is provided without the Y2 Axis shown", () => {
+            expect(() => {
+                graph.addAnnotation({
+                    x: 40,
+                    y: 10,
+                    yAxis: "y2",
+                    text: "Dose A"
+                });
+            }).toThrowError(errors.THROW_MSG_INVALID_ANNOTATION);
+            expect(graph.annotations.length).toBe(0);
+            expect(fetchElementByClass(styles.annotation)).toBeNull();
+        });
+        it("Throws error for horizontal orientation", () => {
+            graph.destroy();
+            graph = new Graph(
+                Object.assign(getAxes(axisDefault), {
+                    orientation: GRAPH_ORIENTATION.HORIZONTAL
+                })
+            );
+            expect(() => {
+                graph.addAnnotation({ x: 40, y: 10, text: "Dose A" });
+            }).toThrowError(
+                errors.THROW_MSG_HORIZONTAL_ORIENTATION_NOT_SUPPORTED
+            );
+            expect(graph.annotations.length).toBe(0);
+            expect(fetchElementByClass(styles.annotation)).toBeNull();
+        });
+        it("Renders the annotation against the Y2 Axis when shown", () => {
+            graph.destroy();
+            graph = new Graph(
+                getAxes(
+                    Object.assign({}, axisDefault, {
+                        y2: {
+                            show: true,
+                            label: "Some Y2 Label",
+                            lowerLimit: 0,
+                            upperLimit: 200
+                        }
+                    })
+                )
+            );
+            graph.addAnnotation({ x: 40, y: 100, yAxis: "y2", text: "Dose A" });
+            expect(
+                fetchElementByClass(styles.annotation).getAttribute("transform")
+            ).toBe(
+                `translate(${getXAxisXPosition(graph.config) +
+                    graph.scale.x(40)},${calculateVerticalPadding(
+                    graph.config
+                ) + graph.scale.y2(100)})`
+            );
+        });
+        it("Hides the annotation outside the Y Axis domain", () => {
+            graph.addAnnotation({ x: 40, y: 50, text: "Dose A" });
+            const annotation = fetchElementByClass(styles.annotation);
+            expect(annotation.getAttribute("aria-hidden")).toBe("true");
+            expect(annotation.getAttribute("tabindex")).toBe("-1");
+        });
+        it("Renders the annotation for timeseries", () => {
+            graph.destroy();
+            graph = new Graph(getAxes(axisTimeSeries));
+            graph.addAnnotation({
+                x: "2016-06-01T12:00:00Z",
+                y: 10,
+                text: "Dose A"
+            });
+            expect(
+                fetchElementByClass(styles.annotation).getAttribute("transform")
+            ).toBe(
+                getAnnotationTransform(new Date("2016-06-01T12:00:00Z"), 10)
+            );
+        });
+        it("Throws error when text is not provided", () => {
+            expect(() => {
+                graph.addAnnotation({ x: 40, y: 10 });
+            }).toThrowError(errors.THROW_MSG_INVALID_ANNOTATION);
+        });
+        it("Throws error when y is not a number", () => {
+            expect(() => {
+                graph.addAnnotation({ x: 40, y: "10", text: "Dose A" });
+            }).toThrowError(errors.THROW_MSG_INVALID_ANNOTATION);
+        });
+        it("Throws error when x is invalid for the axis type", () => {
+            expect(() => {
+                graph.addAnnotation({
+                    x: "2016-06-01T12:00:00Z",
+                    y: 10,
+                    text: "Dose A"
+                });
+            }).toThrowError(errors.THROW_MSG_INVALID_ANNOTATION);
+        });
+        it("Throws error when anchor is invalid", () => {
+            expect(() => {
+                graph.addAnnotation({
+                    x: 40,
+                    y: 10,
+                    text: "Dose A",
+                    anchor: "middle"
+                });
+            }).toThrowError(errors.THROW_MSG_INVALID_ANNOTATION);
+        });
+        it("Throws error when yAxis is invalid", () => {
+            expect(() => {
+                graph.addAnnotation({
+                    x: 40,
+                    y: 10,
+                    text: "Dose A",
+                    yAxis: "y3"
+                });
+            }).toThrowError(errors.THROW_MSG_INVALID_ANNOTATION);
+        });
+    });
+    describe("When content is loaded", () => {
+        it("Keeps the annotations above the content", () => {
+            graph.addAnnotation({ x: 40, y: 10, text: "Dose A" });
+            graph.loadContent(new Line(getData(valuesDefault)));
+            expect(
+                fetchElementByClass(styles.canvas).lastChild.classList
+            ).toContain(styles.annotationGroup);
+        });
+    });
+    describe("When resized", () => {
+        it("Repositions the annotation", () => {
+            graph.addAnnotation({ x: 40, y: 10, text: "Dose A" });
+            const transform = fetchElementByClass(
+                styles.annotation
+            ).getAttribute("transform");
+            graphContainer.setAttribute(
+                "style",
+                "width: 800px; height: 400px;"
+            );
+            graph.resize();
+            const annotation = fetchElementByClass(styles.annotation);
+            expect(annotation.getAttribute("transform")).not.toBe(transform);
+            expect(annotation.getAttribute("transform")).toBe(
+                getAnnotationTransform(40, 10)
+            );
+        });
+    });
+    describe("When zoomed", () => {
+        it("Repositions the annotation", () => {
+            graph.addAnnotation({ x: 40, y: 10, text: "Dose A" });
+            graph.zoomTo(20, 60);
+            expect(
+                fetchElementByClass(styles.annotation).getAttribute("transform")
+            ).toBe(getAnnotationTransform(40, 10));
+        });
+        it("Hides the annotation outside the zoomed domain", () => {
+            graph.addAnnotation({ x: 10, y: 10, text: "Dose A" });
+            graph.zoomTo(20, 60);
+            const annotation = fetchElementByClass(styles.annotation);
+            expect(annotation.getAttribute("aria-hidden")).toBe("true");
+            expect(annotation.getAttribute("tabindex")).toBe("-1");
+        });
+    });
+    describe("When annotation is removed", () => {
+        it("Removes the annotation", () => {
+            const id = graph.addAnnotation({ x: 40, y: 10, text: "Dose A" });
+            graph.addAnnotation({ x: 60, y: 10, text: "Dose B" });
+            graph.removeAnnotation(id);
+            expect(graph.annotations.length).toBe(1);
+            const annotations = document.querySelectorAll(
+                `.${styles.annotation}`
+            );
+            expect(annotations.length).toBe(1);
+            expect(annotations[0].getAttribute("aria-label")).toBe("Dose B");
+        });
+        it("Throws error when annotation is not present", () => {
+            expect(() => {
+                graph.removeAnnotation("dummy");
+            }).toThrowError(errors.THROW_MSG_INVALID_OBJECT_PROVIDED);
+        });
+    });
+});
@@ -0,0 +1,173 @@
+"use strict";
+import d3 from "d3";
+import Graph from "../../../../main/js/controls/Graph/index";
+import Line from "../../../../main/js/controls/Line/Line";
+import PairedResult from "../../../../main/js/controls/PairedResult";
+import errors from "../../../../main/js/helpers/errors";
+import styles from "../../../../main/js/helpers/styles";
+import utils from "../../../../main/js/helpers/utils";
+import { triggerEvent } from "../helpers/commonHelpers";
+import {
+    axisDefault,
+    axisTimeSeries,
+    fetchElementByClass,
+    getAxes,
+    getData,
+    valuesDefault,
+    valuesTimeSeries
+} from "./helpers";
+
+describe("Brush", () => {
+    let graph = null;
+    let graphContainer;
+    const getInputWithBrush = (axis, brush = {}) =>
+        Object.assign(getAxes(axis), { brush });
+    const brushTo = (extent) => {
+        graph.brushBehavior.extent(extent);
+        graph.brushBehavior.event(d3.select(`.${styles.brush}`));
+    };
+    beforeEach(() => {
+        graphContainer = document.createElement("div");
+        graphContainer.id = "testGraph_carbon";
+        graphContainer.setAttribute("style", "width: 1024px; height: 400px;");
+        document.body.appendChild(graphContainer);
+    });
+    afterEach(() => {
+        document.body.innerHTML = "";
+    });
+    describe("When brush is not provided", () => {
+        it("Does not create brush", () => {
+            graph = new Graph(getAxes(axisDefault));
+            expect(graph.config.brush.enabled).toBeFalsy();
+            expect(graph.brushBehavior).toBeNull();
+            expect(fetchElementByClass(styles.brush)).toBeNull();
+        });
+    });
+    describe("When brush is provided", () => {
+        it("Throws error when onBrush is not a function", () => {
+            expect(() => {
+                graph = new Graph(
+                    getInputWithBrush(axisDefault, { onBrush: "dummy" })
+                );
+            }).toThrowError(errors.THROW_MSG_INVALID_CALLBACK_FUNCTION);
+        });
+        it("Does not create brush when enabled is false", () => {
+            graph = new Graph(
+                getInputWithBrush(axisDefault, { enabled: false })
+            );
+            expect(fetchElementByClass(styles.brush)).toBeNull();
+        });
+        it("Creates brush below the content", () => {
+            graph = new Graph(getInputWithBrush(axisDefault));
+            graph.loadContent(new Line(getData(valuesDefault)));
+            const brush = fetchElementByClass(styles.brush);
+            const content = fetchElementByClass(styles.lineGraphContent);
+            expect(brush).not.toBeNull();
+            expect(
+                brush.compareDocumentPosition(content) &
+                    Node.DOCUMENT_POSITION_FOLLOWING
+            ).toBeTruthy();
+        });
+        it("Calls onBrush with the range and data points within it", () => {
+            const onBrush = jasmine.createSpy("onBrush");
+            graph = new Graph(getInputWithBrush(axisDefault, { onBrush }));
+            const line = new Line(getData(valuesDefault));
+            graph.loadContent(line);
+            brushTo([30, 50]);
+            expect(onBrush).toHaveBeenCalledWith({
+                start: 30,
+                end: 50,
+                values: {
+                    uid_1: [
+                        line.dataTarget.internalValuesSubset[0],
+                        line.dataTarget.internalValuesSubset[1]
+                    ]
+                }
+            });
+        });
+        it("Calls onBrush with datetime range", () => {
+            const onBrush = jasmine.createSpy("onBrush");
+            const start = new Date(2016, 0, 1, 12);
+            const end = new Date(2016, 6, 1);
+            graph = new Graph(getInputWithBrush(axisTimeSeries, { onBrush }));
+            graph.loadContent(new Line(getData(valuesTimeSeries)));
+            brushTo([start, end]);
+            const selection = onBrush.calls.mostRecent().args[0];
+            expect(selection.start).toEqual(start);
+            expect(selection.end).toEqual(end);
+            selection.values.uid_1.forEach((value) => {
+                expect(value.x >= start && value.x <= end).toBeTruthy();
+            });
+        });
+        it("Excludes data points hidden using the legend", () => {
+            const onBrush = jasmine.createSpy("onBrush");
+            graph = new Graph(getInputWithBrush(axisDefault, { onBrush }));
+            graph.loadContent(new Line(getData(valuesDefault)));
+            triggerEvent(fetchElementByClass(styles.legendItem), "click");
+            brushTo([0, 100]);
+            expect(onBrush.calls.mostRecent().args[0].values).toEqual({
+                uid_1: []
+            });
+        });
+        it("Lists each item of the pair for paired result", () => {
+            const onBrush = jasmine.createSpy("onBrush");
+            graph = new Graph(getInputWithBrush(axisDefault, { onBrush }));
+            graph.loadContent(
+                new PairedResult({
+                    key: "uid_pair",
+                    label: {
+                        high: {
+                            display: "High"
+                        },
+                        low: {
+                            display: "Low"
+                        }
+                    },
+                    values: [
+                        {
+                            high: { x: 45, y: 10 },
+                            low: { x: 45, y: 2 }
+                        }
+                    ]
+                })
+            );
+            brushTo([40, 50]);
+            const values = onBrush.calls.mostRecent().args[0].values.uid_pair;
+            expect(values.length).toBe(2);
+            expect(values.map((v) => v.key)).toEqual([
+                "uid_pair_high",
+                "uid_pair_low"
+            ]);
+        });
+        it("Retains the range on resize", () => {
+            graph = new Graph(getInputWithBrush(axisDefault));
+            brushTo([30, 50]);
+            graph.resize();
+            expect(graph.brushBehavior.extent()).toEqual([30, 50]);
+        });
+    });
+    describe("When clearBrush is called", () => {
+        it("Clears the range and calls onBrush with null", () => {
+            const onBrush = jasmine.createSpy("onBrush");
+            graph = new Graph(getInputWithBrush(axisDefault, { onBrush }));
+            graph.loadContent(new Line(getData(valuesDefault)));
+            brushTo([30, 50]);
+            graph.clearBrush();
+            expect(graph.brushBehavior.empty()).toBeTruthy();
+            expect(onBrush.calls.mostRecent().args[0]).toBeNull();
+            expect(
+                utils.getNumber(
+                    fetchElementByClass(styles.brush)
+                        .querySelector(".extent")
+                        .getAttribute("width")
+                )
+            ).toBe(0);
+        });
+        it("Does not throw error when brush is not enabled", () => {
+            graph = new Graph(getAxes(axisDefault));
+            expect(() => {
+                graph.clearBrush();
+            }).not.toThrow();
+        });
+    });
+});
@@ -0,0 +1,250 @@
+"use strict";
+import Bar from "../../../../main/js/controls/Bar/Bar";
+import Graph from "../../../../main/js/controls/Graph/index";
+import Line from "../../../../main/js/controls/Line/Line";
+import PairedResult from "../../../../main/js/controls/PairedResult";
+import {
+    calculateVerticalPadding,
+    getXAxisWidth,
+    getXAxisXPosition
+} from "../../../../main/js/helpers/axis";
+import { AXIS_TYPE } from "../../../../main/js/helpers/constants";
+import errors from "../../../../main/js/helpers/errors";
+import styles from "../../../../main/js/helpers/styles";
+import utils from "../../../../main/js/helpers/utils";
+import { fetchElementByClass, getAxes, getData } from "./helpers";
+
+describe("Category Axis", () => {
+    let graph = null;
+    let graphContainer;
+    const categories = ["Visit 1", "Visit 2", "Visit 3"];
+    const axisCategory = {
+        x: {
+            type: AXIS_TYPE.CATEGORY,
+            label: "Some X Label",
+            ticks: {
+                values: categories
+            }
+        },
+        y: {
+            label: "Some Y Label",
+            lowerLimit: 0,
+            upperLimit: 20
+        }
+    };
+    const valuesCategory = [
+        { x: "Visit 3", y: 16 },
+        { x: "Visit 1", y: 12 },
+        { x: "Visit 2", y: 8 }
+    ];
+    beforeEach(() => {
+        graphContainer = document.createElement("div");
+        graphContainer.id = "testGraph_carbon";
+        graphContainer.setAttribute("style", "width: 1024px; height: 400px;");
+        document.body.appendChild(graphContainer);
+    });
+    afterEach(() => {
+        document.body.innerHTML = "";
+    });
+    describe("When input is validated", () => {
+        it("Throws error when tick values are not provided", () => {
+            const axis = utils.deepClone(axisCategory);
+            axis.x.ticks = {};
+            expect(() => {
+                graph = new Graph(getAxes(axis));
+            }).toThrowError(errors.THROW_MSG_CATEGORY_TICKS_NOT_PROVIDED);
+        });
+        it("Does not need x axis limits", () => {
+            expect(() => {
+                graph = new Graph(getAxes(axisCategory));
+            }).not.toThrow();
+        });
+        it("Throws error when zoom or brush is enabled", () => {
+            expect(() => {
+                graph = new Graph(
+                    Object.assign(getAxes(axisCategory), { zoom: {} })
+                );
+            }).toThrowError(errors.THROW_MSG_CATEGORY_AXIS_NOT_SUPPORTED);
+            expect(() => {
+                graph = new Graph(
+                    Object.assign(getAxes(axisCategory), { brush: {} })
+                );
+            }).toThrowError(errors.THROW_MSG_CATEGORY_AXIS_NOT_SUPPORTED);
+        });
+        it("Throws error when x value is not one of the tick values", () => {
+            graph = new Graph(getAxes(axisCategory));
+            expect(() => {
+                graph.loadContent(new Line(getData([{ x: "Visit 4", y: 10 }])));
+            }).toThrowError(errors.THROW_MSG_INVALID_CATEGORY_VALUE);
+        });
+        it("Throws error when x value is not a string or a number", () => {
+            graph = new Graph(getAxes(axisCategory));
+            expect(() => {
+                graph.loadContent(new Line(getData([{ x: true, y: 10 }])));
+            }).toThrowError(errors.THROW_MSG_INVALID_FORMAT_TYPE);
+        });
+        it("Throws error when zoomed programmatically", () => {
+            graph = new Graph(getAxes(axisCategory));
+            expect(() => {
+                graph.zoomTo("Visit 1", "Visit 2");
+            }).toThrowError(errors.THROW_MSG_CATEGORY_AXIS_NOT_SUPPORTED);
+            expect(() => {
+                graph.resetZoom();
+            }).toThrowError(errors.THROW_MSG_CATEGORY_AXIS_NOT_SUPPORTED);
+        });
+    });
+    describe("When category axis is provided", () => {
+        it("Sets the domain to the tick values", () => {
+            graph = new Graph(getAxes(axisCategory));
+            expect(graph.config.axis.x.domain).toEqual(categories);
+            expect(graph.scale.x.domain()).toEqual(categories);
+        });
+        it("Positions the values at the center of their bands", () => {
+            graph = new Graph(getAxes(axisCategory));
+            const bandWidth = getXAxisWidth(graph.config) / categories.length;
+            categories.forEach((category, index) => {
+                expect(graph.scale.x(category)).toBeCloseTo(
+                    bandWidth * index + bandWidth / 2
+                );
+            });
+        });
+        it("Shows the tick values as is", () => {
+            graph = new Graph(getAxes(axisCategory));
+            const ticks = fetchElementByClass(styles.axisX).querySelectorAll(
+                ".tick text"
+            );
+            expect(
+                Array.prototype.map.call(ticks, (tick) => tick.textContent)
+            ).toEqual(categories);
+        });
+        it("Orders the line data points by the tick values", () => {
+            graph = new Graph(getAxes(axisCategory));
+            const line = new Line(getData(valuesCategory));
+            graph.loadContent(line);
+            expect(
+                line.dataTarget.internalValuesSubset.map((v) => v.x)
+            ).toEqual(categories);
+            expect(document.querySelectorAll(`.${styles.point}`).length).toBe(
+                3
+            );
+        });
+        it("Loads paired result content", () => {
+            graph = new Graph(getAxes(axisCategory));
+            const pairedResult = new PairedResult({
+                key: "uid_pair",
+                label: {
+                    high: {
+                        display: "High"
+                    },
+                    low: {
+                        display: "Low"
+                    }
+                },
+                values: [
+                    {
+                        high: { x: "Visit 2", y: 15 },
+                        low: { x: "Visit 2", y: 5 }
+                    }
+                ]
+            });
+            graph.loadContent(pairedResult);
+            expect(pairedResult.dataTarget.internalValuesSubset[0].high.x).toBe(
+                "Visit 2"
+            );
+        });
+        it("Overlays line on bar", () => {
+            graph = new Graph(getAxes(axisCategory));
+            graph.loadContent(
+                new Bar({
+                    key: "uid_bar",
+                    label: {
+                        display: "Bar Label"
+                    },
+                    values: [
+                        { x: "Visit 1", y: 10 },
+                        { x: "Visit 2", y: 15 },
+                        { x: "Visit 3", y: 5 }
+                    ]
+                })
+            );
+            graph.loadContent(new Line(getData(valuesCategory)));
+            const bars = document.querySelectorAll(`.${styles.bar}`);
+            expect(bars.length).toBe(3);
+            Array.prototype.forEach.call(bars, (bar, index) => {
+                const rect = bar.querySelector("rect");
+                const center =
+                    utils.getNumber(rect.getAttribute("x")) +
+                    utils.getNumber(rect.getAttribute("width")) / 2;
+                expect(center).toBeLessThan(
+                    graph.scale.x(categories[index]) +
+                        getXAxisWidth(graph.config) / categories.length / 2
+                );
+                expect(center).toBeGreaterThan(
+                    graph.scale.x(categories[index]) -
+                        getXAxisWidth(graph.config) / categories.length / 2
+                );
+            });
+        });
+        it("Snaps crosshair to the category", () => {
+            const onCrosshairMove = jasmine.createSpy("onCrosshairMove");
+            graph = new Graph(
+                Object.assign(getAxes(axisCategory), {
+                    crosshair: { onCrosshairMove }
+                })
+            );
+            graph.loadContent(new Line(getData(valuesCategory)));
+            const canvas = fetchElementByClass(styles.canvas);
+            const rect = canvas.getBoundingClientRect();
+            canvas.dispatchEvent(
+                new MouseEvent("mousemove", {
+                    bubbles: true,
+                    cancelable: true,
+                    clientX:
+                        rect.left +
+                        getXAxisXPosition(graph.config) +
+                        graph.scale.x("Visit 2") +
+                        5,
+                    clientY:
+                        rect.top +
+                        calculateVerticalPadding(graph.config) +
+                        graph.scale.y(10)
+                })
+            );
+            expect(onCrosshairMove.calls.mostRecent().args[0].x).toBe(
+                "Visit 2"
+            );
+        });
+    });
+    describe("When Y Axis has a negative lower bound", () => {
+        const getNegativeAxis = (values) => {
+            const axis = utils.deepClone(axisCategory);
+            axis.x.ticks.values = values;
+            axis.y.lowerLimit = -10;
+            return axis;
+        };
+        const getReferenceLinePoints = () =>
+            fetchElementByClass(styles.axisReferenceLine)
+                .getAttribute("d")
+                .split(/[ML]/)
+                .filter((point) => point)
+                .map((point) => point.split(",").map(Number));
+        it("Spans the reference line across the X Axis for multiple categories", () => {
+            graph = new Graph(getAxes(getNegativeAxis(categories)));
+            const points = getReferenceLinePoints();
+            expect(points.length).toBe(2);
+            expect(points[0][0]).toBeCloseTo(0);
+            expect(points[1][0]).toBeCloseTo(getXAxisWidth(graph.config));
+            expect(points[0][1]).toBeCloseTo(graph.scale.y(0));
+            expect(points[1][1]).toBeCloseTo(graph.scale.y(0));
+            expect(graph.scale.x.domain()).toEqual(categories);
+        });
+        it("Spans the reference line across the X Axis for a single category", () => {
+            graph = new Graph(getAxes(getNegativeAxis(["Visit 1"])));
+            const points = getReferenceLinePoints();
+            expect(points[0][0]).toBeCloseTo(0);
+            expect(points[1][0]).toBeCloseTo(getXAxisWidth(graph.config));
+            expect(points.every((point) => !isNaN(point[1]))).toBeTruthy();
+            expect(graph.scale.x.domain()).toEqual(["Visit 1"]);
+        });
+    });
+});
@@ -0,0 +1,230 @@
+"use strict";
+import Graph from "../../../../main/js/controls/Graph/index";
+import Line from "../../../../main/js/controls/Line/Line";
+import PairedResult from "../../../../main/js/controls/PairedResult";
+import {
+    calculateVerticalPadding,
+    getXAxisXPosition
+} from "../../../../main/js/helpers/axis";
+import errors from "../../../../main/js/helpers/errors";
+import styles from "../../../../main/js/helpers/styles";
+import utils from "../../../../main/js/helpers/utils";
+import { triggerEvent } from "../helpers/commonHelpers";
+import {
+    axisDefault,
+    fetchElementByClass,
+    getAxes,
+    getData,
+    valuesDefault
+} from "./helpers";
+
+describe("Crosshair", () => {
+    let graph = null;
+    let graphContainer;
+    const getInputWithCrosshair = (axis, crosshair = {}) =>
+        Object.assign(getAxes(axis), { crosshair });
+    const moveTo = (x, y = 5) => {
+        const canvas = fetchElementByClass(styles.canvas);
+        const rect = canvas.getBoundingClientRect();
+        canvas.dispatchEvent(
+            new MouseEvent("mousemove", {
+                bubbles: true,
+                cancelable: true,
+                clientX:
+                    rect.left +
+                    getXAxisXPosition(graph.config) +
+                    graph.scale.x(x),
+                clientY:
+                    rect.top +
+                    calculateVerticalPadding(graph.config) +
+                    graph.scale.y(y)
+            })
+        );
+    };
+    beforeEach(() => {
+        graphContainer = document.createElement("div");
+        graphContainer.id = "testGraph_carbon";
+        graphContainer.setAttribute("style", "width: 1024px; height: 400px;");
+        document.body.appendChild(graphContainer);
+    });
+    afterEach(() => {
+        document.body.innerHTML = "";
+    });
+    describe("When crosshair is not provided", () => {
+        it("Does not create crosshair", () => {
+            graph = new Graph(getAxes(axisDefault));
+            expect(graph.config.crosshair.enabled).toBeFalsy();
+            expect(fetchElementByClass(styles.crosshair)).toBeNull();
+        });
+    });
+    describe("When crosshair is provided", () => {
+        it("Throws error when onCrosshairMove is not a function", () => {
+            expect(() => {
+                graph = new Graph(
+                    getInputWithCrosshair(axisDefault, {
+                        onCrosshairMove: "dummy"
+                    })
+                );
+            }).toThrowError(errors.THROW_MSG_INVALID_CALLBACK_FUNCTION);
+        });
+        it("Does not create crosshair when enabled is false", () => {
+            graph = new Graph(
+                getInputWithCrosshair(axisDefault, { enabled: false })
+            );
+            expect(fetchElementByClass(styles.crosshair)).toBeNull();
+        });
+        it("Creates crosshair hidden by default", () => {
+            graph = new Graph(getInputWithCrosshair(axisDefault));
+            graph.loadContent(new Line(getData(valuesDefault)));
+            const crosshair = fetchElementByClass(styles.crosshair);
+            expect(crosshair).not.toBeNull();
+            expect(crosshair.getAttribute("aria-hidden")).toBe("true");
+            expect(
+                crosshair.querySelectorAll(`.${styles.crosshairPoint}`).length
+            ).toBe(0);
+        });
+        it("Snaps to the nearest x value and highlights the data point", () => {
+            graph = new Graph(getInputWithCrosshair(axisDefault));
+            const line = new Line(getData(valuesDefault));
+            graph.loadContent(line);
+            moveTo(37);
+            const crosshair = fetchElementByClass(styles.crosshair);
+            const points = crosshair.querySelectorAll(
+                `.${styles.crosshairPoint}`
+            );
+            expect(crosshair.getAttribute("aria-hidden")).toBe("false");
+            expect(
+                utils.getNumber(
+                    crosshair
+                        .querySelector(`.${styles.crosshairLine}`)
+                        .getAttribute("x1")
+                )
+            ).toBeCloseTo(graph.scale.x(35));
+            expect(points.length).toBe(1);
+            expect(utils.getNumber(points[0].getAttribute("cy"))).toBeCloseTo(
+                graph.scale.y(4)
+            );
+        });
+        it("Calls onCrosshairMove with the data points at the x value", () => {
+            const onCrosshairMove = jasmine.createSpy("onCrosshairMove");
+            graph = new Graph(
+                getInputWithCrosshair(axisDefault, { onCrosshairMove })
+            );
+            const line = new Line(getData(valuesDefault));
+            graph.loadContent(line);
+            moveTo(44);
+            expect(onCrosshairMove).toHaveBeenCalledWith({
+                x: 45,
+                values: {
+                    uid_1: [line.dataTarget.internalValuesSubset[1]]
+                }
+            });
+        });
+        it("Calls onCrosshairMove only when the x value changes", () => {
+            const onCrosshairMove = jasmine.createSpy("onCrosshairMove");
+            graph = new Graph(
+                getInputWithCrosshair(axisDefault, { onCrosshairMove })
+            );
+            graph.loadContent(new Line(getData(valuesDefault)));
+            moveTo(44);
+            moveTo(46);
+            expect(onCrosshairMove).toHaveBeenCalledTimes(1);
+            moveTo(34);
+            expect(onCrosshairMove).toHaveBeenCalledTimes(2);
+        });
+        it("Snaps across contents plotted against Y and Y2 axes", () => {
+            const onCrosshairMove = jasmine.createSpy("onCrosshairMove");
+            const axis = utils.deepClone(axisDefault);
+            axis.y2 = {
+                show: true,
+                label: "Some Y2 Label",
+                lowerLimit: 0,
+                upperLimit: 250
+            };
+            graph = new Graph(getInputWithCrosshair(axis, { onCrosshairMove }));
+            graph.loadContent(new Line(getData(valuesDefault)));
+            graph.loadContent(
+                new Line({
+                    key: "uid_2",
+                    yAxis: "y2",
+                    label: {
+                        display: "Data Label 2"
+                    },
+                    values: [{ x: 45, y: 200 }]
+                })
+            );
+            moveTo(45);
+            const points = fetchElementByClass(
+                styles.crosshair
+            ).querySelectorAll(`.${styles.crosshairPoint}`);
+            const crosshair = onCrosshairMove.calls.mostRecent().args[0];
+            expect(Object.keys(crosshair.values)).toEqual(["uid_1", "uid_2"]);
+            expect(points.length).toBe(2);
+            expect(utils.getNumber(points[1].getAttribute("cy"))).toBeCloseTo(
+                graph.scale.y2(200)
+            );
+        });
+        it("Lists each item of the pair for paired result", () => {
+            const onCrosshairMove = jasmine.createSpy("onCrosshairMove");
+            graph = new Graph(
+                getInputWithCrosshair(axisDefault, { onCrosshairMove })
+            );
+            graph.loadContent(
+                new PairedResult({
+                    key: "uid_pair",
+                    label: {
+                        high: {
+                            display: "High"
+                        },
+                        low: {
+                            display: "Low"
+                        }
+                    },
+                    values: [
+                        {
+                            high: { x: 45, y: 10 },
+                            low: { x: 45, y: 2 }
+                        }
+                    ]
+                })
+            );
+            moveTo(40);
+            const values = onCrosshairMove.calls.mostRecent().args[0].values
+                .uid_pair;
+            expect(values.map((v) => v.key)).toEqual([
+                "uid_pair_high",
+                "uid_pair_low"
+            ]);
+        });
+        it("Excludes data points hidden using the legend", () => {
+            const onCrosshairMove = jasmine.createSpy("onCrosshairMove");
+            graph = new Graph(
+                getInputWithCrosshair(axisDefault, { onCrosshairMove })
+            );
+            graph.loadContent(new Line(getData(valuesDefault)));
+            triggerEvent(fetchElementByClass(styles.legendItem), "click");
+            moveTo(35);
+            expect(onCrosshairMove).not.toHaveBeenCalled();
+            expect(
+                fetchElementByClass(styles.crosshair).getAttribute(
+                    "aria-hidden"
+                )
+            ).toBe("true");
+        });
+        it("Hides crosshair and calls onCrosshairMove with null on mouse leave", () => {
+            const onCrosshairMove = jasmine.createSpy("onCrosshairMove");
+            graph = new Graph(
+                getInputWithCrosshair(axisDefault, { onCrosshairMove })
+            );
+            graph.loadContent(new Line(getData(valuesDefault)));
+            moveTo(35);
+            triggerEvent(fetchElementByClass(styles.canvas), "mouseleave");
+            expect(onCrosshairMove.calls.mostRecent().args[0]).toBeNull();
+            expect(
+                fetchElementByClass(styles.crosshair).getAttribute(
+                    "aria-hidden"
+                )
+            ).toBe("true");
+        });
+    });
+});
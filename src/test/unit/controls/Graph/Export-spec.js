@@ -0,0 +1,185 @@
+"use strict";
+import Graph from "../../../../main/js/controls/Graph/index";
+import Line from "../../../../main/js/controls/Line/Line";
+import PairedResult from "../../../../main/js/controls/PairedResult";
+import { EXPORT_FORMAT } from "../../../../main/js/helpers/constants";
+import errors from "../../../../main/js/helpers/errors";
+import styles from "../../../../main/js/helpers/styles";
+import { triggerEvent } from "../helpers/commonHelpers";
+import {
+    axisDefault,
+    axisTimeSeries,
+    fetchElementByClass,
+    getAxes,
+    getData,
+    valuesDefault,
+    valuesTimeSeries
+} from "./helpers";
+
+describe("Export", () => {
+    let graph = null;
+    let graphContainer;
+    const parseSVG = (svg) =>
+        new DOMParser().parseFromString(svg, "image/svg+xml").documentElement;
+    beforeEach(() => {
+        graphContainer = document.createElement("div");
+        graphContainer.id = "testGraph_carbon";
+        graphContainer.setAttribute("style", "width: 1024px; height: 400px;");
+        document.body.appendChild(graphContainer);
+    });
+    afterEach(() => {
+        document.body.innerHTML = "";
+    });
+    it("Rejects when format is not provided", (done) => {
+        graph = new Graph(getAxes(axisDefault));
+        graph.export().catch((error) => {
+            expect(error.message).toBe(errors.THROW_MSG_INVALID_EXPORT_FORMAT);
+            done();
+        });
+    });
+    it("Rejects when format is invalid", (done) => {
+        graph = new Graph(getAxes(axisDefault));
+        graph.export({ format: "pdf" }).catch((error) => {
+            expect(error.message).toBe(errors.THROW_MSG_INVALID_EXPORT_FORMAT);
+            done();
+        });
+    });
+    describe("When format is svg", () => {
+        it("Resolves with standalone svg including the legend", (done) => {
+            graph = new Graph(getAxes(axisDefault));
+            graph.loadContent(new Line(getData(valuesDefault)));
+            graph.export({ format: EXPORT_FORMAT.SVG }).then((svg) => {
+                const svgElement = parseSVG(svg);
+                const canvas = fetchElementByClass(styles.canvas);
+                expect(svgElement.getAttribute("xmlns")).toBe(
+                    "http://www.w3.org/2000/svg"
+                );
+                expect(svgElement.getAttribute("width")).toBe(
+                    canvas.getAttribute("width")
+                );
+                expect(+svgElement.getAttribute("height")).toBeGreaterThan(
+                    +canvas.getAttribute("height")
+                );
+                expect(
+                    svgElement.querySelector(`foreignObject .${styles.legend}`)
+                ).not.toBeNull();
+                done();
+            });
+        });
+        it("Inlines the computed styles", (done) => {
+            graph = new Graph(getAxes(axisDefault));
+            graph.loadContent(new Line(getData(valuesDefault)));
+            graph.export({ format: EXPORT_FORMAT.SVG }).then((svg) => {
+                const line = parseSVG(svg).querySelector(
+                    `.${styles.line} path`
+                );
+                expect(line.style.getPropertyValue("fill")).toBe("none");
+                done();
+            });
+        });
+        it("Does not include the legend when it isn't shown", (done) => {
+            const input = getAxes(axisDefault);
+            input.showLegend = false;
+            graph = new Graph(input);
+            graph.export({ format: EXPORT_FORMAT.SVG }).then((svg) => {
+                const svgElement = parseSVG(svg);
+                expect(svgElement.getAttribute("height")).toBe(
+                    fetchElementByClass(styles.canvas).getAttribute("height")
+                );
+                expect(svgElement.querySelector("foreignObject")).toBeNull();
+                done();
+            });
+        });
+        it("Does not modify the rendered canvas", (done) => {
+            graph = new Graph(getAxes(axisDefault));
+            graph.loadContent(new Line(getData(valuesDefault)));
+            const canvas = fetchElementByClass(styles.canvas);
+            const markup = canvas.outerHTML;
+            graph.export({ format: EXPORT_FORMAT.SVG }).then(() => {
+                expect(canvas.outerHTML).toBe(markup);
+                done();
+            });
+        });
+    });
+    describe("When format is png", () => {
+        it("Resolves with png data url", (done) => {
+            graph = new Graph(getAxes(axisDefault));
+            graph.loadContent(new Line(getData(valuesDefault)));
+            graph.export({ format: EXPORT_FORMAT.PNG }).then((dataURL) => {
+                expect(dataURL.indexOf("data:image/png;base64,")).toBe(0);
+                done();
+            });
+        });
+    });
+    describe("When format is csv", () => {
+        it("Resolves with the data points shown", (done) => {
+            graph = new Graph(getAxes(axisDefault));
+            graph.loadContent(new Line(getData(valuesDefault)));
+            graph.export({ format: EXPORT_FORMAT.CSV }).then((csv) => {
+                expect(csv).toBe(
+                    [
+                        "key,x,y",
+                        "uid_1,35,4",
+                        "uid_1,45,10",
+                        "uid_1,25,35"
+                    ].join("\r\n")
+                );
+                done();
+            });
+        });
+        it("Formats datetime values as ISO8601", (done) => {
+            graph = new Graph(getAxes(axisTimeSeries));
+            graph.loadContent(new Line(getData(valuesTimeSeries)));
+            graph.export({ format: EXPORT_FORMAT.CSV }).then((csv) => {
+                const rows = csv.split("\r\n");
+                expect(rows[1]).toBe(
+                    `uid_1,${new Date(valuesTimeSeries[0].x).toISOString()},${
+                        valuesTimeSeries[0].y
+                    }`
+                );
+                done();
+            });
+        });
+        it("Excludes data points hidden using the legend", (done) => {
+            graph = new Graph(getAxes(axisDefault));
+            graph.loadContent(new Line(getData(valuesDefault)));
+            triggerEvent(fetchElementByClass(styles.legendItem), "click");
+            graph.export({ format: EXPORT_FORMAT.CSV }).then((csv) => {
+                expect(csv).toBe("");
+                done();
+            });
+        });
+        it("Lists each item of the pair for paired result", (done) => {
+            graph = new Graph(getAxes(axisDefault));
+            graph.loadContent(
+                new PairedResult({
+                    key: "uid_pair",
+                    label: {
+                        high: {
+                            display: "High"
+                        },
+                        low: {
+                            display: "Low"
+                        }
+                    },
+                    values: [
+                        {
+                            high: { x: 45, y: 10 },
+                            low: { x: 45, y: 2 }
+                        }
+                    ]
+                })
+            );
+            graph.export({ format: EXPORT_FORMAT.CSV }).then((csv) => {
+                expect(csv).toBe(
+                    [
+                        "key,x,y",
+                        "uid_pair_high,45,10",
+                        "uid_pair_low,45,2"
+                    ].join("\r\n")
+                );
+                done();
+            });
+        });
+    });
+});
@@ -11,6 +11,7 @@ import constants, {
     AXES_ORIENTATION,
     AXIS_TYPE,
     COLORS,
+    REFERENCE_LINE_STYLE,
     SHAPES
 } from "../../../../main/js/helpers/constants";
 import errors from "../../../../main/js/helpers/errors";
@@ -766,6 +767,213 @@ describe("Graph", () => {
                 });
             });
         });
+        describe("When dateline range is provided", () => {
+            const datelineRange = {
+                color: COLORS.GREEN,
+                range: {
+                    start: new Date(2016, 2, 1).toISOString(),
+                    end: new Date(2016, 5, 1).toISOString()
+                }
+            };
+            it("Throws error when range start or end is not a date", () => {
+                expect(() => {
+                    const input = utils.deepClone(getAxes(axisTimeSeries));
+                    input.dateline = [
+                        Object.assign({}, datelineRange, {
+                            range: { start: 20, end: 40 }
+                        })
+                    ];
+                    graph = new Graph(input);
+                }).toThrowError(errors.THROW_MSG_DATELINE_RANGE_NOT_VALID);
+            });
+            it("Throws error when range start is after end", () => {
+                expect(() => {
+                    const input = utils.deepClone(getAxes(axisTimeSeries));
+                    input.dateline = [
+                        Object.assign({}, datelineRange, {
+                            range: {
+                                start: datelineRange.range.end,
+                                end: datelineRange.range.start
+                            }
+                        })
+                    ];
+                    graph = new Graph(input);
+                }).toThrowError(errors.THROW_MSG_DATELINE_RANGE_NOT_VALID);
+            });
+            it("Shades the period between range start and end", () => {
+                const input = utils.deepClone(getAxes(axisTimeSeries));
+                input.dateline = [datelineRange];
+                graph = new Graph(input);
+                const datelineGroupElement = fetchElementByClass(
+                    styles.datelineGroup
+                );
+                const rangeElement = fetchElementByClass(styles.datelineRange);
+                expect(fetchElementByClass(styles.dateline)).toBeNull();
+                expect(rangeElement.parentNode).toBe(datelineGroupElement);
+                expect(rangeElement.getAttribute("pointer-events")).toBe(
+                    "none"
+                );
+                expect(rangeElement.getAttribute("style")).toBe(
+                    `fill: ${COLORS.GREEN};`
+                );
+            });
+            it("Spans the range start to end", (done) => {
+                const input = utils.deepClone(getAxes(axisTimeSeries));
+                input.dateline = [datelineRange];
+                graph = new Graph(input);
+                delay(() => {
+                    const rangeElement = fetchElementByClass(
+                        styles.datelineRange
+                    );
+                    const start = graph.scale.x(
+                        new Date(datelineRange.range.start)
+                    );
+                    expect(
+                        toNumber(rangeElement.getAttribute("x"), 10)
+                    ).toBeCloserTo(start);
+                    expect(
+                        toNumber(rangeElement.getAttribute("width"), 10)
+                    ).toBeCloserTo(
+                        graph.scale.x(new Date(datelineRange.range.end)) - start
+                    );
+                    expect(
+                        toNumber(rangeElement.getAttribute("height"), 10)
+                    ).toBeCloserTo(getYAxisHeight(graph.config));
+                    done();
+                });
+            });
+        });
+        describe("When dateline style is provided", () => {
+            it("Throws error when style is invalid", () => {
+                expect(() => {
+                    const input = utils.deepClone(getAxes(axisTimeSeries));
+                    input.dateline = [
+                        Object.assign(utils.deepClone(datelineJSON[0]), {
+                            style: "wavy"
+                        })
+                    ];
+                    graph = new Graph(input);
+                }).toThrowError(errors.THROW_MSG_DATELINE_STYLE_NOT_VALID);
+            });
+            it("Applies the dash style to the dateline", () => {
+                const input = utils.deepClone(getAxes(axisTimeSeries));
+                input.dateline = [
+                    Object.assign(utils.deepClone(datelineJSON[0]), {
+                        style: REFERENCE_LINE_STYLE.DASHED
+                    })
+                ];
+                graph = new Graph(input);
+                expect(
+                    fetchElementByClass(styles.dateline).getAttribute("style")
+                ).toBe(
+                    `fill: ${COLORS.GREEN}; stroke: ${COLORS.GREEN}; stroke-dasharray: ${REFERENCE_LINE_STYLE.DASHED}`
+                );
+            });
+        });
+        describe("When dateline label is provided", () => {
+            const getDatelineWithLabel = (value, display) =>
+                Object.assign(utils.deepClone(datelineJSON[0]), {
+                    value: value.toISOString(),
+                    label: { display }
+                });
+            const getLabels = () =>
+                document.querySelectorAll(`.${styles.datelineLabel}`);
+            it("Does not render label when display is not provided", () => {
+                const input = utils.deepClone(getAxes(axisTimeSeries));
+                input.dateline = [
+                    Object.assign(utils.deepClone(datelineJSON[0]), {
+                        label: {}
+                    })
+                ];
+                graph = new Graph(input);
+                expect(getLabels().length).toBe(0);
+            });
+            it("Renders label at the top of the dateline", () => {
+                const input = utils.deepClone(getAxes(axisTimeSeries));
+                input.dateline = utils.deepClone(datelineJSON);
+                graph = new Graph(input);
+                const label = fetchElementByClass(styles.datelineLabel);
+                expect(label.textContent).toBe("Release A");
+                expect(label.parentNode.classList).toContain(
+                    styles.datelineLabelGroup
+                );
+                expect(label.getAttribute("text-anchor")).toBe("start");
+                expect(toNumber(label.getAttribute("x"), 10)).toBeCloserTo(
+                    graph.scale.x(new Date(datelineJSON[0].value)) +
+                        constants.DEFAULT_DATELINE_LABEL_PADDING
+                );
+                expect(toNumber(label.getAttribute("y"), 10)).toBe(
+                    constants.DEFAULT_DATELINE_LABEL_PADDING
+                );
+            });
+            it("Renders label at the start of the range", () => {
+                const input = utils.deepClone(getAxes(axisTimeSeries));
+                input.dateline = [
+                    {
+                        color: COLORS.GREEN,
+                        label: { display: "ICU stay" },
+                        range: {
+                            start: new Date(2016, 2, 1).toISOString(),
+                            end: new Date(2016, 5, 1).toISOString()
+                        }
+                    }
+                ];
+                graph = new Graph(input);
+                expect(
+                    toNumber(
+                        fetchElementByClass(styles.datelineLabel).getAttribute(
+                            "x"
+                        ),
+                        10
+                    )
+                ).toBeCloserTo(
+                    graph.scale.x(new Date(2016, 2, 1)) +
+                        constants.DEFAULT_DATELINE_LABEL_PADDING
+                );
+            });
+            it("Renders label to the left when cut off at the right edge", () => {
+                const input = utils.deepClone(getAxes(axisTimeSeries));
+                input.dateline = [
+                    getDatelineWithLabel(new Date(2016, 11, 30), "Shift change")
+                ];
+                graph = new Graph(input);
+                const label = fetchElementByClass(styles.datelineLabel);
+                expect(label.getAttribute("text-anchor")).toBe("end");
+                expect(toNumber(label.getAttribute("x"), 10)).toBeCloserTo(
+                    graph.scale.x(new Date(2016, 11, 30)) -
+                        constants.DEFAULT_DATELINE_LABEL_PADDING
+                );
+            });
+            it("Stacks overlapping labels into rows", () => {
+                const input = utils.deepClone(getAxes(axisTimeSeries));
+                input.dateline = [
+                    getDatelineWithLabel(new Date(2016, 5, 1), "Admission"),
+                    getDatelineWithLabel(new Date(2016, 5, 2), "Procedure"),
+                    getDatelineWithLabel(new Date(2016, 10, 1), "Discharge")
+                ];
+                graph = new Graph(input);
+                const labels = getLabels();
+                const y = Array.prototype.map.call(labels, (label) =>
+                    toNumber(label.getAttribute("y"), 10)
+                );
+                expect(y[1]).toBeGreaterThan(y[0]);
+                expect(y[2]).toBe(y[0]);
+            });
+            it("Hides label outside the zoomed domain", () => {
+                const input = utils.deepClone(getAxes(axisTimeSeries));
+                input.dateline = utils.deepClone(datelineJSON);
+                graph = new Graph(input);
+                graph.zoomTo(
+                    new Date(2016, 0, 1).toISOString(),
+                    new Date(2016, 5, 1).toISOString()
+                );
+                expect(
+                    fetchElementByClass(styles.datelineLabel).getAttribute(
+                        "aria-hidden"
+                    )
+                ).toBe("true");
+            });
+        });
     });
     describe("When beforeInit is called", () => {
         describe("With normal type values", () => {
@@ -2477,6 +2685,33 @@ describe("Graph", () => {
                 throttledInput.throttle
             );
         });
+        it("Does not observe the container by default", () => {
+            expect(graph.config.observeResize).toBeFalsy();
+            expect(graph.resizeObserver).toBeNull();
+        });
+        it("Resizes when the container is resized, if observeResize is enabled", (done) => {
+            const observedInput = getAxes(axisDefault);
+            observedInput.observeResize = true;
+            graph.destroy();
+            graph = new Graph(observedInput);
+            expect(graph.resizeObserver).not.toBeNull();
+            graphContainer.setAttribute("style", "width: 600px; height: 200px");
+            delay(() => {
+                expect(graph.config.canvasWidth).toBe(600);
+                done();
+            }, constants.RESIZE_POLL_INTERVAL * 2);
+        });
+        it("Stops observing the container when destroyed", () => {
+            const observedInput = getAxes(axisDefault);
+            observedInput.observeResize = true;
+            graph.destroy();
+            graph = new Graph(observedInput);
+            const resizeObserver = graph.resizeObserver;
+            spyOn(resizeObserver, "disconnect").and.callThrough();
+            graph.destroy();
+            expect(resizeObserver.disconnect).toHaveBeenCalled();
+            expect(graph.resizeObserver).toBeNull();
+        });
         it("Translates label shape container when Y2 axis is provided", (done) => {
             graph.destroy();
             graph = new Graph(
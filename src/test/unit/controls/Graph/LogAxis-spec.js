@@ -0,0 +1,306 @@
+"use strict";
+import Graph from "../../../../main/js/controls/Graph/index";
+import Line from "../../../../main/js/controls/Line/Line";
+import { calculateVerticalPadding } from "../../../../main/js/helpers/axis";
+import { AXIS_TYPE } from "../../../../main/js/helpers/constants";
+import errors from "../../../../main/js/helpers/errors";
+import styles from "../../../../main/js/helpers/styles";
+import utils from "../../../../main/js/helpers/utils";
+import { fetchElementByClass, getAxes, getData } from "./helpers";
+
+describe("Log Axis", () => {
+    let graph = null;
+    let graphContainer;
+    const getLogAxis = (y = {}) => ({
+        x: {
+            label: "Some X Label",
+            lowerLimit: 0,
+            upperLimit: 100
+        },
+        y: Object.assign(
+            {
+                type: AXIS_TYPE.LOG,
+                label: "Some Y Label",
+                lowerLimit: 1,
+                upperLimit: 10000,
+                rangeRounding: false,
+                padDomain: false
+            },
+            y
+        )
+    });
+    const getTickTexts = (axisClass) =>
+        Array.prototype.map.call(
+            fetchElementByClass(axisClass).querySelectorAll(".tick text"),
+            (text) => text.textContent
+        );
+    beforeEach(() => {
+        graphContainer = document.createElement("div");
+        graphContainer.id = "testGraph_carbon";
+        graphContainer.setAttribute("style", "width: 1024px; height: 400px;");
+        document.body.appendChild(graphContainer);
+    });
+    afterEach(() => {
+        document.body.innerHTML = "";
+    });
+    describe("When input is validated", () => {
+        it("Throws error when x axis type is log", () => {
+            const axis = getLogAxis();
+            axis.x.type = AXIS_TYPE.LOG;
+            expect(() => {
+                graph = new Graph(getAxes(axis));
+            }).toThrowError(errors.THROW_MSG_INVALID_TYPE);
+        });
+        it("Throws error when y axis type is invalid", () => {
+            expect(() => {
+                graph = new Graph(getAxes(getLogAxis({ type: "dummy" })));
+            }).toThrowError(errors.THROW_MSG_INVALID_TYPE);
+        });
+        it("Throws error when lower limit is not positive", () => {
+            expect(() => {
+                graph = new Graph(getAxes(getLogAxis({ lowerLimit: 0 })));
+            }).toThrowError(errors.THROW_MSG_INVALID_LOG_AXIS_LIMITS);
+            expect(() => {
+                graph = new Graph(getAxes(getLogAxis({ lowerLimit: -10 })));
+            }).toThrowError(errors.THROW_MSG_INVALID_LOG_AXIS_LIMITS);
+        });
+        it("Throws error when y2 axis limits are not positive", () => {
+            const axis = getLogAxis();
+            axis.y2 = {
+                show: true,
+                type: AXIS_TYPE.LOG,
+                label: "Some Y2 Label",
+                lowerLimit: 0,
+                upperLimit: 100
+            };
+            expect(() => {
+                graph = new Graph(getAxes(axis));
+            }).toThrowError(errors.THROW_MSG_INVALID_LOG_AXIS_LIMITS);
+        });
+        it("Throws error when base is invalid", () => {
+            [1, 0, -2, "10"].forEach((base) => {
+                expect(() => {
+                    graph = new Graph(getAxes(getLogAxis({ base })));
+                }).toThrowError(errors.THROW_MSG_INVALID_LOG_AXIS_BASE);
+            });
+        });
+        it("Throws error when content has values that are not positive", () => {
+            graph = new Graph(getAxes(getLogAxis()));
+            expect(() => {
+                graph.loadContent(
+                    new Line(getData([{ x: 10, y: 100 }, { x: 20, y: 0 }]))
+                );
+            }).toThrowError(errors.THROW_MSG_INVALID_LOG_AXIS_VALUES);
+        });
+        it("Throws error when content is updated with values that are not positive", () => {
+            graph = new Graph(getAxes(getLogAxis()));
+            graph.loadContent(new Line(getData([{ x: 10, y: 100 }])));
+            expect(() => {
+                graph.updateContent("uid_1", {
+                    values: [{ x: 10, y: -1 }]
+                });
+            }).toThrowError(errors.THROW_MSG_INVALID_LOG_AXIS_VALUES);
+        });
+        it("Does not update the content when updated values are not positive", () => {
+            graph = new Graph(getAxes(getLogAxis()));
+            graph.loadContent(new Line(getData([{ x: 10, y: 100 }])));
+            const content = graph.content[0];
+            expect(() => {
+                graph.updateContent("uid_1", {
+                    values: [{ x: 10, y: -1 }]
+                });
+            }).toThrowError(errors.THROW_MSG_INVALID_LOG_AXIS_VALUES);
+            expect(content.config.values).toEqual([{ x: 10, y: 100 }]);
+            expect(content.valuesRange.y.min).toBe(100);
+            expect(content.dataTarget.values).toEqual([{ x: 10, y: 100 }]);
+            expect(content.dataTarget.internalValuesSubset.length).toBe(1);
+        });
+        it("Does not append to the content when appended values are not positive", () => {
+            graph = new Graph(getAxes(getLogAxis()));
+            graph.loadContent(new Line(getData([{ x: 10, y: 100 }])));
+            const content = graph.content[0];
+            expect(() => {
+                graph.appendContent("uid_1", [
+                    { x: 20, y: 50 },
+                    { x: 30, y: 0 }
+                ]);
+            }).toThrowError(errors.THROW_MSG_INVALID_LOG_AXIS_VALUES);
+            expect(content.valuesRange.y.min).toBe(100);
+            expect(content.dataTarget.values).toEqual([{ x: 10, y: 100 }]);
+            expect(content.dataTarget.internalValuesSubset.length).toBe(1);
+        });
+        it("Does not validate content plotted against a default axis", () => {
+            const axis = getLogAxis();
+            axis.y2 = {
+                show: true,
+                label: "Some Y2 Label",
+                lowerLimit: -10,
+                upperLimit: 10
+            };
+            graph = new Graph(getAxes(axis));
+            expect(() => {
+                graph.loadContent(
+                    new Line(
+                        Object.assign(getData([{ x: 10, y: -5 }]), {
+                            yAxis: "y2"
+                        })
+                    )
+                );
+            }).not.toThrow();
+        });
+        it("Throws error when reference lines are not positive", () => {
+            [0, -10].forEach((value) => {
+                expect(() => {
+                    graph = new Graph(
+                        Object.assign(getAxes(getLogAxis()), {
+                            referenceLines: [{ value }]
+                        })
+                    );
+                }).toThrowError(
+                    errors.THROW_MSG_INVALID_LOG_AXIS_REFERENCE_LINE
+                );
+            });
+        });
+        it("Does not validate reference lines drawn against a default axis", () => {
+            const axis = getLogAxis();
+            axis.y2 = {
+                show: true,
+                label: "Some Y2 Label",
+                lowerLimit: -10,
+                upperLimit: 10
+            };
+            expect(() => {
+                graph = new Graph(
+                    Object.assign(getAxes(axis), {
+                        referenceLines: [{ value: -5, axis: "y2" }]
+                    })
+                );
+            }).not.toThrow();
+            expect(graph.config.axis.y.domain.lowerLimit).toBe(1);
+        });
+        it("Throws error when content has reference lines that are not positive", () => {
+            graph = new Graph(getAxes(getLogAxis()));
+            expect(() => {
+                graph.loadContent(
+                    new Line(
+                        Object.assign(getData([{ x: 10, y: 100 }]), {
+                            referenceLines: [{ value: 0 }]
+                        })
+                    )
+                );
+            }).toThrowError(errors.THROW_MSG_INVALID_LOG_AXIS_REFERENCE_LINE);
+            expect(graph.content.length).toBe(0);
+        });
+        it("Throws error when content is updated with reference lines that are not positive", () => {
+            graph = new Graph(getAxes(getLogAxis()));
+            graph.loadContent(new Line(getData([{ x: 10, y: 100 }])));
+            expect(() => {
+                graph.updateContent("uid_1", {
+                    referenceLines: [{ value: -1 }]
+                });
+            }).toThrowError(errors.THROW_MSG_INVALID_LOG_AXIS_REFERENCE_LINE);
+            expect(graph.content[0].config.referenceLines).toBeUndefined();
+        });
+    });
+    describe("When log axis is provided", () => {
+        it("Sets the type and default base", () => {
+            graph = new Graph(getAxes(getLogAxis()));
+            expect(graph.config.axis.y.type).toBe(AXIS_TYPE.LOG);
+            expect(graph.config.axis.y.base).toBe(10);
+        });
+        it("Creates a log scale", () => {
+            graph = new Graph(getAxes(getLogAxis()));
+            expect(graph.scale.y.domain()).toEqual([1, 10000]);
+            expect(graph.scale.y(100)).toBeCloseTo(
+                (graph.scale.y(1) + graph.scale.y(10000)) / 2
+            );
+        });
+        it("Creates ticks at powers of the base", () => {
+            graph = new Graph(getAxes(getLogAxis()));
+            expect(getTickTexts(styles.axisY)).toEqual([
+                "1",
+                "10",
+                "100",
+                "1,000",
+                "10,000"
+            ]);
+        });
+        it("Creates ticks at powers of the base provided", () => {
+            graph = new Graph(
+                getAxes(getLogAxis({ base: 2, lowerLimit: 1, upperLimit: 16 }))
+            );
+            expect(getTickTexts(styles.axisY)).toEqual([
+                "1",
+                "2",
+                "4",
+                "8",
+                "16"
+            ]);
+        });
+        it("Skips powers of the base when the axis is not tall enough", () => {
+            graph = new Graph(
+                Object.assign(
+                    getAxes(getLogAxis({ lowerLimit: 0.001, upperLimit: 1e9 })),
+                    {
+                        dimension: {
+                            height: 100
+                        }
+                    }
+                )
+            );
+            const ticks = getTickTexts(styles.axisY);
+            expect(ticks.length).toBeLessThan(13);
+            expect(ticks[0]).toBe("0.001");
+        });
+        it("Uses the tick values and format provided", () => {
+            graph = new Graph(
+                getAxes(
+                    getLogAxis({
+                        ticks: {
+                            values: [1, 50, 5000],
+                            format: ".0e"
+                        }
+                    })
+                )
+            );
+            expect(getTickTexts(styles.axisY)).toEqual([
+                "1e+0",
+                "5e+1",
+                "5e+3"
+            ]);
+        });
+        it("Positions regions using the log scale", () => {
+            graph = new Graph(getAxes(getLogAxis()));
+            const input = getData([{ x: 10, y: 100 }]);
+            input.regions = [
+                {
+                    start: 10,
+                    end: 1000
+                }
+            ];
+            graph.loadContent(new Line(input));
+            const region = fetchElementByClass(styles.region);
+            expect(utils.getNumber(region.getAttribute("y"))).toBeCloseTo(
+                graph.scale.y(1000) + calculateVerticalPadding(graph.config),
+                0
+            );
+        });
+        it("Stretches the domain for outliers in log space", () => {
+            graph = new Graph(getAxes(getLogAxis()));
+            graph.loadContent(
+                new Line(getData([{ x: 10, y: 100 }, { x: 20, y: 1000000 }]))
+            );
+            expect(graph.config.axis.y.domain.lowerLimit).toBeCloseTo(1);
+            expect(graph.config.axis.y.domain.upperLimit).toBeCloseTo(1000000);
+            expect(graph.config.outlierStretchFactor.upperLimit).toBeCloseTo(2);
+        });
+        it("Pads the domain in log space", () => {
+            graph = new Graph(getAxes(getLogAxis({ padDomain: true })));
+            graph.loadContent(new Line(getData([{ x: 10, y: 100 }])));
+            const domain = graph.config.axis.y.domain;
+            expect(domain.lowerLimit).toBeGreaterThan(0);
+            expect(domain.lowerLimit).toBeLessThan(1);
+            expect(domain.lowerLimit * domain.upperLimit).toBeCloseTo(10000);
+        });
+    });
+});
@@ -0,0 +1,317 @@
+"use strict";
+import Graph from "../../../../main/js/controls/Graph/index";
+import { getYAxisHeight } from "../../../../main/js/helpers/axis";
+import {
+    AXIS_TYPE,
+    GRAPH_ORIENTATION
+} from "../../../../main/js/helpers/constants";
+import errors from "../../../../main/js/helpers/errors";
+import LOCALE from "../../../../main/js/locale";
+import styles from "../../../../main/js/helpers/styles";
+import { axisDefault, fetchElementByClass, getAxes } from "./helpers";
+
+describe("Periodic Shading", () => {
+    let graph = null;
+    let graphContainer;
+    const axisTwoWeeks = {
+        x: {
+            type: AXIS_TYPE.TIME_SERIES,
+            label: "Some X Label",
+            lowerLimit: "2016-01-04T00:00:00Z",
+            upperLimit: "2016-01-18T00:00:00Z",
+            rangeRounding: false
+        },
+        y: {
+            label: "Some Y Label",
+            lowerLimit: 0,
+            upperLimit: 20
+        }
+    };
+    const getInputWithPeriodicShading = (axis, periodicShading) =>
+        Object.assign(getAxes(axis), { periodicShading });
+    const getShadingRects = () =>
+        document.querySelectorAll(`.${styles.periodicShading} rect`);
+    beforeEach(() => {
+        graphContainer = document.createElement("div");
+        graphContainer.id = "testGraph_carbon";
+        graphContainer.setAttribute("style", "width: 1024px; height: 400px;");
+        document.body.appendChild(graphContainer);
+    });
+    afterEach(() => {
+        document.body.innerHTML = "";
+    });
+    describe("When periodic shading is not provided", () => {
+        it("Does not create periodic shading", () => {
+            graph = new Graph(getAxes(axisTwoWeeks));
+            expect(graph.config.periodicShading).toEqual([]);
+            expect(fetchElementByClass(styles.periodicShadingGroup)).toBeNull();
+        });
+    });
+    describe("When periodic shading is provided", () => {
+        it("Throws error when x axis is not timeseries", () => {
+            expect(() => {
+                graph = new Graph(
+                    getInputWithPeriodicShading(axisDefault, [{ days: [0, 6] }])
+                );
+            }).toThrowError(errors.THROW_MSG_INVALID_TYPE);
+        });
+        it("Throws error for horizontal orientation", () => {
+            const input = getInputWithPeriodicShading(axisTwoWeeks, [
+                { days: [0, 6] }
+            ]);
+            input.orientation = GRAPH_ORIENTATION.HORIZONTAL;
+            expect(() => {
+                graph = new Graph(input);
+            }).toThrowError(
+                errors.THROW_MSG_HORIZONTAL_ORIENTATION_NOT_SUPPORTED
+            );
+        });
+        it("Throws error when periodic shading is invalid", () => {
+            [
+                {},
+                [{}],
+                [{ color: "#f4f4f4" }],
+                [{ days: [] }],
+                [{ days: [7] }],
+                [{ start: "7:00" }],
+                [{ start: "19:00", end: "24:00" }],
+                [{ intervals: [] }],
+                [{ days: [0, 6], timeZone: "Not/A_Zone" }],
+                [{ weekend: "yes" }],
+                [{ weekend: false }],
+                [{ weekend: true, days: [0] }]
+            ].forEach((periodicShading) => {
+                expect(() => {
+                    graph = new Graph(
+                        getInputWithPeriodicShading(
+                            axisTwoWeeks,
+                            periodicShading
+                        )
+                    );
+                }).toThrowError(errors.THROW_MSG_INVALID_PERIODIC_SHADING);
+                document.body.innerHTML = "";
+                document.body.appendChild(graphContainer);
+            });
+        });
+        it("Creates periodic shading beneath the regions and grid", () => {
+            graph = new Graph(
+                getInputWithPeriodicShading(axisTwoWeeks, [
+                    { days: [0, 6], timeZone: "UTC" }
+                ])
+            );
+            const shadingGroup = fetchElementByClass(
+                styles.periodicShadingGroup
+            );
+            expect(shadingGroup).not.toBeNull();
+            expect(shadingGroup.nextSibling).toBe(
+                fetchElementByClass(styles.regionGroup)
+            );
+            expect(
+                shadingGroup.querySelectorAll(`.${styles.periodicShading}`)
+                    .length
+            ).toBe(1);
+        });
+        it("Shades each weekend as a single period", () => {
+            graph = new Graph(
+                getInputWithPeriodicShading(axisTwoWeeks, [
+                    { days: [0, 6], timeZone: "UTC", color: "#f4f4f4" }
+                ])
+            );
+            const rects = getShadingRects();
+            expect(rects.length).toBe(2);
+            expect(+rects[0].getAttribute("x")).toBeCloseTo(
+                graph.scale.x(new Date("2016-01-09T00:00:00Z"))
+            );
+            expect(+rects[0].getAttribute("width")).toBeCloseTo(
+                graph.scale.x(new Date("2016-01-11T00:00:00Z")) -
+                    graph.scale.x(new Date("2016-01-09T00:00:00Z"))
+            );
+            expect(+rects[0].getAttribute("y")).toBe(0);
+            expect(+rects[0].getAttribute("height")).toBe(
+                getYAxisHeight(graph.config)
+            );
+            expect(rects[0].getAttribute("style")).toBe("fill: #f4f4f4;");
+        });
+        it("Shades the weekend of the default locale", () => {
+            graph = new Graph(
+                getInputWithPeriodicShading(axisTwoWeeks, [
+                    { weekend: true, timeZone: "UTC" }
+                ])
+            );
+            expect(graph.config.periodicShading[0].days).toEqual([0, 6]);
+            const rects = getShadingRects();
+            expect(rects.length).toBe(2);
+            expect(+rects[0].getAttribute("x")).toBeCloseTo(
+                graph.scale.x(new Date("2016-01-09T00:00:00Z"))
+            );
+        });
+        it("Shades the weekend of the locale provided", () => {
+            const input = getInputWithPeriodicShading(axisTwoWeeks, [
+                { weekend: true, timeZone: "UTC" }
+            ]);
+            input.locale = Object.assign({}, LOCALE.en_US, {
+                weekend: [5, 6]
+            });
+            graph = new Graph(input);
+            const rects = getShadingRects();
+            expect(rects.length).toBe(2);
+            expect(+rects[0].getAttribute("x")).toBeCloseTo(
+                graph.scale.x(new Date("2016-01-08T00:00:00Z"))
+            );
+            expect(+rects[0].getAttribute("width")).toBeCloseTo(
+                graph.scale.x(new Date("2016-01-10T00:00:00Z")) -
+                    graph.scale.x(new Date("2016-01-08T00:00:00Z"))
+            );
+        });
+        it("Throws error when the weekend of the locale is invalid", () => {
+            const input = getInputWithPeriodicShading(axisTwoWeeks, [
+                { weekend: true }
+            ]);
+            input.locale = Object.assign({}, LOCALE.en_US, { weekend: [7] });
+            expect(() => {
+                graph = new Graph(input);
+            }).toThrowError(errors.THROW_MSG_INVALID_PERIODIC_SHADING);
+        });
+        it("Shades periods wrapping around midnight, within the content area", () => {
+            graph = new Graph(
+                getInputWithPeriodicShading(
+                    Object.assign({}, axisTwoWeeks, {
+                        x: Object.assign({}, axisTwoWeeks.x, {
+                            upperLimit: "2016-01-06T00:00:00Z"
+                        })
+                    }),
+                    [{ start: "19:00", end: "07:00", timeZone: "UTC" }]
+                )
+            );
+            const rects = getShadingRects();
+            const range = graph.scale.x.range();
+            expect(rects.length).toBe(3);
+            expect(+rects[0].getAttribute("x")).toBeCloseTo(range[0]);
+            expect(+rects[0].getAttribute("width")).toBeCloseTo(
+                graph.scale.x(new Date("2016-01-04T07:00:00Z")) - range[0]
+            );
+            expect(+rects[1].getAttribute("x")).toBeCloseTo(
+                graph.scale.x(new Date("2016-01-04T19:00:00Z"))
+            );
+            expect(
+                +rects[2].getAttribute("x") + +rects[2].getAttribute("width")
+            ).toBeCloseTo(range[1]);
+        });
+        it("Shades periods across a daylight saving time transition in the time zone", () => {
+            graph = new Graph(
+                getInputWithPeriodicShading(
+                    Object.assign({}, axisTwoWeeks, {
+                        x: Object.assign({}, axisTwoWeeks.x, {
+                            lowerLimit: "2016-03-12T18:00:00Z",
+                            upperLimit: "2016-03-14T18:00:00Z"
+                        })
+                    }),
+                    [
+                        {
+                            start: "19:00",
+                            end: "07:00",
+                            timeZone: "America/Chicago"
+                        }
+                    ]
+                )
+            );
+            const rects = getShadingRects();
+            expect(rects.length).toBe(2);
+            // 19:00 CST to 07:00 CDT, clocks move forward at 02:00 on 2016-03-13
+            expect(+rects[0].getAttribute("x")).toBeCloseTo(
+                graph.scale.x(new Date("2016-03-13T01:00:00Z"))
+            );
+            expect(+rects[0].getAttribute("width")).toBeCloseTo(
+                graph.scale.x(new Date("2016-03-13T12:00:00Z")) -
+                    graph.scale.x(new Date("2016-03-13T01:00:00Z"))
+            );
+            // 19:00 CDT to 07:00 CDT
+            expect(+rects[1].getAttribute("x")).toBeCloseTo(
+                graph.scale.x(new Date("2016-03-14T00:00:00Z"))
+            );
+            expect(+rects[1].getAttribute("width")).toBeCloseTo(
+                graph.scale.x(new Date("2016-03-14T12:00:00Z")) -
+                    graph.scale.x(new Date("2016-03-14T00:00:00Z"))
+            );
+        });
+        it("Shades periods in the browser time zone when time zone is not provided", () => {
+            graph = new Graph(
+                getInputWithPeriodicShading(
+                    Object.assign({}, axisTwoWeeks, {
+                        x: Object.assign({}, axisTwoWeeks.x, {
+                            lowerLimit: new Date(2016, 0, 4, 12).toISOString(),
+                            upperLimit: new Date(2016, 0, 6, 12).toISOString()
+                        })
+                    }),
+                    [{ start: "19:00", end: "07:00" }]
+                )
+            );
+            const rects = getShadingRects();
+            expect(rects.length).toBe(2);
+            expect(+rects[0].getAttribute("x")).toBeCloseTo(
+                graph.scale.x(new Date(2016, 0, 4, 19))
+            );
+            expect(+rects[0].getAttribute("width")).toBeCloseTo(
+                graph.scale.x(new Date(2016, 0, 5, 7)) -
+                    graph.scale.x(new Date(2016, 0, 4, 19))
+            );
+            expect(+rects[1].getAttribute("x")).toBeCloseTo(
+                graph.scale.x(new Date(2016, 0, 5, 19))
+            );
+        });
+        it("Shades intervals returned by the intervals function", () => {
+            const intervals = jasmine.createSpy("intervals").and.returnValue([
+                {
+                    start: "2016-01-05T00:00:00Z",
+                    end: "2016-01-06T00:00:00Z"
+                },
+                {
+                    start: "2016-02-01T00:00:00Z",
+                    end: "2016-02-02T00:00:00Z"
+                }
+            ]);
+            graph = new Graph(
+                getInputWithPeriodicShading(axisTwoWeeks, [{ intervals }])
+            );
+            expect(intervals).toHaveBeenCalledWith(graph.scale.x.domain());
+            expect(getShadingRects().length).toBe(1);
+        });
+    });
+    describe("When resized", () => {
+        it("Translates the periodic shading", () => {
+            graph = new Graph(
+                getInputWithPeriodicShading(axisTwoWeeks, [
+                    { days: [0, 6], timeZone: "UTC" }
+                ])
+            );
+            const width = +getShadingRects()[0].getAttribute("width");
+            graphContainer.setAttribute(
+                "style",
+                "width: 800px; height: 400px;"
+            );
+            graph.resize();
+            const rect = getShadingRects()[0];
+            expect(+rect.getAttribute("width")).toBeLessThan(width);
+            expect(+rect.getAttribute("x")).toBeCloseTo(
+                graph.scale.x(new Date("2016-01-09T00:00:00Z"))
+            );
+        });
+    });
+    describe("When zoomed", () => {
+        it("Generates the periodic shading for the zoomed domain", () => {
+            graph = new Graph(
+                getInputWithPeriodicShading(axisTwoWeeks, [
+                    { days: [0, 6], timeZone: "UTC" }
+                ])
+            );
+            graph.zoomTo("2016-01-04T00:00:00Z", "2016-01-10T00:00:00Z");
+            const rects = getShadingRects();
+            expect(rects.length).toBe(1);
+            expect(
+                +rects[0].getAttribute("x") + +rects[0].getAttribute("width")
+            ).toBeCloseTo(graph.scale.x.range()[1]);
+            graph.resetZoom();
+            expect(getShadingRects().length).toBe(2);
+        });
+    });
+});
@@ -0,0 +1,354 @@
+"use strict";
+import Graph from "../../../../main/js/controls/Graph/index";
+import Line from "../../../../main/js/controls/Line/Line";
+import {
+    calculateVerticalPadding,
+    getXAxisWidth,
+    getXAxisXPosition
+} from "../../../../main/js/helpers/axis";
+import constants, {
+    GRAPH_ORIENTATION,
+    REFERENCE_LINE_LABEL_ALIGN,
+    REFERENCE_LINE_STYLE
+} from "../../../../main/js/helpers/constants";
+import errors from "../../../../main/js/helpers/errors";
+import styles from "../../../../main/js/helpers/styles";
+import { triggerEvent } from "../helpers/commonHelpers";
+import {
+    axisDefault,
+    fetchElementByClass,
+    getAxes,
+    getData,
+    valuesDefault
+} from "./helpers";
+
+describe("Reference Lines", () => {
+    let graph = null;
+    let graphContainer;
+    const axisWithY2 = Object.assign({}, axisDefault, {
+        y2: {
+            show: true,
+            label: "Some Y2 Label",
+            lowerLimit: 0,
+            upperLimit: 200
+        }
+    });
+    const getInputWithReferenceLines = (referenceLines, axis = axisDefault) =>
+        Object.assign(getAxes(axis), { referenceLines });
+    const getLine = () =>
+        fetchElementByClass(styles.referenceLine).querySelector("line");
+    const getY = (value, axis = constants.Y_AXIS) =>
+        graph.scale[axis](value) + calculateVerticalPadding(graph.config);
+    beforeEach(() => {
+        graphContainer = document.createElement("div");
+        graphContainer.id = "testGraph_carbon";
+        graphContainer.setAttribute("style", "width: 1024px; height: 400px;");
+        document.body.appendChild(graphContainer);
+    });
+    afterEach(() => {
+        document.body.innerHTML = "";
+    });
+    describe("When reference lines are not provided", () => {
+        it("Does not create reference lines", () => {
+            graph = new Graph(getAxes(axisDefault));
+            expect(graph.config.referenceLines).toEqual([]);
+            expect(fetchElementByClass(styles.referenceLine)).toBeNull();
+        });
+    });
+    describe("When reference lines are provided for the graph", () => {
+        it("Creates reference lines above the grid and beneath the content", () => {
+            graph = new Graph(
+                getInputWithReferenceLines([{ value: 10 }, { value: 15 }])
+            );
+            const referenceLineGroup = fetchElementByClass(
+                styles.referenceLineGroup
+            );
+            expect(
+                referenceLineGroup.querySelectorAll(`.${styles.referenceLine}`)
+                    .length
+            ).toBe(2);
+            expect(referenceLineGroup.previousSibling.classList).toContain(
+                styles.grid
+            );
+            expect(referenceLineGroup.nextSibling.classList).toContain(
+                styles.contentContainer
+            );
+        });
+        it("Spans the width of the X Axis at the value provided", () => {
+            graph = new Graph(getInputWithReferenceLines([{ value: 10 }]));
+            const line = getLine();
+            expect(+line.getAttribute("x1")).toBe(
+                getXAxisXPosition(graph.config)
+            );
+            expect(+line.getAttribute("x2")).toBe(
+                getXAxisXPosition(graph.config) + getXAxisWidth(graph.config)
+            );
+            expect(+line.getAttribute("y1")).toBeCloseTo(getY(10));
+            expect(+line.getAttribute("y2")).toBeCloseTo(getY(10));
+        });
+        it("Creates reference lines for y2 axis", () => {
+            graph = new Graph(
+                getInputWithReferenceLines(
+                    [{ value: 150, axis: constants.Y2_AXIS }],
+                    axisWithY2
+                )
+            );
+            expect(+getLine().getAttribute("y1")).toBeCloseTo(
+                getY(150, constants.Y2_AXIS)
+            );
+        });
+        it("Includes the value in the axis domain", () => {
+            graph = new Graph(
+                getInputWithReferenceLines(
+                    [{ value: 30 }, { value: 250, axis: constants.Y2_AXIS }],
+                    axisWithY2
+                )
+            );
+            expect(graph.config.axis.y.domain.upperLimit).toBe(30);
+            expect(graph.config.axis.y2.domain.upperLimit).toBe(250);
+            expect(+getLine().getAttribute("y1")).toBeGreaterThanOrEqual(
+                calculateVerticalPadding(graph.config)
+            );
+        });
+        it("Is solid by default", () => {
+            graph = new Graph(getInputWithReferenceLines([{ value: 10 }]));
+            expect(getLine().getAttribute("style")).toBe(
+                "stroke-dasharray: none;"
+            );
+        });
+        it("Applies the dash style and color provided", () => {
+            graph = new Graph(
+                getInputWithReferenceLines([
+                    {
+                        value: 10,
+                        color: "#c8cacb",
+                        style: REFERENCE_LINE_STYLE.DASHED
+                    }
+                ])
+            );
+            expect(getLine().getAttribute("style")).toBe(
+                `stroke: #c8cacb; stroke-dasharray: ${REFERENCE_LINE_STYLE.DASHED};`
+            );
+        });
+        it("Does not render label when not provided", () => {
+            graph = new Graph(getInputWithReferenceLines([{ value: 10 }]));
+            expect(fetchElementByClass(styles.referenceLineLabel)).toBeNull();
+        });
+        it("Renders label above the line at the right edge by default", () => {
+            graph = new Graph(
+                getInputWithReferenceLines([
+                    { value: 10, label: { display: "Goal LDL < 100" } }
+                ])
+            );
+            const label = fetchElementByClass(styles.referenceLineLabel);
+            expect(label.textContent).toBe("Goal LDL < 100");
+            expect(label.getAttribute("text-anchor")).toBe("end");
+            expect(+label.getAttribute("x")).toBe(
+                getXAxisXPosition(graph.config) +
+                    getXAxisWidth(graph.config) -
+                    constants.DEFAULT_REFERENCE_LINE_LABEL_PADDING
+            );
+            expect(+label.getAttribute("y")).toBeLessThan(getY(10));
+        });
+        it("Renders label at the left edge when aligned", () => {
+            graph = new Graph(
+                getInputWithReferenceLines([
+                    {
+                        value: 10,
+                        label: {
+                            display: "Goal LDL < 100",
+                            align: REFERENCE_LINE_LABEL_ALIGN.LEFT
+                        }
+                    }
+                ])
+            );
+            const label = fetchElementByClass(styles.referenceLineLabel);
+            expect(label.getAttribute("text-anchor")).toBe("start");
+            expect(+label.getAttribute("x")).toBe(
+                getXAxisXPosition(graph.config) +
+                    constants.DEFAULT_REFERENCE_LINE_LABEL_PADDING
+            );
+        });
+        it("Renders label beneath the line when cut off at the top", () => {
+            graph = new Graph(
+                getInputWithReferenceLines([
+                    { value: 20, label: { display: "Goal LDL < 100" } }
+                ])
+            );
+            expect(
+                +fetchElementByClass(styles.referenceLineLabel).getAttribute(
+                    "y"
+                )
+            ).toBeGreaterThan(getY(20));
+        });
+        it("Is not affected by the legend", () => {
+            graph = new Graph(getInputWithReferenceLines([{ value: 10 }]));
+            expect(
+                fetchElementByClass(
+                    styles.referenceLine
+                ).parentNode.hasAttribute("aria-describedby")
+            ).toBeFalsy();
+        });
+        it("Throws error when value is not a number", () => {
+            expect(() => {
+                graph = new Graph(
+                    getInputWithReferenceLines([{ value: "10" }])
+                );
+            }).toThrowError(errors.THROW_MSG_INVALID_REFERENCE_LINE);
+        });
+        it("Throws error when y2 axis is not available", () => {
+            expect(() => {
+                graph = new Graph(
+                    getInputWithReferenceLines([
+                        { value: 10, axis: constants.Y2_AXIS }
+                    ])
+                );
+            }).toThrowError(errors.THROW_MSG_INVALID_REFERENCE_LINE);
+        });
+        it("Throws error when style is invalid", () => {
+            expect(() => {
+                graph = new Graph(
+                    getInputWithReferenceLines([{ value: 10, style: "wavy" }])
+                );
+            }).toThrowError(errors.THROW_MSG_INVALID_REFERENCE_LINE);
+        });
+        it("Throws error when label alignment is invalid", () => {
+            expect(() => {
+                graph = new Graph(
+                    getInputWithReferenceLines([
+                        { value: 10, label: { display: "A", align: "middle" } }
+                    ])
+                );
+            }).toThrowError(errors.THROW_MSG_INVALID_REFERENCE_LINE);
+        });
+        it("Throws error for horizontal orientation", () => {
+            const input = getInputWithReferenceLines([{ value: 10 }]);
+            input.orientation = GRAPH_ORIENTATION.HORIZONTAL;
+            expect(() => {
+                graph = new Graph(input);
+            }).toThrowError(
+                errors.THROW_MSG_HORIZONTAL_ORIENTATION_NOT_SUPPORTED
+            );
+        });
+    });
+    describe("When resized", () => {
+        it("Translates the reference lines", () => {
+            graph = new Graph(getInputWithReferenceLines([{ value: 10 }]));
+            const x2 = +getLine().getAttribute("x2");
+            graphContainer.setAttribute(
+                "style",
+                "width: 800px; height: 400px;"
+            );
+            graph.resize();
+            expect(+getLine().getAttribute("x2")).toBeLessThan(x2);
+            expect(+getLine().getAttribute("x2")).toBe(
+                getXAxisXPosition(graph.config) + getXAxisWidth(graph.config)
+            );
+        });
+    });
+    describe("When reference lines are provided for the content", () => {
+        const getContentWithReferenceLines = (referenceLines, key = "uid_1") =>
+            Object.assign(getData(valuesDefault), {
+                key,
+                label: { display: `Data Label ${key}` },
+                referenceLines
+            });
+        beforeEach(() => {
+            graph = new Graph(getAxes(axisDefault));
+        });
+        it("Creates reference lines identified by the content", () => {
+            graph.loadContent(
+                new Line(getContentWithReferenceLines([{ value: 10 }]))
+            );
+            const referenceLine = fetchElementByClass(styles.referenceLine);
+            expect(
+                referenceLine.parentNode.getAttribute("aria-describedby")
+            ).toBe("reference_line_uid_1");
+            expect(referenceLine.getAttribute("aria-hidden")).toBe("false");
+            expect(+getLine().getAttribute("y1")).toBeCloseTo(getY(10));
+        });
+        it("Includes the value in the values range", () => {
+            const line = new Line(
+                getContentWithReferenceLines([{ value: 50 }])
+            );
+            expect(line.valuesRange.y.max).toBe(50);
+            graph.loadContent(line);
+            expect(graph.scale.y.domain()[1]).toBeGreaterThanOrEqual(50);
+        });
+        it("Throws error when axis is different than the content axis", () => {
+            expect(() => {
+                new Line(
+                    getContentWithReferenceLines([
+                        { value: 10, axis: constants.Y2_AXIS }
+                    ])
+                );
+            }).toThrowError(errors.THROW_MSG_INVALID_REFERENCE_LINE);
+        });
+        it("Hides the reference lines when content is hidden using legend", (done) => {
+            graph.loadContent(
+                new Line(getContentWithReferenceLines([{ value: 10 }]))
+            );
+            triggerEvent(
+                fetchElementByClass(styles.legendItem),
+                "click",
+                () => {
+                    expect(
+                        fetchElementByClass(styles.referenceLine).getAttribute(
+                            "aria-hidden"
+                        )
+                    ).toBe("true");
+                    done();
+                }
+            );
+        });
+        it("Blurs the reference lines of the rest of the content when legend item is hovered", (done) => {
+            graph.loadContent(
+                new Line(getContentWithReferenceLines([{ value: 10 }]))
+            );
+            graph.loadContent(
+                new Line(getContentWithReferenceLines([{ value: 15 }], "uid_2"))
+            );
+            triggerEvent(
+                fetchElementByClass(styles.legendItem),
+                "mouseenter",
+                () => {
+                    expect(
+                        document
+                            .querySelector(
+                                `[aria-describedby="reference_line_uid_2"]`
+                            )
+                            .classList.contains(styles.blur)
+                    ).toBeTruthy();
+                    expect(
+                        document
+                            .querySelector(
+                                `[aria-describedby="reference_line_uid_1"]`
+                            )
+                            .classList.contains(styles.blur)
+                    ).toBeFalsy();
+                    done();
+                }
+            );
+        });
+        it("Updates the reference lines when content is updated", () => {
+            graph.loadContent(
+                new Line(getContentWithReferenceLines([{ value: 10 }]))
+            );
+            graph.updateContent("uid_1", {
+                referenceLines: [{ value: 5 }, { value: 15 }]
+            });
+            expect(
+                document.querySelectorAll(`.${styles.referenceLine}`).length
+            ).toBe(2);
+            expect(+getLine().getAttribute("y1")).toBeCloseTo(getY(5));
+        });
+        it("Removes the reference lines when content is unloaded", () => {
+            const line = new Line(
+                getContentWithReferenceLines([{ value: 10 }])
+            );
+            graph.loadContent(line);
+            graph.unloadContent(line);
+            expect(fetchElementByClass(styles.referenceLine)).toBeNull();
+        });
+    });
+});
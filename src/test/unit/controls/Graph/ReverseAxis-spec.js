@@ -0,0 +1,125 @@
+"use strict";
+import Bar from "../../../../main/js/controls/Bar/Bar";
+import Graph from "../../../../main/js/controls/Graph/index";
+import Line from "../../../../main/js/controls/Line/Line";
+import {
+    calculateVerticalPadding,
+    getYAxisHeight
+} from "../../../../main/js/helpers/axis";
+import styles from "../../../../main/js/helpers/styles";
+import utils from "../../../../main/js/helpers/utils";
+import {
+    axisDefault,
+    fetchElementByClass,
+    getAxes,
+    getData,
+    valuesDefault
+} from "./helpers";
+
+describe("Reverse Axis", () => {
+    let graph = null;
+    let graphContainer;
+    const getReverseAxis = (y = {}) => {
+        const axis = utils.deepClone(axisDefault);
+        axis.y = Object.assign(axis.y, { reverse: true }, y);
+        return axis;
+    };
+    beforeEach(() => {
+        graphContainer = document.createElement("div");
+        graphContainer.id = "testGraph_carbon";
+        graphContainer.setAttribute("style", "width: 1024px; height: 400px;");
+        document.body.appendChild(graphContainer);
+    });
+    afterEach(() => {
+        document.body.innerHTML = "";
+    });
+    it("Does not reverse the axes by default", () => {
+        graph = new Graph(getAxes(axisDefault));
+        expect(graph.config.axis.y.reverse).toBe(false);
+        expect(graph.config.axis.y2.reverse).toBe(false);
+        expect(graph.scale.y.range()).toEqual([
+            getYAxisHeight(graph.config),
+            0
+        ]);
+    });
+    it("Places the lower limit at the top", () => {
+        graph = new Graph(getAxes(getReverseAxis({ padDomain: false })));
+        expect(graph.config.axis.y.reverse).toBe(true);
+        expect(graph.scale.y.range()).toEqual([
+            0,
+            getYAxisHeight(graph.config)
+        ]);
+        expect(graph.scale.y(graph.config.axis.y.domain.lowerLimit)).toBe(0);
+        expect(graph.scale.y(graph.config.axis.y.domain.upperLimit)).toBe(
+            getYAxisHeight(graph.config)
+        );
+    });
+    it("Reverses y2 axis independently", () => {
+        const axis = utils.deepClone(axisDefault);
+        axis.y2 = {
+            show: true,
+            label: "Some Y2 Label",
+            lowerLimit: 0,
+            upperLimit: 200,
+            reverse: true
+        };
+        graph = new Graph(getAxes(axis));
+        expect(graph.config.axis.y.reverse).toBe(false);
+        expect(graph.config.axis.y2.reverse).toBe(true);
+        expect(graph.scale.y(graph.config.axis.y.domain.upperLimit)).toBe(0);
+        expect(graph.scale.y2(graph.config.axis.y2.domain.lowerLimit)).toBe(0);
+    });
+    it("Flips the stretched domain for outliers", () => {
+        graph = new Graph(getAxes(getReverseAxis()));
+        graph.loadContent(
+            new Line(getData([{ x: 45, y: 10 }, { x: 55, y: 100 }]))
+        );
+        const domain = graph.config.axis.y.domain;
+        expect(domain.upperLimit).toBeGreaterThanOrEqual(100);
+        expect(graph.scale.y(domain.upperLimit)).toBe(
+            getYAxisHeight(graph.config)
+        );
+        expect(graph.scale.y(100)).toBeGreaterThan(graph.scale.y(10));
+    });
+    it("Flips the regions", () => {
+        graph = new Graph(getAxes(getReverseAxis()));
+        const input = getData(valuesDefault);
+        input.regions = [
+            {
+                start: 2,
+                end: 10
+            }
+        ];
+        graph.loadContent(new Line(input));
+        const region = fetchElementByClass(styles.region);
+        const y = utils.getNumber(region.getAttribute("y"));
+        const height = utils.getNumber(region.getAttribute("height"));
+        expect(y).toBeCloseTo(
+            graph.scale.y(2) + calculateVerticalPadding(graph.config),
+            0
+        );
+        expect(height).toBeGreaterThan(0);
+        expect(y + height).toBeCloseTo(
+            graph.scale.y(10) + calculateVerticalPadding(graph.config),
+            0
+        );
+    });
+    it("Grows the bars downward from the baseline", () => {
+        graph = new Graph(getAxes(getReverseAxis()));
+        graph.loadContent(
+            new Bar({
+                key: "uid_bar",
+                label: {
+                    display: "Bar Label"
+                },
+                values: [{ x: 45, y: 10 }]
+            })
+        );
+        const rect = fetchElementByClass(styles.bar).querySelector("rect");
+        const y = utils.getNumber(rect.getAttribute("y"));
+        const height = utils.getNumber(rect.getAttribute("height"));
+        expect(y).toBeCloseTo(graph.scale.y(0), 0);
+        expect(height).toBeGreaterThan(0);
+        expect(y + height).toBeCloseTo(graph.scale.y(10), 0);
+    });
+});
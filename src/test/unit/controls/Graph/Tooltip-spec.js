@@ -0,0 +1,180 @@
+"use strict";
+import Graph from "../../../../main/js/controls/Graph/index";
+import Line from "../../../../main/js/controls/Line/Line";
+import errors from "../../../../main/js/helpers/errors";
+import styles from "../../../../main/js/helpers/styles";
+import utils from "../../../../main/js/helpers/utils";
+import LOCALE from "../../../../main/js/locale/index";
+import { triggerEvent } from "../helpers/commonHelpers";
+import {
+    axisDefault,
+    axisTimeSeries,
+    fetchElementByClass,
+    getAxes,
+    getData,
+    valuesDefault,
+    valuesTimeSeries
+} from "./helpers";
+
+describe("Tooltip", () => {
+    let graph = null;
+    let graphContainer;
+    const getInputWithTooltip = (axis, tooltip = {}) =>
+        Object.assign(getAxes(axis), { tooltip });
+    const fetchPointGroups = () =>
+        document.querySelectorAll(
+            `.${styles.currentPointsGroup} .${styles.pointGroup}`
+        );
+    beforeEach(() => {
+        graphContainer = document.createElement("div");
+        graphContainer.id = "testGraph_carbon";
+        graphContainer.setAttribute("style", "width: 1024px; height: 400px;");
+        document.body.appendChild(graphContainer);
+    });
+    afterEach(() => {
+        document.body.innerHTML = "";
+    });
+    describe("When tooltip is not provided", () => {
+        beforeEach(() => {
+            graph = new Graph(getAxes(axisDefault));
+            graph.loadContent(new Line(getData(valuesDefault)));
+        });
+        it("Does not create tooltip", () => {
+            expect(graph.config.tooltip.show).toBeFalsy();
+            expect(fetchElementByClass(styles.tooltip)).toBeNull();
+        });
+        it("Does not make data points focusable", () => {
+            expect(fetchPointGroups()[0].getAttribute("tabindex")).toBeNull();
+        });
+    });
+    describe("When tooltip is provided", () => {
+        it("Throws error when format is not a function", () => {
+            expect(() => {
+                graph = new Graph(
+                    getInputWithTooltip(axisDefault, { format: "dummy" })
+                );
+            }).toThrowError(errors.THROW_MSG_INVALID_CALLBACK_FUNCTION);
+        });
+        it("Throws error when render is not a function", () => {
+            expect(() => {
+                graph = new Graph(
+                    getInputWithTooltip(axisDefault, { render: {} })
+                );
+            }).toThrowError(errors.THROW_MSG_INVALID_CALLBACK_FUNCTION);
+        });
+        it("Does not create tooltip when show is false", () => {
+            graph = new Graph(
+                getInputWithTooltip(axisDefault, { show: false })
+            );
+            expect(fetchElementByClass(styles.tooltip)).toBeNull();
+        });
+        it("Creates a hidden tooltip within the container", () => {
+            graph = new Graph(getInputWithTooltip(axisDefault));
+            const tooltip = fetchElementByClass(styles.tooltip);
+            expect(tooltip).not.toBeNull();
+            expect(tooltip.parentNode.classList).toContain(styles.container);
+            expect(tooltip.getAttribute("role")).toBe("tooltip");
+            expect(tooltip.getAttribute("aria-hidden")).toBe("true");
+        });
+        it("Makes data points focusable", () => {
+            graph = new Graph(getInputWithTooltip(axisDefault));
+            graph.loadContent(new Line(getData(valuesDefault)));
+            expect(fetchPointGroups()[0].getAttribute("tabindex")).toBe("0");
+        });
+        it("Shows tooltip with default text on hover", () => {
+            graph = new Graph(getInputWithTooltip(axisDefault));
+            graph.loadContent(new Line(getData(valuesDefault)));
+            triggerEvent(fetchPointGroups()[0], "mouseenter");
+            const tooltip = fetchElementByClass(styles.tooltip);
+            expect(tooltip.getAttribute("aria-hidden")).toBe("false");
+            expect(tooltip.textContent).toBe("Data Label 1\n35, 4");
+            expect(tooltip.style.left).not.toBe("");
+            expect(tooltip.style.top).not.toBe("");
+        });
+        it("Hides tooltip on mouse leave", () => {
+            graph = new Graph(getInputWithTooltip(axisDefault));
+            graph.loadContent(new Line(getData(valuesDefault)));
+            const point = fetchPointGroups()[0];
+            triggerEvent(point, "mouseenter");
+            triggerEvent(point, "mouseleave");
+            expect(
+                fetchElementByClass(styles.tooltip).getAttribute("aria-hidden")
+            ).toBe("true");
+        });
+        it("Shows and hides tooltip on focus and blur", () => {
+            graph = new Graph(getInputWithTooltip(axisDefault));
+            graph.loadContent(new Line(getData(valuesDefault)));
+            const point = fetchPointGroups()[1];
+            triggerEvent(point, "focus");
+            const tooltip = fetchElementByClass(styles.tooltip);
+            expect(tooltip.getAttribute("aria-hidden")).toBe("false");
+            expect(tooltip.textContent).toBe("Data Label 1\n45, 10");
+            triggerEvent(point, "blur");
+            expect(tooltip.getAttribute("aria-hidden")).toBe("true");
+        });
+        it("Formats datetime values using locale", () => {
+            const input = getInputWithTooltip(axisTimeSeries);
+            input.locale = LOCALE.de_DE;
+            graph = new Graph(input);
+            graph.loadContent(new Line(getData(valuesTimeSeries)));
+            triggerEvent(fetchPointGroups()[0], "mouseenter");
+            const x = utils.parseDateTime(valuesTimeSeries[0].x);
+            expect(fetchElementByClass(styles.tooltip).textContent).toBe(
+                `Data Label 1\n${graph.config.locale.timeFormat("%x %X")(x)}, 1`
+            );
+        });
+        it("Uses consumer format callback", () => {
+            const format = jasmine
+                .createSpy("format")
+                .and.returnValue("formatted value");
+            graph = new Graph(getInputWithTooltip(axisDefault, { format }));
+            const line = new Line(getData(valuesDefault));
+            graph.loadContent(line);
+            triggerEvent(fetchPointGroups()[0], "mouseenter");
+            expect(format).toHaveBeenCalledWith(
+                line.dataTarget.internalValuesSubset[0],
+                line.dataTarget
+            );
+            expect(fetchElementByClass(styles.tooltip).textContent).toBe(
+                "formatted value"
+            );
+        });
+        it("Uses consumer render callback returning HTML", () => {
+            const render = (value) => `<strong>${value.y}</strong>`;
+            graph = new Graph(getInputWithTooltip(axisDefault, { render }));
+            graph.loadContent(new Line(getData(valuesDefault)));
+            triggerEvent(fetchPointGroups()[0], "mouseenter");
+            const tooltip = fetchElementByClass(styles.tooltip);
+            expect(tooltip.querySelector("strong").textContent).toBe("4");
+        });
+        it("Uses consumer render callback returning an element", () => {
+            const render = (value) => {
+                const element = document.createElement("span");
+                element.textContent = `Value ${value.y}`;
+                return element;
+            };
+            graph = new Graph(getInputWithTooltip(axisDefault, { render }));
+            graph.loadContent(new Line(getData(valuesDefault)));
+            triggerEvent(fetchPointGroups()[0], "mouseenter");
+            const tooltip = fetchElementByClass(styles.tooltip);
+            expect(tooltip.children.length).toBe(1);
+            expect(tooltip.querySelector("span").textContent).toBe("Value 4");
+        });
+        it("Binds tooltip for redrawn data points", (done) => {
+            graph = new Graph(getInputWithTooltip(axisDefault));
+            const line = new Line(getData(valuesDefault));
+            graph.loadContent(line);
+            line.redraw(graph);
+            triggerEvent(fetchPointGroups()[0], "mouseenter");
+            expect(
+                fetchElementByClass(styles.tooltip).getAttribute("aria-hidden")
+            ).toBe("false");
+            done();
+        });
+        it("Removes tooltip when graph is destroyed", () => {
+            graph = new Graph(getInputWithTooltip(axisDefault));
+            graph.destroy();
+            expect(fetchElementByClass(styles.tooltip)).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,319 @@
+"use strict";
+import Graph from "../../../../main/js/controls/Graph/index";
+import Line from "../../../../main/js/controls/Line/Line";
+import {
+    calculateVerticalPadding,
+    getXAxisWidth,
+    getXAxisXPosition,
+    getYAxisHeight
+} from "../../../../main/js/helpers/axis";
+import constants, {
+    AXIS_TYPE,
+    GRAPH_ORIENTATION
+} from "../../../../main/js/helpers/constants";
+import errors from "../../../../main/js/helpers/errors";
+import styles from "../../../../main/js/helpers/styles";
+import { triggerEvent } from "../helpers/commonHelpers";
+import {
+    axisDefault,
+    axisTimeSeries,
+    fetchElementByClass,
+    getAxes,
+    getData,
+    valuesDefault
+} from "./helpers";
+
+describe("X Regions", () => {
+    let graph = null;
+    let graphContainer;
+    const getInputWithXRegions = (axis, xRegions) =>
+        Object.assign(getAxes(axis), { xRegions });
+    const getXRegionRect = () =>
+        fetchElementByClass(styles.xRegion).querySelector("rect");
+    beforeEach(() => {
+        graphContainer = document.createElement("div");
+        graphContainer.id = "testGraph_carbon";
+        graphContainer.setAttribute("style", "width: 1024px; height: 400px;");
+        document.body.appendChild(graphContainer);
+    });
+    afterEach(() => {
+        document.body.innerHTML = "";
+    });
+    describe("When x regions are not provided", () => {
+        it("Does not create x regions", () => {
+            graph = new Graph(getAxes(axisDefault));
+            expect(graph.config.xRegions).toEqual([]);
+            expect(fetchElementByClass(styles.xRegionGroup)).toBeNull();
+        });
+    });
+    describe("When x regions are provided", () => {
+        it("Throws error when region is empty", () => {
+            expect(() => {
+                graph = new Graph(getInputWithXRegions(axisDefault, [{}]));
+            }).toThrowError(errors.THROW_MSG_REGION_EMPTY);
+        });
+        it("Throws error when both start and end are missing", () => {
+            expect(() => {
+                graph = new Graph(
+                    getInputWithXRegions(axisDefault, [{ color: "#f4f4f4" }])
+                );
+            }).toThrowError(errors.THROW_MSG_REGION_START_END_MISSING);
+        });
+        it("Throws error when value type is invalid for the axis", () => {
+            expect(() => {
+                graph = new Graph(
+                    getInputWithXRegions(axisDefault, [
+                        { start: "2016-03-01T12:00:00Z", end: 40 }
+                    ])
+                );
+            }).toThrowError(
+                errors.THROW_MSG_REGION_INVALID_VALUE_TYPE_PROVIDED
+            );
+            expect(() => {
+                graph = new Graph(
+                    getInputWithXRegions(axisTimeSeries, [
+                        { start: 20, end: 40 }
+                    ])
+                );
+            }).toThrowError(
+                errors.THROW_MSG_REGION_INVALID_VALUE_TYPE_PROVIDED
+            );
+        });
+        it("Throws error when start is larger than end", () => {
+            expect(() => {
+                graph = new Graph(
+                    getInputWithXRegions(axisDefault, [{ start: 60, end: 40 }])
+                );
+            }).toThrowError(errors.THROW_MSG_REGION_START_MORE_END);
+        });
+        it("Throws error for category x axis", () => {
+            const axis = Object.assign({}, axisDefault, {
+                x: {
+                    type: AXIS_TYPE.CATEGORY,
+                    label: "Some X Label",
+                    ticks: {
+                        values: ["a", "b"]
+                    }
+                }
+            });
+            expect(() => {
+                graph = new Graph(
+                    getInputWithXRegions(axis, [{ start: 20, end: 40 }])
+                );
+            }).toThrowError(
+                errors.THROW_MSG_X_REGION_CATEGORY_AXIS_NOT_SUPPORTED
+            );
+        });
+        it("Throws error for horizontal orientation", () => {
+            const input = getInputWithXRegions(axisDefault, [
+                { start: 20, end: 40 }
+            ]);
+            input.orientation = GRAPH_ORIENTATION.HORIZONTAL;
+            expect(() => {
+                graph = new Graph(input);
+            }).toThrowError(
+                errors.THROW_MSG_HORIZONTAL_ORIENTATION_NOT_SUPPORTED
+            );
+        });
+        it("Creates x regions beneath the grid, clipped to the content area", () => {
+            graph = new Graph(
+                getInputWithXRegions(axisDefault, [
+                    { start: 20, end: 40 },
+                    { start: 60, end: 80 }
+                ])
+            );
+            const xRegionGroup = fetchElementByClass(styles.xRegionGroup);
+            expect(xRegionGroup.childNodes.length).toBe(2);
+            expect(xRegionGroup.getAttribute("clip-path")).toBe(
+                `url(#${graph.config.clipPathId})`
+            );
+            expect(xRegionGroup.previousSibling.classList).toContain(
+                styles.regionGroup
+            );
+            expect(xRegionGroup.nextSibling.classList).toContain(styles.grid);
+        });
+        it("Spans the x region between start and end", () => {
+            graph = new Graph(
+                getInputWithXRegions(axisDefault, [{ start: 20, end: 40 }])
+            );
+            const rect = getXRegionRect();
+            expect(+rect.getAttribute("x")).toBeCloseTo(
+                getXAxisXPosition(graph.config) + graph.scale.x(20)
+            );
+            expect(+rect.getAttribute("width")).toBeCloseTo(
+                graph.scale.x(40) - graph.scale.x(20)
+            );
+            expect(+rect.getAttribute("y")).toBe(
+                calculateVerticalPadding(graph.config)
+            );
+            expect(+rect.getAttribute("height")).toBe(
+                getYAxisHeight(graph.config)
+            );
+        });
+        it("Spans the x region till the end of the graph when end is not provided", () => {
+            graph = new Graph(
+                getInputWithXRegions(axisDefault, [{ start: 20 }])
+            );
+            expect(+getXRegionRect().getAttribute("width")).toBeCloseTo(
+                getXAxisWidth(graph.config) - graph.scale.x(20)
+            );
+        });
+        it("Spans the x region from the start of the graph when start is not provided", () => {
+            graph = new Graph(getInputWithXRegions(axisDefault, [{ end: 40 }]));
+            const rect = getXRegionRect();
+            expect(+rect.getAttribute("x")).toBeCloseTo(
+                getXAxisXPosition(graph.config)
+            );
+            expect(+rect.getAttribute("width")).toBeCloseTo(graph.scale.x(40));
+        });
+        it("Creates x regions for timeseries", () => {
+            graph = new Graph(
+                getInputWithXRegions(axisTimeSeries, [
+                    {
+                        start: "2016-03-01T12:00:00Z",
+                        end: "2016-06-01T12:00:00Z"
+                    }
+                ])
+            );
+            expect(+getXRegionRect().getAttribute("width")).toBeCloseTo(
+                graph.scale.x(new Date("2016-06-01T12:00:00Z")) -
+                    graph.scale.x(new Date("2016-03-01T12:00:00Z"))
+            );
+        });
+        it("Applies the color provided", () => {
+            graph = new Graph(
+                getInputWithXRegions(axisDefault, [
+                    { start: 20, end: 40, color: "#c8cacb" }
+                ])
+            );
+            expect(getXRegionRect().getAttribute("style")).toBe(
+                "fill: #c8cacb;"
+            );
+        });
+        it("Does not render label when not provided", () => {
+            graph = new Graph(
+                getInputWithXRegions(axisDefault, [{ start: 20, end: 40 }])
+            );
+            expect(fetchElementByClass(styles.xRegionLabel)).toBeNull();
+        });
+        it("Renders label at the start of the x region", () => {
+            graph = new Graph(
+                getInputWithXRegions(axisDefault, [
+                    { start: 20, end: 40, label: { display: "ICU stay" } }
+                ])
+            );
+            const label = fetchElementByClass(styles.xRegionLabel);
+            expect(label.textContent).toBe("ICU stay");
+            expect(+label.getAttribute("x")).toBeCloseTo(
+                getXAxisXPosition(graph.config) +
+                    graph.scale.x(20) +
+                    constants.DEFAULT_X_REGION_LABEL_PADDING
+            );
+        });
+        it("Is not clickable when onClick is not provided", () => {
+            graph = new Graph(
+                getInputWithXRegions(axisDefault, [{ start: 20, end: 40 }])
+            );
+            expect(
+                fetchElementByClass(styles.xRegion).getAttribute(
+                    "aria-disabled"
+                )
+            ).toBe("true");
+        });
+        it("Calls onClick with the x region when clicked", (done) => {
+            const onClick = jasmine.createSpy("onClick");
+            graph = new Graph(
+                getInputWithXRegions(axisDefault, [
+                    { start: 20, end: 40, onClick }
+                ])
+            );
+            const xRegion = fetchElementByClass(styles.xRegion);
+            expect(xRegion.getAttribute("aria-disabled")).toBe("false");
+            triggerEvent(xRegion, "click", () => {
+                expect(onClick).toHaveBeenCalledTimes(1);
+                expect(onClick.calls.argsFor(0)[0].start).toBe(20);
+                expect(onClick.calls.argsFor(0)[0].end).toBe(40);
+                done();
+            });
+        });
+        it("Is independent of the content loaded", () => {
+            graph = new Graph(
+                getInputWithXRegions(axisDefault, [{ start: 20, end: 40 }])
+            );
+            const content = new Line(getData(valuesDefault));
+            graph.loadContent(content);
+            graph.unloadContent(content);
+            expect(fetchElementByClass(styles.xRegion)).not.toBeNull();
+            expect(
+                fetchElementByClass(styles.xRegion).getAttribute("aria-hidden")
+            ).toBeNull();
+        });
+    });
+    describe("When resized", () => {
+        it("Translates the x regions", () => {
+            graph = new Graph(
+                getInputWithXRegions(axisDefault, [{ start: 20, end: 40 }])
+            );
+            const width = +getXRegionRect().getAttribute("width");
+            graphContainer.setAttribute(
+                "style",
+                "width: 800px; height: 400px;"
+            );
+            graph.resize();
+            const rect = getXRegionRect();
+            expect(+rect.getAttribute("width")).toBeLessThan(width);
+            expect(+rect.getAttribute("x")).toBeCloseTo(
+                getXAxisXPosition(graph.config) + graph.scale.x(20)
+            );
+        });
+    });
+    describe("When zoomed", () => {
+        it("Translates the x regions", () => {
+            graph = new Graph(
+                getInputWithXRegions(axisDefault, [{ start: 20, end: 40 }])
+            );
+            graph.zoomTo(30, 60);
+            const rect = getXRegionRect();
+            expect(+rect.getAttribute("x")).toBeCloseTo(
+                getXAxisXPosition(graph.config) + graph.scale.x(20)
+            );
+            expect(+rect.getAttribute("width")).toBeCloseTo(
+                graph.scale.x(40) - graph.scale.x(20)
+            );
+        });
+        it("Keeps the label within the content area", () => {
+            graph = new Graph(
+                getInputWithXRegions(axisDefault, [
+                    { start: 20, end: 40, label: { display: "ICU stay" } }
+                ])
+            );
+            graph.zoomTo(30, 60);
+            expect(
+                +fetchElementByClass(styles.xRegionLabel).getAttribute("x")
+            ).toBeCloseTo(
+                getXAxisXPosition(graph.config) +
+                    constants.DEFAULT_X_REGION_LABEL_PADDING
+            );
+            expect(
+                fetchElementByClass(styles.xRegionLabel).getAttribute(
+                    "aria-hidden"
+                )
+            ).toBe("false");
+        });
+        it("Hides the label when the x region is outside the zoomed domain", () => {
+            graph = new Graph(
+                getInputWithXRegions(axisDefault, [
+                    { start: 20, end: 40, label: { display: "ICU stay" } },
+                    { start: 70, label: { display: "Discharged" } }
+                ])
+            );
+            graph.zoomTo(50, 60);
+            const labels = document.querySelectorAll(`.${styles.xRegionLabel}`);
+            expect(labels[0].getAttribute("aria-hidden")).toBe("true");
+            expect(labels[1].getAttribute("aria-hidden")).toBe("true");
+            graph.resetZoom();
+            expect(labels[0].getAttribute("aria-hidden")).toBe("false");
+            expect(labels[1].getAttribute("aria-hidden")).toBe("false");
+        });
+    });
+});
@@ -0,0 +1,191 @@
+"use strict";
+import Graph from "../../../../main/js/controls/Graph/index";
+import Line from "../../../../main/js/controls/Line/Line";
+import errors from "../../../../main/js/helpers/errors";
+import styles from "../../../../main/js/helpers/styles";
+import {
+    axisDefault,
+    axisTimeSeries,
+    axisTimeserieswithDateline,
+    fetchElementByClass,
+    getAxes,
+    getData,
+    valuesDefault,
+    valuesTimeSeries
+} from "./helpers";
+
+describe("Zoom", () => {
+    let graph = null;
+    let graphContainer;
+    const getInputWithZoom = (axis, zoom = {}) =>
+        Object.assign(getAxes(axis), { zoom });
+    beforeEach(() => {
+        graphContainer = document.createElement("div");
+        graphContainer.id = "testGraph_carbon";
+        graphContainer.setAttribute("style", "width: 1024px; height: 400px;");
+        document.body.appendChild(graphContainer);
+    });
+    afterEach(() => {
+        document.body.innerHTML = "";
+    });
+    describe("When zoom is not provided", () => {
+        beforeEach(() => {
+            graph = new Graph(getAxes(axisDefault));
+        });
+        it("Does not enable zoom", () => {
+            expect(graph.config.zoom.enabled).toBeFalsy();
+            expect(graph.zoomBehavior).toBeNull();
+        });
+        it("Zooms the x axis programmatically", () => {
+            graph.zoomTo(20, 40);
+            expect(graph.scale.x.domain()).toEqual([20, 40]);
+            expect(graph.config.axis.x.isZoomed).toBeTruthy();
+        });
+    });
+    describe("When zoom is provided", () => {
+        it("Throws error when onZoom is not a function", () => {
+            expect(() => {
+                graph = new Graph(
+                    getInputWithZoom(axisDefault, { onZoom: "dummy" })
+                );
+            }).toThrowError(errors.THROW_MSG_INVALID_CALLBACK_FUNCTION);
+        });
+        it("Does not attach zoom behavior when enabled is false", () => {
+            graph = new Graph(
+                getInputWithZoom(axisDefault, { enabled: false })
+            );
+            expect(graph.zoomBehavior).toBeNull();
+        });
+        it("Attaches zoom behavior to the canvas", () => {
+            graph = new Graph(getInputWithZoom(axisDefault));
+            expect(graph.zoomBehavior).not.toBeNull();
+            expect(graph.zoomBehavior.scale()).toBe(1);
+            expect(graph.zoomBehavior.translate()).toEqual([0, 0]);
+        });
+        it("Zooms in on mouse wheel", () => {
+            const onZoom = jasmine.createSpy("onZoom");
+            graph = new Graph(getInputWithZoom(axisDefault, { onZoom }));
+            const canvas = fetchElementByClass(styles.canvas);
+            const rect = canvas.getBoundingClientRect();
+            canvas.dispatchEvent(
+                new WheelEvent("wheel", {
+                    bubbles: true,
+                    cancelable: true,
+                    deltaY: -100,
+                    clientX: rect.left + rect.width / 2,
+                    clientY: rect.top + rect.height / 2
+                })
+            );
+            const domain = graph.scale.x.domain();
+            expect(graph.zoomBehavior.scale()).toBeGreaterThan(1);
+            expect(domain[0]).toBeGreaterThan(0);
+            expect(domain[1]).toBeLessThan(100);
+            expect(onZoom).toHaveBeenCalledWith({
+                lowerLimit: domain[0],
+                upperLimit: domain[1]
+            });
+        });
+        it("Syncs zoom behavior when zoomed programmatically", () => {
+            graph = new Graph(getInputWithZoom(axisDefault));
+            graph.zoomTo(25, 50);
+            expect(graph.zoomBehavior.scale()).toBeCloseTo(4);
+        });
+    });
+    describe("When zoomTo is called", () => {
+        it("Throws error when limits are not provided", () => {
+            graph = new Graph(getInputWithZoom(axisDefault));
+            expect(() => {
+                graph.zoomTo(10);
+            }).toThrowError(errors.THROW_MSG_NO_AXIS_LIMIT_INFO);
+        });
+        it("Throws error when lower limit is not less than upper limit", () => {
+            graph = new Graph(getInputWithZoom(axisDefault));
+            expect(() => {
+                graph.zoomTo(40, 20);
+            }).toThrowError(errors.THROW_MSG_INVALID_INPUT);
+        });
+        it("Throws error when timeseries limits are invalid", () => {
+            graph = new Graph(getInputWithZoom(axisTimeSeries));
+            expect(() => {
+                graph.zoomTo("dummy", new Date(2016, 5, 1).toISOString());
+            }).toThrowError(errors.THROW_MSG_INVALID_AXIS_TYPE_VALUES);
+        });
+        it("Restricts the limits to the x axis limits", () => {
+            graph = new Graph(getInputWithZoom(axisDefault));
+            graph.zoomTo(-50, 40);
+            expect(graph.config.axis.x.domain).toEqual([0, 40]);
+        });
+        it("Calls onZoom with the zoomed limits", () => {
+            const onZoom = jasmine.createSpy("onZoom");
+            graph = new Graph(getInputWithZoom(axisDefault, { onZoom }));
+            graph.zoomTo(20, 40);
+            expect(onZoom).toHaveBeenCalledWith({
+                lowerLimit: 20,
+                upperLimit: 40
+            });
+        });
+        it("Zooms timeseries x axis", () => {
+            const lowerLimit = new Date(2016, 5, 1).toISOString();
+            const upperLimit = new Date(2016, 5, 2).toISOString();
+            graph = new Graph(getInputWithZoom(axisTimeSeries));
+            graph.loadContent(new Line(getData(valuesTimeSeries)));
+            graph.zoomTo(lowerLimit, upperLimit);
+            expect(graph.scale.x.domain()).toEqual([
+                new Date(lowerLimit),
+                new Date(upperLimit)
+            ]);
+        });
+        it("Does not clamp data points outside the zoomed domain", () => {
+            graph = new Graph(getInputWithZoom(axisDefault));
+            graph.loadContent(new Line(getData(valuesDefault)));
+            graph.zoomTo(40, 50);
+            expect(graph.scale.x(25)).toBeLessThan(0);
+        });
+        it("Filters tick values outside the zoomed domain", () => {
+            const input = getInputWithZoom(axisDefault);
+            input.axis.x.ticks = {
+                values: [10, 20, 30, 40]
+            };
+            graph = new Graph(input);
+            graph.zoomTo(15, 35);
+            expect(graph.config.axis.x.ticks.values).toEqual([20, 30]);
+        });
+        it("Hides datelines outside the zoomed domain", () => {
+            graph = new Graph(
+                Object.assign({ zoom: {} }, axisTimeserieswithDateline)
+            );
+            const datelineGroup = fetchElementByClass(styles.datelineGroup);
+            expect(datelineGroup.getAttribute("aria-hidden")).toBe("false");
+            graph.zoomTo(
+                new Date(2016, 0, 1).toISOString(),
+                new Date(2016, 1, 1).toISOString()
+            );
+            expect(datelineGroup.getAttribute("aria-hidden")).toBe("true");
+        });
+    });
+    describe("When resetZoom is called", () => {
+        it("Resets the x axis to the input limits", () => {
+            const input = getInputWithZoom(axisDefault);
+            input.axis.x.ticks = {
+                values: [10, 20, 30, 40]
+            };
+            graph = new Graph(input);
+            graph.zoomTo(15, 35);
+            graph.resetZoom();
+            expect(graph.config.axis.x.domain).toEqual([0, 100]);
+            expect(graph.config.axis.x.isZoomed).toBeFalsy();
+            expect(graph.config.axis.x.ticks.values).toEqual([10, 20, 30, 40]);
+            expect(graph.zoomBehavior.scale()).toBe(1);
+        });
+        it("Calls onZoom with the input limits", () => {
+            const onZoom = jasmine.createSpy("onZoom");
+            graph = new Graph(getInputWithZoom(axisDefault, { onZoom }));
+            graph.zoomTo(20, 40);
+            graph.resetZoom();
+            expect(onZoom).toHaveBeenCalledWith({
+                lowerLimit: 0,
+                upperLimit: 100
+            });
+        });
+    });
+});
@@ -0,0 +1,634 @@
+"use strict";
+import Heatmap from "../../../../main/js/controls/Heatmap";
+import {
+    getColorLegendWidth,
+    getXAxisWidth
+} from "../../../../main/js/controls/Heatmap/helpers/creationHelpers";
+import constants, {
+    AXIS_TYPE,
+    COLOR_SCALE_TYPE,
+    EXPORT_FORMAT
+} from "../../../../main/js/helpers/constants";
+import errors from "../../../../main/js/helpers/errors";
+import styles from "../../../../main/js/helpers/styles";
+import utils from "../../../../main/js/helpers/utils";
+import {
+    delay,
+    toNumber,
+    TRANSITION_DELAY,
+    triggerEvent
+} from "../helpers/commonHelpers";
+import {
+    axisJSON,
+    categoryAxisJSON,
+    categoryValuesJSON,
+    fetchElementByClass,
+    getAxes,
+    getData,
+    onClickFunctionSpy,
+    valuesJSON
+} from "./helpers";
+
+describe("Heatmap", () => {
+    let heatmap = null;
+    let heatmapContainer;
+    beforeEach(() => {
+        heatmapContainer = document.createElement("div");
+        heatmapContainer.id = "testHeatmap_carbon";
+        heatmapContainer.setAttribute("style", "width: 1024px; height: 400px;");
+        document.body.appendChild(heatmapContainer);
+    });
+    afterEach(() => {
+        document.body.innerHTML = "";
+    });
+    describe("When constructed", () => {
+        it("Throws error on undefined input", () => {
+            expect(() => {
+                heatmap = new Heatmap();
+            }).toThrowError(errors.THROW_MSG_NO_AXES_DATA_LOADED);
+        });
+        it("Throws error on {} input", () => {
+            expect(() => {
+                heatmap = new Heatmap({});
+            }).toThrowError(errors.THROW_MSG_NO_AXES_DATA_LOADED);
+        });
+        it("Initializes properly", () => {
+            heatmap = new Heatmap(getAxes(axisJSON));
+            expect(heatmap.graphContainer).not.toBeNull();
+            expect(heatmap.config).not.toBeNull();
+            expect(heatmap.axis).not.toBeNull();
+            expect(heatmap.scale).not.toBeNull();
+            expect(heatmap.svg).not.toBeNull();
+            expect(heatmap.content).toEqual([]);
+            expect(heatmap.contentConfig).toEqual([]);
+            expect(heatmap.resizeHandler).toEqual(jasmine.any(Function));
+        });
+    });
+    describe("When input is loaded", () => {
+        it("Throws error if no bind is present", () => {
+            expect(() => {
+                const input = getAxes(axisJSON);
+                input.bindTo = "";
+                new Heatmap(input);
+            }).toThrowError(errors.THROW_MSG_NO_BIND);
+        });
+        it("Throws error if no axis is present", () => {
+            expect(() => {
+                new Heatmap(getAxes({}));
+            }).toThrowError(errors.THROW_MSG_NO_AXIS_INFO);
+        });
+        it("Throws error if no y axis is present", () => {
+            expect(() => {
+                new Heatmap(getAxes({ x: axisJSON.x }));
+            }).toThrowError(errors.THROW_MSG_NO_AXIS_INFO);
+        });
+        it("Throws error if x axis limits are not present", () => {
+            const axis = utils.deepClone(axisJSON);
+            delete axis.x.upperLimit;
+            expect(() => {
+                new Heatmap(getAxes(axis));
+            }).toThrowError(errors.THROW_MSG_NO_AXIS_LIMIT_INFO);
+        });
+        it("Throws error if x axis limits are not ISO8601", () => {
+            const axis = utils.deepClone(axisJSON);
+            axis.x.lowerLimit = 10;
+            expect(() => {
+                new Heatmap(getAxes(axis));
+            }).toThrowError(errors.THROW_MSG_INVALID_AXIS_TYPE_VALUES);
+        });
+        it("Throws error if category x axis has no tick values", () => {
+            const axis = utils.deepClone(categoryAxisJSON);
+            delete axis.x.ticks;
+            expect(() => {
+                new Heatmap(getAxes(axis));
+            }).toThrowError(errors.THROW_MSG_CATEGORY_TICKS_NOT_PROVIDED);
+        });
+        it("Throws error if y axis categories are not present", () => {
+            const axis = utils.deepClone(axisJSON);
+            axis.y.categories = [];
+            expect(() => {
+                new Heatmap(getAxes(axis));
+            }).toThrowError(errors.THROW_MSG_HEATMAP_CATEGORIES_NOT_PROVIDED);
+        });
+        it("Throws error if color scale type is invalid", () => {
+            const input = getAxes(axisJSON);
+            input.colorScale = { type: "DUMMY" };
+            expect(() => {
+                new Heatmap(input);
+            }).toThrowError(errors.THROW_MSG_INVALID_COLOR_SCALE);
+        });
+        it("Throws error if color scale domain is not ascending", () => {
+            const input = getAxes(axisJSON);
+            input.colorScale = { domain: [10, 0] };
+            expect(() => {
+                new Heatmap(input);
+            }).toThrowError(errors.THROW_MSG_INVALID_COLOR_SCALE);
+        });
+        it("Throws error if diverging color scale range has 2 values", () => {
+            const input = getAxes(axisJSON);
+            input.colorScale = {
+                type: COLOR_SCALE_TYPE.DIVERGING,
+                range: ["#fff", "#000"]
+            };
+            expect(() => {
+                new Heatmap(input);
+            }).toThrowError(errors.THROW_MSG_INVALID_COLOR_SCALE);
+        });
+        it("Processes the default input", () => {
+            heatmap = new Heatmap(getAxes(axisJSON));
+            expect(heatmap.config.axis.x.type).toBe(AXIS_TYPE.TIME_SERIES);
+            expect(heatmap.config.axis.x.domain).toEqual([
+                new Date(axisJSON.x.lowerLimit),
+                new Date(axisJSON.x.upperLimit)
+            ]);
+            expect(heatmap.config.axis.y.categories).toEqual(
+                axisJSON.y.categories
+            );
+            expect(heatmap.config.axis.y.rowHeight).toBe(
+                constants.DEFAULT_HEATMAP_ROW_HEIGHT
+            );
+            expect(heatmap.config.colorScale.type).toBe(
+                COLOR_SCALE_TYPE.SEQUENTIAL
+            );
+            expect(heatmap.config.colorScale.range).toEqual(
+                constants.DEFAULT_HEATMAP_COLOR_RANGE.sequential
+            );
+            expect(heatmap.config.showLegend).toBeTruthy();
+            expect(heatmap.config.showVGrid).toBeTruthy();
+        });
+        it("Sets the height using the categories and row height", () => {
+            const axis = utils.deepClone(axisJSON);
+            axis.y.rowHeight = 50;
+            heatmap = new Heatmap(getAxes(axis));
+            expect(heatmap.config.height).toBe(150);
+        });
+    });
+    describe("When generated", () => {
+        beforeEach(() => {
+            heatmap = new Heatmap(getAxes(axisJSON));
+        });
+        it("Creates the container and canvas", () => {
+            expect(fetchElementByClass(styles.container)).not.toBeNull();
+            expect(fetchElementByClass(styles.canvas)).not.toBeNull();
+        });
+        it("Creates the x axis above the cells and the y axis", () => {
+            expect(fetchElementByClass(styles.axisX)).not.toBeNull();
+            const yAxisTicks = fetchElementByClass(
+                styles.axisY
+            ).querySelectorAll(".tick");
+            expect(yAxisTicks.length).toBe(axisJSON.y.categories.length);
+        });
+        it("Creates the vertical grid", () => {
+            expect(fetchElementByClass(styles.grid)).not.toBeNull();
+        });
+        it("Does not create the vertical grid if showVGrid is false", () => {
+            heatmap.destroy();
+            const input = getAxes(axisJSON);
+            input.showVGrid = false;
+            heatmap = new Heatmap(input);
+            expect(fetchElementByClass(styles.grid)).toBeNull();
+        });
+        it("Creates the content container", () => {
+            expect(fetchElementByClass(styles.heatmapContent)).not.toBeNull();
+        });
+        it("Creates the color legend with the gradient", () => {
+            const legend = fetchElementByClass(styles.heatmapLegend);
+            expect(legend).not.toBeNull();
+            expect(
+                legend
+                    .querySelector(`.${styles.heatmapLegendGradient}`)
+                    .getAttribute("fill")
+            ).toBe(`url(#${heatmap.config.gradientId})`);
+            expect(
+                document.querySelectorAll(`#${heatmap.config.gradientId} stop`)
+                    .length
+            ).toBe(2);
+        });
+        it("Does not create the color legend if showLegend is false", () => {
+            heatmap.destroy();
+            const input = getAxes(axisJSON);
+            input.showLegend = false;
+            heatmap = new Heatmap(input);
+            expect(fetchElementByClass(styles.heatmapLegend)).toBeNull();
+        });
+    });
+    describe("When content is loaded", () => {
+        beforeEach(() => {
+            heatmap = new Heatmap(getAxes(axisJSON));
+        });
+        it("Throws error if x value is outside the limits", () => {
+            expect(() => {
+                heatmap.loadContent(
+                    getData([
+                        {
+                            x: new Date(2018, 0, 5).toISOString(),
+                            y: "Monday",
+                            value: 10
+                        }
+                    ])
+                );
+            }).toThrowError(errors.THROW_MSG_INVALID_HEATMAP_VALUE);
+        });
+        it("Throws error if y value is not a category", () => {
+            expect(() => {
+                heatmap.loadContent(
+                    getData([
+                        {
+                            x: valuesJSON[0].x,
+                            y: "Sunday",
+                            value: 10
+                        }
+                    ])
+                );
+            }).toThrowError(errors.THROW_MSG_INVALID_HEATMAP_VALUE);
+        });
+        it("Throws error if value is not a number", () => {
+            expect(() => {
+                heatmap.loadContent(
+                    getData([
+                        {
+                            x: valuesJSON[0].x,
+                            y: "Monday",
+                            value: "10"
+                        }
+                    ])
+                );
+            }).toThrowError(errors.THROW_MSG_INVALID_HEATMAP_VALUE);
+        });
+        it("Throws error if key is not unique", () => {
+            heatmap.loadContent(getData(valuesJSON));
+            expect(() => {
+                heatmap.loadContent(getData(valuesJSON));
+            }).toThrowError(errors.THROW_MSG_NON_UNIQUE_PROPERTY);
+            expect(heatmap.content).toEqual(["uid_1"]);
+            expect(
+                document.querySelectorAll(`.${styles.heatmapContentGroup}`)
+                    .length
+            ).toBe(1);
+        });
+        it("Draws a cell for each value", () => {
+            heatmap.loadContent(getData(valuesJSON));
+            const group = fetchElementByClass(styles.heatmapContentGroup);
+            expect(group.getAttribute("aria-describedby")).toBe("uid_1");
+            expect(
+                group.querySelectorAll(`.${styles.heatmapCell}`).length
+            ).toBe(valuesJSON.length);
+        });
+        it("Colors the cells using the extent of the values", () => {
+            heatmap.loadContent(getData(valuesJSON));
+            const cells = document.querySelectorAll(
+                `.${styles.heatmapCellRect}`
+            );
+            expect(heatmap.scale.color.domain()).toEqual([10, 30]);
+            expect(cells[0].getAttribute("fill")).toBe(heatmap.scale.color(10));
+            expect(cells[2].getAttribute("fill")).toBe(heatmap.scale.color(30));
+            expect(cells[0].getAttribute("fill")).not.toBe(
+                cells[2].getAttribute("fill")
+            );
+        });
+        it("Colors the cells using the domain provided", () => {
+            heatmap.destroy();
+            const input = getAxes(axisJSON);
+            input.colorScale = {
+                domain: [0, 100],
+                range: ["#ffffff", "#000000"]
+            };
+            heatmap = new Heatmap(input);
+            heatmap.loadContent(getData(valuesJSON));
+            expect(heatmap.scale.color.domain()).toEqual([0, 100]);
+            expect(
+                fetchElementByClass(styles.heatmapCellRect).getAttribute("fill")
+            ).toBe("#e6e6e6");
+        });
+        it("Sizes each cell to the datetime bucket and row", (done) => {
+            heatmap.loadContent(getData(valuesJSON));
+            delay(() => {
+                const cell = fetchElementByClass(styles.heatmapCellRect);
+                expect(toNumber(cell.getAttribute("width"))).toBeCloseTo(
+                    getXAxisWidth(heatmap.config) / 4
+                );
+                expect(toNumber(cell.getAttribute("height"))).toBe(
+                    constants.DEFAULT_HEATMAP_ROW_HEIGHT
+                );
+                expect(toNumber(cell.getAttribute("x"))).toBe(0);
+                done();
+            });
+        });
+        it("Hides the selection indicator by default", () => {
+            heatmap.loadContent(getData(valuesJSON));
+            const cell = fetchElementByClass(styles.heatmapCell);
+            expect(cell.getAttribute("aria-selected")).toBe("false");
+            expect(
+                cell
+                    .querySelector(`.${styles.heatmapCellSelection}`)
+                    .getAttribute("aria-hidden")
+            ).toBe("true");
+        });
+        it("Updates the color legend using the color scale", () => {
+            heatmap.loadContent(getData(valuesJSON));
+            const stops = document.querySelectorAll(
+                `#${heatmap.config.gradientId} stop`
+            );
+            expect(stops[0].getAttribute("offset")).toBe("0");
+            expect(stops[1].getAttribute("offset")).toBe("1");
+            expect(stops[1].getAttribute("stop-color")).toBe(
+                heatmap.scale.color(30)
+            );
+            const ticks = fetchElementByClass(
+                styles.heatmapLegendAxis
+            ).querySelectorAll(".tick text");
+            expect(ticks[0].textContent).toBe("10");
+            expect(ticks[1].textContent).toBe("30");
+        });
+        it("Adds the midpoint stop for diverging color scale", () => {
+            heatmap.destroy();
+            const input = getAxes(axisJSON);
+            input.colorScale = { type: COLOR_SCALE_TYPE.DIVERGING };
+            heatmap = new Heatmap(input);
+            heatmap.loadContent(getData(valuesJSON));
+            expect(heatmap.scale.color.domain()).toEqual([10, 20, 30]);
+            const stops = document.querySelectorAll(
+                `#${heatmap.config.gradientId} stop`
+            );
+            expect(stops.length).toBe(3);
+            expect(stops[1].getAttribute("offset")).toBe("0.5");
+        });
+        it("Recolors the loaded cells when another content is loaded", () => {
+            heatmap.loadContent(getData(valuesJSON));
+            heatmap.loadContent(
+                getData(
+                    [
+                        {
+                            x: valuesJSON[0].x,
+                            y: "Tuesday",
+                            value: 50
+                        }
+                    ],
+                    "uid_2"
+                )
+            );
+            expect(heatmap.scale.color.domain()).toEqual([10, 50]);
+            expect(
+                fetchElementByClass(styles.heatmapCellRect).getAttribute("fill")
+            ).toBe(heatmap.scale.color(10));
+        });
+    });
+    describe("When category x axis is used", () => {
+        beforeEach(() => {
+            heatmap = new Heatmap(getAxes(categoryAxisJSON));
+            heatmap.loadContent(getData(categoryValuesJSON));
+        });
+        it("Throws error if x value is not a tick value", () => {
+            expect(() => {
+                heatmap.loadContent(
+                    getData([{ x: "Night", y: "Monday", value: 1 }], "uid_2")
+                );
+            }).toThrowError(errors.THROW_MSG_INVALID_HEATMAP_VALUE);
+        });
+        it("Does not create the vertical grid", () => {
+            expect(fetchElementByClass(styles.grid)).toBeNull();
+        });
+        it("Sizes each cell to the category band", (done) => {
+            delay(() => {
+                const cells = document.querySelectorAll(
+                    `.${styles.heatmapCellRect}`
+                );
+                const width = getXAxisWidth(heatmap.config) / 3;
+                expect(toNumber(cells[0].getAttribute("width"))).toBeCloseTo(
+                    width
+                );
+                expect(toNumber(cells[0].getAttribute("x"))).toBe(0);
+                expect(toNumber(cells[1].getAttribute("x"))).toBeCloseTo(
+                    width * 2
+                );
+                expect(toNumber(cells[1].getAttribute("y"))).toBe(
+                    constants.DEFAULT_HEATMAP_ROW_HEIGHT
+                );
+                done();
+            });
+        });
+    });
+    describe("When a cell is clicked", () => {
+        beforeEach(() => {
+            onClickFunctionSpy.resetHistory();
+            heatmap = new Heatmap(getAxes(axisJSON));
+            heatmap.loadContent(getData(valuesJSON));
+        });
+        it("Selects the cell and calls onClick", (done) => {
+            const cell = fetchElementByClass(styles.heatmapCell);
+            triggerEvent(
+                cell.querySelector(`.${styles.heatmapCellRect}`),
+                "click",
+                () => {
+                    expect(cell.getAttribute("aria-selected")).toBe("true");
+                    expect(
+                        cell
+                            .querySelector(`.${styles.heatmapCellSelection}`)
+                            .getAttribute("aria-hidden")
+                    ).toBe("false");
+                    expect(onClickFunctionSpy.calledOnce).toBeTruthy();
+                    const args = onClickFunctionSpy.getCall(0).args;
+                    expect(args[0]).toEqual(jasmine.any(Function));
+                    expect(args[1]).toBe("uid_1");
+                    expect(args[2]).toBe(0);
+                    expect(args[3].value).toBe(valuesJSON[0].value);
+                    done();
+                }
+            );
+        });
+        it("Deselects the cell when the close callback is called", (done) => {
+            const cell = fetchElementByClass(styles.heatmapCell);
+            triggerEvent(
+                cell.querySelector(`.${styles.heatmapCellRect}`),
+                "click",
+                () => {
+                    onClickFunctionSpy.getCall(0).args[0]();
+                    expect(cell.getAttribute("aria-selected")).toBe("false");
+                    expect(
+                        cell
+                            .querySelector(`.${styles.heatmapCellSelection}`)
+                            .getAttribute("aria-hidden")
+                    ).toBe("true");
+                    done();
+                }
+            );
+        });
+        it("Does not select the cell if onClick is not provided", (done) => {
+            const data = getData(valuesJSON, "uid_2");
+            delete data.onClick;
+            heatmap.unloadContent({ key: "uid_1" });
+            heatmap.loadContent(data);
+            const cell = fetchElementByClass(styles.heatmapCell);
+            const rect = cell.querySelector(`.${styles.heatmapCellRect}`);
+            expect(rect.getAttribute("aria-disabled")).toBe("true");
+            triggerEvent(rect, "click", () => {
+                expect(cell.getAttribute("aria-selected")).toBe("false");
+                done();
+            });
+        });
+    });
+    describe("When resized", () => {
+        it("Translates the cells and the legend", (done) => {
+            heatmap = new Heatmap(getAxes(axisJSON));
+            heatmap.loadContent(getData(valuesJSON));
+            heatmapContainer.setAttribute("style", "width: 800px;");
+            heatmap.resize();
+            delay(() => {
+                const cell = fetchElementByClass(styles.heatmapCellRect);
+                expect(toNumber(cell.getAttribute("width"))).toBeCloseTo(
+                    getXAxisWidth(heatmap.config) / 4
+                );
+                expect(
+                    toNumber(
+                        fetchElementByClass(
+                            styles.heatmapLegendGradient
+                        ).getAttribute("width")
+                    )
+                ).toBe(getColorLegendWidth(heatmap.config));
+                done();
+            }, TRANSITION_DELAY);
+        });
+    });
+    describe("When content is unloaded", () => {
+        beforeEach(() => {
+            heatmap = new Heatmap(getAxes(axisJSON));
+            heatmap.loadContent(getData(valuesJSON));
+        });
+        it("Throws error when content is not loaded", () => {
+            expect(() => {
+                heatmap.unloadContent({ key: "DUMMY" });
+            }).toThrowError(errors.THROW_MSG_INVALID_OBJECT_PROVIDED);
+        });
+        it("Removes the cells", () => {
+            heatmap.unloadContent(getData(valuesJSON));
+            expect(fetchElementByClass(styles.heatmapContentGroup)).toBeNull();
+            expect(heatmap.content).toEqual([]);
+            expect(heatmap.contentConfig).toEqual([]);
+        });
+    });
+    describe("When updateContent is called", () => {
+        beforeEach(() => {
+            heatmap = new Heatmap(getAxes(axisJSON));
+            heatmap.loadContent(getData(valuesJSON));
+        });
+        it("Returns the heatmap instance", () => {
+            expect(heatmap.updateContent("uid_1", { values: valuesJSON })).toBe(
+                heatmap
+            );
+        });
+        it("Throws error when content is not loaded", () => {
+            expect(() => {
+                heatmap.updateContent("DUMMY", { values: valuesJSON });
+            }).toThrowError(errors.THROW_MSG_INVALID_OBJECT_PROVIDED);
+        });
+        it("Throws error when values are invalid", () => {
+            expect(() => {
+                heatmap.updateContent("uid_1", {
+                    values: [{ x: valuesJSON[0].x, y: "Monday" }]
+                });
+            }).toThrowError(errors.THROW_MSG_INVALID_HEATMAP_VALUE);
+        });
+        it("Updates the cells using the values", () => {
+            heatmap.updateContent("uid_1", {
+                values: valuesJSON.slice(0, 2)
+            });
+            expect(
+                document.querySelectorAll(`.${styles.heatmapCell}`).length
+            ).toBe(2);
+            expect(heatmap.scale.color.domain()).toEqual([10, 20]);
+            expect(heatmap.contentConfig[0].key).toBe("uid_1");
+        });
+    });
+    describe("When tooltip is provided", () => {
+        beforeEach(() => {
+            const input = getAxes(axisJSON);
+            input.tooltip = {};
+            heatmap = new Heatmap(input);
+            heatmap.loadContent(getData(valuesJSON));
+        });
+        it("Shows tooltip with the value on cell hover", () => {
+            const cell = fetchElementByClass(styles.heatmapCell);
+            triggerEvent(cell, "mouseenter");
+            const tooltip = fetchElementByClass(styles.tooltip);
+            expect(tooltip.getAttribute("aria-hidden")).toBe("false");
+            expect(tooltip.textContent).toBe(
+                `Heatmap A\n${heatmap.config.locale.timeFormat(
+                    constants.DEFAULT_TOOLTIP_DATE_FORMAT
+                )(new Date(valuesJSON[0].x))}, Monday, 10`
+            );
+            triggerEvent(cell, "mouseleave");
+            expect(tooltip.getAttribute("aria-hidden")).toBe("true");
+        });
+    });
+    describe("When export is called", () => {
+        beforeEach(() => {
+            heatmap = new Heatmap(getAxes(axisJSON));
+            heatmap.loadContent(getData(valuesJSON));
+        });
+        it("Rejects when format is invalid", (done) => {
+            heatmap.export({ format: "pdf" }).catch((error) => {
+                expect(error.message).toBe(
+                    errors.THROW_MSG_INVALID_EXPORT_FORMAT
+                );
+                done();
+            });
+        });
+        it("Resolves with svg including the color legend", (done) => {
+            heatmap.export({ format: EXPORT_FORMAT.SVG }).then((svg) => {
+                const svgElement = new DOMParser().parseFromString(
+                    svg,
+                    "image/svg+xml"
+                ).documentElement;
+                expect(
+                    svgElement.querySelector(`.${styles.heatmapLegend}`)
+                ).not.toBeNull();
+                done();
+            });
+        });
+        it("Resolves with csv of the cells", (done) => {
+            heatmap.export({ format: EXPORT_FORMAT.CSV }).then((csv) => {
+                expect(csv).toBe(
+                    ["key,x,y,value"]
+                        .concat(
+                            valuesJSON.map(
+                                (v) =>
+                                    `uid_1,${new Date(v.x).toISOString()},${
+                                        v.y
+                                    },${v.value}`
+                            )
+                        )
+                        .join("\r\n")
+                );
+                done();
+            });
+        });
+    });
+    describe("When destruct is called", () => {
+        beforeEach(() => {
+            heatmap = new Heatmap(getAxes(axisJSON));
+            heatmap.loadContent(getData(valuesJSON));
+            heatmap.destroy();
+        });
+        it("Removes the canvas content", () => {
+            expect(fetchElementByClass(styles.canvas)).toBeNull();
+        });
+        it("Removes the container content", () => {
+            expect(fetchElementByClass(styles.container)).toBeNull();
+        });
+        it("Resets the API objects", () => {
+            expect(heatmap.config).toEqual({
+                axis: {
+                    x: {},
+                    y: {}
+                }
+            });
+            expect(heatmap.axis).toEqual({});
+            expect(heatmap.scale).toEqual({});
+            expect(heatmap.svg).toBeNull();
+            expect(heatmap.graphContainer).toBeNull();
+            expect(heatmap.content).toEqual([]);
+            expect(heatmap.contentConfig).toEqual([]);
+            expect(heatmap.resizeHandler).toBeNull();
+        });
+    });
+});
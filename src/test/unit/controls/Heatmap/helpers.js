@@ -0,0 +1,92 @@
+import sinon from "sinon";
+import { AXIS_TYPE } from "../../../../main/js/helpers/constants";
+import utils from "../../../../main/js/helpers/utils";
+
+export const onClickFunctionSpy = sinon.spy();
+export const axisJSON = {
+    x: {
+        label: "Datetime",
+        lowerLimit: new Date(2018, 0, 1).toISOString(),
+        upperLimit: new Date(2018, 0, 5).toISOString(),
+        ticks: {
+            values: [
+                new Date(2018, 0, 2).toISOString(),
+                new Date(2018, 0, 3).toISOString(),
+                new Date(2018, 0, 4).toISOString()
+            ]
+        }
+    },
+    y: {
+        categories: ["Monday", "Tuesday", "Wednesday"]
+    }
+};
+export const categoryAxisJSON = {
+    x: {
+        type: AXIS_TYPE.CATEGORY,
+        ticks: {
+            values: ["Morning", "Afternoon", "Evening"]
+        }
+    },
+    y: {
+        categories: ["Monday", "Tuesday"]
+    }
+};
+export const valuesJSON = [
+    {
+        x: new Date(2018, 0, 1, 6).toISOString(),
+        y: "Monday",
+        value: 10
+    },
+    {
+        x: new Date(2018, 0, 2, 12).toISOString(),
+        y: "Tuesday",
+        value: 20
+    },
+    {
+        x: new Date(2018, 0, 4, 18).toISOString(),
+        y: "Wednesday",
+        value: 30
+    }
+];
+export const categoryValuesJSON = [
+    {
+        x: "Morning",
+        y: "Monday",
+        value: -5
+    },
+    {
+        x: "Evening",
+        y: "Tuesday",
+        value: 5
+    }
+];
+/**
+ * Creates and returns an example input with custom axis values
+ * @param {Object} axis - X and Y axis data
+ * @returns {Object} input JSON
+ */
+export const getAxes = (axis = {}) => ({
+    bindTo: "#testHeatmap_carbon",
+    axis: utils.deepClone(axis)
+});
+/**
+ * Creates and returns an example input with cell values
+ * @param {Array} values - x, y and value of each cell
+ * @param {string} [key] - unique identifier of the content
+ * @returns {Object} input JSON
+ */
+export const getData = (values, key = "uid_1") =>
+    utils.deepClone({
+        key,
+        label: {
+            display: "Heatmap A"
+        },
+        onClick: onClickFunctionSpy,
+        values
+    });
+/**
+ * Returns the DOM element queried by Class
+ * @param {string} cls - Class attribute name
+ * @returns {HTMLElement} - DOM element
+ */
+export const fetchElementByClass = (cls) => document.querySelector(`.${cls}`);
@@ -0,0 +1,595 @@
+"use strict";
+import Graph from "../../../../main/js/controls/Graph/Graph";
+import Histogram from "../../../../main/js/controls/Histogram";
+import {
+    BIN_METHOD,
+    GRAPH_ORIENTATION
+} from "../../../../main/js/helpers/constants";
+import errors from "../../../../main/js/helpers/errors";
+import styles from "../../../../main/js/helpers/styles";
+import { triggerEvent } from "../helpers/commonHelpers";
+import {
+    axisCategory,
+    axisDefault,
+    axisTimeSeries,
+    fetchAllElementsByClass,
+    fetchElementByClass,
+    getAxes,
+    getInput,
+    valuesDefault
+} from "./helpers";
+
+describe("Histogram", () => {
+    let graphDefault = null;
+    let histogramGraphContainer;
+    const getBinBounds = (histogram) =>
+        histogram.dataTarget.internalValuesSubset.map((v) => [v.x, v.x1, v.y]);
+    const getInputWithBins = (bins, values = valuesDefault) => {
+        const input = getInput(values);
+        input.bins = bins;
+        return input;
+    };
+    beforeEach(() => {
+        histogramGraphContainer = document.createElement("div");
+        histogramGraphContainer.id = "testHistogram_carbon";
+        histogramGraphContainer.setAttribute(
+            "style",
+            "width: 1024px; height: 400px;"
+        );
+        document.body.appendChild(histogramGraphContainer);
+        graphDefault = new Graph(getAxes(axisDefault));
+    });
+    afterEach(() => {
+        document.body.innerHTML = "";
+    });
+    describe("When constructed", () => {
+        it("Initializes properly", () => {
+            const histogram = new Histogram(getInput(valuesDefault));
+            expect(histogram.config).not.toBeNull();
+            expect(histogram.dataTarget).toEqual({});
+        });
+        it("Spans the values range from 0 to the largest bin count", () => {
+            const histogram = new Histogram(
+                getInputWithBins({ method: BIN_METHOD.FIXED_WIDTH, width: 5 })
+            );
+            expect(histogram.valuesRange.y).toEqual({ min: 0, max: 6 });
+        });
+        it("Throws error when no input is provided", () => {
+            expect(() => {
+                graphDefault.loadContent(new Histogram());
+            }).toThrowError(errors.THROW_MSG_NO_CONTENT_DATA_LOADED);
+        });
+        it("Throws error when no samples are provided", () => {
+            expect(() => {
+                graphDefault.loadContent(new Histogram(getInput([])));
+            }).toThrowError(errors.THROW_MSG_NO_DATA_POINTS);
+        });
+        it("Throws error when samples are not numbers or datetime", () => {
+            expect(() => {
+                new Histogram(getInput([1, "2", 3]));
+            }).toThrowError(errors.THROW_MSG_INVALID_HISTOGRAM_VALUE);
+            expect(() => {
+                new Histogram(getInput([{ x: 1 }]));
+            }).toThrowError(errors.THROW_MSG_INVALID_HISTOGRAM_VALUE);
+        });
+        it("Throws error when bin method is invalid", () => {
+            expect(() => {
+                new Histogram(getInputWithBins({ method: "scott" }));
+            }).toThrowError(errors.THROW_MSG_INVALID_HISTOGRAM_BINS);
+        });
+        it("Throws error when fixed width is not a positive number", () => {
+            expect(() => {
+                new Histogram(
+                    getInputWithBins({ method: BIN_METHOD.FIXED_WIDTH })
+                );
+            }).toThrowError(errors.THROW_MSG_INVALID_HISTOGRAM_BINS);
+            expect(() => {
+                new Histogram(
+                    getInputWithBins({
+                        method: BIN_METHOD.FIXED_WIDTH,
+                        width: -5
+                    })
+                );
+            }).toThrowError(errors.THROW_MSG_INVALID_HISTOGRAM_BINS);
+        });
+        it("Throws error when thresholds are invalid", () => {
+            [[5], [8, 4, 0], ["2016-01-01T00:00:00Z", "2016-01-02T00:00:00Z"]]
+                .map((thresholds) =>
+                    getInputWithBins({
+                        method: BIN_METHOD.THRESHOLDS,
+                        thresholds
+                    })
+                )
+                .forEach((input) => {
+                    expect(() => {
+                        new Histogram(input);
+                    }).toThrowError(errors.THROW_MSG_INVALID_HISTOGRAM_BINS);
+                });
+        });
+        it("Throws error when opacity is invalid", () => {
+            const input = getInput(valuesDefault);
+            input.opacity = 1.5;
+            expect(() => {
+                new Histogram(input);
+            }).toThrowError(errors.THROW_MSG_INVALID_HISTOGRAM_OPACITY);
+        });
+        it("Throws error when loaded onto a category X Axis", () => {
+            graphDefault = new Graph(getAxes(axisCategory));
+            expect(() => {
+                graphDefault.loadContent(
+                    new Histogram(getInput(valuesDefault))
+                );
+            }).toThrowError(
+                errors.THROW_MSG_HISTOGRAM_CATEGORY_AXIS_NOT_SUPPORTED
+            );
+        });
+        it("Throws error when loaded onto a horizontal graph", () => {
+            const input = getAxes(axisDefault);
+            input.orientation = GRAPH_ORIENTATION.HORIZONTAL;
+            graphDefault = new Graph(input);
+            expect(() => {
+                graphDefault.loadContent(
+                    new Histogram(getInput(valuesDefault))
+                );
+            }).toThrowError(
+                errors.THROW_MSG_HORIZONTAL_ORIENTATION_INVALID_CONTENT
+            );
+        });
+    });
+    describe("When loaded", () => {
+        it("Bins the samples using Sturges' formula by default", () => {
+            const histogram = new Histogram(getInput(valuesDefault));
+            graphDefault.loadContent(histogram);
+            const bins = getBinBounds(histogram);
+            expect(bins.length).toBe(5);
+            expect(bins.map((b) => b[2])).toEqual([2, 2, 2, 2, 2]);
+            expect(bins[0][0]).toBe(1);
+            expect(bins[4][1]).toBe(10);
+        });
+        it("Bins the samples using the Freedman-Diaconis rule", () => {
+            const histogram = new Histogram(
+                getInputWithBins({ method: BIN_METHOD.FREEDMAN_DIACONIS })
+            );
+            graphDefault.loadContent(histogram);
+            expect(getBinBounds(histogram)).toEqual([
+                [1, 4, 3],
+                [4, 7, 3],
+                [7, 10, 4]
+            ]);
+        });
+        it("Bins the samples using fixed width bins aligned to the width", () => {
+            const histogram = new Histogram(
+                getInputWithBins({ method: BIN_METHOD.FIXED_WIDTH, width: 5 })
+            );
+            graphDefault.loadContent(histogram);
+            expect(getBinBounds(histogram)).toEqual([[0, 5, 4], [5, 10, 6]]);
+        });
+        it("Bins the samples using the thresholds provided", () => {
+            const histogram = new Histogram(
+                getInputWithBins({
+                    method: BIN_METHOD.THRESHOLDS,
+                    thresholds: [0, 4, 8]
+                })
+            );
+            graphDefault.loadContent(histogram);
+            expect(getBinBounds(histogram)).toEqual([[0, 4, 3], [4, 8, 5]]);
+            expect(
+                histogram.dataTarget.internalValuesSubset[0].samples
+            ).toEqual([1, 2, 3]);
+        });
+        it("Bins samples which are all equal into a single bin", () => {
+            const histogram = new Histogram(
+                getInputWithBins({ method: BIN_METHOD.FIXED_WIDTH, width: 5 }, [
+                    3,
+                    3,
+                    3
+                ])
+            );
+            graphDefault.loadContent(histogram);
+            expect(getBinBounds(histogram)).toEqual([[0, 5, 3]]);
+        });
+        it("Bins fractional samples without truncating them", () => {
+            const samples = [0.2, 0.4, 0.6, 1.2, 1.4];
+            const histogram = new Histogram(
+                getInputWithBins(
+                    {
+                        method: BIN_METHOD.THRESHOLDS,
+                        thresholds: [0, 0.5, 1, 1.5]
+                    },
+                    samples
+                )
+            );
+            graphDefault.loadContent(histogram);
+            expect(getBinBounds(histogram)).toEqual([
+                [0, 0.5, 2],
+                [0.5, 1, 1],
+                [1, 1.5, 2]
+            ]);
+            expect(histogram.valuesRange.y.max).toBe(2);
+        });
+        it("Bins fractional samples using fixed width bins", () => {
+            const histogram = new Histogram(
+                getInputWithBins(
+                    { method: BIN_METHOD.FIXED_WIDTH, width: 0.5 },
+                    [0.2, 0.4, 0.6, 1.2, 1.4]
+                )
+            );
+            graphDefault.loadContent(histogram);
+            expect(getBinBounds(histogram)).toEqual([
+                [0, 0.5, 2],
+                [0.5, 1, 1],
+                [1, 1.5, 2]
+            ]);
+            expect(graphDefault.config.axis.x.ticks.values).toEqual([
+                0,
+                0.5,
+                1,
+                1.5
+            ]);
+        });
+        it("Bins datetime samples on a time series X Axis", () => {
+            graphDefault = new Graph(getAxes(axisTimeSeries));
+            const histogram = new Histogram(
+                getInputWithBins(
+                    {
+                        method: BIN_METHOD.FIXED_WIDTH,
+                        width: 6 * 60 * 60 * 1000
+                    },
+                    [
+                        "2016-01-01T01:00:00Z",
+                        "2016-01-01T02:00:00Z",
+                        "2016-01-01T13:00:00Z"
+                    ]
+                )
+            );
+            graphDefault.loadContent(histogram);
+            const bins = getBinBounds(histogram);
+            expect(bins.length).toBe(3);
+            expect(bins[0][0]).toEqual(new Date("2016-01-01T00:00:00Z"));
+            expect(bins[0][1]).toEqual(new Date("2016-01-01T06:00:00Z"));
+            expect(bins.map((b) => b[2])).toEqual([2, 0, 1]);
+        });
+        it("Throws error when samples do not match the X Axis type", () => {
+            graphDefault = new Graph(getAxes(axisTimeSeries));
+            expect(() => {
+                graphDefault.loadContent(
+                    new Histogram(getInput(valuesDefault))
+                );
+            }).toThrowError(errors.THROW_MSG_INVALID_FORMAT_TYPE);
+        });
+        it("Creates the histogram content container", () => {
+            graphDefault.loadContent(new Histogram(getInput(valuesDefault)));
+            const histogramContent = fetchElementByClass(
+                histogramGraphContainer,
+                styles.histogramGraphContent
+            );
+            expect(histogramContent.getAttribute("aria-describedby")).toBe(
+                "uid_1"
+            );
+            expect(histogramContent.getAttribute("aria-hidden")).toBe("false");
+            expect(
+                fetchElementByClass(histogramContent, styles.currentBinsGroup)
+            ).not.toBeNull();
+        });
+        it("Draws a bar for each bin", () => {
+            graphDefault.loadContent(new Histogram(getInput(valuesDefault)));
+            expect(
+                fetchAllElementsByClass(
+                    histogramGraphContainer,
+                    styles.histogramBin
+                ).length
+            ).toBe(5);
+            expect(
+                fetchAllElementsByClass(
+                    histogramGraphContainer,
+                    styles.histogramBar
+                ).length
+            ).toBe(5);
+        });
+        it("Draws contiguous bars spanning the bins", () => {
+            graphDefault.loadContent(
+                new Histogram(
+                    getInputWithBins({
+                        method: BIN_METHOD.FIXED_WIDTH,
+                        width: 5
+                    })
+                )
+            );
+            const scale = graphDefault.scale;
+            const bars = fetchAllElementsByClass(
+                histogramGraphContainer,
+                styles.histogramBar
+            );
+            expect(+bars[0].getAttribute("x")).toBeCloseTo(scale.x(0));
+            expect(+bars[0].getAttribute("width")).toBeCloseTo(
+                scale.x(5) - scale.x(0)
+            );
+            expect(
+                +bars[0].getAttribute("x") + +bars[0].getAttribute("width")
+            ).toBeCloseTo(+bars[1].getAttribute("x"));
+            expect(+bars[1].getAttribute("y")).toBeCloseTo(scale.y(6));
+            expect(+bars[1].getAttribute("height")).toBeCloseTo(
+                scale.y(0) - scale.y(6)
+            );
+        });
+        it("Fills the bars using the color and default opacity", () => {
+            const input = getInput(valuesDefault);
+            graphDefault.loadContent(new Histogram(input));
+            const bar = fetchElementByClass(
+                histogramGraphContainer,
+                styles.histogramBar
+            );
+            expect(bar.getAttribute("style")).toBe(
+                `fill: ${input.color}; fill-opacity: 0.6; stroke: ${input.color};`
+            );
+            expect(bar.getAttribute("aria-describedby")).toBe("uid_1");
+        });
+        it("Fills the bars using the opacity provided", () => {
+            const input = getInput(valuesDefault);
+            input.opacity = 0.3;
+            graphDefault.loadContent(new Histogram(input));
+            expect(
+                fetchElementByClass(
+                    histogramGraphContainer,
+                    styles.histogramBar
+                ).getAttribute("style")
+            ).toContain("fill-opacity: 0.3;");
+        });
+        it("Overlays multiple histograms", () => {
+            graphDefault.loadContent(new Histogram(getInput(valuesDefault)));
+            graphDefault.loadContent(
+                new Histogram(getInput([4, 5, 6], "uid_2"))
+            );
+            expect(
+                fetchAllElementsByClass(
+                    histogramGraphContainer,
+                    styles.histogramGraphContent
+                ).length
+            ).toBe(2);
+        });
+        it("Adds a legend item", () => {
+            graphDefault.loadContent(new Histogram(getInput(valuesDefault)));
+            const legendItem = fetchElementByClass(
+                histogramGraphContainer,
+                styles.legendItem
+            );
+            expect(legendItem.getAttribute("aria-describedby")).toBe("uid_1");
+        });
+        it("Shows the bounds and count of the bin in the tooltip", () => {
+            const input = getAxes(axisDefault);
+            input.tooltip = {};
+            graphDefault = new Graph(input);
+            graphDefault.loadContent(
+                new Histogram(
+                    getInputWithBins({
+                        method: BIN_METHOD.FIXED_WIDTH,
+                        width: 5
+                    })
+                )
+            );
+            triggerEvent(
+                fetchElementByClass(
+                    histogramGraphContainer,
+                    styles.histogramBin
+                ),
+                "mouseenter"
+            );
+            expect(
+                fetchElementByClass(histogramGraphContainer, styles.tooltip)
+                    .textContent
+            ).toBe("Data Label uid_1\n0 - 5, 4");
+        });
+    });
+    describe("When clicked on a bar", () => {
+        it("Does not do anything if no onClick callback is provided", (done) => {
+            const input = getInput(valuesDefault);
+            input.onClick = null;
+            graphDefault.loadContent(new Histogram(input));
+            const bar = fetchElementByClass(
+                histogramGraphContainer,
+                styles.histogramBar
+            );
+            triggerEvent(bar, "click", () => {
+                expect(bar.getAttribute("aria-disabled")).toBe("true");
+                expect(
+                    fetchElementByClass(
+                        histogramGraphContainer,
+                        styles.dataPointSelection
+                    ).getAttribute("aria-hidden")
+                ).toBe("true");
+                done();
+            });
+        });
+        it("Shows the selection indicator and calls onClick", (done) => {
+            const input = getInput(valuesDefault);
+            input.onClick = jasmine.createSpy();
+            graphDefault.loadContent(new Histogram(input));
+            triggerEvent(
+                fetchElementByClass(
+                    histogramGraphContainer,
+                    styles.histogramBar
+                ),
+                "click",
+                () => {
+                    expect(input.onClick).toHaveBeenCalled();
+                    expect(input.onClick.calls.argsFor(0)[1]).toBe("uid_1");
+                    expect(input.onClick.calls.argsFor(0)[3].samples).toEqual([
+                        1,
+                        2
+                    ]);
+                    expect(
+                        fetchElementByClass(
+                            histogramGraphContainer,
+                            styles.dataPointSelection
+                        ).getAttribute("aria-hidden")
+                    ).toBe("false");
+                    done();
+                }
+            );
+        });
+        it("Hides the selection indicator when parameter callback is called", (done) => {
+            const input = getInput(valuesDefault);
+            input.onClick = (clearSelectionCallback) => {
+                clearSelectionCallback();
+            };
+            graphDefault.loadContent(new Histogram(input));
+            triggerEvent(
+                fetchElementByClass(
+                    histogramGraphContainer,
+                    styles.histogramBar
+                ),
+                "click",
+                () => {
+                    expect(
+                        fetchElementByClass(
+                            histogramGraphContainer,
+                            styles.dataPointSelection
+                        ).getAttribute("aria-hidden")
+                    ).toBe("true");
+                    done();
+                }
+            );
+        });
+    });
+    describe("When legend item is clicked", () => {
+        it("Hides the bars", (done) => {
+            graphDefault.loadContent(new Histogram(getInput(valuesDefault)));
+            triggerEvent(
+                fetchElementByClass(histogramGraphContainer, styles.legendItem),
+                "click",
+                () => {
+                    Array.prototype.forEach.call(
+                        fetchAllElementsByClass(
+                            histogramGraphContainer,
+                            styles.histogramBar
+                        ),
+                        (bar) => {
+                            expect(bar.getAttribute("aria-hidden")).toBe(
+                                "true"
+                            );
+                        }
+                    );
+                    done();
+                }
+            );
+        });
+    });
+    describe("When legend item is hovered", () => {
+        it("Highlights the bars and blurs the rest", (done) => {
+            graphDefault.loadContent(new Histogram(getInput(valuesDefault)));
+            graphDefault.loadContent(
+                new Histogram(getInput(valuesDefault, "uid_2"))
+            );
+            triggerEvent(
+                fetchElementByClass(histogramGraphContainer, styles.legendItem),
+                "mouseenter",
+                () => {
+                    const bars = fetchAllElementsByClass(
+                        histogramGraphContainer,
+                        styles.histogramBar
+                    );
+                    expect(
+                        bars[0].classList.contains(styles.highlight)
+                    ).toBeTruthy();
+                    expect(
+                        bars[5].classList.contains(styles.blur)
+                    ).toBeTruthy();
+                    done();
+                }
+            );
+        });
+    });
+    describe("When X Axis limits do not cover the bins", () => {
+        const getNarrowAxes = (ticks) => {
+            const input = getAxes(axisDefault);
+            input.axis.x.upperLimit = 5;
+            if (ticks) {
+                input.axis.x.ticks = ticks;
+            }
+            return input;
+        };
+        const fixedWidthBins = {
+            method: BIN_METHOD.FIXED_WIDTH,
+            width: 1
+        };
+        beforeEach(() => {
+            graphDefault.destroy();
+        });
+        it("Widens the X Axis domain to include the bins", () => {
+            graphDefault = new Graph(getNarrowAxes());
+            graphDefault.loadContent(
+                new Histogram(getInputWithBins(fixedWidthBins))
+            );
+            expect(graphDefault.config.axis.x.domain).toEqual([0, 10]);
+            expect(graphDefault.config.axis.x.initialDomain).toEqual([0, 10]);
+        });
+        it("Generates the X Axis ticks from the bin edges", () => {
+            graphDefault = new Graph(getNarrowAxes());
+            const histogram = new Histogram(getInputWithBins(fixedWidthBins));
+            graphDefault.loadContent(histogram);
+            const edges = histogram.dataTarget.internalValuesSubset.map(
+                (bin) => bin.x
+            );
+            edges.push(10);
+            const tickValues = graphDefault.config.axis.x.ticks.values;
+            expect(tickValues[0]).toBe(1);
+            expect(tickValues.length).toBeGreaterThan(1);
+            tickValues.forEach((tick) => {
+                expect(edges).toContain(tick);
+            });
+        });
+        it("Retains the X Axis ticks provided", () => {
+            graphDefault = new Graph(getNarrowAxes({ values: [0, 5, 10] }));
+            graphDefault.loadContent(
+                new Histogram(getInputWithBins(fixedWidthBins))
+            );
+            expect(graphDefault.config.axis.x.ticks.values).toEqual([0, 5, 10]);
+        });
+        it("Restores the X Axis once the histograms are unloaded", () => {
+            graphDefault = new Graph(getNarrowAxes());
+            const histogram = new Histogram(getInputWithBins(fixedWidthBins));
+            graphDefault.loadContent(histogram);
+            graphDefault.unloadContent(histogram);
+            expect(graphDefault.config.axis.x.domain).toEqual([0, 5]);
+            expect(graphDefault.config.axis.x.ticks.values).toBeUndefined();
+        });
+    });
+    describe("When updated", () => {
+        it("Rebins the updated samples", () => {
+            const histogram = new Histogram(getInput(valuesDefault));
+            graphDefault.loadContent(histogram);
+            graphDefault.updateContent("uid_1", {
+                values: [2, 4, 6],
+                bins: {
+                    method: BIN_METHOD.THRESHOLDS,
+                    thresholds: [0, 10]
+                }
+            });
+            expect(
+                fetchAllElementsByClass(
+                    histogramGraphContainer,
+                    styles.histogramBar
+                ).length
+            ).toBe(1);
+            expect(histogram.valuesRange.y).toEqual({ min: 0, max: 3 });
+        });
+    });
+    describe("When unloaded", () => {
+        it("Removes the bars and legend item", () => {
+            const histogram = new Histogram(getInput(valuesDefault));
+            graphDefault.loadContent(histogram);
+            graphDefault.unloadContent(histogram);
+            expect(
+                fetchElementByClass(
+                    histogramGraphContainer,
+                    styles.histogramGraphContent
+                )
+            ).toBeNull();
+            expect(
+                fetchElementByClass(histogramGraphContainer, styles.legendItem)
+            ).toBeNull();
+            expect(histogram.config).toEqual({});
+            expect(histogram.dataTarget).toEqual({});
+        });
+    });
+});
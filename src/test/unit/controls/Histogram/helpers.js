@@ -0,0 +1,82 @@
+import { AXIS_TYPE, COLORS } from "../../../../main/js/helpers/constants";
+import utils from "../../../../main/js/helpers/utils";
+
+/**
+ * Creates and returns an example input with samples
+ * @param {Array} values - samples to be binned
+ * @param {string} [key] - unique identifier for the input
+ * @returns {Object} input JSON
+ */
+export const getInput = (values = [], key = "uid_1") => ({
+    key,
+    color: COLORS.BLUE,
+    label: {
+        display: `Data Label ${key}`
+    },
+    onClick: () => {},
+    values
+});
+/**
+ * Creates and returns an example input with custom axis
+ * @param {Object} axis - X and Y axis data
+ * @returns {Object} axes JSON
+ */
+export const getAxes = (axis = {}) => ({
+    bindTo: "#testHistogram_carbon",
+    axis: utils.deepClone(axis)
+});
+export const axisDefault = {
+    x: {
+        label: "Some X Label",
+        lowerLimit: 0,
+        upperLimit: 20
+    },
+    y: {
+        label: "Some Y Label",
+        lowerLimit: 0,
+        upperLimit: 10
+    }
+};
+export const axisTimeSeries = {
+    x: {
+        type: AXIS_TYPE.TIME_SERIES,
+        label: "Some X Label",
+        lowerLimit: "2016-01-01T00:00:00Z",
+        upperLimit: "2016-01-02T00:00:00Z"
+    },
+    y: {
+        label: "Some Y Label",
+        lowerLimit: 0,
+        upperLimit: 10
+    }
+};
+export const axisCategory = {
+    x: {
+        type: AXIS_TYPE.CATEGORY,
+        label: "Some X Label",
+        ticks: {
+            values: ["Visit 1", "Visit 2", "Visit 3"]
+        }
+    },
+    y: {
+        label: "Some Y Label",
+        lowerLimit: 0,
+        upperLimit: 10
+    }
+};
+export const valuesDefault = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+/**
+ * Returns the DOM element queried by Class
+ * @param {HTMLElement} id - Id attribute name
+ * @param {string} cls - Class attribute name
+ * @returns {HTMLElement} - DOM element
+ */
+export const fetchElementByClass = (id, cls) => id.querySelector(`.${cls}`);
+/**
+ * Returns all the DOM elements queried by Class
+ * @param {HTMLElement} id - Id attribute name
+ * @param {string} cls - Class attribute name
+ * @returns {NodeList} - DOM elements
+ */
+export const fetchAllElementsByClass = (id, cls) =>
+    id.querySelectorAll(`.${cls}`);
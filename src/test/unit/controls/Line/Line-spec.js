@@ -1,10 +1,12 @@
 "use strict";
+import d3 from "d3";
 import sinon from "sinon";
 import Graph from "../../../../main/js/controls/Graph/Graph";
 import { getShapeForTarget } from "../../../../main/js/controls/Graph/helpers/helpers";
 import Line from "../../../../main/js/controls/Line";
 import { Shape } from "../../../../main/js/core";
 import {
+    calculateVerticalPadding,
     getXAxisWidth,
     getXAxisXPosition
 } from "../../../../main/js/helpers/axis";
@@ -12,8 +14,10 @@ import constants, {
     AXIS_TYPE,
     COLORS,
     LINE_TYPE,
+    REGION_TYPE,
     SHAPES
 } from "../../../../main/js/helpers/constants";
+import { getErrorBarPath } from "../../../../main/js/helpers/errorBar";
 import errors from "../../../../main/js/helpers/errors";
 import styles from "../../../../main/js/helpers/styles";
 import {
@@ -23,7 +27,7 @@ import {
     round2Decimals
 } from "../../../../main/js/helpers/transformUtils";
 import utils from "../../../../main/js/helpers/utils";
-import { toNumber, triggerEvent } from "../helpers/commonHelpers";
+import { delay, toNumber, triggerEvent } from "../helpers/commonHelpers";
 import {
     axisDefault,
     axisTimeSeries,
@@ -1394,6 +1398,415 @@ describe("Line", () => {
             });
         });
     });
+    describe("When graph is updated with input", () => {
+        let line = null;
+        beforeEach(() => {
+            line = new Line(getInput(valuesDefault, false, false));
+            graphDefault.loadContent(line);
+        });
+        it("returns the graph instance", () => {
+            expect(
+                graphDefault.updateContent("uid_1", { values: valuesDefault })
+            ).toBe(graphDefault);
+        });
+        it("throws error when content is not loaded", () => {
+            expect(() => {
+                graphDefault.updateContent("uid_unknown", {
+                    values: valuesDefault
+                });
+            }).toThrowError(errors.THROW_MSG_INVALID_OBJECT_PROVIDED);
+        });
+        it("throws error when values are empty", () => {
+            expect(() => {
+                graphDefault.updateContent("uid_1", { values: [] });
+            }).toThrowError(errors.THROW_MSG_NO_DATA_POINTS);
+        });
+        it("retains key and y axis of the content", () => {
+            graphDefault.updateContent("uid_1", { key: "uid_2", yAxis: "y2" });
+            expect(line.config.key).toBe("uid_1");
+            expect(line.config.yAxis).toBe(constants.Y_AXIS);
+            expect(graphDefault.contentTargets[0]).toBe(line.config);
+        });
+        it("updates the data points using the values", () => {
+            graphDefault.updateContent("uid_1", {
+                values: [
+                    {
+                        x: 35,
+                        y: 20
+                    },
+                    {
+                        x: 45,
+                        y: 10
+                    }
+                ]
+            });
+            expect(line.dataTarget.internalValuesSubset.length).toBe(2);
+            expect(line.dataTarget.internalValuesSubset[0].y).toBe(20);
+            expect(line.valuesRange.y).toEqual({
+                min: 10,
+                max: 20
+            });
+            const pointGroups = document.querySelectorAll(
+                `.${styles.pointGroup}`
+            );
+            expect(d3.select(pointGroups[0]).datum().y).toBe(20);
+            expect(
+                d3
+                    .select(
+                        fetchElementByClass(lineGraphContainer, styles.line)
+                    )
+                    .select("path")
+                    .datum()
+            ).toBe(line.dataTarget);
+        });
+        it("updates data points in place and adds the new data points", () => {
+            const pointGroup = document.querySelector(`.${styles.pointGroup}`);
+            graphDefault.updateContent("uid_1", {
+                values: valuesDefault.concat({
+                    x: 55,
+                    y: 20
+                })
+            });
+            const pointGroups = document.querySelectorAll(
+                `.${styles.pointGroup}`
+            );
+            expect(pointGroups.length).toBe(4);
+            expect(pointGroups[0]).toBe(pointGroup);
+        });
+        it("removes the data points no longer present", (done) => {
+            graphDefault.updateContent("uid_1", {
+                values: [valuesDefault[0]]
+            });
+            delay(() => {
+                expect(
+                    document.querySelectorAll(`.${styles.pointGroup}`).length
+                ).toBe(1);
+                done();
+            });
+        });
+        it("transitions the data points to the updated values", (done) => {
+            graphDefault.updateContent("uid_1", {
+                values: [
+                    {
+                        x: 35,
+                        y: 20
+                    }
+                ]
+            });
+            delay(() => {
+                const pointPath = document.querySelector(
+                    `.${styles.point} path`
+                );
+                const translate = getSVGAnimatedTransformList(
+                    pointPath.getAttribute("transform")
+                ).translate;
+                expect(translate[1]).toBeCloseTo(graphDefault.scale.y(20));
+                done();
+            });
+        });
+        it("updates the axes domain using the values", () => {
+            graphDefault.updateContent("uid_1", {
+                values: [
+                    {
+                        x: 35,
+                        y: 500
+                    }
+                ]
+            });
+            expect(
+                graphDefault.config.axis.y.domain.upperLimit
+            ).toBeGreaterThan(500);
+        });
+        it("updates the color of the line and data points", () => {
+            graphDefault.updateContent("uid_1", { color: COLORS.ORANGE });
+            expect(
+                fetchElementByClass(lineGraphContainer, styles.line)
+                    .querySelector("path")
+                    .getAttribute("style")
+            ).toBe(`stroke: ${COLORS.ORANGE};`);
+            expect(
+                fetchElementByClass(
+                    lineGraphContainer,
+                    styles.point
+                ).getAttribute("style")
+            ).toBe(`fill: ${COLORS.ORANGE};`);
+        });
+        it("updates the legend item in place", () => {
+            const legendItem = fetchElementByClass(
+                lineGraphContainer,
+                styles.legendItem
+            );
+            graphDefault.updateContent("uid_1", {
+                color: COLORS.ORANGE,
+                label: {
+                    display: "Data Label Updated"
+                }
+            });
+            const legendItems = document.querySelectorAll(
+                `.${styles.legendItem}`
+            );
+            expect(legendItems.length).toBe(1);
+            expect(legendItems[0]).toBe(legendItem);
+            expect(
+                legendItem.querySelector(`.${styles.legendItemText}`)
+                    .textContent
+            ).toBe("Data Label Updated");
+            expect(
+                legendItem
+                    .querySelector(`.${styles.legendItemIcon}`)
+                    .getAttribute("style")
+            ).toBe(`fill: ${COLORS.ORANGE};`);
+        });
+        it("updates the label shape in place", () => {
+            graphDefault.updateContent("uid_1", { color: COLORS.ORANGE });
+            const labelShapes = fetchElementByClass(
+                lineGraphContainer,
+                styles.axisLabelYShapeContainer
+            ).querySelectorAll("svg");
+            expect(labelShapes.length).toBe(1);
+            expect(labelShapes[0].getAttribute("style")).toBe(
+                `fill: ${COLORS.ORANGE};`
+            );
+        });
+        it("updates the regions", () => {
+            graphDefault.updateContent("uid_1", {
+                regions: [
+                    {
+                        start: 2,
+                        end: 10
+                    }
+                ]
+            });
+            const regions = document.querySelectorAll(`.${styles.region}`);
+            expect(regions.length).toBe(1);
+            expect(regions[0].getAttribute("aria-describedby")).toBe(
+                "region_uid_1"
+            );
+        });
+        it("retains the legend toggle state", (done) => {
+            const legendItem = fetchElementByClass(
+                lineGraphContainer,
+                styles.legendItem
+            );
+            triggerEvent(legendItem, "click", () => {
+                graphDefault.updateContent("uid_1", {
+                    values: valuesDefault
+                });
+                expect(graphDefault.config.shownTargets).toEqual([]);
+                expect(legendItem.getAttribute("aria-selected")).toBe("false");
+                expect(
+                    fetchElementByClass(
+                        lineGraphContainer,
+                        styles.point
+                    ).getAttribute("aria-hidden")
+                ).toBe("true");
+                done();
+            });
+        });
+        it("does not duplicate the shown targets", () => {
+            graphDefault.updateContent("uid_1", { values: valuesDefault });
+            expect(graphDefault.config.shownTargets).toEqual(["uid_1"]);
+        });
+    });
+    describe("When data points are appended", () => {
+        let line = null;
+        const getStreamInput = (slidingWindow) =>
+            Object.assign(
+                getInput(
+                    [
+                        {
+                            x: 10,
+                            y: 5
+                        },
+                        {
+                            x: 20,
+                            y: 10
+                        }
+                    ],
+                    false,
+                    false
+                ),
+                { slidingWindow }
+            );
+        const loadStreamContent = (slidingWindow) => {
+            line = new Line(getStreamInput(slidingWindow));
+            graphDefault.loadContent(line);
+        };
+        it("returns the graph instance", () => {
+            loadStreamContent();
+            expect(graphDefault.appendContent("uid_1", [{ x: 30, y: 8 }])).toBe(
+                graphDefault
+            );
+        });
+        it("appends the data points using the content", () => {
+            loadStreamContent();
+            expect(line.append([{ x: 120, y: 8 }])).toBe(line);
+            expect(line.dataTarget.internalValuesSubset.length).toBe(3);
+            expect(
+                document.querySelectorAll(`.${styles.pointGroup}`).length
+            ).toBe(3);
+            expect(graphDefault.scale.x.domain()).toEqual([20, 120]);
+        });
+        it("throws error when content is appended to before being loaded", () => {
+            line = new Line(getStreamInput());
+            expect(() => {
+                line.append([{ x: 30, y: 8 }]);
+            }).toThrowError(errors.THROW_MSG_CONTENT_NOT_LOADED);
+        });
+        it("throws error when content is appended to after being unloaded", () => {
+            loadStreamContent();
+            graphDefault.unloadContent(line);
+            expect(() => {
+                line.append([{ x: 30, y: 8 }]);
+            }).toThrowError(errors.THROW_MSG_CONTENT_NOT_LOADED);
+        });
+        it("throws error when content is not loaded", () => {
+            loadStreamContent();
+            expect(() => {
+                graphDefault.appendContent("uid_unknown", [{ x: 30, y: 8 }]);
+            }).toThrowError(errors.THROW_MSG_INVALID_OBJECT_PROVIDED);
+        });
+        it("throws error when values are empty", () => {
+            loadStreamContent();
+            expect(() => {
+                graphDefault.appendContent("uid_1", []);
+            }).toThrowError(errors.THROW_MSG_NO_DATA_POINTS);
+        });
+        it("throws error when values are of a different axis type", () => {
+            loadStreamContent();
+            expect(() => {
+                graphDefault.appendContent("uid_1", [
+                    { x: "2016-02-03T12:00:00Z", y: 8 }
+                ]);
+            }).toThrowError(errors.THROW_MSG_INVALID_FORMAT_TYPE);
+            expect(line.dataTarget.internalValuesSubset.length).toBe(2);
+        });
+        it("throws error when sliding window is invalid", () => {
+            expect(() => {
+                new Line(getStreamInput(-10));
+            }).toThrowError(errors.THROW_MSG_INVALID_SLIDING_WINDOW);
+            expect(() => {
+                new Line(getStreamInput("10"));
+            }).toThrowError(errors.THROW_MSG_INVALID_SLIDING_WINDOW);
+        });
+        it("appends the data points without redrawing the existing points", () => {
+            loadStreamContent();
+            const pointGroup = fetchElementByClass(
+                lineGraphContainer,
+                styles.pointGroup
+            );
+            graphDefault.appendContent("uid_1", [
+                { x: 30, y: 8 },
+                { x: 40, y: 2 }
+            ]);
+            const pointGroups = document.querySelectorAll(
+                `.${styles.pointGroup}`
+            );
+            expect(pointGroups.length).toBe(4);
+            expect(pointGroups[0]).toBe(pointGroup);
+            expect(d3.select(pointGroups[3]).datum().x).toBe(40);
+            expect(line.dataTarget.internalValuesSubset.length).toBe(4);
+            expect(line.config.values.length).toBe(4);
+            expect(line.valuesRange.y).toEqual({
+                min: 2,
+                max: 10
+            });
+        });
+        it("retains all the data points when sliding window is not provided", () => {
+            loadStreamContent();
+            graphDefault.appendContent("uid_1", [{ x: 90, y: 8 }]);
+            expect(line.dataTarget.internalValuesSubset.length).toBe(3);
+        });
+        it("removes the data points older than the sliding window", (done) => {
+            loadStreamContent(10);
+            graphDefault.appendContent("uid_1", [{ x: 30, y: 8 }]);
+            expect(
+                line.dataTarget.internalValuesSubset.map((value) => value.x)
+            ).toEqual([20, 30]);
+            expect(line.config.values.map((value) => value.x)).toEqual([
+                20,
+                30
+            ]);
+            delay(() => {
+                expect(
+                    document.querySelectorAll(`.${styles.pointGroup}`).length
+                ).toBe(2);
+                done();
+            });
+        });
+        it("shifts the x axis domain to include the latest data point", () => {
+            loadStreamContent();
+            graphDefault.appendContent("uid_1", [{ x: 120, y: 8 }]);
+            expect(graphDefault.config.axis.x.domain).toEqual([20, 120]);
+            expect(graphDefault.config.axis.x.initialDomain).toEqual([20, 120]);
+            expect(graphDefault.scale.x.domain()).toEqual([20, 120]);
+        });
+        it("does not shift the x axis domain when data point is within the domain", () => {
+            loadStreamContent();
+            graphDefault.appendContent("uid_1", [{ x: 30, y: 8 }]);
+            expect(graphDefault.config.axis.x.domain).toEqual([0, 100]);
+        });
+        it("shifts the x axis domain for timeseries", () => {
+            graphDefault = new Graph(getAxes(axisTimeSeries));
+            graphDefault.loadContent(
+                new Line(getInput(valuesTimeSeries, false, false))
+            );
+            graphDefault.appendContent("uid_1", [
+                { x: "2017-02-01T12:00:00Z", y: 8 }
+            ]);
+            expect(graphDefault.config.axis.x.domain[1]).toEqual(
+                new Date("2017-02-01T12:00:00Z")
+            );
+            expect(
+                graphDefault.config.axis.x.domain[1] -
+                    graphDefault.config.axis.x.domain[0]
+            ).toBe(
+                new Date(axisTimeSeries.x.upperLimit) -
+                    new Date(axisTimeSeries.x.lowerLimit)
+            );
+        });
+        it("stretches the y axis domain for outliers and shrinks it back once outside the window", () => {
+            loadStreamContent(10);
+            const domain = utils.deepClone(graphDefault.config.axis.y.domain);
+            graphDefault.appendContent("uid_1", [{ x: 30, y: 40 }]);
+            expect(
+                graphDefault.config.axis.y.domain.upperLimit
+            ).toBeGreaterThan(40);
+            graphDefault.appendContent("uid_1", [{ x: 40, y: 15 }]);
+            expect(
+                graphDefault.config.axis.y.domain.upperLimit
+            ).toBeGreaterThan(40);
+            graphDefault.appendContent("uid_1", [{ x: 50, y: 12 }]);
+            expect(graphDefault.config.axis.y.domain).toEqual(domain);
+        });
+        it("does not keep stretching the y axis domain as data points are appended", () => {
+            loadStreamContent();
+            graphDefault.appendContent("uid_1", [{ x: 30, y: 40 }]);
+            const domain = utils.deepClone(graphDefault.config.axis.y.domain);
+            graphDefault.appendContent("uid_1", [{ x: 40, y: 40 }]);
+            expect(graphDefault.config.axis.y.domain).toEqual(domain);
+        });
+        it("retains the legend toggle state", (done) => {
+            loadStreamContent();
+            triggerEvent(
+                fetchElementByClass(lineGraphContainer, styles.legendItem),
+                "click",
+                () => {
+                    graphDefault.appendContent("uid_1", [{ x: 30, y: 8 }]);
+                    expect(graphDefault.config.shownTargets).toEqual([]);
+                    const pointGroups = document.querySelectorAll(
+                        `.${styles.pointGroup}`
+                    );
+                    expect(
+                        pointGroups[2]
+                            .querySelector(`.${styles.point}`)
+                            .getAttribute("aria-hidden")
+                    ).toBe("true");
+                    done();
+                }
+            );
+        });
+    });
     describe("When graph is unloaded off input", () => {
         it("returns the line instance", () => {
             const line = new Line(getInput(valuesDefault, false, false));
@@ -2034,6 +2447,210 @@ describe("Line", () => {
                 );
             });
         });
+        describe("With varying bounds", () => {
+            const breakpoints = [
+                { x: 10, start: 5, end: 15 },
+                { x: 50, start: 8, end: 18 },
+                { x: 90, start: 6, end: 12 }
+            ];
+            const getPathStart = (regionElement) =>
+                regionElement
+                    .getAttribute("d")
+                    .match(/^M([\d.-]+),([\d.-]+)/)
+                    .slice(1)
+                    .map(Number);
+            const loadRegions = (regions, input = getInput(valuesDefault)) => {
+                data = utils.deepClone(input);
+                data.regions = regions;
+                line = new Line(data);
+                graphDefault.loadContent(line);
+                return fetchElementByClass(lineGraphContainer, styles.region);
+            };
+            it("Creates region as a polygon", () => {
+                const regionElement = loadRegions([{ values: breakpoints }]);
+                expect(regionElement.nodeName).toBe("path");
+                expect(regionElement.getAttribute("aria-hidden")).toBe("false");
+                expect(regionElement.getAttribute("aria-describedby")).toBe(
+                    `region_${data.key}`
+                );
+                expect(regionElement.getAttribute("clip-path")).toBe(
+                    `url(#${graphDefault.config.clipPathId})`
+                );
+            });
+            it("Starts the polygon at the first breakpoint", () => {
+                const start = getPathStart(
+                    loadRegions([{ values: breakpoints.slice().reverse() }])
+                );
+                expect(start[0]).toBeCloseTo(
+                    getXAxisXPosition(graphDefault.config) +
+                        graphDefault.scale.x(10)
+                );
+                expect(start[1]).toBeCloseTo(
+                    round2Decimals(graphDefault.scale.y(15)) +
+                        calculateVerticalPadding(graphDefault.config)
+                );
+            });
+            it("Steps between breakpoints by default", () => {
+                const regionElement = loadRegions([{ values: breakpoints }]);
+                expect(regionElement.getAttribute("d")).toContain("H");
+            });
+            it("Holds the bounds of the last breakpoint until the end of the X Axis", () => {
+                const regionElement = loadRegions([
+                    { values: [{ x: 50, start: 8, end: 18 }] }
+                ]);
+                const start = getPathStart(regionElement);
+                expect(start[0]).toBeCloseTo(
+                    getXAxisXPosition(graphDefault.config) +
+                        graphDefault.scale.x(50)
+                );
+                expect(regionElement.getAttribute("d")).toContain(
+                    `H${getXAxisXPosition(graphDefault.config) +
+                        getXAxisWidth(graphDefault.config)}`
+                );
+            });
+            it("Interpolates between breakpoints for linear type", () => {
+                const regionElement = loadRegions([
+                    { values: breakpoints, type: REGION_TYPE.LINEAR }
+                ]);
+                expect(regionElement.getAttribute("d")).not.toContain("H");
+                expect(regionElement.getAttribute("d")).toContain("L");
+            });
+            it("Extends to the top of the graph when end is not provided", () => {
+                const start = getPathStart(
+                    loadRegions([
+                        {
+                            values: [{ x: 10, start: 5 }, { x: 50, start: 8 }]
+                        }
+                    ])
+                );
+                expect(start[1]).toBe(
+                    calculateVerticalPadding(graphDefault.config)
+                );
+            });
+            it("Creates region correctly for y2 axis", () => {
+                const start = getPathStart(
+                    loadRegions(
+                        [
+                            {
+                                axis: constants.Y2_AXIS,
+                                values: [
+                                    { x: 10, start: 50, end: 100 },
+                                    { x: 50, start: 60, end: 110 }
+                                ]
+                            }
+                        ],
+                        getInput(valuesDefault, false, false, true)
+                    )
+                );
+                expect(start[1]).toBeCloseTo(
+                    round2Decimals(graphDefault.scale.y2(100)) +
+                        calculateVerticalPadding(graphDefault.config)
+                );
+            });
+            it("Creates region correctly for timeseries", () => {
+                graphDefault.destroy();
+                graphDefault = new Graph(getAxes(axisTimeSeries));
+                const start = getPathStart(
+                    loadRegions(
+                        [
+                            {
+                                values: [
+                                    { x: "2016-03-01T12:00:00Z", end: 15 },
+                                    { x: "2016-06-01T12:00:00Z", end: 18 }
+                                ]
+                            }
+                        ],
+                        getInput(valuesTimeSeries)
+                    )
+                );
+                expect(start[0]).toBeCloseTo(
+                    getXAxisXPosition(graphDefault.config) +
+                        graphDefault.scale.x(new Date("2016-03-01T12:00:00Z"))
+                );
+            });
+            it("Creates region with correct, color if provided", () => {
+                const regionElement = loadRegions([
+                    { values: breakpoints, color: "#f44444" }
+                ]);
+                expect(regionElement.getAttribute("style")).toBe(
+                    "fill: #f44444;"
+                );
+            });
+            it("Throws error when values are empty", () => {
+                expect(() => {
+                    loadRegions([{ values: [] }]);
+                }).toThrowError(errors.THROW_MSG_REGION_INVALID_VALUES);
+            });
+            it("Throws error when x is not provided for a breakpoint", () => {
+                expect(() => {
+                    loadRegions([{ values: [{ start: 5, end: 15 }] }]);
+                }).toThrowError(errors.THROW_MSG_REGION_INVALID_VALUES);
+            });
+            it("Throws error when x is invalid for the axis type", () => {
+                expect(() => {
+                    loadRegions([
+                        {
+                            values: [
+                                { x: "2016-03-01T12:00:00Z", start: 5, end: 15 }
+                            ]
+                        }
+                    ]);
+                }).toThrowError(errors.THROW_MSG_REGION_INVALID_VALUES);
+            });
+            it("Throws error when type is invalid", () => {
+                expect(() => {
+                    loadRegions([{ values: breakpoints, type: "basis" }]);
+                }).toThrowError(errors.THROW_MSG_REGION_INVALID_TYPE);
+            });
+            it("Throws error when both start and end of a breakpoint are empty", () => {
+                expect(() => {
+                    loadRegions([{ values: [{ x: 10 }] }]);
+                }).toThrowError(errors.THROW_MSG_REGION_START_END_MISSING);
+            });
+            it("Throws error when start of a breakpoint is more than end", () => {
+                expect(() => {
+                    loadRegions([{ values: [{ x: 10, start: 15, end: 5 }] }]);
+                }).toThrowError(errors.THROW_MSG_REGION_START_MORE_END);
+            });
+            it("Throws error when axis provided is different than data-set axis", () => {
+                expect(() => {
+                    loadRegions([
+                        { axis: constants.Y2_AXIS, values: breakpoints }
+                    ]);
+                }).toThrowError(errors.THROW_MSG_REGION_INVALID_AXIS_PROVIDED);
+            });
+            it("Hides all the regions if graph has more than 1 data-set", () => {
+                loadRegions([{ start: 1, end: 5 }, { values: breakpoints }]);
+                graphDefault.loadContent(new Line(inputSecondary));
+                const regionElements = lineGraphContainer.querySelectorAll(
+                    `.${styles.region}`
+                );
+                expect(regionElements.length).toBe(2);
+                regionElements.forEach((regionElement) =>
+                    expect(regionElement.getAttribute("aria-hidden")).toBe(
+                        "true"
+                    )
+                );
+            });
+            it("Translates region on resize", (done) => {
+                const regionElement = loadRegions([{ values: breakpoints }]);
+                const path = regionElement.getAttribute("d");
+                lineGraphContainer.setAttribute(
+                    "style",
+                    "width: 800px; height: 400px;"
+                );
+                graphDefault.resize();
+                delay(() => {
+                    expect(
+                        fetchElementByClass(
+                            lineGraphContainer,
+                            styles.region
+                        ).getAttribute("d")
+                    ).not.toBe(path);
+                    done();
+                });
+            });
+        });
         describe("On unload", () => {
             it("Removes any region", () => {
                 data = utils.deepClone(getInput(valuesDefault));
@@ -2953,4 +3570,428 @@ describe("Line", () => {
             });
         });
     });
+    describe("Error bars", () => {
+        const valuesWithError = [
+            {
+                x: 35,
+                y: 4,
+                yError: 2
+            },
+            {
+                x: 45,
+                y: 10,
+                yLower: 7,
+                yUpper: 18
+            },
+            {
+                x: 55,
+                y: 12
+            }
+        ];
+        const getErrorBars = () =>
+            lineGraphContainer.querySelectorAll(`.${styles.errorBar}`);
+        describe("On construction", () => {
+            it("Includes the bounds of the error in the values range", () => {
+                const line = new Line(getInput(valuesWithError));
+                expect(line.valuesRange.y).toEqual({ min: 2, max: 18 });
+            });
+            it("Throws error when yError is negative", () => {
+                expect(() => {
+                    new Line(getInput([{ x: 35, y: 4, yError: -2 }]));
+                }).toThrowError(errors.THROW_MSG_INVALID_ERROR_VALUE);
+            });
+            it("Throws error when only one of the bounds is provided", () => {
+                expect(() => {
+                    new Line(getInput([{ x: 35, y: 4, yLower: 2 }]));
+                }).toThrowError(errors.THROW_MSG_INVALID_ERROR_VALUE);
+            });
+            it("Throws error when lower bound is above upper bound", () => {
+                expect(() => {
+                    new Line(getInput([{ x: 35, y: 4, yLower: 6, yUpper: 2 }]));
+                }).toThrowError(errors.THROW_MSG_INVALID_ERROR_VALUE);
+            });
+            it("Throws error when both yError and bounds are provided", () => {
+                expect(() => {
+                    new Line(
+                        getInput([
+                            { x: 35, y: 4, yError: 1, yLower: 2, yUpper: 6 }
+                        ])
+                    );
+                }).toThrowError(errors.THROW_MSG_INVALID_ERROR_VALUE);
+            });
+        });
+        describe("On load", () => {
+            it("Does not render error bars when no error is provided", () => {
+                graphDefault.loadContent(new Line(getInput(valuesDefault)));
+                expect(
+                    fetchElementByClass(
+                        lineGraphContainer,
+                        styles.currentErrorBarsGroup
+                    )
+                ).toBeNull();
+            });
+            it("Renders error bars beneath the line and points", () => {
+                graphDefault.loadContent(
+                    new Line(getInput(valuesWithError, false))
+                );
+                const lineContent = fetchElementByClass(
+                    lineGraphContainer,
+                    styles.lineGraphContent
+                );
+                expect(lineContent.firstChild.classList).toContain(
+                    styles.currentErrorBarsGroup
+                );
+                const errorBars = getErrorBars();
+                expect(errorBars.length).toBe(2);
+                expect(errorBars[0].getAttribute("aria-describedby")).toBe(
+                    "uid_1"
+                );
+                expect(errorBars[0].getAttribute("aria-hidden")).toBe("false");
+                expect(errorBars[0].getAttribute("style")).toBe(
+                    `stroke: ${COLORS[Object.keys(COLORS)[1]]};`
+                );
+            });
+            it("Renders error bars spanning the bounds of the error", () => {
+                const line = new Line(getInput(valuesWithError));
+                graphDefault.loadContent(line);
+                line.redraw(graphDefault);
+                const scale = graphDefault.scale;
+                const errorBars = getErrorBars();
+                expect(errorBars[0].getAttribute("d")).toBe(
+                    getErrorBarPath(scale.x(35), scale.y(2), scale.y(6))
+                );
+                expect(errorBars[1].getAttribute("d")).toBe(
+                    getErrorBarPath(scale.x(45), scale.y(7), scale.y(18))
+                );
+            });
+            it("Does not render confidence band by default", () => {
+                graphDefault.loadContent(new Line(getInput(valuesWithError)));
+                expect(
+                    fetchElementByClass(
+                        lineGraphContainer,
+                        styles.confidenceBand
+                    )
+                ).toBeNull();
+            });
+            it("Renders confidence band when opted", () => {
+                const input = getInput(valuesWithError, false);
+                input.showConfidenceBand = true;
+                graphDefault.loadContent(new Line(input));
+                const band = fetchElementByClass(
+                    lineGraphContainer,
+                    styles.confidenceBand
+                );
+                expect(band).not.toBeNull();
+                expect(band.nodeName).toBe("path");
+                expect(band.getAttribute("d")).not.toBeNull();
+                expect(band.getAttribute("style")).toBe(
+                    `fill: ${COLORS[Object.keys(COLORS)[1]]};`
+                );
+                expect(band.getAttribute("aria-describedby")).toBe("uid_1");
+            });
+        });
+        describe("On legend item click", () => {
+            it("Hides the error bars and confidence band", (done) => {
+                const input = getInput(valuesWithError);
+                input.showConfidenceBand = true;
+                graphDefault.loadContent(new Line(input));
+                triggerEvent(
+                    fetchElementByClass(lineGraphContainer, styles.legendItem),
+                    "click",
+                    () => {
+                        Array.prototype.forEach.call(getErrorBars(), (bar) =>
+                            expect(bar.getAttribute("aria-hidden")).toBe("true")
+                        );
+                        expect(
+                            fetchElementByClass(
+                                lineGraphContainer,
+                                styles.confidenceBand
+                            ).getAttribute("aria-hidden")
+                        ).toBe("true");
+                        done();
+                    }
+                );
+            });
+        });
+        describe("On legend item hover", () => {
+            it("Highlights the error bars and blurs the rest", (done) => {
+                graphDefault.loadContent(new Line(getInput(valuesWithError)));
+                const input = utils.deepClone(inputSecondary);
+                input.values = valuesWithError;
+                graphDefault.loadContent(new Line(input));
+                triggerEvent(
+                    fetchElementByClass(lineGraphContainer, styles.legendItem),
+                    "mouseenter",
+                    () => {
+                        const errorBars = getErrorBars();
+                        expect(
+                            errorBars[0].classList.contains(styles.highlight)
+                        ).toBeTruthy();
+                        expect(
+                            errorBars[2].classList.contains(styles.blur)
+                        ).toBeTruthy();
+                        done();
+                    }
+                );
+            });
+        });
+        describe("On update", () => {
+            it("Renders the error bars of the updated values", () => {
+                const line = new Line(getInput(valuesWithError));
+                graphDefault.loadContent(line);
+                graphDefault.updateContent("uid_1", {
+                    values: [{ x: 35, y: 4, yError: 1 }]
+                });
+                expect(getErrorBars().length).toBe(1);
+                expect(line.valuesRange.y).toEqual({ min: 3, max: 5 });
+            });
+        });
+        describe("On append", () => {
+            it("Renders the error bars of the appended values", () => {
+                const line = new Line(getInput(valuesWithError));
+                graphDefault.loadContent(line);
+                graphDefault.appendContent("uid_1", [
+                    { x: 65, y: 8, yError: 1 }
+                ]);
+                expect(getErrorBars().length).toBe(3);
+            });
+            it("Throws error when the appended error is invalid", () => {
+                const line = new Line(getInput(valuesWithError));
+                graphDefault.loadContent(line);
+                expect(() => {
+                    graphDefault.appendContent("uid_1", [
+                        { x: 65, y: 8, yError: "1" }
+                    ]);
+                }).toThrowError(errors.THROW_MSG_INVALID_ERROR_VALUE);
+            });
+        });
+    });
+    describe("Thresholds", () => {
+        const valuesWithThreshold = [
+            {
+                x: 35,
+                y: 4
+            },
+            {
+                x: 45,
+                y: 12
+            },
+            {
+                x: 55,
+                y: 8
+            },
+            {
+                x: 65,
+                y: 2
+            }
+        ];
+        const thresholds = [
+            {
+                above: 10,
+                color: COLORS.ORANGE,
+                isCritical: true
+            },
+            {
+                below: 3,
+                color: COLORS.BLUE
+            }
+        ];
+        const getThresholdInput = (isDefault = true) => {
+            const input = getInput(valuesWithThreshold, isDefault);
+            input.thresholds = thresholds;
+            return input;
+        };
+        const getThresholdLines = () =>
+            lineGraphContainer.querySelectorAll(`.${styles.thresholdLine}`);
+        const getPathCoordinates = (path) =>
+            path
+                .getAttribute("d")
+                .split(/[ML]/)
+                .filter((coordinates) => coordinates)
+                .map((coordinates) => coordinates.split(",").map(Number));
+        describe("On construction", () => {
+            it("Throws error when thresholds is not an array", () => {
+                const input = getInput(valuesWithThreshold);
+                input.thresholds = { above: 10, color: COLORS.ORANGE };
+                expect(() => {
+                    new Line(input);
+                }).toThrowError(errors.THROW_MSG_INVALID_THRESHOLD);
+            });
+            it("Throws error when both above and below are provided", () => {
+                const input = getInput(valuesWithThreshold);
+                input.thresholds = [
+                    { above: 10, below: 3, color: COLORS.ORANGE }
+                ];
+                expect(() => {
+                    new Line(input);
+                }).toThrowError(errors.THROW_MSG_INVALID_THRESHOLD);
+            });
+            it("Throws error when threshold value is not a number", () => {
+                const input = getInput(valuesWithThreshold);
+                input.thresholds = [{ above: "10", color: COLORS.ORANGE }];
+                expect(() => {
+                    new Line(input);
+                }).toThrowError(errors.THROW_MSG_INVALID_THRESHOLD);
+            });
+            it("Throws error when color is not provided", () => {
+                const input = getInput(valuesWithThreshold);
+                input.thresholds = [{ above: 10 }];
+                expect(() => {
+                    new Line(input);
+                }).toThrowError(errors.THROW_MSG_INVALID_THRESHOLD);
+            });
+            it("Throws error when line type is not linear", () => {
+                const input = getThresholdInput();
+                input.type = LINE_TYPE.SPLINE;
+                expect(() => {
+                    new Line(input);
+                }).toThrowError(
+                    errors.THROW_MSG_THRESHOLD_LINE_TYPE_NOT_SUPPORTED
+                );
+            });
+            it("Does not throw error when line type is linear", () => {
+                const input = getThresholdInput();
+                input.type = LINE_TYPE.LINEAR;
+                expect(() => {
+                    new Line(input);
+                }).not.toThrow();
+            });
+        });
+        describe("On load", () => {
+            it("Does not render threshold lines when no threshold is provided", () => {
+                graphDefault.loadContent(new Line(getInput(valuesDefault)));
+                expect(
+                    fetchElementByClass(
+                        lineGraphContainer,
+                        styles.currentThresholdLinesGroup
+                    )
+                ).toBeNull();
+            });
+            it("Renders a threshold line for each segment beyond a threshold", () => {
+                graphDefault.loadContent(new Line(getThresholdInput(false)));
+                const thresholdLines = getThresholdLines();
+                expect(thresholdLines.length).toBe(2);
+                expect(thresholdLines[0].nodeName).toBe("path");
+                expect(thresholdLines[0].getAttribute("style")).toBe(
+                    `stroke: ${COLORS.ORANGE};`
+                );
+                expect(thresholdLines[1].getAttribute("style")).toBe(
+                    `stroke: ${COLORS.BLUE};`
+                );
+                expect(thresholdLines[0].getAttribute("aria-hidden")).toBe(
+                    "false"
+                );
+                expect(thresholdLines[0].getAttribute("aria-describedby")).toBe(
+                    "uid_1"
+                );
+            });
+            it("Renders threshold lines over the line and beneath the points", () => {
+                graphDefault.loadContent(new Line(getThresholdInput()));
+                const thresholdLinesGroup = fetchElementByClass(
+                    lineGraphContainer,
+                    styles.currentThresholdLinesGroup
+                );
+                expect(thresholdLinesGroup.previousSibling.classList).toContain(
+                    styles.currentLinesGroup
+                );
+                expect(thresholdLinesGroup.nextSibling.classList).toContain(
+                    styles.currentPointsGroup
+                );
+            });
+            it("Splits the line exactly where it crosses the threshold", () => {
+                const line = new Line(getThresholdInput());
+                graphDefault.loadContent(line);
+                line.redraw(graphDefault);
+                const scale = graphDefault.scale;
+                const expected = [
+                    [scale.x(42.5), scale.y(10)],
+                    [scale.x(45), scale.y(12)],
+                    [scale.x(50), scale.y(10)]
+                ];
+                const coordinates = getPathCoordinates(getThresholdLines()[0]);
+                expect(coordinates.length).toBe(expected.length);
+                coordinates.forEach((coordinate, index) => {
+                    expect(coordinate[0]).toBeCloseTo(expected[index][0], 5);
+                    expect(coordinate[1]).toBeCloseTo(expected[index][1], 5);
+                });
+            });
+            it("Colors the points beyond the threshold", () => {
+                graphDefault.loadContent(new Line(getThresholdInput()));
+                const points = lineGraphContainer.querySelectorAll(
+                    `.${styles.point}:not(.${styles.criticalityOuterPoint}):not(.${styles.criticalityInnerPoint})`
+                );
+                expect(points[0].getAttribute("style")).toBe(
+                    `fill: ${constants.DEFAULT_COLOR};`
+                );
+                expect(points[1].getAttribute("style")).toBe(
+                    `fill: ${COLORS.ORANGE};`
+                );
+                expect(points[3].getAttribute("style")).toBe(
+                    `fill: ${COLORS.BLUE};`
+                );
+            });
+            it("Marks the points beyond the threshold as critical, if opted", () => {
+                graphDefault.loadContent(new Line(getThresholdInput()));
+                const criticalPoints = lineGraphContainer.querySelectorAll(
+                    `.${styles.criticalityOuterPoint}`
+                );
+                expect(criticalPoints.length).toBe(1);
+                expect(
+                    criticalPoints[0].parentNode
+                        .querySelector(
+                            `.${styles.point}:not(.${styles.criticalityOuterPoint}):not(.${styles.criticalityInnerPoint})`
+                        )
+                        .getAttribute("style")
+                ).toBe(`fill: ${COLORS.ORANGE};`);
+            });
+            it("Uses the farthest threshold when beyond multiple thresholds", () => {
+                const input = getThresholdInput(false);
+                input.thresholds = [
+                    { above: 10, color: COLORS.ORANGE },
+                    { above: 11, color: COLORS.PURPLE }
+                ];
+                graphDefault.loadContent(new Line(input));
+                const thresholdLines = getThresholdLines();
+                expect(thresholdLines.length).toBe(3);
+                expect(thresholdLines[1].getAttribute("style")).toBe(
+                    `stroke: ${COLORS.PURPLE};`
+                );
+            });
+        });
+        describe("On legend item click", () => {
+            it("Hides the threshold lines", (done) => {
+                graphDefault.loadContent(new Line(getThresholdInput()));
+                triggerEvent(
+                    fetchElementByClass(lineGraphContainer, styles.legendItem),
+                    "click",
+                    () => {
+                        Array.prototype.forEach.call(
+                            getThresholdLines(),
+                            (thresholdLine) =>
+                                expect(
+                                    thresholdLine.getAttribute("aria-hidden")
+                                ).toBe("true")
+                        );
+                        done();
+                    }
+                );
+            });
+        });
+        describe("On update", () => {
+            it("Renders the threshold lines of the updated values", () => {
+                graphDefault.loadContent(new Line(getThresholdInput()));
+                graphDefault.updateContent("uid_1", {
+                    values: [{ x: 35, y: 4 }, { x: 45, y: 12 }]
+                });
+                expect(getThresholdLines().length).toBe(1);
+            });
+        });
+        describe("On append", () => {
+            it("Renders the threshold lines of the appended values", () => {
+                graphDefault.loadContent(new Line(getThresholdInput()));
+                graphDefault.appendContent("uid_1", [{ x: 75, y: 14 }]);
+                expect(getThresholdLines().length).toBe(3);
+            });
+        });
+    });
 });
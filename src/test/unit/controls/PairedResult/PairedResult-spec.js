@@ -2298,6 +2298,72 @@ describe("PairedResult", () => {
             });
         });
     });
+    describe("Reference lines", () => {
+        const getInputWithReferenceLines = (referenceLines) =>
+            Object.assign(getInput(valuesDefault, false, false), {
+                referenceLines
+            });
+        it("Creates reference lines identified by the content", () => {
+            graphDefault.loadContent(
+                new PairedResult(getInputWithReferenceLines([{ value: 100 }]))
+            );
+            expect(
+                fetchElementByClass(
+                    pairedResultGraphContainer,
+                    styles.referenceLine
+                ).parentNode.getAttribute("aria-describedby")
+            ).toBe("reference_line_uid_1");
+        });
+        it("Includes the value in the values range", () => {
+            const pairedResult = new PairedResult(
+                getInputWithReferenceLines([{ value: 500 }])
+            );
+            expect(pairedResult.valuesRange.y.max).toBe(500);
+        });
+        it("Throws error when axis is different than the content axis", () => {
+            expect(() => {
+                new PairedResult(
+                    getInputWithReferenceLines([
+                        { value: 100, axis: constants.Y2_AXIS }
+                    ])
+                );
+            }).toThrowError(errors.THROW_MSG_INVALID_REFERENCE_LINE);
+        });
+        it("Keeps the reference lines shown while any pair item is shown", (done) => {
+            graphDefault.loadContent(
+                new PairedResult(getInputWithReferenceLines([{ value: 100 }]))
+            );
+            triggerEvent(
+                fetchElementByClass(
+                    pairedResultGraphContainer,
+                    styles.legendItem
+                ),
+                "click",
+                () => {
+                    expect(
+                        fetchElementByClass(
+                            pairedResultGraphContainer,
+                            styles.referenceLine
+                        ).getAttribute("aria-hidden")
+                    ).toBe("false");
+                    done();
+                }
+            );
+        });
+        it("Removes the reference lines when unloaded", () => {
+            const pairedResult = new PairedResult(
+                getInputWithReferenceLines([{ value: 100 }])
+            );
+            graphDefault.loadContent(pairedResult);
+            graphDefault.unloadContent(pairedResult);
+            expect(
+                fetchElementByClass(
+                    pairedResultGraphContainer,
+                    styles.referenceLine
+                )
+            ).toBeNull();
+        });
+    });
     describe("Region", () => {
         let pairedResultPrimaryContent = null;
         let data = null;
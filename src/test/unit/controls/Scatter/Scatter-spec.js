@@ -0,0 +1,336 @@
+"use strict";
+import Graph from "../../../../main/js/controls/Graph/Graph";
+import Scatter from "../../../../main/js/controls/Scatter";
+import constants, {
+    RADIUS_SCALE_TYPE,
+    SHAPES
+} from "../../../../main/js/helpers/constants";
+import errors from "../../../../main/js/helpers/errors";
+import styles from "../../../../main/js/helpers/styles";
+import { getTransformScale } from "../../../../main/js/helpers/transformUtils";
+import { triggerEvent } from "../helpers/commonHelpers";
+import {
+    axisDefault,
+    fetchAllElementsByClass,
+    fetchElementByClass,
+    getAxes,
+    getInput,
+    valuesDefault,
+    valuesSecondary
+} from "./helpers";
+
+describe("Scatter", () => {
+    let graphDefault = null;
+    let scatterGraphContainer;
+    const getSizeFactors = (scatter) =>
+        scatter.dataTarget.internalValuesSubset.map(
+            (value) => value.sizeFactor
+        );
+    const getPointScales = (cls = styles.point) =>
+        Array.prototype.map.call(
+            fetchAllElementsByClass(scatterGraphContainer, styles.pointGroup),
+            (pointGroup) =>
+                getTransformScale(
+                    pointGroup.querySelector(
+                        `.${cls}:not(.${styles.criticalityOuterPoint}):not(.${styles.criticalityInnerPoint})`
+                    ).firstChild
+                )[0]
+        );
+    beforeEach(() => {
+        scatterGraphContainer = document.createElement("div");
+        scatterGraphContainer.id = "testScatter_carbon";
+        scatterGraphContainer.setAttribute(
+            "style",
+            "width: 1024px; height: 400px;"
+        );
+        document.body.appendChild(scatterGraphContainer);
+        graphDefault = new Graph(getAxes(axisDefault));
+    });
+    afterEach(() => {
+        document.body.innerHTML = "";
+    });
+    describe("When constructed", () => {
+        it("Initializes properly", () => {
+            const scatter = new Scatter(getInput(valuesDefault));
+            expect(scatter.config).not.toBeNull();
+            expect(scatter.dataTarget).toEqual({});
+            expect(scatter.valuesRange.y).toEqual({ min: 4, max: 10 });
+        });
+        it("Throws error when no input is provided", () => {
+            expect(() => {
+                graphDefault.loadContent(new Scatter());
+            }).toThrowError(errors.THROW_MSG_NO_CONTENT_DATA_LOADED);
+        });
+        it("Throws error when no values are provided", () => {
+            expect(() => {
+                graphDefault.loadContent(new Scatter(getInput([])));
+            }).toThrowError(errors.THROW_MSG_NO_DATA_POINTS);
+        });
+        it("Throws error when size is not a number", () => {
+            expect(() => {
+                new Scatter(getInput([{ x: 25, y: 4, size: "10" }]));
+            }).toThrowError(errors.THROW_MSG_INVALID_DATA_POINT_SIZE);
+        });
+        it("Throws error when size is negative", () => {
+            expect(() => {
+                new Scatter(getInput([{ x: 25, y: 4, size: -1 }]));
+            }).toThrowError(errors.THROW_MSG_INVALID_DATA_POINT_SIZE);
+        });
+        it("Throws error when radius scale type is invalid", () => {
+            expect(() => {
+                new Scatter(
+                    getInput(valuesDefault, "uid_1", {
+                        type: "log"
+                    })
+                );
+            }).toThrowError(errors.THROW_MSG_INVALID_RADIUS_SCALE);
+        });
+        it("Throws error when radius scale domain is invalid", () => {
+            expect(() => {
+                new Scatter(
+                    getInput(valuesDefault, "uid_1", {
+                        domain: [0]
+                    })
+                );
+            }).toThrowError(errors.THROW_MSG_INVALID_RADIUS_SCALE);
+        });
+        it("Throws error when radius scale range is not above 0", () => {
+            expect(() => {
+                new Scatter(
+                    getInput(valuesDefault, "uid_1", {
+                        range: [0, 4]
+                    })
+                );
+            }).toThrowError(errors.THROW_MSG_INVALID_RADIUS_SCALE);
+        });
+    });
+    describe("When loaded", () => {
+        it("Creates the scatter content container", () => {
+            graphDefault.loadContent(new Scatter(getInput(valuesDefault)));
+            const scatterContent = fetchElementByClass(
+                scatterGraphContainer,
+                styles.scatterGraphContent
+            );
+            expect(scatterContent.getAttribute("aria-describedby")).toBe(
+                "uid_1"
+            );
+            expect(scatterContent.getAttribute("aria-hidden")).toBe("false");
+            expect(
+                fetchElementByClass(scatterContent, styles.currentPointsGroup)
+            ).not.toBeNull();
+        });
+        it("Does not draw a line between the data points", () => {
+            graphDefault.loadContent(new Scatter(getInput(valuesDefault)));
+            expect(
+                fetchElementByClass(scatterGraphContainer, styles.line)
+            ).toBeNull();
+            expect(
+                fetchElementByClass(
+                    scatterGraphContainer,
+                    styles.lineGraphContent
+                )
+            ).toBeNull();
+        });
+        it("Draws a data point for each value", () => {
+            graphDefault.loadContent(new Scatter(getInput(valuesDefault)));
+            expect(
+                fetchAllElementsByClass(
+                    scatterGraphContainer,
+                    styles.pointGroup
+                ).length
+            ).toBe(3);
+        });
+        it("Draws data points even if shapes needs to be hidden", () => {
+            const input = getAxes(axisDefault);
+            input.showShapes = false;
+            graphDefault = new Graph(input);
+            graphDefault.loadContent(new Scatter(getInput(valuesDefault)));
+            expect(
+                fetchAllElementsByClass(
+                    scatterGraphContainer,
+                    styles.pointGroup
+                ).length
+            ).toBe(3);
+        });
+        it("Uses the default plot scale when size is not provided", () => {
+            graphDefault.loadContent(new Scatter(getInput(valuesSecondary)));
+            getPointScales().forEach((scale) => {
+                expect(scale).toBe(SHAPES.CIRCLE.options.scale);
+            });
+        });
+        it("Scales the data points by size using a sqrt scale by default", () => {
+            const scatter = new Scatter(getInput(valuesDefault));
+            graphDefault.loadContent(scatter);
+            [1, 2.5, 4].forEach((sizeFactor, index) => {
+                expect(getSizeFactors(scatter)[index]).toBeCloseTo(sizeFactor);
+            });
+            expect(getPointScales()).toEqual([0.2, 0.5, 0.8]);
+        });
+        it("Scales the data points using the radius scale provided", () => {
+            const scatter = new Scatter(
+                getInput(valuesDefault, "uid_1", {
+                    type: RADIUS_SCALE_TYPE.LINEAR,
+                    domain: [0, 100],
+                    range: [1, 3]
+                })
+            );
+            graphDefault.loadContent(scatter);
+            [1.2, 1.8, 2.8].forEach((sizeFactor, index) => {
+                expect(getSizeFactors(scatter)[index]).toBeCloseTo(sizeFactor);
+            });
+        });
+        it("Clamps sizes outside the radius scale domain", () => {
+            const scatter = new Scatter(
+                getInput(valuesDefault, "uid_1", {
+                    domain: [20, 50]
+                })
+            );
+            graphDefault.loadContent(scatter);
+            expect(getSizeFactors(scatter)).toEqual([
+                constants.DEFAULT_RADIUS_SCALE_RANGE[0],
+                jasmine.any(Number),
+                constants.DEFAULT_RADIUS_SCALE_RANGE[1]
+            ]);
+        });
+        it("Scales the selection indicator with the data point", () => {
+            graphDefault.loadContent(new Scatter(getInput(valuesDefault)));
+            expect(getPointScales(styles.dataPointSelection)).toEqual([
+                0.4,
+                1,
+                1.6
+            ]);
+        });
+        it("Renders criticality for critical data points", () => {
+            graphDefault.loadContent(
+                new Scatter(
+                    getInput([{ x: 25, y: 4, size: 10, isCritical: true }])
+                )
+            );
+            const criticalOuterPoint = fetchElementByClass(
+                scatterGraphContainer,
+                styles.criticalityOuterPoint
+            );
+            expect(criticalOuterPoint).not.toBeNull();
+            expect(
+                fetchElementByClass(
+                    scatterGraphContainer,
+                    styles.criticalityInnerPoint
+                )
+            ).not.toBeNull();
+            expect(graphDefault.config.hasCriticality).toBeTruthy();
+        });
+        it("Creates regions", () => {
+            const input = getInput(valuesDefault);
+            input.regions = [
+                {
+                    start: 2,
+                    end: 8
+                }
+            ];
+            graphDefault.loadContent(new Scatter(input));
+            const region = fetchElementByClass(
+                scatterGraphContainer,
+                styles.region
+            );
+            expect(region).not.toBeNull();
+            expect(region.getAttribute("aria-describedby")).toBe(
+                "region_uid_1"
+            );
+        });
+        it("Adds a legend item", () => {
+            graphDefault.loadContent(new Scatter(getInput(valuesDefault)));
+            const legendItem = fetchElementByClass(
+                scatterGraphContainer,
+                styles.legendItem
+            );
+            expect(legendItem.getAttribute("aria-describedby")).toBe("uid_1");
+        });
+    });
+    describe("When clicked on a data point", () => {
+        it("Shows the selection indicator", (done) => {
+            graphDefault.loadContent(new Scatter(getInput(valuesDefault)));
+            const point = fetchElementByClass(
+                scatterGraphContainer,
+                styles.point
+            );
+            triggerEvent(point, "click", () => {
+                const selectionPoint = fetchElementByClass(
+                    scatterGraphContainer,
+                    styles.dataPointSelection
+                );
+                expect(selectionPoint.getAttribute("aria-hidden")).toBe(
+                    "false"
+                );
+                done();
+            });
+        });
+    });
+    describe("When legend item is clicked", () => {
+        it("Hides the data points", (done) => {
+            graphDefault.loadContent(new Scatter(getInput(valuesDefault)));
+            triggerEvent(
+                fetchElementByClass(scatterGraphContainer, styles.legendItem),
+                "click",
+                () => {
+                    const points = fetchAllElementsByClass(
+                        scatterGraphContainer,
+                        styles.point
+                    );
+                    Array.prototype.forEach.call(points, (point) => {
+                        expect(point.getAttribute("aria-hidden")).toBe("true");
+                    });
+                    done();
+                }
+            );
+        });
+    });
+    describe("When updated", () => {
+        it("Redraws the data points with the updated values", () => {
+            const scatter = new Scatter(getInput(valuesDefault));
+            graphDefault.loadContent(scatter);
+            graphDefault.updateContent("uid_1", {
+                values: [{ x: 25, y: 4, size: 10 }]
+            });
+            expect(
+                fetchAllElementsByClass(
+                    scatterGraphContainer,
+                    styles.pointGroup
+                ).length
+            ).toBe(1);
+            expect(
+                fetchAllElementsByClass(
+                    scatterGraphContainer,
+                    styles.scatterGraphContent
+                ).length
+            ).toBe(1);
+        });
+    });
+    describe("When unloaded", () => {
+        it("Removes the data points, regions and legend item", () => {
+            const input = getInput(valuesDefault);
+            input.regions = [
+                {
+                    start: 2,
+                    end: 8
+                }
+            ];
+            const scatter = new Scatter(input);
+            graphDefault.loadContent(scatter);
+            graphDefault.unloadContent(scatter);
+            expect(
+                fetchElementByClass(
+                    scatterGraphContainer,
+                    styles.scatterGraphContent
+                )
+            ).toBeNull();
+            expect(
+                fetchElementByClass(scatterGraphContainer, styles.region)
+            ).toBeNull();
+            expect(
+                fetchElementByClass(scatterGraphContainer, styles.legendItem)
+            ).toBeNull();
+            expect(scatter.config).toEqual({});
+            expect(scatter.dataTarget).toEqual({});
+        });
+    });
+});
@@ -0,0 +1,88 @@
+import { COLORS, SHAPES } from "../../../../main/js/helpers/constants";
+import utils from "../../../../main/js/helpers/utils";
+
+/**
+ * Creates and returns an example input with data point values
+ * @param {Array} values - x, y co-ordinate and size values
+ * @param {string} [key] - unique identifier for the input
+ * @param {Object} [radiusScale] - scale mapping the size of data points
+ * @returns {Object} input JSON
+ */
+export const getInput = (values = [], key = "uid_1", radiusScale) => ({
+    key,
+    color: COLORS.BLUE,
+    shape: SHAPES.CIRCLE,
+    label: {
+        display: `Data Label ${key}`
+    },
+    radiusScale,
+    onClick: () => {},
+    values
+});
+/**
+ * Creates and returns an example input with custom axis
+ * @param {Object} axis - X and Y axis data
+ * @returns {Object} axes JSON
+ */
+export const getAxes = (axis = {}) => ({
+    bindTo: "#testScatter_carbon",
+    axis: utils.deepClone(axis)
+});
+export const axisDefault = {
+    x: {
+        label: "Some X Label",
+        lowerLimit: 0,
+        upperLimit: 100
+    },
+    y: {
+        label: "Some Y Label",
+        lowerLimit: 0,
+        upperLimit: 20
+    }
+};
+export const valuesDefault = [
+    {
+        x: 25,
+        y: 4,
+        size: 10
+    },
+    {
+        x: 45,
+        y: 10,
+        size: 40
+    },
+    {
+        x: 65,
+        y: 6,
+        size: 90
+    }
+];
+export const valuesSecondary = [
+    {
+        x: 25,
+        y: 2
+    },
+    {
+        x: 45,
+        y: 5
+    },
+    {
+        x: 65,
+        y: 12
+    }
+];
+/**
+ * Returns the DOM element queried by Class
+ * @param {HTMLElement} id - Id attribute name
+ * @param {string} cls - Class attribute name
+ * @returns {HTMLElement} - DOM element
+ */
+export const fetchElementByClass = (id, cls) => id.querySelector(`.${cls}`);
+/**
+ * Returns all the DOM elements queried by Class
+ * @param {HTMLElement} id - Id attribute name
+ * @param {string} cls - Class attribute name
+ * @returns {NodeList} - DOM elements
+ */
+export const fetchAllElementsByClass = (id, cls) =>
+    id.querySelectorAll(`.${cls}`);
@@ -11,6 +11,7 @@ import { getYAxisHeight } from "../../../../main/js/helpers/axis";
 import constants, {
     AXIS_TYPE,
     COLORS,
+    EXPORT_FORMAT,
     SHAPES
 } from "../../../../main/js/helpers/constants";
 import errors from "../../../../main/js/helpers/errors";
@@ -1543,6 +1544,23 @@ describe("Timeline", () => {
                 constants.RESIZE_THROTTLE
             );
         });
+        it("Resizes when the container is resized, if observeResize is enabled", (done) => {
+            const observedInput = getAxes(axisJSON);
+            observedInput.observeResize = true;
+            timeline.destroy();
+            timeline = new Timeline(observedInput);
+            expect(timeline.resizeObserver).not.toBeNull();
+            TimelineGraphContainer.setAttribute(
+                "style",
+                "width: 600px; height: 200px"
+            );
+            delay(() => {
+                expect(timeline.config.canvasWidth).toBe(600);
+                timeline.destroy();
+                expect(timeline.resizeObserver).toBeNull();
+                done();
+            }, constants.RESIZE_POLL_INTERVAL * 2);
+        });
         it("Throttles based on delay", (done) => {
             const rafSpy = spyOn(window, "requestAnimationFrame");
             const throttledInput = getAxes(axisJSON);
@@ -1708,6 +1726,317 @@ describe("Timeline", () => {
             );
         });
     });
+    describe("When tooltip is provided", () => {
+        beforeEach(() => {
+            const input = getAxes(axisJSON);
+            input.tooltip = {};
+            timeline = new Timeline(input);
+            timeline.loadContent(getData(valuesJSON));
+        });
+        it("Creates tooltip within the container", () => {
+            expect(fetchElementByClass(styles.tooltip)).not.toBeNull();
+        });
+        it("Shows tooltip on data point hover", () => {
+            const point = document.querySelector(
+                `.${styles.timelineContentGroup} .${styles.pointGroup}`
+            );
+            triggerEvent(point, "mouseenter");
+            const tooltip = fetchElementByClass(styles.tooltip);
+            expect(tooltip.getAttribute("aria-hidden")).toBe("false");
+            expect(tooltip.textContent).toBe(
+                `Timeline A\n${timeline.config.locale.timeFormat("%x %X")(
+                    new Date(valuesJSON[0].x)
+                )}`
+            );
+            triggerEvent(point, "mouseleave");
+            expect(tooltip.getAttribute("aria-hidden")).toBe("true");
+        });
+    });
+    describe("When brush is provided", () => {
+        let onBrush;
+        beforeEach(() => {
+            onBrush = jasmine.createSpy("onBrush");
+            const input = getAxes(axisJSON);
+            input.brush = { onBrush };
+            timeline = new Timeline(input);
+            timeline.loadContent(getData(valuesJSON));
+        });
+        it("Creates brush below the content", () => {
+            const brush = fetchElementByClass(styles.brush);
+            expect(brush).not.toBeNull();
+            expect(
+                brush.compareDocumentPosition(
+                    fetchElementByClass(styles.timelineGraphContent)
+                ) & Node.DOCUMENT_POSITION_FOLLOWING
+            ).toBeTruthy();
+        });
+        it("Calls onBrush with the data points within the range", () => {
+            const start = new Date(valuesJSON[0].x);
+            timeline.brushBehavior.extent([
+                start,
+                new Date(start.getTime() + 1)
+            ]);
+            timeline.brushBehavior.event(d3.select(`.${styles.brush}`));
+            const selection = onBrush.calls.mostRecent().args[0];
+            expect(selection.start).toEqual(start);
+            expect(selection.values.uid_1.length).toBe(1);
+            expect(selection.values.uid_1[0].x).toEqual(start);
+        });
+        it("Clears the range when clearBrush is called", () => {
+            timeline.clearBrush();
+            expect(timeline.brushBehavior.empty()).toBeTruthy();
+            expect(onBrush).toHaveBeenCalledWith(null);
+        });
+    });
+    describe("When dateline is provided", () => {
+        const datelineJSON = [
+            {
+                showDatelineIndicator: true,
+                label: {
+                    display: "Admission"
+                },
+                color: COLORS.GREEN,
+                shape: SHAPES.SQUARE,
+                value: new Date(2018, 5, 1).toISOString()
+            },
+            {
+                label: {
+                    display: "ICU stay"
+                },
+                color: COLORS.BLUE,
+                range: {
+                    start: new Date(2018, 6, 1).toISOString(),
+                    end: new Date(2018, 8, 1).toISOString()
+                }
+            }
+        ];
+        beforeEach(() => {
+            const input = getAxes(axisJSON);
+            input.dateline = utils.deepClone(datelineJSON);
+            timeline = new Timeline(input);
+            timeline.loadContent(getData(valuesJSON));
+        });
+        it("Throws error when dateline is invalid", () => {
+            const input = getAxes(axisJSON);
+            input.dateline = [{ color: COLORS.GREEN, value: 20 }];
+            expect(() => {
+                timeline = new Timeline(input);
+            }).toThrowError(errors.THROW_MSG_DATELINE_TYPE_NOT_VALID);
+        });
+        it("Creates datelines above the content", () => {
+            const datelineContent = fetchElementByClass(styles.datelineContent);
+            expect(
+                document.querySelectorAll(`.${styles.datelineGroup}`).length
+            ).toBe(2);
+            expect(
+                datelineContent.compareDocumentPosition(
+                    fetchElementByClass(styles.timelineGraphContent)
+                ) & Node.DOCUMENT_POSITION_PRECEDING
+            ).toBeTruthy();
+        });
+        it("Creates dateline and range spanning the content area", (done) => {
+            delay(() => {
+                const dateline = fetchElementByClass(styles.dateline);
+                const range = fetchElementByClass(styles.datelineRange);
+                expect(toNumber(dateline.getAttribute("x1"), 10)).toBeCloseTo(
+                    timeline.scale.x(new Date(datelineJSON[0].value))
+                );
+                expect(toNumber(dateline.getAttribute("y2"), 10)).toBe(
+                    getYAxisHeight(timeline.config)
+                );
+                expect(toNumber(range.getAttribute("x"), 10)).toBeCloseTo(
+                    timeline.scale.x(new Date(datelineJSON[1].range.start))
+                );
+                expect(toNumber(range.getAttribute("height"), 10)).toBe(
+                    getYAxisHeight(timeline.config)
+                );
+                done();
+            });
+        });
+        it("Renders the labels", () => {
+            const labels = document.querySelectorAll(
+                `.${styles.datelineLabel}`
+            );
+            expect(labels.length).toBe(2);
+            expect(labels[0].textContent).toBe("Admission");
+            expect(labels[1].textContent).toBe("ICU stay");
+        });
+        it("Translates the datelines on resize", (done) => {
+            TimelineGraphContainer.setAttribute(
+                "style",
+                "width: 800px; height: 400px;"
+            );
+            timeline.resize();
+            delay(() => {
+                expect(
+                    toNumber(
+                        fetchElementByClass(styles.dateline).getAttribute("x1"),
+                        10
+                    )
+                ).toBeCloseTo(
+                    timeline.scale.x(new Date(datelineJSON[0].value))
+                );
+                done();
+            });
+        });
+    });
+    describe("When periodic shading is provided", () => {
+        const periodicShadingJSON = [
+            {
+                intervals: () => [
+                    {
+                        start: new Date(2018, 6, 1).toISOString(),
+                        end: new Date(2018, 8, 1).toISOString()
+                    }
+                ]
+            }
+        ];
+        beforeEach(() => {
+            const input = getAxes(axisJSON);
+            input.periodicShading = periodicShadingJSON;
+            timeline = new Timeline(input);
+            timeline.loadContent(getData(valuesJSON));
+        });
+        it("Throws error when periodic shading is invalid", () => {
+            const input = getAxes(axisJSON);
+            input.periodicShading = [{ start: "7:00" }];
+            expect(() => {
+                timeline = new Timeline(input);
+            }).toThrowError(errors.THROW_MSG_INVALID_PERIODIC_SHADING);
+        });
+        it("Creates periodic shading beneath the content", () => {
+            const shadingGroup = fetchElementByClass(
+                styles.periodicShadingGroup
+            );
+            expect(
+                shadingGroup.compareDocumentPosition(
+                    fetchElementByClass(styles.timelineGraphContent)
+                ) & Node.DOCUMENT_POSITION_FOLLOWING
+            ).toBeTruthy();
+            expect(
+                toNumber(
+                    shadingGroup.querySelector("rect").getAttribute("height"),
+                    10
+                )
+            ).toBe(getYAxisHeight(timeline.config));
+        });
+        it("Translates the periodic shading on resize", (done) => {
+            TimelineGraphContainer.setAttribute(
+                "style",
+                "width: 800px; height: 400px;"
+            );
+            timeline.resize();
+            delay(() => {
+                expect(
+                    toNumber(
+                        document
+                            .querySelector(`.${styles.periodicShading} rect`)
+                            .getAttribute("x"),
+                        10
+                    )
+                ).toBeCloseTo(timeline.scale.x(new Date(2018, 6, 1)));
+                done();
+            });
+        });
+    });
+    describe("When updateContent is called", () => {
+        beforeEach(() => {
+            timeline = new Timeline(getAxes(axisJSON));
+            timeline.loadContent(getData(valuesJSON));
+        });
+        it("Returns the timeline instance", () => {
+            expect(
+                timeline.updateContent("uid_1", { values: valuesJSON })
+            ).toBe(timeline);
+        });
+        it("Throws error when content is not loaded", () => {
+            expect(() => {
+                timeline.updateContent("DUMMY", { values: valuesJSON });
+            }).toThrowError(errors.THROW_MSG_INVALID_OBJECT_PROVIDED);
+        });
+        it("Throws error when values are empty", () => {
+            expect(() => {
+                timeline.updateContent("uid_1", { values: [] });
+            }).toThrowError(errors.THROW_MSG_NO_DATA_POINTS);
+        });
+        it("Updates the points using the values", () => {
+            timeline.updateContent("uid_1", {
+                values: valuesJSON.concat(secondaryValuesJSON)
+            });
+            const points = fetchElementByClass(
+                styles.timelineContentGroup
+            ).querySelectorAll(`.${styles.point}`);
+            expect(points.length).toBe(4);
+            expect(timeline.contentConfig[0].config.key).toBe("uid_1");
+        });
+        it("Updates the legend item in place", () => {
+            const legendItem = fetchElementByClass(styles.legendItem);
+            timeline.updateContent("uid_1", {
+                label: {
+                    display: "Timeline B"
+                }
+            });
+            expect(fetchElementByClass(styles.legendItem)).toBe(legendItem);
+            expect(
+                legendItem.querySelector(`.${styles.legendItemText}`)
+                    .textContent
+            ).toBe("Timeline B");
+        });
+        it("Retains the items hidden using the legend", (done) => {
+            triggerEvent(
+                fetchElementByClass(styles.legendItem),
+                "click",
+                () => {
+                    timeline.updateContent("uid_1", { values: valuesJSON });
+                    expect(timeline.config.shownTargets).toEqual([]);
+                    expect(
+                        fetchElementByClass(styles.point).getAttribute(
+                            "aria-hidden"
+                        )
+                    ).toBe("true");
+                    done();
+                }
+            );
+        });
+    });
+    describe("When export is called", () => {
+        beforeEach(() => {
+            timeline = new Timeline(getAxes(axisJSON));
+            timeline.loadContent(getData(valuesJSON));
+        });
+        it("Rejects when format is invalid", (done) => {
+            timeline.export({ format: "pdf" }).catch((error) => {
+                expect(error.message).toBe(
+                    errors.THROW_MSG_INVALID_EXPORT_FORMAT
+                );
+                done();
+            });
+        });
+        it("Resolves with standalone svg including the legend", (done) => {
+            timeline.export({ format: EXPORT_FORMAT.SVG }).then((svg) => {
+                const svgElement = new DOMParser().parseFromString(
+                    svg,
+                    "image/svg+xml"
+                ).documentElement;
+                expect(
+                    svgElement.querySelector(`foreignObject .${styles.legend}`)
+                ).not.toBeNull();
+                done();
+            });
+        });
+        it("Resolves with csv of the data points shown", (done) => {
+            timeline.export({ format: EXPORT_FORMAT.CSV }).then((csv) => {
+                expect(csv).toBe(
+                    [
+                        "key,x",
+                        `uid_1,${new Date(valuesJSON[0].x).toISOString()}`,
+                        `uid_1,${new Date(valuesJSON[1].x).toISOString()}`
+                    ].join("\r\n")
+                );
+                done();
+            });
+        });
+    });
     describe("When destruct is called", () => {
         beforeEach(() => {
             timeline = new Timeline(getAxes(axisJSON));
@@ -13,6 +13,8 @@ describe("GraphContent", () => {
             expect(content.unload).toEqual(jasmine.any(Function));
             expect(content.resize).toEqual(jasmine.any(Function));
             expect(content.redraw).toEqual(jasmine.any(Function));
+            expect(content.update).toEqual(jasmine.any(Function));
+            expect(content.append).toEqual(jasmine.any(Function));
         });
         it("throws error when load is called without being implemented", () => {
             expect(() => {
@@ -34,5 +36,15 @@ describe("GraphContent", () => {
                 content.redraw();
             }).toThrowError(errors.THROW_MSG_CONTENT_REDRAW_NOT_IMPLEMENTED);
         });
+        it("throws error when update is called without being implemented", () => {
+            expect(() => {
+                content.update();
+            }).toThrowError(errors.THROW_MSG_CONTENT_UPDATE_NOT_IMPLEMENTED);
+        });
+        it("throws error when append is called without being implemented", () => {
+            expect(() => {
+                content.append();
+            }).toThrowError(errors.THROW_MSG_CONTENT_APPEND_NOT_IMPLEMENTED);
+        });
     });
 });